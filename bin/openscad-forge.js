@@ -17,6 +17,7 @@ import { validateCommand } from '../cli/commands/validate.js';
 import { syncCommand } from '../cli/commands/sync.js';
 import { themeCommand } from '../cli/commands/theme.js';
 import { ciCommand } from '../cli/commands/ci.js';
+import { renderCommand, collect } from '../cli/commands/render.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -42,6 +43,21 @@ program
   .option('--pretty', 'Pretty-print JSON output', false)
   .action(extractCommand);
 
+// Render command
+program
+  .command('render <file>')
+  .description('Render an OpenSCAD file with the WASM engine (no desktop OpenSCAD needed)')
+  .option('-p, --preset <path>', 'Parameter set file (OpenSCAD .json or Forge preset); renders every set')
+  .option('-s, --set <name>', 'Only render this parameter set (repeatable)', collect)
+  .option('-D, --define <name=value>', 'Override a parameter (repeatable)', collect)
+  .option('-f, --format <format>', 'Output format (stl|obj|off|amf|3mf|svg|dxf)', 'stl')
+  .option('-o, --out <path>', 'Output directory (or file for a single render)', '.')
+  .option('-q, --quality <level>', 'Quality (model|low|medium|high)', 'model')
+  .option('-l, --library <id>', 'Library bundle to mount (repeatable; default: detect from includes)', collect)
+  .option('--wasm-dir <path>', 'Directory with openscad.js and openscad.wasm')
+  .option('--libraries-dir <path>', 'Directory with library bundles')
+  .action(renderCommand);
+
 // Scaffold command
 program
   .command('scaffold')
@@ -64,7 +80,10 @@ program
   .description('Validate parity between implementations')
   .option('--cases <path>', 'Test cases YAML file')
   .option('--ref <ref>', 'Reference implementation (docker-openscad|wasm)', 'wasm')
-  .option('--tolerance <n>', 'STL comparison tolerance', '0.001')
+  .option('--tolerance <n>', 'Geometry comparison tolerance (relative to size)', '0.001')
+  .option('--scad <path>', 'OpenSCAD file to render (default: source embedded in index.html)')
+  .option('--wasm-dir <path>', 'Directory with openscad.js and openscad.wasm (--ref wasm)')
+  .option('--docker-image <image>', 'Docker image with openscad (--ref docker-openscad)')
   .option('--format <format>', 'Output format (text|json|junit)', 'text')
   .option('--save-fixtures', 'Save test cases as golden fixtures', false)
   .action(validateCommand);
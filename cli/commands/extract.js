@@ -178,6 +178,10 @@ export async function extractCommand(file, options) {
     const groupCount = extracted.groups?.length || 0;
     console.log(chalk.green(`✓ Found ${paramCount} parameter(s) in ${groupCount} group(s)`));
 
+    for (const warning of extracted.warnings || []) {
+      console.log(chalk.yellow(`⚠ ${warning.parameter}: ${warning.message}`));
+    }
+
     // Convert to JSON Schema
     const schema = toJsonSchema(extracted, file);
 
@@ -0,0 +1,226 @@
+/**
+ * Render command - Render OpenSCAD models headlessly with the WASM engine
+ * @license GPL-3.0-or-later
+ */
+
+import { readFileSync, writeFileSync, mkdirSync, existsSync } from 'fs';
+import { resolve, basename, extname, join, dirname } from 'path';
+import chalk from 'chalk';
+import { extractParameters } from '../../src/js/parser.js';
+import { readParameterSets } from '../../src/js/preset-manager.js';
+import { parseScadLiteral } from '../../src/js/scad-value-utils.js';
+import { omitHiddenParameters } from '../../src/js/dependency-conditions.js';
+import { detectLibraries } from '../../src/js/library-manager.js';
+import {
+  analyzeComplexity,
+  getQualityPreset,
+  HARDWARE_LEVEL,
+} from '../../src/js/quality-tiers.js';
+import { createWasmRenderer, RENDER_FORMATS } from '../lib/wasm-renderer.js';
+
+/** Quality levels accepted by --quality ("model" keeps the model's $fn/$fa/$fs) */
+const QUALITY_LEVELS = ['model', 'low', 'medium', 'high'];
+
+/**
+ * Collect repeatable option values (commander helper)
+ * @param {string} value - New value
+ * @param {string[]} previous - Values so far
+ * @returns {string[]}
+ */
+export function collect(value, previous = []) {
+  return [...previous, value];
+}
+
+/**
+ * Parse -D name=value overrides
+ * Values use OpenSCAD syntax (numbers, true/false, "strings", [vectors]);
+ * anything else is taken as a plain string.
+ * @param {string[]} defines - Raw name=value strings
+ * @returns {Object} Parameter overrides
+ */
+export function parseDefines(defines = []) {
+  const overrides = {};
+  for (const define of defines) {
+    const eq = define.indexOf('=');
+    if (eq <= 0) {
+      throw new Error(`Invalid -D "${define}". Use name=value`);
+    }
+    const name = define.slice(0, eq).trim();
+    const raw = define.slice(eq + 1).trim();
+    const literal = parseScadLiteral(raw);
+    overrides[name] = literal ? literal.value : raw;
+  }
+  return overrides;
+}
+
+/**
+ * Turn a parameter set name into a file-name-safe slug
+ * @param {string} name - Set name
+ * @returns {string}
+ */
+export function slugify(name) {
+  const slug = String(name)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return slug || 'set';
+}
+
+/**
+ * Work out which renders to run
+ * @param {Object} options - Command options
+ * @param {Object} parameters - Extracted parameter definitions
+ * @returns {Array<{name: string|null, parameters: Object}>} Render jobs
+ */
+export function planRenders(options, parameters) {
+  const overrides = parseDefines(options.define);
+
+  if (!options.preset) {
+    return [{ name: null, parameters: overrides }];
+  }
+
+  const data = JSON.parse(readFileSync(resolve(options.preset), 'utf-8'));
+  let sets = readParameterSets(data, parameters);
+
+  if (options.set && options.set.length > 0) {
+    const missing = options.set.filter((name) => !sets.some((s) => s.name === name));
+    if (missing.length > 0) {
+      throw new Error(
+        `Parameter set(s) not found: ${missing.join(', ')}. Available: ${sets.map((s) => s.name).join(', ')}`
+      );
+    }
+    sets = sets.filter((s) => options.set.includes(s.name));
+  }
+
+  if (sets.length === 0) {
+    throw new Error(`No parameter sets found in ${options.preset}`);
+  }
+
+  return sets.map((set) => ({
+    name: set.name,
+    parameters: { ...set.parameters, ...overrides },
+  }));
+}
+
+/**
+ * Render command handler
+ * @param {string} file - Input .scad file path
+ * @param {Object} options - Command options
+ */
+export async function renderCommand(file, options) {
+  try {
+    console.log(chalk.blue('🧊 OpenSCAD Forge - Render'));
+    console.log(chalk.gray(`Input: ${file}`));
+
+    const format = String(options.format || 'stl').toLowerCase();
+    if (!RENDER_FORMATS.includes(format)) {
+      console.error(chalk.red(`✗ Unsupported format: ${format}`));
+      console.log(chalk.gray(`Supported formats: ${RENDER_FORMATS.join(', ')}`));
+      process.exit(1);
+    }
+
+    const qualityLevel = String(options.quality || 'model').toLowerCase();
+    if (!QUALITY_LEVELS.includes(qualityLevel)) {
+      console.error(chalk.red(`✗ Unknown quality level: ${qualityLevel}`));
+      console.log(chalk.gray(`Quality levels: ${QUALITY_LEVELS.join(', ')}`));
+      process.exit(1);
+    }
+
+    const filePath = resolve(file);
+    let scadContent;
+    try {
+      scadContent = readFileSync(filePath, 'utf-8');
+    } catch (err) {
+      console.error(chalk.red(`✗ Failed to read file: ${err.message}`));
+      process.exit(1);
+    }
+
+    const extracted = extractParameters(scadContent);
+    for (const warning of extracted.warnings || []) {
+      console.log(chalk.yellow(`⚠ ${warning.parameter}: ${warning.message}`));
+    }
+
+    let jobs;
+    try {
+      jobs = planRenders(options, extracted.parameters);
+    } catch (err) {
+      console.error(chalk.red(`✗ ${err.message}`));
+      process.exit(1);
+    }
+
+    // Same tier presets the web app uses for exports
+    const quality =
+      qualityLevel === 'model'
+        ? null
+        : getQualityPreset(
+            analyzeComplexity(scadContent).tier,
+            HARDWARE_LEVEL.MEDIUM,
+            qualityLevel,
+            'export'
+          );
+    if (quality) {
+      console.log(chalk.gray(`Quality: ${quality.name}`));
+    }
+
+    const libraries =
+      options.library && options.library.length > 0
+        ? options.library
+        : detectLibraries(scadContent);
+    if (libraries.length > 0) {
+      console.log(chalk.gray(`Libraries: ${libraries.join(', ')}`));
+    }
+
+    // -o may name the output file when there is a single render
+    const outOption = resolve(options.out || '.');
+    const outIsFile = jobs.length === 1 && extname(outOption).toLowerCase() === `.${format}`;
+    const outDir = outIsFile ? dirname(outOption) : outOption;
+
+    console.log(chalk.gray('Loading OpenSCAD WASM...'));
+    const renderer = await createWasmRenderer({
+      wasmDir: options.wasmDir,
+      librariesDir: options.librariesDir,
+    });
+
+    if (!existsSync(outDir)) {
+      mkdirSync(outDir, { recursive: true });
+    }
+
+    const baseName = basename(filePath, extname(filePath));
+    let failures = 0;
+
+    for (const job of jobs) {
+      const label = job.name ? `"${job.name}"` : baseName;
+      const outPath = outIsFile
+        ? outOption
+        : join(outDir, job.name ? `${baseName}-${slugify(job.name)}.${format}` : `${baseName}.${format}`);
+
+      const started = Date.now();
+      try {
+        const values = omitHiddenParameters(job.parameters, extracted.parameters);
+        const result = await renderer.render(filePath, values, { format, quality, libraries });
+        for (const warning of result.warnings) {
+          console.log(chalk.yellow(`⚠ ${warning}`));
+        }
+        writeFileSync(outPath, result.data);
+        const seconds = ((Date.now() - started) / 1000).toFixed(1);
+        console.log(chalk.green(`✓ ${label} → ${outPath} (${result.data.length} bytes, ${seconds}s)`));
+      } catch (err) {
+        failures++;
+        console.error(chalk.red(`✗ ${label} failed: ${err.message}`));
+      }
+    }
+
+    if (failures > 0) {
+      console.error(chalk.red(`\n✗ ${failures} of ${jobs.length} render(s) failed`));
+      process.exit(1);
+    }
+
+    console.log(chalk.green(`\n✓ Rendered ${jobs.length} file(s)`));
+  } catch (err) {
+    console.error(chalk.red(`✗ Unexpected error: ${err.message}`));
+    if (process.env.DEBUG) {
+      console.error(err.stack);
+    }
+    process.exit(1);
+  }
+}
@@ -3,10 +3,20 @@
  * @license GPL-3.0-or-later
  */
 
-import { readFileSync, existsSync, readdirSync, statSync, writeFileSync, mkdirSync } from 'fs';
-import { resolve, join, dirname } from 'path';
+import { readFileSync, existsSync, readdirSync, statSync, writeFileSync, mkdirSync, mkdtempSync, rmSync } from 'fs';
+import { resolve, join, dirname, extname } from 'path';
+import { tmpdir } from 'os';
 import chalk from 'chalk';
 import YAML from 'yaml';
+import { detectLibraries } from '../../src/js/library-manager.js';
+import { parseStl } from '../../src/js/threemf-writer.js';
+import { computeMeshMetrics, hausdorffDistance, compareMeshMetrics } from '../../src/js/mesh-metrics.js';
+import { createWasmRenderer, DEFAULT_WASM_DIR } from '../lib/wasm-renderer.js';
+import { createDockerRenderer } from '../lib/docker-renderer.js';
+import { readMeshPositions } from '../lib/mesh-file.js';
+
+/** Reference implementations accepted by --ref */
+const REFERENCE_RENDERERS = ['wasm', 'docker-openscad'];
 
 /**
  * Load test cases from YAML or JSON file
@@ -283,6 +293,17 @@ function saveGoldenFixture(fixturesPath, name, data) {
   writeFileSync(fixturePath, JSON.stringify(data, null, 2), 'utf-8');
 }
 
+/**
+ * Save the golden mesh for a fixture
+ * @param {string} fixturesPath - Path to fixtures directory
+ * @param {string} name - Fixture name
+ * @param {Uint8Array} data - STL file contents
+ */
+function saveGoldenGeometry(fixturesPath, name, data) {
+  mkdirSync(fixturesPath, { recursive: true });
+  writeFileSync(join(fixturesPath, `${name}.stl`), data);
+}
+
 /**
  * Compare parameter values
  * @param {Object} expected - Expected parameters
@@ -329,14 +350,98 @@ function compareParameters(expected, actual) {
   };
 }
 
+/**
+ * Find the OpenSCAD source to render for geometry checks
+ * Uses --scad when given, otherwise the source embedded in index.html
+ * (written to a temporary directory).
+ * @param {string} webappPath - Path to webapp directory
+ * @param {Object} options - Validation options
+ * @returns {{path: string, content: string, tempDir: string|null}|null}
+ */
+function resolveScadSource(webappPath, options) {
+  if (options.scad) {
+    const scadPath = resolve(options.scad);
+    return { path: scadPath, content: readFileSync(scadPath, 'utf-8'), tempDir: null };
+  }
+
+  const indexPath = join(webappPath, 'index.html');
+  if (!existsSync(indexPath)) return null;
+  const match = readFileSync(indexPath, 'utf-8').match(
+    /<script type="text\/plain" id="scad-source">\n?([\s\S]*?)<\/script>/
+  );
+  if (!match || !match[1].trim()) return null;
+
+  const tempDir = mkdtempSync(join(tmpdir(), 'forge-validate-'));
+  const scadPath = join(tempDir, 'model.scad');
+  writeFileSync(scadPath, match[1], 'utf-8');
+  return { path: scadPath, content: match[1], tempDir };
+}
+
+/**
+ * Load the reference renderer chosen with --ref
+ * @param {string} webappPath - Path to webapp directory
+ * @param {Object} options - Validation options
+ * @returns {Promise<Object>} Renderer with render(mainFile, params, options)
+ */
+async function createReferenceRenderer(webappPath, options) {
+  if (options.ref === 'docker-openscad') {
+    return createDockerRenderer({ image: options.dockerImage });
+  }
+
+  // Prefer the WASM build shipped with the scaffolded app
+  const webappWasmDir = join(webappPath, 'public', 'wasm', 'openscad-official');
+  const wasmDir =
+    options.wasmDir ||
+    (existsSync(join(webappWasmDir, 'openscad.wasm')) ? webappWasmDir : DEFAULT_WASM_DIR);
+  return createWasmRenderer({ wasmDir });
+}
+
+/**
+ * Read the golden mesh saved beside a fixture
+ * @param {string} fixturesPath - Path to fixtures directory
+ * @param {Object} geometry - Fixture geometry entry
+ * @returns {Promise<Float32Array|null>} Triangles, or null if the file is gone
+ */
+async function loadGoldenMesh(fixturesPath, geometry) {
+  if (!geometry.file) return null;
+  const meshPath = join(fixturesPath, geometry.file);
+  if (!existsSync(meshPath)) return null;
+  return readMeshPositions(readFileSync(meshPath), extname(meshPath).slice(1));
+}
+
+/**
+ * Compare a rendered mesh against a fixture's golden geometry
+ * @param {string} fixturesPath - Path to fixtures directory
+ * @param {Object} geometry - Fixture geometry entry ({file, metrics})
+ * @param {Object} rendered - Rendered mesh ({positions, metrics})
+ * @param {number} tolerance - Relative tolerance
+ * @returns {Promise<Object>} { match, differences, hausdorff }
+ */
+async function compareGeometry(fixturesPath, geometry, rendered, tolerance) {
+  const golden = await loadGoldenMesh(fixturesPath, geometry);
+  const expectedMetrics = geometry.metrics || (golden ? computeMeshMetrics(golden) : null);
+  if (!expectedMetrics) {
+    return { match: true, differences: [], hausdorff: undefined };
+  }
+
+  const hausdorff = golden ? hausdorffDistance(golden, rendered.positions) : undefined;
+  const comparison = compareMeshMetrics(expectedMetrics, rendered.metrics, { tolerance, hausdorff });
+  return {
+    match: comparison.match,
+    differences: comparison.differences.map((diff) => ({ type: 'geometry', ...diff })),
+    hausdorff,
+  };
+}
+
 /**
  * Run test cases
  * @param {string} webappPath - Path to webapp directory
  * @param {Array} testCases - Test cases to run
  * @param {Object} options - Validation options
- * @returns {Object} Test results
+ * @param {Object} [geometryContext] - Renderer and source for geometry checks
+ * @returns {Promise<Object>} Test results
  */
-function runTestCases(webappPath, testCases, options) {
+export async function runTestCases(webappPath, testCases, options, geometryContext = null) {
   console.log(chalk.gray(`Running ${testCases.length} test case(s)...`));
   
   const results = {
@@ -356,37 +461,97 @@ function runTestCases(webappPath, testCases, options) {
     console.log(chalk.blue(`  Loaded ${Object.keys(goldenFixtures).length} golden fixture(s)`));
   }
   
+  const tolerance = Number(options.tolerance ?? 0.001);
+  
   for (const testCase of testCases) {
     console.log(chalk.gray(`  Testing: ${testCase.name}`));
     
     const caseResult = {
       name: testCase.name,
       status: 'skipped',
-      reason: 'STL rendering tests require headless browser environment',
+      reason: 'No golden fixture (run with --save-fixtures to create one)',
     };
     
+    // Render the case so its geometry can be compared or saved
+    let rendered = null;
+    if (geometryContext) {
+      try {
+        const { renderer, source, libraries } = geometryContext;
+        const result = await renderer.render(source.path, testCase.params, { format: 'stl', libraries });
+        const positions = parseStl(result.data);
+        rendered = { data: result.data, positions, metrics: computeMeshMetrics(positions) };
+        caseResult.geometry = { metrics: rendered.metrics };
+      } catch (err) {
+        caseResult.status = 'failed';
+        caseResult.reason = `Render failed: ${err.message.split('\n')[0]}`;
+        results.failed++;
+        results.cases.push(caseResult);
+        continue;
+      }
+    }
+    
+    const fixture = goldenFixtures[testCase.name];
+    
     // Check if we have a golden fixture for this test case
-    if (goldenFixtures[testCase.name]) {
-      const comparison = compareParameters(goldenFixtures[testCase.name].params, testCase.params);
+    if (fixture) {
+      const comparison = compareParameters(fixture.params, testCase.params);
+      const differences = [...comparison.differences];
+      let geometryCompared = false;
       
-      if (comparison.match) {
+      if (!rendered && fixture.geometry) {
+        // Passing on parameters alone would hide geometry regressions
+        caseResult.status = 'failed';
+        caseResult.reason = 'Golden geometry not checked: no reference render (see warnings above)';
+        results.failed++;
+        results.cases.push(caseResult);
+        continue;
+      }
+      
+      if (rendered && fixture.geometry) {
+        const geometryComparison = await compareGeometry(fixturesPath, fixture.geometry, rendered, tolerance);
+        differences.push(...geometryComparison.differences);
+        caseResult.geometry.hausdorff = geometryComparison.hausdorff;
+        geometryCompared = true;
+      } else if (rendered && options.saveFixtures) {
+        // Older fixture without geometry: record it now
+        saveGoldenGeometry(fixturesPath, testCase.name, rendered.data);
+        saveGoldenFixture(fixturesPath, testCase.name, {
+          ...fixture,
+          geometry: { file: `${testCase.name}.stl`, ref: options.ref, metrics: rendered.metrics },
+        });
+        console.log(chalk.green(`    ✓ Added golden geometry: ${testCase.name}`));
+      }
+      
+      if (differences.length === 0) {
         caseResult.status = 'passed';
-        caseResult.reason = 'Parameters match golden fixture';
+        caseResult.reason = geometryCompared
+          ? 'Parameters and geometry match golden fixture'
+          : 'Parameters match golden fixture';
         results.passed++;
       } else {
+        const geometryDiffs = differences.filter((d) => d.type === 'geometry').length;
+        const paramDiffs = differences.length - geometryDiffs;
+        const parts = [];
+        if (paramDiffs > 0) parts.push(`${paramDiffs} parameter difference(s)`);
+        if (geometryDiffs > 0) parts.push(`${geometryDiffs} geometry difference(s)`);
         caseResult.status = 'failed';
-        caseResult.reason = `Parameters differ from golden fixture (${comparison.differences.length} difference(s))`;
-        caseResult.differences = comparison.differences;
+        caseResult.reason = `Differs from golden fixture (${parts.join(', ')})`;
+        caseResult.differences = differences;
         results.failed++;
       }
     } else {
       // Save as new golden fixture if requested
       if (options.saveFixtures) {
-        saveGoldenFixture(fixturesPath, testCase.name, {
+        const fixtureData = {
           name: testCase.name,
           params: testCase.params,
           timestamp: new Date().toISOString(),
-        });
+        };
+        if (rendered) {
+          saveGoldenGeometry(fixturesPath, testCase.name, rendered.data);
+          fixtureData.geometry = { file: `${testCase.name}.stl`, ref: options.ref, metrics: rendered.metrics };
+        }
+        saveGoldenFixture(fixturesPath, testCase.name, fixtureData);
         caseResult.reason = 'Saved as golden fixture';
         console.log(chalk.green(`    ✓ Saved golden fixture: ${testCase.name}`));
       }
@@ -399,6 +564,41 @@ function runTestCases(webappPath, testCases, options) {
   return results;
 }
 
+/**
+ * Escape text for XML attributes and content
+ * @param {string} value - Raw text
+ * @returns {string}
+ */
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Describe a parameter or geometry difference in one line
+ * @param {Object} diff - Difference from compareParameters() or compareGeometry()
+ * @returns {string}
+ */
+function describeDifference(diff) {
+  if (diff.type === 'geometry') {
+    const round = (n) => Number(Number(n).toPrecision(6));
+    if (diff.metric === 'hausdorff') {
+      return `hausdorff: surfaces are ${round(diff.actual)} apart (limit ${round(diff.limit)})`;
+    }
+    return `${diff.metric}: expected ${round(diff.expected)}, got ${round(diff.actual)} (limit ±${round(diff.limit)})`;
+  }
+  if (diff.type === 'missing') {
+    return `${diff.parameter}: missing (expected: ${JSON.stringify(diff.expected)})`;
+  }
+  if (diff.type === 'unexpected') {
+    return `${diff.parameter}: unexpected (actual: ${JSON.stringify(diff.actual)})`;
+  }
+  return `${diff.parameter}: expected ${JSON.stringify(diff.expected)}, got ${JSON.stringify(diff.actual)}`;
+}
+
 /**
  * Format validation results
  * @param {Object} results - Validation results
@@ -409,7 +609,7 @@ function formatResults(results, format) {
   // Calculate overall pass/fail status
   const schemaValid = results.schema?.valid ?? true;
   const uiValid = results.ui?.valid ?? true;
-  const testsPassed = results.testResults?.failed === 0;
+  const testsPassed = (results.testResults?.failed ?? 0) === 0;
   const allPassed = schemaValid && uiValid && testsPassed;
   
   if (format === 'json') {
@@ -444,11 +644,14 @@ function formatResults(results, format) {
     xml += `  <testsuite name="OpenSCAD Forge Validation" tests="${results.testResults?.total || 0}">\n`;
     
     for (const testCase of results.testResults?.cases || []) {
-      xml += `    <testcase name="${testCase.name}">\n`;
+      xml += `    <testcase name="${escapeXml(testCase.name)}">\n`;
       if (testCase.status === 'skipped') {
-        xml += `      <skipped message="${testCase.reason}" />\n`;
+        xml += `      <skipped message="${escapeXml(testCase.reason)}" />\n`;
       } else if (testCase.status === 'failed') {
-        xml += `      <failure message="${testCase.reason}" />\n`;
+        const details = (testCase.differences || []).map(describeDifference).join('\n');
+        xml += details
+          ? `      <failure message="${escapeXml(testCase.reason)}">${escapeXml(details)}</failure>\n`
+          : `      <failure message="${escapeXml(testCase.reason)}" />\n`;
       }
       xml += '    </testcase>\n';
     }
@@ -508,6 +711,10 @@ function formatResults(results, format) {
         output += chalk.red(`    ✗ ${test.name}: ${test.reason}\n`);
         if (test.differences) {
           for (const diff of test.differences) {
+            if (diff.type === 'geometry') {
+              output += chalk.yellow(`      - ${describeDifference(diff)}\n`);
+              continue;
+            }
             output += chalk.gray(`      - ${diff.parameter}: `);
             if (diff.type === 'missing') {
               output += chalk.red(`missing (expected: ${JSON.stringify(diff.expected)})\n`);
@@ -525,8 +732,7 @@ function formatResults(results, format) {
   
   // Summary
   output += chalk.blue('─'.repeat(60)) + '\n';
-  const allValid = results.schema.valid && results.ui.valid;
-  if (allValid) {
+  if (allPassed) {
     output += chalk.green.bold('  ✓ Validation PASSED\n');
   } else {
     output += chalk.red.bold('  ✗ Validation FAILED\n');
@@ -575,7 +781,40 @@ export async function validateCommand(webapp, options) {
       } else {
         console.log(chalk.gray('Loading test cases...'));
         const testCases = loadTestCases(casesPath);
-        results.testResults = runTestCases(webappPath, testCases, options);
+        
+        if (!REFERENCE_RENDERERS.includes(options.ref)) {
+          console.error(chalk.red(`✗ Unknown reference: ${options.ref}`));
+          console.log(chalk.gray(`Reference implementations: ${REFERENCE_RENDERERS.join(', ')}`));
+          process.exit(1);
+        }
+        const tolerance = Number(options.tolerance);
+        if (!Number.isFinite(tolerance) || tolerance < 0) {
+          console.error(chalk.red(`✗ Invalid tolerance: ${options.tolerance}`));
+          process.exit(1);
+        }
+        
+        // Render each case for golden geometry comparison
+        let geometryContext = null;
+        const source = resolveScadSource(webappPath, options);
+        if (!source) {
+          console.log(chalk.yellow('⚠ No OpenSCAD source found (index.html #scad-source or --scad); comparing parameters only'));
+        } else {
+          try {
+            console.log(chalk.gray(`Loading reference renderer (${options.ref})...`));
+            const renderer = await createReferenceRenderer(webappPath, options);
+            geometryContext = { renderer, source, libraries: detectLibraries(source.content) };
+          } catch (err) {
+            console.log(chalk.yellow(`⚠ Geometry checks skipped: ${err.message}`));
+          }
+        }
+        
+        try {
+          results.testResults = await runTestCases(webappPath, testCases, { ...options, tolerance }, geometryContext);
+        } finally {
+          if (source?.tempDir) {
+            rmSync(source.tempDir, { recursive: true, force: true });
+          }
+        }
       }
     }
     
@@ -583,9 +822,10 @@ export async function validateCommand(webapp, options) {
     const output = formatResults(results, options.format);
     console.log(output);
     
-    // Exit with appropriate code
+    // Exit with appropriate code (geometry regressions fail CI too)
     const allValid = results.schema.valid && results.ui.valid;
-    if (!allValid) {
+    const testsPassed = (results.testResults?.failed ?? 0) === 0;
+    if (!allValid || !testsPassed) {
       process.exit(1);
     }
     
@@ -0,0 +1,112 @@
+/**
+ * Docker Renderer - Render with desktop OpenSCAD in the official Docker image
+ *
+ * Reference renderer for `validate --ref docker-openscad`. Same interface as
+ * createWasmRenderer() so golden fixtures can come from either engine.
+ *
+ * @license GPL-3.0-or-later
+ */
+
+import { spawnSync } from 'child_process';
+import { readFileSync, existsSync, rmSync } from 'fs';
+import { dirname, basename, resolve, join } from 'path';
+import { buildDefineArgs } from '../../src/js/scad-value-utils.js';
+import { applyQualityPreset } from '../../src/js/quality-tiers.js';
+import { LIBRARY_DEFINITIONS } from '../../src/js/library-manager.js';
+import { DEFAULT_LIBRARIES_DIR } from './wasm-renderer.js';
+
+export const DEFAULT_DOCKER_IMAGE = 'openscad/openscad:latest';
+
+/** Library bundles are mounted here, as in the WASM renderer and worker */
+const LIBRARY_ROOT = '/libraries';
+
+/** Longest a single Docker render may take */
+const RENDER_TIMEOUT_MS = 10 * 60 * 1000;
+
+/**
+ * Create a renderer that runs OpenSCAD through `docker run`
+ * @param {Object} [options]
+ * @param {string} [options.image] - Docker image with an `openscad` binary
+ * @param {string} [options.librariesDir] - Directory holding library bundles
+ * @returns {Promise<{render: Function}>}
+ */
+export async function createDockerRenderer(options = {}) {
+  const image = options.image || DEFAULT_DOCKER_IMAGE;
+  const librariesDir = resolve(options.librariesDir || DEFAULT_LIBRARIES_DIR);
+
+  const probe = spawnSync('docker', ['version', '--format', '{{.Server.Version}}'], {
+    encoding: 'utf-8',
+  });
+  if (probe.error || probe.status !== 0) {
+    throw new Error(
+      `Docker is not available (${probe.error?.message || probe.stderr?.trim() || 'docker version failed'}). Use --ref wasm instead.`
+    );
+  }
+
+  /**
+   * Render a model
+   * @param {string} mainFile - Path of the main .scad file on disk
+   * @param {Object} parameters - Parameter overrides
+   * @param {Object} [renderOptions]
+   * @param {string} [renderOptions.format='stl'] - Output format
+   * @param {Object|null} [renderOptions.quality] - Quality preset
+   * @param {string[]} [renderOptions.libraries] - Library IDs to mount
+   * @returns {Promise<{data: Uint8Array, output: string, warnings: string[]}>}
+   */
+  const render = async (mainFile, parameters = {}, renderOptions = {}) => {
+    const { format = 'stl', quality = null, libraries = [] } = renderOptions;
+    const projectDir = dirname(resolve(mainFile));
+    const outputName = `.forge-validate-output.${format}`;
+    const outputPath = join(projectDir, outputName);
+    const adjusted = quality ? applyQualityPreset(parameters, quality) : parameters;
+    const warnings = [];
+
+    // Mount each library read-only at the path the WASM renderer uses
+    const libraryArgs = [];
+    for (const libraryId of libraries) {
+      const definition = LIBRARY_DEFINITIONS[libraryId];
+      const libDir = join(librariesDir, libraryId);
+      if (!definition || !existsSync(libDir)) {
+        warnings.push(`Library ${libraryId} is not installed in ${librariesDir}`);
+        continue;
+      }
+      libraryArgs.push('-v', `${libDir}:${definition.path}:ro`);
+    }
+
+    const result = spawnSync(
+      'docker',
+      [
+        'run',
+        '--rm',
+        '-v',
+        `${projectDir}:/work`,
+        ...libraryArgs,
+        '-e',
+        `OPENSCADPATH=${LIBRARY_ROOT}`,
+        '-w',
+        '/work',
+        image,
+        'openscad',
+        ...buildDefineArgs(adjusted),
+        '-o',
+        `/work/${outputName}`,
+        `/work/${basename(mainFile)}`,
+      ],
+      { encoding: 'utf-8', timeout: RENDER_TIMEOUT_MS }
+    );
+    const output = `${result.stdout || ''}${result.stderr || ''}`;
+
+    try {
+      if (result.error || result.status !== 0 || !existsSync(outputPath)) {
+        throw new Error(
+          `OpenSCAD (Docker) failed with exit code ${result.status ?? 'unknown'}${output ? `:\n${output.trim()}` : ''}`
+        );
+      }
+      return { data: new Uint8Array(readFileSync(outputPath)), output, warnings };
+    } finally {
+      rmSync(outputPath, { force: true });
+    }
+  };
+
+  return { render };
+}
@@ -0,0 +1,106 @@
+/**
+ * Mesh File - Read STL and 3MF files into triangle soups
+ * @license GPL-3.0-or-later
+ */
+
+import JSZip from 'jszip';
+import { parseStl } from '../../src/js/threemf-writer.js';
+
+/**
+ * Parse the numeric attributes of an XML element's opening tag
+ * @param {string} tag - Opening tag text
+ * @returns {Object} Attribute name -> string value
+ */
+function readAttributes(tag) {
+  const attributes = {};
+  for (const match of tag.matchAll(/([\w:]+)="([^"]*)"/g)) {
+    attributes[match[1]] = match[2];
+  }
+  return attributes;
+}
+
+/**
+ * Apply a 3MF affine transform ("m00 m01 m02 m10 ... m32") to a point
+ * @param {number[]} m - Twelve matrix values
+ * @param {number} x
+ * @param {number} y
+ * @param {number} z
+ * @returns {number[]}
+ */
+function transformPoint(m, x, y, z) {
+  return [
+    x * m[0] + y * m[3] + z * m[6] + m[9],
+    x * m[1] + y * m[4] + z * m[7] + m[10],
+    x * m[2] + y * m[5] + z * m[8] + m[11],
+  ];
+}
+
+/**
+ * Read triangles from a 3MF archive
+ * Mesh objects placed by build items are included with the item transform;
+ * component assemblies are not supported.
+ * @param {Uint8Array|Buffer} data - 3MF file contents
+ * @returns {Promise<Float32Array>} Nine values per triangle
+ */
+export async function parseThreeMF(data) {
+  const zip = await JSZip.loadAsync(data);
+  const modelFile = Object.values(zip.files).find((file) =>
+    /\.model$/i.test(file.name)
+  );
+  if (!modelFile) {
+    throw new Error('3MF archive has no 3D model part');
+  }
+  const xml = await modelFile.async('string');
+
+  const meshes = {};
+  for (const match of xml.matchAll(/<object\b([^>]*)>([\s\S]*?)<\/object>/g)) {
+    const { id } = readAttributes(match[1]);
+    const body = match[2];
+    const vertices = [...body.matchAll(/<vertex\b([^>]*)\/>/g)].map((v) => {
+      const a = readAttributes(v[1]);
+      return [Number(a.x), Number(a.y), Number(a.z)];
+    });
+    const triangles = [...body.matchAll(/<triangle\b([^>]*)\/>/g)].map((t) => {
+      const a = readAttributes(t[1]);
+      return [Number(a.v1), Number(a.v2), Number(a.v3)];
+    });
+    meshes[id] = { vertices, triangles };
+  }
+
+  const items = [...xml.matchAll(/<item\b([^>]*)\/>/g)].map((m) =>
+    readAttributes(m[1])
+  );
+  const placed = items.length > 0 ? items : Object.keys(meshes).map((objectid) => ({ objectid }));
+
+  const values = [];
+  for (const item of placed) {
+    const mesh = meshes[item.objectid];
+    if (!mesh) continue;
+    const matrix = item.transform ? item.transform.trim().split(/\s+/).map(Number) : null;
+    for (const triangle of mesh.triangles) {
+      for (const index of triangle) {
+        const [x, y, z] = mesh.vertices[index];
+        values.push(...(matrix ? transformPoint(matrix, x, y, z) : [x, y, z]));
+      }
+    }
+  }
+
+  return new Float32Array(values);
+}
+
+/**
+ * Read a mesh file by format
+ * @param {Uint8Array|Buffer} data - File contents
+ * @param {string} format - 'stl' or '3mf'
+ * @returns {Promise<Float32Array>} Nine values per triangle
+ */
+export async function readMeshPositions(data, format) {
+  const normalized = String(format).toLowerCase().replace(/^\./, '');
+  if (normalized === 'stl') {
+    return parseStl(new Uint8Array(data));
+  }
+  if (normalized === '3mf') {
+    return parseThreeMF(data);
+  }
+  throw new Error(`Cannot read ${format} meshes (use STL or 3MF)`);
+}
@@ -0,0 +1,426 @@
+/**
+ * WASM Renderer - Run the official OpenSCAD WASM build under Node.js
+ *
+ * Loads the same vendored build the web worker uses
+ * (public/wasm/openscad-official) and mirrors the worker's render path:
+ * quality presets from quality-tiers.js, -D flags from scad-value-utils.js,
+ * fonts in /usr/share/fonts and library bundles mounted under /libraries,
+ * checked against the hashes in their manifest.json.
+ *
+ * @license GPL-3.0-or-later
+ */
+
+import { readFileSync, readdirSync, existsSync, statSync } from 'fs';
+import { join, resolve, dirname, relative, basename, extname, posix } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { buildDefineArgs } from '../../src/js/scad-value-utils.js';
+import { createThreeMF } from '../../src/js/threemf-writer.js';
+import { colorPartsToThreeMFObjects, parseColoredOff } from '../../src/js/color-parts.js';
+import { applyQualityPreset } from '../../src/js/quality-tiers.js';
+import { LIBRARY_DEFINITIONS } from '../../src/js/library-manager.js';
+import { verifyIntegrity } from '../../src/js/library-integrity.js';
+import { scanIncludes } from '../../src/js/zip-handler.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const PUBLIC_DIR = resolve(__dirname, '..', '..', 'public');
+
+export const DEFAULT_WASM_DIR = join(PUBLIC_DIR, 'wasm', 'openscad-official');
+export const DEFAULT_FONTS_DIR = join(PUBLIC_DIR, 'fonts');
+export const DEFAULT_LIBRARIES_DIR = join(PUBLIC_DIR, 'libraries');
+
+/** Output formats OpenSCAD can export */
+export const RENDER_FORMATS = ['stl', 'obj', 'off', 'amf', '3mf', 'svg', 'dxf'];
+
+const PROJECT_ROOT = '/project';
+const LIBRARY_ROOT = '/libraries';
+const FONT_PATH = '/usr/share/fonts/truetype/liberation';
+
+/** Directories skipped when listing a library folder without a manifest */
+const SKIPPED_DIRECTORIES = new Set(['node_modules', '.git', 'dist']);
+
+/** import() and surface() calls with a literal file name */
+const DATA_FILE_PATTERN = /\b(?:import|surface)\s*\(\s*(?:file\s*=\s*)?"([^"]+)"/g;
+
+/** Largest single project file mounted into the virtual filesystem */
+const MAX_PROJECT_FILE_BYTES = 10 * 1024 * 1024;
+
+/**
+ * Create every missing directory along an absolute FS path
+ * @param {Object} FS - Emscripten filesystem
+ * @param {string} dirPath - Absolute directory path
+ */
+function ensureDir(FS, dirPath) {
+  let current = '';
+  for (const part of dirPath.split('/').filter(Boolean)) {
+    current += `/${part}`;
+    if (!FS.analyzePath(current).exists) {
+      FS.mkdir(current);
+    }
+  }
+}
+
+/**
+ * Write a file into the virtual filesystem, creating parent directories
+ * @param {Object} FS - Emscripten filesystem
+ * @param {string} filePath - Absolute file path
+ * @param {string|Uint8Array} content - File content
+ */
+function writeVirtualFile(FS, filePath, content) {
+  ensureDir(FS, filePath.substring(0, filePath.lastIndexOf('/')));
+  FS.writeFile(filePath, content);
+}
+
+/**
+ * List files below a directory on disk, relative to it
+ * @param {string} root - Directory to walk
+ * @returns {string[]} Relative paths using forward slashes
+ */
+export function listProjectFiles(root) {
+  const files = [];
+
+  const walk = (dir) => {
+    for (const entry of readdirSync(dir, { withFileTypes: true })) {
+      if (entry.name.startsWith('.') || SKIPPED_DIRECTORIES.has(entry.name)) {
+        continue;
+      }
+      const fullPath = join(dir, entry.name);
+      if (entry.isDirectory()) {
+        walk(fullPath);
+      } else if (entry.isFile() && statSync(fullPath).size <= MAX_PROJECT_FILE_BYTES) {
+        files.push(relative(root, fullPath).split('\\').join('/'));
+      }
+    }
+  };
+
+  walk(root);
+  return files.sort();
+}
+
+/**
+ * Resolve a path named in a project file against that file's folder
+ * @param {string} fromFile - Referencing file, relative to the project root
+ * @param {string} target - Path as written in the source
+ * @returns {string|null} Relative path, or null if it leaves the project
+ */
+function resolveProjectPath(fromFile, target) {
+  if (!target || posix.isAbsolute(target)) return null;
+  const resolved = posix.normalize(posix.join(posix.dirname(fromFile), target));
+  return resolved === '..' || resolved.startsWith('../') ? null : resolved;
+}
+
+/**
+ * List the project files a model uses, relative to the main file's folder
+ * Follows include/use from the main file, plus import() and surface() with a
+ * literal file name, so nothing else in the folder (other designs, build
+ * output, notes) is copied into the virtual filesystem. Paths built at run
+ * time, such as import(str(name, ".stl")), can't be followed.
+ * @param {string} mainFile - Path of the main .scad file on disk
+ * @returns {string[]} Relative paths using forward slashes, main file included
+ */
+export function listReferencedFiles(mainFile) {
+  const root = dirname(resolve(mainFile));
+  const found = new Set();
+  const queue = [basename(mainFile)];
+
+  while (queue.length > 0) {
+    const file = queue.shift();
+    if (found.has(file)) continue;
+    const fullPath = join(root, file);
+    // Includes that aren't in the project are library includes
+    if (!existsSync(fullPath)) continue;
+    const stats = statSync(fullPath);
+    if (!stats.isFile() || stats.size > MAX_PROJECT_FILE_BYTES) continue;
+    found.add(file);
+
+    if (!/\.scad$/i.test(file)) continue;
+    const content = readFileSync(fullPath, 'utf-8');
+    const targets = [
+      ...scanIncludes(content).map((statement) => statement.match(/[<"]([^>"]+)[>"]/)?.[1]),
+      ...Array.from(content.matchAll(DATA_FILE_PATTERN), (match) => match[1]),
+    ];
+    for (const target of targets) {
+      const path = resolveProjectPath(file, target);
+      if (path) queue.push(path);
+    }
+  }
+
+  return [...found].sort();
+}
+
+/**
+ * Pick the OpenSCAD flags supported by this build from its --help text
+ * @param {string} helpText - Output of `openscad --help`
+ * @returns {{hasManifold: boolean, hasBinarySTL: boolean}}
+ */
+export function parseCapabilities(helpText) {
+  if (!helpText) {
+    // Same assumption the web worker makes when --help prints nothing
+    return { hasManifold: true, hasBinarySTL: false };
+  }
+  return {
+    hasManifold: /manifold/i.test(helpText),
+    hasBinarySTL: helpText.includes('export-format') || helpText.includes('binstl'),
+  };
+}
+
+/**
+ * Build the OpenSCAD command line for a render
+ * @param {Object} options
+ * @param {Object} options.parameters - Parameter values (after quality adjustment)
+ * @param {string} options.format - Output format
+ * @param {string} options.inputFile - Main file path in the virtual FS
+ * @param {string} options.outputFile - Output path in the virtual FS
+ * @param {Object} options.capabilities - Result of parseCapabilities()
+ * @param {boolean} [options.withPerformanceFlags=true] - Include backend/export flags
+ * @returns {string[]} Arguments for callMain()
+ */
+export function buildRenderArgs({
+  parameters,
+  format,
+  inputFile,
+  outputFile,
+  capabilities,
+  withPerformanceFlags = true,
+}) {
+  const flags = [];
+  if (withPerformanceFlags && capabilities.hasManifold) {
+    flags.push('--backend=Manifold');
+  }
+  if (withPerformanceFlags && format === 'stl' && capabilities.hasBinarySTL) {
+    flags.push('--export-format=binstl');
+  }
+  return [...flags, ...buildDefineArgs(parameters), '-o', outputFile, inputFile];
+}
+
+/**
+ * Read a library bundle from disk
+ * Files listed in the manifest are checked against its sha256 hashes, the
+ * same check the web worker makes before mounting them.
+ * @param {string} librariesDir - Directory holding library bundles
+ * @param {string} libraryId - Library ID from LIBRARY_DEFINITIONS
+ * @returns {Promise<{files: Array<[string, Uint8Array]>, checked: boolean}|null>}
+ *   Null when the library is not installed; checked is false when there are
+ *   no hashes to check against
+ * @throws {Error} When a file does not match its recorded hash
+ */
+export async function readLibraryFiles(librariesDir, libraryId) {
+  const libDir = join(librariesDir, libraryId);
+  if (!LIBRARY_DEFINITIONS[libraryId] || !existsSync(libDir)) return null;
+
+  const manifestPath = join(libDir, 'manifest.json');
+  const manifest = existsSync(manifestPath)
+    ? JSON.parse(readFileSync(manifestPath, 'utf-8'))
+    : null;
+  const files = (manifest ? manifest.files || [] : listProjectFiles(libDir))
+    .filter((file) => existsSync(join(libDir, file)))
+    .map((file) => [file, readFileSync(join(libDir, file))]);
+
+  const integrity = manifest?.integrity || null;
+  if (integrity) {
+    for (const [file, bytes] of files) {
+      if (!(await verifyIntegrity(bytes, integrity[file]))) {
+        throw new Error(
+          `Integrity check failed for ${libraryId}/${file}. The library files do not match their recorded hashes.`
+        );
+      }
+    }
+  }
+  return { files, checked: Boolean(integrity) };
+}
+
+/**
+ * Load the OpenSCAD WASM module and return a renderer bound to it
+ * @param {Object} [options]
+ * @param {string} [options.wasmDir] - Directory holding openscad.js and openscad.wasm
+ * @param {string} [options.fontsDir] - Directory holding the Liberation fonts
+ * @param {string} [options.librariesDir] - Directory holding library bundles
+ * @returns {Promise<{render: Function, capabilities: Object}>}
+ */
+export async function createWasmRenderer(options = {}) {
+  const wasmDir = resolve(options.wasmDir || DEFAULT_WASM_DIR);
+  const fontsDir = resolve(options.fontsDir || DEFAULT_FONTS_DIR);
+  const librariesDir = resolve(options.librariesDir || DEFAULT_LIBRARIES_DIR);
+
+  const jsPath = join(wasmDir, 'openscad.js');
+  const wasmPath = join(wasmDir, 'openscad.wasm');
+  if (!existsSync(jsPath) || !existsSync(wasmPath)) {
+    throw new Error(
+      `OpenSCAD WASM not found in ${wasmDir} (expected openscad.js and openscad.wasm). Run "npm run setup-wasm" first.`
+    );
+  }
+
+  const { default: OpenSCAD } = await import(pathToFileURL(jsPath).href);
+  // Compile once, the slow part, and give every render a fresh instance.
+  // The web worker keeps one instance and unmounts the previous model's files
+  // itself; here a new instance guarantees that no files or state from an
+  // earlier render (or a failed callMain()) reach the next one, which matters
+  // when one command renders many parameter sets or test cases.
+  const wasmModule = await WebAssembly.compile(readFileSync(wasmPath));
+  const fontFiles = existsSync(fontsDir)
+    ? readdirSync(fontsDir).filter((f) => f.endsWith('.ttf'))
+    : [];
+
+  /**
+   * Start a fresh OpenSCAD instance with fonts mounted
+   * @returns {Promise<{module: Object, FS: Object, getOutput: Function}>}
+   */
+  const createInstance = async () => {
+    let consoleOutput = '';
+    const module = await OpenSCAD({
+      noInitialRun: true,
+      noExitRuntime: true,
+      instantiateWasm: (imports, receiveInstance) => {
+        WebAssembly.instantiate(wasmModule, imports).then((instance) =>
+          receiveInstance(instance, wasmModule)
+        );
+        return {};
+      },
+      print: (text) => {
+        consoleOutput += text + '\n';
+      },
+      printErr: (text) => {
+        consoleOutput += '[ERR] ' + text + '\n';
+      },
+    });
+    await module.ready;
+
+    const FS = module.FS;
+    for (const fontFile of fontFiles) {
+      writeVirtualFile(FS, `${FONT_PATH}/${fontFile}`, readFileSync(join(fontsDir, fontFile)));
+    }
+    if (module.ENV) {
+      module.ENV.OPENSCADPATH = LIBRARY_ROOT;
+    }
+
+    return {
+      module,
+      FS,
+      getOutput: () => consoleOutput,
+    };
+  };
+
+  const probe = await createInstance();
+  try {
+    await probe.module.callMain(['--help']);
+  } catch {
+    // --help may exit non-zero
+  }
+  const capabilities = parseCapabilities(probe.getOutput());
+
+  /**
+   * Mount a library bundle from disk, using its manifest like the worker does
+   * @param {Object} FS - Emscripten filesystem
+   * @param {string} libraryId - Library ID from LIBRARY_DEFINITIONS
+   * @returns {Promise<{files: Array<[string, Uint8Array]>, checked: boolean}|null>}
+   *   From readLibraryFiles(); null if the library is not installed
+   */
+  const mountLibrary = async (FS, libraryId) => {
+    const library = await readLibraryFiles(librariesDir, libraryId);
+    for (const [file, bytes] of library?.files || []) {
+      writeVirtualFile(FS, `${LIBRARY_DEFINITIONS[libraryId].path}/${file}`, bytes);
+    }
+    return library;
+  };
+
+  /**
+   * Render a model
+   * @param {string} mainFile - Path of the main .scad file on disk
+   * @param {Object} parameters - Parameter overrides
+   * @param {Object} [renderOptions]
+   * @param {string} [renderOptions.format='stl'] - Output format
+   * @param {Object|null} [renderOptions.quality] - Quality preset, or null to keep the model's settings
+   * @param {string[]} [renderOptions.libraries] - Library IDs to mount
+   * @returns {Promise<{data: Uint8Array, output: string, warnings: string[]}>}
+   */
+  const render = async (mainFile, parameters = {}, renderOptions = {}) => {
+    const { format = 'stl', quality = null, libraries = [] } = renderOptions;
+    if (!RENDER_FORMATS.includes(format)) {
+      throw new Error(`Unsupported format "${format}". Use one of: ${RENDER_FORMATS.join(', ')}`);
+    }
+
+    const projectDir = dirname(resolve(mainFile));
+    const projectFiles = listReferencedFiles(mainFile);
+    const inputFile = `${PROJECT_ROOT}/${relative(projectDir, resolve(mainFile)).split('\\').join('/')}`;
+    // The vendored build has no lib3mf: render OFF, which keeps color() per
+    // face, and package one object per color ourselves
+    const engineFormat = format === '3mf' ? 'off' : format;
+    const outputFile = `/tmp/output.${engineFormat}`;
+    const adjusted = quality ? applyQualityPreset(parameters, quality) : parameters;
+    const warnings = [];
+
+    const run = async (withPerformanceFlags) => {
+      const instance = await createInstance();
+      const { module, FS } = instance;
+
+      for (const libraryId of libraries) {
+        const library = await mountLibrary(FS, libraryId);
+        if (!withPerformanceFlags) continue;
+        if (!library) {
+          warnings.push(`Library ${libraryId} is not installed in ${librariesDir}`);
+        } else if (!library.checked) {
+          warnings.push(`Library ${libraryId} has no integrity hashes; its files were not checked`);
+        }
+      }
+      // Mount the files the model uses so include/use/import() resolve as on desktop
+      for (const file of projectFiles) {
+        writeVirtualFile(FS, `${PROJECT_ROOT}/${file}`, readFileSync(join(projectDir, file)));
+      }
+      ensureDir(FS, '/tmp');
+
+      const args = buildRenderArgs({
+        parameters: adjusted,
+        format: engineFormat,
+        inputFile,
+        outputFile,
+        capabilities,
+        withPerformanceFlags,
+      });
+
+      let exitCode;
+      try {
+        exitCode = await module.callMain(args);
+      } catch (error) {
+        // Emscripten throws the exit status for aborts
+        exitCode = typeof error === 'number' ? error : 1;
+      }
+
+      const data = FS.analyzePath(outputFile).exists ? FS.readFile(outputFile) : null;
+      return { exitCode, output: instance.getOutput(), data };
+    };
+
+    let result = await run(true);
+    if (result.exitCode !== 0 && !result.output.trim()) {
+      // Fail open like the worker: retry silent aborts without the optional flags
+      result = await run(false);
+    }
+
+    const { exitCode, output, data } = result;
+    if (exitCode !== 0 || !data) {
+      throw new Error(
+        `OpenSCAD failed with exit code ${exitCode}${output ? `:\n${output.trim()}` : ''}`
+      );
+    }
+    if (/top[- ]level object is empty/i.test(output)) {
+      throw new Error(`Current top level object is empty:\n${output.trim()}`);
+    }
+    if (data.length === 0) {
+      const reason = output.match(/^.*(?:not enabled|not supported).*$/im);
+      throw new Error(
+        `OpenSCAD produced an empty ${engineFormat} file${reason ? `: ${reason[0].replace('[ERR] ', '')}` : ''}`
+      );
+    }
+
+    if (format === '3mf') {
+      const objects = colorPartsToThreeMFObjects(parseColoredOff(data));
+      if (objects.length === 1 && !objects[0].color) {
+        objects[0].name = basename(mainFile, extname(mainFile));
+      }
+      const threemf = await createThreeMF(objects);
+      return { data: threemf, output, warnings };
+    }
+
+    return { data, output, warnings };
+  };
+
+  return { render, capabilities };
+}
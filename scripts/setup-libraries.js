@@ -4,8 +4,14 @@
  * @license GPL-3.0-or-later
  * 
  * This script downloads popular OpenSCAD libraries for use in the web customizer.
+ *
+ * Each library is checked out at the commit recorded in libraries.lock.json,
+ * so every build mounts the same library code. A library missing from the
+ * lock is not set up: run with --update to pin every library at its branch
+ * head, then commit the lock file.
  */
 
+import crypto from 'crypto';
 import fs from 'fs';
 import path from 'path';
 import https from 'https';
@@ -15,6 +21,10 @@ import { promisify } from 'util';
 const execAsync = promisify(exec);
 
 const LIBRARIES_DIR = path.join(process.cwd(), 'public', 'libraries');
+const LOCK_PATH = path.join(process.cwd(), 'libraries.lock.json');
+
+// Files written into the OpenSCAD filesystem when a library is mounted
+const LIBRARY_FILE_EXTENSIONS = new Set(['.scad', '.dat', '.svg', '.dxf', '.csv', '.json']);
 
 // Library definitions
 const LIBRARIES = {
@@ -72,32 +82,63 @@ async function checkGit() {
   }
 }
 
+/**
+ * Read the pinned commits
+ * @returns {Object<string, {commit: string}>} Library name -> lock entry
+ */
+function readLock() {
+  if (!fs.existsSync(LOCK_PATH)) return {};
+  return JSON.parse(fs.readFileSync(LOCK_PATH, 'utf-8')).libraries || {};
+}
+
+/**
+ * Write the pinned commits
+ * @param {Object<string, {commit: string}>} libraries - Library name -> lock entry
+ */
+function writeLock(libraries) {
+  const lock = {
+    description: 'Library commits checked out by npm run setup-libraries',
+    libraries,
+  };
+  fs.writeFileSync(LOCK_PATH, JSON.stringify(lock, null, 2) + '\n');
+  console.log(`\n✓ Wrote ${LOCK_PATH}`);
+}
+
 /**
  * Clone or update a library
+ * @param {Object} libConfig - Entry from LIBRARIES
+ * @param {string|null} commit - Pinned commit, or null for the branch head
+ * @returns {Promise<string|null>} Checked-out commit, or null on failure
  */
-async function setupLibrary(libConfig) {
+async function setupLibrary(libConfig, commit = null) {
   const libPath = path.join(LIBRARIES_DIR, libConfig.name);
   
   try {
-    if (fs.existsSync(libPath)) {
-      console.log(`\n📦 Updating ${libConfig.name}...`);
-      process.chdir(libPath);
-      await execAsync('git pull');
-      console.log(`✓ ${libConfig.name} updated`);
-    } else {
+    if (!fs.existsSync(libPath)) {
       console.log(`\n📦 Downloading ${libConfig.name}...`);
       console.log(`   ${libConfig.description}`);
       console.log(`   License: ${libConfig.license}`);
       
-      const { stdout } = await execAsync(
+      await execAsync(
         `git clone --depth 1 --branch ${libConfig.branch} ${libConfig.repo} "${libPath}"`
       );
       
       console.log(`✓ ${libConfig.name} downloaded`);
     }
+
+    process.chdir(libPath);
+    if (commit) {
+      console.log(`\n📌 Checking out ${libConfig.name} at ${commit.slice(0, 7)}...`);
+      await execAsync(`git fetch --depth 1 origin ${commit}`);
+      await execAsync(`git checkout --detach ${commit}`);
+    } else {
+      console.log(`\n📦 Updating ${libConfig.name} to ${libConfig.branch}...`);
+      await execAsync(`git fetch --depth 1 origin ${libConfig.branch}`);
+      await execAsync('git checkout --detach FETCH_HEAD');
+    }
+    console.log(`✓ ${libConfig.name} ready`);
     
     // Get commit info
-    process.chdir(libPath);
     const { stdout: commitInfo } = await execAsync('git log -1 --format="%H %ci"');
     const [hash, date] = commitInfo.trim().split(' ');
     
@@ -116,12 +157,61 @@ async function setupLibrary(libConfig) {
       path.join(libPath, '.library-metadata.json'),
       JSON.stringify(metadata, null, 2)
     );
+
+    writeLibraryFileManifest(libPath, hash);
     
-    return true;
+    return hash;
   } catch (error) {
     console.error(`✗ Failed to setup ${libConfig.name}: ${error.message}`);
-    return false;
+    return null;
+  }
+}
+
+/**
+ * List a library's mountable files, relative to its folder
+ * @param {string} dir - Directory to scan
+ * @param {string} [prefix] - Path of dir relative to the library folder
+ * @returns {string[]}
+ */
+function listLibraryFiles(dir, prefix = '') {
+  const files = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (entry.name.startsWith('.')) continue;
+    const relativePath = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      files.push(...listLibraryFiles(path.join(dir, entry.name), relativePath));
+    } else if (
+      relativePath !== 'manifest.json' &&
+      LIBRARY_FILE_EXTENSIONS.has(path.extname(entry.name).toLowerCase())
+    ) {
+      files.push(relativePath);
+    }
+  }
+  return files.sort();
+}
+
+/**
+ * Write the manifest.json the worker mounts a library from
+ * Lists each file with its SHA-256 hash (Subresource Integrity format); the
+ * worker refuses to mount a library whose files do not match.
+ * @param {string} libPath - Library folder
+ * @param {string} commit - Checked-out commit
+ */
+function writeLibraryFileManifest(libPath, commit) {
+  const files = listLibraryFiles(libPath);
+  const integrity = {};
+  for (const file of files) {
+    const digest = crypto
+      .createHash('sha256')
+      .update(fs.readFileSync(path.join(libPath, file)))
+      .digest('base64');
+    integrity[file] = `sha256-${digest}`;
   }
+  fs.writeFileSync(
+    path.join(libPath, 'manifest.json'),
+    JSON.stringify({ version: commit, files, integrity }, null, 2)
+  );
+  console.log(`✓ Hashed ${files.length} files`);
 }
 
 /**
@@ -207,11 +297,35 @@ async function main() {
   ensureLibrariesDir();
   
   const originalDir = process.cwd();
+  const update = process.argv.includes('--update');
+  const lock = readLock();
+
+  // Never pin silently: whatever the branch head is today is not a pin
+  const unpinned = Object.keys(LIBRARIES).filter((name) => !lock[name]?.commit);
+  if (!update && unpinned.length > 0) {
+    console.error(`✗ No pinned commit for ${unpinned.join(', ')} in ${LOCK_PATH}`);
+    console.error('  Run "npm run setup-libraries -- --update" to pin the branch heads,');
+    console.error('  check the libraries, and commit libraries.lock.json.');
+    process.exit(1);
+  }
   
-  // Download each library
+  // Download each library at its pinned commit
+  const newlyPinned = [];
   for (const libConfig of Object.values(LIBRARIES)) {
-    await setupLibrary(libConfig);
+    const pinned = update ? null : lock[libConfig.name]?.commit || null;
+    const commit = await setupLibrary(libConfig, pinned);
     process.chdir(originalDir);
+    if (commit) {
+      if (commit !== lock[libConfig.name]?.commit) {
+        newlyPinned.push(libConfig.name);
+      }
+      lock[libConfig.name] = { commit };
+    }
+  }
+
+  writeLock(lock);
+  if (newlyPinned.length > 0) {
+    console.log(`\n⚠️  New pins for ${newlyPinned.join(', ')}: commit libraries.lock.json`);
   }
   
   // Generate manifest
@@ -235,4 +349,4 @@ if (import.meta.url === `file://${process.argv[1]}`) {
   });
 }
 
-export { setupLibrary, generateManifest };
+export { setupLibrary, generateManifest, writeLibraryFileManifest };
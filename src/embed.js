@@ -0,0 +1,386 @@
+/**
+ * OpenSCAD Assistive Forge - Embed Entry Point (embed.html)
+ *
+ * One model's parameter panel and 3D preview, for embedding in an iframe:
+ *   <iframe src="https://forge.example/embed.html?model=/models/box.scad"></iframe>
+ * The model is loaded like a ?model= / ?project= link (see remote-model.js)
+ * and the embedding page drives it through the postMessage API in
+ * embed-api.js.
+ * @license GPL-3.0-or-later
+ */
+
+import './styles/main.css';
+import { extractParameters } from './js/parser.js';
+import { renderParameterUI } from './js/ui-generator.js';
+import { sanitizeUrlParams } from './js/state.js';
+import { RenderController } from './js/render-controller.js';
+import { PreviewManager } from './js/preview.js';
+import { AutoPreviewController } from './js/auto-preview-controller.js';
+import { themeManager } from './js/theme-manager.js';
+import { libraryManager } from './js/library-manager.js';
+import { readParameterSets } from './js/preset-manager.js';
+import { findParameterSetFile } from './js/zip-handler.js';
+import { openModal, closeModal } from './js/modal-manager.js';
+import { OUTPUT_FORMATS, generateFilename } from './js/download.js';
+import {
+  getAllowedModelOrigins,
+  parseRemoteModelRequest,
+  getRemoteModelAccess,
+  getRemoteModelConsentMessage,
+  fetchRemoteModel,
+  findPresetByName,
+} from './js/remote-model.js';
+import {
+  EmbedBridge,
+  EMBED_REQUESTS,
+  EMBED_EVENTS,
+  getEmbedParentOrigins,
+} from './js/embed-api.js';
+
+const THEME_CHOICES = ['auto', 'light', 'dark'];
+
+// Loaded model; null until ready
+let model = null;
+let extracted = null;
+let parameters = {};
+let renderController = null;
+let previewManager = null;
+let autoPreviewController = null;
+let bridge = null;
+
+const statusEl = document.getElementById('embedStatus');
+const titleEl = document.getElementById('embedModelName');
+const parametersContainer = document.getElementById('parametersContainer');
+const previewContainer = document.getElementById('previewContainer');
+
+function updateStatus(message) {
+  statusEl.textContent = message;
+}
+
+/**
+ * Plain-data description of the model's parameters for the embedding page
+ * @returns {Array<Object>}
+ */
+function describeParameters() {
+  return Object.values(extracted.parameters).map((param) => ({
+    name: param.name,
+    type: param.type,
+    group: param.group,
+    description: param.description || '',
+    default: param.default,
+    minimum: param.minimum,
+    maximum: param.maximum,
+    step: param.step,
+    enum: param.enum,
+    computed: !!param.computed,
+  }));
+}
+
+/**
+ * Draw the parameter panel with the given values
+ * @param {Object|null} values - Initial values (null for the defaults)
+ */
+function showParameters(values) {
+  parameters = renderParameterUI(
+    extracted,
+    parametersContainer,
+    (changed) => {
+      parameters = changed;
+      autoPreviewController.onParameterChange(parameters);
+      bridge.post(EMBED_EVENTS.PARAMETERS_CHANGED, {
+        parameters: { ...parameters },
+      });
+    },
+    values
+  );
+}
+
+/**
+ * Values of the preset named in the link, if the model has one
+ * @param {string} name - Preset name
+ * @param {string|null} parameterSets - Parameter set file text
+ * @returns {Object|null}
+ */
+function findPresetValues(name, parameterSets) {
+  if (!parameterSets) return null;
+  try {
+    const sets = readParameterSets(
+      JSON.parse(parameterSets),
+      extracted.parameters
+    );
+    return findPresetByName(sets, name)?.parameters || null;
+  } catch (error) {
+    console.warn('[Embed] Could not read parameter sets:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Ask the visitor before running a model from another site
+ * Uses an in-page dialog: confirm() returns false straight away in an iframe
+ * sandboxed without allow-modals. The embedding page is told with
+ * forge:consent-required, e.g. to scroll the frame into view.
+ * @param {Object} request - From parseRemoteModelRequest()
+ * @returns {Promise<boolean>} Whether the visitor agreed
+ */
+function askConsent(request) {
+  const modal = document.getElementById('embedConsent');
+  document.getElementById('embedConsentMessage').textContent =
+    getRemoteModelConsentMessage(request);
+  bridge.post(EMBED_EVENTS.CONSENT_REQUIRED, {
+    id: null,
+    model: request.fileName,
+    origin: request.origin,
+  });
+  updateStatus(`Waiting to open ${request.fileName}...`);
+
+  return new Promise((resolve) => {
+    const finish = (result) => {
+      modal.removeEventListener('click', onClick);
+      modal.removeEventListener('keydown', onKeydown);
+      closeModal(modal);
+      resolve(result);
+    };
+    const onClick = (e) => {
+      const action = e.target.closest('button[data-action]')?.dataset.action;
+      if (action) finish(action === 'confirm');
+    };
+    const onKeydown = (e) => {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        finish(false);
+      }
+    };
+    modal.addEventListener('click', onClick);
+    modal.addEventListener('keydown', onKeydown);
+    openModal(modal, {
+      focusTarget: modal.querySelector('[data-action="cancel"]'),
+    });
+  });
+}
+
+function requireModel() {
+  if (!model) {
+    throw new Error('The model is still loading. Wait for forge:ready.');
+  }
+}
+
+const handlers = {
+  [EMBED_REQUESTS.GET_PARAMETERS]: async () => {
+    requireModel();
+    return {
+      parameters: { ...parameters },
+      schema: describeParameters(),
+    };
+  },
+
+  [EMBED_REQUESTS.SET_PARAMETERS]: async (message) => {
+    requireModel();
+    if (!message.parameters || typeof message.parameters !== 'object') {
+      throw new Error('forge:set-parameters needs a parameters object');
+    }
+    const { sanitized, adjustments } = sanitizeUrlParams(
+      extracted,
+      message.parameters
+    );
+    showParameters({ ...parameters, ...sanitized });
+    autoPreviewController.onParameterChange(parameters);
+    return { parameters: { ...parameters }, adjustments };
+  },
+
+  [EMBED_REQUESTS.RENDER]: async () => {
+    requireModel();
+    updateStatus('Rendering...');
+    const result = await autoPreviewController.renderFull(parameters);
+    updateStatus('Render complete');
+    return {
+      quality: 'full',
+      parameters: { ...parameters },
+      stats: result.stats,
+      cached: !!result.cached,
+    };
+  },
+
+  [EMBED_REQUESTS.EXPORT]: async (message) => {
+    requireModel();
+    const format = message.format || 'stl';
+    const definition = OUTPUT_FORMATS[format];
+    if (!definition) {
+      throw new Error(
+        `Unknown export format "${format}". Use one of: ${Object.keys(OUTPUT_FORMATS).join(', ')}`
+      );
+    }
+    updateStatus(`Exporting ${definition.name}...`);
+    const renderFormat = () =>
+      renderController.renderFull(model.content, parameters, {
+        outputFormat: format,
+        files: model.files,
+        mainFile: model.files ? model.main : undefined,
+        libraries: libraryManager.getMountPaths(),
+      });
+    // STL reuses (and refreshes) the full render shown in the preview,
+    // unless that is the preview's copy regrouped by color()
+    let result =
+      format === 'stl'
+        ? await autoPreviewController.renderFull(parameters)
+        : await renderFormat();
+    if (result.colorGroups) {
+      result = await renderFormat();
+    }
+    updateStatus(`${definition.name} ready`);
+    return {
+      format,
+      fileName: generateFilename(model.name, parameters, format),
+      blob: new Blob([result.stl || result.data], {
+        type: definition.mimeType,
+      }),
+      stats: result.stats,
+    };
+  },
+
+  [EMBED_REQUESTS.SET_THEME]: async (message) => {
+    if (message.theme !== undefined) {
+      if (!THEME_CHOICES.includes(message.theme)) {
+        throw new Error(
+          `Unknown theme "${message.theme}". Use one of: ${THEME_CHOICES.join(', ')}`
+        );
+      }
+      themeManager.applyTheme(message.theme);
+    }
+    if (typeof message.highContrast === 'boolean') {
+      themeManager.applyHighContrast(message.highContrast);
+    }
+    return themeManager.getState();
+  },
+};
+
+async function initEmbed() {
+  themeManager.init();
+
+  const appOrigin = window.location.origin;
+  bridge = new EmbedBridge({
+    target: window.parent,
+    allowedOrigins: getEmbedParentOrigins(appOrigin),
+    handlers,
+  });
+
+  let request;
+  try {
+    request = parseRemoteModelRequest(window.location.search);
+  } catch (error) {
+    updateStatus(error.message);
+    bridge.post(EMBED_EVENTS.ERROR, { id: null, message: error.message });
+    return;
+  }
+  if (!request) {
+    updateStatus('No model to show. Add ?model=<url> to the embed address.');
+    return;
+  }
+
+  try {
+    const allowedOrigins = getAllowedModelOrigins();
+    const access = getRemoteModelAccess(request.origin, {
+      appOrigin,
+      allowedOrigins,
+    });
+    if (access === 'blocked') {
+      throw new Error(
+        `This app is not set up to load models from ${new URL(request.origin).host}`
+      );
+    }
+    if (access === 'allowed' && !(await askConsent(request))) {
+      throw new Error('The model was not opened');
+    }
+
+    titleEl.textContent = request.fileName;
+    updateStatus(`Downloading ${request.fileName}...`);
+    const loaded = await fetchRemoteModel(request, {
+      appOrigin,
+      allowedOrigins,
+    });
+
+    extracted = extractParameters(loaded.content);
+    libraryManager.autoEnable(loaded.content);
+
+    const parameterSets = loaded.files
+      ? findParameterSetFile(loaded.files, loaded.main)?.content
+      : loaded.parameterSets;
+    const presetValues = request.preset
+      ? findPresetValues(request.preset, parameterSets)
+      : null;
+    if (request.preset && !presetValues) {
+      console.warn(`[Embed] Preset "${request.preset}" not found`);
+    }
+
+    previewManager = new PreviewManager(previewContainer, {
+      theme: themeManager.getActiveTheme(),
+      highContrast: themeManager.highContrast,
+    });
+    await previewManager.init();
+    themeManager.addListener((_theme, activeTheme, highContrast) => {
+      previewManager.updateTheme(activeTheme, highContrast);
+    });
+
+    updateStatus('Starting OpenSCAD...');
+    renderController = new RenderController();
+    renderController.setParameterSchema(extracted.parameters);
+    await renderController.init({
+      assetBaseUrl: new URL(import.meta.env.BASE_URL, appOrigin)
+        .toString()
+        .replace(/\/$/, ''),
+    });
+
+    autoPreviewController = new AutoPreviewController(
+      renderController,
+      previewManager,
+      {
+        debounceMs: 350,
+        onPreviewReady: (_stl, stats, cached) => {
+          updateStatus('Preview ready');
+          bridge.post(EMBED_EVENTS.RENDER_COMPLETE, {
+            id: null,
+            quality: 'preview',
+            parameters: { ...parameters },
+            stats,
+            cached: !!cached,
+          });
+        },
+        onError: (error) => {
+          updateStatus('Preview failed');
+          bridge.post(EMBED_EVENTS.ERROR, {
+            id: null,
+            request: null,
+            message: error.message,
+          });
+        },
+      }
+    );
+    autoPreviewController.setScadContent(loaded.content);
+    autoPreviewController.setProjectFiles(
+      loaded.files,
+      loaded.files ? loaded.main : null
+    );
+    autoPreviewController.setEnabledLibraries(libraryManager.getMountPaths());
+
+    model = loaded;
+    showParameters(presetValues);
+    autoPreviewController.onParameterChange(parameters);
+
+    bridge.post(EMBED_EVENTS.READY, {
+      id: null,
+      model: loaded.name,
+      parameters: { ...parameters },
+      schema: describeParameters(),
+    });
+  } catch (error) {
+    console.error('[Embed] Failed to load model:', error);
+    updateStatus(error.message);
+    bridge.post(EMBED_EVENTS.ERROR, {
+      id: null,
+      request: null,
+      message: error.message,
+    });
+  }
+}
+
+initEmbed();
@@ -4,6 +4,7 @@
  */
 
 import { normalizeHexColor } from './color-utils.js';
+import { parseCsgTree, buildCsgDraft } from './csg-draft.js';
 
 /**
  * Preview state constants
@@ -14,6 +15,7 @@ export const PREVIEW_STATE = {
   PENDING: 'pending', // Parameter changed, render scheduled
   RENDERING: 'rendering', // Preview render in progress
   STALE: 'stale', // Preview exists but from different params
+  DRAFT: 'draft', // Draft CSG view shown, preview render still in progress
   ERROR: 'error', // Last render failed
 };
 
@@ -49,6 +51,10 @@ export class AutoPreviewController {
     this.resolvePreviewQuality = options.resolvePreviewQuality || null;
     this.resolvePreviewParameters = options.resolvePreviewParameters || null;
     this.resolvePreviewCacheKey = options.resolvePreviewCacheKey || null;
+    // Show a draft CSG view (see csg-draft.js) while each preview renders
+    this.draftPreview = options.draftPreview ?? false;
+    // Persistent cache shared across sessions ({ computeKey, get, put }, see render-cache.js)
+    this.renderCache = options.renderCache || null;
 
     // State
     this.state = PREVIEW_STATE.IDLE;
@@ -82,6 +88,7 @@ export class AutoPreviewController {
     // Full quality STL for download (separate from preview)
     this.fullQualitySTL = null;
     this.fullQualityStats = null;
+    this.fullQualityColorGroups = null;
     this.fullQualityKey = null;
     // Console output from last full render (for echo() support)
     this.fullQualityConsoleOutput = null;
@@ -152,6 +159,76 @@ export class AutoPreviewController {
     return `${paramHash}|${qualityKey}`;
   }
 
+  /**
+   * Build the persistent render cache key for the current file
+   * @param {Object} parameters - Parameters as sent to the worker
+   * @param {Object|null} quality - Quality settings as sent to the worker
+   * @param {string} qualityKey
+   * @returns {Promise<string>}
+   */
+  getRenderCacheKey(parameters, quality, qualityKey) {
+    return this.renderCache.computeKey({
+      scadContent: this.currentScadContent,
+      files: this.projectFiles,
+      mainFile: this.mainFilePath,
+      libraries: this.enabledLibraries,
+      qualityKey,
+      quality,
+      parameters,
+    });
+  }
+
+  /**
+   * Show a preview from the persistent render cache if it has one
+   * Runs alongside the debounce so a hit appears without waiting for it.
+   * @param {Object} parameters - Parameter values
+   * @param {string} paramHash - Parameter hash
+   * @param {string} cacheKey - Preview cache key
+   * @returns {Promise<boolean>} True if the cached preview was shown
+   */
+  async checkRenderCache(parameters, paramHash, cacheKey) {
+    const localScadVersion = this.scadVersion;
+    const { quality, qualityKey } = this.resolvePreviewQualityInfo(parameters);
+    const previewParameters = this.resolvePreviewParametersForRender(
+      parameters,
+      qualityKey,
+      quality
+    );
+
+    let cached = null;
+    try {
+      const key = await this.getRenderCacheKey(
+        previewParameters,
+        quality,
+        qualityKey
+      );
+      cached = await this.renderCache.get(key);
+    } catch (error) {
+      console.warn('[AutoPreview] Render cache lookup failed:', error);
+    }
+
+    if (
+      !cached ||
+      localScadVersion !== this.scadVersion ||
+      cacheKey !== this.currentPreviewKey
+    ) {
+      return false;
+    }
+
+    if (this.debounceTimer) {
+      clearTimeout(this.debounceTimer);
+      this.debounceTimer = null;
+    }
+    if (this.pendingPreviewKey === cacheKey) {
+      this.pendingParameters = null;
+      this.pendingParamHash = null;
+      this.pendingPreviewKey = null;
+    }
+    this.addToCache(cacheKey, cached, cached.durationMs);
+    await this.loadCachedPreview(paramHash, cacheKey, qualityKey);
+    return true;
+  }
+
   /**
    * Set the current state and notify listeners
    * @param {string} newState - New state value
@@ -177,6 +254,14 @@ export class AutoPreviewController {
     }
   }
 
+  /**
+   * Enable or disable the draft CSG view shown while previews render
+   * @param {boolean} enabled
+   */
+  setDraftPreview(enabled) {
+    this.draftPreview = Boolean(enabled);
+  }
+
   /**
    * Set enabled libraries for rendering
    * @param {Array<{id: string, path: string}>} libraries - Enabled library configurations
@@ -223,8 +308,11 @@ export class AutoPreviewController {
   /**
    * Set the SCAD content (called when file is loaded)
    * @param {string} scadContent - OpenSCAD source code
+   * @param {Object} [options]
+   * @param {boolean} [options.preserveCamera=false] - Keep the camera of the
+   *   current preview (edits to the same model) instead of fitting the model
    */
-  setScadContent(scadContent) {
+  setScadContent(scadContent, { preserveCamera = false } = {}) {
     // New file/content loaded: cancel any existing work and bump version so in-flight results are ignored.
     this.scadVersion += 1;
     this.cancelPending();
@@ -234,7 +322,9 @@ export class AutoPreviewController {
     this.pendingParameters = null;
     this.pendingParamHash = null;
     // Reset initial preview flag - new file needs camera fit
-    this.initialPreviewDone = false;
+    if (!preserveCamera) {
+      this.initialPreviewDone = false;
+    }
     this.setState(PREVIEW_STATE.IDLE);
   }
 
@@ -332,6 +422,12 @@ export class AutoPreviewController {
       return;
     }
 
+    // Then the persistent cache; the render below is still scheduled and
+    // cancelled on a hit
+    if (this.renderCache) {
+      this.checkRenderCache(parameters, paramHash, cacheKey);
+    }
+
     // Mark preview as stale if we have one
     if (this.previewCacheKey && this.state === PREVIEW_STATE.CURRENT) {
       this.setState(PREVIEW_STATE.STALE);
@@ -434,6 +530,7 @@ export class AutoPreviewController {
       // Preserve camera position on subsequent loads (after initial preview)
       const loadResult = await this.previewManager.loadSTL(cached.stl, {
         preserveCamera: this.initialPreviewDone,
+        colorGroups: cached.colorGroups,
       });
       this.previewParamHash = paramHash;
       this.previewCacheKey = cacheKey;
@@ -526,9 +623,56 @@ export class AutoPreviewController {
       return;
     }
 
+    let renderCacheKey = null;
+    if (this.renderCache) {
+      try {
+        renderCacheKey = await this.getRenderCacheKey(
+          previewParameters,
+          quality,
+          qualityKey
+        );
+        const cached = await this.renderCache.get(renderCacheKey);
+        if (
+          cached &&
+          localScadVersion === this.scadVersion &&
+          cacheKey === this.currentPreviewKey
+        ) {
+          this.addToCache(cacheKey, cached, cached.durationMs);
+          await this.loadCachedPreview(paramHash, cacheKey, qualityKey);
+          return;
+        }
+      } catch (error) {
+        console.warn('[AutoPreview] Render cache lookup failed:', error);
+      }
+      if (
+        localScadVersion !== this.scadVersion ||
+        cacheKey !== this.currentPreviewKey
+      ) {
+        return;
+      }
+    }
+
     this.setState(PREVIEW_STATE.RENDERING);
     let renderFailed = false;
     try {
+      if (this.draftPreview) {
+        await this.renderDraft(
+          previewParameters,
+          quality,
+          paramHash,
+          cacheKey,
+          localScadVersion
+        );
+        if (
+          localScadVersion !== this.scadVersion ||
+          paramHash !== this.currentParamHash ||
+          cacheKey !== this.currentPreviewKey
+        ) {
+          console.log('[AutoPreview] Skipping stale render after draft');
+          return;
+        }
+      }
+
       const startTime = Date.now();
       const result = await this.renderController.renderPreview(
         this.currentScadContent,
@@ -538,6 +682,7 @@ export class AutoPreviewController {
           files: this.projectFiles,
           mainFile: this.mainFilePath,
           libraries: this.enabledLibraries,
+          colorParts: true,
           onProgress: (percent, message) => {
             this.onProgress(percent, message, 'preview');
           },
@@ -559,6 +704,9 @@ export class AutoPreviewController {
 
       // Cache the result
       this.addToCache(cacheKey, result, durationMs);
+      if (renderCacheKey) {
+        this.renderCache.put(renderCacheKey, { ...result, durationMs });
+      }
       this.previewParamHash = paramHash;
       this.previewCacheKey = cacheKey;
 
@@ -573,6 +721,7 @@ export class AutoPreviewController {
       // Preserve camera position on subsequent loads (after initial preview)
       const loadResult = await this.previewManager.loadSTL(result.stl, {
         preserveCamera: this.initialPreviewDone,
+        colorGroups: result.colorGroups,
       });
       // Mark initial preview as done after successful load
       this.initialPreviewDone = true;
@@ -656,10 +805,70 @@ export class AutoPreviewController {
     }
   }
 
+  /**
+   * Show a draft CSG view of the model before the preview render
+   * The CSG tree export only evaluates the script, so this is quick; any
+   * failure is logged and left to the preview render to report.
+   * @param {Object} parameters - Parameters as sent to the worker
+   * @param {Object|null} quality - Quality settings as sent to the worker
+   * @param {string} paramHash - Parameter hash the draft is for
+   * @param {string} cacheKey - Preview cache key the draft is for
+   * @param {number} scadVersion - File version the draft is for
+   * @returns {Promise<boolean>} True if the draft was shown
+   */
+  async renderDraft(parameters, quality, paramHash, cacheKey, scadVersion) {
+    if (
+      !this.renderController?.renderCsgTree ||
+      !this.previewManager?.loadDraft
+    ) {
+      return false;
+    }
+
+    try {
+      const startTime = Date.now();
+      const result = await this.renderController.renderCsgTree(
+        this.currentScadContent,
+        parameters,
+        {
+          ...(quality ? { quality } : {}),
+          files: this.projectFiles,
+          mainFile: this.mainFilePath,
+          libraries: this.enabledLibraries,
+        }
+      );
+      if (
+        scadVersion !== this.scadVersion ||
+        paramHash !== this.currentParamHash ||
+        cacheKey !== this.currentPreviewKey
+      ) {
+        return false;
+      }
+
+      const draft = buildCsgDraft(parseCsgTree(result.data));
+      if (!draft.bounds) return false;
+
+      this.previewManager.loadDraft(draft, {
+        preserveCamera: this.initialPreviewDone,
+      });
+      this.initialPreviewDone = true;
+      this.setState(PREVIEW_STATE.DRAFT, {
+        draft: draft.stats,
+        draftDurationMs: Date.now() - startTime,
+      });
+      return true;
+    } catch (error) {
+      const msg = (error?.message || String(error)).toLowerCase();
+      if (!msg.includes('cancel')) {
+        console.warn('[AutoPreview] Draft preview failed:', error);
+      }
+      return false;
+    }
+  }
+
   /**
    * Add result to cache, evicting old entries if needed
    * @param {string} cacheKey - Preview cache key
-   * @param {Object} result - Render result { stl, stats, timing }
+   * @param {Object} result - Render result { stl, stats, timing, colorGroups }
    * @param {number} durationMs - Render duration in milliseconds
    */
   addToCache(cacheKey, result, durationMs = null) {
@@ -672,6 +881,7 @@ export class AutoPreviewController {
     this.previewCache.set(cacheKey, {
       stl: result.stl,
       stats: result.stats,
+      colorGroups: result.colorGroups || null,
       durationMs,
       timing: result.timing || {},
       timestamp: Date.now(),
@@ -689,6 +899,7 @@ export class AutoPreviewController {
     this.fullQualitySTL = null;
     this.fullQualityConsoleOutput = null;
     this.fullQualityStats = null;
+    this.fullQualityColorGroups = null;
     this.fullQualityKey = null;
   }
 
@@ -721,30 +932,57 @@ export class AutoPreviewController {
       return {
         stl: this.fullQualitySTL,
         stats: this.fullQualityStats,
+        colorGroups: this.fullQualityColorGroups,
         cached: true,
         // Include console output even from cached results (Volkswitch echo() support)
         consoleOutput: this.fullQualityConsoleOutput || '',
       };
     }
 
+    // Reuse a full render from an earlier session
+    let renderCacheKey = null;
+    let result = null;
+    if (this.renderCache) {
+      try {
+        renderCacheKey = await this.getRenderCacheKey(
+          parameters,
+          quality,
+          qualityKey
+        );
+        const cached = await this.renderCache.get(renderCacheKey);
+        if (cached) {
+          result = { ...cached, cached: true };
+        }
+      } catch (error) {
+        console.warn('[AutoPreview] Render cache lookup failed:', error);
+      }
+    }
+
     // Perform full render
-    const result = await this.renderController.renderFull(
-      this.currentScadContent,
-      parameters,
-      {
-        files: this.projectFiles,
-        mainFile: this.mainFilePath,
-        libraries: this.enabledLibraries,
-        ...(quality ? { quality } : {}),
-        onProgress: (percent, message) => {
-          this.onProgress(percent, message, 'full');
-        },
+    if (!result) {
+      result = await this.renderController.renderFull(
+        this.currentScadContent,
+        parameters,
+        {
+          files: this.projectFiles,
+          mainFile: this.mainFilePath,
+          libraries: this.enabledLibraries,
+          colorParts: true,
+          ...(quality ? { quality } : {}),
+          onProgress: (percent, message) => {
+            this.onProgress(percent, message, 'full');
+          },
+        }
+      );
+      if (renderCacheKey) {
+        this.renderCache.put(renderCacheKey, result);
       }
-    );
+    }
 
     // Store for reuse
     this.fullQualitySTL = result.stl;
     this.fullQualityStats = result.stats;
+    this.fullQualityColorGroups = result.colorGroups || null;
     this.fullRenderParamHash = paramHash;
     this.fullQualityKey = qualityKey;
     // Store console output for Volkswitch echo() support
@@ -762,6 +1000,7 @@ export class AutoPreviewController {
       // Preserve camera position on subsequent loads (after initial preview)
       await this.previewManager.loadSTL(result.stl, {
         preserveCamera: this.initialPreviewDone,
+        colorGroups: result.colorGroups,
       });
       this.previewParamHash = paramHash;
       this.previewCacheKey = cacheKey;
@@ -882,6 +1121,7 @@ export class AutoPreviewController {
     // Clear full quality STL
     this.fullQualitySTL = null;
     this.fullQualityStats = null;
+    this.fullQualityColorGroups = null;
     this.fullQualityKey = null;
 
     // Reset state
@@ -0,0 +1,338 @@
+/**
+ * Build Report - Record of exactly what was built, as HTML and PDF
+ *
+ * Combines the model name and version, every changed parameter (with its
+ * description and unit), preview snapshots, dimensions, triangle count,
+ * render time and the app version into a self-contained accessible HTML
+ * file and a PDF.
+ *
+ * @license GPL-3.0-or-later
+ */
+
+import { escapeHtml } from './html-utils.js';
+import { formatScadValue } from './scad-value-utils.js';
+import {
+  PdfDocument,
+  PAGE_WIDTH,
+  PAGE_HEIGHT,
+  wrapText,
+  dataUrlToBytes,
+} from './pdf-writer.js';
+
+/** Camera angles captured for the report (Z-up, see PreviewManager.captureSnapshots) */
+export const REPORT_VIEWS = [
+  { id: 'iso', label: 'Isometric view', direction: [1, -1, 0.8] },
+  { id: 'front', label: 'Front view', direction: [0, -1, 0] },
+  { id: 'right', label: 'Right view', direction: [1, 0, 0] },
+  { id: 'top', label: 'Top view', direction: [0, 0, 1], up: [0, 1, 0] },
+];
+
+/**
+ * Format a parameter value for people rather than OpenSCAD
+ * @param {*} value - Parameter value
+ * @returns {string}
+ */
+export function formatReportValue(value) {
+  return typeof value === 'string' ? value : formatScadValue(value);
+}
+
+/**
+ * Gather everything the report shows
+ * @param {Object} options
+ * @param {string} options.modelName - Uploaded file name
+ * @param {{version: string}|null} options.scadVersion - From extractScadVersion()
+ * @param {Object} options.changedParameters - From PresetManager.getChangedParameters()
+ * @param {Object} options.schemaParameters - Extracted parameters keyed by name
+ * @param {{x: number, y: number, z: number, triangles: number}|null} options.dimensions
+ *   - From PreviewManager.calculateDimensions()
+ * @param {number|null} [options.triangles] - Triangle count of the rendered mesh
+ * @param {string|number|null} [options.renderTime] - Render time in seconds
+ * @param {string} options.appVersion - From getVersionString()
+ * @param {Array<{label: string, dataUrl: string}>} [options.snapshots] - Preview images
+ * @param {Date} [options.generatedAt] - Report time
+ * @returns {Object} Report data for buildReportHtml() and buildReportPdf()
+ */
+export function createBuildReport(options) {
+  const {
+    modelName,
+    scadVersion = null,
+    changedParameters = {},
+    schemaParameters = {},
+    dimensions = null,
+    triangles = null,
+    renderTime = null,
+    appVersion,
+    snapshots = [],
+    generatedAt = new Date(),
+  } = options;
+
+  const parameters = Object.entries(changedParameters).map(
+    ([name, { current, default: defaultValue }]) => {
+      const param = schemaParameters[name] || {};
+      return {
+        name,
+        group: param.group || '',
+        value: formatReportValue(current),
+        defaultValue: formatReportValue(defaultValue),
+        unit: param.unit || '',
+        description: param.description || '',
+      };
+    }
+  );
+
+  return {
+    title: `Build report: ${modelName}`,
+    modelName,
+    modelVersion: scadVersion?.version || null,
+    appVersion,
+    generatedAt: generatedAt.toISOString(),
+    parameters,
+    dimensions: dimensions
+      ? { x: dimensions.x, y: dimensions.y, z: dimensions.z }
+      : null,
+    triangles: triangles ?? dimensions?.triangles ?? null,
+    renderTime:
+      renderTime === null || renderTime === undefined
+        ? null
+        : Number(renderTime),
+    snapshots,
+  };
+}
+
+/**
+ * Summary rows shared by the HTML and PDF output
+ * @param {Object} report - From createBuildReport()
+ * @returns {Array<[string, string]>}
+ */
+export function getReportSummary(report) {
+  const rows = [
+    ['Model', report.modelName],
+    ['Model version', report.modelVersion || 'Not stated in the file'],
+    ['Generated', new Date(report.generatedAt).toLocaleString()],
+    ['App version', `OpenSCAD Assistive Forge ${report.appVersion}`],
+  ];
+  if (report.dimensions) {
+    const { x, y, z } = report.dimensions;
+    rows.push(['Dimensions', `${x} × ${y} × ${z} mm (X × Y × Z)`]);
+  }
+  if (report.triangles !== null) {
+    rows.push(['Triangles', report.triangles.toLocaleString()]);
+  }
+  if (report.renderTime !== null) {
+    rows.push(['Render time', `${report.renderTime.toFixed(1)} s`]);
+  }
+  return rows;
+}
+
+/**
+ * Render the report as a standalone HTML document
+ * Images are embedded as data URLs so the file can be archived or emailed.
+ * @param {Object} report - From createBuildReport()
+ * @returns {string} HTML document
+ */
+export function buildReportHtml(report) {
+  const summary = getReportSummary(report)
+    .map(
+      ([term, value]) =>
+        `      <dt>${escapeHtml(term)}</dt>\n      <dd>${escapeHtml(value)}</dd>`
+    )
+    .join('\n');
+
+  const parameterRows = report.parameters
+    .map(
+      (param) => `        <tr>
+          <th scope="row">${escapeHtml(param.name)}</th>
+          <td>${escapeHtml(param.value)}${param.unit ? ` ${escapeHtml(param.unit)}` : ''}</td>
+          <td>${escapeHtml(param.defaultValue)}</td>
+          <td>${escapeHtml(param.description)}</td>
+        </tr>`
+    )
+    .join('\n');
+
+  const parameterSection = report.parameters.length
+    ? `    <table>
+      <caption>${report.parameters.length} parameter${report.parameters.length === 1 ? '' : 's'} changed from the model defaults</caption>
+      <thead>
+        <tr>
+          <th scope="col">Parameter</th>
+          <th scope="col">Value</th>
+          <th scope="col">Default</th>
+          <th scope="col">Description</th>
+        </tr>
+      </thead>
+      <tbody>
+${parameterRows}
+      </tbody>
+    </table>`
+    : '    <p>All parameters use the model defaults.</p>';
+
+  const figures = report.snapshots
+    .map(
+      (snapshot) => `      <figure>
+        <img src="${escapeHtml(snapshot.dataUrl)}" alt="${escapeHtml(`${snapshot.label} of ${report.modelName}`)}">
+        <figcaption>${escapeHtml(snapshot.label)}</figcaption>
+      </figure>`
+    )
+    .join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(report.title)}</title>
+  <style>
+    body { font-family: system-ui, sans-serif; line-height: 1.5; color: #1a1a1a; background: #fff; max-width: 60rem; margin: 0 auto; padding: 1.5rem; }
+    h1 { font-size: 1.6rem; margin-bottom: 0.5rem; }
+    h2 { font-size: 1.25rem; margin-top: 2rem; border-bottom: 1px solid #767676; }
+    dl { display: grid; grid-template-columns: max-content 1fr; gap: 0.25rem 1rem; }
+    dt { font-weight: 600; }
+    dd { margin: 0; }
+    table { border-collapse: collapse; width: 100%; }
+    caption { text-align: left; font-weight: 600; padding-bottom: 0.5rem; }
+    th, td { border: 1px solid #767676; padding: 0.4rem 0.6rem; text-align: left; vertical-align: top; }
+    thead th { background: #f0f0f0; }
+    .views { display: grid; grid-template-columns: repeat(auto-fill, minmax(16rem, 1fr)); gap: 1rem; }
+    figure { margin: 0; }
+    img { width: 100%; height: auto; border: 1px solid #767676; }
+    @media print { body { padding: 0; } figure, tr { break-inside: avoid; } }
+  </style>
+</head>
+<body>
+  <main>
+    <h1>${escapeHtml(report.title)}</h1>
+    <h2>Summary</h2>
+    <dl>
+${summary}
+    </dl>
+    <h2>Parameters</h2>
+${parameterSection}
+${
+  figures
+    ? `    <h2>Preview</h2>
+    <div class="views">
+${figures}
+    </div>
+`
+    : ''
+}  </main>
+</body>
+</html>
+`;
+}
+
+/**
+ * Render the report as a PDF (A4)
+ * @param {Object} report - From createBuildReport(); snapshots must be JPEG data URLs
+ * @returns {Uint8Array} PDF file contents
+ */
+export function buildReportPdf(report) {
+  const margin = 48;
+  const width = PAGE_WIDTH - margin * 2;
+  const pdf = new PdfDocument({ title: report.title, lang: 'en' });
+  let y = margin;
+
+  const ensureSpace = (height) => {
+    if (y + height > PAGE_HEIGHT - margin) {
+      pdf.addPage();
+      y = margin;
+    }
+  };
+  const paragraph = (
+    text,
+    { size = 10, bold = false, x = margin, maxWidth = width } = {}
+  ) => {
+    for (const line of wrapText(text, size, maxWidth, bold)) {
+      ensureSpace(size * 1.4);
+      y += size * 1.4;
+      pdf.text(line, x, y, { size, bold });
+    }
+  };
+  const heading = (text) => {
+    ensureSpace(40);
+    y += 18;
+    paragraph(text, { size: 14, bold: true });
+    y += 4;
+    pdf.line(margin, y, margin + width, y);
+    y += 4;
+  };
+
+  paragraph(report.title, { size: 18, bold: true });
+
+  heading('Summary');
+  for (const [term, value] of getReportSummary(report)) {
+    ensureSpace(14);
+    const top = y;
+    paragraph(term, { bold: true, maxWidth: 110 });
+    const termBottom = y;
+    y = top;
+    paragraph(value, { x: margin + 120, maxWidth: width - 120 });
+    y = Math.max(y, termBottom);
+  }
+
+  heading('Parameters');
+  if (report.parameters.length === 0) {
+    paragraph('All parameters use the model defaults.');
+  } else {
+    paragraph(
+      `${report.parameters.length} parameter${report.parameters.length === 1 ? '' : 's'} changed from the model defaults`,
+      { bold: true }
+    );
+    const columns = [
+      { title: 'Parameter', x: margin, width: 130 },
+      { title: 'Value', x: margin + 135, width: 110 },
+      { title: 'Default', x: margin + 250, width: 80 },
+      { title: 'Description', x: margin + 335, width: width - 335 },
+    ];
+    const row = (cells, bold) => {
+      const wrapped = cells.map((cell, i) =>
+        wrapText(cell, 9, columns[i].width, bold)
+      );
+      const height = Math.max(...wrapped.map((lines) => lines.length)) * 12 + 6;
+      ensureSpace(height);
+      wrapped.forEach((lines, i) => {
+        lines.forEach((line, l) => {
+          pdf.text(line, columns[i].x, y + 12 + l * 12, { size: 9, bold });
+        });
+      });
+      y += height;
+      pdf.line(margin, y, margin + width, y);
+    };
+    y += 4;
+    row(
+      columns.map((column) => column.title),
+      true
+    );
+    for (const param of report.parameters) {
+      row(
+        [
+          param.name,
+          `${param.value}${param.unit ? ` ${param.unit}` : ''}`,
+          param.defaultValue,
+          param.description,
+        ],
+        false
+      );
+    }
+  }
+
+  if (report.snapshots.length > 0) {
+    heading('Preview');
+    const imageWidth = (width - 16) / 2;
+    report.snapshots.forEach((snapshot, i) => {
+      const jpeg = dataUrlToBytes(snapshot.dataUrl);
+      const aspect = snapshot.height / snapshot.width || 0.75;
+      const imageHeight = imageWidth * aspect;
+      const column = i % 2;
+      if (column === 0) ensureSpace(imageHeight + 24);
+      const x = margin + column * (imageWidth + 16);
+      pdf.image(jpeg, x, y + 6, imageWidth, imageHeight);
+      pdf.text(snapshot.label, x, y + imageHeight + 20, { size: 9 });
+      if (column === 1 || i === report.snapshots.length - 1) {
+        y += imageHeight + 28;
+      }
+    });
+  }
+
+  return pdf.toBytes();
+}
@@ -0,0 +1,213 @@
+/**
+ * Color Parts - Split rendered meshes by OpenSCAD color() regions
+ *
+ * The official WASM build's OFF export keeps the color of every face, so a
+ * model is rendered to OFF once and regrouped here: into one 3MF object per
+ * color for multi-material printers, or into a binary STL plus triangle
+ * ranges that the preview paints with vertex colors.
+ *
+ * @license GPL-3.0-or-later
+ */
+
+/** Color OpenSCAD gives faces outside any color() call */
+export const DEFAULT_OPENSCAD_COLOR = '#f9d72c';
+
+/**
+ * Whether any of the sources call color()
+ * Only these models need the slower OFF round trip. Files mounted as
+ * Uint8Array are decoded as UTF-8; other non-strings are ignored.
+ * @param {string|Uint8Array|Array<*>} sources - SCAD sources
+ * @returns {boolean}
+ */
+export function sourceUsesColor(sources) {
+  const list = Array.isArray(sources) ? sources : [sources];
+  return list.some((source) => {
+    const text = ArrayBuffer.isView(source)
+      ? new TextDecoder().decode(source)
+      : source;
+    return typeof text === 'string' && /\bcolor\s*\(/.test(text);
+  });
+}
+
+/**
+ * Convert an OFF face color to #rrggbb and alpha
+ * Components are 0-255 integers, or 0-1 floats when any has a decimal point.
+ * @param {string[]} components - Three or four color components
+ * @returns {{color: string, alpha: number}|null}
+ */
+function parseFaceColor(components) {
+  if (components.length < 3) return null;
+  const isFloat = components.some((c) => c.includes('.'));
+  const scale = isFloat ? 255 : 1;
+  const values = components.slice(0, 4).map((c) => {
+    const value = Math.round(parseFloat(c) * scale);
+    return Math.min(255, Math.max(0, Number.isFinite(value) ? value : 0));
+  });
+  const color = `#${values
+    .slice(0, 3)
+    .map((v) => v.toString(16).padStart(2, '0'))
+    .join('')}`;
+  const alpha = values.length > 3 ? values[3] / 255 : 1;
+  return { color, alpha };
+}
+
+/**
+ * Parse an OFF file into one triangle soup per face color
+ * Faces without a color, or with OpenSCAD's default color, share one part
+ * whose color is null. Polygons are fan-triangulated.
+ * @param {string|ArrayBuffer|Uint8Array} data - OFF file contents
+ * @returns {Array<{color: string|null, alpha: number, positions: Float32Array}>}
+ *   Parts in order of first appearance
+ */
+export function parseColoredOff(data) {
+  const text =
+    typeof data === 'string'
+      ? data
+      : new TextDecoder().decode(
+          data instanceof ArrayBuffer ? new Uint8Array(data) : data
+        );
+  const lines = text
+    .split('\n')
+    .map((line) => line.replace(/#.*/, '').trim())
+    .filter(Boolean);
+
+  // The header may share a line with the counts ("OFF 8 12 0")
+  let counts = lines[0]?.split(/\s+/) || [];
+  if (!/^C?OFF$/.test(counts[0] || '')) {
+    throw new Error('Not an OFF file');
+  }
+  counts = counts.slice(1);
+  let cursor = 1;
+  if (counts.length < 2) {
+    counts = (lines[1] || '').split(/\s+/);
+    cursor = 2;
+  }
+  const vertexCount = parseInt(counts[0], 10);
+  const faceCount = parseInt(counts[1], 10);
+  if (!Number.isFinite(vertexCount) || !Number.isFinite(faceCount)) {
+    throw new Error('Invalid OFF header');
+  }
+
+  const vertices = new Float64Array(vertexCount * 3);
+  for (let v = 0; v < vertexCount; v++) {
+    const parts = lines[cursor + v].split(/\s+/);
+    vertices[v * 3] = parseFloat(parts[0]);
+    vertices[v * 3 + 1] = parseFloat(parts[1]);
+    vertices[v * 3 + 2] = parseFloat(parts[2]);
+  }
+  cursor += vertexCount;
+
+  const groups = new Map(); // color key -> { color, alpha, values }
+  for (let f = 0; f < faceCount; f++) {
+    const parts = lines[cursor + f].split(/\s+/);
+    const corners = parseInt(parts[0], 10);
+    const indices = parts.slice(1, 1 + corners).map((p) => parseInt(p, 10));
+    const faceColor = parseFaceColor(parts.slice(1 + corners));
+    const isDefault =
+      !faceColor ||
+      (faceColor.color === DEFAULT_OPENSCAD_COLOR && faceColor.alpha === 1);
+    const key = isDefault ? 'default' : `${faceColor.color}/${faceColor.alpha}`;
+
+    let group = groups.get(key);
+    if (!group) {
+      group = {
+        color: isDefault ? null : faceColor.color,
+        alpha: isDefault ? 1 : faceColor.alpha,
+        values: [],
+      };
+      groups.set(key, group);
+    }
+    for (let i = 1; i + 1 < indices.length; i++) {
+      for (const index of [indices[0], indices[i], indices[i + 1]]) {
+        group.values.push(
+          vertices[index * 3],
+          vertices[index * 3 + 1],
+          vertices[index * 3 + 2]
+        );
+      }
+    }
+  }
+
+  return [...groups.values()]
+    .filter((group) => group.values.length > 0)
+    .map(({ color, alpha, values }) => ({
+      color,
+      alpha,
+      positions: new Float32Array(values),
+    }));
+}
+
+/**
+ * Pack color parts into one binary STL
+ * @param {Array<{color: string|null, alpha: number, positions: Float32Array}>} parts
+ * @returns {{stl: ArrayBuffer, colorGroups: Array<{color: string|null,
+ *   alpha: number, start: number, count: number}>}} start/count are triangle
+ *   ranges in the STL, in part order
+ */
+export function colorPartsToStl(parts) {
+  const triangleCount = parts.reduce(
+    (sum, part) => sum + Math.floor(part.positions.length / 9),
+    0
+  );
+  const stl = new ArrayBuffer(84 + triangleCount * 50);
+  const view = new DataView(stl);
+  view.setUint32(80, triangleCount, true);
+
+  const colorGroups = [];
+  let offset = 84;
+  let start = 0;
+  for (const { color, alpha, positions } of parts) {
+    const count = Math.floor(positions.length / 9);
+    for (let o = 0; o < count * 9; o += 9) {
+      const ux = positions[o + 3] - positions[o];
+      const uy = positions[o + 4] - positions[o + 1];
+      const uz = positions[o + 5] - positions[o + 2];
+      const vx = positions[o + 6] - positions[o];
+      const vy = positions[o + 7] - positions[o + 1];
+      const vz = positions[o + 8] - positions[o + 2];
+      const nx = uy * vz - uz * vy;
+      const ny = uz * vx - ux * vz;
+      const nz = ux * vy - uy * vx;
+      const length = Math.sqrt(nx * nx + ny * ny + nz * nz) || 1;
+      view.setFloat32(offset, nx / length, true);
+      view.setFloat32(offset + 4, ny / length, true);
+      view.setFloat32(offset + 8, nz / length, true);
+      for (let i = 0; i < 9; i++) {
+        view.setFloat32(offset + 12 + i * 4, positions[o + i], true);
+      }
+      offset += 50;
+    }
+    colorGroups.push({ color, alpha, start, count });
+    start += count;
+  }
+
+  return { stl, colorGroups };
+}
+
+/**
+ * Describe color parts as 3MF objects for createThreeMF()
+ * Uncolored parts keep OpenSCAD's default color so slicers show what the
+ * desktop app shows.
+ * @param {Array<{color: string|null, alpha: number, positions: Float32Array}>} parts
+ * @returns {Array<{name: string, color?: string, positions: Float32Array}>}
+ */
+export function colorPartsToThreeMFObjects(parts) {
+  // A model without color() stays a single plain object
+  if (parts.length === 1 && parts[0].color === null) {
+    return [{ name: 'Default', positions: parts[0].positions }];
+  }
+  return parts.map(({ color, alpha, positions }) => {
+    const hex = color || DEFAULT_OPENSCAD_COLOR;
+    const alphaHex =
+      alpha < 1
+        ? Math.round(alpha * 255)
+            .toString(16)
+            .padStart(2, '0')
+        : '';
+    return {
+      name: color ? `Color ${color}` : 'Default',
+      color: `${hex}${alphaHex}`,
+      positions,
+    };
+  });
+}
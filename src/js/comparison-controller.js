@@ -192,6 +192,43 @@ export class ComparisonController {
     }
   }
 
+  /**
+   * Render several variants
+   * They run in parallel up to the render controller's `concurrency` (a
+   * RenderPool sized for this device); otherwise one at a time. Variants that
+   * were removed, or rendered meanwhile, are skipped. Failures are logged and
+   * don't stop the others.
+   * @param {Array<string>} ids - Variant IDs
+   * @returns {Promise<void>}
+   */
+  async renderVariants(ids) {
+    let next = 0;
+    const renderNext = async () => {
+      while (next < ids.length) {
+        const variant = this.variants.get(ids[next++]);
+        if (
+          !variant ||
+          variant.state === 'rendering' ||
+          variant.state === 'complete'
+        ) {
+          continue;
+        }
+        try {
+          await this.renderVariant(variant.id);
+        } catch (error) {
+          console.error(`Failed to render variant ${variant.id}:`, error);
+          // Continue with next variant
+        }
+      }
+    };
+
+    const concurrency = Math.min(
+      Math.max(1, this.renderController?.concurrency || 1),
+      ids.length
+    );
+    await Promise.all(Array.from({ length: concurrency }, renderNext));
+  }
+
   /**
    * Render all pending variants
    * @returns {Promise<void>}
@@ -200,16 +237,7 @@ export class ComparisonController {
     const pending = Array.from(this.variants.values()).filter(
       (v) => v.state === 'pending' || v.state === 'error'
     );
-
-    // Render sequentially to avoid overwhelming the system
-    for (const variant of pending) {
-      try {
-        await this.renderVariant(variant.id);
-      } catch (error) {
-        console.error(`Failed to render variant ${variant.id}:`, error);
-        // Continue with next variant
-      }
-    }
+    await this.renderVariants(pending.map((v) => v.id));
   }
 
   /**
@@ -316,6 +344,30 @@ export class ComparisonController {
     });
   }
 
+  /**
+   * Compare the parameters of all variants
+   * Parameters are listed in the order they first appear. A variant without
+   * a parameter has undefined in its column.
+   * @returns {Array<{name: string, values: Array<*>, differs: boolean}>}
+   *   One row per parameter, with one value per variant (in variant order)
+   */
+  getParameterDiff() {
+    const variants = this.getAllVariants();
+    const names = [];
+    for (const variant of variants) {
+      for (const name of Object.keys(variant.parameters || {})) {
+        if (!names.includes(name)) names.push(name);
+      }
+    }
+
+    return names.map((name) => {
+      const values = variants.map((v) => v.parameters?.[name]);
+      // Vector parameters are arrays, so compare by value
+      const keys = new Set(values.map((value) => JSON.stringify(value)));
+      return { name, values, differs: keys.size > 1 };
+    });
+  }
+
   /**
    * Get statistics about all variants
    * @returns {object} Statistics
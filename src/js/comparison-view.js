@@ -5,6 +5,8 @@
 
 import { PreviewManager } from './preview.js';
 import { escapeHtml } from './html-utils.js';
+import { parseStl } from './threemf-writer.js';
+import { computeMeshDiff } from './mesh-metrics.js';
 
 /**
  * ComparisonView handles the multi-panel comparison UI
@@ -18,6 +20,14 @@ export class ComparisonView {
 
     // Track preview managers for each variant
     this.previewManagers = new Map(); // variantId -> PreviewManager
+    this.overlayPreview = null; // PreviewManager for the diff overlay (created on first use)
+    this.overlaySources = null; // { ids, stls } of the variants in the overlay
+    this.isBuildingOverlay = false;
+
+    // Camera lock: moving any viewport moves the others to match
+    this.lockCameras = true;
+    this.cameraSubscriptions = new Map(); // PreviewManager -> unsubscribe
+    this._syncingCamera = false;
 
     // Flag to prevent concurrent auto-render cycles
     this.isAutoRendering = false;
@@ -40,6 +50,8 @@ export class ComparisonView {
     for (const variant of existingVariants) {
       await this.addVariantCard(variant);
     }
+    this.updateOverlayControls();
+    this.renderParameterTable();
 
     // Auto-render all pending variants for better UX
     this.autoRenderPendingVariants();
@@ -63,19 +75,33 @@ export class ComparisonView {
     this.isAutoRendering = true;
 
     try {
-      // Render each pending variant sequentially
-      for (const variant of pendingVariants) {
-        // Re-check if variant is still pending (might have been rendered by manual click)
-        const currentVariant = this.comparisonController.getVariant(variant.id);
-        if (!currentVariant || currentVariant.state !== 'pending') continue;
-
-        try {
-          await this.comparisonController.renderVariant(variant.id);
-        } catch (error) {
-          console.error(`Auto-render failed for ${variant.id}:`, error);
-          // Continue with next variant even if one fails
+      // Render pending variants, in parallel when a render pool is available
+      let next = 0;
+      const renderNext = async () => {
+        while (next < pendingVariants.length) {
+          const variant = pendingVariants[next++];
+          // Re-check if variant is still pending (might have been rendered by manual click)
+          const currentVariant = this.comparisonController.getVariant(
+            variant.id
+          );
+          if (!currentVariant || currentVariant.state !== 'pending') continue;
+
+          try {
+            await this.comparisonController.renderVariant(variant.id);
+          } catch (error) {
+            console.error(`Auto-render failed for ${variant.id}:`, error);
+            // Continue with next variant even if one fails
+          }
         }
-      }
+      };
+      const concurrency = Math.min(
+        Math.max(
+          1,
+          this.comparisonController.renderController?.concurrency || 1
+        ),
+        pendingVariants.length
+      );
+      await Promise.all(Array.from({ length: concurrency }, renderNext));
 
       // After completing, check if new pending variants were added during rendering
       const newPendingVariants = this.comparisonController
@@ -106,6 +132,10 @@ export class ComparisonView {
         <div class="comparison-header">
           <h2>Comparison Mode</h2>
           <div class="comparison-controls">
+            <label class="comparison-lock-toggle">
+              <input type="checkbox" id="comparison-lock-cameras" checked />
+              Lock cameras
+            </label>
             <button 
               id="render-all-btn" 
               class="btn btn-secondary"
@@ -134,6 +164,39 @@ export class ComparisonView {
             <p>No variants added for comparison.</p>
           </div>
         </div>
+        <details class="comparison-panel" id="comparison-overlay-panel">
+          <summary>Overlay two variants</summary>
+          <p class="comparison-panel-help">
+            Superimpose two rendered variants to see which surfaces were added or removed.
+          </p>
+          <div class="comparison-overlay-controls">
+            <label for="comparison-overlay-a">Before</label>
+            <select id="comparison-overlay-a"></select>
+            <label for="comparison-overlay-b">After</label>
+            <select id="comparison-overlay-b"></select>
+            <button id="comparison-overlay-btn" class="btn btn-secondary" disabled>
+              Show overlay
+            </button>
+          </div>
+          <div class="variant-preview comparison-overlay-preview" id="comparison-overlay-preview" hidden></div>
+          <ul class="comparison-overlay-legend" aria-label="Overlay colors">
+            <li><span class="comparison-swatch comparison-swatch-before" aria-hidden="true"></span>Shared surface (before)</li>
+            <li><span class="comparison-swatch comparison-swatch-after" aria-hidden="true"></span>Shared surface (after)</li>
+            <li><span class="comparison-swatch comparison-swatch-added" aria-hidden="true"></span>Added</li>
+            <li><span class="comparison-swatch comparison-swatch-removed" aria-hidden="true"></span>Removed</li>
+          </ul>
+          <p class="comparison-panel-help" id="comparison-overlay-status" role="status" aria-live="polite"></p>
+        </details>
+        <details class="comparison-panel" id="comparison-parameters-panel" open>
+          <summary>Parameter differences</summary>
+          <label class="comparison-diff-only">
+            <input type="checkbox" id="comparison-diff-only" checked />
+            Only show parameters that differ
+          </label>
+          <div class="comparison-table-wrapper">
+            <table class="comparison-parameter-table" id="comparison-parameter-table"></table>
+          </div>
+        </details>
       </div>
     `;
   }
@@ -155,6 +218,26 @@ export class ComparisonView {
     if (exitBtn) {
       exitBtn.addEventListener('click', () => this.handleExit());
     }
+
+    const lockCameras = document.getElementById('comparison-lock-cameras');
+    if (lockCameras) {
+      lockCameras.addEventListener('change', () => {
+        this.lockCameras = lockCameras.checked;
+        if (this.lockCameras) this.alignCameras();
+      });
+    }
+
+    ['comparison-overlay-a', 'comparison-overlay-b'].forEach((id) => {
+      document
+        .getElementById(id)
+        ?.addEventListener('change', () => this.updateOverlayControls());
+    });
+    document
+      .getElementById('comparison-overlay-btn')
+      ?.addEventListener('click', () => this.handleShowOverlay());
+    document
+      .getElementById('comparison-diff-only')
+      ?.addEventListener('change', () => this.renderParameterTable());
   }
 
   /**
@@ -169,17 +252,30 @@ export class ComparisonView {
         break;
       case 'remove':
         this.removeVariantCard(data.id);
+        if (this.overlaySources?.ids.includes(data.id)) {
+          this.clearOverlay(
+            'The overlay was cleared because a variant was deleted.'
+          );
+        }
         break;
       case 'update':
         this.updateVariantCard(data);
+        if (this.isOverlayStale(data)) {
+          this.clearOverlay(
+            `The overlay was cleared because ${data.name} changed. Choose Show overlay to compare again.`
+          );
+        }
         break;
       case 'clear':
         this.clearAllVariantCards();
+        this.clearOverlay('');
         break;
     }
 
     this.updateControls();
     this.updateEmptyState();
+    this.updateOverlayControls();
+    this.renderParameterTable();
   }
 
   /**
@@ -213,10 +309,11 @@ export class ComparisonView {
       });
       await previewManager.init();
       this.previewManagers.set(variant.id, previewManager);
+      this.watchCamera(previewManager);
 
       // If variant already has an STL (from previous render), load it immediately
       if (variant.stl && variant.state === 'complete') {
-        previewManager.loadSTL(variant.stl);
+        this.loadVariantPreview(previewManager, variant.stl);
       }
     }
 
@@ -324,11 +421,294 @@ export class ComparisonView {
     if (variant.stl && variant.state === 'complete') {
       const previewManager = this.previewManagers.get(variant.id);
       if (previewManager) {
-        previewManager.loadSTL(variant.stl);
+        this.loadVariantPreview(previewManager, variant.stl);
       }
     }
   }
 
+  /**
+   * Load a variant's mesh, matching the other viewports when cameras are locked
+   * @param {PreviewManager} previewManager - The variant's viewport
+   * @param {ArrayBuffer} stl - Rendered STL
+   */
+  loadVariantPreview(previewManager, stl) {
+    const reference = this.lockCameras
+      ? this.getReferenceCamera(previewManager)
+      : null;
+    if (reference) {
+      previewManager.setCameraState(reference);
+    }
+    previewManager.loadSTL(stl, { preserveCamera: Boolean(reference) });
+  }
+
+  /**
+   * All viewports that take part in camera locking
+   * @returns {PreviewManager[]}
+   */
+  getViewports() {
+    return [...this.previewManagers.values(), this.overlayPreview].filter(
+      Boolean
+    );
+  }
+
+  /**
+   * Camera of the first other viewport that is showing a model
+   * @param {PreviewManager} [exclude] - Viewport to skip
+   * @returns {{position: number[], target: number[], up: number[]}|null}
+   */
+  getReferenceCamera(exclude) {
+    const reference = this.getViewports().find(
+      (pm) => pm !== exclude && (pm.mesh || pm.diffGroup)
+    );
+    return reference ? reference.getCameraState() : null;
+  }
+
+  /**
+   * Follow a viewport's camera moves while cameras are locked
+   * @param {PreviewManager} previewManager
+   */
+  watchCamera(previewManager) {
+    const unsubscribe = previewManager.onCameraChange((state) =>
+      this.syncCameras(previewManager, state)
+    );
+    this.cameraSubscriptions.set(previewManager, unsubscribe);
+  }
+
+  /**
+   * Stop following a viewport's camera
+   * @param {PreviewManager} previewManager
+   */
+  unwatchCamera(previewManager) {
+    this.cameraSubscriptions.get(previewManager)?.();
+    this.cameraSubscriptions.delete(previewManager);
+  }
+
+  /**
+   * Copy one viewport's camera to all the others
+   * @param {PreviewManager} source - Viewport that moved
+   * @param {Object} state - From getCameraState()
+   */
+  syncCameras(source, state) {
+    // Moving the other cameras fires their change events too
+    if (!this.lockCameras || this._syncingCamera || !state) return;
+    this._syncingCamera = true;
+    try {
+      this.getViewports().forEach((pm) => {
+        if (pm !== source) pm.setCameraState(state);
+      });
+    } finally {
+      this._syncingCamera = false;
+    }
+  }
+
+  /**
+   * Bring every viewport to the camera of the first one showing a model
+   */
+  alignCameras() {
+    const source = this.getViewports().find((pm) => pm.mesh || pm.diffGroup);
+    if (source) {
+      this.syncCameras(source, source.getCameraState());
+    }
+  }
+
+  /**
+   * Fill the overlay variant pickers and enable Show overlay when two
+   * different rendered variants are chosen
+   */
+  updateOverlayControls() {
+    const selects = ['comparison-overlay-a', 'comparison-overlay-b'].map((id) =>
+      document.getElementById(id)
+    );
+    const button = document.getElementById('comparison-overlay-btn');
+    if (selects.some((select) => !select) || !button) return;
+
+    const variants = this.comparisonController.getAllVariants();
+    selects.forEach((select, index) => {
+      const previous = select.value;
+      select.innerHTML = variants
+        .map((v) => {
+          const state =
+            v.state === 'complete' ? '' : ` (${this.getStateLabel(v.state)})`;
+          return `<option value="${escapeHtml(v.id)}">${escapeHtml(v.name)}${state}</option>`;
+        })
+        .join('');
+      const fallback = variants[Math.min(index, variants.length - 1)];
+      if (variants.some((v) => v.id === previous)) {
+        select.value = previous;
+      } else if (fallback) {
+        select.value = fallback.id;
+      }
+    });
+
+    const [before, after] = selects.map((select) =>
+      this.comparisonController.getVariant(select.value)
+    );
+    const ready = (v) => Boolean(v?.stl && v.state === 'complete');
+    button.disabled =
+      this.isBuildingOverlay ||
+      !ready(before) ||
+      !ready(after) ||
+      before.id === after.id;
+  }
+
+  /**
+   * Superimpose the two chosen variants and mark what changed
+   */
+  async handleShowOverlay() {
+    const before = this.comparisonController.getVariant(
+      document.getElementById('comparison-overlay-a')?.value
+    );
+    const after = this.comparisonController.getVariant(
+      document.getElementById('comparison-overlay-b')?.value
+    );
+    const status = document.getElementById('comparison-overlay-status');
+    const container = document.getElementById('comparison-overlay-preview');
+    if (!before?.stl || !after?.stl || !container) return;
+
+    this.isBuildingOverlay = true;
+    this.updateOverlayControls();
+    try {
+      const diff = computeMeshDiff(parseStl(before.stl), parseStl(after.stl));
+
+      container.hidden = false;
+      if (!this.overlayPreview) {
+        const previewManager = new PreviewManager(container, {
+          theme: this.theme,
+          highContrast: this.highContrast,
+        });
+        await previewManager.init();
+        this.overlayPreview = previewManager;
+        this.watchCamera(previewManager);
+      }
+
+      const reference = this.lockCameras
+        ? this.getReferenceCamera(this.overlayPreview)
+        : null;
+      if (reference) {
+        this.overlayPreview.setCameraState(reference);
+      }
+      this.overlayPreview.loadDiffOverlay(diff, {
+        preserveCamera: Boolean(reference),
+      });
+      this.overlaySources = {
+        ids: [before.id, after.id],
+        stls: [before.stl, after.stl],
+      };
+      if (status) status.textContent = this.describeDiff(before, after, diff);
+    } catch (error) {
+      console.error('Failed to build comparison overlay:', error);
+      if (status) {
+        status.textContent = `Could not compare the variants: ${error.message}`;
+      }
+    } finally {
+      this.isBuildingOverlay = false;
+      this.updateOverlayControls();
+    }
+  }
+
+  /**
+   * Whether an updated variant no longer matches the mesh in the overlay
+   * @param {object} variant - Updated variant
+   * @returns {boolean}
+   */
+  isOverlayStale(variant) {
+    const index = this.overlaySources?.ids.indexOf(variant.id) ?? -1;
+    return index !== -1 && this.overlaySources.stls[index] !== variant.stl;
+  }
+
+  /**
+   * Remove the diff overlay
+   * @param {string} message - Status text explaining why
+   */
+  clearOverlay(message) {
+    if (!this.overlaySources) return;
+    this.overlayPreview?.clearDiffOverlay();
+    this.overlaySources = null;
+    const container = document.getElementById('comparison-overlay-preview');
+    if (container) container.hidden = true;
+    const status = document.getElementById('comparison-overlay-status');
+    if (status) status.textContent = message;
+  }
+
+  /**
+   * Summarize a diff for the overlay status
+   * @param {object} before - First variant
+   * @param {object} after - Second variant
+   * @param {object} diff - From computeMeshDiff()
+   * @returns {string}
+   */
+  describeDiff(before, after, diff) {
+    const format = (value) => String(Number(value.toFixed(2)));
+    if (!diff.added.length && !diff.removed.length) {
+      return `${after.name} matches ${before.name} to within ${format(diff.tolerance)} mm.`;
+    }
+    const areas = `${after.name} adds ${format(diff.addedArea)} mm² and removes ${format(diff.removedArea)} mm² of surface compared with ${before.name}.`;
+    return Number.isFinite(diff.maxDistance)
+      ? `${areas} The largest difference is ${format(diff.maxDistance)} mm.`
+      : areas;
+  }
+
+  /**
+   * Show each variant's parameters side by side, flagging the ones that differ
+   */
+  renderParameterTable() {
+    const table = document.getElementById('comparison-parameter-table');
+    if (!table) return;
+
+    const variants = this.comparisonController.getAllVariants();
+    if (variants.length === 0) {
+      table.innerHTML =
+        '<caption>Add variants to compare their parameters.</caption>';
+      return;
+    }
+
+    const diffOnly =
+      document.getElementById('comparison-diff-only')?.checked ?? false;
+    const rows = this.comparisonController.getParameterDiff();
+    const differing = rows.filter((row) => row.differs);
+    const shown = diffOnly ? differing : rows;
+    const caption = diffOnly
+      ? `${differing.length} of ${rows.length} parameters differ between variants`
+      : `${rows.length} parameters, ${differing.length} of which differ between variants`;
+
+    const header = variants
+      .map((v) => `<th scope="col">${escapeHtml(v.name)}</th>`)
+      .join('');
+    const body = shown.length
+      ? shown
+          .map((row) => {
+            const cells = row.values
+              .map(
+                (value) =>
+                  `<td>${escapeHtml(this.formatParameterValue(value))}</td>`
+              )
+              .join('');
+            const flag = row.differs
+              ? '<span class="sr-only"> (differs)</span>'
+              : '';
+            return `<tr${row.differs ? ' class="comparison-param-differs"' : ''}><th scope="row">${escapeHtml(row.name)}${flag}</th>${cells}</tr>`;
+          })
+          .join('')
+      : `<tr><td colspan="${variants.length + 1}">All variants use the same parameter values.</td></tr>`;
+
+    table.innerHTML = `
+      <caption>${caption}</caption>
+      <thead><tr><th scope="col">Parameter</th>${header}</tr></thead>
+      <tbody>${body}</tbody>
+    `;
+  }
+
+  /**
+   * Format a parameter value for the parameter table
+   * @param {*} value
+   * @returns {string}
+   */
+  formatParameterValue(value) {
+    if (value === undefined) return '—';
+    if (Array.isArray(value)) return `[${value.join(', ')}]`;
+    return String(value);
+  }
+
   /**
    * Remove a variant card
    */
@@ -341,6 +721,7 @@ export class ComparisonView {
     // Clean up preview manager
     const previewManager = this.previewManagers.get(variantId);
     if (previewManager) {
+      this.unwatchCamera(previewManager);
       previewManager.dispose();
       this.previewManagers.delete(variantId);
     }
@@ -353,7 +734,10 @@ export class ComparisonView {
    */
   clearAllVariantCards() {
     // Dispose all preview managers
-    this.previewManagers.forEach((pm) => pm.dispose());
+    this.previewManagers.forEach((pm) => {
+      this.unwatchCamera(pm);
+      pm.dispose();
+    });
     this.previewManagers.clear();
 
     // Clear grid
@@ -562,6 +946,7 @@ export class ComparisonView {
     this.previewManagers.forEach((pm) => {
       pm.updateTheme(theme, highContrast);
     });
+    this.overlayPreview?.updateTheme(theme, highContrast);
   }
 
   /**
@@ -582,8 +967,13 @@ export class ComparisonView {
    */
   dispose() {
     // Dispose all preview managers
+    this.cameraSubscriptions.forEach((unsubscribe) => unsubscribe());
+    this.cameraSubscriptions.clear();
     this.previewManagers.forEach((pm) => pm.dispose());
     this.previewManagers.clear();
+    this.overlayPreview?.dispose();
+    this.overlayPreview = null;
+    this.overlaySources = null;
 
     // Clear container
     this.container.innerHTML = '';
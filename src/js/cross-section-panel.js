@@ -0,0 +1,258 @@
+/**
+ * Cross-Section Panel
+ * Controls for the preview's section plane (axis, custom direction and
+ * position), the measured outline, and SVG/DXF export of the slice. The
+ * geometry lives in cross-section.js; PreviewManager.setSection() draws it.
+ * @license GPL-3.0-or-later
+ */
+
+import {
+  buildSectionSvg,
+  buildSectionDxf,
+  getSectionAxisLabel,
+  roundSectionValue,
+} from './cross-section.js';
+import { downloadFile } from './download.js';
+
+/** Slider steps per model extent for Page Up/Page Down */
+const PAGE_STEPS = 10;
+
+/**
+ * Initialize the cross-section panel
+ * @param {Object} options - Configuration options
+ * @param {Function} options.getPreviewManager - Returns the PreviewManager (or null)
+ * @param {Function} [options.getModelName] - Returns the base name for exported files
+ * @returns {Object|null} Controller API, or null if the panel is missing
+ */
+export function initCrossSectionPanel(options = {}) {
+  const panel = document.getElementById('crossSectionPanel');
+  const toggle = document.getElementById('crossSectionToggle');
+  const controls = document.getElementById('crossSectionControls');
+  const axisSelect = document.getElementById('crossSectionAxis');
+  const normalFieldset = document.getElementById('crossSectionNormal');
+  const normalInputs = ['X', 'Y', 'Z'].map((axis) =>
+    document.getElementById(`crossSectionNormal${axis}`)
+  );
+  const offsetSlider = document.getElementById('crossSectionOffset');
+  const offsetInput = document.getElementById('crossSectionOffsetValue');
+  const offsetLabel = document.getElementById('crossSectionOffsetLabel');
+  const statusEl = document.getElementById('crossSectionStatus');
+  const resultsEl = document.getElementById('crossSectionResults');
+  const svgBtn = document.getElementById('crossSectionSvgBtn');
+  const dxfBtn = document.getElementById('crossSectionDxfBtn');
+
+  if (
+    !panel ||
+    !toggle ||
+    !axisSelect ||
+    !offsetSlider ||
+    !offsetInput ||
+    !statusEl ||
+    !resultsEl
+  ) {
+    console.warn('[CrossSection] Required elements not found');
+    return null;
+  }
+
+  const getPreviewManager = options.getPreviewManager || (() => null);
+  const getModelName = options.getModelName || (() => 'model');
+
+  /**
+   * Set a result value by data-field name
+   */
+  function setField(field, text) {
+    const el = resultsEl.querySelector(`[data-field="${field}"]`);
+    if (el) el.textContent = text;
+  }
+
+  /**
+   * Show the measurements of a section (or clear them)
+   * @param {Object|null} section - From PreviewManager.setSection()
+   */
+  function showResults(section) {
+    const m = section?.measurements;
+    setField('width', m ? `${roundSectionValue(m.width)} mm` : '--');
+    setField('height', m ? `${roundSectionValue(m.height)} mm` : '--');
+    setField('area', m ? `${roundSectionValue(m.area)} mm²` : '--');
+    setField(
+      'regions',
+      m
+        ? `${m.regions}${m.holes ? ` (${m.holes} hole${m.holes === 1 ? '' : 's'})` : ''}`
+        : '--'
+    );
+    if (svgBtn) svgBtn.disabled = !m;
+    if (dxfBtn) dxfBtn.disabled = !m;
+  }
+
+  /**
+   * Read the custom direction inputs
+   * @returns {number[]}
+   */
+  function readCustomNormal() {
+    return normalInputs.map((input) => parseFloat(input?.value) || 0);
+  }
+
+  /**
+   * Match the slider and number input to the model's extent along the axis
+   */
+  function updateRange(preview) {
+    const range = preview.getSectionRange();
+    const max = range ? roundSectionValue(range.max) : 0;
+    for (const input of [offsetSlider, offsetInput]) {
+      input.max = String(max);
+    }
+    offsetSlider.step = '0.1';
+    offsetSlider.dataset.pageStep = String(
+      Math.max(0.1, roundSectionValue(max / PAGE_STEPS))
+    );
+    const axisLabel = getSectionAxisLabel(axisSelect.value);
+    offsetLabel.textContent = `Position along ${axisLabel} (mm from the lowest point)`;
+  }
+
+  /**
+   * Show the offset the preview actually used (it clamps to the model)
+   */
+  function showOffset(offset) {
+    const value = String(roundSectionValue(offset));
+    offsetSlider.value = value;
+    offsetInput.value = value;
+    offsetSlider.setAttribute(
+      'aria-valuetext',
+      `${value} millimeters along ${getSectionAxisLabel(axisSelect.value)}`
+    );
+  }
+
+  /**
+   * Push the panel's settings to the preview
+   * @param {Object} [changes] - Extra settings for PreviewManager.setSection()
+   * @param {boolean} [announce=false] - Announce the result to screen readers
+   */
+  function apply(changes = {}, announce = false) {
+    const preview = getPreviewManager();
+    const enabled = toggle.checked;
+    controls?.toggleAttribute('hidden', !enabled);
+
+    if (!preview) {
+      showResults(null);
+      statusEl.textContent = enabled
+        ? 'Render a model to see its cross-section.'
+        : 'Turn on the cross-section to look inside the model.';
+      return;
+    }
+
+    let section;
+    try {
+      section = preview.setSection({
+        enabled,
+        axis: axisSelect.value,
+        customNormal: readCustomNormal(),
+        ...changes,
+      });
+      normalInputs.forEach((input) => input?.removeAttribute('aria-invalid'));
+    } catch (error) {
+      normalInputs.forEach((input) =>
+        input?.setAttribute('aria-invalid', 'true')
+      );
+      statusEl.textContent = error.message;
+      return;
+    }
+
+    if (!enabled) {
+      showResults(null);
+      statusEl.textContent =
+        'Turn on the cross-section to look inside the model.';
+      if (announce) preview.announceCameraAction('Cross-section hidden');
+      return;
+    }
+    if (!preview.mesh) {
+      showResults(null);
+      statusEl.textContent = 'Render a model to see its cross-section.';
+      return;
+    }
+
+    updateRange(preview);
+    if (section) showOffset(section.offset);
+    showResults(section);
+    const description = preview.describeSection();
+    statusEl.textContent = description ? `${description}.` : '';
+    if (announce && description) {
+      preview.announceCameraAction(description);
+    }
+  }
+
+  /**
+   * Download the current slice
+   * @param {'svg'|'dxf'} format
+   */
+  function exportSlice(format) {
+    const section = getPreviewManager()?.section;
+    if (!section?.measurements) return;
+    const position = String(roundSectionValue(section.offset)).replace(
+      '.',
+      '_'
+    );
+    const filename = `${getModelName()}-section-${section.axis}-${position}mm.${format}`;
+    try {
+      const content =
+        format === 'svg'
+          ? buildSectionSvg(section, {
+              title: `${getModelName()} cross-section`,
+            })
+          : buildSectionDxf(section);
+      downloadFile(new TextEncoder().encode(content), filename, format);
+      statusEl.textContent = `Slice exported as ${format.toUpperCase()}.`;
+    } catch (error) {
+      console.error('[CrossSection] Export failed:', error);
+      statusEl.textContent = `Export failed: ${error.message}`;
+    }
+  }
+
+  toggle.addEventListener('change', () => apply({}, true));
+  axisSelect.addEventListener('change', () => {
+    normalFieldset?.classList.toggle('hidden', axisSelect.value !== 'custom');
+    // Start the new axis in the middle of the model
+    apply({ offset: null }, true);
+  });
+  for (const input of normalInputs) {
+    input?.addEventListener('change', () => apply({ offset: null }, true));
+  }
+
+  // Visuals follow the slider; announcements wait for the value to settle
+  offsetSlider.addEventListener('input', () => {
+    apply({ offset: parseFloat(offsetSlider.value) });
+  });
+  offsetSlider.addEventListener('change', () => {
+    apply({ offset: parseFloat(offsetSlider.value) }, true);
+  });
+  offsetSlider.addEventListener('keydown', (event) => {
+    if (event.key !== 'PageUp' && event.key !== 'PageDown') return;
+    event.preventDefault();
+    const step = parseFloat(offsetSlider.dataset.pageStep) || 1;
+    const current = parseFloat(offsetSlider.value) || 0;
+    apply({ offset: current + (event.key === 'PageUp' ? step : -step) }, true);
+  });
+  offsetInput.addEventListener('change', () => {
+    const value = parseFloat(offsetInput.value);
+    if (!Number.isFinite(value)) {
+      offsetInput.setAttribute('aria-invalid', 'true');
+      statusEl.textContent = 'Enter a position in millimeters.';
+      return;
+    }
+    offsetInput.removeAttribute('aria-invalid');
+    apply({ offset: value }, true);
+  });
+  svgBtn?.addEventListener('click', () => exportSlice('svg'));
+  dxfBtn?.addEventListener('click', () => exportSlice('dxf'));
+
+  showResults(null);
+
+  return {
+    /** Re-read the section after a new model loads */
+    refresh: () => apply(),
+    /** Turn the section off and reset the panel */
+    reset() {
+      toggle.checked = false;
+      apply();
+    },
+  };
+}
@@ -0,0 +1,487 @@
+/**
+ * Cross Section - Slice a triangle mesh with a plane
+ *
+ * Produces the 2D outline where a plane cuts the rendered mesh: closed
+ * loops in the plane's own coordinates, nested into regions and holes,
+ * with the measurements shown in the preview and SVG/DXF exports of the
+ * outline. The preview (PreviewManager.setSection()) clips the mesh at the
+ * same plane and caps the cut with these loops.
+ *
+ * Offsets are measured from the mesh's lowest point along the section
+ * axis, since the preview recenters meshes and the original model origin
+ * is not known.
+ *
+ * @license GPL-3.0-or-later
+ */
+
+import { escapeHtml } from './html-utils.js';
+
+/** Axis directions for the built-in section planes */
+export const SECTION_AXES = {
+  x: [1, 0, 0],
+  y: [0, 1, 0],
+  z: [0, 0, 1],
+};
+
+/** Grid for matching segment endpoints (mm) */
+const WELD_PRECISION = 1e5;
+
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const cross = (a, b) => [
+  a[1] * b[2] - a[2] * b[1],
+  a[2] * b[0] - a[0] * b[2],
+  a[0] * b[1] - a[1] * b[0],
+];
+const normalize = (v) => {
+  const length = Math.hypot(v[0], v[1], v[2]);
+  return [v[0] / length, v[1] / length, v[2] / length];
+};
+
+/**
+ * Resolve the section plane's normal
+ * @param {string} axis - 'x', 'y', 'z' or 'custom'
+ * @param {Array<number>} [custom] - Direction for a custom axis
+ * @returns {number[]} Unit normal
+ * @throws {Error} If a custom direction is missing or zero
+ */
+export function getSectionNormal(axis, custom) {
+  if (SECTION_AXES[axis]) return [...SECTION_AXES[axis]];
+  const direction = Array.isArray(custom)
+    ? custom.slice(0, 3).map((value) => Number(value) || 0)
+    : [];
+  if (direction.length !== 3 || Math.hypot(...direction) < 1e-9) {
+    throw new Error('Custom section axis needs a non-zero direction');
+  }
+  return normalize(direction);
+}
+
+/**
+ * Name of a section axis for labels and announcements
+ * @param {string} axis - 'x', 'y', 'z' or 'custom'
+ * @returns {string}
+ */
+export function getSectionAxisLabel(axis) {
+  return SECTION_AXES[axis] ? axis.toUpperCase() : 'custom axis';
+}
+
+/**
+ * In-plane axes for a section, as seen looking down the normal
+ * @param {number[]} normal - Unit normal
+ * @returns {{u: number[], v: number[]}} Right and up directions
+ */
+export function getSectionBasis(normal) {
+  const up = Math.abs(normal[2]) < 0.9 ? [0, 0, 1] : [0, 1, 0];
+  const u = normalize(cross(up, normal));
+  return { u, v: cross(normal, u) };
+}
+
+/**
+ * Extent of a mesh along a direction
+ * @param {Float32Array|number[]} positions - Flat vertex positions
+ * @param {number[]} normal - Unit direction
+ * @returns {{min: number, max: number}|null} Null for an empty mesh
+ */
+export function getSectionRange(positions, normal) {
+  let min = Infinity;
+  let max = -Infinity;
+  for (let i = 0; i + 2 < positions.length; i += 3) {
+    const d =
+      positions[i] * normal[0] +
+      positions[i + 1] * normal[1] +
+      positions[i + 2] * normal[2];
+    if (d < min) min = d;
+    if (d > max) max = d;
+  }
+  return min <= max ? { min, max } : null;
+}
+
+/**
+ * Point where an edge crosses the plane
+ * Endpoints are put in a fixed order first, so the two triangles sharing
+ * an edge produce exactly the same point.
+ */
+function edgeCrossing(a, da, b, db) {
+  if (
+    a[0] > b[0] ||
+    (a[0] === b[0] && (a[1] > b[1] || (a[1] === b[1] && a[2] > b[2])))
+  ) {
+    [a, b, da, db] = [b, a, db, da];
+  }
+  const t = da / (da - db);
+  return [
+    a[0] + (b[0] - a[0]) * t,
+    a[1] + (b[1] - a[1]) * t,
+    a[2] + (b[2] - a[2]) * t,
+  ];
+}
+
+/**
+ * Cut a triangle soup with the plane normal · p = level
+ * @param {Float32Array|number[]} positions - Flat vertex positions, 9 per triangle
+ * @param {number[]} normal - Unit normal
+ * @param {number} level - Plane distance from the origin along the normal
+ * @returns {Array<[number[], number[]]>} Segments in 3D
+ */
+export function sliceMesh(positions, normal, level) {
+  const segments = [];
+  const p = [[], [], []];
+  const d = [0, 0, 0];
+  for (let i = 0; i + 8 < positions.length; i += 9) {
+    let above = 0;
+    for (let k = 0; k < 3; k++) {
+      p[k] = [
+        positions[i + k * 3],
+        positions[i + k * 3 + 1],
+        positions[i + k * 3 + 2],
+      ];
+      d[k] = dot(p[k], normal) - level;
+      // Vertices on the plane count as above it, so each crossing is seen once
+      if (d[k] >= 0) above++;
+    }
+    if (above === 0 || above === 3) continue;
+
+    const points = [];
+    for (let k = 0; k < 3; k++) {
+      const j = (k + 1) % 3;
+      if (d[k] >= 0 !== d[j] >= 0) {
+        points.push(edgeCrossing(p[k], d[k], p[j], d[j]));
+      }
+    }
+    if (points.length === 2) segments.push(points);
+  }
+  return segments;
+}
+
+/**
+ * Join segments into polylines
+ * @param {Array<[number[], number[]]>} segments - 2D segments
+ * @returns {Array<{points: number[][], closed: boolean}>}
+ */
+export function chainSegments(segments) {
+  const keyOf = ([x, y]) =>
+    `${Math.round(x * WELD_PRECISION)},${Math.round(y * WELD_PRECISION)}`;
+  const byPoint = new Map();
+  const link = (key, index) => {
+    if (!byPoint.has(key)) byPoint.set(key, []);
+    byPoint.get(key).push(index);
+  };
+  const keys = segments.map(([a, b]) => [keyOf(a), keyOf(b)]);
+  keys.forEach(([a, b], index) => {
+    if (a === b) return; // Degenerate
+    link(a, index);
+    link(b, index);
+  });
+
+  const used = new Uint8Array(segments.length);
+  const nextFrom = (key) =>
+    (byPoint.get(key) || []).find((index) => !used[index]);
+
+  const loops = [];
+  for (let start = 0; start < segments.length; start++) {
+    if (used[start] || keys[start][0] === keys[start][1]) continue;
+    used[start] = 1;
+    const points = [segments[start][0], segments[start][1]];
+    const startKey = keys[start][0];
+    let endKey = keys[start][1];
+
+    // Walk forward, then backward from the start if the chain is open
+    let closed = false;
+    for (;;) {
+      if (endKey === startKey) {
+        points.pop();
+        closed = true;
+        break;
+      }
+      const index = nextFrom(endKey);
+      if (index === undefined) break;
+      used[index] = 1;
+      const forward = keys[index][0] === endKey;
+      points.push(segments[index][forward ? 1 : 0]);
+      endKey = keys[index][forward ? 1 : 0];
+    }
+    if (!closed) {
+      let headKey = startKey;
+      for (;;) {
+        const index = nextFrom(headKey);
+        if (index === undefined) break;
+        used[index] = 1;
+        const forward = keys[index][1] === headKey;
+        points.unshift(segments[index][forward ? 0 : 1]);
+        headKey = keys[index][forward ? 0 : 1];
+      }
+    }
+    if (points.length >= 2) loops.push({ points, closed });
+  }
+  return loops;
+}
+
+/**
+ * Drop points that lie on a straight line between their neighbors
+ * Slicing leaves one point per crossed triangle edge, so flat faces
+ * produce runs of collinear points.
+ * @param {number[][]} points
+ * @param {boolean} closed
+ * @returns {number[][]}
+ */
+function dropCollinear(points, closed) {
+  const keep = points.filter((point, i) => {
+    if (!closed && (i === 0 || i === points.length - 1)) return true;
+    const prev = points[(i + points.length - 1) % points.length];
+    const next = points[(i + 1) % points.length];
+    const ax = point[0] - prev[0];
+    const ay = point[1] - prev[1];
+    const bx = next[0] - point[0];
+    const by = next[1] - point[1];
+    const turn = Math.abs(ax * by - ay * bx);
+    return turn > 1e-9 * Math.hypot(ax, ay) * Math.hypot(bx, by);
+  });
+  return keep.length >= (closed ? 3 : 2) ? keep : points;
+}
+
+/**
+ * Signed area of a 2D polygon (positive when counter-clockwise)
+ * @param {number[][]} points
+ * @returns {number}
+ */
+export function polygonArea(points) {
+  let area = 0;
+  for (let i = 0; i < points.length; i++) {
+    const [x1, y1] = points[i];
+    const [x2, y2] = points[(i + 1) % points.length];
+    area += x1 * y2 - x2 * y1;
+  }
+  return area / 2;
+}
+
+/**
+ * Even-odd point in polygon test
+ */
+function containsPoint(points, [x, y]) {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const [xi, yi] = points[i];
+    const [xj, yj] = points[j];
+    if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Cut a mesh and measure the section
+ * @param {Float32Array|number[]} positions - Flat vertex positions, 9 per triangle
+ * @param {number[]} normal - Unit normal (see getSectionNormal())
+ * @param {number} level - Plane distance from the origin along the normal
+ * @returns {{
+ *   normal: number[],
+ *   level: number,
+ *   basis: {u: number[], v: number[]},
+ *   loops: Array<{points: number[][], closed: boolean, depth: number, parent: number}>,
+ *   measurements: {width: number, height: number, min: number[], max: number[],
+ *     area: number, perimeter: number, regions: number, holes: number, openChains: number}|null
+ * }} Loops are in plane coordinates (u, v); a loop with odd depth is a hole
+ *   in its parent. Measurements are null when the plane misses the mesh.
+ */
+export function computeCrossSection(positions, normal, level) {
+  const basis = getSectionBasis(normal);
+  const segments = sliceMesh(positions, normal, level).map((segment) =>
+    segment.map((point) => [dot(point, basis.u), dot(point, basis.v)])
+  );
+  const loops = chainSegments(segments).map((loop) => ({
+    points: dropCollinear(loop.points, loop.closed),
+    closed: loop.closed,
+    depth: 0,
+    parent: -1,
+  }));
+
+  // Nesting: a loop's depth is the number of closed loops around it
+  const closed = loops.filter((loop) => loop.closed);
+  for (const loop of closed) {
+    let parentArea = Infinity;
+    for (const [index, other] of loops.entries()) {
+      if (other === loop || !other.closed) continue;
+      if (!containsPoint(other.points, loop.points[0])) continue;
+      loop.depth += 1;
+      const area = Math.abs(polygonArea(other.points));
+      if (area < parentArea) {
+        parentArea = area;
+        loop.parent = index;
+      }
+    }
+  }
+
+  if (loops.length === 0) {
+    return { normal, level, basis, loops, measurements: null };
+  }
+
+  const min = [Infinity, Infinity];
+  const max = [-Infinity, -Infinity];
+  let perimeter = 0;
+  for (const { points, closed: isClosed } of loops) {
+    points.forEach(([x, y], i) => {
+      min[0] = Math.min(min[0], x);
+      min[1] = Math.min(min[1], y);
+      max[0] = Math.max(max[0], x);
+      max[1] = Math.max(max[1], y);
+      if (i > 0 || isClosed) {
+        const [px, py] = points[(i + points.length - 1) % points.length];
+        perimeter += Math.hypot(x - px, y - py);
+      }
+    });
+  }
+  const area = closed.reduce(
+    (sum, loop) =>
+      sum + Math.abs(polygonArea(loop.points)) * (loop.depth % 2 ? -1 : 1),
+    0
+  );
+
+  return {
+    normal,
+    level,
+    basis,
+    loops,
+    measurements: {
+      width: max[0] - min[0],
+      height: max[1] - min[1],
+      min,
+      max,
+      area,
+      perimeter,
+      regions: closed.filter((loop) => loop.depth % 2 === 0).length,
+      holes: closed.filter((loop) => loop.depth % 2 === 1).length,
+      openChains: loops.length - closed.length,
+    },
+  };
+}
+
+/**
+ * Map a point in plane coordinates back to 3D
+ * @param {Object} section - From computeCrossSection()
+ * @param {number[]} point - [u, v]
+ * @returns {number[]} [x, y, z]
+ */
+export function sectionPointTo3D(section, [u, v]) {
+  const { normal, level, basis } = section;
+  return [0, 1, 2].map(
+    (i) => normal[i] * level + basis.u[i] * u + basis.v[i] * v
+  );
+}
+
+/**
+ * Round a measurement for display
+ * @param {number} value
+ * @returns {number}
+ */
+export function roundSectionValue(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Describe a section in words, for the status line and screen readers
+ * @param {Object|null} section - From computeCrossSection()
+ * @param {string} axisLabel - e.g. 'Z' or 'custom axis'
+ * @param {number} offset - Offset from the mesh's lowest point (mm)
+ * @returns {string}
+ */
+export function describeCrossSection(section, axisLabel, offset) {
+  const where = `Section at ${axisLabel} ${roundSectionValue(offset)} mm`;
+  const m = section?.measurements;
+  if (!m) return `${where}: plane does not cut the model`;
+  const parts = [
+    `${roundSectionValue(m.width)} by ${roundSectionValue(m.height)} mm`,
+    `area ${roundSectionValue(m.area)} square mm`,
+    `${m.regions} region${m.regions === 1 ? '' : 's'}`,
+  ];
+  if (m.holes > 0) parts.push(`${m.holes} hole${m.holes === 1 ? '' : 's'}`);
+  if (m.openChains > 0)
+    parts.push(`${m.openChains} open outline${m.openChains === 1 ? '' : 's'}`);
+  return `${where}: ${parts.join(', ')}`;
+}
+
+/**
+ * Format a coordinate for SVG/DXF output
+ */
+function formatCoordinate(value) {
+  const rounded = Number(value.toFixed(4));
+  return String(Object.is(rounded, -0) ? 0 : rounded);
+}
+
+/**
+ * Export a section outline as SVG (millimeter units)
+ * The outline is moved so its bounding box starts at the origin. Regions
+ * are filled with holes cut out (even-odd), as a laser cutter would see them.
+ * @param {Object} section - From computeCrossSection()
+ * @param {Object} [options]
+ * @param {string} [options.title] - Document title
+ * @returns {string} SVG document
+ */
+export function buildSectionSvg(section, options = {}) {
+  const m = section.measurements;
+  if (!m) throw new Error('The section plane does not cut the model');
+  const width = formatCoordinate(m.width);
+  const height = formatCoordinate(m.height);
+  // SVG's Y axis points down
+  const toSvg = ([u, v]) =>
+    `${formatCoordinate(u - m.min[0])},${formatCoordinate(m.max[1] - v)}`;
+
+  const filled = section.loops
+    .filter((loop) => loop.closed)
+    .map((loop) => `M${loop.points.map(toSvg).join('L')}Z`)
+    .join('');
+  const open = section.loops
+    .filter((loop) => !loop.closed)
+    .map(
+      (loop) =>
+        `  <polyline points="${loop.points.map(toSvg).join(' ')}" fill="none" stroke="black" stroke-width="0.1"/>\n`
+    )
+    .join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${width}mm" height="${height}mm" viewBox="0 0 ${width} ${height}">
+  <title>${escapeHtml(options.title || 'Cross-section')}</title>
+${filled ? `  <path d="${filled}" fill="black" fill-rule="evenodd" stroke="none"/>\n` : ''}${open}</svg>
+`;
+}
+
+/**
+ * Export a section outline as DXF (R12 with LWPOLYLINE entities, millimeters)
+ * Coordinates are moved like buildSectionSvg(), with Y pointing up.
+ * @param {Object} section - From computeCrossSection()
+ * @returns {string} DXF document
+ */
+export function buildSectionDxf(section) {
+  const m = section.measurements;
+  if (!m) throw new Error('The section plane does not cut the model');
+  const lines = [];
+  const add = (code, value) => lines.push(String(code).padStart(3), value);
+
+  add(0, 'SECTION');
+  add(2, 'HEADER');
+  add(9, '$ACADVER');
+  add(1, 'AC1009');
+  add(9, '$INSUNITS');
+  add(70, '4'); // Millimeters
+  add(9, '$EXTMIN');
+  add(10, '0');
+  add(20, '0');
+  add(9, '$EXTMAX');
+  add(10, formatCoordinate(m.width));
+  add(20, formatCoordinate(m.height));
+  add(0, 'ENDSEC');
+  add(0, 'SECTION');
+  add(2, 'ENTITIES');
+  for (const loop of section.loops) {
+    add(0, 'LWPOLYLINE');
+    add(8, '0');
+    add(90, String(loop.points.length));
+    add(70, loop.closed ? '1' : '0');
+    for (const [u, v] of loop.points) {
+      add(10, formatCoordinate(u - m.min[0]));
+      add(20, formatCoordinate(v - m.min[1]));
+    }
+  }
+  add(0, 'ENDSEC');
+  add(0, 'EOF');
+  return `${lines.join('\n')}\n`;
+}
@@ -0,0 +1,797 @@
+/**
+ * CSG Draft - Approximate preview from OpenSCAD's CSG tree export
+ *
+ * Exporting to .csg only evaluates the script; no geometry is computed, so
+ * it returns in a fraction of the time a mesh render takes. The tree is
+ * drawn here primitive by primitive, the way OpenSCAD's "thrown together"
+ * view does: solids are drawn as they are, while everything a difference()
+ * subtracts is collected separately and shown as translucent subtractors.
+ *
+ * Operations that need real geometry (hull, minkowski, intersection,
+ * offset, resize) show their children unchanged and are reported as
+ * approximated; import(), surface() and text() are skipped.
+ *
+ * @license GPL-3.0-or-later
+ */
+
+/** Fragment cap for curved primitives; the draft favors speed over smoothness */
+export const DRAFT_MAX_FRAGMENTS = 48;
+
+/** OpenSCAD's GRID_FINE: radii below this get the minimum of 3 fragments */
+const GRID_FINE = 0.00000095367431640625;
+
+const IDENTITY = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+
+/** Nodes whose children are drawn as-is */
+const PASS_THROUGH = new Set(['group', 'union', 'render', 'root']);
+
+/** Nodes drawn as their children, which is only an approximation */
+const APPROXIMATED = new Set([
+  'hull',
+  'minkowski',
+  'intersection',
+  'resize',
+  'offset',
+  'fill',
+  'roof',
+]);
+
+/** Leaf nodes the draft cannot draw */
+const SKIPPED = new Set(['import', 'surface', 'text', 'projection']);
+
+/** 2D primitives, which only show up when extruded */
+const SHAPES_2D = new Set(['square', 'circle', 'polygon']);
+
+// ============================================================================
+// Parser
+// ============================================================================
+
+const TOKEN_PATTERN =
+  /\s+|\/\/[^\n]*|\/\*[\s\S]*?\*\/|(-?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)|("(?:[^"\\]|\\.)*")|([$A-Za-z_][$\w]*)|([()[\]{},;=!#%*:-])/y;
+
+/**
+ * Split .csg text into tokens
+ * @param {string} text
+ * @returns {Array<{type: string, value: *}>}
+ */
+function tokenize(text) {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+  while (TOKEN_PATTERN.lastIndex < text.length) {
+    const start = TOKEN_PATTERN.lastIndex;
+    const match = TOKEN_PATTERN.exec(text);
+    if (!match) {
+      throw new Error(`Unexpected character in CSG tree at ${start}`);
+    }
+    const [, number, string, name, symbol] = match;
+    if (number !== undefined) {
+      tokens.push({ type: 'value', value: Number(number) });
+    } else if (string !== undefined) {
+      tokens.push({ type: 'value', value: JSON.parse(string) });
+    } else if (name !== undefined) {
+      tokens.push({ type: 'name', value: name });
+    } else if (symbol !== undefined) {
+      tokens.push({ type: 'symbol', value: symbol });
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Parse the text of an OpenSCAD .csg export
+ * @param {string|ArrayBuffer|Uint8Array} data - .csg file contents
+ * @returns {{name: string, modifier: string, args: Object, positional: Array, children: Array}}
+ *   Root node; its children are the top-level statements
+ */
+export function parseCsgTree(data) {
+  const text = typeof data === 'string' ? data : new TextDecoder().decode(data);
+  const tokens = tokenize(text);
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const isSymbol = (value) =>
+    peek()?.type === 'symbol' && peek().value === value;
+  const expect = (value) => {
+    if (!isSymbol(value)) {
+      const found = peek() ? String(peek().value) : 'end of input';
+      throw new Error(`Expected "${value}" in CSG tree, found "${found}"`);
+    }
+    pos++;
+  };
+
+  const parseValue = () => {
+    const token = tokens[pos++];
+    if (!token) throw new Error('Unexpected end of CSG tree');
+    if (token.type === 'value') return token.value;
+    if (token.type === 'name') {
+      if (token.value === 'true') return true;
+      if (token.value === 'false') return false;
+      if (token.value === 'inf') return Infinity;
+      if (token.value === 'nan') return NaN;
+      return null; // undef
+    }
+    if (token.value === '-' && peek()?.type === 'name') {
+      return -parseValue();
+    }
+    if (token.value === '[') {
+      const items = [];
+      while (!isSymbol(']')) {
+        items.push(parseValue());
+        if (isSymbol(',') || isSymbol(':')) pos++;
+      }
+      pos++;
+      return items;
+    }
+    throw new Error(`Unexpected "${token.value}" in CSG tree`);
+  };
+
+  const parseStatement = () => {
+    let modifier = '';
+    while (peek()?.type === 'symbol' && '!#%*'.includes(peek().value)) {
+      modifier += tokens[pos++].value;
+    }
+    const nameToken = tokens[pos++];
+    if (nameToken?.type !== 'name') {
+      throw new Error('Expected a module name in CSG tree');
+    }
+    const node = {
+      name: nameToken.value,
+      modifier,
+      args: {},
+      positional: [],
+      children: [],
+    };
+
+    expect('(');
+    while (!isSymbol(')')) {
+      if (peek()?.type === 'name' && tokens[pos + 1]?.value === '=') {
+        const key = tokens[pos].value;
+        pos += 2;
+        node.args[key] = parseValue();
+      } else {
+        node.positional.push(parseValue());
+      }
+      if (isSymbol(',')) pos++;
+    }
+    pos++;
+
+    if (isSymbol('{')) {
+      pos++;
+      while (!isSymbol('}')) {
+        if (!peek()) throw new Error('Unexpected end of CSG tree');
+        if (isSymbol(';')) {
+          pos++;
+          continue;
+        }
+        node.children.push(parseStatement());
+      }
+      pos++;
+    } else {
+      expect(';');
+    }
+    return node;
+  };
+
+  const root = {
+    name: 'root',
+    modifier: '',
+    args: {},
+    positional: [],
+    children: [],
+  };
+  while (pos < tokens.length) {
+    if (isSymbol(';')) {
+      pos++;
+      continue;
+    }
+    root.children.push(parseStatement());
+  }
+  return root;
+}
+
+// ============================================================================
+// Tessellation
+// ============================================================================
+
+/**
+ * Number of fragments for a circle, as OpenSCAD computes it (capped for the draft)
+ * @param {number} r - Radius
+ * @param {Object} args - Node arguments with $fn, $fa, $fs
+ * @returns {number}
+ */
+export function getFragments(r, args = {}) {
+  const fn = Number(args.$fn) || 0;
+  const fa = Number(args.$fa) || 12;
+  const fs = Number(args.$fs) || 2;
+  let fragments;
+  if (r < GRID_FINE) {
+    fragments = 3;
+  } else if (fn > 0) {
+    fragments = Math.max(Math.floor(fn), 3);
+  } else {
+    fragments = Math.ceil(
+      Math.max(Math.min(360 / fa, (r * 2 * Math.PI) / fs), 5)
+    );
+  }
+  return Math.min(fragments, DRAFT_MAX_FRAGMENTS);
+}
+
+/**
+ * Multiply two 4x4 row-major matrices
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number[]}
+ */
+function multiply(a, b) {
+  const out = new Array(16);
+  for (let row = 0; row < 4; row++) {
+    for (let col = 0; col < 4; col++) {
+      let sum = 0;
+      for (let k = 0; k < 4; k++) {
+        sum += a[row * 4 + k] * b[k * 4 + col];
+      }
+      out[row * 4 + col] = sum;
+    }
+  }
+  return out;
+}
+
+/**
+ * Read a multmatrix() argument into a flat 4x4 matrix
+ * @param {Array<Array<number>>} rows
+ * @returns {number[]}
+ */
+function toMatrix(rows) {
+  if (!Array.isArray(rows)) return IDENTITY;
+  const matrix = [...IDENTITY];
+  rows.slice(0, 4).forEach((row, r) => {
+    (Array.isArray(row) ? row : []).slice(0, 4).forEach((value, c) => {
+      if (Number.isFinite(value)) matrix[r * 4 + c] = value;
+    });
+  });
+  return matrix;
+}
+
+/**
+ * Read a number or [x, y, z] size argument
+ * @param {number|number[]} value
+ * @param {number} dims - 2 or 3
+ * @returns {number[]}
+ */
+function toSize(value, dims) {
+  if (Array.isArray(value)) {
+    return Array.from({ length: dims }, (_, i) => Number(value[i]) || 0);
+  }
+  const size = Number.isFinite(value) ? value : 1;
+  return Array(dims).fill(size);
+}
+
+/**
+ * Triangulate a simple polygon by ear clipping
+ * Falls back to a fan for polygons that cannot be clipped (self-intersecting).
+ * @param {Array<[number, number]>} points
+ * @returns {Array<[number, number, number]>} Index triples, counter-clockwise
+ */
+export function triangulatePolygon(points) {
+  const n = points.length;
+  if (n < 3) return [];
+
+  let area = 0;
+  for (let i = 0; i < n; i++) {
+    const [x1, y1] = points[i];
+    const [x2, y2] = points[(i + 1) % n];
+    area += x1 * y2 - x2 * y1;
+  }
+  const indices = points.map((_, i) => i);
+  if (area < 0) indices.reverse();
+
+  const cross = (a, b, c) =>
+    (b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0]);
+  const inside = (p, a, b, c) =>
+    cross(a, b, p) >= 0 && cross(b, c, p) >= 0 && cross(c, a, p) >= 0;
+
+  const triangles = [];
+  let guard = indices.length * indices.length;
+  while (indices.length > 3 && guard-- > 0) {
+    let clipped = false;
+    for (let i = 0; i < indices.length; i++) {
+      const prev = indices[(i + indices.length - 1) % indices.length];
+      const curr = indices[i];
+      const next = indices[(i + 1) % indices.length];
+      const [a, b, c] = [points[prev], points[curr], points[next]];
+      if (cross(a, b, c) <= 0) continue;
+      const blocked = indices.some(
+        (j) =>
+          j !== prev && j !== curr && j !== next && inside(points[j], a, b, c)
+      );
+      if (blocked) continue;
+      triangles.push([prev, curr, next]);
+      indices.splice(i, 1);
+      clipped = true;
+      break;
+    }
+    if (!clipped) break;
+  }
+
+  if (indices.length === 3) {
+    triangles.push([indices[0], indices[1], indices[2]]);
+  } else {
+    for (let i = 1; i < indices.length - 1; i++) {
+      triangles.push([indices[0], indices[i], indices[i + 1]]);
+    }
+  }
+  return triangles;
+}
+
+/**
+ * Triangles of a cube
+ * @returns {number[]} Flat triangle vertex list
+ */
+function cubeTriangles(args) {
+  const [sx, sy, sz] = toSize(args.size, 3);
+  const [x0, y0, z0] = args.center ? [-sx / 2, -sy / 2, -sz / 2] : [0, 0, 0];
+  const [x1, y1, z1] = [x0 + sx, y0 + sy, z0 + sz];
+  const v = [
+    [x0, y0, z0],
+    [x1, y0, z0],
+    [x1, y1, z0],
+    [x0, y1, z0],
+    [x0, y0, z1],
+    [x1, y0, z1],
+    [x1, y1, z1],
+    [x0, y1, z1],
+  ];
+  const quads = [
+    [0, 3, 2, 1],
+    [4, 5, 6, 7],
+    [0, 1, 5, 4],
+    [1, 2, 6, 5],
+    [2, 3, 7, 6],
+    [3, 0, 4, 7],
+  ];
+  const out = [];
+  for (const [a, b, c, d] of quads) {
+    out.push(...v[a], ...v[b], ...v[c], ...v[a], ...v[c], ...v[d]);
+  }
+  return out;
+}
+
+/**
+ * Push a quad (two triangles) between two rings of points
+ */
+function pushRingQuads(out, lower, upper) {
+  const n = lower.length;
+  for (let i = 0; i < n; i++) {
+    const j = (i + 1) % n;
+    out.push(...lower[i], ...lower[j], ...upper[j]);
+    out.push(...lower[i], ...upper[j], ...upper[i]);
+  }
+}
+
+/**
+ * Push a triangle fan closing a ring of points
+ */
+function pushRingCap(out, ring, reverse) {
+  for (let i = 1; i < ring.length - 1; i++) {
+    if (reverse) {
+      out.push(...ring[0], ...ring[i + 1], ...ring[i]);
+    } else {
+      out.push(...ring[0], ...ring[i], ...ring[i + 1]);
+    }
+  }
+}
+
+/**
+ * Points on a circle at height z
+ */
+function ring(r, z, fragments) {
+  return Array.from({ length: fragments }, (_, i) => {
+    const angle = (2 * Math.PI * i) / fragments;
+    return [r * Math.cos(angle), r * Math.sin(angle), z];
+  });
+}
+
+/**
+ * Triangles of a sphere, with OpenSCAD's ring layout
+ */
+function sphereTriangles(args) {
+  const r = Number(args.r) || (Number(args.d) || 2) / 2;
+  const fragments = getFragments(r, args);
+  const rings = Math.floor((fragments + 1) / 2);
+  const layers = Array.from({ length: rings }, (_, i) => {
+    const phi = (Math.PI * (i + 0.5)) / rings;
+    return ring(r * Math.sin(phi), r * Math.cos(phi), fragments);
+  });
+  const out = [];
+  pushRingCap(out, layers[0], false);
+  for (let i = 0; i < rings - 1; i++) {
+    pushRingQuads(out, layers[i + 1], layers[i]);
+  }
+  pushRingCap(out, layers[rings - 1], true);
+  return out;
+}
+
+/**
+ * Triangles of a cylinder or cone
+ */
+function cylinderTriangles(args) {
+  const h = Number.isFinite(args.h) ? args.h : 1;
+  const r1 = Number.isFinite(args.r1) ? args.r1 : Number(args.r) || 1;
+  const r2 = Number.isFinite(args.r2) ? args.r2 : Number(args.r) || 1;
+  const fragments = getFragments(Math.max(r1, r2), args);
+  const z0 = args.center ? -h / 2 : 0;
+  const bottom = ring(r1, z0, fragments);
+  const top = ring(r2, z0 + h, fragments);
+  const out = [];
+  pushRingQuads(out, bottom, top);
+  if (r1 > 0) pushRingCap(out, bottom, true);
+  if (r2 > 0) pushRingCap(out, top, false);
+  return out;
+}
+
+/**
+ * Triangles of a polyhedron (faces are fan-triangulated)
+ */
+function polyhedronTriangles(args) {
+  const points = Array.isArray(args.points) ? args.points : [];
+  const faces = Array.isArray(args.faces)
+    ? args.faces
+    : Array.isArray(args.triangles)
+      ? args.triangles
+      : [];
+  const out = [];
+  for (const face of faces) {
+    if (!Array.isArray(face)) continue;
+    const verts = face.map((i) => points[i]).filter(Array.isArray);
+    for (let i = 1; i < verts.length - 1; i++) {
+      out.push(...verts[0], ...verts[i], ...verts[i + 1]);
+    }
+  }
+  return out.map((value) => Number(value) || 0);
+}
+
+/**
+ * Outlines of a 2D primitive
+ * @returns {Array<Array<[number, number]>>}
+ */
+function shapeOutlines(node) {
+  const { name, args } = node;
+  if (name === 'square') {
+    const [sx, sy] = toSize(args.size, 2);
+    const [x0, y0] = args.center ? [-sx / 2, -sy / 2] : [0, 0];
+    return [
+      [
+        [x0, y0],
+        [x0 + sx, y0],
+        [x0 + sx, y0 + sy],
+        [x0, y0 + sy],
+      ],
+    ];
+  }
+  if (name === 'circle') {
+    const r = Number(args.r) || (Number(args.d) || 2) / 2;
+    const fragments = getFragments(r, args);
+    return [ring(r, 0, fragments).map(([x, y]) => [x, y])];
+  }
+  const points = Array.isArray(args.points) ? args.points : [];
+  if (Array.isArray(args.paths)) {
+    return args.paths.map((path) =>
+      path.map((i) => points[i]).filter(Array.isArray)
+    );
+  }
+  return [points];
+}
+
+/**
+ * Extrude outlines along Z, with linear_extrude()'s scale and twist
+ */
+function linearExtrudeTriangles(outlines, args) {
+  const h = Number.isFinite(args.height)
+    ? args.height
+    : Array.isArray(args.v)
+      ? Number(args.v[2]) || 0
+      : 100;
+  const z0 = args.center ? -h / 2 : 0;
+  const [scaleX, scaleY] = Array.isArray(args.scale)
+    ? [args.scale[0] ?? 1, args.scale[1] ?? 1]
+    : [args.scale ?? 1, args.scale ?? 1];
+  const twist = Number(args.twist) || 0;
+  const slices = twist
+    ? Math.min(
+        Math.max(Number(args.slices) || Math.ceil(Math.abs(twist) / 10), 1),
+        36
+      )
+    : 1;
+
+  const layer = (outline, k) => {
+    const t = k / slices;
+    const sx = 1 + (scaleX - 1) * t;
+    const sy = 1 + (scaleY - 1) * t;
+    const angle = (-twist * t * Math.PI) / 180;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    return outline.map(([x, y]) => [
+      x * sx * cos - y * sy * sin,
+      x * sx * sin + y * sy * cos,
+      z0 + h * t,
+    ]);
+  };
+
+  const out = [];
+  for (const outline of outlines) {
+    if (outline.length < 3) continue;
+    const layers = Array.from({ length: slices + 1 }, (_, k) =>
+      layer(outline, k)
+    );
+    for (let k = 0; k < slices; k++) {
+      pushRingQuads(out, layers[k], layers[k + 1]);
+    }
+    for (const [a, b, c] of triangulatePolygon(outline)) {
+      const bottom = layers[0];
+      const top = layers[slices];
+      out.push(...bottom[a], ...bottom[c], ...bottom[b]);
+      out.push(...top[a], ...top[b], ...top[c]);
+    }
+  }
+  return out;
+}
+
+/**
+ * Revolve outlines around Z, as rotate_extrude() does
+ */
+function rotateExtrudeTriangles(outlines, args) {
+  const angle = Number.isFinite(args.angle) ? args.angle : 360;
+  const maxX = Math.max(
+    0,
+    ...outlines.flat().map(([x]) => Math.abs(Number(x) || 0))
+  );
+  const fragments = Math.max(
+    Math.ceil((getFragments(maxX, args) * Math.abs(angle)) / 360),
+    1
+  );
+  const full = Math.abs(angle) >= 360;
+  const steps = full ? fragments : fragments + 1;
+  const sweep = (outline, i) => {
+    const a = (angle * Math.PI * i) / (180 * fragments);
+    return outline.map(([x, y]) => [x * Math.cos(a), x * Math.sin(a), y]);
+  };
+
+  const out = [];
+  for (const outline of outlines) {
+    if (outline.length < 2) continue;
+    const profiles = Array.from({ length: steps }, (_, i) => sweep(outline, i));
+    for (let i = 0; i < fragments; i++) {
+      const a = profiles[i];
+      const b = profiles[(i + 1) % steps];
+      for (let p = 0; p < outline.length; p++) {
+        const q = (p + 1) % outline.length;
+        out.push(...a[p], ...b[p], ...b[q]);
+        out.push(...a[p], ...b[q], ...a[q]);
+      }
+    }
+    if (!full && outline.length >= 3) {
+      for (const [a, b, c] of triangulatePolygon(outline)) {
+        const start = profiles[0];
+        const end = profiles[steps - 1];
+        out.push(...start[a], ...start[c], ...start[b]);
+        out.push(...end[a], ...end[b], ...end[c]);
+      }
+    }
+  }
+  return out;
+}
+
+/**
+ * Convert an OpenSCAD color vector to #rrggbb and alpha
+ * @param {Array<number>} rgba
+ * @returns {{color: string, alpha: number}|null}
+ */
+function toColor(rgba) {
+  if (!Array.isArray(rgba) || rgba.length < 3) return null;
+  const hex = rgba
+    .slice(0, 3)
+    .map((c) =>
+      Math.round(Math.min(1, Math.max(0, Number(c) || 0)) * 255)
+        .toString(16)
+        .padStart(2, '0')
+    )
+    .join('');
+  const alpha = Number.isFinite(rgba[3]) ? rgba[3] : 1;
+  return { color: `#${hex}`, alpha };
+}
+
+/**
+ * Build the draft meshes for a parsed CSG tree
+ * @param {Object} tree - From parseCsgTree()
+ * @returns {{
+ *   solids: Array<{color: string|null, alpha: number, positions: Float32Array}>,
+ *   subtractors: Float32Array,
+ *   background: Float32Array,
+ *   bounds: {min: number[], max: number[]}|null,
+ *   stats: {primitives: number, subtractors: number, approximated: string[], skipped: string[]}
+ * }} Triangle soups in model coordinates; bounds cover the solids
+ */
+export function buildCsgDraft(tree) {
+  const solids = new Map(); // color key -> { color, alpha, values }
+  const subtractors = [];
+  const background = [];
+  const stats = { primitives: 0, subtractors: 0 };
+  const approximated = new Set();
+  const skipped = new Set();
+
+  const emit = (triangles, matrix, mode, paint) => {
+    if (triangles.length === 0) return;
+    let target;
+    if (mode === 'subtract') {
+      target = subtractors;
+      stats.subtractors += 1;
+    } else if (mode === 'background') {
+      target = background;
+    } else {
+      const key = paint ? `${paint.color}/${paint.alpha}` : '';
+      if (!solids.has(key)) {
+        solids.set(key, {
+          color: paint?.color ?? null,
+          alpha: paint?.alpha ?? 1,
+          values: [],
+        });
+      }
+      target = solids.get(key).values;
+      stats.primitives += 1;
+    }
+    const m = matrix;
+    for (let i = 0; i + 2 < triangles.length; i += 3) {
+      const x = triangles[i];
+      const y = triangles[i + 1];
+      const z = triangles[i + 2];
+      target.push(
+        m[0] * x + m[1] * y + m[2] * z + m[3],
+        m[4] * x + m[5] * y + m[6] * z + m[7],
+        m[8] * x + m[9] * y + m[10] * z + m[11]
+      );
+    }
+  };
+
+  // 2D subtrees become outlines; difference() keeps subtracted outlines apart
+  const collect2D = (node, matrix, result) => {
+    if (node.modifier.includes('%') || node.modifier.includes('*')) {
+      return result;
+    }
+    const { name, children } = node;
+    if (SHAPES_2D.has(name)) {
+      for (const outline of shapeOutlines(node)) {
+        result.solid.push(
+          outline.map(([x, y]) => [
+            matrix[0] * x + matrix[1] * y + matrix[3],
+            matrix[4] * x + matrix[5] * y + matrix[7],
+          ])
+        );
+      }
+    } else if (name === 'multmatrix') {
+      const next = multiply(
+        matrix,
+        toMatrix(node.args.m ?? node.positional[0])
+      );
+      children.forEach((child) => collect2D(child, next, result));
+    } else if (name === 'difference') {
+      children.forEach((child, i) => {
+        if (i === 0) {
+          collect2D(child, matrix, result);
+        } else {
+          const inner = collect2D(child, matrix, { solid: [], subtract: [] });
+          result.subtract.push(...inner.solid, ...inner.subtract);
+        }
+      });
+    } else if (SKIPPED.has(name) && children.length === 0) {
+      skipped.add(name);
+    } else {
+      if (APPROXIMATED.has(name)) approximated.add(name);
+      children.forEach((child) => collect2D(child, matrix, result));
+    }
+    return result;
+  };
+
+  const walk = (node, matrix, mode, paint) => {
+    if (node.modifier.includes('*')) return;
+    const nodeMode = node.modifier.includes('%') ? 'background' : mode;
+    const { name, args, children } = node;
+
+    switch (name) {
+      case 'cube':
+        emit(cubeTriangles(args), matrix, nodeMode, paint);
+        return;
+      case 'sphere':
+        emit(sphereTriangles(args), matrix, nodeMode, paint);
+        return;
+      case 'cylinder':
+        emit(cylinderTriangles(args), matrix, nodeMode, paint);
+        return;
+      case 'polyhedron':
+        emit(polyhedronTriangles(args), matrix, nodeMode, paint);
+        return;
+      case 'multmatrix': {
+        const next = multiply(matrix, toMatrix(args.m ?? node.positional[0]));
+        children.forEach((child) => walk(child, next, nodeMode, paint));
+        return;
+      }
+      case 'color': {
+        const next = toColor(args.c ?? node.positional[0]) || paint;
+        children.forEach((child) => walk(child, matrix, nodeMode, next));
+        return;
+      }
+      case 'difference':
+        children.forEach((child, i) => {
+          const childMode =
+            i === 0 || nodeMode === 'background' ? nodeMode : 'subtract';
+          walk(child, matrix, childMode, paint);
+        });
+        return;
+      case 'linear_extrude':
+      case 'rotate_extrude': {
+        const outlines = { solid: [], subtract: [] };
+        children.forEach((child) => collect2D(child, IDENTITY, outlines));
+        const extrude =
+          name === 'linear_extrude'
+            ? linearExtrudeTriangles
+            : rotateExtrudeTriangles;
+        emit(extrude(outlines.solid, args), matrix, nodeMode, paint);
+        const cutMode = nodeMode === 'background' ? nodeMode : 'subtract';
+        emit(extrude(outlines.subtract, args), matrix, cutMode, paint);
+        return;
+      }
+      default:
+        break;
+    }
+
+    if (SHAPES_2D.has(name)) {
+      skipped.add('2D shapes');
+      return;
+    }
+    if (SKIPPED.has(name)) {
+      skipped.add(name);
+      return;
+    }
+    if (!PASS_THROUGH.has(name)) {
+      approximated.add(name);
+    }
+    children.forEach((child) => walk(child, matrix, nodeMode, paint));
+  };
+
+  walk(tree, IDENTITY, 'solid', null);
+
+  const solidParts = [...solids.values()]
+    .filter((part) => part.values.length > 0)
+    .map(({ color, alpha, values }) => ({
+      color,
+      alpha,
+      positions: new Float32Array(values),
+    }));
+
+  const boundsOf = (arrays) => {
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    for (const values of arrays) {
+      for (let i = 0; i < values.length; i++) {
+        const axis = i % 3;
+        if (values[i] < min[axis]) min[axis] = values[i];
+        if (values[i] > max[axis]) max[axis] = values[i];
+      }
+    }
+    return min[0] <= max[0] ? { min, max } : null;
+  };
+  const bounds =
+    boundsOf(solidParts.map((part) => part.positions)) ||
+    boundsOf([subtractors, background]);
+
+  return {
+    solids: solidParts,
+    subtractors: new Float32Array(subtractors),
+    background: new Float32Array(background),
+    bounds,
+    stats: {
+      ...stats,
+      approximated: [...approximated],
+      skipped: [...skipped],
+    },
+  };
+}
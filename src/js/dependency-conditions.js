@@ -0,0 +1,361 @@
+/**
+ * Dependency Conditions - @depends() grammar, evaluation and validation
+ *
+ * Grammar (bare words on the right-hand side are values, not parameters):
+ *   condition  := or
+ *   or         := and ('||' and)*
+ *   and        := unary ('&&' unary)*
+ *   unary      := '!' unary | '(' condition ')' | comparison
+ *   comparison := name (op value | 'in' '[' value (',' value)* ']')?
+ *   op         := '==' | '!=' | '<' | '<=' | '>' | '>='
+ *
+ * Examples:
+ *   @depends(has_case==yes && screen_width>200)
+ *   @depends(shape in [round, oval] || !simple_mode)
+ *
+ * @license GPL-3.0-or-later
+ */
+
+import { tokenizeExpression } from './scad-expression.js';
+
+const COMPARISON_OPERATORS = ['==', '!=', '<', '<=', '>', '>='];
+
+/**
+ * Recursive-descent parser for @depends conditions
+ */
+class ConditionParser {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.pos = 0;
+  }
+
+  peek() {
+    return this.tokens[this.pos];
+  }
+
+  isOp(value) {
+    const token = this.peek();
+    return token?.type === 'op' && token.value === value;
+  }
+
+  expectOp(value) {
+    if (!this.isOp(value)) {
+      const token = this.peek();
+      throw new Error(
+        `Expected "${value}" but found ${token ? `"${token.value}"` : 'end of condition'}`
+      );
+    }
+    this.pos++;
+  }
+
+  parse() {
+    if (this.tokens.length === 0) throw new Error('Empty condition');
+    const node = this.parseOr();
+    if (this.pos < this.tokens.length) {
+      throw new Error(`Unexpected "${this.peek().value}"`);
+    }
+    return node;
+  }
+
+  parseOr() {
+    let left = this.parseAnd();
+    while (this.isOp('||')) {
+      this.pos++;
+      left = { type: 'or', left, right: this.parseAnd() };
+    }
+    return left;
+  }
+
+  parseAnd() {
+    let left = this.parseUnary();
+    while (this.isOp('&&')) {
+      this.pos++;
+      left = { type: 'and', left, right: this.parseUnary() };
+    }
+    return left;
+  }
+
+  parseUnary() {
+    if (this.isOp('!')) {
+      this.pos++;
+      return { type: 'not', argument: this.parseUnary() };
+    }
+    if (this.isOp('(')) {
+      this.pos++;
+      const inner = this.parseOr();
+      this.expectOp(')');
+      return inner;
+    }
+    return this.parseComparison();
+  }
+
+  parseComparison() {
+    const token = this.peek();
+    if (token?.type !== 'word') {
+      throw new Error(
+        `Expected a parameter name but found ${token ? `"${token.value}"` : 'end of condition'}`
+      );
+    }
+    this.pos++;
+    const parameter = token.value;
+
+    const next = this.peek();
+    if (next?.type === 'word' && next.value === 'in') {
+      this.pos++;
+      this.expectOp('[');
+      const values = [this.parseValue()];
+      while (this.isOp(',')) {
+        this.pos++;
+        values.push(this.parseValue());
+      }
+      this.expectOp(']');
+      return { type: 'in', parameter, values };
+    }
+
+    if (next?.type === 'op' && COMPARISON_OPERATORS.includes(next.value)) {
+      this.pos++;
+      return {
+        type: 'compare',
+        parameter,
+        operator: next.value,
+        value: this.parseValue(),
+      };
+    }
+
+    // Bare parameter name: true when the value is "on"
+    return { type: 'truthy', parameter };
+  }
+
+  parseValue() {
+    let negative = false;
+    if (this.isOp('-')) {
+      negative = true;
+      this.pos++;
+    }
+
+    const token = this.peek();
+    if (!token) throw new Error('Expected a value but found end of condition');
+
+    if (token.type === 'number') {
+      this.pos++;
+      return negative ? -token.value : token.value;
+    }
+    if (negative) throw new Error('Expected a number after "-"');
+
+    if (token.type === 'string' || token.type === 'word') {
+      this.pos++;
+      return token.value;
+    }
+
+    throw new Error(`Expected a value but found "${token.value}"`);
+  }
+}
+
+/**
+ * Parse a @depends condition
+ * @param {string} text - Condition text (without the @depends( ) wrapper)
+ * @returns {Object} Condition AST
+ * @throws {Error} If the condition is not valid
+ */
+export function parseCondition(text) {
+  return new ConditionParser(tokenizeExpression(String(text))).parse();
+}
+
+/**
+ * List the parameter names a condition reads, in source order
+ * @param {Object} condition - Condition AST
+ * @returns {Array<string>} Unique parameter names
+ */
+export function getConditionParameters(condition) {
+  const names = [];
+  const visit = (node) => {
+    if (!node) return;
+    if (node.parameter && !names.includes(node.parameter)) {
+      names.push(node.parameter);
+    }
+    visit(node.left);
+    visit(node.right);
+    visit(node.argument);
+  };
+  visit(condition);
+  return names;
+}
+
+/**
+ * Compare a parameter value against a condition value for equality
+ * Numbers compare numerically ("3.0" == 3); everything else as text.
+ * @param {*} actual - Current parameter value
+ * @param {string|number} expected - Value from the condition
+ * @returns {boolean}
+ */
+function conditionValuesEqual(actual, expected) {
+  const actualNum = Number(actual);
+  const expectedNum = Number(expected);
+  if (
+    actual !== '' &&
+    actual !== null &&
+    typeof actual !== 'boolean' &&
+    !Number.isNaN(actualNum) &&
+    !Number.isNaN(expectedNum)
+  ) {
+    return actualNum === expectedNum;
+  }
+  return String(actual ?? '') === String(expected);
+}
+
+/**
+ * Whether a parameter value counts as "on" for a bare-name condition
+ * @param {*} value - Current parameter value
+ * @returns {boolean}
+ */
+function isOn(value) {
+  if (value === undefined || value === null || value === false) return false;
+  if (typeof value === 'number') return value !== 0;
+  const text = String(value).trim().toLowerCase();
+  return text !== '' && text !== 'no' && text !== 'false' && text !== '0';
+}
+
+/**
+ * Evaluate a condition AST against parameter values
+ * @param {Object} condition - Condition AST from parseCondition()
+ * @param {Object} values - Current parameter values
+ * @returns {boolean} True if the condition holds
+ */
+export function evaluateCondition(condition, values = {}) {
+  if (!condition) return true;
+
+  switch (condition.type) {
+    case 'and':
+      return (
+        evaluateCondition(condition.left, values) &&
+        evaluateCondition(condition.right, values)
+      );
+    case 'or':
+      return (
+        evaluateCondition(condition.left, values) ||
+        evaluateCondition(condition.right, values)
+      );
+    case 'not':
+      return !evaluateCondition(condition.argument, values);
+    case 'truthy':
+      return isOn(values[condition.parameter]);
+    case 'in':
+      return condition.values.some((v) =>
+        conditionValuesEqual(values[condition.parameter], v)
+      );
+    case 'compare': {
+      const actual = values[condition.parameter];
+      const { operator, value } = condition;
+
+      if (operator === '==') return conditionValuesEqual(actual, value);
+      if (operator === '!=') return !conditionValuesEqual(actual, value);
+
+      const left = Number(actual);
+      const right = Number(value);
+      if (Number.isNaN(left) || Number.isNaN(right) || actual === '') {
+        return false;
+      }
+      if (operator === '<') return left < right;
+      if (operator === '<=') return left <= right;
+      if (operator === '>') return left > right;
+      if (operator === '>=') return left >= right;
+      return false;
+    }
+    default:
+      return true;
+  }
+}
+
+/**
+ * Check whether a parameter's dependency is satisfied
+ * Accepts both the condition form ({ condition }) and the single
+ * comparison form ({ parameter, operator, value }).
+ * @param {Object|null} dependency - Dependency from extractParameters()
+ * @param {Object} values - Current parameter values
+ * @returns {boolean} True if the parameter should be visible
+ */
+export function isDependencySatisfied(dependency, values = {}) {
+  if (!dependency) return true;
+
+  if (dependency.condition) {
+    return evaluateCondition(dependency.condition, values);
+  }
+
+  if (dependency.parameter && dependency.operator) {
+    return evaluateCondition(
+      {
+        type: 'compare',
+        parameter: dependency.parameter,
+        operator: dependency.operator,
+        value: dependency.value,
+      },
+      values
+    );
+  }
+
+  return true;
+}
+
+/**
+ * List the parameter names a dependency reads
+ * @param {Object|null} dependency - Dependency from extractParameters()
+ * @returns {Array<string>}
+ */
+export function getDependencyParameters(dependency) {
+  if (!dependency) return [];
+  if (Array.isArray(dependency.parameters)) return dependency.parameters;
+  if (dependency.condition) return getConditionParameters(dependency.condition);
+  return dependency.parameter ? [dependency.parameter] : [];
+}
+
+/**
+ * Find parameters whose dependencies form a cycle
+ * (e.g. a depends on b and b depends on a), which would hide both forever
+ * @param {Object} parameters - Parameters keyed by name
+ * @returns {Array<Array<string>>} Each cycle as a list of parameter names
+ */
+export function findDependencyCycles(parameters) {
+  const cycles = [];
+  const state = {}; // name -> 'visiting' | 'done'
+  const stack = [];
+
+  const visit = (name) => {
+    if (state[name] === 'done') return;
+    if (state[name] === 'visiting') {
+      cycles.push(stack.slice(stack.indexOf(name)));
+      return;
+    }
+
+    state[name] = 'visiting';
+    stack.push(name);
+    for (const dep of getDependencyParameters(parameters[name]?.dependency)) {
+      if (parameters[dep]) visit(dep);
+    }
+    stack.pop();
+    state[name] = 'done';
+  };
+
+  Object.keys(parameters).forEach(visit);
+  return cycles;
+}
+
+/**
+ * Remove values of parameters whose dependency is not satisfied
+ * Hidden parameters keep their value in the UI but are not sent to the
+ * renderer or written to exported presets, so the model's own default applies.
+ * @param {Object} values - Parameter values
+ * @param {Object} parameters - Parameter definitions keyed by name
+ * @returns {Object} Values without hidden parameters
+ */
+export function omitHiddenParameters(values, parameters) {
+  if (!values || !parameters) return values;
+
+  const visible = {};
+  for (const [name, value] of Object.entries(values)) {
+    const dependency = parameters[name]?.dependency;
+    if (!dependency || isDependencySatisfied(dependency, values)) {
+      visible[name] = value;
+    }
+  }
+  return visible;
+}
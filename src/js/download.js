@@ -93,22 +93,29 @@ export function generateFilename(modelName, parameters, format = 'stl') {
   return `${sanitized}-${hash}-${date}${extension}`;
 }
 
+/**
+ * Time a download gets to start before its object URL is revoked (ms)
+ */
+const REVOKE_DELAY_MS = 1000;
+
 /**
  * Download file with specified format
- * @param {ArrayBuffer} arrayBuffer - File data
+ * @param {ArrayBuffer|Blob} data - File data (a Blob keeps its own type)
  * @param {string} filename - Filename
  * @param {string} format - Output format (stl, obj, off, amf, 3mf)
  */
-export function downloadFile(arrayBuffer, filename, format = 'stl') {
+export function downloadFile(data, filename, format = 'stl') {
   const mimeType =
     OUTPUT_FORMATS[format]?.mimeType || 'application/octet-stream';
-  const blob = new Blob([arrayBuffer], { type: mimeType });
+  const blob =
+    data instanceof Blob ? data : new Blob([data], { type: mimeType });
   const url = URL.createObjectURL(blob);
   const a = document.createElement('a');
   a.href = url;
   a.download = filename;
   a.click();
-  URL.revokeObjectURL(url);
+  // Revoking right after click() can cancel the download in some browsers
+  setTimeout(() => URL.revokeObjectURL(url), REVOKE_DELAY_MS);
 }
 
 /**
@@ -0,0 +1,135 @@
+/**
+ * Embed API - postMessage protocol for the embeddable customizer (embed.html)
+ *
+ * A page embeds embed.html?model=<url> in an iframe and controls it with
+ * messages of the form { type, id, ...fields }:
+ *   frame.contentWindow.postMessage({ type: 'forge:render', id: 1 }, forgeOrigin);
+ * Each reply echoes the request's `id`. Only the parent window, and only
+ * from the app's own origin or an origin listed in VITE_EMBED_ORIGINS, is
+ * answered. docs/guides/EMBEDDING.md documents every message.
+ *
+ * @license GPL-3.0-or-later
+ */
+
+import { isValidEmbedMessage } from './html-utils.js';
+import { parseOriginList } from './remote-model.js';
+
+/** Requests the embedding page can send */
+export const EMBED_REQUESTS = {
+  GET_PARAMETERS: 'forge:get-parameters',
+  SET_PARAMETERS: 'forge:set-parameters',
+  RENDER: 'forge:render',
+  EXPORT: 'forge:export',
+  SET_THEME: 'forge:set-theme',
+};
+
+/** Messages the embed sends to the embedding page */
+export const EMBED_EVENTS = {
+  READY: 'forge:ready',
+  PARAMETERS: 'forge:parameters',
+  PARAMETERS_CHANGED: 'forge:parameters-changed',
+  RENDER_COMPLETE: 'forge:render-complete',
+  EXPORT_RESULT: 'forge:export-result',
+  THEME: 'forge:theme',
+  CONSENT_REQUIRED: 'forge:consent-required',
+  ERROR: 'forge:error',
+};
+
+/** Reply sent for each request */
+const REPLY_TYPES = {
+  [EMBED_REQUESTS.GET_PARAMETERS]: EMBED_EVENTS.PARAMETERS,
+  [EMBED_REQUESTS.SET_PARAMETERS]: EMBED_EVENTS.PARAMETERS,
+  [EMBED_REQUESTS.RENDER]: EMBED_EVENTS.RENDER_COMPLETE,
+  [EMBED_REQUESTS.EXPORT]: EMBED_EVENTS.EXPORT_RESULT,
+  [EMBED_REQUESTS.SET_THEME]: EMBED_EVENTS.THEME,
+};
+
+/**
+ * Origins allowed to embed and control the customizer
+ * @param {string} appOrigin - The app's own origin (always allowed)
+ * @param {string} [setting] - Comma-separated origins (VITE_EMBED_ORIGINS)
+ * @returns {string[]}
+ */
+export function getEmbedParentOrigins(
+  appOrigin,
+  setting = import.meta.env.VITE_EMBED_ORIGINS
+) {
+  return [appOrigin, ...parseOriginList(setting)];
+}
+
+/**
+ * Two-way postMessage channel between the embed and its parent page
+ */
+export class EmbedBridge {
+  /**
+   * @param {Object} options
+   * @param {Window} options.target - Window that may control the embed (window.parent)
+   * @param {string[]} options.allowedOrigins - From getEmbedParentOrigins()
+   * @param {Object<string, Function>} options.handlers - Request type ->
+   *   async (message) => reply fields. A thrown error becomes a forge:error reply.
+   * @param {Window} [options.receiver=window] - Window to listen on
+   */
+  constructor({ target, allowedOrigins, handlers, receiver = window }) {
+    this.target = target;
+    this.allowedOrigins = allowedOrigins;
+    this.handlers = handlers;
+    this.receiver = receiver;
+    this.listener = (event) => this.handleMessage(event);
+    this.receiver.addEventListener('message', this.listener);
+  }
+
+  /**
+   * Answer one request from the parent page
+   * @param {MessageEvent} event
+   * @returns {Promise<boolean>} Whether the message was accepted
+   */
+  async handleMessage(event) {
+    if (
+      event.source !== this.target ||
+      !isValidEmbedMessage(
+        event,
+        this.allowedOrigins,
+        Object.keys(this.handlers)
+      )
+    ) {
+      return false;
+    }
+
+    const { type, id = null } = event.data;
+    try {
+      const result = await this.handlers[type](event.data);
+      this.post(REPLY_TYPES[type], { id, ...result }, event.origin);
+    } catch (error) {
+      this.post(
+        EMBED_EVENTS.ERROR,
+        { id, request: type, message: error.message },
+        event.origin
+      );
+    }
+    return true;
+  }
+
+  /**
+   * Send a message to the parent page
+   * Without an origin it is offered to every allowed origin; the browser
+   * only delivers it if the parent is on one of them.
+   * @param {string} type - One of EMBED_EVENTS
+   * @param {Object} [fields={}]
+   * @param {string} [origin]
+   */
+  post(type, fields = {}, origin = null) {
+    // Opened directly rather than in a frame: nobody to tell
+    if (!this.target || this.target === this.receiver) return;
+    const message = { type, ...fields };
+    for (const targetOrigin of origin ? [origin] : this.allowedOrigins) {
+      this.target.postMessage(message, targetOrigin);
+    }
+  }
+
+  /**
+   * Stop listening for requests
+   */
+  dispose() {
+    this.receiver.removeEventListener('message', this.listener);
+  }
+}
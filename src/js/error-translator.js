@@ -170,7 +170,8 @@ const DEFAULT_ERROR = {
 /**
  * Translate a technical error message to user-friendly language
  * @param {string} technicalError - The raw error message from OpenSCAD
- * @returns {Object} User-friendly error object with title, explanation, suggestion
+ * @returns {Object} User-friendly error object with title, explanation,
+ *   suggestion, technical and location (see findErrorLocation)
  */
 export function translateError(technicalError) {
   if (!technicalError || typeof technicalError !== 'string') {
@@ -192,6 +193,7 @@ export function translateError(technicalError) {
             : pattern.explanation,
         suggestion: pattern.suggestion,
         technical: technicalError,
+        location: findErrorLocation(technicalError),
       };
     }
   }
@@ -200,9 +202,47 @@ export function translateError(technicalError) {
   return {
     ...DEFAULT_ERROR,
     technical: technicalError,
+    location: findErrorLocation(technicalError),
   };
 }
 
+/**
+ * Find the file and line an OpenSCAD error points to
+ * OpenSCAD reports e.g. 'ERROR: Parser error in file "main.scad", line 12:
+ * syntax error'. ERROR lines win over earlier WARNING lines in the output.
+ * @param {string} technicalError - Error message or console output
+ * @returns {{file: string|null, line: number}|null} file is relative to the
+ *   project root, or null for the main file; null when no line is given
+ */
+export function findErrorLocation(technicalError) {
+  if (!technicalError || typeof technicalError !== 'string') return null;
+
+  const lines = technicalError.split('\n');
+  const ordered = [
+    ...lines.filter((line) => /ERROR/.test(line)),
+    ...lines.filter((line) => !/ERROR/.test(line)),
+  ];
+
+  for (const text of ordered) {
+    const inFile = text.match(/in file\s+"?([^",\n]+?)"?\s*,\s*line\s+(\d+)/i);
+    if (inFile) {
+      const file = inFile[1].replace(/^\.?\//, '');
+      return {
+        // Single-file models are written to /tmp/input.scad
+        file: file === 'tmp/input.scad' ? null : file,
+        line: parseInt(inFile[2], 10),
+      };
+    }
+  }
+  for (const text of ordered) {
+    const lineOnly = text.match(/\bline\s+(\d+)/i);
+    if (lineOnly) {
+      return { file: null, line: parseInt(lineOnly[1], 10) };
+    }
+  }
+  return null;
+}
+
 /**
  * Create a user-friendly error display element
  * @param {string} technicalError - The raw error message
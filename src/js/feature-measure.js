@@ -0,0 +1,984 @@
+/**
+ * Feature Measure - Vertices, edges, faces and holes of a mesh
+ *
+ * Finds the features a person would measure on a rendered model: flat
+ * faces (coplanar triangles grouped together), the sharp edges between
+ * them, their corners, and circular edge loops such as hole rims, with a
+ * fitted diameter. The preview's measurement mode
+ * (PreviewManager.setMeasureMode()) picks these with the mouse or steps
+ * through them from the keyboard; measureFeatures() turns one or two picks
+ * into distances, angles and diameters.
+ *
+ * Coordinates are in the preview mesh's own space. Single points are
+ * reported relative to the model's lower corner, since the preview
+ * recenters meshes and the original model origin is not known.
+ *
+ * @license GPL-3.0-or-later
+ */
+
+/** Feature types, in the order pairs are normalized to */
+export const FEATURE_TYPES = ['vertex', 'circle', 'edge', 'face'];
+
+/** Grid for welding STL vertices (mm) */
+const WELD_PRECISION = 1e4;
+
+/** Triangles whose normals differ by less than this share a face */
+const COPLANAR_COS = Math.cos((1 * Math.PI) / 180);
+
+/** Faces meeting at more than this form a feature edge */
+const FEATURE_EDGE_COS = Math.cos((40 * Math.PI) / 180);
+
+/** Edge chains are split where they turn by more than this */
+const CORNER_COS = Math.cos((40 * Math.PI) / 180);
+
+/** Smallest number of points in a loop that may be fitted as a circle */
+const CIRCLE_MIN_POINTS = 8;
+
+/** Largest distance from the fitted circle, relative to its radius */
+const CIRCLE_TOLERANCE = 0.02;
+
+/** Directions within this many degrees count as parallel */
+const PARALLEL_DEGREES = 0.5;
+
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const sub = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+const add = (a, b) => [a[0] + b[0], a[1] + b[1], a[2] + b[2]];
+const scale = (a, s) => [a[0] * s, a[1] * s, a[2] * s];
+const length = (a) => Math.hypot(a[0], a[1], a[2]);
+const distance = (a, b) => length(sub(a, b));
+const cross = (a, b) => [
+  a[1] * b[2] - a[2] * b[1],
+  a[2] * b[0] - a[0] * b[2],
+  a[0] * b[1] - a[1] * b[0],
+];
+const normalize = (v) => {
+  const l = length(v);
+  return l > 0 ? scale(v, 1 / l) : [0, 0, 0];
+};
+const toDegrees = (radians) => (radians * 180) / Math.PI;
+const clampUnit = (value) => Math.min(1, Math.max(-1, value));
+
+/**
+ * Round a measurement for display
+ * @param {number} value
+ * @returns {number}
+ */
+export function roundMeasureValue(value) {
+  const rounded = Math.round(value * 100) / 100;
+  return Object.is(rounded, -0) ? 0 : rounded;
+}
+
+/**
+ * Fit a circle to points in 3D
+ * The plane comes from Newell's method, the circle from a least-squares
+ * fit in that plane.
+ * @param {number[][]} points - At least 3 points
+ * @returns {{center: number[], normal: number[], radius: number, error: number}|null}
+ *   error is the largest distance from the circle relative to the radius;
+ *   null if the points are collinear
+ */
+export function fitCircle(points) {
+  if (points.length < 3) return null;
+  let normal = [0, 0, 0];
+  const centroid = [0, 0, 0];
+  points.forEach((p, i) => {
+    const q = points[(i + 1) % points.length];
+    normal[0] += (p[1] - q[1]) * (p[2] + q[2]);
+    normal[1] += (p[2] - q[2]) * (p[0] + q[0]);
+    normal[2] += (p[0] - q[0]) * (p[1] + q[1]);
+    for (let k = 0; k < 3; k++) centroid[k] += p[k] / points.length;
+  });
+  if (length(normal) < 1e-12) return null;
+  normal = normalize(normal);
+
+  const up = Math.abs(normal[2]) < 0.9 ? [0, 0, 1] : [0, 1, 0];
+  const u = normalize(cross(up, normal));
+  const v = cross(normal, u);
+  const flat = points.map((p) => {
+    const d = sub(p, centroid);
+    return [dot(d, u), dot(d, v)];
+  });
+
+  // Solve x² + y² = 2ax + 2by + c in the least-squares sense
+  let sxx = 0;
+  let sxy = 0;
+  let syy = 0;
+  let sx = 0;
+  let sy = 0;
+  let sxz = 0;
+  let syz = 0;
+  let sz = 0;
+  for (const [x, y] of flat) {
+    const z = x * x + y * y;
+    sxx += x * x;
+    sxy += x * y;
+    syy += y * y;
+    sx += x;
+    sy += y;
+    sxz += x * z;
+    syz += y * z;
+    sz += z;
+  }
+  const n = flat.length;
+  const matrix = [
+    [2 * sxx, 2 * sxy, sx],
+    [2 * sxy, 2 * syy, sy],
+    [2 * sx, 2 * sy, n],
+  ];
+  const solution = solve3(matrix, [sxz, syz, sz]);
+  if (!solution) return null;
+  const [a, b, c] = solution;
+  const radius = Math.sqrt(c + a * a + b * b);
+  if (!Number.isFinite(radius) || radius <= 0) return null;
+
+  const error = Math.max(
+    ...flat.map(([x, y]) => Math.abs(Math.hypot(x - a, y - b) - radius))
+  );
+  return {
+    center: add(centroid, add(scale(u, a), scale(v, b))),
+    normal,
+    radius,
+    error: error / radius,
+  };
+}
+
+/**
+ * Solve a 3×3 linear system by Cramer's rule
+ * @returns {number[]|null} Null when the matrix is singular
+ */
+function solve3(m, r) {
+  const det = (a) =>
+    a[0][0] * (a[1][1] * a[2][2] - a[1][2] * a[2][1]) -
+    a[0][1] * (a[1][0] * a[2][2] - a[1][2] * a[2][0]) +
+    a[0][2] * (a[1][0] * a[2][1] - a[1][1] * a[2][0]);
+  const d = det(m);
+  if (Math.abs(d) < 1e-12) return null;
+  return [0, 1, 2].map(
+    (col) =>
+      det(m.map((row, i) => row.map((v, j) => (j === col ? r[i] : v)))) / d
+  );
+}
+
+/**
+ * Closest point to p on the segment a–b
+ * @returns {number[]}
+ */
+function closestOnSegment(p, a, b) {
+  const ab = sub(b, a);
+  const lengthSq = dot(ab, ab);
+  const t =
+    lengthSq > 0 ? Math.min(1, Math.max(0, dot(sub(p, a), ab) / lengthSq)) : 0;
+  return add(a, scale(ab, t));
+}
+
+/**
+ * Closest points between segments p1–q1 and p2–q2
+ * From Ericson, Real-Time Collision Detection, 5.1.9.
+ * @returns {[number[], number[]]}
+ */
+function closestBetweenSegments(p1, q1, p2, q2) {
+  const d1 = sub(q1, p1);
+  const d2 = sub(q2, p2);
+  const r = sub(p1, p2);
+  const a = dot(d1, d1);
+  const e = dot(d2, d2);
+  const f = dot(d2, r);
+  let s = 0;
+  let t = 0;
+  if (a <= 1e-12 && e <= 1e-12) return [p1, p2];
+  if (a <= 1e-12) {
+    t = Math.min(1, Math.max(0, f / e));
+  } else {
+    const c = dot(d1, r);
+    if (e <= 1e-12) {
+      s = Math.min(1, Math.max(0, -c / a));
+    } else {
+      const b = dot(d1, d2);
+      const denom = a * e - b * b;
+      s = denom > 0 ? Math.min(1, Math.max(0, (b * f - c * e) / denom)) : 0;
+      t = (b * s + f) / e;
+      if (t < 0) {
+        t = 0;
+        s = Math.min(1, Math.max(0, -c / a));
+      } else if (t > 1) {
+        t = 1;
+        s = Math.min(1, Math.max(0, (b - c) / a));
+      }
+    }
+  }
+  return [add(p1, scale(d1, s)), add(p2, scale(d2, t))];
+}
+
+/**
+ * Segments of an edge feature's polyline
+ * @returns {Array<[number[], number[]]>}
+ */
+function edgeSegments(edge) {
+  const { points, closed } = edge;
+  const count = closed ? points.length : points.length - 1;
+  const segments = [];
+  for (let i = 0; i < count; i++) {
+    segments.push([points[i], points[(i + 1) % points.length]]);
+  }
+  return segments;
+}
+
+/**
+ * Closest point on an edge feature
+ * @returns {number[]}
+ */
+function closestOnEdge(p, edge) {
+  let best = edge.points[0];
+  let bestDistance = Infinity;
+  for (const [a, b] of edgeSegments(edge)) {
+    const q = closestOnSegment(p, a, b);
+    const d = distance(p, q);
+    if (d < bestDistance) {
+      bestDistance = d;
+      best = q;
+    }
+  }
+  return best;
+}
+
+/**
+ * Walk feature edges into chains, split at corners
+ * @param {number[][]} points - Welded vertex positions
+ * @param {Array<[number, number]>} featureEdges - Vertex index pairs
+ * @returns {Array<{indices: number[], closed: boolean}>}
+ */
+function chainFeatureEdges(points, featureEdges) {
+  const byVertex = new Map();
+  featureEdges.forEach(([a, b], index) => {
+    for (const v of [a, b]) {
+      if (!byVertex.has(v)) byVertex.set(v, []);
+      byVertex.get(v).push(index);
+    }
+  });
+  const used = new Uint8Array(featureEdges.length);
+  const walk = (start, edgeIndex) => {
+    const indices = [start];
+    let current = start;
+    let next = edgeIndex;
+    while (next !== undefined && !used[next]) {
+      used[next] = 1;
+      const [a, b] = featureEdges[next];
+      current = a === current ? b : a;
+      indices.push(current);
+      const around = byVertex.get(current);
+      // Chains continue only through vertices where exactly two edges meet
+      next = around.length === 2 ? around.find((i) => !used[i]) : undefined;
+    }
+    return indices;
+  };
+
+  const chains = [];
+  // Open chains start at ends and junctions
+  for (const [vertex, around] of byVertex) {
+    if (around.length === 2) continue;
+    for (const edgeIndex of around) {
+      if (!used[edgeIndex]) {
+        chains.push({ indices: walk(vertex, edgeIndex), closed: false });
+      }
+    }
+  }
+  // What is left are closed loops
+  featureEdges.forEach(([a], edgeIndex) => {
+    if (used[edgeIndex]) return;
+    const indices = walk(a, edgeIndex);
+    if (indices[indices.length - 1] === indices[0]) indices.pop();
+    chains.push({ indices, closed: true });
+  });
+
+  // Split at sharp turns
+  const isCorner = (prev, at, next) => {
+    const d1 = normalize(sub(points[at], points[prev]));
+    const d2 = normalize(sub(points[next], points[at]));
+    return dot(d1, d2) < CORNER_COS;
+  };
+  const result = [];
+  for (const chain of chains) {
+    const { indices, closed } = chain;
+    const n = indices.length;
+    const corners = [];
+    for (let i = closed ? 0 : 1; i < (closed ? n : n - 1); i++) {
+      if (
+        isCorner(indices[(i + n - 1) % n], indices[i], indices[(i + 1) % n])
+      ) {
+        corners.push(i);
+      }
+    }
+    if (corners.length === 0) {
+      result.push(chain);
+      continue;
+    }
+    if (closed) {
+      // Start the loop at a corner, then treat it as an open chain
+      const rotated = [
+        ...indices.slice(corners[0]),
+        ...indices.slice(0, corners[0] + 1),
+      ];
+      const shifted = corners.map((c) => c - corners[0]);
+      shifted.push(rotated.length - 1);
+      for (let i = 0; i + 1 < shifted.length; i++) {
+        result.push({
+          indices: rotated.slice(shifted[i], shifted[i + 1] + 1),
+          closed: false,
+        });
+      }
+    } else {
+      const cuts = [0, ...corners, n - 1];
+      for (let i = 0; i + 1 < cuts.length; i++) {
+        result.push({
+          indices: indices.slice(cuts[i], cuts[i + 1] + 1),
+          closed: false,
+        });
+      }
+    }
+  }
+  return result;
+}
+
+/**
+ * Find the measurable features of a mesh
+ * @param {Float32Array|number[]} positions - Flat vertex positions, 9 per triangle
+ * @returns {{
+ *   points: number[][],
+ *   triangles: Uint32Array,
+ *   faceOf: Int32Array,
+ *   min: number[],
+ *   vertices: Array<Object>,
+ *   edges: Array<Object>,
+ *   circles: Array<Object>,
+ *   faces: Array<Object>
+ * }} Features are plain objects with an id and type; faceOf maps each
+ *   triangle to its face (-1 for degenerate triangles)
+ */
+export function buildMeasureTopology(positions) {
+  const triangleCount = Math.floor(positions.length / 9);
+
+  // Weld the triangle soup
+  const indexOf = new Map();
+  const points = [];
+  const triangles = new Uint32Array(triangleCount * 3);
+  const min = [Infinity, Infinity, Infinity];
+  for (let i = 0; i < triangleCount * 3; i++) {
+    const p = [positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]];
+    const key = p.map((v) => Math.round(v * WELD_PRECISION)).join(',');
+    let index = indexOf.get(key);
+    if (index === undefined) {
+      index = points.length;
+      indexOf.set(key, index);
+      points.push(p);
+      for (let k = 0; k < 3; k++) min[k] = Math.min(min[k], p[k]);
+    }
+    triangles[i] = index;
+  }
+
+  // Triangle normals and areas
+  const normals = [];
+  const areas = new Float64Array(triangleCount);
+  const edgeTriangles = new Map();
+  const vertexCount = points.length;
+  for (let t = 0; t < triangleCount; t++) {
+    const [a, b, c] = [0, 1, 2].map((k) => triangles[t * 3 + k]);
+    const n = cross(sub(points[b], points[a]), sub(points[c], points[a]));
+    areas[t] = length(n) / 2;
+    normals.push(normalize(n));
+    if (a === b || b === c || a === c || areas[t] < 1e-12) continue;
+    for (const [u, v] of [
+      [a, b],
+      [b, c],
+      [c, a],
+    ]) {
+      const key = u < v ? u * vertexCount + v : v * vertexCount + u;
+      if (!edgeTriangles.has(key)) edgeTriangles.set(key, []);
+      edgeTriangles.get(key).push(t);
+    }
+  }
+
+  const neighborsOf = (t) => {
+    const result = [];
+    for (let k = 0; k < 3; k++) {
+      const u = triangles[t * 3 + k];
+      const v = triangles[t * 3 + ((k + 1) % 3)];
+      const key = u < v ? u * vertexCount + v : v * vertexCount + u;
+      for (const other of edgeTriangles.get(key) || []) {
+        if (other !== t) result.push(other);
+      }
+    }
+    return result;
+  };
+
+  // Group coplanar neighbors into faces
+  const faceOf = new Int32Array(triangleCount).fill(-1);
+  const faces = [];
+  for (let seed = 0; seed < triangleCount; seed++) {
+    if (faceOf[seed] !== -1 || areas[seed] < 1e-12) continue;
+    const id = faces.length;
+    const members = [seed];
+    faceOf[seed] = id;
+    for (let i = 0; i < members.length; i++) {
+      for (const other of neighborsOf(members[i])) {
+        if (
+          faceOf[other] === -1 &&
+          areas[other] >= 1e-12 &&
+          dot(normals[seed], normals[other]) >= COPLANAR_COS
+        ) {
+          faceOf[other] = id;
+          members.push(other);
+        }
+      }
+    }
+    let area = 0;
+    let normal = [0, 0, 0];
+    let centroid = [0, 0, 0];
+    for (const t of members) {
+      const w = areas[t];
+      area += w;
+      normal = add(normal, scale(normals[t], w));
+      const center = [0, 1, 2].map(
+        (k) =>
+          (points[triangles[t * 3]][k] +
+            points[triangles[t * 3 + 1]][k] +
+            points[triangles[t * 3 + 2]][k]) /
+          3
+      );
+      centroid = add(centroid, scale(center, w));
+    }
+    faces.push({
+      id: `face-${id}`,
+      type: 'face',
+      index: id,
+      normal: normalize(normal),
+      centroid: scale(centroid, 1 / area),
+      area,
+      triangles: members,
+    });
+  }
+
+  // Feature edges: boundaries and creases between faces
+  const featureEdges = [];
+  const edgeFaces = [];
+  for (const [key, around] of edgeTriangles) {
+    const a = Math.floor(key / vertexCount);
+    const b = key % vertexCount;
+    const sharp =
+      around.length !== 2 ||
+      (faceOf[around[0]] !== faceOf[around[1]] &&
+        dot(normals[around[0]], normals[around[1]]) < FEATURE_EDGE_COS);
+    if (sharp) {
+      featureEdges.push([a, b]);
+      edgeFaces.push(around);
+    }
+  }
+  const edgeLookup = new Map(
+    featureEdges.map(([a, b], i) => [
+      a < b ? a * vertexCount + b : b * vertexCount + a,
+      i,
+    ])
+  );
+
+  /**
+   * Whether a circular loop is a hole (rather than a boss)
+   * A hole's flat face lies outside the rim with the wall going away from
+   * it (convex rim), or inside it with the wall coming toward it (the
+   * floor of a blind hole).
+   */
+  const circleKind = (indices, circle) => {
+    const key = (u, v) => (u < v ? u * vertexCount + v : v * vertexCount + u);
+    const around = edgeFaces[edgeLookup.get(key(indices[0], indices[1]))] || [];
+    if (around.length !== 2) return 'circle';
+    const flat = around.find(
+      (t) => Math.abs(dot(faces[faceOf[t]].normal, circle.normal)) > 0.99
+    );
+    const wall = around.find((t) => t !== flat);
+    if (flat === undefined || wall === undefined) return 'circle';
+    const centerOf = (t) =>
+      scale(
+        add(
+          add(points[triangles[t * 3]], points[triangles[t * 3 + 1]]),
+          points[triangles[t * 3 + 2]]
+        ),
+        1 / 3
+      );
+    const n = normals[flat];
+    const flatCenter = centerOf(flat);
+    const inPlane = sub(flatCenter, circle.center);
+    const radial = length(
+      sub(inPlane, scale(circle.normal, dot(inPlane, circle.normal)))
+    );
+    const outside = radial > circle.radius;
+    const convex = dot(n, sub(centerOf(wall), points[indices[0]])) < 0;
+    return outside === convex ? 'hole' : 'boss';
+  };
+
+  const edges = [];
+  const circles = [];
+  const cornerIndices = new Set();
+  for (const { indices, closed } of chainFeatureEdges(points, featureEdges)) {
+    const chainPoints = indices.map((i) => points[i]);
+    if (closed && chainPoints.length >= CIRCLE_MIN_POINTS) {
+      const circle = fitCircle(chainPoints);
+      if (circle && circle.error <= CIRCLE_TOLERANCE) {
+        circles.push({
+          id: `circle-${circles.length}`,
+          type: 'circle',
+          kind: circleKind(indices, circle),
+          center: circle.center,
+          normal: circle.normal,
+          radius: circle.radius,
+          diameter: circle.radius * 2,
+          points: chainPoints,
+        });
+        continue;
+      }
+    }
+    const segments = closed ? chainPoints.length : chainPoints.length - 1;
+    let total = 0;
+    for (let i = 0; i < segments; i++) {
+      total += distance(
+        chainPoints[i],
+        chainPoints[(i + 1) % chainPoints.length]
+      );
+    }
+    if (total <= 0) continue;
+    const start = chainPoints[0];
+    const end = chainPoints[chainPoints.length - 1];
+    const straight =
+      !closed &&
+      Math.abs(distance(start, end) - total) <= Math.max(1e-6, total * 1e-4);
+    edges.push({
+      id: `edge-${edges.length}`,
+      type: 'edge',
+      points: chainPoints,
+      closed,
+      straight,
+      length: total,
+      direction: straight ? normalize(sub(end, start)) : null,
+    });
+    if (!closed) {
+      cornerIndices.add(indices[0]);
+      cornerIndices.add(indices[indices.length - 1]);
+    }
+  }
+
+  const vertices = [...cornerIndices].map((index) => ({
+    id: `vertex-${index}`,
+    type: 'vertex',
+    index,
+    point: points[index],
+  }));
+
+  // Keyboard order: biggest features first, corners bottom to top
+  faces.sort((a, b) => b.area - a.area);
+  edges.sort((a, b) => b.length - a.length);
+  circles.sort((a, b) => b.diameter - a.diameter);
+  vertices.sort(
+    (a, b) =>
+      a.point[2] - b.point[2] ||
+      a.point[1] - b.point[1] ||
+      a.point[0] - b.point[0]
+  );
+
+  return {
+    points,
+    triangles,
+    faceOf,
+    min: points.length ? min : [0, 0, 0],
+    vertices,
+    edges,
+    circles,
+    faces,
+  };
+}
+
+/**
+ * Features of one type, in keyboard order
+ * @param {Object} topology - From buildMeasureTopology()
+ * @param {string} type - One of FEATURE_TYPES
+ * @returns {Array<Object>}
+ */
+export function getFeatureList(topology, type) {
+  switch (type) {
+    case 'vertex':
+      return topology.vertices;
+    case 'edge':
+      return topology.edges;
+    case 'circle':
+      return topology.circles;
+    case 'face':
+      return topology.faces;
+    default:
+      throw new Error(`Unknown feature type: ${type}`);
+  }
+}
+
+/**
+ * Feature of a type nearest to a picked point
+ * @param {Object} topology - From buildMeasureTopology()
+ * @param {string} type - One of FEATURE_TYPES
+ * @param {number[]} point - Picked point in mesh coordinates
+ * @param {number} triangle - Index of the picked triangle
+ * @returns {Object|null}
+ */
+export function findFeatureAt(topology, type, point, triangle) {
+  if (type === 'face') {
+    const index = topology.faceOf[triangle];
+    return index >= 0
+      ? topology.faces.find((face) => face.index === index) || null
+      : null;
+  }
+  if (type === 'vertex') {
+    // Any corner of the picked triangle, not just the sharp ones
+    let best = null;
+    let bestDistance = Infinity;
+    for (let k = 0; k < 3; k++) {
+      const index = topology.triangles[triangle * 3 + k];
+      if (index === undefined) return null;
+      const d = distance(point, topology.points[index]);
+      if (d < bestDistance) {
+        bestDistance = d;
+        best = index;
+      }
+    }
+    return (
+      topology.vertices.find((vertex) => vertex.index === best) || {
+        id: `vertex-${best}`,
+        type: 'vertex',
+        index: best,
+        point: topology.points[best],
+      }
+    );
+  }
+
+  let best = null;
+  let bestDistance = Infinity;
+  for (const feature of getFeatureList(topology, type)) {
+    let d;
+    if (type === 'edge') {
+      d = distance(point, closestOnEdge(point, feature));
+    } else {
+      const offset = sub(point, feature.center);
+      const along = dot(offset, feature.normal);
+      const radial = length(sub(offset, scale(feature.normal, along)));
+      d = Math.hypot(along, radial - feature.radius);
+    }
+    if (d < bestDistance) {
+      bestDistance = d;
+      best = feature;
+    }
+  }
+  return best;
+}
+
+/**
+ * Name an axis-aligned direction
+ * @param {number[]} normal - Unit vector
+ * @returns {string|null} e.g. 'up (+Z)', or null if not along an axis
+ */
+export function describeDirection(normal) {
+  const names = [
+    ['right (+X)', 'left (-X)'],
+    ['back (+Y)', 'front (-Y)'],
+    ['up (+Z)', 'down (-Z)'],
+  ];
+  for (let axis = 0; axis < 3; axis++) {
+    if (Math.abs(normal[axis]) > 0.999) {
+      return names[axis][normal[axis] > 0 ? 0 : 1];
+    }
+  }
+  return null;
+}
+
+/**
+ * Describe a feature in words
+ * @param {Object} feature
+ * @param {Object} [topology] - For vertex positions relative to the model
+ * @returns {string}
+ */
+export function describeFeature(feature, topology) {
+  const r = roundMeasureValue;
+  switch (feature.type) {
+    case 'vertex': {
+      const origin = topology?.min || [0, 0, 0];
+      const [x, y, z] = sub(feature.point, origin);
+      return `Vertex at X ${r(x)}, Y ${r(y)}, Z ${r(z)} mm`;
+    }
+    case 'edge':
+      return `${feature.straight ? 'Straight' : feature.closed ? 'Closed' : 'Curved'} edge, ${r(feature.length)} mm long`;
+    case 'circle': {
+      const name =
+        feature.kind === 'hole'
+          ? 'Hole'
+          : feature.kind === 'boss'
+            ? 'Round boss'
+            : 'Circular edge';
+      return `${name}, diameter ${r(feature.diameter)} mm`;
+    }
+    case 'face': {
+      const facing = describeDirection(feature.normal);
+      return `Flat face, ${r(feature.area)} square mm${facing ? `, facing ${facing}` : ''}`;
+    }
+    default:
+      return 'Unknown feature';
+  }
+}
+
+/**
+ * Short name of a feature for measurement descriptions
+ */
+function featureName(feature) {
+  if (feature.type === 'circle') {
+    return feature.kind === 'hole'
+      ? 'hole'
+      : feature.kind === 'boss'
+        ? 'boss'
+        : 'circle';
+  }
+  return feature.type;
+}
+
+/**
+ * Measure one feature, or between two
+ * Circles count as their center when measured against another feature.
+ * @param {Object} first - Feature from buildMeasureTopology()/findFeatureAt()
+ * @param {Object} [second] - Second feature
+ * @param {Object} [topology] - For vertex positions relative to the model
+ * @returns {{
+ *   kind: string,
+ *   value: number|null,
+ *   unit: string,
+ *   delta: number[]|null,
+ *   from: number[],
+ *   to: number[],
+ *   label: string,
+ *   description: string,
+ *   features: string[]
+ * }} kind is 'position', 'length', 'diameter', 'area', 'distance' or
+ *   'angle'; value is null for a position (see delta); from/to are where
+ *   the dimension line is drawn
+ */
+export function measureFeatures(first, second, topology) {
+  const r = roundMeasureValue;
+  if (!second) {
+    const base = {
+      delta: null,
+      description: describeFeature(first, topology),
+      features: [featureName(first)],
+    };
+    switch (first.type) {
+      case 'vertex': {
+        const delta = sub(first.point, topology?.min || [0, 0, 0]);
+        return {
+          ...base,
+          kind: 'position',
+          value: null,
+          unit: 'mm',
+          delta,
+          from: first.point,
+          to: first.point,
+          label: `${r(delta[0])}, ${r(delta[1])}, ${r(delta[2])}`,
+        };
+      }
+      case 'edge':
+        return {
+          ...base,
+          kind: 'length',
+          value: first.length,
+          unit: 'mm',
+          from: first.points[0],
+          to: first.points[first.points.length - 1],
+          label: `${r(first.length)} mm`,
+        };
+      case 'circle': {
+        const up = Math.abs(first.normal[2]) < 0.9 ? [0, 0, 1] : [0, 1, 0];
+        const across = scale(normalize(cross(up, first.normal)), first.radius);
+        return {
+          ...base,
+          kind: 'diameter',
+          value: first.diameter,
+          unit: 'mm',
+          from: sub(first.center, across),
+          to: add(first.center, across),
+          label: `Ø ${r(first.diameter)} mm`,
+        };
+      }
+      case 'face':
+        return {
+          ...base,
+          kind: 'area',
+          value: first.area,
+          unit: 'mm²',
+          from: first.centroid,
+          to: first.centroid,
+          label: `${r(first.area)} mm²`,
+        };
+      default:
+        throw new Error(`Unknown feature type: ${first.type}`);
+    }
+  }
+
+  // Normalize the order so each pair is handled once
+  let [a, b] = [first, second];
+  if (FEATURE_TYPES.indexOf(a.type) > FEATURE_TYPES.indexOf(b.type)) {
+    [a, b] = [b, a];
+  }
+  const names = `${featureName(a)} and ${featureName(b)}`;
+  const features = [featureName(a), featureName(b)];
+  const pointOf = (f) => (f.type === 'vertex' ? f.point : f.center);
+
+  const distanceResult = (from, to, what = 'Distance') => {
+    const delta = sub(to, from);
+    const value = length(delta);
+    return {
+      kind: 'distance',
+      value,
+      unit: 'mm',
+      delta,
+      from,
+      to,
+      label: `${r(value)} mm`,
+      description: `${what} between ${names}: ${r(value)} mm (X ${r(Math.abs(delta[0]))}, Y ${r(Math.abs(delta[1]))}, Z ${r(Math.abs(delta[2]))})`,
+      features,
+    };
+  };
+  const angleResult = (angle, from, to, what) => ({
+    kind: 'angle',
+    value: angle,
+    unit: '°',
+    delta: null,
+    from,
+    to,
+    label: `${r(angle)}°`,
+    description: `${what}: ${r(angle)}°`,
+    features,
+  });
+  const isParallel = (angle) =>
+    angle < PARALLEL_DEGREES || angle > 180 - PARALLEL_DEGREES;
+
+  // Point-like features: vertices and circle centers
+  if (a.type !== 'edge' && a.type !== 'face') {
+    const p = pointOf(a);
+    if (b.type === 'vertex' || b.type === 'circle') {
+      return distanceResult(p, pointOf(b));
+    }
+    if (b.type === 'edge') {
+      return distanceResult(p, closestOnEdge(p, b));
+    }
+    // Face: distance to its plane
+    const foot = sub(p, scale(b.normal, dot(sub(p, b.centroid), b.normal)));
+    return distanceResult(p, foot, 'Perpendicular distance');
+  }
+
+  if (a.type === 'edge' && b.type === 'edge') {
+    if (a.straight && b.straight) {
+      const angle = toDegrees(
+        Math.acos(clampUnit(Math.abs(dot(a.direction, b.direction))))
+      );
+      if (!isParallel(angle)) {
+        const [from, to] = closestBetweenSegments(
+          a.points[0],
+          a.points[a.points.length - 1],
+          b.points[0],
+          b.points[b.points.length - 1]
+        );
+        return angleResult(angle, from, to, 'Angle between edges');
+      }
+      // Parallel: distance between the lines
+      const p = a.points[0];
+      const q = b.points[0];
+      const offset = sub(p, q);
+      const foot = add(q, scale(b.direction, dot(offset, b.direction)));
+      return distanceResult(p, foot, 'Distance');
+    }
+    let best = null;
+    for (const [p1, q1] of edgeSegments(a)) {
+      for (const [p2, q2] of edgeSegments(b)) {
+        const pair = closestBetweenSegments(p1, q1, p2, q2);
+        if (!best || distance(...pair) < distance(...best)) best = pair;
+      }
+    }
+    return distanceResult(best[0], best[1], 'Closest distance');
+  }
+
+  if (a.type === 'edge') {
+    // Edge and face
+    const middle = a.points[Math.floor(a.points.length / 2)];
+    const distanceTo = (p) => dot(sub(p, b.centroid), b.normal);
+    const footOf = (p) => sub(p, scale(b.normal, distanceTo(p)));
+    if (a.straight) {
+      const angle = toDegrees(
+        Math.asin(clampUnit(Math.abs(dot(a.direction, b.normal))))
+      );
+      if (angle >= PARALLEL_DEGREES) {
+        return angleResult(
+          angle,
+          middle,
+          footOf(middle),
+          `Angle between ${names}`
+        );
+      }
+    }
+    return distanceResult(middle, footOf(middle), 'Perpendicular distance');
+  }
+
+  // Two faces
+  const normalAngle = toDegrees(Math.acos(clampUnit(dot(a.normal, b.normal))));
+  if (isParallel(normalAngle)) {
+    const offset = dot(sub(b.centroid, a.centroid), a.normal);
+    return distanceResult(
+      a.centroid,
+      add(a.centroid, scale(a.normal, offset)),
+      'Distance'
+    );
+  }
+  return angleResult(
+    180 - normalAngle,
+    a.centroid,
+    b.centroid,
+    'Angle between faces'
+  );
+}
+
+/**
+ * Quote a value for CSV
+ */
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Export saved measurements as CSV
+ * @param {Array<Object>} measurements - Results of measureFeatures(), each
+ *   with an optional model name
+ * @returns {string}
+ */
+export function buildMeasurementsCsv(measurements) {
+  const header = [
+    'Number',
+    'Model',
+    'Measurement',
+    'Value',
+    'Unit',
+    'dX',
+    'dY',
+    'dZ',
+    'Features',
+    'Description',
+  ];
+  const rows = measurements.map((m, i) => [
+    i + 1,
+    m.model || '',
+    m.kind,
+    m.value === null ? '' : roundMeasureValue(m.value),
+    m.unit,
+    ...(m.delta
+      ? m.delta.map((v) => roundMeasureValue(Math.abs(v)))
+      : ['', '', '']),
+    m.features.join(' + '),
+    m.description,
+  ]);
+  return `${[header, ...rows].map((row) => row.map(csvCell).join(',')).join('\r\n')}\r\n`;
+}
@@ -35,6 +35,22 @@ export function isValidServiceWorkerMessage(event, allowedTypes) {
   return true;
 }
 
+/**
+ * Validate a postMessage from a page embedding the app (see embed-api.js)
+ * @param {MessageEvent} event - Message event from the embedding page
+ * @param {string[]} allowedOrigins - Origins allowed to control the embed
+ * @param {string[]} allowedTypes - Array of allowed message types
+ * @returns {boolean} - True if message is valid
+ */
+export function isValidEmbedMessage(event, allowedOrigins, allowedTypes) {
+  // Validate the sender before looking at what it sent
+  if (!event || !allowedOrigins.includes(event.origin)) {
+    return false;
+  }
+
+  return isValidServiceWorkerMessage(event, allowedTypes);
+}
+
 /**
  * Setup character counter for textarea with validation and visual feedback
  * @param {HTMLTextAreaElement} textarea - The textarea element
@@ -0,0 +1,343 @@
+/**
+ * Image Preprocessing Dialog
+ * Shown for photo uploads to [file] parameters: crop, grayscale, invert,
+ * threshold and resize the image with a live thumbnail, then keep it as a
+ * PNG heightmap, a .dat height matrix or a traced SVG outline. Every
+ * control is a native input, so the dialog works from the keyboard and
+ * the result is described in a status line for screen readers. The image
+ * operations live in image-preprocess.js.
+ * @license GPL-3.0-or-later
+ */
+
+import {
+  DEFAULT_IMAGE_OPTIONS,
+  IMAGE_OUTPUT_FORMATS,
+  MAX_OUTPUT_SIZE,
+  getCropRect,
+  getOutputSize,
+  getPreparedFileName,
+  imageToDat,
+  outlinesToSvg,
+  processImage,
+  traceOutlines,
+} from './image-preprocess.js';
+import { openModal, closeModal } from './modal-manager.js';
+import { escapeHtml } from './html-utils.js';
+
+/** Longest side a decoded photo is reduced to before processing */
+const MAX_SOURCE_SIZE = 2000;
+
+/** Thumbnail size in CSS pixels */
+const THUMBNAIL_SIZE = 240;
+
+/** Threshold used for SVG outlines when none is set */
+const DEFAULT_OUTLINE_THRESHOLD = 128;
+
+/**
+ * Decode an image data URL to RGBA pixels
+ * @param {string} dataUrl
+ * @returns {Promise<ImageData>}
+ */
+async function decodeImage(dataUrl) {
+  const img = new Image();
+  img.src = dataUrl;
+  await img.decode();
+  const scale = Math.min(
+    1,
+    MAX_SOURCE_SIZE / Math.max(img.naturalWidth, img.naturalHeight)
+  );
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(img.naturalWidth * scale));
+  canvas.height = Math.max(1, Math.round(img.naturalHeight * scale));
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+  return ctx.getImageData(0, 0, canvas.width, canvas.height);
+}
+
+/**
+ * Copy processed pixels onto a canvas of the same size
+ * @param {{width: number, height: number, data: Uint8ClampedArray}} image
+ * @returns {HTMLCanvasElement}
+ */
+function imageToCanvas(image) {
+  const canvas = document.createElement('canvas');
+  canvas.width = image.width;
+  canvas.height = image.height;
+  canvas
+    .getContext('2d')
+    .putImageData(new ImageData(image.data, image.width, image.height), 0, 0);
+  return canvas;
+}
+
+/**
+ * Encode processed pixels in the chosen output format
+ * @param {{width: number, height: number, data: Uint8ClampedArray}} image
+ * @param {Object} options - Preprocessing options (format, threshold)
+ * @returns {{data: string, size: number}} Data URL and byte size
+ */
+function encodeImage(image, options) {
+  if (options.format === 'png') {
+    const data = imageToCanvas(image).toDataURL('image/png');
+    return { data, size: Math.floor(((data.length - 22) * 3) / 4) };
+  }
+  const text =
+    options.format === 'dat'
+      ? imageToDat(image)
+      : outlinesToSvg(
+          traceOutlines(image, options.threshold ?? DEFAULT_OUTLINE_THRESHOLD),
+          image.width,
+          image.height
+        );
+  return {
+    data: `data:${IMAGE_OUTPUT_FORMATS[options.format].mimeType};charset=utf-8,${encodeURIComponent(text)}`,
+    size: new Blob([text]).size,
+  };
+}
+
+/**
+ * Plain-language summary of the prepared image
+ * @param {{width: number, height: number}} size
+ * @param {Object} options
+ * @returns {string}
+ */
+function describeResult(size, options) {
+  const parts = [`${size.width} × ${size.height} px`];
+  if (options.threshold !== null) {
+    parts.push(`black and white at ${options.threshold}`);
+  } else if (options.grayscale) {
+    parts.push('grayscale');
+  } else {
+    parts.push('color');
+  }
+  if (options.invert) parts.push('inverted');
+  parts.push(IMAGE_OUTPUT_FORMATS[options.format].label);
+  return parts.join(', ');
+}
+
+/**
+ * Let the user prepare an image upload for a [file] parameter
+ * @param {Object} upload - Value from the file control ({name, size, type, data})
+ * @param {Object} options
+ * @param {string} options.label - Parameter label for the dialog title
+ * @param {string[]} options.formats - Allowed keys of IMAGE_OUTPUT_FORMATS
+ * @param {boolean} [options.allowOriginal=true] - Offer "Use original"
+ * @returns {Promise<Object|null>} The prepared upload, the original upload
+ *   when "Use original" is chosen, or null when cancelled
+ */
+export async function openImagePreprocessDialog(upload, options) {
+  const { label, formats, allowOriginal = true } = options;
+  let source;
+  try {
+    source = await decodeImage(upload.data);
+  } catch (error) {
+    console.warn('[Image] Could not decode upload:', error);
+    return allowOriginal ? upload : null;
+  }
+
+  const settings = {
+    ...DEFAULT_IMAGE_OPTIONS,
+    crop: { ...DEFAULT_IMAGE_OPTIONS.crop },
+    format: formats.includes(DEFAULT_IMAGE_OPTIONS.format)
+      ? DEFAULT_IMAGE_OPTIONS.format
+      : formats[0],
+  };
+  settings.width = Math.min(settings.width, source.width);
+
+  const modal = document.createElement('div');
+  modal.className = 'preset-modal image-preprocess-modal';
+  modal.setAttribute('role', 'dialog');
+  modal.setAttribute('aria-labelledby', 'imagePreprocessTitle');
+  modal.setAttribute('aria-describedby', 'imagePreprocessIntro');
+  modal.setAttribute('aria-modal', 'true');
+
+  const formatOptions = formats
+    .map(
+      (format) => `
+            <label class="image-preprocess-choice">
+              <input type="radio" name="imagePreprocessFormat" value="${format}" ${format === settings.format ? 'checked' : ''} />
+              ${IMAGE_OUTPUT_FORMATS[format].label} <span class="image-preprocess-hint">for ${IMAGE_OUTPUT_FORMATS[format].use}</span>
+            </label>`
+    )
+    .join('');
+  const cropInput = (edge, name) => `
+            <label class="image-preprocess-field">
+              ${name}
+              <input type="number" data-crop="${edge}" min="0" max="95" step="1" value="0" inputmode="numeric" />
+            </label>`;
+
+  modal.innerHTML = `
+    <div class="preset-modal-content image-preprocess-content">
+      <div class="preset-modal-header">
+        <h3 id="imagePreprocessTitle" class="preset-modal-title">Prepare image for ${escapeHtml(label)}</h3>
+        <button type="button" class="preset-modal-close" aria-label="Close dialog">&times;</button>
+      </div>
+      <div class="modal-body image-preprocess-body">
+        <p id="imagePreprocessIntro" class="image-preprocess-intro">
+          ${escapeHtml(upload.name)} (${source.width} × ${source.height} px). Dark areas come out low in a heightmap and filled in an outline.
+        </p>
+        <div class="image-preprocess-layout">
+          <figure class="image-preprocess-preview">
+            <canvas class="image-preprocess-thumbnail" role="img" aria-label="Preview of the prepared image"></canvas>
+            <figcaption class="image-preprocess-summary" role="status" aria-live="polite"></figcaption>
+          </figure>
+          <div class="image-preprocess-controls">
+            <fieldset>
+              <legend>Crop (% from each edge)</legend>
+              <div class="image-preprocess-crop">
+                ${cropInput('left', 'Left')}
+                ${cropInput('top', 'Top')}
+                ${cropInput('right', 'Right')}
+                ${cropInput('bottom', 'Bottom')}
+              </div>
+            </fieldset>
+            <fieldset>
+              <legend>Tones</legend>
+              <label class="image-preprocess-choice">
+                <input type="checkbox" data-option="grayscale" ${settings.grayscale ? 'checked' : ''} /> Grayscale
+              </label>
+              <label class="image-preprocess-choice">
+                <input type="checkbox" data-option="invert" /> Invert (swap dark and light)
+              </label>
+              <label class="image-preprocess-choice">
+                <input type="checkbox" data-option="useThreshold" /> Black and white
+              </label>
+              <label class="image-preprocess-field">
+                Threshold
+                <input type="range" data-option="threshold" min="1" max="255" step="1" value="${DEFAULT_OUTLINE_THRESHOLD}" disabled />
+                <output class="image-preprocess-threshold-value">${DEFAULT_OUTLINE_THRESHOLD}</output>
+              </label>
+            </fieldset>
+            <fieldset>
+              <legend>Size</legend>
+              <label class="image-preprocess-field">
+                Width (px)
+                <input type="number" data-option="width" min="1" max="${MAX_OUTPUT_SIZE}" step="1" value="${settings.width}" inputmode="numeric" />
+              </label>
+              <p class="image-preprocess-hint">Height follows the aspect ratio. Larger images take longer to render.</p>
+            </fieldset>
+            <fieldset>
+              <legend>Save as</legend>
+              ${formatOptions}
+            </fieldset>
+          </div>
+        </div>
+      </div>
+      <div class="preset-modal-footer">
+        ${allowOriginal ? '<button type="button" class="btn btn-secondary" data-action="original">Use original</button>' : ''}
+        <button type="button" class="btn btn-secondary" data-action="cancel">Cancel</button>
+        <button type="button" class="btn btn-primary" data-action="apply">Use prepared image</button>
+      </div>
+    </div>
+  `;
+
+  document.body.appendChild(modal);
+
+  const thumbnail = modal.querySelector('.image-preprocess-thumbnail');
+  const summary = modal.querySelector('.image-preprocess-summary');
+  const thresholdInput = modal.querySelector('[data-option="threshold"]');
+  const thresholdValue = modal.querySelector(
+    '.image-preprocess-threshold-value'
+  );
+  let processed = null;
+  let frame = null;
+
+  const update = () => {
+    frame = null;
+    processed = processImage(source, settings);
+    const scale = Math.min(
+      THUMBNAIL_SIZE / processed.width,
+      THUMBNAIL_SIZE / processed.height
+    );
+    thumbnail.width = Math.max(1, Math.round(processed.width * scale));
+    thumbnail.height = Math.max(1, Math.round(processed.height * scale));
+    const ctx = thumbnail.getContext('2d');
+    ctx.imageSmoothingEnabled = scale < 1;
+    ctx.drawImage(
+      imageToCanvas(processed),
+      0,
+      0,
+      thumbnail.width,
+      thumbnail.height
+    );
+    const description = describeResult(processed, settings);
+    thumbnail.setAttribute('aria-label', `Preview: ${description}`);
+    summary.textContent = description;
+  };
+  const scheduleUpdate = () => {
+    if (frame === null) frame = requestAnimationFrame(update);
+  };
+
+  modal.addEventListener('input', (event) => {
+    const input = event.target;
+    if (input.dataset.crop) {
+      settings.crop[input.dataset.crop] = Number(input.value) || 0;
+    } else if (input.name === 'imagePreprocessFormat') {
+      settings.format = input.value;
+    } else if (input.dataset.option === 'width') {
+      const rect = getCropRect(source.width, source.height, settings.crop);
+      settings.width = getOutputSize(
+        rect.width,
+        rect.height,
+        input.value
+      ).width;
+    } else if (input.dataset.option === 'useThreshold') {
+      thresholdInput.disabled = !input.checked;
+      settings.threshold = input.checked ? Number(thresholdInput.value) : null;
+    } else if (input.dataset.option === 'threshold') {
+      thresholdValue.textContent = input.value;
+      settings.threshold = Number(input.value);
+    } else if (input.dataset.option) {
+      settings[input.dataset.option] = input.checked;
+    } else {
+      return;
+    }
+    scheduleUpdate();
+  });
+
+  update();
+
+  return new Promise((resolve) => {
+    let result = null;
+    const finish = (value) => {
+      result = value;
+      closeModal(modal);
+    };
+
+    modal.querySelector('.preset-modal-close').addEventListener('click', () => {
+      finish(null);
+    });
+    modal.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape') {
+        event.preventDefault();
+        finish(null);
+      }
+    });
+    modal.addEventListener('click', (event) => {
+      if (event.target === modal) finish(null);
+      const action = event.target.closest?.('[data-action]')?.dataset.action;
+      if (action === 'cancel') finish(null);
+      if (action === 'original') finish(upload);
+      if (action === 'apply') {
+        if (frame !== null) {
+          cancelAnimationFrame(frame);
+          update();
+        }
+        const encoded = encodeImage(processed, settings);
+        finish({
+          name: getPreparedFileName(upload.name, settings.format),
+          size: encoded.size,
+          type: IMAGE_OUTPUT_FORMATS[settings.format].mimeType,
+          data: encoded.data,
+        });
+      }
+    });
+
+    openModal(modal, {
+      focusTarget: modal.querySelector('[data-crop="left"]'),
+      onClose: () => {
+        modal.remove();
+        resolve(result);
+      },
+    });
+  });
+}
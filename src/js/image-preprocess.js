@@ -0,0 +1,360 @@
+/**
+ * Image Preprocessing - Prepare photo uploads for [file] parameters
+ *
+ * surface() reads only PNG and .dat files, and import() needs vector
+ * outlines, so raster uploads can be cropped, converted to grayscale,
+ * inverted, thresholded and resized here, then written as a PNG heightmap,
+ * a .dat height matrix or a traced SVG outline. All functions work on
+ * ImageData-like objects ({width, height, data: RGBA bytes}); the dialog in
+ * image-preprocess-dialog.js does the canvas decoding and encoding.
+ * @license GPL-3.0-or-later
+ */
+
+/** Raster formats the preprocessing step can read */
+export const RASTER_IMAGE_EXTENSIONS = [
+  'png',
+  'jpg',
+  'jpeg',
+  'gif',
+  'webp',
+  'bmp',
+];
+
+/** Output formats, in the order they are offered */
+export const IMAGE_OUTPUT_FORMATS = {
+  png: {
+    label: 'PNG heightmap',
+    use: 'surface()',
+    mimeType: 'image/png',
+  },
+  dat: {
+    label: 'DAT height matrix',
+    use: 'surface()',
+    mimeType: 'text/plain',
+  },
+  svg: {
+    label: 'SVG outline',
+    use: 'import()',
+    mimeType: 'image/svg+xml',
+  },
+};
+
+/** Largest output width or height in pixels */
+export const MAX_OUTPUT_SIZE = 1000;
+
+/** Settings a new upload starts with */
+export const DEFAULT_IMAGE_OPTIONS = {
+  crop: { left: 0, top: 0, right: 0, bottom: 0 },
+  grayscale: true,
+  invert: false,
+  threshold: null,
+  width: 200,
+  format: 'png',
+};
+
+/**
+ * Lower-case extension of a file name
+ * @param {string} fileName
+ * @returns {string}
+ */
+function getExtension(fileName) {
+  const match = /\.([^./\\]+)$/.exec(fileName || '');
+  return match ? match[1].toLowerCase() : '';
+}
+
+/**
+ * Check whether an upload is a raster image the preprocessing step can read
+ * @param {string} fileName
+ * @param {string} [mimeType]
+ * @returns {boolean}
+ */
+export function isRasterImageFile(fileName, mimeType = '') {
+  if (mimeType === 'image/svg+xml') return false;
+  return (
+    RASTER_IMAGE_EXTENSIONS.includes(getExtension(fileName)) ||
+    (mimeType.startsWith('image/') && !getExtension(fileName))
+  );
+}
+
+/**
+ * Output formats a [file] parameter accepts
+ * @param {string[]} [acceptedExtensions] - From the [file:ext,...] hint
+ * @returns {string[]} Keys of IMAGE_OUTPUT_FORMATS (all when no hint is given)
+ */
+export function getImageOutputFormats(acceptedExtensions) {
+  const formats = Object.keys(IMAGE_OUTPUT_FORMATS);
+  if (!acceptedExtensions || acceptedExtensions.length === 0) return formats;
+  const accepted = acceptedExtensions.map((ext) =>
+    ext.replace(/^\./, '').toLowerCase()
+  );
+  return formats.filter((format) => accepted.includes(format));
+}
+
+/**
+ * Check whether an upload can be used as chosen, without preprocessing
+ * @param {string} fileName
+ * @param {string[]} [acceptedExtensions]
+ * @returns {boolean}
+ */
+export function isAcceptedUpload(fileName, acceptedExtensions) {
+  if (!acceptedExtensions || acceptedExtensions.length === 0) return true;
+  return acceptedExtensions
+    .map((ext) => ext.replace(/^\./, '').toLowerCase())
+    .includes(getExtension(fileName));
+}
+
+/**
+ * Name of the prepared file
+ * @param {string} fileName - Original upload name
+ * @param {string} format - Key of IMAGE_OUTPUT_FORMATS
+ * @returns {string} e.g. "photo.jpg" -> "photo.dat"
+ */
+export function getPreparedFileName(fileName, format) {
+  const base = (fileName || 'image').replace(/\.[^./\\]+$/, '') || 'image';
+  return `${base}.${format}`;
+}
+
+/**
+ * Pixel rectangle left after cropping
+ * @param {number} width - Source width
+ * @param {number} height - Source height
+ * @param {{left: number, top: number, right: number, bottom: number}} crop -
+ *   Percent removed from each edge
+ * @returns {{x: number, y: number, width: number, height: number}}
+ */
+export function getCropRect(width, height, crop = {}) {
+  const percent = (value) => Math.min(Math.max(Number(value) || 0, 0), 100);
+  const x = Math.round((width * percent(crop.left)) / 100);
+  const y = Math.round((height * percent(crop.top)) / 100);
+  const right = Math.round((width * percent(crop.right)) / 100);
+  const bottom = Math.round((height * percent(crop.bottom)) / 100);
+  return {
+    x: Math.min(x, width - 1),
+    y: Math.min(y, height - 1),
+    width: Math.max(1, width - x - right),
+    height: Math.max(1, height - y - bottom),
+  };
+}
+
+/**
+ * Output size for a target width, keeping the aspect ratio
+ * @param {number} width - Cropped width
+ * @param {number} height - Cropped height
+ * @param {number} targetWidth - Requested output width
+ * @returns {{width: number, height: number}} Both within 1..MAX_OUTPUT_SIZE
+ */
+export function getOutputSize(width, height, targetWidth) {
+  let outWidth = Math.round(
+    Math.min(Math.max(Number(targetWidth) || width, 1), MAX_OUTPUT_SIZE)
+  );
+  let outHeight = Math.max(1, Math.round((height * outWidth) / width));
+  if (outHeight > MAX_OUTPUT_SIZE) {
+    outHeight = MAX_OUTPUT_SIZE;
+    outWidth = Math.max(1, Math.round((width * outHeight) / height));
+  }
+  return { width: outWidth, height: outHeight };
+}
+
+/**
+ * Crop and resize an image
+ * Each output pixel averages the source pixels it covers, so reductions
+ * are smooth and enlargements repeat pixels.
+ * @param {{width: number, height: number, data: Uint8ClampedArray}} image
+ * @param {{x: number, y: number, width: number, height: number}} rect - Source area
+ * @param {{width: number, height: number}} size - Output size
+ * @returns {{width: number, height: number, data: Uint8ClampedArray}}
+ */
+function cropAndResize(image, rect, size) {
+  const data = new Uint8ClampedArray(size.width * size.height * 4);
+  const scaleX = rect.width / size.width;
+  const scaleY = rect.height / size.height;
+
+  for (let oy = 0; oy < size.height; oy++) {
+    const y0 = rect.y + Math.floor(oy * scaleY);
+    const y1 = Math.max(y0 + 1, rect.y + Math.floor((oy + 1) * scaleY));
+    for (let ox = 0; ox < size.width; ox++) {
+      const x0 = rect.x + Math.floor(ox * scaleX);
+      const x1 = Math.max(x0 + 1, rect.x + Math.floor((ox + 1) * scaleX));
+      const sum = [0, 0, 0, 0];
+      for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+          const i = (y * image.width + x) * 4;
+          for (let c = 0; c < 4; c++) sum[c] += image.data[i + c];
+        }
+      }
+      const count = (y1 - y0) * (x1 - x0);
+      const o = (oy * size.width + ox) * 4;
+      for (let c = 0; c < 4; c++) data[o + c] = Math.round(sum[c] / count);
+    }
+  }
+
+  return { width: size.width, height: size.height, data };
+}
+
+/**
+ * Luminance of an RGBA pixel, with transparency shown as white
+ * @param {Uint8ClampedArray} data
+ * @param {number} i - Index of the pixel's red byte
+ * @returns {number} 0-255
+ */
+function luminance(data, i) {
+  const alpha = data[i + 3] / 255;
+  const gray = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+  return Math.round(gray * alpha + 255 * (1 - alpha));
+}
+
+/**
+ * Apply the preprocessing options to an image
+ * Order: crop, resize, grayscale, invert, threshold. A threshold implies
+ * grayscale: pixels at or above it turn white, the rest black.
+ * @param {{width: number, height: number, data: Uint8ClampedArray}} image - Source RGBA
+ * @param {Object} [options] - See DEFAULT_IMAGE_OPTIONS
+ * @returns {{width: number, height: number, data: Uint8ClampedArray}} Opaque RGBA
+ */
+export function processImage(image, options = {}) {
+  const settings = { ...DEFAULT_IMAGE_OPTIONS, ...options };
+  const rect = getCropRect(image.width, image.height, settings.crop);
+  const size = getOutputSize(rect.width, rect.height, settings.width);
+  const result = cropAndResize(image, rect, size);
+  const { data } = result;
+  const threshold =
+    settings.threshold === null || settings.threshold === undefined
+      ? null
+      : Number(settings.threshold);
+
+  for (let i = 0; i < data.length; i += 4) {
+    let rgb;
+    if (settings.grayscale || threshold !== null) {
+      const gray = luminance(data, i);
+      rgb = [gray, gray, gray];
+    } else {
+      const alpha = data[i + 3] / 255;
+      rgb = [0, 1, 2].map((c) =>
+        Math.round(data[i + c] * alpha + 255 * (1 - alpha))
+      );
+    }
+    if (settings.invert) rgb = rgb.map((value) => 255 - value);
+    if (threshold !== null) {
+      const value = rgb[0] >= threshold ? 255 : 0;
+      rgb = [value, value, value];
+    }
+    data[i] = rgb[0];
+    data[i + 1] = rgb[1];
+    data[i + 2] = rgb[2];
+    data[i + 3] = 255;
+  }
+
+  return result;
+}
+
+/**
+ * Write an image as an OpenSCAD .dat height matrix
+ * Heights run 0 (black) to 100 (white), as surface() reads PNG files.
+ * surface() puts the first row at y = 0, so rows are written bottom to top
+ * to keep the picture the right way up.
+ * @param {{width: number, height: number, data: Uint8ClampedArray}} image
+ * @returns {string}
+ */
+export function imageToDat(image) {
+  const rows = [];
+  for (let y = image.height - 1; y >= 0; y--) {
+    const row = [];
+    for (let x = 0; x < image.width; x++) {
+      const height =
+        (luminance(image.data, (y * image.width + x) * 4) * 100) / 255;
+      row.push(String(Math.round(height * 100) / 100));
+    }
+    rows.push(row.join(' '));
+  }
+  return `${rows.join('\n')}\n`;
+}
+
+/**
+ * Trace the dark areas of an image into closed outlines
+ * Follows the pixel edges between dark and light pixels. Outer edges run
+ * clockwise and holes anticlockwise (in image coordinates, y down), so the
+ * outline fills correctly with either SVG fill rule.
+ * @param {{width: number, height: number, data: Uint8ClampedArray}} image
+ * @param {number} [threshold=128] - Pixels darker than this are inside
+ * @returns {Array<Array<[number, number]>>} Loops of corner points
+ */
+export function traceOutlines(image, threshold = 128) {
+  const { width, height } = image;
+  const inside = (x, y) =>
+    x >= 0 &&
+    y >= 0 &&
+    x < width &&
+    y < height &&
+    luminance(image.data, (y * width + x) * 4) < threshold;
+
+  // Directed boundary edges keyed by start corner; the dark pixel is on
+  // the right of each edge
+  const stride = width + 1;
+  const edges = new Map();
+  const addEdge = (x0, y0, x1, y1) => {
+    const key = y0 * stride + x0;
+    if (!edges.has(key)) edges.set(key, []);
+    edges.get(key).push([x1, y1]);
+  };
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (!inside(x, y)) continue;
+      if (!inside(x, y - 1)) addEdge(x, y, x + 1, y);
+      if (!inside(x + 1, y)) addEdge(x + 1, y, x + 1, y + 1);
+      if (!inside(x, y + 1)) addEdge(x + 1, y + 1, x, y + 1);
+      if (!inside(x - 1, y)) addEdge(x, y + 1, x, y);
+    }
+  }
+
+  const loops = [];
+  for (const startKey of Array.from(edges.keys()).sort((a, b) => a - b)) {
+    while (edges.get(startKey)?.length) {
+      const start = [startKey % stride, Math.floor(startKey / stride)];
+      const points = [start];
+      let key = startKey;
+      for (;;) {
+        const next = edges.get(key).pop();
+        key = next[1] * stride + next[0];
+        if (key === startKey) break;
+        points.push(next);
+      }
+      loops.push(removeStraightPoints(points));
+    }
+  }
+  return loops;
+}
+
+/**
+ * Drop corners that lie on a straight run
+ * @param {Array<[number, number]>} points - Closed loop
+ * @returns {Array<[number, number]>}
+ */
+function removeStraightPoints(points) {
+  return points.filter((point, i) => {
+    const prev = points[(i + points.length - 1) % points.length];
+    const next = points[(i + 1) % points.length];
+    return (
+      (point[0] - prev[0]) * (next[1] - point[1]) !==
+      (point[1] - prev[1]) * (next[0] - point[0])
+    );
+  });
+}
+
+/**
+ * Write traced outlines as an SVG file for import()
+ * One image pixel is 1 mm; scale the result in OpenSCAD with resize().
+ * @param {Array<Array<[number, number]>>} loops - From traceOutlines()
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @returns {string}
+ */
+export function outlinesToSvg(loops, width, height) {
+  const path = loops
+    .map((loop) => `M${loop.map(([x, y]) => `${x} ${y}`).join('L')}Z`)
+    .join('');
+  return (
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}mm" height="${height}mm" viewBox="0 0 ${width} ${height}">\n` +
+    `  <path fill="black" fill-rule="evenodd" d="${path}"/>\n` +
+    '</svg>\n'
+  );
+}
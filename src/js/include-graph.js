@@ -0,0 +1,178 @@
+/**
+ * Include Graph - Which files and libraries a model actually uses
+ *
+ * Follows include <...> and use <...> from the main file through the project
+ * files and on into libraries, searching the way OpenSCAD does: first beside
+ * the including file, then in the library folder (/libraries/<id>/...). The
+ * result says which libraries the model needs, which of their files have to
+ * be mounted, and which includes resolve nowhere, with suggestions such as
+ * "BOSL2 provides std.scad".
+ *
+ * @license GPL-3.0-or-later
+ */
+
+import { resolveIncludePath, scanIncludes } from './zip-handler.js';
+
+/** Most suggestions listed for one unresolved include */
+const MAX_SUGGESTIONS = 3;
+
+/**
+ * Path named by an include/use statement, as written
+ * @param {string} statement - e.g. 'include <BOSL2/std.scad>'
+ * @returns {string}
+ */
+function getIncludeTarget(statement) {
+  return statement.match(/[<"]([^>"]+)[>"]/)?.[1] || statement;
+}
+
+/**
+ * Final path segment
+ * @param {string} path
+ * @returns {string}
+ */
+function baseName(path) {
+  return path.slice(path.lastIndexOf('/') + 1);
+}
+
+/**
+ * Files that provide an include's file name, for an unresolved include
+ * @param {string} target - Include path as written
+ * @param {Map<string, string>} files - Project files
+ * @param {Object<string, string[]|null>} libraryFiles - Library ID -> files
+ * @returns {Array<{library: string|null, path: string, include: string}>}
+ */
+export function suggestIncludeSources(target, files, libraryFiles) {
+  const name = baseName(target);
+  const suggestions = [];
+
+  for (const [id, list] of Object.entries(libraryFiles || {})) {
+    // Shortest path first: "std.scad" over "tests/std.scad"
+    const match = (list || [])
+      .filter((file) => baseName(file) === name)
+      .sort((a, b) => a.split('/').length - b.split('/').length)[0];
+    if (match) {
+      suggestions.push({ library: id, path: match, include: `${id}/${match}` });
+    }
+  }
+  for (const path of files.keys()) {
+    if (baseName(path) === name && path !== target) {
+      suggestions.push({ library: null, path, include: path });
+    }
+  }
+
+  return suggestions.slice(0, MAX_SUGGESTIONS);
+}
+
+/**
+ * Follow the include/use graph of a project
+ * @param {Object} input
+ * @param {string} input.mainFile - Path of the main file within files
+ * @param {Map<string, string>} input.files - Project files (path -> content),
+ *   including the main file
+ * @param {Object<string, string[]|null>} [input.libraryFiles] - Library ID ->
+ *   its file paths, or null when the library's file list is unknown
+ * @param {Function} [input.readLibraryFile] - async (id, path) => content or
+ *   null; without it, includes are not followed into libraries
+ * @returns {Promise<{libraries: string[], libraryFiles: Object<string, string[]|null>, unresolved: Array<{file: string, include: string, suggestions: Array}>}>}
+ *   libraries: referenced library IDs; libraryFiles: files each needs mounted
+ *   (null = all of them); unresolved: project includes found nowhere
+ */
+export async function analyzeIncludes({
+  mainFile,
+  files,
+  libraryFiles = {},
+  readLibraryFile = null,
+}) {
+  const queue = [{ library: null, path: mainFile }];
+  const visited = new Set();
+  const used = new Map(); // Library ID -> Set of referenced files, or null
+  const unresolved = [];
+
+  const hasFile = (library, path) =>
+    library === null
+      ? files.has(path)
+      : libraryFiles[library] === null || libraryFiles[library].includes(path);
+
+  const resolve = (statement, from) => {
+    // Beside the including file (within the same project or library)
+    const local = resolveIncludePath(statement, from.path);
+    if (local && hasFile(from.library, local)) {
+      return { library: from.library, path: local };
+    }
+
+    // In the library folder: "<id>/<path within the library>"
+    const fromRoot = resolveIncludePath(statement, '');
+    const slash = fromRoot ? fromRoot.indexOf('/') : -1;
+    if (slash > 0) {
+      const library = fromRoot.slice(0, slash);
+      const path = fromRoot.slice(slash + 1);
+      if (Object.hasOwn(libraryFiles, library) && hasFile(library, path)) {
+        return { library, path };
+      }
+    }
+    return null;
+  };
+
+  while (queue.length > 0) {
+    const node = queue.shift();
+    const key = `${node.library ?? ''}:${node.path}`;
+    if (visited.has(key)) continue;
+    visited.add(key);
+
+    let content = null;
+    if (node.library === null) {
+      content = files.get(node.path) ?? null;
+    } else if (readLibraryFile && libraryFiles[node.library] !== null) {
+      content = await readLibraryFile(node.library, node.path);
+    }
+    if (typeof content !== 'string') {
+      // A library file that cannot be read hides what it includes
+      if (node.library !== null) used.set(node.library, null);
+      continue;
+    }
+
+    for (const statement of scanIncludes(content)) {
+      const target = resolve(statement, node);
+
+      if (!target) {
+        // Gaps inside a library are its own business
+        if (node.library === null) {
+          const include = getIncludeTarget(statement);
+          unresolved.push({
+            file: node.path,
+            include,
+            suggestions: suggestIncludeSources(include, files, libraryFiles),
+          });
+        }
+        continue;
+      }
+
+      if (target.library !== null) {
+        if (!used.has(target.library)) {
+          used.set(
+            target.library,
+            libraryFiles[target.library] === null ? null : new Set()
+          );
+        }
+        used.get(target.library)?.add(target.path);
+      }
+      queue.push(target);
+    }
+  }
+
+  const neededFiles = {};
+  for (const [library, referenced] of used) {
+    neededFiles[library] = referenced
+      ? // Data files (.dat, .svg, ...) may be read by import() or surface()
+        libraryFiles[library]
+          .filter((file) => referenced.has(file) || !/\.scad$/i.test(file))
+          .sort()
+      : null;
+  }
+
+  return {
+    libraries: [...used.keys()],
+    libraryFiles: neededFiles,
+    unresolved,
+  };
+}
@@ -0,0 +1,193 @@
+/**
+ * Library Integrity - Hashes for mounted library files
+ *
+ * Each library file is checked against a Subresource Integrity style hash
+ * ("sha256-<base64>") before it is written into the OpenSCAD filesystem.
+ * Built-in libraries get their hashes from the manifest.json that
+ * scripts/setup-libraries.js writes next to each library; uploaded libraries
+ * are hashed when the ZIP is added.
+ *
+ * The manifest is served from the same origin as the files it lists, so the
+ * check catches corrupted, truncated or half-updated files (a stale cache
+ * entry, an interrupted download). It does not detect tampering: anyone who
+ * can change the files can change their hashes too.
+ *
+ * crypto.subtle only exists in secure contexts (https or localhost), so a
+ * plain JavaScript SHA-256 takes over when the app is served over http, for
+ * example from a LAN address.
+ *
+ * @license GPL-3.0-or-later
+ */
+
+/**
+ * Bytes of a library file
+ * @param {string|ArrayBuffer|ArrayBufferView} content
+ * @returns {Uint8Array}
+ */
+export function toLibraryBytes(content) {
+  if (typeof content === 'string') {
+    return new TextEncoder().encode(content);
+  }
+  if (ArrayBuffer.isView(content)) {
+    return new Uint8Array(
+      content.buffer,
+      content.byteOffset,
+      content.byteLength
+    );
+  }
+  return new Uint8Array(content);
+}
+
+/** SHA-256 round constants */
+const SHA256_K = new Uint32Array([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1,
+  0x923f82a4, 0xab1c5ed5, 0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3,
+  0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174, 0xe49b69c1, 0xefbe4786,
+  0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147,
+  0x06ca6351, 0x14292967, 0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13,
+  0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85, 0xa2bfe8a1, 0xa81a664b,
+  0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a,
+  0x5b9cca4f, 0x682e6ff3, 0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208,
+  0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+]);
+
+/**
+ * SHA-256 in plain JavaScript, for pages without crypto.subtle
+ * @param {Uint8Array} bytes
+ * @returns {Uint8Array} 32-byte digest
+ */
+export function sha256(bytes) {
+  // Pad: 0x80, zeros, then the bit length as a 64-bit big-endian integer
+  const paddedLength = Math.ceil((bytes.length + 9) / 64) * 64;
+  const data = new Uint8Array(paddedLength);
+  data.set(bytes);
+  data[bytes.length] = 0x80;
+  const view = new DataView(data.buffer);
+  view.setUint32(paddedLength - 8, Math.floor(bytes.length / 0x20000000));
+  view.setUint32(paddedLength - 4, (bytes.length * 8) >>> 0);
+
+  const hash = new Uint32Array([
+    0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c,
+    0x1f83d9ab, 0x5be0cd19,
+  ]);
+  const w = new Uint32Array(64);
+  const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+
+  for (let offset = 0; offset < paddedLength; offset += 64) {
+    for (let i = 0; i < 16; i++) {
+      w[i] = view.getUint32(offset + i * 4);
+    }
+    for (let i = 16; i < 64; i++) {
+      const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+      const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+      w[i] = w[i - 16] + s0 + w[i - 7] + s1;
+    }
+
+    let [a, b, c, d, e, f, g, h] = hash;
+    for (let i = 0; i < 64; i++) {
+      const t1 =
+        (h +
+          (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) +
+          ((e & f) ^ (~e & g)) +
+          SHA256_K[i] +
+          w[i]) |
+        0;
+      const t2 =
+        ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) +
+          ((a & b) ^ (a & c) ^ (b & c))) |
+        0;
+      h = g;
+      g = f;
+      f = e;
+      e = (d + t1) | 0;
+      d = c;
+      c = b;
+      b = a;
+      a = (t1 + t2) | 0;
+    }
+    hash[0] += a;
+    hash[1] += b;
+    hash[2] += c;
+    hash[3] += d;
+    hash[4] += e;
+    hash[5] += f;
+    hash[6] += g;
+    hash[7] += h;
+  }
+
+  const digest = new Uint8Array(32);
+  const digestView = new DataView(digest.buffer);
+  hash.forEach((word, i) => digestView.setUint32(i * 4, word));
+  return digest;
+}
+
+/**
+ * SHA-256 digest, with crypto.subtle where the page has it
+ * @param {Uint8Array} bytes
+ * @returns {Promise<Uint8Array>}
+ */
+async function digestSha256(bytes) {
+  if (globalThis.crypto?.subtle) {
+    return new Uint8Array(
+      await globalThis.crypto.subtle.digest('SHA-256', bytes)
+    );
+  }
+  return sha256(bytes);
+}
+
+/**
+ * SRI hash of a library file
+ * @param {string|ArrayBuffer|ArrayBufferView} content
+ * @returns {Promise<string>} e.g. "sha256-47DEQpj8HBSa+/TImW+5JCeuQeRkm5NMpJWZG3hSuFU="
+ */
+export async function computeIntegrity(content) {
+  const digest = await digestSha256(toLibraryBytes(content));
+  let binary = '';
+  for (const byte of digest) {
+    binary += String.fromCharCode(byte);
+  }
+  return `sha256-${btoa(binary)}`;
+}
+
+/**
+ * Check a library file against its expected hash
+ * @param {string|ArrayBuffer|ArrayBufferView} content
+ * @param {string} expected - SRI hash
+ * @returns {Promise<boolean>} False when the hash is missing or differs
+ */
+export async function verifyIntegrity(content, expected) {
+  if (typeof expected !== 'string' || !expected.startsWith('sha256-')) {
+    return false;
+  }
+  return (await computeIntegrity(content)) === expected;
+}
+
+/**
+ * Version string for a set of library files
+ * Derived from the file hashes, so re-uploading identical files gives the
+ * same version and any change gives a new one.
+ * @param {Object<string, string>} integrity - File path -> SRI hash
+ * @returns {Promise<string>} 12 hex characters
+ */
+export async function computeLibraryVersion(integrity) {
+  const entries = Object.entries(integrity || {}).sort(([a], [b]) =>
+    a.localeCompare(b)
+  );
+  const digest = await digestSha256(
+    new TextEncoder().encode(JSON.stringify(entries))
+  );
+  return Array.from(digest, (byte) => byte.toString(16).padStart(2, '0'))
+    .join('')
+    .slice(0, 12);
+}
+
+/**
+ * Short form of a library version for display
+ * @param {string|null} version - Commit hash or content version
+ * @returns {string}
+ */
+export function formatLibraryVersion(version) {
+  return version ? String(version).slice(0, 7) : 'unknown';
+}
@@ -2,9 +2,15 @@
  * OpenSCAD Library Bundle Manager
  * @license GPL-3.0-or-later
  *
- * Manages OpenSCAD library bundles (MCAD, BOSL2, etc.)
+ * Manages OpenSCAD library bundles (MCAD, BOSL2, etc.) and libraries the
+ * user uploaded (see user-libraries.js). Saved designs and presets record
+ * the library versions they were made with; loading one pins those versions
+ * so a different installed version can be flagged.
  */
 
+import { analyzeIncludes } from './include-graph.js';
+import { resolveIncludePath, scanIncludes } from './zip-handler.js';
+
 // Import validation at module level
 let validateLibraryMapFn = null;
 (async () => {
@@ -65,21 +71,24 @@ export const LIBRARY_DEFINITIONS = {
 
 /**
  * Detect library usage in OpenSCAD code
+ * Only looks at one file; LibraryManager.analyzeProject() follows includes
+ * through the whole project.
  * @param {string} scadContent - OpenSCAD source code
+ * @param {Array<string>} [libraryIds] - Library IDs to look for (defaults to
+ *   the built-in and uploaded libraries known to the shared manager)
  * @returns {Array<string>} Array of detected library IDs
  */
-export function detectLibraries(scadContent) {
+export function detectLibraries(
+  scadContent,
+  libraryIds = Object.keys(libraryManager.libraries)
+) {
   const detected = new Set();
 
-  // Match include/use statements
-  const includePattern = /(?:include|use)\s*<([^>]+)>/g;
-  let match;
-
-  while ((match = includePattern.exec(scadContent)) !== null) {
-    const includePath = match[1];
+  for (const statement of scanIncludes(scadContent || '')) {
+    const includePath = resolveIncludePath(statement, '') || '';
 
     // Check which library it belongs to
-    for (const libId of Object.keys(LIBRARY_DEFINITIONS)) {
+    for (const libId of libraryIds) {
       if (includePath.startsWith(libId + '/')) {
         detected.add(libId);
       }
@@ -94,7 +103,14 @@ export function detectLibraries(scadContent) {
  */
 export class LibraryManager {
   constructor() {
-    this.libraries = { ...LIBRARY_DEFINITIONS };
+    this.libraries = Object.fromEntries(
+      Object.entries(LIBRARY_DEFINITIONS).map(([id, lib]) => [id, { ...lib }])
+    );
+    this.savedState = {};
+    this.pins = {};
+    this.referencedFiles = null;
+    this.fileLists = new Map();
+    this.analysisRun = 0;
     this.loadState();
     this.listeners = [];
   }
@@ -131,6 +147,9 @@ export class LibraryManager {
           }
         }
 
+        // Uploaded libraries register later and pick their state up from here
+        this.savedState = state;
+
         // Merge saved enabled state with definitions
         for (const [id, lib] of Object.entries(state)) {
           if (this.libraries[id]) {
@@ -153,10 +172,12 @@ export class LibraryManager {
         return; // Skip in Node.js environment
       }
 
-      const state = {};
+      // Keep entries for uploaded libraries that have not registered yet
+      const state = { ...this.savedState };
       for (const [id, lib] of Object.entries(this.libraries)) {
         state[id] = { enabled: lib.enabled };
       }
+      this.savedState = state;
       localStorage.setItem(
         'openscad-customizer-libraries',
         JSON.stringify(state)
@@ -238,22 +259,261 @@ export class LibraryManager {
 
   /**
    * Get library paths to mount in virtual filesystem
-   * @returns {Array<Object>} Array of {id, path} objects for enabled libraries
+   * Includes the installed version once known (it is part of the render cache
+   * key), and the files and hashes of uploaded libraries.
+   * @returns {Array<Object>} Array of {id, path, version?, files?, integrity?}
+   *   objects for enabled libraries
    */
   getMountPaths() {
+    return this.getEnabled().map((lib) => {
+      // Files the open design reaches through include/use (see analyzeProject)
+      const subset = this.referencedFiles?.[lib.id] || null;
+      const pick = (map) =>
+        subset
+          ? Object.fromEntries(subset.map((file) => [file, map[file]]))
+          : map;
+      return {
+        id: lib.id,
+        path: lib.path,
+        ...(lib.version ? { version: lib.version } : {}),
+        ...(this.pins[lib.id] ? { pinned: this.pins[lib.id] } : {}),
+        ...(subset ? { subset } : {}),
+        ...(lib.user
+          ? { files: pick(lib.files), integrity: pick(lib.integrity) }
+          : {}),
+      };
+    });
+  }
+
+  /**
+   * Paths of a library's files
+   * Built-in lists come from the manifest.json written by
+   * scripts/setup-libraries.js and are fetched once.
+   * @param {string} libraryId - Library ID
+   * @returns {Promise<string[]|null>} Null when the list is unavailable
+   */
+  async getFileList(libraryId) {
+    const lib = this.libraries[libraryId];
+    if (!lib) return null;
+    if (lib.user) return Object.keys(lib.files || {});
+
+    if (!this.fileLists.has(libraryId)) {
+      this.fileLists.set(
+        libraryId,
+        fetch(`${lib.path}/manifest.json`)
+          .then((response) => (response.ok ? response.json() : null))
+          .then((manifest) =>
+            Array.isArray(manifest?.files) ? manifest.files : null
+          )
+          .catch(() => null)
+      );
+    }
+    return this.fileLists.get(libraryId);
+  }
+
+  /**
+   * Read one file of a library
+   * @param {string} libraryId - Library ID
+   * @param {string} path - Path within the library
+   * @returns {Promise<string|null>}
+   */
+  async readFile(libraryId, path) {
+    const lib = this.libraries[libraryId];
+    if (!lib) return null;
+    if (lib.user) return lib.files?.[path] ?? null;
+    try {
+      const response = await fetch(`${lib.path}/${path}`);
+      return response.ok ? await response.text() : null;
+    } catch (_error) {
+      return null;
+    }
+  }
+
+  /**
+   * Follow a design's include/use graph through its files and libraries
+   * Afterwards getMountPaths() limits each referenced library to the files
+   * the design reaches. While the analysis runs, libraries mount in full.
+   * @param {string} mainFile - Main file path within files
+   * @param {Map<string, string>} files - Project files, including the main file
+   * @returns {Promise<Object>} Report from analyzeIncludes(): libraries,
+   *   libraryFiles and unresolved
+   */
+  async analyzeProject(mainFile, files) {
+    const run = ++this.analysisRun;
+    this.referencedFiles = null;
+    const ids = Object.keys(this.libraries);
+    const lists = await Promise.all(ids.map((id) => this.getFileList(id)));
+    const report = await analyzeIncludes({
+      mainFile,
+      files,
+      libraryFiles: Object.fromEntries(ids.map((id, i) => [id, lists[i]])),
+      readLibraryFile: (id, path) => this.readFile(id, path),
+    });
+    // A newer analysis (another design, or an edit) has taken over
+    if (run !== this.analysisRun) return report;
+    this.referencedFiles = Object.fromEntries(
+      Object.entries(report.libraryFiles).filter(([, list]) => list)
+    );
+    return report;
+  }
+
+  /**
+   * Register an uploaded library, replacing one with the same ID
+   * @param {Object} library - Record from createUserLibraryFromZip()
+   * @param {Object} [options]
+   * @param {boolean} [options.enable] - Enabled state (defaults to the saved
+   *   state, or disabled)
+   */
+  addUserLibrary(library, { enable } = {}) {
+    if (LIBRARY_DEFINITIONS[library.id]) {
+      throw new Error(`"${library.id}" is the name of a built-in library`);
+    }
+    this.libraries[library.id] = {
+      id: library.id,
+      name: library.name || library.id,
+      description: library.description || 'Uploaded library',
+      path: `/libraries/${library.id}`,
+      icon: '📁',
+      enabled: enable ?? this.savedState[library.id]?.enabled ?? false,
+      popular: false,
+      user: true,
+      version: library.version,
+      files: library.files,
+      integrity: library.integrity,
+    };
+    this.saveState();
+    this.notifyListeners('add', library.id);
+  }
+
+  /**
+   * Remove an uploaded library
+   * @param {string} libraryId - Library ID
+   */
+  removeUserLibrary(libraryId) {
+    if (!this.libraries[libraryId]?.user) return;
+    delete this.libraries[libraryId];
+    delete this.savedState[libraryId];
+    this.saveState();
+    this.notifyListeners('remove', libraryId);
+  }
+
+  /**
+   * Set installed versions of the built-in libraries
+   * @param {Object<string, string>} versions - Library ID -> commit hash
+   */
+  setInstalledVersions(versions) {
+    for (const [id, version] of Object.entries(versions || {})) {
+      if (this.libraries[id] && !this.libraries[id].user && version) {
+        this.libraries[id].version = version;
+      }
+    }
+    this.notifyListeners('versions', null);
+  }
+
+  /**
+   * Read installed built-in versions from the library manifest
+   * @returns {Promise<void>}
+   */
+  async loadInstalledVersions() {
+    const manifest = await this.getManifest();
+    const versions = {};
+    for (const [id, entry] of Object.entries(manifest?.libraries || {})) {
+      if (entry?.available && entry.commit) {
+        versions[id] = entry.commit;
+      }
+    }
+    this.setInstalledVersions(versions);
+  }
+
+  /**
+   * Versions of the enabled libraries, for saving with a design or preset
+   * @returns {Array<{id: string, version: string|null}>}
+   */
+  getVersionRecord() {
     return this.getEnabled().map((lib) => ({
       id: lib.id,
-      path: lib.path,
+      version: lib.version || null,
     }));
   }
 
+  /**
+   * Pin the library versions a design or preset was saved with
+   * Pinned libraries are enabled. Only the installed version can be mounted,
+   * so the worker refuses to render while a pinned library is installed at
+   * another version (see getPinMismatches()); clearPins() accepts the
+   * installed versions.
+   * @param {Array<{id: string, version: string|null}>} records - From
+   *   getVersionRecord()
+   * @returns {Array<string>} Pinned library IDs that are not available
+   */
+  setPins(records) {
+    this.pins = {};
+    const missing = [];
+    for (const { id, version } of records || []) {
+      if (!id) continue;
+      this.pins[id] = version || null;
+      if (!this.libraries[id]) {
+        missing.push(id);
+      } else if (!this.libraries[id].enabled) {
+        this.libraries[id].enabled = true;
+      }
+    }
+    this.saveState();
+    this.notifyListeners('pin', null);
+    return missing;
+  }
+
+  /**
+   * Forget pinned versions (a different design was opened)
+   */
+  clearPins() {
+    if (Object.keys(this.pins).length === 0) return;
+    this.pins = {};
+    this.notifyListeners('pin', null);
+  }
+
+  /**
+   * Pinned version of a library
+   * @param {string} libraryId - Library ID
+   * @returns {string|null} Null when not pinned or pinned without a version
+   */
+  getPinnedVersion(libraryId) {
+    return this.pins[libraryId] || null;
+  }
+
+  /**
+   * Pinned libraries whose installed version differs from the pin
+   * Libraries with an unknown installed version are not reported.
+   * @returns {Array<{id: string, pinned: string, installed: string}>}
+   */
+  getPinMismatches() {
+    const mismatches = [];
+    for (const [id, pinned] of Object.entries(this.pins)) {
+      const installed = this.libraries[id]?.version;
+      if (pinned && installed && pinned !== installed) {
+        mismatches.push({ id, pinned, installed });
+      }
+    }
+    return mismatches;
+  }
+
   /**
    * Auto-enable libraries detected in code
    * @param {string} scadContent - OpenSCAD source code
    * @returns {Array<string>} Array of auto-enabled library IDs
    */
   autoEnable(scadContent) {
-    const detected = detectLibraries(scadContent);
+    return this.enableDetected(
+      detectLibraries(scadContent, Object.keys(this.libraries))
+    );
+  }
+
+  /**
+   * Enable libraries a design was found to use
+   * @param {Array<string>} detected - Library IDs
+   * @returns {Array<string>} Array of newly enabled library IDs
+   */
+  enableDetected(detected) {
     const autoEnabled = [];
 
     for (const libId of detected) {
@@ -329,6 +589,11 @@ export class LibraryManager {
     const availability = {};
 
     for (const [id, lib] of Object.entries(this.libraries)) {
+      // Uploaded libraries are stored in the browser, not served
+      if (lib.user) {
+        availability[id] = true;
+        continue;
+      }
       try {
         // Try to fetch manifest or a test file
         const response = await fetch(`${lib.path}/`, { method: 'HEAD' });
@@ -0,0 +1,374 @@
+/**
+ * Measure Panel
+ * Point-to-point and feature measurement on the 3D preview. Features are
+ * picked with the mouse or stepped through with the panel buttons (or
+ * [ and ] on the canvas), one or two at a time; each measurement is kept
+ * in a list that survives re-renders and reloads and can be exported as
+ * CSV. The geometry lives in feature-measure.js; PreviewManager draws the
+ * highlights and labels.
+ * @license GPL-3.0-or-later
+ */
+
+import {
+  buildMeasurementsCsv,
+  describeFeature,
+  getFeatureList,
+  measureFeatures,
+} from './feature-measure.js';
+
+/** Storage key for the saved measurement list */
+const STORAGE_KEY = 'openscad-customizer-measure-list';
+
+/** Names of each feature type, singular and plural */
+const FEATURE_NAMES = {
+  face: ['Face', 'faces'],
+  edge: ['Edge', 'edges'],
+  vertex: ['Corner', 'corners'],
+  circle: ['Circle', 'holes or circles'],
+};
+
+/**
+ * Initialize the measure panel
+ * @param {Object} options - Configuration options
+ * @param {Function} options.getPreviewManager - Returns the PreviewManager (or null)
+ * @param {Function} [options.getModelName] - Returns the model name saved with
+ *   each measurement and used for the export file name
+ * @returns {Object|null} Controller API, or null if the panel is missing
+ */
+export function initMeasurePanel(options = {}) {
+  const panel = document.getElementById('measurePanel');
+  const toggle = document.getElementById('measureModeToggle');
+  const controls = document.getElementById('measureControls');
+  const typeSelect = document.getElementById('measureFeatureType');
+  const prevBtn = document.getElementById('measurePrevBtn');
+  const nextBtn = document.getElementById('measureNextBtn');
+  const selectBtn = document.getElementById('measureSelectBtn');
+  const singleBtn = document.getElementById('measureSingleBtn');
+  const clearSelectionBtn = document.getElementById('measureClearSelectionBtn');
+  const statusEl = document.getElementById('measureStatus');
+  const listEl = document.getElementById('measureList');
+  const exportBtn = document.getElementById('measureExportBtn');
+  const clearAllBtn = document.getElementById('measureClearAllBtn');
+
+  if (!panel || !toggle || !typeSelect || !statusEl || !listEl) {
+    console.warn('[Measure] Required elements not found');
+    return null;
+  }
+
+  const getPreviewManager = options.getPreviewManager || (() => null);
+  const getModelName = options.getModelName || (() => 'model');
+
+  let saved = loadSaved(); // Every measurement, across models and reloads
+  let live = []; // Measurements of the current mesh (drawn on it)
+  let selected = [];
+  let current = null;
+  let stepIndex = -1;
+
+  function loadSaved() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+      return Array.isArray(stored) ? stored : [];
+    } catch (error) {
+      console.warn('[Measure] Could not load saved measurements:', error);
+      return [];
+    }
+  }
+
+  function persist() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(saved));
+    } catch (error) {
+      console.warn('[Measure] Could not save measurements:', error);
+    }
+  }
+
+  /**
+   * Show a message and, optionally, announce it to screen readers
+   */
+  function setStatus(message, announce = false) {
+    statusEl.textContent = message;
+    if (announce) getPreviewManager()?.announceCameraAction(message);
+  }
+
+  /**
+   * Redraw highlights and labels on the model
+   */
+  function draw() {
+    const preview = getPreviewManager();
+    if (!preview?.measureMode || !preview.mesh) return;
+    preview.showMeasureAnnotations({ current, selected, measurements: live });
+  }
+
+  function updateButtons() {
+    const enabled = Boolean(getPreviewManager()?.mesh);
+    for (const button of [prevBtn, nextBtn, selectBtn]) {
+      if (button) button.disabled = !enabled;
+    }
+    if (singleBtn) singleBtn.disabled = selected.length !== 1;
+    if (clearSelectionBtn) clearSelectionBtn.disabled = selected.length === 0;
+    if (exportBtn) exportBtn.disabled = saved.length === 0;
+    if (clearAllBtn) clearAllBtn.disabled = saved.length === 0;
+  }
+
+  function renderList() {
+    listEl.replaceChildren();
+    if (saved.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'measure-list-empty';
+      empty.textContent = 'No measurements yet.';
+      listEl.appendChild(empty);
+    }
+    saved.forEach((measurement, index) => {
+      const item = document.createElement('li');
+      const text = document.createElement('span');
+      text.textContent = measurement.model
+        ? `${measurement.description} (${measurement.model})`
+        : measurement.description;
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'btn btn-sm btn-outline';
+      remove.textContent = 'Remove';
+      remove.setAttribute(
+        'aria-label',
+        `Remove measurement ${index + 1}: ${measurement.description}`
+      );
+      remove.addEventListener('click', () => removeMeasurement(index));
+      item.append(text, remove);
+      listEl.appendChild(item);
+    });
+    updateButtons();
+  }
+
+  /**
+   * Save a measurement and draw it
+   * @param {Object} measurement - From measureFeatures()
+   */
+  function record(measurement) {
+    const entry = { ...measurement, model: getModelName() };
+    saved.push(entry);
+    live.push(entry);
+    persist();
+    renderList();
+    draw();
+    setStatus(`Measured: ${measurement.description}.`, true);
+  }
+
+  function removeMeasurement(index) {
+    const [removed] = saved.splice(index, 1);
+    live = live.filter((entry) => entry !== removed);
+    persist();
+    renderList();
+    draw();
+    setStatus(`Removed measurement: ${removed.description}.`, true);
+    // Keep focus in the list (or on the panel) for keyboard users
+    const buttons = listEl.querySelectorAll('button');
+    (buttons[Math.min(index, buttons.length - 1)] || toggle).focus();
+  }
+
+  /**
+   * Add a feature to the selection; two features make a measurement
+   * @param {Object|null} feature
+   */
+  function select(feature) {
+    const preview = getPreviewManager();
+    const topology = preview?.getMeasureTopology();
+    if (!topology) {
+      setStatus('Render a model to measure it.');
+      return;
+    }
+    if (!feature) {
+      setStatus('Step to a feature with Next or Previous first.', true);
+      return;
+    }
+    if (selected.some((other) => other.id === feature.id)) {
+      setStatus(
+        `${describeFeature(feature, topology)} is already selected.`,
+        true
+      );
+      return;
+    }
+
+    selected.push(feature);
+    if (selected.length === 2) {
+      const [first, second] = selected;
+      selected = [];
+      record(measureFeatures(first, second, topology));
+    } else {
+      draw();
+      setStatus(
+        `Selected: ${describeFeature(feature, topology)}. Select a second feature to measure between them, or choose Measure selected feature.`,
+        true
+      );
+    }
+    updateButtons();
+  }
+
+  /**
+   * Move the keyboard cursor to the next or previous feature
+   * @param {number} delta - 1 or -1
+   */
+  function step(delta) {
+    const topology = getPreviewManager()?.getMeasureTopology();
+    if (!topology) {
+      setStatus('Render a model to measure it.');
+      return;
+    }
+    const type = typeSelect.value;
+    const features = getFeatureList(topology, type);
+    if (features.length === 0) {
+      setStatus(`No ${FEATURE_NAMES[type][1]} found on this model.`, true);
+      return;
+    }
+    stepIndex =
+      stepIndex < 0 && delta < 0
+        ? features.length - 1
+        : (stepIndex + delta + features.length) % features.length;
+    current = features[stepIndex];
+    draw();
+    setStatus(
+      `${FEATURE_NAMES[type][0]} ${stepIndex + 1} of ${features.length}: ${describeFeature(current, topology)}.`,
+      true
+    );
+  }
+
+  /**
+   * Handle a click on the model
+   * @param {Object|null} feature - From PreviewManager.pickFeature()
+   */
+  function pick(feature) {
+    if (!feature) {
+      setStatus('Nothing to measure there. Click on the model.', true);
+      return;
+    }
+    current = feature;
+    const features = getFeatureList(
+      getPreviewManager().getMeasureTopology(),
+      typeSelect.value
+    );
+    stepIndex = features.indexOf(feature);
+    select(feature);
+  }
+
+  /**
+   * Start measurement on the current model, or stop it
+   * @param {boolean} [announce=false] - Announce the result to screen readers
+   */
+  function apply(announce = false) {
+    const preview = getPreviewManager();
+    const enabled = toggle.checked;
+    controls?.toggleAttribute('hidden', !enabled);
+    current = null;
+    selected = [];
+    stepIndex = -1;
+    updateButtons();
+
+    if (!preview) {
+      setStatus(
+        enabled
+          ? 'Render a model to measure it.'
+          : 'Turn on measuring to pick faces, edges, corners and holes.',
+        announce
+      );
+      return;
+    }
+
+    preview.measureType = typeSelect.value;
+    preview.setMeasureMode(enabled, {
+      onPick: pick,
+      onStep: step,
+      onSelect: () => select(current),
+    });
+    if (!enabled) {
+      setStatus(
+        'Turn on measuring to pick faces, edges, corners and holes.',
+        announce
+      );
+      return;
+    }
+
+    const topology = preview.getMeasureTopology();
+    if (!topology) {
+      setStatus('Render a model to measure it.', announce);
+      return;
+    }
+    draw();
+    const counts = ['face', 'edge', 'vertex', 'circle'].map(
+      (type) =>
+        `${getFeatureList(topology, type).length} ${FEATURE_NAMES[type][1]}`
+    );
+    setStatus(
+      `Found ${counts.join(', ')}. Click the model or use Next and Previous, then Select.`,
+      announce
+    );
+  }
+
+  function exportCsv() {
+    if (saved.length === 0) return;
+    const blob = new Blob([buildMeasurementsCsv(saved)], {
+      type: 'text/csv',
+    });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${getModelName()}-measurements.csv`;
+    a.click();
+    URL.revokeObjectURL(url);
+    setStatus('Measurements exported as CSV.');
+  }
+
+  toggle.addEventListener('change', () => apply(true));
+  typeSelect.addEventListener('change', () => {
+    const preview = getPreviewManager();
+    if (preview) preview.measureType = typeSelect.value;
+    current = null;
+    stepIndex = -1;
+    draw();
+    setStatus(
+      `Picking ${FEATURE_NAMES[typeSelect.value][1]}. Click the model or use Next and Previous.`
+    );
+  });
+  prevBtn?.addEventListener('click', () => step(-1));
+  nextBtn?.addEventListener('click', () => step(1));
+  selectBtn?.addEventListener('click', () => select(current));
+  singleBtn?.addEventListener('click', () => {
+    const topology = getPreviewManager()?.getMeasureTopology();
+    if (selected.length !== 1 || !topology) return;
+    const [feature] = selected;
+    selected = [];
+    updateButtons();
+    record(measureFeatures(feature, null, topology));
+  });
+  clearSelectionBtn?.addEventListener('click', () => {
+    selected = [];
+    updateButtons();
+    draw();
+    setStatus('Selection cleared.', true);
+  });
+  exportBtn?.addEventListener('click', exportCsv);
+  clearAllBtn?.addEventListener('click', () => {
+    saved = [];
+    live = [];
+    persist();
+    renderList();
+    draw();
+    setStatus('All measurements removed.', true);
+  });
+
+  renderList();
+
+  return {
+    /** Start over on a newly loaded model; the saved list is kept */
+    refresh() {
+      live = [];
+      apply();
+    },
+    /** Turn measuring off; the saved list is kept */
+    reset() {
+      toggle.checked = false;
+      live = [];
+      apply();
+    },
+    /** Saved measurements, oldest first */
+    getMeasurements: () => [...saved],
+  };
+}
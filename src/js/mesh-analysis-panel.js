@@ -0,0 +1,246 @@
+/**
+ * Mesh Analysis Panel
+ * Shows printability results for the rendered model (volume, filament,
+ * surface area, topology, overhangs, thin walls). Analysis runs in
+ * src/worker/mesh-analysis-worker.js so large meshes don't block the UI.
+ * @license GPL-3.0-or-later
+ */
+
+import {
+  DEFAULT_ANALYSIS_SETTINGS,
+  summarizeMeshAnalysis,
+} from './mesh-analysis.js';
+
+const STORAGE_KEY_SETTINGS = 'openscad-customizer-mesh-analysis-settings';
+
+/** Settings inputs: element ID, setting key, allowed range */
+const SETTING_INPUTS = [
+  { id: 'analysisDensityInput', key: 'density', min: 0.1, max: 25 },
+  { id: 'analysisCostInput', key: 'costPerKg', min: 0, max: 10000 },
+  { id: 'analysisOverhangInput', key: 'overhangAngle', min: 0, max: 89 },
+  { id: 'analysisWallInput', key: 'minWallThickness', min: 0.05, max: 20 },
+];
+
+/**
+ * Format a number for display
+ * @param {number} value - Value
+ * @param {number} [digits=1] - Decimal places
+ * @returns {string}
+ */
+function formatNumber(value, digits = 1) {
+  return Number(value.toFixed(digits)).toLocaleString(undefined, {
+    maximumFractionDigits: digits,
+  });
+}
+
+/**
+ * Initialize the mesh analysis panel
+ * @param {Object} options - Configuration options
+ * @param {Function} [options.announce] - Screen reader announcer (message) => void
+ * @param {Function} [options.createWorker] - Worker factory (for tests)
+ * @returns {Object|null} Controller API, or null if the panel is missing
+ */
+export function initMeshAnalysisPanel(options = {}) {
+  const panel = document.getElementById('meshAnalysisPanel');
+  const statusEl = document.getElementById('meshAnalysisStatus');
+  const resultsEl = document.getElementById('meshAnalysisResults');
+
+  if (!panel || !statusEl || !resultsEl) {
+    console.warn('[MeshAnalysis] Required elements not found');
+    return null;
+  }
+
+  const announce = options.announce || (() => {});
+  const createWorker =
+    options.createWorker ||
+    (() =>
+      new Worker(
+        new URL('../worker/mesh-analysis-worker.js', import.meta.url),
+        { type: 'module' }
+      ));
+
+  let worker = null;
+  let requestCounter = 0;
+  let pendingRequestId = null;
+  let lastStl = null;
+  let lastAnalysis = null;
+  let settings = loadSettings();
+
+  /**
+   * Load settings from localStorage
+   */
+  function loadSettings() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(STORAGE_KEY_SETTINGS));
+      return { ...DEFAULT_ANALYSIS_SETTINGS, ...(saved || {}) };
+    } catch (e) {
+      console.warn('[MeshAnalysis] Could not load settings:', e);
+      return { ...DEFAULT_ANALYSIS_SETTINGS };
+    }
+  }
+
+  /**
+   * Save settings to localStorage
+   */
+  function saveSettings() {
+    try {
+      localStorage.setItem(STORAGE_KEY_SETTINGS, JSON.stringify(settings));
+    } catch (e) {
+      console.warn('[MeshAnalysis] Could not save settings:', e);
+    }
+  }
+
+  /**
+   * Set a result value by data-field name
+   */
+  function setField(field, text, problem = false) {
+    const el = resultsEl.querySelector(`[data-field="${field}"]`);
+    if (!el) return;
+    el.textContent = text;
+    el.classList.toggle('analysis-problem', problem);
+  }
+
+  /**
+   * Show the results of an analysis
+   * @param {Object} analysis - Result of analyzeMesh()
+   */
+  function renderResults(analysis) {
+    setField('volume', `${formatNumber(analysis.volume)} mm³`);
+    setField(
+      'filament',
+      `${formatNumber(analysis.filament.grams)} g (${analysis.filament.cost.toFixed(2)})`
+    );
+    setField('surfaceArea', `${formatNumber(analysis.surfaceArea)} mm²`);
+    setField(
+      'watertight',
+      analysis.watertight
+        ? 'Yes'
+        : `No (${analysis.boundaryEdges.toLocaleString()} open edges)`,
+      !analysis.watertight
+    );
+    setField(
+      'manifold',
+      analysis.manifold
+        ? 'Yes'
+        : `No (${(analysis.nonManifoldEdges + analysis.flippedEdges).toLocaleString()} bad edges)`,
+      !analysis.manifold
+    );
+    setField(
+      'overhang',
+      `${formatNumber(analysis.overhangArea)} mm² beyond ${analysis.overhangAngle}°`,
+      analysis.overhangArea > 0
+    );
+    setField(
+      'thinWalls',
+      analysis.thinnestWall === null
+        ? `None below ${analysis.minWallThickness} mm`
+        : `${formatNumber(analysis.thinWallArea)} mm², thinnest ${formatNumber(analysis.thinnestWall, 2)} mm`,
+      analysis.thinnestWall !== null
+    );
+  }
+
+  /**
+   * Reset the panel to its empty state
+   */
+  function clear() {
+    lastStl = null;
+    lastAnalysis = null;
+    pendingRequestId = null;
+    resultsEl.setAttribute('aria-busy', 'false');
+    resultsEl.querySelectorAll('[data-field]').forEach((el) => {
+      el.textContent = '--';
+      el.classList.remove('analysis-problem');
+    });
+    statusEl.textContent = 'Render a model to see print analysis.';
+  }
+
+  /**
+   * Handle a message from the analysis worker
+   */
+  function handleMessage({ type, payload }) {
+    // Ignore results for meshes that have since been replaced
+    if (!payload || payload.requestId !== pendingRequestId) return;
+    pendingRequestId = null;
+    resultsEl.setAttribute('aria-busy', 'false');
+
+    if (type === 'ANALYSIS_COMPLETE') {
+      lastAnalysis = payload.analysis;
+      renderResults(payload.analysis);
+      statusEl.textContent = `Analyzed ${payload.analysis.triangleCount.toLocaleString()} triangles${payload.analysis.sampled ? ' (thin walls sampled)' : ''}.`;
+      announce(`Print analysis: ${summarizeMeshAnalysis(payload.analysis)}`);
+    } else if (type === 'ERROR') {
+      statusEl.textContent = `Analysis failed: ${payload.message}`;
+      console.warn('[MeshAnalysis] Analysis failed:', payload.message);
+    }
+  }
+
+  /**
+   * Start the worker on first use
+   */
+  function getWorker() {
+    if (!worker) {
+      worker = createWorker();
+      worker.onmessage = (e) => handleMessage(e.data);
+      worker.onerror = (error) => {
+        console.error('[MeshAnalysis] Worker error:', error);
+        statusEl.textContent = 'Analysis failed: worker error';
+        resultsEl.setAttribute('aria-busy', 'false');
+        pendingRequestId = null;
+        worker?.terminate();
+        worker = null;
+      };
+    }
+    return worker;
+  }
+
+  /**
+   * Analyze STL data (copied to the worker; the caller keeps its buffer)
+   * @param {ArrayBuffer|Uint8Array|null} stl - Binary or ASCII STL
+   */
+  function analyze(stl) {
+    if (!stl || !stl.byteLength) {
+      clear();
+      return;
+    }
+    lastStl = stl;
+    pendingRequestId = `analysis-${++requestCounter}`;
+    resultsEl.setAttribute('aria-busy', 'true');
+    statusEl.textContent = 'Analyzing mesh...';
+    getWorker().postMessage({
+      type: 'ANALYZE',
+      payload: { requestId: pendingRequestId, stl, settings: { ...settings } },
+    });
+  }
+
+  // Wire settings inputs
+  for (const { id, key, min, max } of SETTING_INPUTS) {
+    const input = document.getElementById(id);
+    if (!input) continue;
+    input.value = String(settings[key]);
+    input.addEventListener('change', () => {
+      const value = parseFloat(input.value);
+      if (!Number.isFinite(value) || value < min || value > max) {
+        input.setAttribute('aria-invalid', 'true');
+        statusEl.textContent = `Enter a value from ${min} to ${max}.`;
+        return;
+      }
+      input.removeAttribute('aria-invalid');
+      settings = { ...settings, [key]: value };
+      saveSettings();
+      if (lastStl) analyze(lastStl);
+    });
+  }
+
+  clear();
+
+  return {
+    analyze,
+    clear,
+    getSettings: () => ({ ...settings }),
+    getLastAnalysis: () => lastAnalysis,
+    destroy() {
+      worker?.terminate();
+      worker = null;
+    },
+  };
+}
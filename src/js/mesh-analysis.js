@@ -0,0 +1,309 @@
+/**
+ * Mesh Analysis - Printability checks for rendered meshes
+ *
+ * Volume, filament estimate, surface area, watertight/manifold topology,
+ * overhang area and thin walls. Pure functions over triangle soups so they
+ * can run in a worker (see src/worker/mesh-analysis-worker.js).
+ *
+ * @license GPL-3.0-or-later
+ */
+
+import { indexMesh } from './threemf-writer.js';
+import { computeMeshMetrics, TriangleGrid } from './mesh-metrics.js';
+
+/** Default analysis settings (PLA, typical 0.4 mm nozzle) */
+export const DEFAULT_ANALYSIS_SETTINGS = {
+  density: 1.24, // g/cm³
+  costPerKg: 20, // price of a 1 kg spool
+  overhangAngle: 45, // degrees from vertical that print without support
+  minWallThickness: 0.8, // mm
+};
+
+/** Most triangles ray-tested for thin walls; larger meshes are sampled */
+const MAX_WALL_SAMPLES = 50000;
+
+/** Faces this close to the lowest point sit on the bed, not overhangs (mm) */
+const BED_TOLERANCE = 1e-3;
+
+/**
+ * Unit normal and area of triangle o
+ * @returns {{nx: number, ny: number, nz: number, area: number}}
+ */
+function triangleNormal(positions, o) {
+  const ux = positions[o + 3] - positions[o];
+  const uy = positions[o + 4] - positions[o + 1];
+  const uz = positions[o + 5] - positions[o + 2];
+  const vx = positions[o + 6] - positions[o];
+  const vy = positions[o + 7] - positions[o + 1];
+  const vz = positions[o + 8] - positions[o + 2];
+  const nx = uy * vz - uz * vy;
+  const ny = uz * vx - ux * vz;
+  const nz = ux * vy - uy * vx;
+  const length = Math.sqrt(nx * nx + ny * ny + nz * nz);
+  if (length === 0) return { nx: 0, ny: 0, nz: 0, area: 0 };
+  return {
+    nx: nx / length,
+    ny: ny / length,
+    nz: nz / length,
+    area: length / 2,
+  };
+}
+
+/**
+ * Check whether the mesh is closed and manifold
+ * Every edge of a closed, manifold, consistently wound mesh is shared by
+ * exactly two triangles that traverse it in opposite directions.
+ * @param {Float32Array|number[]} positions - Nine values per triangle
+ * @returns {{watertight: boolean, manifold: boolean, boundaryEdges: number,
+ *   nonManifoldEdges: number, flippedEdges: number, degenerateTriangles: number}}
+ */
+export function checkTopology(positions) {
+  const { vertices, triangles } = indexMesh(positions);
+  const vertexCount = vertices.length / 3;
+  const edges = new Map(); // undirected key -> { count, forward }
+  let degenerateTriangles = 0;
+
+  for (let t = 0; t < triangles.length; t += 3) {
+    const corners = [triangles[t], triangles[t + 1], triangles[t + 2]];
+    if (
+      corners[0] === corners[1] ||
+      corners[1] === corners[2] ||
+      corners[0] === corners[2]
+    ) {
+      degenerateTriangles++;
+      continue;
+    }
+    for (let e = 0; e < 3; e++) {
+      const a = corners[e];
+      const b = corners[(e + 1) % 3];
+      const key = Math.min(a, b) * vertexCount + Math.max(a, b);
+      let edge = edges.get(key);
+      if (!edge) {
+        edge = { count: 0, forward: 0 };
+        edges.set(key, edge);
+      }
+      edge.count++;
+      if (a < b) edge.forward++;
+    }
+  }
+
+  let boundaryEdges = 0;
+  let nonManifoldEdges = 0;
+  let flippedEdges = 0;
+  for (const edge of edges.values()) {
+    if (edge.count === 1) boundaryEdges++;
+    else if (edge.count > 2) nonManifoldEdges++;
+    else if (edge.forward !== 1) flippedEdges++;
+  }
+
+  return {
+    watertight: boundaryEdges === 0 && nonManifoldEdges === 0,
+    manifold: nonManifoldEdges === 0 && flippedEdges === 0,
+    boundaryEdges,
+    nonManifoldEdges,
+    flippedEdges,
+    degenerateTriangles,
+  };
+}
+
+/**
+ * Area of downward faces steeper than the printable overhang angle
+ * Faces resting on the bed (at the lowest Z) are not counted.
+ * @param {Float32Array|number[]} positions - Nine values per triangle
+ * @param {number} overhangAngle - Degrees from vertical that print unsupported
+ * @returns {number} Overhang area in mm²
+ */
+export function measureOverhangArea(positions, overhangAngle) {
+  const threshold = Math.sin((overhangAngle * Math.PI) / 180);
+  let minZ = Infinity;
+  for (let i = 2; i < positions.length; i += 3) {
+    if (positions[i] < minZ) minZ = positions[i];
+  }
+
+  let area = 0;
+  for (let o = 0; o + 8 < positions.length; o += 9) {
+    const normal = triangleNormal(positions, o);
+    // -nz is the cosine between the face normal and straight down
+    if (normal.area === 0 || -normal.nz <= threshold) continue;
+    const onBed =
+      Math.max(positions[o + 2], positions[o + 5], positions[o + 8]) - minZ <=
+      BED_TOLERANCE;
+    if (!onBed) area += normal.area;
+  }
+  return area;
+}
+
+/**
+ * Distance along a ray to triangle o (Möller–Trumbore), or Infinity
+ */
+function rayTriangleDistance(positions, o, ox, oy, oz, dx, dy, dz) {
+  const ax = positions[o];
+  const ay = positions[o + 1];
+  const az = positions[o + 2];
+  const e1x = positions[o + 3] - ax;
+  const e1y = positions[o + 4] - ay;
+  const e1z = positions[o + 5] - az;
+  const e2x = positions[o + 6] - ax;
+  const e2y = positions[o + 7] - ay;
+  const e2z = positions[o + 8] - az;
+  const px = dy * e2z - dz * e2y;
+  const py = dz * e2x - dx * e2z;
+  const pz = dx * e2y - dy * e2x;
+  const det = e1x * px + e1y * py + e1z * pz;
+  if (Math.abs(det) < 1e-12) return Infinity;
+  const inv = 1 / det;
+  const tx = ox - ax;
+  const ty = oy - ay;
+  const tz = oz - az;
+  const u = (tx * px + ty * py + tz * pz) * inv;
+  if (u < 0 || u > 1) return Infinity;
+  const qx = ty * e1z - tz * e1y;
+  const qy = tz * e1x - tx * e1z;
+  const qz = tx * e1y - ty * e1x;
+  const v = (dx * qx + dy * qy + dz * qz) * inv;
+  if (v < 0 || u + v > 1) return Infinity;
+  const t = (e2x * qx + e2y * qy + e2z * qz) * inv;
+  return t > 0 ? t : Infinity;
+}
+
+/**
+ * Find walls thinner than a minimum thickness
+ * Casts a ray inward from the centre of each face and measures the distance
+ * to the opposite surface.
+ * @param {Float32Array|number[]} positions - Nine values per triangle
+ * @param {number} minWallThickness - Thinnest printable wall (mm)
+ * @returns {{thinWallArea: number, thinnestWall: number|null, sampled: boolean}}
+ *   thinnestWall is null when no wall is below the minimum
+ */
+export function findThinWalls(positions, minWallThickness) {
+  const triangleCount = Math.floor(positions.length / 9);
+  if (triangleCount === 0 || !(minWallThickness > 0)) {
+    return { thinWallArea: 0, thinnestWall: null, sampled: false };
+  }
+
+  const grid = new TriangleGrid(positions);
+  const step = Math.max(1, Math.ceil(triangleCount / MAX_WALL_SAMPLES));
+  const epsilon = minWallThickness * 1e-4;
+  let thinWallArea = 0;
+  let thinnestWall = Infinity;
+
+  for (let t = 0; t < triangleCount; t += step) {
+    const o = t * 9;
+    const normal = triangleNormal(positions, o);
+    if (normal.area === 0) continue;
+
+    const cx = (positions[o] + positions[o + 3] + positions[o + 6]) / 3;
+    const cy = (positions[o + 1] + positions[o + 4] + positions[o + 7]) / 3;
+    const cz = (positions[o + 2] + positions[o + 5] + positions[o + 8]) / 3;
+
+    let nearest = Infinity;
+    for (const other of grid.trianglesNear(cx, cy, cz, minWallThickness)) {
+      if (other === o) continue;
+      const otherNormal = triangleNormal(positions, other);
+      // Only the far side of the wall (a face turned away from this one)
+      if (
+        otherNormal.nx * normal.nx +
+          otherNormal.ny * normal.ny +
+          otherNormal.nz * normal.nz >=
+        0
+      ) {
+        continue;
+      }
+      const d = rayTriangleDistance(
+        positions,
+        other,
+        cx,
+        cy,
+        cz,
+        -normal.nx,
+        -normal.ny,
+        -normal.nz
+      );
+      if (d > epsilon && d < nearest) nearest = d;
+    }
+
+    if (nearest < minWallThickness) {
+      thinWallArea += normal.area * step;
+      if (nearest < thinnestWall) thinnestWall = nearest;
+    }
+  }
+
+  return {
+    thinWallArea,
+    thinnestWall: Number.isFinite(thinnestWall) ? thinnestWall : null,
+    sampled: step > 1,
+  };
+}
+
+/**
+ * Estimate filament use for a solid print
+ * @param {number} volume - Volume in mm³
+ * @param {Object} settings - { density (g/cm³), costPerKg }
+ * @returns {{grams: number, cost: number}}
+ */
+export function estimateFilament(volume, settings = {}) {
+  const { density, costPerKg } = { ...DEFAULT_ANALYSIS_SETTINGS, ...settings };
+  const grams = (volume / 1000) * density;
+  return { grams, cost: (grams / 1000) * costPerKg };
+}
+
+/**
+ * Run every printability check on a mesh
+ * @param {Float32Array|number[]} positions - Nine values per triangle
+ * @param {Object} [settings] - Overrides for DEFAULT_ANALYSIS_SETTINGS
+ * @returns {Object} Metrics, topology, overhang, thin wall and filament results
+ */
+export function analyzeMesh(positions, settings = {}) {
+  const options = { ...DEFAULT_ANALYSIS_SETTINGS, ...settings };
+  const metrics = computeMeshMetrics(positions);
+
+  return {
+    ...metrics,
+    ...checkTopology(positions),
+    overhangAngle: options.overhangAngle,
+    overhangArea: measureOverhangArea(positions, options.overhangAngle),
+    minWallThickness: options.minWallThickness,
+    ...findThinWalls(positions, options.minWallThickness),
+    filament: estimateFilament(metrics.volume, options),
+  };
+}
+
+/**
+ * One-sentence-per-topic summary for screen readers
+ * @param {Object} analysis - Result of analyzeMesh()
+ * @returns {string}
+ */
+export function summarizeMeshAnalysis(analysis) {
+  const round = (value, digits = 1) =>
+    Number(value.toFixed(digits)).toLocaleString();
+  const parts = [
+    `Volume ${round(analysis.volume)} cubic millimeters, about ${round(analysis.filament.grams)} grams of filament costing ${analysis.filament.cost.toFixed(2)}.`,
+    `Surface area ${round(analysis.surfaceArea)} square millimeters.`,
+  ];
+
+  if (analysis.watertight && analysis.manifold) {
+    parts.push('Mesh is watertight and manifold.');
+  } else {
+    const problems = [];
+    if (analysis.boundaryEdges > 0)
+      problems.push(`${analysis.boundaryEdges} open edges`);
+    if (analysis.nonManifoldEdges > 0)
+      problems.push(`${analysis.nonManifoldEdges} non-manifold edges`);
+    if (analysis.flippedEdges > 0)
+      problems.push(`${analysis.flippedEdges} edges with flipped faces`);
+    parts.push(`Mesh has problems: ${problems.join(', ')}.`);
+  }
+
+  parts.push(
+    analysis.overhangArea > 0
+      ? `${round(analysis.overhangArea)} square millimeters of overhang beyond ${analysis.overhangAngle} degrees may need support.`
+      : `No overhangs beyond ${analysis.overhangAngle} degrees.`
+  );
+  parts.push(
+    analysis.thinnestWall !== null
+      ? `Walls thinner than ${analysis.minWallThickness} millimeters found, thinnest ${round(analysis.thinnestWall, 2)} millimeters.`
+      : `No walls thinner than ${analysis.minWallThickness} millimeters.`
+  );
+
+  return parts.join(' ');
+}
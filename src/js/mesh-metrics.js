@@ -0,0 +1,563 @@
+/**
+ * Mesh Metrics - Geometric measurements and comparison of triangle meshes
+ *
+ * Works on triangle soups (nine floats per triangle, as returned by
+ * parseStl()), so it runs the same in the browser, a worker and the CLI.
+ *
+ * @license GPL-3.0-or-later
+ */
+
+import { indexMesh } from './threemf-writer.js';
+
+/** Most points sampled from each mesh when estimating Hausdorff distance */
+const DEFAULT_MAX_SAMPLES = 5000;
+
+/**
+ * Measure a mesh
+ * @param {Float32Array|number[]} positions - Nine values per triangle
+ * @returns {{triangleCount: number, volume: number, surfaceArea: number,
+ *   boundingBox: {min: number[], max: number[], size: number[]}}}
+ */
+export function computeMeshMetrics(positions) {
+  const triangleCount = Math.floor(positions.length / 9);
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  let signedVolume = 0;
+  let surfaceArea = 0;
+
+  for (let t = 0; t < triangleCount; t++) {
+    const o = t * 9;
+    const ax = positions[o];
+    const ay = positions[o + 1];
+    const az = positions[o + 2];
+    const bx = positions[o + 3];
+    const by = positions[o + 4];
+    const bz = positions[o + 5];
+    const cx = positions[o + 6];
+    const cy = positions[o + 7];
+    const cz = positions[o + 8];
+
+    for (let k = 0; k < 9; k++) {
+      const axis = k % 3;
+      const value = positions[o + k];
+      if (value < min[axis]) min[axis] = value;
+      if (value > max[axis]) max[axis] = value;
+    }
+
+    // Signed volume of the tetrahedron (origin, a, b, c)
+    signedVolume +=
+      (ax * (by * cz - bz * cy) -
+        ay * (bx * cz - bz * cx) +
+        az * (bx * cy - by * cx)) /
+      6;
+
+    const ux = bx - ax;
+    const uy = by - ay;
+    const uz = bz - az;
+    const vx = cx - ax;
+    const vy = cy - ay;
+    const vz = cz - az;
+    const nx = uy * vz - uz * vy;
+    const ny = uz * vx - ux * vz;
+    const nz = ux * vy - uy * vx;
+    surfaceArea += Math.sqrt(nx * nx + ny * ny + nz * nz) / 2;
+  }
+
+  if (triangleCount === 0) {
+    min.fill(0);
+    max.fill(0);
+  }
+
+  return {
+    triangleCount,
+    volume: Math.abs(signedVolume),
+    surfaceArea,
+    boundingBox: {
+      min,
+      max,
+      size: [max[0] - min[0], max[1] - min[1], max[2] - min[2]],
+    },
+  };
+}
+
+/**
+ * Squared distance from point p to triangle (a, b, c)
+ * (closest-point regions from Ericson, Real-Time Collision Detection 5.1.5)
+ * @returns {number}
+ */
+function pointTriangleDistanceSq(px, py, pz, tri, o) {
+  const ax = tri[o];
+  const ay = tri[o + 1];
+  const az = tri[o + 2];
+  const abx = tri[o + 3] - ax;
+  const aby = tri[o + 4] - ay;
+  const abz = tri[o + 5] - az;
+  const acx = tri[o + 6] - ax;
+  const acy = tri[o + 7] - ay;
+  const acz = tri[o + 8] - az;
+  const apx = px - ax;
+  const apy = py - ay;
+  const apz = pz - az;
+
+  const distSq = (qx, qy, qz) =>
+    (px - qx) * (px - qx) + (py - qy) * (py - qy) + (pz - qz) * (pz - qz);
+
+  const d1 = abx * apx + aby * apy + abz * apz;
+  const d2 = acx * apx + acy * apy + acz * apz;
+  if (d1 <= 0 && d2 <= 0) return distSq(ax, ay, az);
+
+  const bpx = px - tri[o + 3];
+  const bpy = py - tri[o + 4];
+  const bpz = pz - tri[o + 5];
+  const d3 = abx * bpx + aby * bpy + abz * bpz;
+  const d4 = acx * bpx + acy * bpy + acz * bpz;
+  if (d3 >= 0 && d4 <= d3) return distSq(tri[o + 3], tri[o + 4], tri[o + 5]);
+
+  const vc = d1 * d4 - d3 * d2;
+  if (vc <= 0 && d1 >= 0 && d3 <= 0) {
+    const v = d1 / (d1 - d3);
+    return distSq(ax + v * abx, ay + v * aby, az + v * abz);
+  }
+
+  const cpx = px - tri[o + 6];
+  const cpy = py - tri[o + 7];
+  const cpz = pz - tri[o + 8];
+  const d5 = abx * cpx + aby * cpy + abz * cpz;
+  const d6 = acx * cpx + acy * cpy + acz * cpz;
+  if (d6 >= 0 && d5 <= d6) return distSq(tri[o + 6], tri[o + 7], tri[o + 8]);
+
+  const vb = d5 * d2 - d1 * d6;
+  if (vb <= 0 && d2 >= 0 && d6 <= 0) {
+    const w = d2 / (d2 - d6);
+    return distSq(ax + w * acx, ay + w * acy, az + w * acz);
+  }
+
+  const va = d3 * d6 - d5 * d4;
+  if (va <= 0 && d4 - d3 >= 0 && d5 - d6 >= 0) {
+    const w = (d4 - d3) / (d4 - d3 + (d5 - d6));
+    const bx = tri[o + 3];
+    const by = tri[o + 4];
+    const bz = tri[o + 5];
+    return distSq(
+      bx + w * (tri[o + 6] - bx),
+      by + w * (tri[o + 7] - by),
+      bz + w * (tri[o + 8] - bz)
+    );
+  }
+
+  const denom = 1 / (va + vb + vc);
+  const v = vb * denom;
+  const w = vc * denom;
+  return distSq(
+    ax + abx * v + acx * w,
+    ay + aby * v + acy * w,
+    az + abz * v + acz * w
+  );
+}
+
+/**
+ * Uniform grid over a mesh's triangles for nearest-surface queries
+ */
+export class TriangleGrid {
+  /**
+   * @param {Float32Array|number[]} positions - Nine values per triangle
+   */
+  constructor(positions) {
+    this.positions = positions;
+    const { boundingBox, triangleCount } = computeMeshMetrics(positions);
+    this.min = boundingBox.min;
+    const longest = Math.max(...boundingBox.size, 1e-9);
+    // Roughly one triangle per cell along the longest axis
+    const divisions = Math.max(
+      1,
+      Math.min(64, Math.ceil(Math.cbrt(triangleCount)))
+    );
+    this.cellSize = longest / divisions;
+    this.dims = boundingBox.size.map((s) =>
+      Math.max(1, Math.ceil(s / this.cellSize))
+    );
+    this.cells = new Map();
+
+    for (let t = 0; t < triangleCount; t++) {
+      const o = t * 9;
+      const lo = [0, 1, 2].map((axis) =>
+        this.cellIndex(
+          Math.min(
+            positions[o + axis],
+            positions[o + 3 + axis],
+            positions[o + 6 + axis]
+          ),
+          axis
+        )
+      );
+      const hi = [0, 1, 2].map((axis) =>
+        this.cellIndex(
+          Math.max(
+            positions[o + axis],
+            positions[o + 3 + axis],
+            positions[o + 6 + axis]
+          ),
+          axis
+        )
+      );
+      for (let i = lo[0]; i <= hi[0]; i++) {
+        for (let j = lo[1]; j <= hi[1]; j++) {
+          for (let k = lo[2]; k <= hi[2]; k++) {
+            const key = this.key(i, j, k);
+            const cell = this.cells.get(key);
+            if (cell) cell.push(o);
+            else this.cells.set(key, [o]);
+          }
+        }
+      }
+    }
+  }
+
+  cellIndex(value, axis) {
+    const index = Math.floor((value - this.min[axis]) / this.cellSize);
+    return Math.max(0, Math.min(this.dims[axis] - 1, index));
+  }
+
+  key(i, j, k) {
+    return (i * this.dims[1] + j) * this.dims[2] + k;
+  }
+
+  /**
+   * Offsets of triangles whose cells lie within a radius of a point
+   * (candidates only; callers do the exact test)
+   * @returns {Set<number>} Offsets into the positions array
+   */
+  trianglesNear(x, y, z, radius) {
+    const found = new Set();
+    const [i0, j0, k0] = [x - radius, y - radius, z - radius].map((v, axis) =>
+      this.cellIndex(v, axis)
+    );
+    const [i1, j1, k1] = [x + radius, y + radius, z + radius].map((v, axis) =>
+      this.cellIndex(v, axis)
+    );
+    for (let i = i0; i <= i1; i++) {
+      for (let j = j0; j <= j1; j++) {
+        for (let k = k0; k <= k1; k++) {
+          const cell = this.cells.get(this.key(i, j, k));
+          if (cell) cell.forEach((o) => found.add(o));
+        }
+      }
+    }
+    return found;
+  }
+
+  /**
+   * Distance from a point to the nearest triangle
+   * Searches rings of cells outward; cells in ring r+1 are at least
+   * r * cellSize away, so the search stops once the best hit is closer.
+   * @returns {number}
+   */
+  distance(x, y, z) {
+    const ci = this.cellIndex(x, 0);
+    const cj = this.cellIndex(y, 1);
+    const ck = this.cellIndex(z, 2);
+    const maxRing = Math.max(...this.dims);
+    let bestSq = Infinity;
+
+    for (let r = 0; r <= maxRing; r++) {
+      for (let i = ci - r; i <= ci + r; i++) {
+        if (i < 0 || i >= this.dims[0]) continue;
+        for (let j = cj - r; j <= cj + r; j++) {
+          if (j < 0 || j >= this.dims[1]) continue;
+          for (let k = ck - r; k <= ck + r; k++) {
+            if (k < 0 || k >= this.dims[2]) continue;
+            // Only the shell of this ring; inner cells were searched already
+            if (
+              Math.abs(i - ci) !== r &&
+              Math.abs(j - cj) !== r &&
+              Math.abs(k - ck) !== r
+            ) {
+              continue;
+            }
+            const cell = this.cells.get(this.key(i, j, k));
+            if (!cell) continue;
+            for (const o of cell) {
+              const d = pointTriangleDistanceSq(x, y, z, this.positions, o);
+              if (d < bestSq) bestSq = d;
+            }
+          }
+        }
+      }
+      const reach = r * this.cellSize;
+      if (bestSq <= reach * reach) break;
+    }
+
+    return Math.sqrt(bestSq);
+  }
+}
+
+/**
+ * Largest distance from sampled points of one mesh to the surface of another
+ * @param {Float32Array|number[]} from - Mesh to sample
+ * @param {TriangleGrid} grid - Grid of the target mesh
+ * @param {number} maxSamples - Sample budget
+ * @returns {number}
+ */
+function directedDistance(from, grid, maxSamples) {
+  const { vertices } = indexMesh(from);
+  const count = vertices.length / 3;
+  const step = Math.max(1, Math.ceil(count / maxSamples));
+  let worst = 0;
+
+  for (let v = 0; v < count; v += step) {
+    const d = grid.distance(
+      vertices[v * 3],
+      vertices[v * 3 + 1],
+      vertices[v * 3 + 2]
+    );
+    if (d > worst) worst = d;
+  }
+  return worst;
+}
+
+/**
+ * Estimate the symmetric Hausdorff distance between two meshes
+ * Vertices of each mesh (subsampled above maxSamples) are measured against
+ * the other mesh's surface, so a re-triangulated but identical shape
+ * scores close to zero.
+ * @param {Float32Array|number[]} a - First mesh (nine values per triangle)
+ * @param {Float32Array|number[]} b - Second mesh
+ * @param {Object} [options]
+ * @param {number} [options.maxSamples=5000] - Points sampled per mesh
+ * @returns {number} Distance in model units, or Infinity if one mesh is empty
+ */
+export function hausdorffDistance(a, b, options = {}) {
+  const maxSamples = options.maxSamples || DEFAULT_MAX_SAMPLES;
+  if (a.length < 9 || b.length < 9) {
+    return a.length < 9 && b.length < 9 ? 0 : Infinity;
+  }
+  return Math.max(
+    directedDistance(a, new TriangleGrid(b), maxSamples),
+    directedDistance(b, new TriangleGrid(a), maxSamples)
+  );
+}
+
+/** Deepest split of a triangle that straddles the changed region */
+const DIFF_MAX_DEPTH = 4;
+
+/**
+ * Split one mesh's triangles by whether they lie on the other mesh's surface
+ * A triangle whose corners and centroid all agree is kept whole; one that
+ * straddles the boundary is split into four at its edge midpoints until the
+ * pieces agree or get small, so the changed region follows the real edge
+ * rather than the original triangulation.
+ * @param {Float32Array|number[]} positions - Mesh to classify
+ * @param {TriangleGrid} grid - Grid of the other mesh
+ * @param {number} tolerance - Distance still counted as the same surface
+ * @param {number} minEdge - Stop splitting below this edge length
+ * @returns {{kept: number[], changed: number[], changedArea: number, maxDistance: number}}
+ */
+function classifyTriangles(positions, grid, tolerance, minEdge) {
+  const kept = [];
+  const changed = [];
+  let changedArea = 0;
+  let maxDistance = 0;
+
+  const measure = (x, y, z) => {
+    const d = grid.distance(x, y, z);
+    if (d > maxDistance) maxDistance = d;
+    return d > tolerance;
+  };
+
+  const visit = (tri, depth) => {
+    const votes = [
+      measure(tri[0], tri[1], tri[2]),
+      measure(tri[3], tri[4], tri[5]),
+      measure(tri[6], tri[7], tri[8]),
+      measure(
+        (tri[0] + tri[3] + tri[6]) / 3,
+        (tri[1] + tri[4] + tri[7]) / 3,
+        (tri[2] + tri[5] + tri[8]) / 3
+      ),
+    ];
+    const agree = votes.every((v) => v === votes[0]);
+    const longest = Math.max(
+      Math.hypot(tri[3] - tri[0], tri[4] - tri[1], tri[5] - tri[2]),
+      Math.hypot(tri[6] - tri[3], tri[7] - tri[4], tri[8] - tri[5]),
+      Math.hypot(tri[0] - tri[6], tri[1] - tri[7], tri[2] - tri[8])
+    );
+
+    if (!agree && depth < DIFF_MAX_DEPTH && longest > minEdge) {
+      const mid = (i, j) => [
+        (tri[i] + tri[j]) / 2,
+        (tri[i + 1] + tri[j + 1]) / 2,
+        (tri[i + 2] + tri[j + 2]) / 2,
+      ];
+      const a = tri.slice(0, 3);
+      const b = tri.slice(3, 6);
+      const c = tri.slice(6, 9);
+      const ab = mid(0, 3);
+      const bc = mid(3, 6);
+      const ca = mid(6, 0);
+      visit([...a, ...ab, ...ca], depth + 1);
+      visit([...ab, ...b, ...bc], depth + 1);
+      visit([...ca, ...bc, ...c], depth + 1);
+      visit([...ab, ...bc, ...ca], depth + 1);
+      return;
+    }
+
+    // Small pieces that still disagree go by their centroid
+    if (votes[3]) {
+      changed.push(...tri);
+      const ux = tri[3] - tri[0];
+      const uy = tri[4] - tri[1];
+      const uz = tri[5] - tri[2];
+      const vx = tri[6] - tri[0];
+      const vy = tri[7] - tri[1];
+      const vz = tri[8] - tri[2];
+      changedArea +=
+        Math.hypot(uy * vz - uz * vy, uz * vx - ux * vz, ux * vy - uy * vx) / 2;
+    } else {
+      kept.push(...tri);
+    }
+  };
+
+  const count = Math.floor(positions.length / 9);
+  for (let t = 0; t < count; t++) {
+    visit(Array.from(positions.slice(t * 9, t * 9 + 9)), 0);
+  }
+  return { kept, changed, changedArea, maxDistance };
+}
+
+/**
+ * Find the surface added and removed between two versions of a mesh
+ * Each mesh is measured against the other's surface: parts of the old mesh
+ * that the new one no longer covers were removed, parts of the new mesh
+ * that the old one did not cover were added. Both meshes must share a
+ * coordinate frame.
+ * @param {Float32Array|number[]} before - Original mesh (nine values per triangle)
+ * @param {Float32Array|number[]} after - Changed mesh
+ * @param {Object} [options]
+ * @param {number} [options.tolerance] - Distance still counted as unchanged
+ *   (defaults to 0.1% of the combined bounding box diagonal)
+ * @returns {{removed: Float32Array, added: Float32Array, keptBefore: Float32Array,
+ *   keptAfter: Float32Array, removedArea: number, addedArea: number,
+ *   maxDistance: number, tolerance: number, bounds: {min: number[], max: number[]}}}
+ *   Triangle soups of each part, plus the combined bounding box of both meshes
+ */
+export function computeMeshDiff(before, after, options = {}) {
+  const a = computeMeshMetrics(before).boundingBox;
+  const b = computeMeshMetrics(after).boundingBox;
+  const hasBefore = before.length >= 9;
+  const hasAfter = after.length >= 9;
+  const boxes = [hasBefore && a, hasAfter && b].filter(Boolean);
+  const bounds = {
+    min: [0, 1, 2].map((axis) =>
+      boxes.length ? Math.min(...boxes.map((box) => box.min[axis])) : 0
+    ),
+    max: [0, 1, 2].map((axis) =>
+      boxes.length ? Math.max(...boxes.map((box) => box.max[axis])) : 0
+    ),
+  };
+  const diagonal = Math.hypot(
+    ...bounds.max.map((value, axis) => value - bounds.min[axis])
+  );
+  const tolerance = options.tolerance ?? Math.max(diagonal * 1e-3, 1e-4);
+
+  if (!hasBefore || !hasAfter) {
+    const removed = Float32Array.from(hasBefore ? before : []);
+    const added = Float32Array.from(hasAfter ? after : []);
+    return {
+      removed,
+      added,
+      keptBefore: new Float32Array(0),
+      keptAfter: new Float32Array(0),
+      removedArea: hasBefore ? computeMeshMetrics(before).surfaceArea : 0,
+      addedArea: hasAfter ? computeMeshMetrics(after).surfaceArea : 0,
+      maxDistance: hasBefore || hasAfter ? Infinity : 0,
+      tolerance,
+      bounds,
+    };
+  }
+
+  const minEdge = diagonal / 200;
+  const old = classifyTriangles(
+    before,
+    new TriangleGrid(after),
+    tolerance,
+    minEdge
+  );
+  const next = classifyTriangles(
+    after,
+    new TriangleGrid(before),
+    tolerance,
+    minEdge
+  );
+
+  return {
+    removed: Float32Array.from(old.changed),
+    added: Float32Array.from(next.changed),
+    keptBefore: Float32Array.from(old.kept),
+    keptAfter: Float32Array.from(next.kept),
+    removedArea: old.changedArea,
+    addedArea: next.changedArea,
+    maxDistance: Math.max(old.maxDistance, next.maxDistance),
+    tolerance,
+    bounds,
+  };
+}
+
+/**
+ * Compare the metrics of a mesh against a reference
+ * Volume, surface area and triangle count are compared relative to the
+ * reference; bounding box and Hausdorff distance relative to the
+ * reference's bounding box diagonal.
+ * @param {Object} expected - Reference metrics from computeMeshMetrics()
+ * @param {Object} actual - Metrics to check
+ * @param {Object} [options]
+ * @param {number} [options.tolerance=0.001] - Allowed relative difference
+ * @param {number} [options.hausdorff] - Measured Hausdorff distance, if any
+ * @returns {{match: boolean, differences: Array<{metric: string, expected: number, actual: number, limit: number}>}}
+ */
+export function compareMeshMetrics(expected, actual, options = {}) {
+  const tolerance = options.tolerance ?? 0.001;
+  const [sx, sy, sz] = expected.boundingBox.size;
+  const diagonal = Math.sqrt(sx * sx + sy * sy + sz * sz);
+  const lengthLimit = tolerance * diagonal;
+  const differences = [];
+
+  const checkRelative = (metric, e, a) => {
+    const limit = tolerance * Math.abs(e);
+    if (Math.abs(a - e) > limit) {
+      differences.push({ metric, expected: e, actual: a, limit });
+    }
+  };
+  const checkLength = (metric, e, a) => {
+    if (Math.abs(a - e) > lengthLimit) {
+      differences.push({ metric, expected: e, actual: a, limit: lengthLimit });
+    }
+  };
+
+  checkRelative('triangleCount', expected.triangleCount, actual.triangleCount);
+  checkRelative('volume', expected.volume, actual.volume);
+  if (expected.surfaceArea !== undefined && actual.surfaceArea !== undefined) {
+    checkRelative('surfaceArea', expected.surfaceArea, actual.surfaceArea);
+  }
+  ['x', 'y', 'z'].forEach((axis, i) => {
+    checkLength(
+      `boundingBox.min.${axis}`,
+      expected.boundingBox.min[i],
+      actual.boundingBox.min[i]
+    );
+    checkLength(
+      `boundingBox.max.${axis}`,
+      expected.boundingBox.max[i],
+      actual.boundingBox.max[i]
+    );
+  });
+  if (options.hausdorff !== undefined && options.hausdorff > lengthLimit) {
+    differences.push({
+      metric: 'hausdorff',
+      expected: 0,
+      actual: options.hausdorff,
+      limit: lengthLimit,
+    });
+  }
+
+  return { match: differences.length === 0, differences };
+}
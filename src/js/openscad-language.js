@@ -0,0 +1,209 @@
+/**
+ * OpenSCAD Language - Syntax highlighting for the code editor
+ *
+ * A CodeMirror stream tokenizer: keywords, built-in modules and functions,
+ * special variables ($fn), numbers, strings, comments and include paths.
+ * Customizer annotations (group headers such as [Sizes] and trailing
+ * // [0:100] ranges) are marked separately from ordinary comments.
+ *
+ * @license GPL-3.0-or-later
+ */
+
+import { StreamLanguage } from '@codemirror/language';
+
+const KEYWORDS = new Set([
+  'module',
+  'function',
+  'if',
+  'else',
+  'for',
+  'let',
+  'each',
+  'intersection_for',
+  'assert',
+  'echo',
+  'include',
+  'use',
+]);
+
+const ATOMS = new Set(['true', 'false', 'undef', 'PI']);
+
+const BUILTINS = new Set([
+  // 3D and 2D primitives
+  'cube',
+  'sphere',
+  'cylinder',
+  'polyhedron',
+  'square',
+  'circle',
+  'polygon',
+  'text',
+  'import',
+  'surface',
+  // Transformations and operations
+  'translate',
+  'rotate',
+  'scale',
+  'resize',
+  'mirror',
+  'multmatrix',
+  'color',
+  'offset',
+  'hull',
+  'minkowski',
+  'union',
+  'difference',
+  'intersection',
+  'linear_extrude',
+  'rotate_extrude',
+  'projection',
+  'render',
+  'children',
+  // Functions
+  'abs',
+  'sign',
+  'sin',
+  'cos',
+  'tan',
+  'asin',
+  'acos',
+  'atan',
+  'atan2',
+  'floor',
+  'round',
+  'ceil',
+  'ln',
+  'log',
+  'pow',
+  'sqrt',
+  'exp',
+  'min',
+  'max',
+  'norm',
+  'cross',
+  'len',
+  'concat',
+  'lookup',
+  'str',
+  'chr',
+  'ord',
+  'search',
+  'version',
+  'version_num',
+  'rands',
+  'is_undef',
+  'is_bool',
+  'is_num',
+  'is_string',
+  'is_list',
+  'is_function',
+]);
+
+/** Customizer annotation: "[0:100]", "[a, b]", "[Group name]" */
+const ANNOTATION_PATTERN = /^\s*\[[^\]]*\]\s*$/;
+
+/**
+ * Stream parser for StreamLanguage.define()
+ * Token names are CodeMirror's legacy names, mapped to highlight tags.
+ */
+export const openscadStreamParser = {
+  name: 'openscad',
+
+  startState() {
+    return {
+      inBlockComment: false,
+      blockIsAnnotation: false,
+      afterInclude: false,
+    };
+  },
+
+  token(stream, state) {
+    if (state.inBlockComment) {
+      if (stream.skipTo('*/')) {
+        stream.match('*/');
+        state.inBlockComment = false;
+      } else {
+        stream.skipToEnd();
+      }
+      return state.blockIsAnnotation ? 'meta' : 'comment';
+    }
+
+    if (stream.eatSpace()) return null;
+
+    // include <path> / use <path>
+    if (state.afterInclude) {
+      state.afterInclude = false;
+      if (stream.match(/^<[^>\n]*>?/)) return 'string';
+    }
+
+    if (stream.match('//')) {
+      const rest = stream.string.slice(stream.pos);
+      stream.skipToEnd();
+      return ANNOTATION_PATTERN.test(rest) ? 'meta' : 'comment';
+    }
+
+    if (stream.match('/*')) {
+      const rest = stream.string.slice(stream.pos);
+      const end = rest.indexOf('*/');
+      state.blockIsAnnotation = ANNOTATION_PATTERN.test(
+        end >= 0 ? rest.slice(0, end) : rest
+      );
+      if (end >= 0) {
+        stream.pos += end + 2;
+      } else {
+        stream.skipToEnd();
+        state.inBlockComment = true;
+      }
+      return state.blockIsAnnotation ? 'meta' : 'comment';
+    }
+
+    if (stream.eat('"')) {
+      let escaped = false;
+      let ch;
+      while ((ch = stream.next()) != null) {
+        if (ch === '"' && !escaped) break;
+        escaped = !escaped && ch === '\\';
+      }
+      return 'string';
+    }
+
+    if (stream.match(/^(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/)) {
+      return 'number';
+    }
+
+    if (stream.match(/^\$[A-Za-z_]\w*/)) {
+      return 'variable-2';
+    }
+
+    if (stream.match(/^[A-Za-z_]\w*/)) {
+      const word = stream.current();
+      if (word === 'include' || word === 'use') {
+        state.afterInclude = true;
+        return 'keyword';
+      }
+      if (KEYWORDS.has(word)) return 'keyword';
+      if (ATOMS.has(word)) return 'atom';
+      if (BUILTINS.has(word)) return 'builtin';
+      return 'variable';
+    }
+
+    // Debug modifiers (# % ! *) start a statement; elsewhere they are operators
+    const before = stream.string.slice(0, stream.pos).trimEnd();
+    if ((before === '' || /[;{}]$/.test(before)) && stream.match(/^[#%!*]/)) {
+      return 'meta';
+    }
+    if (stream.match(/^(?:[<>=!]=|&&|\|\||[-+*/%^<>=!?:])/)) {
+      return 'operator';
+    }
+
+    stream.next();
+    return null;
+  },
+
+  languageData: {
+    commentTokens: { line: '//', block: { open: '/*', close: '*/' } },
+  },
+};
+
+/** OpenSCAD language support for CodeMirror */
+export const openscadLanguage = StreamLanguage.define(openscadStreamParser);
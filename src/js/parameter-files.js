@@ -0,0 +1,86 @@
+/**
+ * Parameter Files - Uploads for [file] parameters
+ *
+ * The file control stores an upload as a data URL:
+ *   { name: 'logo.svg', size: 1234, type: 'image/svg+xml', data: 'data:...' }
+ * Before each render the worker writes it to /uploads/<parameter>/<name> and
+ * passes that path to OpenSCAD, so import(logo_file) and surface(heightmap)
+ * can read the upload.
+ *
+ * @license GPL-3.0-or-later
+ */
+
+/** Directory parameter uploads are written under */
+export const PARAMETER_FILES_DIR = '/uploads';
+
+/**
+ * Check whether a parameter value is an uploaded file
+ * @param {*} value - Parameter value
+ * @returns {boolean}
+ */
+export function isFileParameterValue(value) {
+  return (
+    !!value &&
+    typeof value === 'object' &&
+    !Array.isArray(value) &&
+    typeof value.data === 'string' &&
+    value.data.startsWith('data:')
+  );
+}
+
+/**
+ * Filesystem path for a parameter's upload
+ * The name is reduced to safe characters but keeps its extension, which
+ * import() uses to pick the file format.
+ * @param {string} paramName - Parameter name
+ * @param {string} fileName - Uploaded file name
+ * @returns {string} e.g. "/uploads/logo_file/my_logo.svg"
+ */
+export function getParameterFilePath(paramName, fileName) {
+  const safe = (value, fallback) =>
+    String(value || '')
+      .replace(/[^A-Za-z0-9._-]/g, '_')
+      .replace(/^\.+/, '') || fallback;
+  return `${PARAMETER_FILES_DIR}/${safe(paramName, 'param')}/${safe(fileName, 'upload')}`;
+}
+
+/**
+ * Decode a data URL to bytes
+ * @param {string} dataUrl - base64 or percent-encoded data URL
+ * @returns {Uint8Array}
+ * @throws {Error} When the value is not a data URL
+ */
+export function dataUrlToBytes(dataUrl) {
+  const comma = typeof dataUrl === 'string' ? dataUrl.indexOf(',') : -1;
+  if (comma < 0 || !dataUrl.startsWith('data:')) {
+    throw new Error('Uploaded file data is not a data URL');
+  }
+  const payload = dataUrl.slice(comma + 1);
+  if (!dataUrl.slice(0, comma).endsWith(';base64')) {
+    return new TextEncoder().encode(decodeURIComponent(payload));
+  }
+  const binary = atob(payload);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Replace uploaded file values with the paths they are written to
+ * @param {Object} parameters - Parameter values
+ * @returns {{parameters: Object, files: Map<string, string>}} Parameters with
+ *   each upload replaced by its path, and path -> data URL for every upload
+ */
+export function resolveParameterFiles(parameters) {
+  const resolved = { ...parameters };
+  const files = new Map();
+  for (const [name, value] of Object.entries(parameters || {})) {
+    if (!isFileParameterValue(value)) continue;
+    const path = getParameterFilePath(name, value.name);
+    resolved[name] = path;
+    files.set(path, value.data);
+  }
+  return { parameters: resolved, files };
+}
@@ -0,0 +1,485 @@
+/**
+ * Parameter Sweep - Queue one render per combination of parameter values
+ *
+ * A sweep varies one or more parameters ("axes"): a numeric range such as
+ * `wall` 1.2 to 2.4 in steps of 0.4, or a list of options such as `font`
+ * [A, B]. Every combination (grid) or a Latin-hypercube sample of them is
+ * added to the RenderQueue as a sweep job; the results are compared in a
+ * table (volume, bounding box, render time) and bundled into one ZIP.
+ *
+ * @license GPL-3.0-or-later
+ */
+
+import JSZip from 'jszip';
+import { OUTPUT_FORMATS } from './download.js';
+import { computeMeshMetrics } from './mesh-metrics.js';
+import { parseStl } from './threemf-writer.js';
+
+export const SWEEP_MANIFEST_VERSION = 1;
+
+/** Most jobs one sweep may add to the queue */
+export const SWEEP_MAX_JOBS = 200;
+
+/** Ways of choosing combinations */
+export const SWEEP_MODES = ['grid', 'latin-hypercube'];
+
+/** Number of decimal places written in a number */
+function countDecimals(value) {
+  const [, fraction = ''] = String(value).split('.');
+  return fraction.replace(/e.*$/i, '').length;
+}
+
+/** Round away floating-point noise such as 1.2000000000000002 */
+function roundTo(value, decimals) {
+  const rounded = Number(value.toFixed(Math.min(decimals, 10)));
+  return Object.is(rounded, -0) ? 0 : rounded;
+}
+
+/**
+ * List the parameters a sweep can vary
+ * Numbers and integers become ranges; enums and booleans become options.
+ * @param {Object} schemaParameters - `parameters` from extractParameters()
+ * @returns {Array<Object>} `{name, kind: 'range', type, minimum, maximum, step}`
+ *   or `{name, kind: 'options', options}`, in schema order
+ */
+export function getSweepableParameters(schemaParameters = {}) {
+  return Object.values(schemaParameters)
+    .filter((param) => !param.computed)
+    .sort((a, b) => (a.order ?? 0) - (b.order ?? 0))
+    .flatMap((param) => {
+      if (Array.isArray(param.enum) && param.enum.length > 0) {
+        return [{ name: param.name, kind: 'options', options: param.enum }];
+      }
+      if (param.type === 'boolean') {
+        return [{ name: param.name, kind: 'options', options: [true, false] }];
+      }
+      if (param.type !== 'number' && param.type !== 'integer') return [];
+
+      const fallback = Number(param.default) || 0;
+      const minimum = param.minimum ?? fallback;
+      const maximum = param.maximum ?? fallback;
+      const step =
+        param.step ??
+        (param.type === 'integer' || maximum === minimum
+          ? 1
+          : roundTo((maximum - minimum) / 4, 6));
+      return [
+        {
+          name: param.name,
+          kind: 'range',
+          type: param.type,
+          minimum,
+          maximum,
+          step,
+        },
+      ];
+    });
+}
+
+/**
+ * List the values of one axis
+ * @param {{name: string, values?: Array, min?: number, max?: number, step?: number}} axis
+ *   Either a list of values or an inclusive range
+ * @returns {Array} Values in order
+ */
+export function expandAxis(axis) {
+  if (Array.isArray(axis.values)) {
+    if (axis.values.length === 0) {
+      throw new Error(`Choose at least one value for ${axis.name}`);
+    }
+    return [...axis.values];
+  }
+
+  const { min, max, step } = axis;
+  if (![min, max, step].every(Number.isFinite)) {
+    throw new Error(`Enter a start, end and step for ${axis.name}`);
+  }
+  if (step <= 0) {
+    throw new Error(`The step for ${axis.name} must be greater than 0`);
+  }
+  if (max < min) {
+    throw new Error(`The end of ${axis.name} must not be less than the start`);
+  }
+
+  // Allow for rounding so that 1.2 to 2.4 step 0.4 includes 2.4
+  const count = Math.floor((max - min) / step + 1e-9) + 1;
+  if (count > SWEEP_MAX_JOBS) {
+    throw new Error(
+      `${axis.name} has ${count} values; a sweep can have at most ${SWEEP_MAX_JOBS} jobs`
+    );
+  }
+  const decimals = Math.max(countDecimals(min), countDecimals(step));
+  return Array.from({ length: count }, (_, i) =>
+    roundTo(min + i * step, decimals)
+  );
+}
+
+/**
+ * Count the combinations of a grid sweep without building them
+ * @param {Array<Object>} axes - See expandAxis()
+ * @returns {number}
+ */
+export function countCombinations(axes) {
+  return axes.reduce((total, axis) => total * expandAxis(axis).length, 1);
+}
+
+/**
+ * Every combination of the axis values (the first axis varies slowest)
+ * @param {Array<Object>} axes - See expandAxis()
+ * @returns {Array<Object>} One `{name: value}` object per combination
+ */
+export function cartesianProduct(axes) {
+  const total = countCombinations(axes);
+  if (total > SWEEP_MAX_JOBS) {
+    throw new Error(
+      `This sweep has ${total} combinations; the most is ${SWEEP_MAX_JOBS}. Use fewer values or a Latin-hypercube sample.`
+    );
+  }
+  return axes.reduce(
+    (combinations, axis) =>
+      combinations.flatMap((combination) =>
+        expandAxis(axis).map((value) => ({
+          ...combination,
+          [axis.name]: value,
+        }))
+      ),
+    [{}]
+  );
+}
+
+/**
+ * Shuffled stratum indexes 0..n-1
+ */
+function permutation(n, random) {
+  const order = Array.from({ length: n }, (_, i) => i);
+  for (let i = n - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+  return order;
+}
+
+/**
+ * Latin-hypercube sample of the axes
+ * Each axis is split into `samples` equal strata and every stratum is used
+ * exactly once, so a few samples still cover each range end to end. Range
+ * values snap to the axis step; option axes spread over their options.
+ * Samples that snap to the same combination are dropped.
+ * @param {Array<Object>} axes - See expandAxis()
+ * @param {number} samples - Number of samples
+ * @param {Function} [random=Math.random] - Returns a number in [0, 1)
+ * @returns {Array<Object>} One `{name: value}` object per sample
+ */
+export function latinHypercube(axes, samples, random = Math.random) {
+  if (!Number.isInteger(samples) || samples < 1) {
+    throw new Error('Enter a whole number of samples');
+  }
+  if (samples > SWEEP_MAX_JOBS) {
+    throw new Error(`A sweep can have at most ${SWEEP_MAX_JOBS} jobs`);
+  }
+
+  const columns = axes.map((axis) => {
+    const values = expandAxis(axis);
+    const order = permutation(samples, random);
+    return order.map((stratum) => {
+      const position = (stratum + random()) / samples;
+      return values[
+        Math.min(values.length - 1, Math.floor(position * values.length))
+      ];
+    });
+  });
+
+  const seen = new Set();
+  const combinations = [];
+  for (let i = 0; i < samples; i++) {
+    const combination = {};
+    axes.forEach((axis, a) => {
+      combination[axis.name] = columns[a][i];
+    });
+    const key = JSON.stringify(combination);
+    if (!seen.has(key)) {
+      seen.add(key);
+      combinations.push(combination);
+    }
+  }
+  return combinations;
+}
+
+/**
+ * Name a sweep job after the values it varies
+ * @param {Object} values - `{name: value}`
+ * @returns {string} e.g. "wall=1.2, font=A"
+ */
+export function sweepJobName(values) {
+  return Object.entries(values)
+    .map(([name, value]) => `${name}=${value}`)
+    .join(', ');
+}
+
+/**
+ * Build the jobs of a sweep
+ * @param {Array<Object>} axes - See expandAxis()
+ * @param {Object} [options]
+ * @param {'grid'|'latin-hypercube'} [options.mode='grid']
+ * @param {number} [options.samples] - Latin-hypercube sample count
+ * @param {Object} [options.baseParameters] - Values of the parameters not swept
+ * @param {Function} [options.random] - Random source for sampling
+ * @returns {Array<{name: string, values: Object, parameters: Object}>}
+ */
+export function buildSweepJobs(axes, options = {}) {
+  const { mode = 'grid', samples, baseParameters = {}, random } = options;
+  if (!Array.isArray(axes) || axes.length === 0) {
+    throw new Error('Add at least one parameter to sweep');
+  }
+  const names = axes.map((axis) => axis.name);
+  if (new Set(names).size !== names.length) {
+    throw new Error('Each parameter can only be swept once');
+  }
+  if (!SWEEP_MODES.includes(mode)) {
+    throw new Error(`Unknown sweep mode: ${mode}`);
+  }
+
+  const combinations =
+    mode === 'grid'
+      ? cartesianProduct(axes)
+      : latinHypercube(axes, samples, random);
+  return combinations.map((values) => ({
+    name: sweepJobName(values),
+    values,
+    parameters: { ...baseParameters, ...values },
+  }));
+}
+
+// Metrics are parsed once per render result
+const metricsCache = new WeakMap();
+
+/**
+ * Measure a finished sweep job
+ * Only STL results can be measured; other formats report null.
+ * @param {Object} job - RenderQueue job
+ * @returns {{volume: number, size: number[], triangles: number}|null}
+ */
+export function getSweepJobMetrics(job) {
+  const result = job?.result;
+  if (job?.state !== 'complete' || !result?.data) return null;
+  if (job.outputFormat !== 'stl') return null;
+  if (!metricsCache.has(result)) {
+    try {
+      const metrics = computeMeshMetrics(parseStl(result.data));
+      metricsCache.set(result, {
+        volume: metrics.volume,
+        size: metrics.boundingBox.size,
+        triangles: metrics.triangleCount,
+      });
+    } catch (error) {
+      console.warn('[Sweep] Could not measure result:', error);
+      metricsCache.set(result, null);
+    }
+  }
+  return metricsCache.get(result);
+}
+
+/**
+ * Build one results-table row per sweep job
+ * @param {Array<Object>} jobs - RenderQueue jobs of one sweep, in order
+ * @returns {Array<Object>} `{index, job, values, state, volume, sizeX,
+ *   sizeY, sizeZ, renderTime, error}`
+ */
+export function buildSweepRows(jobs) {
+  return jobs.map((job, index) => {
+    const metrics = getSweepJobMetrics(job);
+    return {
+      index,
+      job,
+      values: job.sweep?.values || {},
+      state: job.state,
+      volume: metrics?.volume ?? null,
+      sizeX: metrics?.size[0] ?? null,
+      sizeY: metrics?.size[1] ?? null,
+      sizeZ: metrics?.size[2] ?? null,
+      renderTime: job.renderTime ?? null,
+      error: job.error || null,
+    };
+  });
+}
+
+/**
+ * Sort results-table rows
+ * Missing values (jobs not rendered yet, or failed) always sort last.
+ * @param {Array<Object>} rows - From buildSweepRows()
+ * @param {string} key - Row field, or `param:<name>` for a swept value
+ * @param {'ascending'|'descending'} [direction='ascending']
+ * @returns {Array<Object>} New sorted array
+ */
+export function sortSweepRows(rows, key, direction = 'ascending') {
+  const valueOf = (row) =>
+    key.startsWith('param:') ? row.values[key.slice(6)] : row[key];
+  const sign = direction === 'descending' ? -1 : 1;
+  return [...rows].sort((a, b) => {
+    const x = valueOf(a);
+    const y = valueOf(b);
+    const xMissing = x === null || x === undefined;
+    const yMissing = y === null || y === undefined;
+    if (xMissing || yMissing) {
+      return xMissing === yMissing ? a.index - b.index : xMissing ? 1 : -1;
+    }
+    const order =
+      typeof x === 'number' && typeof y === 'number'
+        ? x - y
+        : String(x).localeCompare(String(y), undefined, { numeric: true });
+    return order * sign || a.index - b.index;
+  });
+}
+
+/**
+ * Build the file name for one sweep job
+ * @param {string} baseName - Model name (extension is dropped)
+ * @param {number} index - Position in the sweep, from 0
+ * @param {string} format - Output format
+ * @returns {string} e.g. "bracket-sweep-007.stl"
+ */
+export function sweepFileName(baseName, index, format) {
+  const base = baseName
+    .replace(/\.(scad|zip)$/i, '')
+    .replace(/[^a-z0-9_-]/gi, '_')
+    .toLowerCase();
+  const extension = OUTPUT_FORMATS[format]?.extension || `.${format}`;
+  return `${base}-sweep-${String(index + 1).padStart(3, '0')}${extension}`;
+}
+
+/** Quote a CSV field when needed */
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/** Round a metric for reports */
+function roundMetric(value) {
+  return value === null ? null : roundTo(value, 3);
+}
+
+/**
+ * Write the results table as CSV
+ * @param {Array<Object>} rows - From buildSweepRows()
+ * @param {string[]} parameterNames - Swept parameters, in column order
+ * @param {Object} options
+ * @param {string} options.modelName - Source model file name
+ * @param {string} options.format - Output format
+ * @returns {string}
+ */
+export function buildSweepCsv(rows, parameterNames, options) {
+  const header = [
+    'Number',
+    'File',
+    ...parameterNames,
+    'Status',
+    'Volume (mm3)',
+    'Size X (mm)',
+    'Size Y (mm)',
+    'Size Z (mm)',
+    'Render time (s)',
+    'Error',
+  ];
+  const lines = rows.map((row) =>
+    [
+      row.index + 1,
+      row.state === 'complete'
+        ? sweepFileName(options.modelName, row.index, options.format)
+        : '',
+      ...parameterNames.map((name) => row.values[name]),
+      row.state,
+      roundMetric(row.volume),
+      roundMetric(row.sizeX),
+      roundMetric(row.sizeY),
+      roundMetric(row.sizeZ),
+      row.renderTime === null ? null : roundTo(row.renderTime / 1000, 2),
+      row.error,
+    ]
+      .map(csvField)
+      .join(',')
+  );
+  return [header.map(csvField).join(','), ...lines].join('\r\n') + '\r\n';
+}
+
+/**
+ * Describe a sweep and its results
+ * @param {Array<Object>} rows - From buildSweepRows()
+ * @param {Object} options
+ * @param {string} options.modelName - Source model file name
+ * @param {string} options.format - Output format
+ * @param {string} options.mode - Sweep mode
+ * @param {Array<Object>} options.axes - Swept axes
+ * @param {Object} options.parameters - Values of the parameters not swept
+ * @returns {Object} Manifest (written to manifest.json)
+ */
+export function buildSweepManifest(rows, options) {
+  const { modelName, format, mode, axes, parameters } = options;
+  const swept = axes.map((axis) => axis.name);
+  const shared = { ...parameters };
+  for (const name of swept) delete shared[name];
+
+  return {
+    version: SWEEP_MANIFEST_VERSION,
+    model: modelName,
+    format,
+    mode,
+    createdAt: new Date().toISOString(),
+    axes,
+    parameters: shared,
+    jobs: rows.map((row) => {
+      if (row.state !== 'complete') {
+        return {
+          values: row.values,
+          error: row.error || `Not rendered (${row.state})`,
+        };
+      }
+      return {
+        values: row.values,
+        file: sweepFileName(modelName, row.index, format),
+        volume: roundMetric(row.volume),
+        size:
+          row.sizeX === null
+            ? null
+            : [row.sizeX, row.sizeY, row.sizeZ].map(roundMetric),
+        renderTimeMs: row.renderTime,
+      };
+    }),
+  };
+}
+
+/**
+ * Pack every rendered sweep job, a manifest and the results table into a ZIP
+ * @param {Array<Object>} rows - From buildSweepRows(), in sweep order
+ * @param {Object} options - See buildSweepManifest()
+ * @returns {Promise<Uint8Array>} ZIP archive
+ */
+export async function createSweepZip(rows, options) {
+  const manifest = buildSweepManifest(rows, options);
+  if (!manifest.jobs.some((entry) => entry.file)) {
+    throw new Error('No sweep jobs have rendered yet');
+  }
+  const zip = new JSZip();
+
+  rows.forEach((row, i) => {
+    const entry = manifest.jobs[i];
+    if (entry.file) {
+      zip.file(entry.file, row.job.result.data);
+    }
+  });
+  zip.file('manifest.json', JSON.stringify(manifest, null, 2));
+  zip.file(
+    'results.csv',
+    buildSweepCsv(
+      rows,
+      options.axes.map((axis) => axis.name),
+      options
+    )
+  );
+
+  return zip.generateAsync({
+    type: 'uint8array',
+    compression: 'DEFLATE',
+    compressionOptions: { level: 6 },
+  });
+}
@@ -4,13 +4,49 @@
  */
 
 import { detectLibraries } from './library-manager.js';
+import {
+  parseScadLiteral,
+  isScadRange,
+  isNumericVector,
+} from './scad-value-utils.js';
+import {
+  parseExpression,
+  collectIdentifiers,
+  evaluateExpression,
+  evaluateAssignments,
+} from './scad-expression.js';
+import {
+  parseCondition,
+  getConditionParameters,
+  findDependencyCycles,
+} from './dependency-conditions.js';
+
+/**
+ * Infer a parameter type from an evaluated value
+ * @param {*} value - Evaluated value
+ * @returns {string} Parameter type
+ */
+function inferValueType(value) {
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? 'integer' : 'number';
+  }
+  if (typeof value === 'boolean') return 'boolean';
+  if (isScadRange(value)) return 'range';
+  if (isNumericVector(value)) return 'vector';
+  if (Array.isArray(value)) return 'list';
+  return 'string';
+}
 
 /**
  * Parse default value from OpenSCAD code
+ * Expressions that reference other variables are returned with type
+ * 'computed' so they can be shown read-only; constant expressions are
+ * evaluated and stay editable.
  * @param {string} valueStr - Value string from assignment
+ * @param {Set<string>} [knownNames] - Variables assigned earlier in the file
  * @returns {Object} Parsed value with type
  */
-function parseDefaultValue(valueStr) {
+function parseDefaultValue(valueStr, knownNames = new Set()) {
   const trimmed = valueStr.trim();
 
   // Check if it's a quoted string
@@ -21,9 +57,9 @@ function parseDefaultValue(valueStr) {
     return { type: 'string', value: trimmed.slice(1, -1) };
   }
 
-  // Check if it's a number
+  // Check if it's a number (the whole value, so "2 * width" is not 2)
   const num = parseFloat(trimmed);
-  if (!isNaN(num) && trimmed !== '') {
+  if (/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(trimmed)) {
     return {
       type:
         Number.isInteger(num) && !trimmed.includes('.') ? 'integer' : 'number',
@@ -36,6 +72,41 @@ function parseDefaultValue(valueStr) {
     return { type: 'boolean', value: trimmed === 'true' };
   }
 
+  // Check for vector, list or range literal: [1, 2, 3], ["a", 1], [0:10]
+  if (trimmed.startsWith('[') && trimmed.endsWith(']')) {
+    const literal = parseScadLiteral(trimmed);
+    if (literal) {
+      if (isScadRange(literal.value)) {
+        return { type: 'range', value: literal.value };
+      }
+      if (isNumericVector(literal.value)) {
+        return { type: 'vector', value: literal.value };
+      }
+      return { type: 'list', value: literal.value };
+    }
+  }
+
+  // Check for an expression: width * 2, d / 2, [w, h, 2], max(a, b)
+  const ast = parseExpression(trimmed);
+  if (ast) {
+    const references = collectIdentifiers(ast);
+
+    if (references.length === 0) {
+      const value = evaluateExpression(ast);
+      if (value !== undefined) {
+        return { type: inferValueType(value), value, expression: trimmed };
+      }
+    } else if (ast.type !== 'identifier' || knownNames.has(ast.name)) {
+      // A bare unknown word is kept as an unquoted string (legacy enums)
+      return {
+        type: 'computed',
+        value: undefined,
+        expression: trimmed,
+        references,
+      };
+    }
+  }
+
   // Unquoted string
   return { type: 'string', value: trimmed };
 }
@@ -83,29 +154,170 @@ function parseEnumValues(enumStr) {
   return values;
 }
 
+/**
+ * Find the condition text inside @depends( ... ), honouring nested parentheses
+ * @param {string} comment - Comment text to search
+ * @returns {string|null} Condition text, or null if there is no @depends
+ */
+function extractDependsText(comment) {
+  const match = /@depends\s*\(/i.exec(comment);
+  if (!match) return null;
+
+  let depth = 1;
+  let inString = false;
+  const start = match.index + match[0].length;
+  for (let i = start; i < comment.length; i++) {
+    const char = comment[i];
+    if (inString) {
+      if (char === '\\') i++;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '(') {
+      depth++;
+    } else if (char === ')' && --depth === 0) {
+      return comment.slice(start, i).trim();
+    }
+  }
+  return null;
+}
+
 /**
  * Parse dependency condition from comment
- * Supports: @depends(param_name==value) or @depends(param_name!=value)
+ * Supports single comparisons such as @depends(param_name==value) as well as
+ * &&, ||, !, parentheses, <, <=, >, >= and "param in [a, b]".
  * @param {string} comment - Comment text to parse
- * @returns {Object|null} Dependency object or null if no dependency
+ * @returns {Object|null} Dependency object, { error } if the condition is
+ *   invalid, or null if there is no dependency
  */
 function parseDependency(comment) {
   if (!comment) return null;
 
-  // Match: @depends(param_name==value) or @depends(param_name!=value)
-  const dependsMatch = comment.match(
-    /@depends\(\s*([a-zA-Z_$][a-zA-Z0-9_$]*)\s*(==|!=)\s*(\S+)\s*\)/i
-  );
+  const expression = extractDependsText(comment);
+  if (expression === null) return null;
 
-  if (dependsMatch) {
-    return {
-      parameter: dependsMatch[1],
-      operator: dependsMatch[2],
-      value: dependsMatch[3],
+  try {
+    const condition = parseCondition(expression);
+    const dependency = {
+      expression,
+      condition,
+      parameters: getConditionParameters(condition),
     };
+    dependency.parameter = dependency.parameters[0];
+
+    // Single comparisons keep the flat shape older consumers read
+    if (
+      condition.type === 'compare' &&
+      (condition.operator === '==' || condition.operator === '!=')
+    ) {
+      dependency.operator = condition.operator;
+      dependency.value = String(condition.value);
+    }
+    return dependency;
+  } catch (error) {
+    // Legacy form allows any non-space value, e.g. @depends(size==x-large)
+    const legacyMatch = expression.match(
+      /^([a-zA-Z_$][a-zA-Z0-9_$]*)\s*(==|!=)\s*(\S+)$/
+    );
+    if (legacyMatch) {
+      const [, parameter, operator, value] = legacyMatch;
+      return {
+        expression,
+        condition: { type: 'compare', parameter, operator, value },
+        parameters: [parameter],
+        parameter,
+        operator,
+        value,
+      };
+    }
+    return { expression, error: error.message };
   }
+}
 
-  return null;
+/**
+ * Find a @parts annotation, which marks the parameter that selects which
+ * piece of a multi-part design to render
+ * @param {string} comment - Comment text to search
+ * @returns {{parts: Array<string>|null}|null} Parts listed in @parts(...)
+ *   (null for a bare @parts), or null if there is no annotation
+ */
+function parsePartsAnnotation(comment) {
+  const match = /@parts\b(?:\s*\(([^)]*)\))?/i.exec(comment || '');
+  if (!match) return null;
+  return { parts: match[1] === undefined ? null : parseEnumValues(match[1]) };
+}
+
+/**
+ * Work out which options of a part-selector parameter are separate parts
+ * A bare @parts uses every option except "all", which conventionally renders
+ * the whole assembly; @parts(lid, base) names the parts explicitly.
+ * @param {Object} param - Extracted parameter carrying the annotation
+ * @param {{parts: Array<string>|null}} annotation - Result of parsePartsAnnotation()
+ * @param {Array<Object>} warnings - Warning list to append to
+ * @returns {Array<string>|null} Part values, or null if the annotation is unusable
+ */
+function resolveSelectorParts(param, annotation, warnings) {
+  if (!Array.isArray(param.enum) || param.enum.length === 0) {
+    warnings.push({
+      type: 'parts',
+      parameter: param.name,
+      message:
+        '@parts needs a dropdown parameter, e.g. part = "all"; // [all, lid, base]',
+    });
+    return null;
+  }
+
+  const options = param.enum.map(String);
+  if (annotation.parts === null) {
+    const parts = options.filter((option) => option.toLowerCase() !== 'all');
+    return parts.length > 0 ? parts : null;
+  }
+
+  const unknown = annotation.parts.filter((part) => !options.includes(part));
+  if (unknown.length > 0) {
+    warnings.push({
+      type: 'parts',
+      parameter: param.name,
+      message: `@parts lists ${unknown.join(', ')}, which ${unknown.length > 1 ? 'are not options' : 'is not an option'} of ${param.name}`,
+    });
+  }
+  const parts = annotation.parts.filter((part) => options.includes(part));
+  return parts.length > 0 ? parts : null;
+}
+
+/**
+ * Drop dependencies that can never be evaluated (unknown parameters or
+ * cycles) so the parameter stays visible, and report why
+ * @param {Object} parameters - Extracted parameters keyed by name
+ * @param {Array<Object>} warnings - Warning list to append to
+ */
+function validateDependencies(parameters, warnings) {
+  for (const param of Object.values(parameters)) {
+    const unknown = (param.dependency?.parameters || []).filter(
+      (name) => !parameters[name]
+    );
+    if (unknown.length > 0) {
+      warnings.push({
+        type: 'dependency',
+        parameter: param.name,
+        message: `@depends(${param.dependency.expression}) references unknown parameter${unknown.length > 1 ? 's' : ''} ${unknown.join(', ')}`,
+      });
+      delete param.dependency;
+    }
+  }
+
+  for (const cycle of findDependencyCycles(parameters)) {
+    const path = [...cycle, cycle[0]].join(' -> ');
+    for (const name of cycle) {
+      if (!parameters[name].dependency) continue;
+      warnings.push({
+        type: 'dependency',
+        parameter: name,
+        message: `@depends forms a cycle (${path}); dependency ignored`,
+      });
+      delete parameters[name].dependency;
+    }
+  }
 }
 
 /**
@@ -168,6 +380,17 @@ export function extractParameters(scadContent) {
   const groups = [];
   const parameters = {};
 
+  // Every top-level assignment in source order (including Hidden ones),
+  // used to evaluate computed defaults
+  const assignments = [];
+  const knownNames = new Set();
+
+  // Problems that don't stop extraction (e.g. invalid @depends conditions)
+  const warnings = [];
+
+  // Parameter marked with @parts, and the options rendered as separate parts
+  let partSelector = null;
+
   let currentGroup = 'General';
   let groupOrder = 0;
   let paramOrder = 0;
@@ -283,6 +506,10 @@ export function extractParameters(scadContent) {
       if (assignMatch) {
         const paramName = assignMatch[1];
         const valueStr = assignMatch[2].trim();
+        const namesBefore = new Set(knownNames);
+
+        assignments.push({ name: paramName, expression: valueStr });
+        knownNames.add(paramName);
 
         // Skip if in Hidden group
         if (currentGroup.toLowerCase() === 'hidden') {
@@ -298,7 +525,7 @@ export function extractParameters(scadContent) {
         }
 
         // Parse default value
-        const defaultVal = parseDefaultValue(valueStr);
+        const defaultVal = parseDefaultValue(valueStr, namesBefore);
 
         // Check for bracket hint and comment
         const afterAssignment = line.substring(line.indexOf(';') + 1);
@@ -318,7 +545,51 @@ export function extractParameters(scadContent) {
           description: capturedPrecedingComment || '', // Use preceding comment as default description
         };
 
-        if (bracketMatch) {
+        const isComputed = defaultVal.type === 'computed';
+        const isCompound =
+          param.type === 'vector' ||
+          param.type === 'list' ||
+          param.type === 'range';
+
+        if (isComputed) {
+          // Derived values are read-only, so range/enum hints do not apply
+          param.computed = true;
+          param.expression = defaultVal.expression;
+          param.references = defaultVal.references;
+          param.uiType = 'computed';
+          const commentText = commentMatch
+            ? commentMatch[1].replace(/^\[[^\]]*\]/, '').trim()
+            : '';
+          if (commentText) {
+            param.description = commentText;
+          }
+        } else if (bracketMatch && isCompound) {
+          const hint = bracketMatch[1].trim();
+
+          // Vectors take a single [min:max] or [min:step:max] hint that
+          // applies to every element, matching desktop OpenSCAD
+          const rangeParts = hint.split(':');
+          if (
+            param.type === 'vector' &&
+            (rangeParts.length === 2 || rangeParts.length === 3) &&
+            rangeParts.every((p) => !isNaN(parseFloat(p.trim())))
+          ) {
+            const nums = rangeParts.map((p) => parseFloat(p.trim()));
+            param.minimum = nums[0];
+            param.maximum = nums[nums.length - 1];
+            if (nums.length === 3) {
+              param.step = nums[1];
+            }
+          }
+
+          // Extract comment after bracket hint
+          const afterBracket = afterAssignment
+            .substring(afterAssignment.indexOf(']') + 1)
+            .trim();
+          if (afterBracket) {
+            param.description = afterBracket;
+          }
+        } else if (bracketMatch) {
           const hint = bracketMatch[1].trim();
 
           // Check for color type: [color]
@@ -427,8 +698,20 @@ export function extractParameters(scadContent) {
           param.uiType = 'input';
         }
 
+        // Compound values get dedicated controls
+        if (isCompound) {
+          param.uiType = param.type;
+          if (param.type === 'vector') {
+            param.elementCount = param.default.length;
+          }
+        }
+
         // Extract unit for numeric parameters
-        if (param.type === 'integer' || param.type === 'number') {
+        if (
+          param.type === 'integer' ||
+          param.type === 'number' ||
+          param.type === 'vector'
+        ) {
           param.unit = extractUnit(param.description, param.name);
         }
 
@@ -436,10 +719,34 @@ export function extractParameters(scadContent) {
         const fullComment =
           `${capturedPrecedingComment} ${afterAssignment}`.trim();
         const dependency = parseDependency(fullComment);
-        if (dependency) {
+        if (dependency?.error) {
+          warnings.push({
+            type: 'dependency',
+            parameter: paramName,
+            message: `Invalid @depends(${dependency.expression}): ${dependency.error}`,
+          });
+        } else if (dependency) {
           param.dependency = dependency;
         }
 
+        // Part selector for "Export all parts" (supports @parts and @parts(a, b))
+        const partsAnnotation = parsePartsAnnotation(fullComment);
+        if (partsAnnotation) {
+          param.description = param.description
+            .replace(/@parts\b(?:\s*\([^)]*\))?/i, '')
+            .trim();
+          const parts = resolveSelectorParts(param, partsAnnotation, warnings);
+          if (parts && partSelector) {
+            warnings.push({
+              type: 'parts',
+              parameter: paramName,
+              message: `Only one @parts parameter is supported; using ${partSelector.parameter}`,
+            });
+          } else if (parts) {
+            partSelector = { parameter: paramName, parts };
+          }
+        }
+
         parameters[paramName] = param;
       }
     }
@@ -462,6 +769,29 @@ export function extractParameters(scadContent) {
     });
   }
 
+  // Evaluate computed parameters against the editable defaults
+  const editableDefaults = {};
+  for (const param of Object.values(parameters)) {
+    if (!param.computed) {
+      editableDefaults[param.name] = param.default;
+    }
+  }
+  const defaultScope = evaluateAssignments(assignments, editableDefaults);
+  for (const param of Object.values(parameters)) {
+    if (!param.computed) continue;
+    param.default = defaultScope[param.name];
+    param.type = inferValueType(param.default);
+    if (
+      param.type === 'integer' ||
+      param.type === 'number' ||
+      param.type === 'vector'
+    ) {
+      param.unit = extractUnit(param.description, param.name);
+    }
+  }
+
+  validateDependencies(parameters, warnings);
+
   // Detect library usage
   const detectedLibraries = detectLibraries(scadContent);
 
@@ -469,5 +799,8 @@ export function extractParameters(scadContent) {
     groups,
     parameters,
     libraries: detectedLibraries,
+    assignments,
+    warnings,
+    partSelector,
   };
 }
@@ -0,0 +1,169 @@
+/**
+ * Part Export - Render every option of a @parts selector and bundle them
+ *
+ * Designs such as `part = "all"; // [all, lid, base] @parts` render one piece
+ * at a time. Each part is queued on the RenderQueue (so progress shows in the
+ * Queue panel) and the results are packed into a ZIP with a manifest, or a
+ * single 3MF with one object per part.
+ *
+ * @license GPL-3.0-or-later
+ */
+
+import JSZip from 'jszip';
+import { OUTPUT_FORMATS } from './download.js';
+import { createThreeMF } from './threemf-writer.js';
+import { colorPartsToThreeMFObjects, parseColoredOff } from './color-parts.js';
+
+export const PARTS_MANIFEST_VERSION = 1;
+
+/**
+ * Build the file name for one part
+ * @param {string} baseName - Model name (extension is dropped)
+ * @param {string} part - Part value
+ * @param {string} format - Output format
+ * @returns {string}
+ */
+export function partFileName(baseName, part, format) {
+  const sanitize = (text) =>
+    String(text)
+      .replace(/[^a-z0-9_-]/gi, '_')
+      .toLowerCase();
+  const extension = OUTPUT_FORMATS[format]?.extension || `.${format}`;
+  return `${sanitize(baseName.replace(/\.(scad|zip)$/i, ''))}-${sanitize(part)}${extension}`;
+}
+
+/**
+ * Queue and render one job per part
+ * Failed parts don't stop the others; they are reported in the results.
+ * @param {Object} renderQueue - RenderQueue with the project already set
+ * @param {Object} options
+ * @param {{parameter: string, parts: Array<string>}} options.partSelector - From extractParameters()
+ * @param {Object} options.parameters - Current parameter values
+ * @param {string} [options.outputFormat='stl'] - Format each part renders to
+ * @param {Function} [options.onProgress] - (index, total, part) => void before each render
+ * @returns {Promise<Array<{part: string, job: Object}>>} One entry per part, in order
+ */
+export async function renderAllParts(renderQueue, options) {
+  const {
+    partSelector,
+    parameters,
+    outputFormat = 'stl',
+    onProgress,
+  } = options;
+  const { parameter, parts } = partSelector;
+
+  const free = renderQueue.maxQueueSize - renderQueue.getJobCount();
+  if (parts.length > free) {
+    throw new Error(
+      `The render queue has room for ${free} more job${free === 1 ? '' : 's'} but this model has ${parts.length} parts. Clear finished jobs and try again.`
+    );
+  }
+
+  const jobIds = parts.map((part) =>
+    renderQueue.addJob(
+      `Part: ${part}`,
+      { ...parameters, [parameter]: part },
+      outputFormat
+    )
+  );
+
+  for (let i = 0; i < parts.length; i++) {
+    onProgress?.(i, parts.length, parts[i]);
+    try {
+      await renderQueue.renderJob(jobIds[i]);
+    } catch (error) {
+      // The job records the error; keep rendering the remaining parts
+      console.warn(`[PartExport] Part "${parts[i]}" failed:`, error);
+    }
+  }
+
+  return parts.map((part, i) => ({ part, job: renderQueue.getJob(jobIds[i]) }));
+}
+
+/**
+ * Describe the exported parts
+ * @param {Array<{part: string, job: Object}>} results - From renderAllParts()
+ * @param {Object} options
+ * @param {string} options.modelName - Source model file name
+ * @param {string} options.partParameter - Name of the part-selector parameter
+ * @param {string} options.format - Output format
+ * @param {Object} options.parameters - Shared parameter values
+ * @returns {Object} Manifest (written to manifest.json)
+ */
+export function buildPartsManifest(results, options) {
+  const { modelName, partParameter, format, parameters } = options;
+  const shared = { ...parameters };
+  delete shared[partParameter];
+
+  return {
+    version: PARTS_MANIFEST_VERSION,
+    model: modelName,
+    partParameter,
+    format,
+    createdAt: new Date().toISOString(),
+    parameters: shared,
+    parts: results.map(({ part, job }) =>
+      job?.state === 'complete'
+        ? {
+            name: part,
+            file: partFileName(modelName, part, format),
+            triangles: job.result.stats?.triangles ?? null,
+            size: job.result.data.byteLength,
+            renderTimeMs: job.renderTime,
+          }
+        : { name: part, error: job?.error || 'Render failed' }
+    ),
+  };
+}
+
+/**
+ * Pack rendered parts and a manifest into a ZIP
+ * @param {Array<{part: string, job: Object}>} results - From renderAllParts()
+ * @param {Object} options - See buildPartsManifest()
+ * @returns {Promise<Uint8Array>} ZIP archive
+ */
+export async function createPartsZip(results, options) {
+  const manifest = buildPartsManifest(results, options);
+  const zip = new JSZip();
+
+  results.forEach(({ job }, i) => {
+    const entry = manifest.parts[i];
+    if (entry.file) {
+      zip.file(entry.file, job.result.data);
+    }
+  });
+  zip.file('manifest.json', JSON.stringify(manifest, null, 2));
+
+  return zip.generateAsync({
+    type: 'uint8array',
+    compression: 'DEFLATE',
+    compressionOptions: { level: 6 },
+  });
+}
+
+/**
+ * Pack parts rendered as OFF into one 3MF, one object per part
+ * Parts that use color() get one object per color, named "<part> - Color #rrggbb".
+ * @param {Array<{part: string, job: Object}>} results - From renderAllParts()
+ *   with outputFormat 'off'
+ * @returns {Promise<Uint8Array>} 3MF file contents
+ */
+export async function createPartsThreeMF(results) {
+  const objects = [];
+  for (const { part, job } of results) {
+    if (job?.state !== 'complete') continue;
+    const colorObjects = colorPartsToThreeMFObjects(
+      parseColoredOff(job.result.data)
+    );
+    for (const object of colorObjects) {
+      objects.push({
+        ...object,
+        name: colorObjects.length > 1 ? `${part} - ${object.name}` : part,
+      });
+    }
+  }
+  if (objects.length === 0) {
+    throw new Error('No parts rendered successfully');
+  }
+  return createThreeMF(objects);
+}
@@ -0,0 +1,354 @@
+/**
+ * PDF Writer - Minimal PDF 1.4 documents with text, lines and JPEG images
+ *
+ * Enough for generated reports without bundling a PDF library: the standard
+ * Helvetica fonts (WinAnsi text, no embedding) and DCT-encoded images.
+ *
+ * @license GPL-3.0-or-later
+ */
+
+/** A4 page size in points */
+export const PAGE_WIDTH = 595;
+export const PAGE_HEIGHT = 842;
+
+/** Helvetica advance widths (1/1000 em) for characters 32-126 */
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278,
+  278, 556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584,
+  584, 556, 1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556,
+  833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278,
+  278, 278, 469, 556, 333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222,
+  500, 222, 833, 556, 556, 556, 556, 333, 500, 278, 556, 500, 722, 500, 500,
+  500, 334, 260, 334, 584,
+];
+
+/** Helvetica-Bold advance widths (1/1000 em) for characters 32-126 */
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278,
+  278, 556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584,
+  584, 611, 975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611,
+  833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333,
+  278, 333, 584, 556, 333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278,
+  556, 278, 889, 611, 611, 611, 611, 389, 556, 333, 611, 556, 778, 556, 556,
+  500, 389, 280, 389, 584,
+];
+
+/** Characters outside Latin-1 that have a close WinAnsi-safe stand-in */
+const TEXT_REPLACEMENTS = {
+  '–': '-',
+  '—': '-',
+  '‘': "'",
+  '’': "'",
+  '“': '"',
+  '”': '"',
+  '…': '...',
+  '•': '-',
+  '✓': 'Yes',
+  '✗': 'No',
+  '\u202f': ' ',
+};
+
+/**
+ * Reduce text to characters the standard fonts can show
+ * Latin-1 is kept; other characters are replaced or become "?".
+ * @param {string} text - Any text
+ * @returns {string} Text with every character code below 256
+ */
+export function toPdfText(text) {
+  return Array.from(String(text ?? ''), (char) => {
+    if (TEXT_REPLACEMENTS[char]) return TEXT_REPLACEMENTS[char];
+    const code = char.charCodeAt(0);
+    if (code === 9) return ' ';
+    if (code < 32 || (code > 126 && code < 160) || code > 255) return '?';
+    return char;
+  }).join('');
+}
+
+/**
+ * Width of text in points
+ * @param {string} text - Text (passed through toPdfText)
+ * @param {number} size - Font size in points
+ * @param {boolean} [bold=false] - Use Helvetica-Bold metrics
+ * @returns {number}
+ */
+export function measureText(text, size, bold = false) {
+  const widths = bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+  let total = 0;
+  for (const char of toPdfText(text)) {
+    const code = char.charCodeAt(0);
+    total += code >= 32 && code <= 126 ? widths[code - 32] : 556;
+  }
+  return (total * size) / 1000;
+}
+
+/**
+ * Break text into lines no wider than maxWidth
+ * Words longer than a line are split.
+ * @param {string} text - Text to wrap
+ * @param {number} size - Font size in points
+ * @param {number} maxWidth - Line width in points
+ * @param {boolean} [bold=false] - Use Helvetica-Bold metrics
+ * @returns {Array<string>}
+ */
+export function wrapText(text, size, maxWidth, bold = false) {
+  const lines = [];
+  for (const paragraph of String(text ?? '')
+    .split('\n')
+    .map(toPdfText)) {
+    let line = '';
+    for (const word of paragraph.split(/ +/)) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (measureText(candidate, size, bold) <= maxWidth) {
+        line = candidate;
+        continue;
+      }
+      if (line) lines.push(line);
+      line = word;
+      while (measureText(line, size, bold) > maxWidth && line.length > 1) {
+        let cut = line.length - 1;
+        while (
+          cut > 1 &&
+          measureText(line.slice(0, cut), size, bold) > maxWidth
+        ) {
+          cut--;
+        }
+        lines.push(line.slice(0, cut));
+        line = line.slice(cut);
+      }
+    }
+    lines.push(line);
+  }
+  return lines;
+}
+
+/**
+ * Escape text for a PDF string literal
+ */
+function escapePdfString(text) {
+  return toPdfText(text).replace(/[\\()]/g, (char) => `\\${char}`);
+}
+
+/**
+ * Format a coordinate for a content stream
+ */
+function num(value) {
+  return Number(value.toFixed(2)).toString();
+}
+
+/**
+ * Encode a string whose characters are all below 256 as bytes
+ */
+function latin1Bytes(text) {
+  const bytes = new Uint8Array(text.length);
+  for (let i = 0; i < text.length; i++) {
+    bytes[i] = text.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Read the pixel size of a baseline or progressive JPEG
+ * @param {Uint8Array} bytes - JPEG file
+ * @returns {{width: number, height: number}}
+ */
+export function readJpegSize(bytes) {
+  let offset = 2;
+  while (offset + 9 < bytes.length) {
+    if (bytes[offset] !== 0xff) {
+      offset++;
+      continue;
+    }
+    const marker = bytes[offset + 1];
+    const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+    // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+    if (
+      marker >= 0xc0 &&
+      marker <= 0xcf &&
+      marker !== 0xc4 &&
+      marker !== 0xc8 &&
+      marker !== 0xcc
+    ) {
+      return {
+        height: (bytes[offset + 5] << 8) | bytes[offset + 6],
+        width: (bytes[offset + 7] << 8) | bytes[offset + 8],
+      };
+    }
+    offset += 2 + length;
+  }
+  throw new Error('Not a JPEG image');
+}
+
+/**
+ * Decode a data: URL to bytes
+ * @param {string} dataUrl - Base64 data URL
+ * @returns {Uint8Array}
+ */
+export function dataUrlToBytes(dataUrl) {
+  const base64 = dataUrl.slice(dataUrl.indexOf(',') + 1);
+  const binary = atob(base64);
+  return latin1Bytes(binary);
+}
+
+/**
+ * Build a PDF document page by page
+ * Coordinates are in points from the top-left corner of the page.
+ */
+export class PdfDocument {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.title] - Document title (shown by viewers)
+   * @param {string} [options.lang='en'] - Natural language of the text
+   */
+  constructor(options = {}) {
+    this.title = options.title || '';
+    this.lang = options.lang || 'en';
+    this.pages = [];
+    this.images = [];
+    this.addPage();
+  }
+
+  /**
+   * Start a new page; later drawing goes on it
+   */
+  addPage() {
+    this.current = { content: [], images: new Set() };
+    this.pages.push(this.current);
+  }
+
+  /**
+   * Draw one line of text
+   * @param {string} text - Text
+   * @param {number} x - Left edge
+   * @param {number} y - Baseline, from the top of the page
+   * @param {Object} [options]
+   * @param {number} [options.size=11] - Font size
+   * @param {boolean} [options.bold=false] - Use Helvetica-Bold
+   * @param {number} [options.gray=0] - Fill gray level (0 black, 1 white)
+   */
+  text(text, x, y, options = {}) {
+    const { size = 11, bold = false, gray = 0 } = options;
+    this.current.content.push(
+      `BT ${num(gray)} g /${bold ? 'F2' : 'F1'} ${num(size)} Tf ${num(x)} ${num(PAGE_HEIGHT - y)} Td (${escapePdfString(text)}) Tj ET`
+    );
+  }
+
+  /**
+   * Draw a straight line
+   * @param {number} x1 - Start x
+   * @param {number} y1 - Start y (from the top)
+   * @param {number} x2 - End x
+   * @param {number} y2 - End y (from the top)
+   * @param {number} [gray=0.75] - Stroke gray level
+   */
+  line(x1, y1, x2, y2, gray = 0.75) {
+    this.current.content.push(
+      `${num(gray)} G 0.5 w ${num(x1)} ${num(PAGE_HEIGHT - y1)} m ${num(x2)} ${num(PAGE_HEIGHT - y2)} l S`
+    );
+  }
+
+  /**
+   * Draw a JPEG image
+   * @param {Uint8Array} jpeg - JPEG file
+   * @param {number} x - Left edge
+   * @param {number} y - Top edge (from the top)
+   * @param {number} width - Drawn width in points
+   * @param {number} height - Drawn height in points
+   */
+  image(jpeg, x, y, width, height) {
+    const { width: pixelWidth, height: pixelHeight } = readJpegSize(jpeg);
+    const index = this.images.length;
+    this.images.push({ jpeg, pixelWidth, pixelHeight });
+    this.current.images.add(index);
+    this.current.content.push(
+      `q ${num(width)} 0 0 ${num(height)} ${num(x)} ${num(PAGE_HEIGHT - y - height)} cm /Im${index} Do Q`
+    );
+  }
+
+  /**
+   * Serialize the document
+   * @returns {Uint8Array} PDF file contents
+   */
+  toBytes() {
+    const objects = []; // index + 1 = object number; each entry is an array of chunks
+    const add = (chunks) => {
+      objects.push(chunks);
+      return objects.length;
+    };
+    const reserve = () => add(null);
+
+    const catalogId = reserve();
+    const pagesId = reserve();
+    const fontId = add([
+      '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+    ]);
+    const boldFontId = add([
+      '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+    ]);
+    const infoId = add([
+      `<< /Title (${escapePdfString(this.title)}) /Producer (OpenSCAD Assistive Forge) >>`,
+    ]);
+    const imageIds = this.images.map(({ jpeg, pixelWidth, pixelHeight }) =>
+      add([
+        `<< /Type /XObject /Subtype /Image /Width ${pixelWidth} /Height ${pixelHeight} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${jpeg.length} >>\nstream\n`,
+        jpeg,
+        '\nendstream',
+      ])
+    );
+
+    const pageIds = this.pages.map((page) => {
+      const content = page.content.join('\n');
+      const contentId = add([
+        `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+      ]);
+      const xObjects = [...page.images]
+        .map((index) => `/Im${index} ${imageIds[index]} 0 R`)
+        .join(' ');
+      return add([
+        `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Contents ${contentId} 0 R /Resources << /Font << /F1 ${fontId} 0 R /F2 ${boldFontId} 0 R >>${xObjects ? ` /XObject << ${xObjects} >>` : ''} >> >>`,
+      ]);
+    });
+
+    objects[catalogId - 1] = [
+      `<< /Type /Catalog /Pages ${pagesId} 0 R /Lang (${escapePdfString(this.lang)}) /ViewerPreferences << /DisplayDocTitle true >> >>`,
+    ];
+    objects[pagesId - 1] = [
+      `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`,
+    ];
+
+    const chunks = [latin1Bytes('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n')];
+    let length = chunks[0].length;
+    const offsets = [];
+    objects.forEach((parts, i) => {
+      offsets.push(length);
+      for (const part of [`${i + 1} 0 obj\n`, ...parts, '\nendobj\n']) {
+        const bytes = typeof part === 'string' ? latin1Bytes(part) : part;
+        chunks.push(bytes);
+        length += bytes.length;
+      }
+    });
+
+    const xref = [
+      'xref',
+      `0 ${objects.length + 1}`,
+      '0000000000 65535 f ',
+      ...offsets.map(
+        (offset) => `${String(offset).padStart(10, '0')} 00000 n `
+      ),
+      'trailer',
+      `<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>`,
+      'startxref',
+      String(length),
+      '%%EOF',
+      '',
+    ].join('\n');
+    chunks.push(latin1Bytes(xref));
+
+    const output = new Uint8Array(length + chunks[chunks.length - 1].length);
+    let offset = 0;
+    for (const chunk of chunks) {
+      output.set(chunk, offset);
+      offset += chunk.length;
+    }
+    return output;
+  }
+}
@@ -3,6 +3,17 @@
  * @license GPL-3.0-or-later
  */
 
+import {
+  formatScadValue,
+  isScadRange,
+  parseScadLiteral,
+} from './scad-value-utils.js';
+import { omitHiddenParameters } from './dependency-conditions.js';
+import {
+  getParameterFilePath,
+  isFileParameterValue,
+} from './parameter-files.js';
+
 // Import validation at module level
 let validatePresetsCollectionFn = null;
 (async () => {
@@ -40,6 +51,35 @@ function isForgeFormat(data) {
   );
 }
 
+/**
+ * Read the named parameter sets from a parsed preset file
+ * Accepts OpenSCAD native format ({ parameterSets }) and both Forge formats.
+ * @param {Object} data - Parsed preset file
+ * @param {Object} paramSchema - Parameter schema from extractParameters()
+ * @returns {Array<{name: string, parameters: Object}>} Sets with coerced values
+ * @throws {Error} If the data is not a recognized preset format
+ */
+export function readParameterSets(data, paramSchema = {}) {
+  let sets;
+  if (isOpenSCADNativeFormat(data)) {
+    sets = Object.entries(data.parameterSets).map(([name, parameters]) => ({
+      name,
+      parameters,
+    }));
+  } else if (isForgeFormat(data)) {
+    sets = data.type === 'openscad-preset' ? [data.preset] : data.presets || [];
+  } else {
+    throw new Error(
+      'Invalid preset file format. Expected Forge format (type: "openscad-preset") or OpenSCAD native format (parameterSets).'
+    );
+  }
+
+  return sets.map((set) => ({
+    name: set.name,
+    parameters: coercePresetValues(set.parameters || {}, paramSchema),
+  }));
+}
+
 /**
  * Coerce string values to proper types based on parameter schema
  * OpenSCAD stores all preset values as strings, but Forge needs proper types
@@ -79,13 +119,10 @@ function autoDetectType(value) {
   if (value === 'true' || value === 'yes') return true;
   if (value === 'false' || value === 'no') return false;
 
-  // Check for array/vector notation
+  // Check for array/vector/range notation
   if (value.startsWith('[') && value.endsWith(']')) {
-    try {
-      return JSON.parse(value);
-    } catch {
-      return value;
-    }
+    const literal = parseScadLiteral(value);
+    return literal ? literal.value : value;
   }
 
   // Check for number
@@ -134,14 +171,13 @@ function coerceToType(value, targetType) {
       return !!value;
 
     case 'vector':
+    case 'list':
     case 'array':
-      if (Array.isArray(value)) return value;
-      if (typeof value === 'string' && value.startsWith('[')) {
-        try {
-          return JSON.parse(value);
-        } catch {
-          return value;
-        }
+    case 'range':
+      if (Array.isArray(value) || isScadRange(value)) return value;
+      if (typeof value === 'string' && value.trim().startsWith('[')) {
+        const literal = parseScadLiteral(value);
+        return literal ? literal.value : value;
       }
       return value;
 
@@ -154,18 +190,26 @@ function coerceToType(value, targetType) {
 /**
  * Convert a Forge preset value to OpenSCAD string format
  * @param {*} value - Value to stringify
+ * @param {string} paramName - Parameter the value belongs to
  * @returns {string} - Stringified value
  */
-function stringifyForOpenSCAD(value) {
+function stringifyForOpenSCAD(value, paramName) {
   if (value === null || value === undefined) return '';
 
+  // Uploads become the path createProjectZip bundles them at, relative to
+  // the ZIP root, e.g. "uploads/logo_file/logo.svg"
+  if (isFileParameterValue(value)) {
+    return getParameterFilePath(paramName, value.name).replace(/^\/+/, '');
+  }
+
   if (typeof value === 'boolean') {
     // OpenSCAD conventionally uses "true"/"false" strings
     return value ? 'true' : 'false';
   }
 
-  if (Array.isArray(value)) {
-    return JSON.stringify(value);
+  // Vectors, lists and ranges use OpenSCAD syntax, e.g. "[40, 20, 10]"
+  if (Array.isArray(value) || isScadRange(value)) {
+    return formatScadValue(value);
   }
 
   return String(value);
@@ -197,6 +241,8 @@ export class PresetManager {
    * @param {string} presetName - Name for the preset
    * @param {Object} parameters - Parameter values to save
    * @param {Object} options - Optional metadata (description, etc.)
+   * @param {Array<{id: string, version: string|null}>} [options.libraries] -
+   *   Library versions the preset was made with
    * @returns {Object} The saved preset
    */
   savePreset(modelName, presetName, parameters, options = {}) {
@@ -210,6 +256,18 @@ export class PresetManager {
       throw new Error('Preset name cannot be empty');
     }
 
+    // Imported files may carry anything here
+    const libraries = (
+      Array.isArray(options.libraries) ? options.libraries : []
+    )
+      .filter(
+        (lib) => typeof lib?.id === 'string' && /^[A-Za-z0-9_-]+$/.test(lib.id)
+      )
+      .map((lib) => ({
+        id: lib.id,
+        version: typeof lib.version === 'string' ? lib.version : null,
+      }));
+
     // Initialize model presets if needed
     if (!this.presets[modelName]) {
       this.presets[modelName] = [];
@@ -228,6 +286,7 @@ export class PresetManager {
       name: sanitized,
       parameters: { ...parameters },
       description: options.description || '',
+      ...(libraries.length > 0 ? { libraries } : {}),
       created:
         existingIndex >= 0
           ? this.presets[modelName][existingIndex].created
@@ -331,9 +390,11 @@ export class PresetManager {
    * Export preset as JSON
    * @param {string} modelName - Name of the model
    * @param {string} presetId - ID of the preset
+   * @param {Object} [paramSchema] - Parameter definitions; when given, values
+   *   hidden by an unmet @depends condition are left out
    * @returns {string} JSON string
    */
-  exportPreset(modelName, presetId) {
+  exportPreset(modelName, presetId, paramSchema = null) {
     const preset = this.loadPreset(modelName, presetId);
     if (!preset) return null;
 
@@ -344,7 +405,8 @@ export class PresetManager {
       preset: {
         name: preset.name,
         description: preset.description,
-        parameters: preset.parameters,
+        parameters: omitHiddenParameters(preset.parameters, paramSchema),
+        ...(preset.libraries ? { libraries: preset.libraries } : {}),
         created: preset.created,
       },
       exported: Date.now(),
@@ -356,9 +418,11 @@ export class PresetManager {
   /**
    * Export all presets for a model
    * @param {string} modelName - Name of the model
+   * @param {Object} [paramSchema] - Parameter definitions; when given, values
+   *   hidden by an unmet @depends condition are left out
    * @returns {string} JSON string
    */
-  exportAllPresets(modelName) {
+  exportAllPresets(modelName, paramSchema = null) {
     const presets = this.getPresetsForModel(modelName);
     if (!presets || presets.length === 0) return null;
 
@@ -369,7 +433,8 @@ export class PresetManager {
       presets: presets.map((p) => ({
         name: p.name,
         description: p.description,
-        parameters: p.parameters,
+        parameters: omitHiddenParameters(p.parameters, paramSchema),
+        ...(p.libraries ? { libraries: p.libraries } : {}),
         created: p.created,
       })),
       exported: Date.now(),
@@ -382,9 +447,11 @@ export class PresetManager {
    * Export presets to OpenSCAD native format (parameterSets)
    * This format is compatible with OpenSCAD's built-in Customizer
    * @param {string} modelName - Name of the model
+   * @param {Object} [paramSchema] - Parameter definitions; when given, values
+   *   hidden by an unmet @depends condition are left out
    * @returns {string} JSON string in OpenSCAD native format
    */
-  exportOpenSCADNativeFormat(modelName) {
+  exportOpenSCADNativeFormat(modelName, paramSchema = null) {
     const presets = this.getPresetsForModel(modelName);
     if (!presets || presets.length === 0) return null;
 
@@ -394,8 +461,10 @@ export class PresetManager {
     for (const preset of presets) {
       // Convert all values to strings (OpenSCAD requirement)
       const stringifiedParams = {};
-      for (const [key, value] of Object.entries(preset.parameters)) {
-        stringifiedParams[key] = stringifyForOpenSCAD(value);
+      for (const [key, value] of Object.entries(
+        omitHiddenParameters(preset.parameters, paramSchema)
+      )) {
+        stringifiedParams[key] = stringifyForOpenSCAD(value, key);
       }
       parameterSets[preset.name] = stringifiedParams;
     }
@@ -413,16 +482,20 @@ export class PresetManager {
    * Export a single preset to OpenSCAD native format
    * @param {string} modelName - Name of the model
    * @param {string} presetId - ID of the preset
+   * @param {Object} [paramSchema] - Parameter definitions; when given, values
+   *   hidden by an unmet @depends condition are left out
    * @returns {string} JSON string in OpenSCAD native format
    */
-  exportPresetOpenSCADNative(modelName, presetId) {
+  exportPresetOpenSCADNative(modelName, presetId, paramSchema = null) {
     const preset = this.loadPreset(modelName, presetId);
     if (!preset) return null;
 
     // Convert values to strings
     const stringifiedParams = {};
-    for (const [key, value] of Object.entries(preset.parameters)) {
-      stringifiedParams[key] = stringifyForOpenSCAD(value);
+    for (const [key, value] of Object.entries(
+      omitHiddenParameters(preset.parameters, paramSchema)
+    )) {
+      stringifiedParams[key] = stringifyForOpenSCAD(value, key);
     }
 
     // Create OpenSCAD native structure with single preset
@@ -478,6 +551,11 @@ export class PresetManager {
       return a.every((val, idx) => this.valuesEqual(val, b[idx]));
     }
 
+    // Handle ranges
+    if (isScadRange(a) && isScadRange(b)) {
+      return a.begin === b.begin && a.step === b.step && a.end === b.end;
+    }
+
     // Handle numbers with floating point tolerance
     if (typeof a === 'number' && typeof b === 'number') {
       return Math.abs(a - b) < 0.0001;
@@ -713,7 +791,10 @@ export class PresetManager {
         data.modelName,
         data.preset.name,
         coercedParams,
-        { description: data.preset.description }
+        {
+          description: data.preset.description,
+          libraries: data.preset.libraries,
+        }
       );
       imported = 1;
       results.push(result);
@@ -729,7 +810,10 @@ export class PresetManager {
             data.modelName,
             preset.name,
             coercedParams,
-            { description: preset.description }
+            {
+              description: preset.description,
+              libraries: preset.libraries,
+            }
           );
           imported++;
           results.push(result);
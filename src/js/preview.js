@@ -4,6 +4,16 @@
  */
 
 import { normalizeHexColor } from './color-utils.js';
+import {
+  getSectionNormal,
+  getSectionRange,
+  computeCrossSection,
+  sectionPointTo3D,
+  roundSectionValue,
+  describeCrossSection,
+  getSectionAxisLabel,
+} from './cross-section.js';
+import { buildMeasureTopology, findFeatureAt } from './feature-measure.js';
 
 // Lazy-loaded Three.js modules - loaded on demand to reduce initial bundle size
 let THREE = null;
@@ -65,6 +75,74 @@ export function isThreeJsLoaded() {
   return threeJsLoaded;
 }
 
+/**
+ * Draft CSG preview styling (see loadDraft())
+ */
+const DRAFT_STYLE = {
+  subtractorColor: 0xe53935, // Parts a difference() removes
+  subtractorOpacity: 0.3,
+  backgroundColor: 0x9e9e9e, // % (background) modifier
+  backgroundOpacity: 0.2,
+};
+
+/**
+ * Cross-section styling (see setSection())
+ */
+const SECTION_STYLE = {
+  capColor: 0xffb300, // Cut faces
+  capColorDark: 0xffca28,
+  offset: 0.01, // mm toward the viewer (see syncSectionPlane())
+};
+
+/**
+ * Feature measurement styling (see showMeasureAnnotations())
+ */
+const MEASURE_STYLE = {
+  highlightColor: 0x00b3ff, // Feature under the keyboard cursor
+  selectedColor: 0xff9800, // Features picked for the next measurement
+  faceOpacity: 0.35,
+  markerSize: 0.012, // Vertex marker radius, relative to the model size
+  clickTolerance: 5, // px a pointer may move and still count as a click
+};
+
+/**
+ * Comparison diff overlay styling (see loadDiffOverlay())
+ * Blue/orange and green/vermillion from the Okabe-Ito palette stay
+ * distinguishable with the common forms of color blindness.
+ */
+const DIFF_STYLE = {
+  beforeColor: 0x0072b2, // Surface both versions share, as first drawn
+  afterColor: 0xe69f00,
+  keptOpacity: 0.35,
+  addedColor: 0x009e73, // Surface only the second version has
+  removedColor: 0xd55e00, // Surface only the first version has
+};
+
+/**
+ * Build a mesh for one layer of a multi-part preview (draft or diff)
+ * Translucent layers skip the depth buffer so the layers behind stay visible.
+ * @param {Float32Array} positions - Nine values per triangle
+ * @param {number} color - Hex color
+ * @param {number} opacity - 0-1
+ * @returns {THREE.Mesh|null} Null when there are no triangles
+ */
+function createLayerMesh(positions, color, opacity) {
+  if (!positions?.length) return null;
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+  geometry.computeVertexNormals();
+  const material = new THREE.MeshPhongMaterial({
+    color,
+    specular: 0x111111,
+    shininess: 30,
+    side: THREE.DoubleSide,
+    transparent: opacity < 1,
+    opacity,
+    depthWrite: opacity >= 1,
+  });
+  return new THREE.Mesh(geometry, material);
+}
+
 /**
  * LOD (Level of Detail) configuration
  */
@@ -140,6 +218,30 @@ export class PreviewManager {
     this.currentTheme = options.theme || 'light';
     this.highContrast = options.highContrast || false;
     this.colorOverride = null;
+    this.colorGroups = null; // Triangle ranges per color() region
+    this.draftGroup = null; // Draft CSG preview shown while the mesh renders
+    this.diffGroup = null; // Comparison diff overlay (see loadDiffOverlay())
+
+    // Cross-section plane (see setSection())
+    this.sectionConfig = {
+      enabled: false,
+      axis: 'z',
+      customNormal: [1, 1, 0],
+      offset: null, // mm from the model's lowest point; null for the middle
+    };
+    this.section = null; // Current result of computeCrossSection()
+    this.sectionHelpers = null; // Cap, outline and labels (follow the mesh)
+    this.sectionPlane = null; // World-space clipping plane
+    this.sectionPlaneLocal = null; // Same plane in mesh coordinates
+
+    // Feature measurement mode (see setMeasureMode())
+    this.measureMode = false;
+    this.measureType = 'face'; // Feature type picked with the pointer
+    this.measureTopology = null; // From buildMeasureTopology(), built on demand
+    this.measureAnnotations = null; // Last state passed to showMeasureAnnotations()
+    this.measureHelpers = null; // Highlights and measurement labels (follow the mesh)
+    this._measureCallbacks = {}; // onPick, onStep, onSelect
+    this._measurePointerHandlers = null;
 
     // Measurements
     this.measurementsEnabled = this.loadMeasurementPreference();
@@ -449,17 +551,21 @@ export class PreviewManager {
     }
 
     // Update model color if mesh exists
-    if (this.mesh && this.mesh.material) {
-      const themeHex = `#${colors.model.toString(16).padStart(6, '0')}`;
-      const appliedHex = this.colorOverride || themeHex;
-      this.mesh.material.color.setHex(parseInt(appliedHex.slice(1), 16));
-    }
+    this.applyColorToMesh();
 
     // Refresh measurements if they're visible
     if (this.measurementsEnabled && this.mesh) {
       this.showMeasurements();
     }
 
+    // Redraw the section outline and labels in the new colors
+    if (this.section) {
+      this.updateSection();
+    }
+    if (this.measureAnnotations) {
+      this.showMeasureAnnotations(this.measureAnnotations);
+    }
+
     console.log(`[Preview] Theme updated to ${themeKey}`);
   }
 
@@ -474,6 +580,8 @@ export class PreviewManager {
 
   /**
    * Apply the current color (override or theme default) to the mesh
+   * Models with color() regions keep their colors; the override only tints
+   * faces outside any color() call.
    * Safe to call even if mesh doesn't exist yet
    */
   applyColorToMesh() {
@@ -482,7 +590,27 @@ export class PreviewManager {
     const colors = PREVIEW_COLORS[this.currentTheme] || PREVIEW_COLORS.light;
     const themeHex = `#${colors.model.toString(16).padStart(6, '0')}`;
     const appliedHex = this.colorOverride || themeHex;
-    this.mesh.material.color.setHex(parseInt(appliedHex.slice(1), 16));
+
+    const colorAttribute = this.mesh.geometry?.getAttribute?.('color');
+    if (!this.colorGroups || !colorAttribute) {
+      this.mesh.material.color.setHex(parseInt(appliedHex.slice(1), 16));
+      return;
+    }
+
+    // Vertex colors multiply the material color, so keep it white
+    this.mesh.material.color.setHex(0xffffff);
+    const color = new THREE.Color();
+    for (const group of this.colorGroups) {
+      color.setHex(parseInt((group.color || appliedHex).slice(1), 16));
+      const end = Math.min(
+        (group.start + group.count) * 3,
+        colorAttribute.count
+      );
+      for (let v = group.start * 3; v < end; v++) {
+        colorAttribute.setXYZ(v, color.r, color.g, color.b);
+      }
+    }
+    colorAttribute.needsUpdate = true;
   }
 
   /**
@@ -629,6 +757,24 @@ export class PreviewManager {
         }
       }
 
+      // Measurement mode: step through features and select them
+      if (
+        this.measureMode &&
+        !event.ctrlKey &&
+        !event.altKey &&
+        !event.metaKey &&
+        ['[', ']', 'Enter'].includes(event.key)
+      ) {
+        event.preventDefault();
+        event.stopPropagation();
+        if (event.key === 'Enter') {
+          this._measureCallbacks.onSelect?.();
+        } else {
+          this._measureCallbacks.onStep?.(event.key === ']' ? 1 : -1);
+        }
+        return;
+      }
+
       // Zoom (+/- keys or = key for +)
       if (event.key === '+' || event.key === '=' || event.key === '-') {
         const direction = new THREE.Vector3();
@@ -993,10 +1139,12 @@ export class PreviewManager {
    * @param {ArrayBuffer} stlData - Binary STL data
    * @param {Object} [options] - Load options
    * @param {boolean} [options.preserveCamera=false] - If true, preserve current camera position instead of auto-fitting
+   * @param {Array<{color: string|null, start: number, count: number}>|null} [options.colorGroups=null] -
+   *   Triangle ranges per color() region, from the render worker
    * @returns {Promise<{parseMs: number}>} Parse timing info
    */
   loadSTL(stlData, options = {}) {
-    const { preserveCamera = false } = options;
+    const { preserveCamera = false, colorGroups = null } = options;
     return new Promise((resolve, reject) => {
       try {
         const parseStartTime = performance.now();
@@ -1010,7 +1158,15 @@ export class PreviewManager {
         // Remove any existing LOD warning
         this.hideLODWarning();
 
+        // Replace the draft preview or diff overlay, if one is showing
+        this.clearDraft();
+        this.clearDiffOverlay();
+
         // Remove existing mesh
+        this.clearSectionHelpers();
+        this.clearMeasureHelpers();
+        this.measureTopology = null;
+        this.measureAnnotations = null;
         if (this.mesh) {
           this.scene.remove(this.mesh);
           this.mesh.geometry.dispose();
@@ -1054,6 +1210,15 @@ export class PreviewManager {
           this.applyAutoBed(geometry);
         }
 
+        // Colored models get one color per vertex, filled in by applyColorToMesh()
+        this.colorGroups = colorGroups?.length ? colorGroups : null;
+        if (this.colorGroups) {
+          geometry.setAttribute(
+            'color',
+            new THREE.BufferAttribute(new Float32Array(vertexCount * 3), 3)
+          );
+        }
+
         // Create material with theme-aware color
         const colors = PREVIEW_COLORS[this.currentTheme];
         const themeHex = `#${colors.model.toString(16).padStart(6, '0')}`;
@@ -1063,6 +1228,7 @@ export class PreviewManager {
           specular: 0x111111,
           shininess: 30,
           flatShading: false,
+          vertexColors: Boolean(this.colorGroups),
         });
 
         // Create mesh
@@ -1071,7 +1237,7 @@ export class PreviewManager {
 
         // Re-apply color override if one was set before mesh loaded
         // This ensures color changes made before/during render are applied
-        if (this.colorOverride) {
+        if (this.colorOverride || this.colorGroups) {
           this.applyColorToMesh();
         }
 
@@ -1093,6 +1259,11 @@ export class PreviewManager {
           this.showMeasurements();
         }
 
+        // Re-cut the new model at the same section plane
+        if (this.sectionConfig.enabled) {
+          this.updateSection();
+        }
+
         // Update screen reader model summary (WCAG 2.2)
         this.updateModelSummary();
 
@@ -1105,6 +1276,167 @@ export class PreviewManager {
     });
   }
 
+  /**
+   * Show a draft CSG preview until the rendered mesh arrives
+   * Solids use the model color (or their color()); subtracted parts are
+   * drawn translucent red and % background parts translucent gray. The
+   * draft is placed like a rendered mesh (centered, on the bed with
+   * auto-bed), so the mesh that replaces it lands in the same spot.
+   * @param {Object} draft - From buildCsgDraft()
+   * @param {Object} [options]
+   * @param {boolean} [options.preserveCamera=false] - Keep the camera position
+   */
+  loadDraft(draft, options = {}) {
+    const { preserveCamera = false } = options;
+
+    this.hideLODWarning();
+    this.hideMeasurements();
+    this.clearDraft();
+    this.clearDiffOverlay();
+    this.clearSectionHelpers();
+    this.section = null;
+    this.clearMeasureHelpers();
+    this.measureTopology = null;
+    this.measureAnnotations = null;
+    if (this.mesh) {
+      this.scene.remove(this.mesh);
+      this.mesh.geometry.dispose();
+      this.mesh.material.dispose();
+      this.mesh = null;
+    }
+    this.colorGroups = null;
+
+    const colors = PREVIEW_COLORS[this.currentTheme] || PREVIEW_COLORS.light;
+    const themeHex = `#${colors.model.toString(16).padStart(6, '0')}`;
+    const group = new THREE.Group();
+    const addLayer = (positions, color, opacity) => {
+      const layer = createLayerMesh(positions, color, opacity);
+      if (layer) group.add(layer);
+    };
+
+    for (const solid of draft.solids) {
+      const hex = solid.color || this.colorOverride || themeHex;
+      addLayer(solid.positions, parseInt(hex.slice(1), 16), solid.alpha);
+    }
+    addLayer(
+      draft.subtractors,
+      DRAFT_STYLE.subtractorColor,
+      DRAFT_STYLE.subtractorOpacity
+    );
+    addLayer(
+      draft.background,
+      DRAFT_STYLE.backgroundColor,
+      DRAFT_STYLE.backgroundOpacity
+    );
+
+    if (draft.bounds) {
+      const { min, max } = draft.bounds;
+      const center = min.map((value, i) => (value + max[i]) / 2);
+      group.position.set(
+        -center[0],
+        -center[1],
+        this.autoBedEnabled ? -min[2] : -center[2]
+      );
+    }
+
+    this.draftGroup = group;
+    this.scene.add(group);
+
+    if (!preserveCamera) {
+      this.fitCameraToModel();
+    }
+    this.updateModelSummary();
+  }
+
+  /**
+   * Remove the draft CSG preview, if one is showing
+   */
+  clearDraft() {
+    if (!this.draftGroup) return;
+    this.scene.remove(this.draftGroup);
+    for (const child of this.draftGroup.children) {
+      child.geometry.dispose();
+      child.material.dispose();
+    }
+    this.draftGroup = null;
+  }
+
+  /**
+   * Show two versions of a model superimposed, with their differences marked
+   * Surface both versions share is drawn translucent blue (first) and orange
+   * (second); surface only the second has is solid green (added) and surface
+   * only the first has is solid vermillion (removed). Replaces any mesh or
+   * draft that was showing.
+   * The overlay is centered on the combined bounds of both meshes, like a
+   * rendered mesh.
+   * @param {Object} diff - From computeMeshDiff()
+   * @param {Object} [options]
+   * @param {boolean} [options.preserveCamera=false] - Keep the camera position
+   */
+  loadDiffOverlay(diff, options = {}) {
+    const { preserveCamera = false } = options;
+    const bounds = diff.bounds || null;
+
+    this.hideLODWarning();
+    this.hideMeasurements();
+    this.clearDraft();
+    this.clearDiffOverlay();
+    this.clearSectionHelpers();
+    this.section = null;
+    this.clearMeasureHelpers();
+    this.measureTopology = null;
+    this.measureAnnotations = null;
+    if (this.mesh) {
+      this.scene.remove(this.mesh);
+      this.mesh.geometry.dispose();
+      this.mesh.material.dispose();
+      this.mesh = null;
+    }
+    this.colorGroups = null;
+
+    const group = new THREE.Group();
+    [
+      [diff.keptBefore, DIFF_STYLE.beforeColor, DIFF_STYLE.keptOpacity],
+      [diff.keptAfter, DIFF_STYLE.afterColor, DIFF_STYLE.keptOpacity],
+      [diff.removed, DIFF_STYLE.removedColor, 1],
+      [diff.added, DIFF_STYLE.addedColor, 1],
+    ].forEach(([positions, color, opacity]) => {
+      const layer = createLayerMesh(positions, color, opacity);
+      if (layer) group.add(layer);
+    });
+
+    if (bounds) {
+      const { min, max } = bounds;
+      const center = min.map((value, i) => (value + max[i]) / 2);
+      group.position.set(
+        -center[0],
+        -center[1],
+        this.autoBedEnabled ? -min[2] : -center[2]
+      );
+    }
+
+    this.diffGroup = group;
+    this.scene.add(group);
+
+    if (!preserveCamera) {
+      this.fitCameraToModel();
+    }
+    this.updateModelSummary();
+  }
+
+  /**
+   * Remove the diff overlay, if one is showing
+   */
+  clearDiffOverlay() {
+    if (!this.diffGroup) return;
+    this.scene.remove(this.diffGroup);
+    for (const child of this.diffGroup.children) {
+      child.geometry.dispose();
+      child.material.dispose();
+    }
+    this.diffGroup = null;
+  }
+
   /**
    * Show LOD (Level of Detail) warning for large models
    * @param {number} vertexCount - Number of vertices
@@ -1191,10 +1523,11 @@ export class PreviewManager {
    * Fit camera to model bounds (Z-up coordinate system, OpenSCAD-style diagonal view)
    */
   fitCameraToModel() {
-    if (!this.mesh) return;
+    const model = this.mesh || this.draftGroup || this.diffGroup;
+    if (!model) return;
 
     // Compute bounding box
-    const box = new THREE.Box3().setFromObject(this.mesh);
+    const box = new THREE.Box3().setFromObject(model);
     const center = box.getCenter(new THREE.Vector3());
     const size = box.getSize(new THREE.Vector3());
 
@@ -1354,6 +1687,102 @@ export class PreviewManager {
     };
   }
 
+  /**
+   * Capture images of the model from fixed camera angles
+   * The camera is restored afterwards, so the user's view is unchanged.
+   * @param {Array<{id: string, label: string, direction: Array<number>, up?: Array<number>}>} views
+   *   - Direction from the model center to the camera (Z-up); `up` defaults to +Z
+   * @param {string} [type='image/jpeg'] - Image MIME type
+   * @returns {Array<{id: string, label: string, dataUrl: string, width: number, height: number}>}
+   */
+  captureSnapshots(views, type = 'image/jpeg') {
+    if (!this.mesh) return [];
+
+    const saved = {
+      position: this.camera.position.clone(),
+      up: this.camera.up.clone(),
+      target: this.controls.target.clone(),
+    };
+
+    const sphere = new THREE.Box3()
+      .setFromObject(this.mesh)
+      .getBoundingSphere(new THREE.Sphere());
+    const verticalFov = this.camera.fov * (Math.PI / 180);
+    const horizontalFov =
+      2 * Math.atan(Math.tan(verticalFov / 2) * this.camera.aspect);
+    const distance =
+      (sphere.radius / Math.sin(Math.min(verticalFov, horizontalFov) / 2)) *
+      1.05;
+    const { width, height } = this.renderer.domElement;
+
+    const snapshots = views.map((view) => {
+      const direction = new THREE.Vector3(...view.direction).normalize();
+      this.camera.up.set(...(view.up || [0, 0, 1]));
+      this.camera.position
+        .copy(sphere.center)
+        .addScaledVector(direction, distance);
+      this.camera.lookAt(sphere.center);
+      this.renderer.render(this.scene, this.camera);
+      // Read back in the same task as render(); the drawing buffer isn't preserved
+      return {
+        id: view.id,
+        label: view.label,
+        dataUrl: this.renderer.domElement.toDataURL(type, 0.9),
+        width,
+        height,
+      };
+    });
+
+    this.camera.position.copy(saved.position);
+    this.camera.up.copy(saved.up);
+    this.controls.target.copy(saved.target);
+    this.camera.lookAt(saved.target);
+    this.controls.update();
+    this.renderer.render(this.scene, this.camera);
+
+    return snapshots;
+  }
+
+  /**
+   * Current camera placement, for copying to another preview
+   * @returns {{position: number[], target: number[], up: number[]}|null}
+   *   Null before init()
+   */
+  getCameraState() {
+    if (!this.camera || !this.controls) return null;
+    return {
+      position: this.camera.position.toArray(),
+      target: this.controls.target.toArray(),
+      up: this.camera.up.toArray(),
+    };
+  }
+
+  /**
+   * Move the camera to a placement from getCameraState()
+   * @param {{position: number[], target: number[], up?: number[]}} state
+   */
+  setCameraState(state) {
+    if (!this.camera || !this.controls || !state) return;
+    this.camera.position.fromArray(state.position);
+    this.controls.target.fromArray(state.target);
+    if (state.up) this.camera.up.fromArray(state.up);
+    this.camera.lookAt(this.controls.target);
+    this.controls.update();
+  }
+
+  /**
+   * Call back whenever the camera moves (orbit, pan, zoom, keyboard or
+   * camera buttons)
+   * @param {Function} callback - Receives getCameraState()
+   * @returns {Function} Stops the callbacks
+   */
+  onCameraChange(callback) {
+    if (!this.controls) return () => {};
+    const handler = () => callback(this.getCameraState());
+    this.controls.addEventListener('change', handler);
+    return () => this.controls?.removeEventListener('change', handler);
+  }
+
   /**
    * Update the screen reader accessible model summary (WCAG 2.2)
    * This provides non-visual users with model dimensions
@@ -1362,6 +1791,18 @@ export class PreviewManager {
     const summaryEl = document.getElementById('previewModelSummary');
     if (!summaryEl) return;
 
+    if (!this.mesh && this.draftGroup) {
+      summaryEl.textContent =
+        'Draft 3D preview. Parts that will be cut away are shown in translucent red. The final model is still rendering.';
+      return;
+    }
+
+    if (!this.mesh && this.diffGroup) {
+      summaryEl.textContent =
+        'Comparison overlay. Shared surfaces are translucent blue and orange, added surfaces solid green and removed surfaces solid vermillion.';
+      return;
+    }
+
     if (!this.mesh) {
       summaryEl.textContent =
         'No model loaded. Upload an OpenSCAD file and generate an STL to see the 3D preview.';
@@ -1375,7 +1816,11 @@ export class PreviewManager {
     }
 
     // Format dimensions for screen readers in a clear, natural way
-    summaryEl.textContent = `3D model preview. Dimensions: ${dims.x} millimeters wide (X), ${dims.y} millimeters deep (Y), ${dims.z} millimeters tall (Z). Contains approximately ${dims.triangles.toLocaleString()} triangles. Use arrow keys to rotate, Shift plus arrow keys to pan, and plus or minus to zoom. On-screen camera controls are also available.`;
+    const sectionText = this.section ? ` ${this.describeSection()}.` : '';
+    const measureText = this.measureMode
+      ? ' Measurement mode is on: left and right square brackets step through features, Enter selects one.'
+      : '';
+    summaryEl.textContent = `3D model preview. Dimensions: ${dims.x} millimeters wide (X), ${dims.y} millimeters deep (Y), ${dims.z} millimeters tall (Z). Contains approximately ${dims.triangles.toLocaleString()} triangles.${sectionText} Use arrow keys to rotate, Shift plus arrow keys to pan, and plus or minus to zoom.${measureText} On-screen camera controls are also available.`;
   }
 
   /**
@@ -1819,6 +2264,8 @@ export class PreviewManager {
     // We want the center at Z = 0, so we move the mesh down by autoBedOffset
     const centeringOffset = -this.autoBedOffset;
     this.mesh.position.z += centeringOffset;
+    this.syncSectionPlane();
+    this.syncMeasureHelpers();
 
     this.rotationCenteringEnabled = true;
 
@@ -1852,6 +2299,8 @@ export class PreviewManager {
     // Restore mesh position (undo the centeringOffset applied in enableRotationCentering)
     const restorationOffset = this.autoBedOffset;
     this.mesh.position.z += restorationOffset;
+    this.syncSectionPlane();
+    this.syncMeasureHelpers();
 
     this.rotationCenteringEnabled = false;
 
@@ -2611,6 +3060,497 @@ export class PreviewManager {
     return this.overlayMeasurementsEnabled;
   }
 
+  /**
+   * Configure the cross-section plane
+   * The mesh is clipped at the plane (the part beyond it along the axis is
+   * hidden), the cut is capped, and the outline is drawn with its width and
+   * height. Settings are kept when a new model loads.
+   * @param {Object} options
+   * @param {boolean} [options.enabled] - Show the section
+   * @param {string} [options.axis] - 'x', 'y', 'z' or 'custom'
+   * @param {number[]} [options.customNormal] - Direction for the custom axis
+   * @param {number|null} [options.offset] - Distance from the model's lowest
+   *   point along the axis (mm); null for the middle
+   * @returns {Object|null} Section from computeCrossSection() with axis,
+   *   offset and extent, or null when no section is shown
+   * @throws {Error} If the custom axis direction is zero
+   */
+  setSection(options = {}) {
+    const config = { ...this.sectionConfig, ...options };
+    // Validate before anything changes
+    getSectionNormal(config.axis, config.customNormal);
+    this.sectionConfig = config;
+    return this.updateSection();
+  }
+
+  /**
+   * Range of section offsets for the current model and axis
+   * @returns {{min: number, max: number}|null} Null without a model
+   */
+  getSectionRange() {
+    if (!this.mesh) return null;
+    const { axis, customNormal } = this.sectionConfig;
+    const range = getSectionRange(
+      this.mesh.geometry.attributes.position.array,
+      getSectionNormal(axis, customNormal)
+    );
+    return range ? { min: 0, max: range.max - range.min } : null;
+  }
+
+  /**
+   * Re-cut the model with the configured section plane
+   * @returns {Object|null} See setSection()
+   */
+  updateSection() {
+    this.clearSectionHelpers();
+    this.section = null;
+    this.sectionPlaneLocal = null;
+
+    const { enabled, axis, customNormal } = this.sectionConfig;
+    const positions = this.mesh?.geometry.attributes.position.array;
+    const normal = getSectionNormal(axis, customNormal);
+    const range = positions ? getSectionRange(positions, normal) : null;
+
+    if (!enabled || !range) {
+      if (this.mesh?.material.clippingPlanes?.length) {
+        this.mesh.material.clippingPlanes = [];
+        this.mesh.material.needsUpdate = true;
+      }
+      this.updateModelSummary();
+      return null;
+    }
+
+    const extent = range.max - range.min;
+    const offset = Math.min(
+      Math.max(this.sectionConfig.offset ?? extent / 2, 0),
+      extent
+    );
+    this.sectionConfig.offset = offset;
+    this.section = {
+      ...computeCrossSection(positions, normal, range.min + offset),
+      axis,
+      offset,
+      extent,
+    };
+
+    // Keep the part below the plane: -normal · p + level >= 0
+    this.sectionPlaneLocal = new THREE.Plane(
+      new THREE.Vector3(-normal[0], -normal[1], -normal[2]),
+      range.min + offset
+    );
+    this.sectionPlane = this.sectionPlane || new THREE.Plane();
+    if (!this.mesh.material.clippingPlanes?.length) {
+      this.mesh.material.clippingPlanes = [this.sectionPlane];
+      this.mesh.material.needsUpdate = true;
+    }
+    this.renderer.localClippingEnabled = true;
+
+    this.createSectionHelpers(this.section);
+    this.syncSectionPlane();
+    this.updateModelSummary();
+    return this.section;
+  }
+
+  /**
+   * Move the clipping plane and section helpers with the mesh
+   * Call after changing the mesh's position (e.g. rotation centering).
+   */
+  syncSectionPlane() {
+    if (!this.sectionPlaneLocal || !this.mesh) return;
+    this.mesh.updateMatrixWorld();
+    this.sectionPlane
+      .copy(this.sectionPlaneLocal)
+      .applyMatrix4(this.mesh.matrixWorld);
+    if (this.sectionHelpers) {
+      // Nudged toward the viewer so the cap and outline don't z-fight
+      this.sectionHelpers.position
+        .copy(this.mesh.position)
+        .addScaledVector(this.sectionPlaneLocal.normal, -SECTION_STYLE.offset);
+    }
+  }
+
+  /**
+   * Draw the section cap, outline and dimension labels
+   * @param {Object} section - From computeCrossSection()
+   */
+  createSectionHelpers(section) {
+    const m = section.measurements;
+    if (!m) return;
+
+    const dark = this.currentTheme.includes('dark');
+    const group = new THREE.Group();
+    group.name = 'cross-section';
+    const to3D = (point) => sectionPointTo3D(section, point);
+
+    // Cap: each region with its holes
+    const capPositions = [];
+    section.loops.forEach((loop, index) => {
+      if (!loop.closed || loop.depth % 2 !== 0) return;
+      const holes = section.loops
+        .filter((hole) => hole.closed && hole.parent === index)
+        .map((hole) => hole.points);
+      const contour = loop.points.map(([u, v]) => new THREE.Vector2(u, v));
+      const holeVectors = holes.map((hole) =>
+        hole.map(([u, v]) => new THREE.Vector2(u, v))
+      );
+      const vertices = [loop.points, ...holes].flat();
+      for (const face of THREE.ShapeUtils.triangulateShape(
+        contour,
+        holeVectors
+      )) {
+        for (const i of face) capPositions.push(...to3D(vertices[i]));
+      }
+    });
+    if (capPositions.length) {
+      const geometry = new THREE.BufferGeometry();
+      geometry.setAttribute(
+        'position',
+        new THREE.Float32BufferAttribute(capPositions, 3)
+      );
+      const material = new THREE.MeshBasicMaterial({
+        color: dark ? SECTION_STYLE.capColorDark : SECTION_STYLE.capColor,
+        side: THREE.DoubleSide,
+        polygonOffset: true,
+        polygonOffsetFactor: 1,
+        polygonOffsetUnits: 1,
+      });
+      group.add(new THREE.Mesh(geometry, material));
+    }
+
+    // Outline
+    const outlinePositions = [];
+    for (const { points, closed } of section.loops) {
+      const count = closed ? points.length : points.length - 1;
+      for (let i = 0; i < count; i++) {
+        outlinePositions.push(
+          ...to3D(points[i]),
+          ...to3D(points[(i + 1) % points.length])
+        );
+      }
+    }
+    const outlineGeometry = new THREE.BufferGeometry();
+    outlineGeometry.setAttribute(
+      'position',
+      new THREE.Float32BufferAttribute(outlinePositions, 3)
+    );
+    group.add(
+      new THREE.LineSegments(
+        outlineGeometry,
+        new THREE.LineBasicMaterial({ color: dark ? 0xffffff : 0x000000 })
+      )
+    );
+
+    // Width and height, drawn like showMeasurements()
+    const lineColor = dark ? 0xff6b6b : 0xff0000;
+    const gap = Math.max(2, Math.max(m.width, m.height) * 0.05);
+    const dimensions = [
+      {
+        from: [m.min[0], m.min[1] - gap],
+        to: [m.max[0], m.min[1] - gap],
+        label: `${roundSectionValue(m.width)} mm`,
+        at: [(m.min[0] + m.max[0]) / 2, m.min[1] - gap * 2],
+      },
+      {
+        from: [m.min[0] - gap, m.min[1]],
+        to: [m.min[0] - gap, m.max[1]],
+        label: `${roundSectionValue(m.height)} mm`,
+        at: [m.min[0] - gap * 2, (m.min[1] + m.max[1]) / 2],
+      },
+    ];
+    for (const { from, to, label, at } of dimensions) {
+      const geometry = new THREE.BufferGeometry().setFromPoints([
+        new THREE.Vector3(...to3D(from)),
+        new THREE.Vector3(...to3D(to)),
+      ]);
+      group.add(
+        new THREE.Line(
+          geometry,
+          new THREE.LineBasicMaterial({ color: lineColor })
+        )
+      );
+      const sprite = this.createTextSprite(label, lineColor);
+      sprite.position.set(...to3D(at));
+      group.add(sprite);
+    }
+
+    this.sectionHelpers = group;
+    this.scene.add(group);
+  }
+
+  /**
+   * Remove the section cap, outline and labels
+   */
+  clearSectionHelpers() {
+    if (!this.sectionHelpers) return;
+    this.sectionHelpers.traverse((child) => {
+      if (child.geometry) child.geometry.dispose();
+      if (child.material) {
+        if (child.material.map) child.material.map.dispose();
+        child.material.dispose();
+      }
+    });
+    this.scene.remove(this.sectionHelpers);
+    this.sectionHelpers = null;
+  }
+
+  /**
+   * Describe the current section for screen readers
+   * @returns {string|null} Null when no section is shown
+   */
+  describeSection() {
+    if (!this.section) return null;
+    return describeCrossSection(
+      this.section,
+      getSectionAxisLabel(this.section.axis),
+      this.section.offset
+    );
+  }
+
+  /**
+   * Turn feature measurement mode on or off
+   * In measurement mode a click on the model picks the nearest feature of
+   * measureType, and on the focused canvas [ and ] step through features
+   * and Enter selects the current one. The callers (see measure-panel.js)
+   * keep the selection and the measurement list.
+   * @param {boolean} enabled
+   * @param {Object} [callbacks]
+   * @param {Function} [callbacks.onPick] - Receives the picked feature (or null)
+   * @param {Function} [callbacks.onStep] - Receives 1 or -1
+   * @param {Function} [callbacks.onSelect] - Select the current feature
+   */
+  setMeasureMode(enabled, callbacks = {}) {
+    this.measureMode = Boolean(enabled);
+    this._measureCallbacks = this.measureMode ? callbacks : {};
+    const canvas = this.renderer?.domElement;
+
+    if (this._measurePointerHandlers && canvas) {
+      canvas.removeEventListener(
+        'pointerdown',
+        this._measurePointerHandlers.down
+      );
+      canvas.removeEventListener('pointerup', this._measurePointerHandlers.up);
+    }
+    this._measurePointerHandlers = null;
+
+    if (!this.measureMode) {
+      this.clearMeasureHelpers();
+      this.measureAnnotations = null;
+    } else if (canvas) {
+      // A drag orbits the camera; only a click picks
+      let start = null;
+      const down = (event) => {
+        start = event.button === 0 ? [event.clientX, event.clientY] : null;
+      };
+      const up = (event) => {
+        if (!start) return;
+        const moved = Math.hypot(
+          event.clientX - start[0],
+          event.clientY - start[1]
+        );
+        start = null;
+        if (moved > MEASURE_STYLE.clickTolerance) return;
+        this._measureCallbacks.onPick?.(
+          this.pickFeature(event.clientX, event.clientY)
+        );
+      };
+      canvas.addEventListener('pointerdown', down);
+      canvas.addEventListener('pointerup', up);
+      this._measurePointerHandlers = { down, up };
+    }
+    this.updateModelSummary();
+  }
+
+  /**
+   * Features of the current mesh, found on first use
+   * @returns {Object|null} From buildMeasureTopology(), or null without a mesh
+   */
+  getMeasureTopology() {
+    if (!this.mesh) return null;
+    if (!this.measureTopology) {
+      const start = performance.now();
+      this.measureTopology = buildMeasureTopology(
+        this.mesh.geometry.attributes.position.array
+      );
+      console.log(
+        `[Preview] Measurable features found in ${Math.round(performance.now() - start)}ms`
+      );
+    }
+    return this.measureTopology;
+  }
+
+  /**
+   * Pick the feature under a point on the canvas
+   * Parts hidden by the cross-section cannot be picked.
+   * @param {number} clientX
+   * @param {number} clientY
+   * @param {string} [type] - Feature type; defaults to measureType
+   * @returns {Object|null} Feature, or null if nothing was hit
+   */
+  pickFeature(clientX, clientY, type = this.measureType) {
+    const topology = this.getMeasureTopology();
+    if (!topology) return null;
+
+    const rect = this.renderer.domElement.getBoundingClientRect();
+    const pointer = new THREE.Vector2(
+      ((clientX - rect.left) / rect.width) * 2 - 1,
+      -((clientY - rect.top) / rect.height) * 2 + 1
+    );
+    const raycaster = new THREE.Raycaster();
+    raycaster.setFromCamera(pointer, this.camera);
+    const hit = raycaster
+      .intersectObject(this.mesh, false)
+      .find(
+        (intersection) =>
+          !this.sectionPlaneLocal ||
+          this.sectionPlane.distanceToPoint(intersection.point) >= 0
+      );
+    if (!hit) return null;
+
+    const local = this.mesh.worldToLocal(hit.point.clone());
+    return findFeatureAt(
+      topology,
+      type,
+      [local.x, local.y, local.z],
+      hit.faceIndex
+    );
+  }
+
+  /**
+   * Draw measurement highlights and saved measurements on the model
+   * @param {Object} state
+   * @param {Object|null} [state.current] - Feature under the keyboard cursor
+   * @param {Array<Object>} [state.selected] - Features picked so far
+   * @param {Array<Object>} [state.measurements] - Results of measureFeatures()
+   */
+  showMeasureAnnotations(state) {
+    this.clearMeasureHelpers();
+    this.measureAnnotations = state;
+    const topology = this.measureTopology;
+    if (!this.mesh || !topology) return;
+
+    const dark = this.currentTheme.includes('dark');
+    const lineColor = dark ? 0xff6b6b : 0xff0000;
+    if (!this.mesh.geometry.boundingSphere) {
+      this.mesh.geometry.computeBoundingSphere();
+    }
+    const size = this.mesh.geometry.boundingSphere.radius * 2;
+    const group = new THREE.Group();
+    group.name = 'feature-measurements';
+
+    // Drawn over the model so picks on the far side stay visible
+    const lineMaterial = (color) =>
+      new THREE.LineBasicMaterial({ color, depthTest: false });
+    const addLine = (points, color, closed = false) => {
+      const geometry = new THREE.BufferGeometry().setFromPoints(
+        points.map((p) => new THREE.Vector3(...p))
+      );
+      const line = closed
+        ? new THREE.LineLoop(geometry, lineMaterial(color))
+        : new THREE.Line(geometry, lineMaterial(color));
+      line.renderOrder = 1;
+      group.add(line);
+    };
+
+    const addFeature = (feature, color) => {
+      if (feature.type === 'vertex') {
+        const marker = new THREE.Mesh(
+          new THREE.SphereGeometry(size * MEASURE_STYLE.markerSize, 12, 8),
+          new THREE.MeshBasicMaterial({ color, depthTest: false })
+        );
+        marker.position.set(...feature.point);
+        marker.renderOrder = 1;
+        group.add(marker);
+      } else if (feature.type === 'edge' || feature.type === 'circle') {
+        addLine(
+          feature.points,
+          color,
+          feature.type === 'circle' || feature.closed
+        );
+      } else if (feature.type === 'face') {
+        const positions = [];
+        for (const t of feature.triangles) {
+          for (let k = 0; k < 3; k++) {
+            positions.push(...topology.points[topology.triangles[t * 3 + k]]);
+          }
+        }
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute(
+          'position',
+          new THREE.Float32BufferAttribute(positions, 3)
+        );
+        group.add(
+          new THREE.Mesh(
+            geometry,
+            new THREE.MeshBasicMaterial({
+              color,
+              transparent: true,
+              opacity: MEASURE_STYLE.faceOpacity,
+              side: THREE.DoubleSide,
+              depthWrite: false,
+              polygonOffset: true,
+              polygonOffsetFactor: -1,
+              polygonOffsetUnits: -1,
+            })
+          )
+        );
+      }
+    };
+
+    for (const feature of state.selected || []) {
+      addFeature(feature, MEASURE_STYLE.selectedColor);
+    }
+    if (state.current) {
+      addFeature(state.current, MEASURE_STYLE.highlightColor);
+    }
+
+    // Dimension lines and labels, like showMeasurements()
+    for (const measurement of state.measurements || []) {
+      const { from, to, label } = measurement;
+      if (from.some((v, i) => v !== to[i])) {
+        addLine([from, to], lineColor);
+      }
+      const sprite = this.createTextSprite(label, lineColor);
+      sprite.position.set(
+        (from[0] + to[0]) / 2,
+        (from[1] + to[1]) / 2,
+        (from[2] + to[2]) / 2 + 3
+      );
+      sprite.material.depthTest = false;
+      sprite.renderOrder = 2;
+      group.add(sprite);
+    }
+
+    this.measureHelpers = group;
+    this.scene.add(group);
+    this.syncMeasureHelpers();
+  }
+
+  /**
+   * Move the measurement helpers with the mesh
+   * Call after changing the mesh's position (e.g. rotation centering).
+   */
+  syncMeasureHelpers() {
+    if (this.measureHelpers && this.mesh) {
+      this.measureHelpers.position.copy(this.mesh.position);
+    }
+  }
+
+  /**
+   * Remove measurement highlights and labels
+   */
+  clearMeasureHelpers() {
+    if (!this.measureHelpers) return;
+    this.measureHelpers.traverse((child) => {
+      if (child.geometry) child.geometry.dispose();
+      if (child.material) {
+        if (child.material.map) child.material.map.dispose();
+        child.material.dispose();
+      }
+    });
+    this.scene.remove(this.measureHelpers);
+    this.measureHelpers = null;
+  }
+
   /**
    * Clear the preview
    */
@@ -2622,12 +3562,20 @@ export class PreviewManager {
     this.rotationCenteringEnabled = false;
     this.autoBedOffset = 0;
 
+    this.clearSectionHelpers();
+    this.section = null;
+    this.clearMeasureHelpers();
+    this.measureTopology = null;
+    this.measureAnnotations = null;
     if (this.mesh) {
       this.scene.remove(this.mesh);
       this.mesh.geometry.dispose();
       this.mesh.material.dispose();
       this.mesh = null;
     }
+    this.clearDraft();
+    this.clearDiffOverlay();
+    this.colorGroups = null;
 
     // Keep the overlay when clearing the model (user may want to reference it for alignment)
     // But update its Z position since auto-bed offset is reset
@@ -2671,10 +3619,15 @@ export class PreviewManager {
       this.keyboardHandler = null;
     }
 
+    this.setMeasureMode(false);
+    this.clearSectionHelpers();
+    this.clearMeasureHelpers();
     if (this.mesh) {
       this.mesh.geometry.dispose();
       this.mesh.material.dispose();
     }
+    this.clearDraft();
+    this.clearDiffOverlay();
 
     // Clean up reference overlay
     this.removeReferenceOverlay();
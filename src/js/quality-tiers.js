@@ -524,6 +524,65 @@ export function getAdaptiveQualityConfig(scadContent, parameters = {}) {
   };
 }
 
+/**
+ * Apply a quality preset's tessellation limits to parameter values
+ *
+ * Quality presets control tessellation through $fn, $fa, and $fs:
+ * - $fn: Number of segments for full circles (0 = use $fa/$fs instead)
+ * - $fa: Minimum angle (degrees) per segment (default 12°)
+ * - $fs: Minimum size (mm) per segment (default 2mm)
+ *
+ * For FULL/DESKTOP_DEFAULT quality, we only SET defaults if the model
+ * doesn't define them. For PREVIEW/DRAFT, we enforce constraints.
+ *
+ * @param {Object} parameters - Original parameters
+ * @param {Object} quality - Quality preset (e.g. from getQualityPreset())
+ * @returns {Object} Parameters with quality adjustments
+ */
+export function applyQualityPreset(parameters, quality) {
+  const adjusted = { ...parameters };
+  const isFullQuality = quality.name === 'full' || quality.name === 'desktop';
+
+  // Cap $fn if quality has a maxFn limit
+  if (quality.maxFn !== null && adjusted.$fn !== undefined) {
+    adjusted.$fn = Math.min(adjusted.$fn, quality.maxFn);
+  }
+
+  // Optionally force $fn even if the model didn't set it (useful for draft/fast previews)
+  if (quality.maxFn !== null && adjusted.$fn === undefined && quality.forceFn) {
+    adjusted.$fn = quality.maxFn;
+  }
+
+  // Handle $fa (minimum angle)
+  // For full quality: Only set if model doesn't define it (respect model's choices)
+  // For preview/draft: Enforce minimum for performance
+  if (quality.minFa !== null && quality.minFa !== undefined) {
+    if (adjusted.$fa === undefined) {
+      // Model doesn't define $fa - use our default
+      adjusted.$fa = quality.minFa;
+    } else if (!isFullQuality) {
+      // For preview modes, enforce minimum $fa for performance
+      adjusted.$fa = Math.max(adjusted.$fa, quality.minFa);
+    }
+    // For full quality, respect the model's $fa setting
+  }
+
+  // Handle $fs (minimum size)
+  // Same logic as $fa
+  if (quality.minFs !== null && quality.minFs !== undefined) {
+    if (adjusted.$fs === undefined) {
+      // Model doesn't define $fs - use our default
+      adjusted.$fs = quality.minFs;
+    } else if (!isFullQuality) {
+      // For preview modes, enforce minimum $fs for performance
+      adjusted.$fs = Math.max(adjusted.$fs, quality.minFs);
+    }
+    // For full quality, respect the model's $fs setting
+  }
+
+  return adjusted;
+}
+
 /**
  * Get all available quality presets for a tier
  * @param {string} tier - Complexity tier
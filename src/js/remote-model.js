@@ -0,0 +1,256 @@
+/**
+ * Remote Models - Open a model or project named in the page URL
+ *
+ * Lets documentation deep-link to a configured model:
+ *   ?model=https://example.org/keyguard.scad&preset=iPad%209
+ *   ?project=https://example.org/keyguard.zip&preset=iPad%209
+ * Models load from the app's own origin, or from an origin listed in the
+ * VITE_REMOTE_MODEL_ORIGINS build setting (comma-separated). The server must
+ * allow CORS requests from the app.
+ *
+ * @license GPL-3.0-or-later
+ */
+
+import { FILE_SIZE_LIMITS } from './validation-constants.js';
+import { extractZipFiles, getParameterSetPath } from './zip-handler.js';
+
+/**
+ * Parse a comma-separated list of origins from the build configuration
+ * @param {string} [setting] - e.g. "https://example.org, http://localhost:8081"
+ * @returns {string[]} Normalized origins (e.g. "https://example.org")
+ */
+export function parseOriginList(setting) {
+  if (!setting) return [];
+  const origins = [];
+  for (const entry of setting.split(',')) {
+    const trimmed = entry.trim();
+    if (!trimmed) continue;
+    try {
+      origins.push(new URL(trimmed).origin);
+    } catch {
+      console.warn(`[Config] Ignoring invalid origin: ${trimmed}`);
+    }
+  }
+  return origins;
+}
+
+/**
+ * Origins allowed to serve models (VITE_REMOTE_MODEL_ORIGINS)
+ * @param {string} [setting] - Comma-separated origins
+ * @returns {string[]} Normalized origins
+ */
+export function getAllowedModelOrigins(
+  setting = import.meta.env.VITE_REMOTE_MODEL_ORIGINS
+) {
+  return parseOriginList(setting);
+}
+
+/**
+ * Read a ?model= or ?project= request from the page URL
+ * Relative URLs resolve against the page, so `?model=/examples/x.scad` works.
+ * @param {string} search - window.location.search
+ * @param {string} [baseUrl] - Page URL
+ * @returns {{kind: 'model'|'project', url: string, origin: string, fileName: string, preset: string|null}|null}
+ *   null when the URL names no model
+ * @throws {Error} When the model URL is unusable
+ */
+export function parseRemoteModelRequest(
+  search,
+  baseUrl = window.location.href
+) {
+  const params = new URLSearchParams(search);
+  const model = params.get('model');
+  const project = params.get('project');
+  if (!model && !project) return null;
+  if (model && project) {
+    throw new Error('This link names both a model and a project. Use one.');
+  }
+
+  const kind = model ? 'model' : 'project';
+  let url;
+  try {
+    url = new URL(model || project, baseUrl);
+  } catch {
+    throw new Error(`This link's ${kind} address is not a valid URL`);
+  }
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+    throw new Error(`This link's ${kind} address must use http or https`);
+  }
+
+  const lastSegment = decodeURIComponent(
+    url.pathname.split('/').pop() || ''
+  ).trim();
+  const extension = kind === 'model' ? '.scad' : '.zip';
+  if (kind === 'model' && lastSegment.toLowerCase().endsWith('.zip')) {
+    throw new Error('Use ?project= to open a .zip project');
+  }
+  const fileName = lastSegment.toLowerCase().endsWith(extension)
+    ? lastSegment
+    : `${kind}${extension}`;
+
+  return {
+    kind,
+    url: url.href,
+    origin: url.origin,
+    fileName,
+    preset: params.get('preset') || null,
+  };
+}
+
+/**
+ * Decide whether a model may be loaded from an origin
+ * @param {string} origin - Origin serving the model
+ * @param {Object} options
+ * @param {string} options.appOrigin - The app's own origin
+ * @param {string[]} options.allowedOrigins - From getAllowedModelOrigins()
+ * @returns {'same-origin'|'allowed'|'blocked'}
+ */
+export function getRemoteModelAccess(origin, { appOrigin, allowedOrigins }) {
+  if (origin === appOrigin) return 'same-origin';
+  return allowedOrigins.includes(origin) ? 'allowed' : 'blocked';
+}
+
+/**
+ * Text of the prompt shown before opening a model from another site
+ * @param {{kind: string, fileName: string, origin: string}} request
+ * @returns {string}
+ */
+export function getRemoteModelConsentMessage(request) {
+  const host = new URL(request.origin).host;
+  return (
+    `This link opens ${request.fileName} from ${host}.\n\n` +
+    `The ${request.kind}'s OpenSCAD code comes from ${host}, not from this app, ` +
+    'and will run in your browser to build the preview.\n\n' +
+    'Only continue if you trust this site. Open it?'
+  );
+}
+
+/**
+ * Fetch a file, enforcing the origin rules and a size cap
+ * @param {string} url
+ * @param {Object} options
+ * @param {number} options.maxSize - Largest accepted body in bytes
+ * @param {Function} options.isAllowed - (origin) => boolean
+ * @param {Function} options.fetchFn
+ * @returns {Promise<Response|null>} null on 404
+ * @throws {Error} On network errors, bad status, redirects to other origins
+ *   or oversized responses
+ */
+async function fetchChecked(url, { maxSize, isAllowed, fetchFn }) {
+  let response;
+  try {
+    // Never send cookies with a model request
+    response = await fetchFn(url, { credentials: 'omit' });
+  } catch {
+    throw new Error(
+      `Could not download ${url}. The site may be offline or may not allow loading from this app.`
+    );
+  }
+  if (response.status === 404) return null;
+  if (!response.ok) {
+    throw new Error(`Could not download ${url} (HTTP ${response.status})`);
+  }
+  // A redirect must not lead off the allowlist
+  if (response.url && !isAllowed(new URL(response.url).origin)) {
+    throw new Error(`${url} redirected to a site that is not allowed`);
+  }
+  const length = Number(response.headers.get('content-length'));
+  if (length > maxSize) {
+    throw new Error(
+      `${url} is larger than the ${maxSize / (1024 * 1024)}MB limit`
+    );
+  }
+  return response;
+}
+
+/**
+ * Download the model or project for a request
+ * For a single model with a preset, also fetches the parameter set file that
+ * desktop OpenSCAD keeps beside it (keyguard.scad -> keyguard.json), if any.
+ * @param {Object} request - From parseRemoteModelRequest()
+ * @param {Object} options
+ * @param {string} options.appOrigin - The app's own origin
+ * @param {string[]} options.allowedOrigins - From getAllowedModelOrigins()
+ * @param {Function} [options.fetchFn=fetch]
+ * @returns {Promise<{name: string, main: string, content: string, files: Map<string, string>|null, parameterSets: string|null}>}
+ * @throws {Error} When the model cannot be downloaded or read
+ */
+export async function fetchRemoteModel(
+  request,
+  { appOrigin, allowedOrigins, fetchFn = globalThis.fetch.bind(globalThis) }
+) {
+  const isAllowed = (origin) =>
+    getRemoteModelAccess(origin, { appOrigin, allowedOrigins }) !== 'blocked';
+  const maxSize =
+    request.kind === 'model'
+      ? FILE_SIZE_LIMITS.SCAD_FILE
+      : FILE_SIZE_LIMITS.ZIP_FILE;
+
+  const response = await fetchChecked(request.url, {
+    maxSize,
+    isAllowed,
+    fetchFn,
+  });
+  if (!response) {
+    throw new Error(`${request.fileName} was not found at ${request.url}`);
+  }
+  // Content-Length can be missing, so check the body as well
+  const body =
+    request.kind === 'project' ? await response.blob() : await response.text();
+  if ((body.size ?? body.length) > maxSize) {
+    throw new Error(
+      `${request.fileName} is larger than the ${maxSize / (1024 * 1024)}MB limit`
+    );
+  }
+
+  if (request.kind === 'project') {
+    const { files, mainFile } = await extractZipFiles(body);
+    return {
+      name: request.fileName,
+      main: mainFile,
+      content: files.get(mainFile),
+      files,
+      parameterSets: null,
+    };
+  }
+
+  let parameterSets = null;
+  if (request.preset) {
+    const setUrl = new URL(request.url);
+    setUrl.pathname = getParameterSetPath(setUrl.pathname);
+    setUrl.search = '';
+    try {
+      const setResponse = await fetchChecked(setUrl.href, {
+        maxSize: FILE_SIZE_LIMITS.SCAD_FILE,
+        isAllowed,
+        fetchFn,
+      });
+      parameterSets = setResponse ? await setResponse.text() : null;
+    } catch (error) {
+      // The model is still usable without its parameter sets
+      console.warn('[RemoteModel] No parameter set file:', error.message);
+    }
+  }
+
+  return {
+    name: request.fileName,
+    main: request.fileName,
+    content: body,
+    files: null,
+    parameterSets,
+  };
+}
+
+/**
+ * Find a preset by name, ignoring case and surrounding spaces
+ * @param {Array<{id: string, name: string}>} presets
+ * @param {string} name
+ * @returns {Object|null}
+ */
+export function findPresetByName(presets, name) {
+  const wanted = name.trim().toLowerCase();
+  return (
+    presets.find((preset) => preset.name.trim().toLowerCase() === wanted) ||
+    null
+  );
+}
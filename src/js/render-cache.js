@@ -0,0 +1,411 @@
+/**
+ * Render Cache - Persistent, content-addressed geometry cache in IndexedDB
+ *
+ * Render results are keyed by a SHA-256 hash of everything that affects the
+ * geometry: the SCAD source, mounted project files, enabled libraries and
+ * their versions, the quality preset, the parameters, the output format and
+ * the app version. Reopening a project or returning to a preset rendered on
+ * an earlier visit can then show the result without rendering again.
+ *
+ * Entries are evicted least-recently-used first once the cache grows past
+ * its byte budget. Metadata and geometry live in separate stores so sizing
+ * and eviction never have to read the geometry itself.
+ *
+ * @license GPL-3.0-or-later
+ */
+
+import { getVersionString } from './version.js';
+
+const DB_NAME = 'openscad-forge-render-cache';
+const DB_VERSION = 1;
+const ENTRIES_STORE = 'entries'; // { key, size, createdAt, lastAccess }
+const DATA_STORE = 'data'; // { key, stl, stats, colorGroups, ... }
+
+/** Bump when the stored entry shape changes so old entries are not reused */
+const CACHE_FORMAT_VERSION = 1;
+
+/** Default byte budget for cached geometry */
+export const DEFAULT_RENDER_CACHE_BUDGET = 200 * 1024 * 1024;
+
+/** Largest single result worth caching (bigger ones would evict everything) */
+const MAX_ENTRY_FRACTION = 0.25;
+
+let db = null;
+let initPromise = null;
+let byteBudget = DEFAULT_RENDER_CACHE_BUDGET;
+
+/**
+ * Hex SHA-256 digest of a string or binary content
+ * @param {string|ArrayBuffer|ArrayBufferView} content
+ * @returns {Promise<string>}
+ */
+async function sha256Hex(content) {
+  let bytes;
+  if (typeof content === 'string') {
+    bytes = new TextEncoder().encode(content);
+  } else if (ArrayBuffer.isView(content)) {
+    bytes = new Uint8Array(
+      content.buffer,
+      content.byteOffset,
+      content.byteLength
+    );
+  } else if (content instanceof ArrayBuffer) {
+    bytes = new Uint8Array(content);
+  } else {
+    bytes = new TextEncoder().encode(JSON.stringify(content ?? null));
+  }
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return Array.from(new Uint8Array(digest), (byte) =>
+    byte.toString(16).padStart(2, '0')
+  ).join('');
+}
+
+/**
+ * Copy an object with its keys sorted so equal values serialize equally
+ * @param {*} value
+ * @returns {*}
+ */
+function sortKeys(value) {
+  if (Array.isArray(value)) {
+    return value.map(sortKeys);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.keys(value)
+        .sort()
+        .map((key) => [key, sortKeys(value[key])])
+    );
+  }
+  return value;
+}
+
+/**
+ * Compute the cache key for a render
+ * @param {Object} input
+ * @param {string} input.scadContent - OpenSCAD source code
+ * @param {Map<string, string|Uint8Array>|null} [input.files] - Mounted project files
+ * @param {string|null} [input.mainFile] - Main file path within the project
+ * @param {Array<{id: string, version?: string}>} [input.libraries] - Enabled libraries
+ * @param {string} [input.qualityKey] - Quality preset name
+ * @param {Object|null} [input.quality] - Quality settings sent to the worker
+ * @param {Object} [input.parameters] - Parameter values sent to the worker
+ * @param {string} [input.outputFormat] - Output format (default 'stl')
+ * @returns {Promise<string>} Hex digest
+ */
+export async function computeRenderCacheKey(input) {
+  const {
+    scadContent,
+    files = null,
+    mainFile = null,
+    libraries = [],
+    qualityKey = null,
+    quality = null,
+    parameters = {},
+    outputFormat = 'stl',
+  } = input;
+
+  const fileHashes = [];
+  if (files) {
+    const paths = [...files.keys()].sort();
+    for (const path of paths) {
+      fileHashes.push([path, await sha256Hex(files.get(path))]);
+    }
+  }
+
+  return sha256Hex(
+    JSON.stringify({
+      format: CACHE_FORMAT_VERSION,
+      app: getVersionString(),
+      scad: await sha256Hex(scadContent || ''),
+      mainFile,
+      files: fileHashes,
+      libraries: (libraries || [])
+        .map((lib) => [lib.id, lib.version || null])
+        .sort((a, b) => a[0].localeCompare(b[0])),
+      qualityKey,
+      quality: sortKeys(quality),
+      parameters: sortKeys(parameters),
+      outputFormat,
+    })
+  );
+}
+
+/**
+ * Approximate stored size of a render result in bytes
+ * @param {Object} result - { stl, stats, colorGroups, timing, consoleOutput }
+ * @returns {number}
+ */
+export function estimateRenderSize(result) {
+  const { stl, ...rest } = result;
+  return (stl?.byteLength || 0) + JSON.stringify(rest).length * 2;
+}
+
+/**
+ * Set the byte budget; the cache is trimmed on the next write
+ * @param {number} bytes
+ */
+export function setRenderCacheBudget(bytes) {
+  byteBudget = bytes > 0 ? bytes : DEFAULT_RENDER_CACHE_BUDGET;
+}
+
+/**
+ * Open the render cache database
+ * @returns {Promise<IDBDatabase|null>} Null when IndexedDB is unavailable
+ */
+async function openDatabase() {
+  if (db) return db;
+  if (initPromise) return initPromise;
+
+  if (typeof indexedDB === 'undefined' || !indexedDB) {
+    return null;
+  }
+
+  initPromise = new Promise((resolve) => {
+    let request;
+    try {
+      request = indexedDB.open(DB_NAME, DB_VERSION);
+    } catch (error) {
+      console.warn('[Render Cache] IndexedDB open failed:', error);
+      resolve(null);
+      return;
+    }
+
+    request.onerror = () => {
+      console.warn('[Render Cache] IndexedDB open failed:', request.error);
+      resolve(null);
+    };
+
+    request.onsuccess = () => {
+      db = request.result;
+
+      // Another tab upgraded or deleted the database
+      db.onversionchange = () => {
+        db.close();
+        db = null;
+      };
+
+      resolve(db);
+    };
+
+    request.onupgradeneeded = (event) => {
+      const database = event.target.result;
+      if (!database.objectStoreNames.contains(ENTRIES_STORE)) {
+        database.createObjectStore(ENTRIES_STORE, { keyPath: 'key' });
+      }
+      if (!database.objectStoreNames.contains(DATA_STORE)) {
+        database.createObjectStore(DATA_STORE, { keyPath: 'key' });
+      }
+    };
+  }).finally(() => {
+    initPromise = null;
+  });
+
+  return initPromise;
+}
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request
+ * @returns {Promise<*>}
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Wait for a transaction to commit
+ * @param {IDBTransaction} transaction
+ * @returns {Promise<void>}
+ */
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Look up a cached render and mark it as recently used
+ * @param {string} key - From computeRenderCacheKey()
+ * @returns {Promise<Object|null>} { stl, stats, colorGroups, durationMs, timing, consoleOutput }
+ */
+export async function getCachedRender(key) {
+  try {
+    const database = await openDatabase();
+    if (!database) return null;
+
+    const transaction = database.transaction(
+      [ENTRIES_STORE, DATA_STORE],
+      'readonly'
+    );
+    const [entry, data] = await Promise.all([
+      promisifyRequest(transaction.objectStore(ENTRIES_STORE).get(key)),
+      promisifyRequest(transaction.objectStore(DATA_STORE).get(key)),
+    ]);
+    if (!entry || !data) return null;
+
+    // Separate transaction: the read one may have committed by now
+    const touch = database.transaction(ENTRIES_STORE, 'readwrite');
+    touch.objectStore(ENTRIES_STORE).put({ ...entry, lastAccess: Date.now() });
+    await transactionDone(touch);
+
+    const { key: _key, ...result } = data;
+    return result;
+  } catch (error) {
+    console.warn('[Render Cache] Lookup failed:', error);
+    return null;
+  }
+}
+
+/**
+ * Store a render result, then evict old entries to stay within the budget
+ * @param {string} key - From computeRenderCacheKey()
+ * @param {Object} result - { stl, stats, colorGroups, durationMs, timing, consoleOutput }
+ * @returns {Promise<boolean>} True if the result was stored
+ */
+export async function putCachedRender(key, result) {
+  const record = {
+    stl: result.stl,
+    stats: result.stats || null,
+    colorGroups: result.colorGroups || null,
+    durationMs: result.durationMs ?? null,
+    timing: result.timing || {},
+    consoleOutput: result.consoleOutput || '',
+  };
+  const size = estimateRenderSize(record);
+  if (!record.stl || size > byteBudget * MAX_ENTRY_FRACTION) {
+    return false;
+  }
+
+  try {
+    const database = await openDatabase();
+    if (!database) return false;
+
+    const now = Date.now();
+    const transaction = database.transaction(
+      [ENTRIES_STORE, DATA_STORE],
+      'readwrite'
+    );
+    transaction.objectStore(DATA_STORE).put({ key, ...record });
+    transaction
+      .objectStore(ENTRIES_STORE)
+      .put({ key, size, createdAt: now, lastAccess: now });
+    await transactionDone(transaction);
+
+    await evictRenderCache(byteBudget);
+    return true;
+  } catch (error) {
+    // Usually QuotaExceededError; the cache is only an optimization
+    console.warn('[Render Cache] Store failed:', error);
+    return false;
+  }
+}
+
+/**
+ * Pick the entries to drop so the rest fit the budget
+ * @param {Array<{key: string, size: number, lastAccess: number}>} entries
+ * @param {number} budget - Byte budget
+ * @returns {string[]} Keys to delete, least recently used first
+ */
+export function selectEvictions(entries, budget) {
+  const sorted = [...entries].sort((a, b) => a.lastAccess - b.lastAccess);
+  let total = sorted.reduce((sum, entry) => sum + (entry.size || 0), 0);
+  const evict = [];
+  for (const entry of sorted) {
+    if (total <= budget) break;
+    evict.push(entry.key);
+    total -= entry.size || 0;
+  }
+  return evict;
+}
+
+/**
+ * Delete least-recently-used entries until the cache fits the budget
+ * @param {number} budget - Byte budget
+ * @returns {Promise<number>} Number of entries evicted
+ */
+export async function evictRenderCache(budget = byteBudget) {
+  const database = await openDatabase();
+  if (!database) return 0;
+
+  const all = await promisifyRequest(
+    database
+      .transaction(ENTRIES_STORE, 'readonly')
+      .objectStore(ENTRIES_STORE)
+      .getAll()
+  );
+
+  const evict = selectEvictions(all, budget);
+  if (evict.length === 0) return 0;
+
+  const transaction = database.transaction(
+    [ENTRIES_STORE, DATA_STORE],
+    'readwrite'
+  );
+  for (const key of evict) {
+    transaction.objectStore(ENTRIES_STORE).delete(key);
+    transaction.objectStore(DATA_STORE).delete(key);
+  }
+  await transactionDone(transaction);
+  return evict.length;
+}
+
+/**
+ * Count cached renders and their size
+ * @returns {Promise<{count: number, bytes: number, budget: number}>}
+ */
+export async function getRenderCacheSummary() {
+  try {
+    const database = await openDatabase();
+    if (!database) return { count: 0, bytes: 0, budget: byteBudget };
+
+    const transaction = database.transaction(ENTRIES_STORE, 'readonly');
+    const all = await promisifyRequest(
+      transaction.objectStore(ENTRIES_STORE).getAll()
+    );
+    return {
+      count: all.length,
+      bytes: all.reduce((sum, entry) => sum + (entry.size || 0), 0),
+      budget: byteBudget,
+    };
+  } catch (error) {
+    console.warn('[Render Cache] Summary failed:', error);
+    return { count: 0, bytes: 0, budget: byteBudget };
+  }
+}
+
+/**
+ * Remove every cached render
+ * @returns {Promise<boolean>} True if the cache was cleared
+ */
+export async function clearRenderCache() {
+  try {
+    const database = await openDatabase();
+    if (!database) return false;
+
+    const transaction = database.transaction(
+      [ENTRIES_STORE, DATA_STORE],
+      'readwrite'
+    );
+    transaction.objectStore(ENTRIES_STORE).clear();
+    transaction.objectStore(DATA_STORE).clear();
+    await transactionDone(transaction);
+    return true;
+  } catch (error) {
+    console.warn('[Render Cache] Clear failed:', error);
+    return false;
+  }
+}
+
+/**
+ * Render cache as passed to AutoPreviewController
+ */
+export const renderCache = {
+  computeKey: computeRenderCacheKey,
+  get: getCachedRender,
+  put: putCachedRender,
+};
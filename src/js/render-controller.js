@@ -14,8 +14,12 @@ export {
   getAdaptiveQualityConfig,
   getTierPresets,
   formatPresetDescription,
+  applyQualityPreset,
 } from './quality-tiers.js';
 
+import { applyQualityPreset } from './quality-tiers.js';
+import { omitHiddenParameters } from './dependency-conditions.js';
+
 /**
  * Legacy render quality presets (for backwards compatibility)
  *
@@ -292,6 +296,10 @@ export class RenderController {
     this.renderQueue = Promise.resolve();
     this.memoryUsage = null;
     this.onMemoryWarning = null;
+    // Parameter definitions used to drop values hidden by @depends
+    this.parameterSchema = null;
+    // Project files already written to the worker's filesystem
+    this.mountedFiles = null;
 
     // MANIFOLD OPTIMIZED: Reduced default timeouts since Manifold renders much faster
     // Configurable timeout settings
@@ -541,6 +549,9 @@ export class RenderController {
             // Include timing info from worker
             timing: payload.timing || {},
           };
+          if (this.currentRequest.files) {
+            this.mountedFiles = new Map(this.currentRequest.files);
+          }
           this.currentRequest.resolve(result);
           this.currentRequest = null;
 
@@ -723,65 +734,40 @@ export class RenderController {
 
   /**
    * Apply quality settings to parameters
-   *
-   * Quality presets control tessellation through $fn, $fa, and $fs:
-   * - $fn: Number of segments for full circles (0 = use $fa/$fs instead)
-   * - $fa: Minimum angle (degrees) per segment (default 12°)
-   * - $fs: Minimum size (mm) per segment (default 2mm)
-   *
-   * For FULL/DESKTOP_DEFAULT quality, we only SET defaults if the model
-   * doesn't define them. For PREVIEW/DRAFT, we enforce constraints.
-   *
+   * See applyQualityPreset() in quality-tiers.js for how $fn/$fa/$fs are set.
    * @param {Object} parameters - Original parameters
    * @param {Object} quality - Quality preset (RENDER_QUALITY.PREVIEW or RENDER_QUALITY.FULL)
    * @returns {Object} Parameters with quality adjustments
    */
   applyQualitySettings(parameters, quality) {
-    const adjusted = { ...parameters };
-    const isFullQuality = quality.name === 'full' || quality.name === 'desktop';
-
-    // Cap $fn if quality has a maxFn limit
-    if (quality.maxFn !== null && adjusted.$fn !== undefined) {
-      adjusted.$fn = Math.min(adjusted.$fn, quality.maxFn);
-    }
+    return applyQualityPreset(parameters, quality);
+  }
 
-    // Optionally force $fn even if the model didn't set it (useful for draft/fast previews)
-    if (
-      quality.maxFn !== null &&
-      adjusted.$fn === undefined &&
-      quality.forceFn
-    ) {
-      adjusted.$fn = quality.maxFn;
-    }
+  /**
+   * Set the parameter definitions for the loaded model
+   * Values of parameters hidden by an unmet @depends condition are left out
+   * of renders so the model's own defaults apply.
+   * @param {Object|null} parameters - Parameters keyed by name, or null to clear
+   */
+  setParameterSchema(parameters) {
+    this.parameterSchema = parameters || null;
+  }
 
-    // Handle $fa (minimum angle)
-    // For full quality: Only set if model doesn't define it (respect model's choices)
-    // For preview/draft: Enforce minimum for performance
-    if (quality.minFa !== null && quality.minFa !== undefined) {
-      if (adjusted.$fa === undefined) {
-        // Model doesn't define $fa - use our default
-        adjusted.$fa = quality.minFa;
-      } else if (!isFullQuality) {
-        // For preview modes, enforce minimum $fa for performance
-        adjusted.$fa = Math.max(adjusted.$fa, quality.minFa);
-      }
-      // For full quality, respect the model's $fa setting
+  /**
+   * Whether the worker's filesystem already holds exactly these files
+   * @param {Map<string, string>} files - Project files
+   * @returns {boolean}
+   */
+  hasMountedFiles(files) {
+    if (!this.mountedFiles || this.mountedFiles.size !== files.size) {
+      return false;
     }
-
-    // Handle $fs (minimum size)
-    // Same logic as $fa
-    if (quality.minFs !== null && quality.minFs !== undefined) {
-      if (adjusted.$fs === undefined) {
-        // Model doesn't define $fs - use our default
-        adjusted.$fs = quality.minFs;
-      } else if (!isFullQuality) {
-        // For preview modes, enforce minimum $fs for performance
-        adjusted.$fs = Math.max(adjusted.$fs, quality.minFs);
+    for (const [path, content] of files) {
+      if (this.mountedFiles.get(path) !== content) {
+        return false;
       }
-      // For full quality, respect the model's $fs setting
     }
-
-    return adjusted;
+    return true;
   }
 
   /**
@@ -792,7 +778,10 @@ export class RenderController {
    * @param {number} options.timeoutMs - Timeout in milliseconds
    * @param {Function} options.onProgress - Progress callback
    * @param {Object} options.quality - Quality preset (optional, defaults to FULL)
-   * @param {string} options.outputFormat - Output format (stl, obj, off, amf, 3mf)
+   * @param {string} options.outputFormat - Output format (stl, obj, off, amf, 3mf, csg)
+   * @param {boolean} [options.colorParts=false] - For STL output of a model
+   *   using color(), return an STL regrouped by color plus colorGroups for the
+   *   preview instead of OpenSCAD's own STL export
    * @param {Map<string, string>} options.files - Additional files for multi-file projects
    * @param {string} options.mainFile - Main file path (for multi-file projects)
    * @param {Array<{id: string, path: string}>} options.libraries - Library bundles to mount
@@ -801,7 +790,10 @@ export class RenderController {
   async render(scadContent, parameters = {}, options = {}) {
     const run = async () => {
       const quality = options.quality || RENDER_QUALITY.FULL;
-      const adjustedParams = this.applyQualitySettings(parameters, quality);
+      const adjustedParams = this.applyQualitySettings(
+        omitHiddenParameters(parameters, this.parameterSchema),
+        quality
+      );
       // Use explicit timeout if provided, then quality preset, then controller default
       const timeoutMs =
         options.timeoutMs ||
@@ -843,15 +835,21 @@ export class RenderController {
         const requestId = `render-${++this.requestId}`;
 
         return new Promise((resolve, reject) => {
+          // Files stay mounted between renders, so only send them when
+          // they differ from what the worker already has
+          const sendFiles =
+            options.files && !this.hasMountedFiles(options.files);
+
           this.currentRequest = {
             id: requestId,
             resolve,
             reject,
             onProgress: options.onProgress,
+            files: sendFiles ? options.files : null,
           };
 
           // Convert Map to plain object if files are provided
-          const filesObject = options.files
+          const filesObject = sendFiles
             ? Object.fromEntries(options.files)
             : undefined;
 
@@ -875,6 +873,7 @@ export class RenderController {
               files: filesObject,
               mainFile: options.mainFile,
               libraries: options.libraries,
+              colorParts: Boolean(options.colorParts),
               renderOptions,
             },
           });
@@ -927,6 +926,22 @@ export class RenderController {
     });
   }
 
+  /**
+   * Export the evaluated CSG tree (OpenSCAD .csg text) without computing geometry
+   * Much faster than a mesh render; used for draft previews.
+   * @param {string} scadContent - OpenSCAD source code
+   * @param {Object} parameters - Parameter overrides
+   * @param {Object} options - Render options
+   * @returns {Promise<Object>} Render result; data holds the .csg text
+   */
+  async renderCsgTree(scadContent, parameters = {}, options = {}) {
+    return this.render(scadContent, parameters, {
+      ...options,
+      quality: options.quality || RENDER_QUALITY.PREVIEW,
+      outputFormat: 'csg',
+    });
+  }
+
   /**
    * Cancel current render
    */
@@ -956,6 +971,7 @@ export class RenderController {
       this.worker = null;
       this.ready = false;
       this.currentRequest = null;
+      this.mountedFiles = null;
     }
   }
 }
@@ -0,0 +1,291 @@
+/**
+ * Render Pool - Parallel OpenSCAD workers for batch and comparison renders
+ *
+ * The interactive preview keeps the primary RenderController to itself, so a
+ * long batch never delays a parameter tweak. Batch work (render queue,
+ * comparison variants) is spread over extra workers, each a RenderController
+ * of its own that is started on first use. Project files and libraries are
+ * mounted once per worker and reused by its later renders.
+ *
+ * The pool has the same render()/cancel() surface as RenderController, so
+ * RenderQueue and ComparisonController can use either.
+ *
+ * @license GPL-3.0-or-later
+ */
+
+import {
+  RenderController,
+  detectHardware,
+  HARDWARE_LEVEL,
+} from './render-controller.js';
+
+/** Upper bound on pool workers, whatever the hardware reports */
+export const MAX_POOL_SIZE = 8;
+
+/**
+ * Estimated memory per worker in MB (WASM heap plus mounted files)
+ * The worker warns at 1GB; typical renders stay well below that.
+ */
+export const WORKER_MEMORY_ESTIMATE_MB = 512;
+
+/** Share of device memory the pool and the preview worker may use together */
+const MEMORY_BUDGET_FRACTION = 0.5;
+
+/**
+ * Work out how many pool workers this device can run
+ * One core is left for the page and one worker slot for the preview.
+ * @param {Object} [options]
+ * @param {number} [options.requested] - Preferred size (clamped to what fits)
+ * @param {Object} [options.hardware] - From detectHardware()
+ * @param {number} [options.workerMemoryMB] - Memory per worker; pass the
+ *   preview worker's measured usage when known
+ * @returns {number} Pool size (at least 1)
+ */
+export function getPoolSize(options = {}) {
+  const {
+    requested,
+    hardware = detectHardware(),
+    workerMemoryMB = WORKER_MEMORY_ESTIMATE_MB,
+  } = options;
+
+  let limit;
+  if (hardware.isMobile || hardware.level === HARDWARE_LEVEL.LOW) {
+    limit = 1;
+  } else {
+    const coreLimit = hardware.cores - 2;
+    const memoryLimit =
+      Math.floor(
+        (hardware.memoryGB * 1024 * MEMORY_BUDGET_FRACTION) /
+          Math.max(workerMemoryMB, WORKER_MEMORY_ESTIMATE_MB)
+      ) - 1;
+    limit = Math.min(MAX_POOL_SIZE, coreLimit, memoryLimit);
+  }
+  limit = Math.max(1, limit);
+
+  const size = Number.parseInt(requested, 10);
+  return Number.isFinite(size) && size > 0 ? Math.min(size, limit) : limit;
+}
+
+export class RenderPool {
+  /**
+   * @param {Function|Object} getPrimary - Getter returning the interactive
+   *   RenderController (or the controller itself); its parameter schema and
+   *   timeouts are copied to pool workers
+   * @param {Object} [options]
+   * @param {number} [options.size] - Preferred number of workers (see getPoolSize())
+   * @param {Object} [options.hardware] - From detectHardware() (detected if omitted)
+   * @param {string} [options.assetBaseUrl] - Passed to each worker's init()
+   * @param {Function} [options.createController] - Factory for pool workers
+   */
+  constructor(getPrimary, options = {}) {
+    this._getPrimary =
+      typeof getPrimary === 'function' ? getPrimary : () => getPrimary;
+    this.hardware = options.hardware || detectHardware();
+    this.requestedSize = options.size;
+    this.sizeLimit = Infinity; // Lowered when a worker fails to start
+    this.size = getPoolSize({
+      requested: options.size,
+      hardware: this.hardware,
+    });
+    this.assetBaseUrl = options.assetBaseUrl;
+    this.createController =
+      options.createController ||
+      (() => new RenderController(this.primary?.getTimeoutConfig()));
+    this.workers = []; // { controller, busy }
+    this.waiting = []; // { resolve, reject } for callers waiting on a worker
+  }
+
+  /**
+   * The interactive RenderController
+   * @returns {Object|null}
+   */
+  get primary() {
+    return this._getPrimary();
+  }
+
+  /**
+   * Number of renders that can run at once
+   * @returns {number}
+   */
+  get concurrency() {
+    return this.primary?.ready ? Math.max(1, this.size) : 1;
+  }
+
+  /**
+   * Change the preferred pool size
+   * Idle workers above the new size are stopped; busy ones finish first.
+   * @param {number} [size] - Preferred size, or undefined for the device maximum
+   * @returns {number} The size in effect
+   */
+  setSize(size) {
+    this.requestedSize = size;
+    this.sizeLimit = Infinity;
+    this._updateSize();
+    for (const worker of this.workers.filter((w) => !w.busy)) {
+      if (this.workers.length <= this.size) break;
+      this._removeWorker(worker);
+    }
+    return this.size;
+  }
+
+  /**
+   * Whether any pool worker is rendering
+   * @returns {boolean}
+   */
+  isBusy() {
+    return this.workers.some((worker) => worker.busy);
+  }
+
+  /**
+   * Render on the next free worker
+   * Same arguments and result as RenderController.render(). Falls back to
+   * the primary controller when no pool worker can be started.
+   * @param {string} scadContent - OpenSCAD source code
+   * @param {Object} parameters - Parameter overrides
+   * @param {Object} options - Render options
+   * @returns {Promise<Object>} Render result with data and stats
+   */
+  async render(scadContent, parameters = {}, options = {}) {
+    const primary = this.primary;
+    if (!primary) {
+      throw new Error('Render controller not initialized');
+    }
+    if (!primary.ready) {
+      return primary.render(scadContent, parameters, options);
+    }
+    if (this.workers.length === 0) {
+      // Size against the preview worker's latest memory reading
+      this._updateSize();
+    }
+
+    const worker = this.size > 0 ? await this._acquire() : null;
+    if (!worker) {
+      return primary.render(scadContent, parameters, options);
+    }
+
+    try {
+      worker.controller.setParameterSchema(primary.parameterSchema);
+      return await worker.controller.render(scadContent, parameters, options);
+    } finally {
+      this._release(worker);
+    }
+  }
+
+  /**
+   * Cancel every pool render and anything waiting for a worker
+   */
+  cancel() {
+    const waiting = this.waiting.splice(0);
+    for (const { reject } of waiting) {
+      reject(new Error('Render cancelled'));
+    }
+    for (const worker of this.workers) {
+      if (worker.busy) {
+        worker.controller.cancel();
+      }
+    }
+  }
+
+  /**
+   * Stop all pool workers
+   */
+  terminate() {
+    this.cancel();
+    for (const worker of [...this.workers]) {
+      this._removeWorker(worker);
+    }
+  }
+
+  /**
+   * Take a free worker, starting one or waiting if needed
+   * @private
+   * @returns {Promise<Object|null>} Worker, or null if none could be started
+   */
+  async _acquire() {
+    const idle = this.workers.find((worker) => !worker.busy);
+    if (idle) {
+      idle.busy = true;
+      return idle;
+    }
+
+    if (this.workers.length < this.size) {
+      const worker = { controller: this.createController(), busy: true };
+      this.workers.push(worker);
+      try {
+        await worker.controller.init({ assetBaseUrl: this.assetBaseUrl });
+        return worker;
+      } catch (error) {
+        // Usually out of memory; run with the workers we have
+        console.warn('[RenderPool] Worker failed to start:', error);
+        this._removeWorker(worker);
+        this.sizeLimit = this.workers.length;
+        this.size = this.sizeLimit;
+        this._wakeWaiters();
+        return this.workers.length > 0 ? this._acquire() : null;
+      }
+    }
+
+    return new Promise((resolve, reject) => {
+      this.waiting.push({ resolve, reject });
+    });
+  }
+
+  /**
+   * Recompute the size from the hardware, memory and the preferred size
+   * @private
+   */
+  _updateSize() {
+    this.size = Math.min(
+      this.sizeLimit,
+      getPoolSize({
+        requested: this.requestedSize,
+        hardware: this.hardware,
+        workerMemoryMB: this.primary?.memoryUsage?.usedMB,
+      })
+    );
+  }
+
+  /**
+   * Return a worker to the pool
+   * @private
+   */
+  _release(worker) {
+    worker.busy = false;
+    if (this.workers.length > this.size) {
+      this._removeWorker(worker);
+    }
+    this._wakeWaiters();
+  }
+
+  /**
+   * Hand free workers to waiting callers
+   * @private
+   */
+  _wakeWaiters() {
+    while (this.waiting.length > 0) {
+      const idle = this.workers.find((worker) => !worker.busy);
+      if (!idle) {
+        if (this.size === 0) {
+          // No worker could start; the caller falls back to the primary
+          this.waiting.shift().resolve(null);
+          continue;
+        }
+        if (this.workers.length >= this.size) return;
+        // A slot opened up; the waiter starts a new worker
+        this.waiting.shift().resolve(this._acquire());
+        continue;
+      }
+      idle.busy = true;
+      this.waiting.shift().resolve(idle);
+    }
+  }
+
+  /**
+   * Stop a worker and drop it from the pool
+   * @private
+   */
+  _removeWorker(worker) {
+    worker.controller.terminate();
+    this.workers = this.workers.filter((w) => w !== worker);
+  }
+}
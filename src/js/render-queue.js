@@ -14,7 +14,8 @@
  *   state: 'queued' | 'rendering' | 'complete' | 'error' | 'cancelled',
  *   error: string | null,
  *   timestamp: number,
- *   renderTime: number | null
+ *   renderTime: number | null,
+ *   sweep: { id: string, values: object } | null
  * }
  */
 
@@ -22,6 +23,11 @@ export class RenderQueue {
   constructor(renderController, options = {}) {
     this.renderController = renderController;
     this.maxQueueSize = options.maxQueueSize || 20;
+    // Parameter sweeps add many jobs at once, so they get a larger limit
+    this.maxSweepQueueSize = Math.max(
+      options.maxSweepQueueSize || 200,
+      this.maxQueueSize
+    );
     this.jobs = new Map(); // id -> job
     this.nextId = 1;
     this.listeners = [];
@@ -30,7 +36,8 @@ export class RenderQueue {
     this.mainFile = null;
     this.libraries = [];
     this.isProcessing = false;
-    this.currentJobId = null;
+    this.currentJobId = null; // Most recently started job
+    this.renderingJobIds = new Set();
   }
 
   /**
@@ -53,11 +60,16 @@ export class RenderQueue {
    * @param {string} name - Job name
    * @param {object} parameters - Parameter values
    * @param {string} outputFormat - Output format (stl, obj, etc.)
+   * @param {object} [options]
+   * @param {{id: string, values: object}} [options.sweep] - Parameter sweep
+   *   the job belongs to; sweep jobs may fill the queue up to maxSweepQueueSize
    * @returns {string} Job ID
    */
-  addJob(name, parameters, outputFormat = 'stl') {
-    if (this.jobs.size >= this.maxQueueSize) {
-      throw new Error(`Maximum ${this.maxQueueSize} jobs allowed in queue`);
+  addJob(name, parameters, outputFormat = 'stl', options = {}) {
+    const sweep = options.sweep || null;
+    const limit = sweep ? this.maxSweepQueueSize : this.maxQueueSize;
+    if (this.jobs.size >= limit) {
+      throw new Error(`Maximum ${limit} jobs allowed in queue`);
     }
 
     const id = `job-${this.nextId++}`;
@@ -71,6 +83,7 @@ export class RenderQueue {
       error: null,
       timestamp: Date.now(),
       renderTime: null,
+      sweep: sweep ? { id: sweep.id, values: { ...sweep.values } } : null,
     };
 
     this.jobs.set(id, job);
@@ -177,6 +190,7 @@ export class RenderQueue {
 
     // Update state to rendering
     this.currentJobId = id;
+    this.renderingJobIds.add(id);
     const startTime = Date.now();
     this.updateJob(id, { state: 'rendering', error: null, renderTime: null });
 
@@ -208,7 +222,6 @@ export class RenderQueue {
         renderTime,
       });
 
-      this.currentJobId = null;
       return result;
     } catch (error) {
       this.updateJob(id, {
@@ -216,13 +229,19 @@ export class RenderQueue {
         error: error.message || 'Render failed',
         renderTime: null,
       });
-      this.currentJobId = null;
       throw error;
+    } finally {
+      this.renderingJobIds.delete(id);
+      if (this.currentJobId === id) {
+        this.currentJobId = null;
+      }
     }
   }
 
   /**
    * Process all queued jobs
+   * Jobs run in parallel up to the render controller's `concurrency`
+   * (a RenderPool); a plain RenderController renders one at a time.
    * @returns {Promise<void>}
    */
   async processQueue() {
@@ -244,22 +263,31 @@ export class RenderQueue {
     let completed = 0;
     let failed = 0;
 
-    // Process jobs sequentially
-    for (const job of queued) {
-      // Skip cancelled jobs
-      if (job.state === 'cancelled') {
-        continue;
-      }
+    let next = 0;
+    const runJobs = async () => {
+      while (this.isProcessing && next < queued.length) {
+        const job = queued[next++];
+        // Skip cancelled jobs
+        if (job.state === 'cancelled') {
+          continue;
+        }
 
-      try {
-        await this.renderJob(job.id);
-        completed++;
-      } catch (error) {
-        console.error(`Failed to render job ${job.id}:`, error);
-        failed++;
-        // Continue with next job
+        try {
+          await this.renderJob(job.id);
+          completed++;
+        } catch (error) {
+          console.error(`Failed to render job ${job.id}:`, error);
+          failed++;
+          // Continue with next job
+        }
       }
-    }
+    };
+
+    const concurrency = Math.min(
+      Math.max(1, this.renderController?.concurrency || 1),
+      queued.length
+    );
+    await Promise.all(Array.from({ length: concurrency }, runJobs));
 
     this.isProcessing = false;
     this.notifyListeners('processing-complete', { completed, failed });
@@ -275,14 +303,15 @@ export class RenderQueue {
 
     this.isProcessing = false;
 
-    // Cancel render controller if a job is currently rendering
-    if (this.currentJobId) {
+    // Cancel render controller if jobs are currently rendering
+    if (this.renderingJobIds.size > 0) {
       this.renderController.cancel();
-      this.updateJob(this.currentJobId, {
-        state: 'cancelled',
-        error: 'Processing stopped by user',
-      });
-      this.currentJobId = null;
+      for (const id of this.renderingJobIds) {
+        this.updateJob(id, {
+          state: 'cancelled',
+          error: 'Processing stopped by user',
+        });
+      }
     }
 
     this.notifyListeners('processing-stopped', {});
@@ -305,6 +334,15 @@ export class RenderQueue {
     return Array.from(this.jobs.values());
   }
 
+  /**
+   * Get the jobs of a parameter sweep
+   * @param {string} sweepId - Sweep ID given to addJob()
+   * @returns {Array} Jobs in the order they were added
+   */
+  getSweepJobs(sweepId) {
+    return this.getAllJobs().filter((job) => job.sweep?.id === sweepId);
+  }
+
   /**
    * Get job count
    * @returns {number}
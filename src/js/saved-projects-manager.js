@@ -10,6 +10,11 @@ import {
   getValidationErrorMessage,
 } from './validation-schemas.js';
 import { STORAGE_LIMITS } from './validation-constants.js';
+import {
+  isFileParameterValue,
+  dataUrlToBytes,
+  getParameterFilePath,
+} from './parameter-files.js';
 
 const DB_NAME = 'openscad-forge-saved-projects';
 const DB_VERSION = 2; // Bumped for v2 schema with folders, project files, assets
@@ -119,7 +124,6 @@ export async function initSavedProjectsDB() {
     return { available: true, type: 'localstorage' };
   }
 
-
   // Create and track the initialization promise
   initPromise = (async () => {
     try {
@@ -471,6 +475,7 @@ export async function listSavedProjects() {
  * @param {Object} [options.projectFiles] - Optional: zip files map
  * @param {string} [options.notes] - Optional: user notes
  * @param {string} [options.folderId] - Optional: parent folder ID (null = root)
+ * @param {Array<{id: string, version: string|null}>} [options.libraries] - Optional: library versions in use
  * @returns {Promise<{success: boolean, id?: string, error?: string}>}
  */
 export async function saveProject({
@@ -482,6 +487,7 @@ export async function saveProject({
   projectFiles = null,
   notes = '',
   folderId = null,
+  libraries = [],
 }) {
   try {
     // Ensure database is initialized
@@ -522,6 +528,8 @@ export async function saveProject({
       projectFiles: projectFiles ? JSON.stringify(projectFiles) : null,
       folderId: folderId, // v2: parent folder (null = root)
       overlayFiles: {}, // v2: overlay metadata
+      parameterFiles: {}, // v2: [file] parameter upload metadata
+      libraries: libraries || [], // v2: library versions the design was saved with
       presets: [], // v2: project-scoped presets metadata
       notes: notes || '',
       savedAt: now,
@@ -702,15 +710,23 @@ export async function touchProject(id) {
 }
 
 /**
- * Update project metadata (name, notes, and/or projectFiles)
+ * Update project metadata (name, notes), main file content and/or projectFiles
  * @param {Object} options
  * @param {string} options.id - Project ID
  * @param {string} [options.name] - New name
  * @param {string} [options.notes] - New notes
- * @param {string} [options.projectFiles] - New project files (JSON string)
+ * @param {string} [options.content] - New main file content
+ * @param {string|Object} [options.projectFiles] - New project files (JSON
+ *   string or path -> content object)
  * @returns {Promise<{success: boolean, error?: string}>}
  */
-export async function updateProject({ id, name, notes, projectFiles }) {
+export async function updateProject({
+  id,
+  name,
+  notes,
+  content,
+  projectFiles,
+}) {
   try {
     // Ensure database is initialized
     await ensureInitialized();
@@ -732,6 +748,16 @@ export async function updateProject({ id, name, notes, projectFiles }) {
       }
       project.notes = notes;
     }
+    if (content !== undefined) {
+      const contentSize = new Blob([content]).size;
+      if (contentSize > STORAGE_LIMITS.MAX_SAVED_PROJECT_SIZE) {
+        return {
+          success: false,
+          error: `Project content exceeds maximum size of ${STORAGE_LIMITS.MAX_SAVED_PROJECT_SIZE / (1024 * 1024)}MB`,
+        };
+      }
+      project.content = content;
+    }
     if (projectFiles !== undefined) {
       project.projectFiles = projectFiles;
     }
@@ -1834,6 +1860,141 @@ export async function getProjectOverlays(projectId) {
   }
 }
 
+// ============================================================================
+// Parameter Upload Storage (v2) - Store [file] parameter uploads as assets
+// ============================================================================
+
+/**
+ * Save, replace or remove the upload of a [file] parameter
+ * @param {string} projectId - Project ID
+ * @param {string} paramName - Parameter name
+ * @param {{name: string, size: number, type: string, data: string}|null} value -
+ *   Upload from the file control, or null to remove it
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function saveParameterFileToProject(projectId, paramName, value) {
+  try {
+    await ensureInitialized();
+
+    const project = await getProject(projectId);
+    if (!project) {
+      return { success: false, error: 'Project not found' };
+    }
+
+    project.parameterFiles = project.parameterFiles || {};
+    const previous = project.parameterFiles[paramName];
+    if (previous) {
+      // Also deletes the asset
+      await deleteProjectFile(previous.fileId);
+      delete project.parameterFiles[paramName];
+    }
+
+    if (isFileParameterValue(value)) {
+      const mimeType = value.type || 'application/octet-stream';
+      const assetResult = await storeAsset({
+        data: dataUrlToBytes(value.data),
+        mimeType,
+        fileName: value.name,
+      });
+      if (!assetResult.success) {
+        return assetResult;
+      }
+
+      const fileResult = await addProjectFile({
+        projectId,
+        path: getParameterFilePath(paramName, value.name).replace(/^\/+/, ''),
+        kind: mimeType.startsWith('image/') ? 'image' : 'binary',
+        assetId: assetResult.id,
+        mimeType,
+      });
+      if (!fileResult.success) {
+        return fileResult;
+      }
+
+      project.parameterFiles[paramName] = {
+        assetId: assetResult.id,
+        fileId: fileResult.id,
+        fileName: value.name,
+        mimeType,
+        size: value.size,
+        addedAt: Date.now(),
+      };
+    }
+
+    // Save updated project
+    const projectToSave = { ...project };
+    if (
+      projectToSave.projectFiles &&
+      typeof projectToSave.projectFiles === 'object'
+    ) {
+      projectToSave.projectFiles = JSON.stringify(projectToSave.projectFiles);
+    }
+
+    if (storageType === 'indexeddb' && db) {
+      await saveToIndexedDB(projectToSave);
+    }
+
+    console.log(
+      `[Saved Projects] Upload for ${paramName} ${value ? 'saved' : 'removed'}`
+    );
+    return { success: true };
+  } catch (error) {
+    console.error('[Saved Projects] Error saving parameter upload:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to save uploaded file',
+    };
+  }
+}
+
+/**
+ * Get the [file] parameter uploads saved with a project
+ * @param {string} projectId - Project ID
+ * @returns {Promise<Object>} Parameter name -> file control value
+ *   ({name, size, type, data} with data as a data URL)
+ */
+export async function getProjectParameterFiles(projectId) {
+  try {
+    const project = await getProject(projectId);
+    if (!project || !project.parameterFiles) {
+      return {};
+    }
+
+    const values = {};
+    for (const [paramName, metadata] of Object.entries(
+      project.parameterFiles
+    )) {
+      const asset = await getAsset(metadata.assetId);
+      if (!asset?.data) continue;
+      values[paramName] = {
+        name: metadata.fileName,
+        size: metadata.size ?? asset.size,
+        type: metadata.mimeType,
+        data: await readBlobAsDataUrl(asset.data),
+      };
+    }
+
+    return values;
+  } catch (error) {
+    console.error('[Saved Projects] Error getting parameter uploads:', error);
+    return {};
+  }
+}
+
+/**
+ * Read a Blob as a data URL
+ * @param {Blob} blob
+ * @returns {Promise<string>}
+ */
+function readBlobAsDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
 // ============================================================================
 // Preset Storage (v2) - Store presets as project files
 // ============================================================================
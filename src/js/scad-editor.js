@@ -0,0 +1,237 @@
+/**
+ * SCAD Editor - Code editor for the main file and other project files
+ *
+ * Wraps CodeMirror 6 with OpenSCAD highlighting (see openscad-language.js).
+ * Tab is left to the page so keyboard users can move past the editor;
+ * Ctrl+] and Ctrl+[ indent, Ctrl+/ toggles comments and Ctrl+F searches.
+ * Changes are reported after typing pauses, and an error line from a failed
+ * render can be marked and jumped to.
+ *
+ * @license GPL-3.0-or-later
+ */
+
+import { EditorState, StateEffect, StateField } from '@codemirror/state';
+import {
+  Decoration,
+  EditorView,
+  drawSelection,
+  highlightActiveLine,
+  highlightActiveLineGutter,
+  highlightSpecialChars,
+  keymap,
+  lineNumbers,
+} from '@codemirror/view';
+import { defaultKeymap, history, historyKeymap } from '@codemirror/commands';
+import {
+  HighlightStyle,
+  bracketMatching,
+  indentOnInput,
+  syntaxHighlighting,
+} from '@codemirror/language';
+import { highlightSelectionMatches, searchKeymap } from '@codemirror/search';
+import { tags } from '@lezer/highlight';
+import { openscadLanguage } from './openscad-language.js';
+
+/** Delay after the last keystroke before changes are reported (ms) */
+const CHANGE_DEBOUNCE_MS = 800;
+
+/** Colors come from the theme variables (see .scad-editor in components.css) */
+const scadHighlightStyle = HighlightStyle.define([
+  { tag: tags.keyword, class: 'scad-tok-keyword' },
+  { tag: tags.standard(tags.variableName), class: 'scad-tok-builtin' },
+  { tag: tags.special(tags.variableName), class: 'scad-tok-special' },
+  { tag: [tags.number, tags.atom], class: 'scad-tok-number' },
+  { tag: tags.string, class: 'scad-tok-string' },
+  { tag: tags.comment, class: 'scad-tok-comment' },
+  { tag: tags.meta, class: 'scad-tok-annotation' },
+]);
+
+const setErrorLineEffect = StateEffect.define();
+
+/** Line marked by setErrorLine(), cleared by the next edit */
+const errorLineField = StateField.define({
+  create: () => Decoration.none,
+  update(decorations, transaction) {
+    for (const effect of transaction.effects) {
+      if (effect.is(setErrorLineEffect)) {
+        if (effect.value === null) return Decoration.none;
+        const line = transaction.state.doc.line(effect.value);
+        return Decoration.set([
+          Decoration.line({ class: 'scad-editor-error-line' }).range(line.from),
+        ]);
+      }
+    }
+    return transaction.docChanged ? Decoration.none : decorations;
+  },
+  provide: (field) => EditorView.decorations.from(field),
+});
+
+/**
+ * Whether a file is edited with OpenSCAD highlighting
+ * @param {string} path
+ * @returns {boolean}
+ */
+function isScadFile(path) {
+  return /\.scad$/i.test(path || '');
+}
+
+export class ScadEditor {
+  /**
+   * @param {HTMLElement} parent - Element the editor is placed in
+   * @param {Object} [options]
+   * @param {Function} [options.onChange] - (path, content) after typing pauses
+   * @param {Function} [options.onCursorChange] - (line, column) on cursor moves
+   */
+  constructor(parent, { onChange = null, onCursorChange = null } = {}) {
+    this.onChange = onChange;
+    this.onCursorChange = onCursorChange;
+    this.path = null;
+    this.changeTimer = null;
+
+    this.view = new EditorView({ parent });
+  }
+
+  /**
+   * Extensions for a new document
+   * @param {string} path - File being edited
+   * @returns {Array}
+   */
+  createExtensions(path) {
+    return [
+      lineNumbers(),
+      highlightActiveLineGutter(),
+      highlightSpecialChars(),
+      history(),
+      drawSelection(),
+      indentOnInput(),
+      bracketMatching(),
+      highlightActiveLine(),
+      highlightSelectionMatches(),
+      syntaxHighlighting(scadHighlightStyle),
+      keymap.of([...defaultKeymap, ...historyKeymap, ...searchKeymap]),
+      isScadFile(path) ? openscadLanguage : [],
+      EditorView.contentAttributes.of({ 'aria-label': `Code of ${path}` }),
+      errorLineField,
+      EditorView.updateListener.of((update) => {
+        if (update.docChanged) {
+          this.scheduleChange();
+        }
+        if (update.selectionSet && this.onCursorChange) {
+          const { head } = update.state.selection.main;
+          const line = update.state.doc.lineAt(head);
+          this.onCursorChange(line.number, head - line.from + 1);
+        }
+      }),
+    ];
+  }
+
+  /**
+   * Show a file, replacing the current document and its undo history
+   * Pending changes to the previous file are reported first.
+   * @param {string} path - File path (shown to screen readers)
+   * @param {string} content - File content
+   */
+  open(path, content) {
+    this.flush();
+    this.path = path;
+    this.view.setState(
+      EditorState.create({
+        doc: content,
+        extensions: this.createExtensions(path),
+      })
+    );
+  }
+
+  /**
+   * Replace the content of the open file, keeping the cursor where possible
+   * Used when the file changed elsewhere (e.g. the text file editor).
+   * @param {string} content
+   */
+  replaceContent(content) {
+    if (content === this.getContent()) return;
+    const anchor = Math.min(
+      this.view.state.selection.main.anchor,
+      content.length
+    );
+    this.view.dispatch({
+      changes: { from: 0, to: this.view.state.doc.length, insert: content },
+      selection: { anchor },
+    });
+    // Not an edit by the user
+    this.discardChanges();
+  }
+
+  /**
+   * @returns {string} Content of the open file
+   */
+  getContent() {
+    return this.view.state.doc.toString();
+  }
+
+  /**
+   * Report pending changes now instead of after the typing pause
+   */
+  flush() {
+    if (this.changeTimer) {
+      clearTimeout(this.changeTimer);
+      this.changeTimer = null;
+      this.onChange?.(this.path, this.getContent());
+    }
+  }
+
+  /**
+   * Drop pending changes without reporting them
+   */
+  discardChanges() {
+    clearTimeout(this.changeTimer);
+    this.changeTimer = null;
+  }
+
+  /** @private */
+  scheduleChange() {
+    clearTimeout(this.changeTimer);
+    this.changeTimer = setTimeout(() => {
+      this.changeTimer = null;
+      this.onChange?.(this.path, this.getContent());
+    }, CHANGE_DEBOUNCE_MS);
+  }
+
+  /**
+   * Select a line, scroll it into view and focus the editor
+   * @param {number} lineNumber - 1-based line number
+   * @returns {boolean} False when the line does not exist
+   */
+  goToLine(lineNumber) {
+    const { doc } = this.view.state;
+    if (!Number.isInteger(lineNumber) || lineNumber < 1) return false;
+    const line = doc.line(Math.min(lineNumber, doc.lines));
+    this.view.dispatch({
+      selection: { anchor: line.from, head: line.to },
+      effects: EditorView.scrollIntoView(line.from, { y: 'center' }),
+    });
+    this.view.focus();
+    return true;
+  }
+
+  /**
+   * Mark a line as the location of an error, or clear the mark
+   * @param {number|null} lineNumber - 1-based line number, or null
+   */
+  setErrorLine(lineNumber) {
+    const { doc } = this.view.state;
+    const value =
+      Number.isInteger(lineNumber) && lineNumber >= 1
+        ? Math.min(lineNumber, doc.lines)
+        : null;
+    this.view.dispatch({ effects: setErrorLineEffect.of(value) });
+  }
+
+  focus() {
+    this.view.focus();
+  }
+
+  destroy() {
+    clearTimeout(this.changeTimer);
+    this.view.destroy();
+  }
+}
@@ -0,0 +1,710 @@
+/**
+ * OpenSCAD Expression Evaluator
+ * Small parser and evaluator for the subset of OpenSCAD expressions that
+ * appear in Customizer defaults (arithmetic, comparisons, ternaries,
+ * vectors, indexing and common built-in functions).
+ * @license GPL-3.0-or-later
+ */
+
+import { isScadRange } from './scad-value-utils.js';
+
+/**
+ * Built-in constants available to every expression
+ */
+const BUILTIN_CONSTANTS = {
+  PI: Math.PI,
+};
+
+const toRadians = (deg) => (deg * Math.PI) / 180;
+const toDegrees = (rad) => (rad * 180) / Math.PI;
+
+const isNumber = (v) => typeof v === 'number' && !Number.isNaN(v);
+const numeric =
+  (fn) =>
+  (...args) =>
+    args.every(isNumber) ? fn(...args) : undefined;
+
+/**
+ * Built-in functions (trigonometry uses degrees, like OpenSCAD)
+ */
+const BUILTIN_FUNCTIONS = {
+  abs: numeric(Math.abs),
+  sign: numeric(Math.sign),
+  sin: numeric((x) => Math.sin(toRadians(x))),
+  cos: numeric((x) => Math.cos(toRadians(x))),
+  tan: numeric((x) => Math.tan(toRadians(x))),
+  asin: numeric((x) => toDegrees(Math.asin(x))),
+  acos: numeric((x) => toDegrees(Math.acos(x))),
+  atan: numeric((x) => toDegrees(Math.atan(x))),
+  atan2: numeric((y, x) => toDegrees(Math.atan2(y, x))),
+  floor: numeric(Math.floor),
+  ceil: numeric(Math.ceil),
+  round: numeric((x) => Math.sign(x) * Math.round(Math.abs(x))),
+  sqrt: numeric(Math.sqrt),
+  pow: numeric(Math.pow),
+  exp: numeric(Math.exp),
+  ln: numeric(Math.log),
+  log: (a, b) =>
+    b === undefined
+      ? numeric(Math.log10)(a)
+      : numeric((base, x) => Math.log(x) / Math.log(base))(a, b),
+  min: (...args) => {
+    const values = args.length === 1 && Array.isArray(args[0]) ? args[0] : args;
+    return values.length > 0 && values.every(isNumber)
+      ? Math.min(...values)
+      : undefined;
+  },
+  max: (...args) => {
+    const values = args.length === 1 && Array.isArray(args[0]) ? args[0] : args;
+    return values.length > 0 && values.every(isNumber)
+      ? Math.max(...values)
+      : undefined;
+  },
+  len: (v) =>
+    Array.isArray(v) || typeof v === 'string' ? v.length : undefined,
+  norm: (v) =>
+    Array.isArray(v) && v.every(isNumber)
+      ? Math.sqrt(v.reduce((sum, x) => sum + x * x, 0))
+      : undefined,
+  concat: (...args) =>
+    args.reduce(
+      (acc, item) => acc.concat(Array.isArray(item) ? item : [item]),
+      []
+    ),
+  str: (...args) => args.map((v) => stringifyValue(v)).join(''),
+  is_undef: (v) => v === undefined,
+  is_num: (v) => isNumber(v),
+  is_string: (v) => typeof v === 'string',
+  is_bool: (v) => typeof v === 'boolean',
+  is_list: (v) => Array.isArray(v),
+};
+
+/**
+ * Convert a value to text the way OpenSCAD's str() does
+ * @param {*} value - Value to convert
+ * @returns {string} Text representation
+ */
+function stringifyValue(value) {
+  if (value === undefined || value === null) return 'undef';
+  if (typeof value === 'string') return value;
+  if (Array.isArray(value)) {
+    return `[${value
+      .map((v) => (typeof v === 'string' ? `"${v}"` : stringifyValue(v)))
+      .join(', ')}]`;
+  }
+  if (isScadRange(value)) {
+    return `[${value.begin} : ${value.step} : ${value.end}]`;
+  }
+  return String(value);
+}
+
+/**
+ * Tokenize an OpenSCAD expression
+ * @param {string} text - Expression source
+ * @returns {Array<Object>} Tokens
+ * @throws {Error} On unexpected characters
+ */
+export function tokenizeExpression(text) {
+  const tokens = [];
+  let i = 0;
+
+  const twoCharOps = ['==', '!=', '<=', '>=', '&&', '||'];
+  const oneCharOps = '+-*/%^<>!?:,()[].';
+
+  while (i < text.length) {
+    const char = text[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    const pair = text.slice(i, i + 2);
+    if (twoCharOps.includes(pair)) {
+      tokens.push({ type: 'op', value: pair });
+      i += 2;
+      continue;
+    }
+
+    const numMatch = text.slice(i).match(/^(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?/);
+    if (numMatch) {
+      tokens.push({ type: 'number', value: parseFloat(numMatch[0]) });
+      i += numMatch[0].length;
+      continue;
+    }
+
+    if (oneCharOps.includes(char)) {
+      tokens.push({ type: 'op', value: char });
+      i++;
+      continue;
+    }
+
+    if (char === '"') {
+      let value = '';
+      let closed = false;
+      i++;
+      while (i < text.length) {
+        const c = text[i];
+        if (c === '\\' && i + 1 < text.length) {
+          const next = text[i + 1];
+          value += next === 'n' ? '\n' : next === 't' ? '\t' : next;
+          i += 2;
+          continue;
+        }
+        if (c === '"') {
+          closed = true;
+          i++;
+          break;
+        }
+        value += c;
+        i++;
+      }
+      if (!closed) throw new Error('Unterminated string');
+      tokens.push({ type: 'string', value });
+      continue;
+    }
+
+    const wordMatch = text.slice(i).match(/^[$]?[A-Za-z_][A-Za-z0-9_]*/);
+    if (wordMatch) {
+      tokens.push({ type: 'word', value: wordMatch[0] });
+      i += wordMatch[0].length;
+      continue;
+    }
+
+    throw new Error(`Unexpected character "${char}"`);
+  }
+
+  return tokens;
+}
+
+/**
+ * Binary operator precedence (higher binds tighter)
+ */
+const BINARY_PRECEDENCE = {
+  '||': 1,
+  '&&': 2,
+  '==': 3,
+  '!=': 3,
+  '<': 4,
+  '<=': 4,
+  '>': 4,
+  '>=': 4,
+  '+': 5,
+  '-': 5,
+  '*': 6,
+  '/': 6,
+  '%': 6,
+};
+
+/**
+ * Recursive-descent parser over a token list
+ */
+class ExpressionParser {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.pos = 0;
+  }
+
+  peek() {
+    return this.tokens[this.pos];
+  }
+
+  isOp(value) {
+    const token = this.peek();
+    return token?.type === 'op' && token.value === value;
+  }
+
+  expectOp(value) {
+    if (!this.isOp(value)) {
+      const token = this.peek();
+      throw new Error(
+        `Expected "${value}" but found ${token ? `"${token.value}"` : 'end of input'}`
+      );
+    }
+    this.pos++;
+  }
+
+  parse() {
+    const node = this.parseTernary();
+    if (this.pos < this.tokens.length) {
+      throw new Error(`Unexpected "${this.peek().value}"`);
+    }
+    return node;
+  }
+
+  parseTernary() {
+    const test = this.parseBinary(1);
+    if (this.isOp('?')) {
+      this.pos++;
+      const consequent = this.parseTernary();
+      this.expectOp(':');
+      const alternate = this.parseTernary();
+      return { type: 'ternary', test, consequent, alternate };
+    }
+    return test;
+  }
+
+  parseBinary(minPrecedence) {
+    let left = this.parseUnary();
+
+    for (;;) {
+      const token = this.peek();
+      const precedence =
+        token?.type === 'op' ? BINARY_PRECEDENCE[token.value] : undefined;
+      if (precedence === undefined || precedence < minPrecedence) break;
+
+      this.pos++;
+      const right = this.parseBinary(precedence + 1);
+      left = { type: 'binary', operator: token.value, left, right };
+    }
+
+    return left;
+  }
+
+  parseUnary() {
+    if (this.isOp('-') || this.isOp('+') || this.isOp('!')) {
+      const operator = this.peek().value;
+      this.pos++;
+      return { type: 'unary', operator, argument: this.parseUnary() };
+    }
+    return this.parsePower();
+  }
+
+  parsePower() {
+    const base = this.parsePostfix();
+    if (this.isOp('^')) {
+      this.pos++;
+      // Right-associative, and binds tighter than unary minus on the left
+      const exponent = this.parseUnary();
+      return { type: 'binary', operator: '^', left: base, right: exponent };
+    }
+    return base;
+  }
+
+  parsePostfix() {
+    let node = this.parsePrimary();
+
+    for (;;) {
+      if (this.isOp('[')) {
+        this.pos++;
+        const index = this.parseTernary();
+        this.expectOp(']');
+        node = { type: 'index', object: node, index };
+      } else if (this.isOp('.')) {
+        this.pos++;
+        const token = this.peek();
+        if (token?.type !== 'word') throw new Error('Expected member name');
+        this.pos++;
+        node = { type: 'member', object: node, property: token.value };
+      } else {
+        return node;
+      }
+    }
+  }
+
+  parsePrimary() {
+    const token = this.peek();
+    if (!token) throw new Error('Unexpected end of input');
+
+    if (token.type === 'number' || token.type === 'string') {
+      this.pos++;
+      return { type: 'literal', value: token.value };
+    }
+
+    if (token.type === 'word') {
+      this.pos++;
+      if (token.value === 'true' || token.value === 'false') {
+        return { type: 'literal', value: token.value === 'true' };
+      }
+      if (token.value === 'undef') {
+        return { type: 'literal', value: undefined };
+      }
+      if (this.isOp('(')) {
+        this.pos++;
+        const args = [];
+        if (!this.isOp(')')) {
+          args.push(this.parseTernary());
+          while (this.isOp(',')) {
+            this.pos++;
+            args.push(this.parseTernary());
+          }
+        }
+        this.expectOp(')');
+        return { type: 'call', callee: token.value, args };
+      }
+      return { type: 'identifier', name: token.value };
+    }
+
+    if (this.isOp('(')) {
+      this.pos++;
+      const inner = this.parseTernary();
+      this.expectOp(')');
+      return inner;
+    }
+
+    if (this.isOp('[')) {
+      this.pos++;
+      if (this.isOp(']')) {
+        this.pos++;
+        return { type: 'vector', items: [] };
+      }
+
+      const first = this.parseTernary();
+
+      // Range: [begin:end] or [begin:step:end]
+      if (this.isOp(':')) {
+        const parts = [first];
+        while (this.isOp(':')) {
+          this.pos++;
+          parts.push(this.parseTernary());
+        }
+        this.expectOp(']');
+        if (parts.length > 3) throw new Error('Invalid range');
+        return parts.length === 2
+          ? {
+              type: 'range',
+              begin: parts[0],
+              step: { type: 'literal', value: 1 },
+              end: parts[1],
+            }
+          : { type: 'range', begin: parts[0], step: parts[1], end: parts[2] };
+      }
+
+      const items = [first];
+      while (this.isOp(',')) {
+        this.pos++;
+        if (this.isOp(']')) break;
+        items.push(this.parseTernary());
+      }
+      this.expectOp(']');
+      return { type: 'vector', items };
+    }
+
+    throw new Error(`Unexpected "${token.value}"`);
+  }
+}
+
+/**
+ * Parse an OpenSCAD expression into an AST
+ * @param {string} text - Expression source
+ * @returns {Object|null} AST root node, or null if the text is not a
+ *   supported expression (e.g. uses let(), list comprehensions or functions
+ *   literals)
+ */
+export function parseExpression(text) {
+  if (typeof text !== 'string' || !text.trim()) return null;
+  try {
+    return new ExpressionParser(tokenizeExpression(text)).parse();
+  } catch (_error) {
+    return null;
+  }
+}
+
+/**
+ * Collect the variable names an expression references
+ * Function names and built-in constants are not included.
+ * @param {Object} ast - AST from parseExpression()
+ * @returns {Array<string>} Unique referenced identifiers in source order
+ */
+export function collectIdentifiers(ast) {
+  const names = [];
+
+  const visit = (node) => {
+    if (!node) return;
+    switch (node.type) {
+      case 'identifier':
+        if (!(node.name in BUILTIN_CONSTANTS) && !names.includes(node.name)) {
+          names.push(node.name);
+        }
+        break;
+      case 'vector':
+        node.items.forEach(visit);
+        break;
+      case 'range':
+        visit(node.begin);
+        visit(node.step);
+        visit(node.end);
+        break;
+      case 'unary':
+        visit(node.argument);
+        break;
+      case 'binary':
+        visit(node.left);
+        visit(node.right);
+        break;
+      case 'ternary':
+        visit(node.test);
+        visit(node.consequent);
+        visit(node.alternate);
+        break;
+      case 'call':
+        node.args.forEach(visit);
+        break;
+      case 'index':
+      case 'member':
+        visit(node.object);
+        if (node.index) visit(node.index);
+        break;
+      default:
+        break;
+    }
+  };
+
+  visit(ast);
+  return names;
+}
+
+/**
+ * OpenSCAD truthiness: undef, false, 0, "" and [] are false
+ * @param {*} value - Value to test
+ * @returns {boolean}
+ */
+export function isTruthy(value) {
+  if (value === undefined || value === null || value === false) return false;
+  if (typeof value === 'number') return value !== 0 && !Number.isNaN(value);
+  if (typeof value === 'string' || Array.isArray(value)) {
+    return value.length > 0;
+  }
+  return true;
+}
+
+/**
+ * Deep equality as used by OpenSCAD's == operator
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+export function valuesEqual(a, b) {
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((v, i) => valuesEqual(v, b[i]));
+  }
+  if (isScadRange(a) && isScadRange(b)) {
+    return a.begin === b.begin && a.step === b.step && a.end === b.end;
+  }
+  return a === b;
+}
+
+/**
+ * Apply an arithmetic operator with OpenSCAD vector semantics
+ * @param {string} operator - One of + - * / %
+ * @param {*} a - Left operand
+ * @param {*} b - Right operand
+ * @returns {*} Result, or undefined (undef) for unsupported operand types
+ */
+function applyArithmetic(operator, a, b) {
+  if (isNumber(a) && isNumber(b)) {
+    switch (operator) {
+      case '+':
+        return a + b;
+      case '-':
+        return a - b;
+      case '*':
+        return a * b;
+      case '/':
+        return a / b;
+      case '%':
+        return a % b;
+      default:
+        return undefined;
+    }
+  }
+
+  const aIsVector = Array.isArray(a);
+  const bIsVector = Array.isArray(b);
+
+  // Element-wise vector addition/subtraction
+  if ((operator === '+' || operator === '-') && aIsVector && bIsVector) {
+    if (a.length !== b.length) return undefined;
+    const result = a.map((v, i) => applyArithmetic(operator, v, b[i]));
+    return result.includes(undefined) ? undefined : result;
+  }
+
+  // Vector scaling
+  if (operator === '*' && aIsVector && isNumber(b)) {
+    return a.map((v) => applyArithmetic('*', v, b));
+  }
+  if (operator === '*' && isNumber(a) && bIsVector) {
+    return b.map((v) => applyArithmetic('*', a, v));
+  }
+  if (operator === '/' && aIsVector && isNumber(b)) {
+    return a.map((v) => applyArithmetic('/', v, b));
+  }
+
+  // Dot product
+  if (operator === '*' && aIsVector && bIsVector) {
+    if (a.length !== b.length || ![...a, ...b].every(isNumber)) {
+      return undefined;
+    }
+    return a.reduce((sum, v, i) => sum + v * b[i], 0);
+  }
+
+  return undefined;
+}
+
+/**
+ * Compare two values with an ordering operator
+ * @param {string} operator - One of < <= > >=
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean|undefined}
+ */
+function applyComparison(operator, a, b) {
+  const comparable =
+    (isNumber(a) && isNumber(b)) ||
+    (typeof a === 'string' && typeof b === 'string');
+  if (!comparable) return undefined;
+
+  switch (operator) {
+    case '<':
+      return a < b;
+    case '<=':
+      return a <= b;
+    case '>':
+      return a > b;
+    case '>=':
+      return a >= b;
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Evaluate an expression AST against a scope of variable values
+ * Unknown variables evaluate to undef (undefined). Numbers stay plain
+ * JavaScript numbers; vectors are arrays; ranges are { begin, step, end }.
+ * @param {Object} ast - AST from parseExpression()
+ * @param {Object} [scope={}] - Variable values by name
+ * @returns {*} Evaluated value (undefined for undef)
+ */
+export function evaluateExpression(ast, scope = {}) {
+  if (!ast) return undefined;
+
+  switch (ast.type) {
+    case 'literal':
+      return ast.value;
+
+    case 'identifier':
+      if (Object.prototype.hasOwnProperty.call(scope, ast.name)) {
+        return scope[ast.name];
+      }
+      return BUILTIN_CONSTANTS[ast.name];
+
+    case 'vector':
+      return ast.items.map((item) => evaluateExpression(item, scope));
+
+    case 'range': {
+      const begin = evaluateExpression(ast.begin, scope);
+      const step = evaluateExpression(ast.step, scope);
+      const end = evaluateExpression(ast.end, scope);
+      return [begin, step, end].every(isNumber)
+        ? { begin, step, end }
+        : undefined;
+    }
+
+    case 'unary': {
+      const value = evaluateExpression(ast.argument, scope);
+      if (ast.operator === '!') return !isTruthy(value);
+      if (ast.operator === '+') return value;
+      if (isNumber(value)) return -value;
+      if (Array.isArray(value)) {
+        return applyArithmetic('*', value, -1);
+      }
+      return undefined;
+    }
+
+    case 'binary': {
+      const { operator } = ast;
+
+      // Short-circuit logical operators
+      if (operator === '&&') {
+        return (
+          isTruthy(evaluateExpression(ast.left, scope)) &&
+          isTruthy(evaluateExpression(ast.right, scope))
+        );
+      }
+      if (operator === '||') {
+        return (
+          isTruthy(evaluateExpression(ast.left, scope)) ||
+          isTruthy(evaluateExpression(ast.right, scope))
+        );
+      }
+
+      const left = evaluateExpression(ast.left, scope);
+      const right = evaluateExpression(ast.right, scope);
+
+      switch (operator) {
+        case '==':
+          return valuesEqual(left, right);
+        case '!=':
+          return !valuesEqual(left, right);
+        case '<':
+        case '<=':
+        case '>':
+        case '>=':
+          return applyComparison(operator, left, right);
+        case '^':
+          return isNumber(left) && isNumber(right)
+            ? Math.pow(left, right)
+            : undefined;
+        default:
+          return applyArithmetic(operator, left, right);
+      }
+    }
+
+    case 'ternary':
+      return isTruthy(evaluateExpression(ast.test, scope))
+        ? evaluateExpression(ast.consequent, scope)
+        : evaluateExpression(ast.alternate, scope);
+
+    case 'call': {
+      const fn = BUILTIN_FUNCTIONS[ast.callee];
+      if (!fn) return undefined;
+      const args = ast.args.map((arg) => evaluateExpression(arg, scope));
+      return fn(...args);
+    }
+
+    case 'index': {
+      const object = evaluateExpression(ast.object, scope);
+      const index = evaluateExpression(ast.index, scope);
+      if (!isNumber(index)) return undefined;
+      if (Array.isArray(object) || typeof object === 'string') {
+        return object[Math.floor(index)];
+      }
+      return undefined;
+    }
+
+    case 'member': {
+      const object = evaluateExpression(ast.object, scope);
+      const axis = { x: 0, y: 1, z: 2 }[ast.property];
+      if (Array.isArray(object) && axis !== undefined) {
+        return object[axis];
+      }
+      return undefined;
+    }
+
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Evaluate top-level assignments in source order
+ * Values in overrides replace the assignment's own expression, the same way
+ * -D flags override variables in OpenSCAD.
+ * @param {Array<{name: string, expression: string}>} assignments - Ordered assignments
+ * @param {Object} [overrides={}] - Values that take precedence by name
+ * @returns {Object} Resulting variable values by name
+ */
+export function evaluateAssignments(assignments, overrides = {}) {
+  const scope = {};
+
+  for (const { name, expression } of assignments || []) {
+    if (Object.prototype.hasOwnProperty.call(overrides, name)) {
+      scope[name] = overrides[name];
+      continue;
+    }
+    scope[name] = evaluateExpression(parseExpression(expression), scope);
+  }
+
+  return scope;
+}
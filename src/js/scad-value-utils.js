@@ -0,0 +1,298 @@
+/**
+ * OpenSCAD Value Utilities
+ * Shared helpers for parsing and formatting OpenSCAD literal values
+ * (numbers, strings, booleans, vectors, lists and ranges)
+ * @license GPL-3.0-or-later
+ */
+
+import { hexToRgb } from './color-utils.js';
+
+/**
+ * Maximum number of components shown as a per-element vector control.
+ * Matches desktop OpenSCAD's Customizer, which offers spinners for up to 4.
+ */
+export const MAX_VECTOR_ELEMENTS = 4;
+
+/**
+ * Check whether a value is a range object ({ begin, step, end })
+ * @param {*} value - Value to check
+ * @returns {boolean} True if value describes an OpenSCAD range
+ */
+export function isScadRange(value) {
+  return (
+    value !== null &&
+    typeof value === 'object' &&
+    !Array.isArray(value) &&
+    typeof value.begin === 'number' &&
+    typeof value.end === 'number' &&
+    typeof value.step === 'number'
+  );
+}
+
+/**
+ * Check whether a value is a numeric vector suitable for per-element editing
+ * @param {*} value - Value to check
+ * @returns {boolean} True for arrays of 1..MAX_VECTOR_ELEMENTS finite numbers
+ */
+export function isNumericVector(value) {
+  return (
+    Array.isArray(value) &&
+    value.length > 0 &&
+    value.length <= MAX_VECTOR_ELEMENTS &&
+    value.every((v) => typeof v === 'number' && Number.isFinite(v))
+  );
+}
+
+/**
+ * Tokenize an OpenSCAD literal expression
+ * @param {string} text - Literal source text
+ * @returns {Array<{type: string, value: *}>|null} Tokens, or null on error
+ */
+function tokenizeLiteral(text) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < text.length) {
+    const char = text[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    if ('[],:'.includes(char)) {
+      tokens.push({ type: char });
+      i++;
+      continue;
+    }
+
+    if (char === '"') {
+      let value = '';
+      let closed = false;
+      i++;
+      while (i < text.length) {
+        const c = text[i];
+        if (c === '\\' && i + 1 < text.length) {
+          const next = text[i + 1];
+          value += next === 'n' ? '\n' : next === 't' ? '\t' : next;
+          i += 2;
+          continue;
+        }
+        if (c === '"') {
+          closed = true;
+          i++;
+          break;
+        }
+        value += c;
+        i++;
+      }
+      if (!closed) return null;
+      tokens.push({ type: 'string', value });
+      continue;
+    }
+
+    const numMatch = text
+      .slice(i)
+      .match(/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?/);
+    if (numMatch) {
+      tokens.push({ type: 'number', value: parseFloat(numMatch[0]) });
+      i += numMatch[0].length;
+      continue;
+    }
+
+    const wordMatch = text.slice(i).match(/^[A-Za-z_$][A-Za-z0-9_$]*/);
+    if (wordMatch) {
+      const word = wordMatch[0];
+      if (word === 'true' || word === 'false') {
+        tokens.push({ type: 'boolean', value: word === 'true' });
+      } else if (word === 'undef') {
+        tokens.push({ type: 'undef', value: null });
+      } else {
+        // Identifiers make this an expression, not a literal
+        return null;
+      }
+      i += word.length;
+      continue;
+    }
+
+    return null;
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse an OpenSCAD literal value
+ * Supports numbers, strings, booleans, undef, (nested) vectors and
+ * numeric ranges such as [0:10] or [0:2:10]. Expressions are rejected.
+ * @param {string} text - Literal source text
+ * @returns {{value: *}|null} Parsed value wrapper, or null if not a literal
+ */
+export function parseScadLiteral(text) {
+  if (typeof text !== 'string') return null;
+  const tokens = tokenizeLiteral(text.trim());
+  if (!tokens || tokens.length === 0) return null;
+
+  let pos = 0;
+
+  const parseValue = () => {
+    const token = tokens[pos];
+    if (!token) throw new Error('Unexpected end of input');
+
+    if (
+      token.type === 'number' ||
+      token.type === 'string' ||
+      token.type === 'boolean' ||
+      token.type === 'undef'
+    ) {
+      pos++;
+      return token.value;
+    }
+
+    if (token.type === '[') {
+      pos++;
+      const items = [];
+
+      if (tokens[pos]?.type === ']') {
+        pos++;
+        return items;
+      }
+
+      items.push(parseValue());
+
+      // Range: [begin:end] or [begin:step:end]
+      if (tokens[pos]?.type === ':') {
+        while (tokens[pos]?.type === ':') {
+          pos++;
+          items.push(parseValue());
+        }
+        if (tokens[pos]?.type !== ']') throw new Error('Expected ]');
+        pos++;
+        if (
+          items.length < 2 ||
+          items.length > 3 ||
+          !items.every((v) => typeof v === 'number')
+        ) {
+          throw new Error('Invalid range');
+        }
+        return items.length === 2
+          ? { begin: items[0], step: 1, end: items[1] }
+          : { begin: items[0], step: items[1], end: items[2] };
+      }
+
+      while (tokens[pos]?.type === ',') {
+        pos++;
+        // Allow trailing comma
+        if (tokens[pos]?.type === ']') break;
+        items.push(parseValue());
+      }
+
+      if (tokens[pos]?.type !== ']') throw new Error('Expected ]');
+      pos++;
+      return items;
+    }
+
+    throw new Error(`Unexpected token: ${token.type}`);
+  };
+
+  try {
+    const value = parseValue();
+    if (pos !== tokens.length) return null;
+    return { value };
+  } catch (_error) {
+    return null;
+  }
+}
+
+/**
+ * Format a JavaScript value as OpenSCAD source
+ * @param {*} value - Value to format (number, string, boolean, array, range)
+ * @returns {string} OpenSCAD literal
+ */
+export function formatScadValue(value) {
+  if (value === null || value === undefined) {
+    return 'undef';
+  }
+
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? String(value) : 'undef';
+  }
+
+  if (typeof value === 'boolean') {
+    return value ? 'true' : 'false';
+  }
+
+  if (typeof value === 'string') {
+    const escaped = value.replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+    return `"${escaped}"`;
+  }
+
+  if (Array.isArray(value)) {
+    return `[${value.map((item) => formatScadValue(item)).join(', ')}]`;
+  }
+
+  if (isScadRange(value)) {
+    return value.step === 1
+      ? `[${value.begin}:${value.end}]`
+      : `[${value.begin}:${value.step}:${value.end}]`;
+  }
+
+  return JSON.stringify(value);
+}
+
+/**
+ * Build -D command-line arguments from parameters
+ * @param {Object} parameters - Parameter key-value pairs
+ * @returns {Array<string>} Array of -D arguments
+ */
+export function buildDefineArgs(parameters) {
+  if (!parameters || Object.keys(parameters).length === 0) {
+    return [];
+  }
+
+  const args = [];
+
+  for (const [key, value] of Object.entries(parameters)) {
+    // Skip null/undefined values
+    if (value === null || value === undefined) {
+      continue;
+    }
+
+    let formattedValue;
+
+    // Handle different value types
+    if (typeof value === 'string') {
+      // Check if this is a color (hex string)
+      if (/^#?[0-9A-Fa-f]{6}$/.test(value)) {
+        const rgb = hexToRgb(value);
+        formattedValue = `[${rgb[0]},${rgb[1]},${rgb[2]}]`;
+      } else {
+        // Escape quotes and wrap in quotes
+        const escaped = value.replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+        formattedValue = `"${escaped}"`;
+      }
+    } else if (typeof value === 'number') {
+      formattedValue = String(value);
+    } else if (typeof value === 'boolean') {
+      formattedValue = value ? 'true' : 'false';
+    } else if (Array.isArray(value) || isScadRange(value)) {
+      // Vectors, nested lists and ranges (strings inside lists are quoted)
+      formattedValue = formatScadValue(value);
+    } else if (typeof value === 'object' && value.data) {
+      // File parameter - use filename
+      const escaped = (value.name || 'uploaded_file')
+        .replace(/\\/g, '\\\\')
+        .replace(/"/g, '\\"');
+      formattedValue = `"${escaped}"`;
+    } else {
+      // Fallback: JSON stringify
+      formattedValue = JSON.stringify(value);
+    }
+
+    // Add -D flag
+    args.push('-D');
+    args.push(`${key}=${formattedValue}`);
+  }
+
+  return args;
+}
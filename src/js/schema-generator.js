@@ -49,21 +49,42 @@ function paramToSchemaProperty(param) {
         data: { type: 'string', contentEncoding: 'base64' },
       };
       break;
+    case 'vector':
+      property.type = 'array';
+      property.items = { type: 'number' };
+      if (param.elementCount !== undefined) {
+        property.minItems = param.elementCount;
+        property.maxItems = param.elementCount;
+      }
+      break;
+    case 'list':
+      property.type = 'array';
+      break;
+    case 'range':
+      property.type = 'object';
+      property.format = 'range';
+      property.properties = {
+        begin: { type: 'number' },
+        step: { type: 'number' },
+        end: { type: 'number' },
+      };
+      break;
     case 'string':
     default:
       property.type = 'string';
       break;
   }
 
-  // Add constraints
+  // Add constraints (vector limits apply to each element)
+  const constraintTarget = param.type === 'vector' ? property.items : property;
   if (param.minimum !== undefined) {
-    property.minimum = param.minimum;
+    constraintTarget.minimum = param.minimum;
   }
   if (param.maximum !== undefined) {
-    property.maximum = param.maximum;
+    constraintTarget.maximum = param.maximum;
   }
   if (param.step !== undefined) {
-    property.multipleOf = param.step;
+    constraintTarget.multipleOf = param.step;
   }
   if (param.enum !== undefined && param.enum.length > 0) {
     property.enum = param.enum;
@@ -98,6 +119,10 @@ function paramToSchemaProperty(param) {
   if (param.acceptedExtensions) {
     property['x-accepted-extensions'] = param.acceptedExtensions;
   }
+  if (param.computed) {
+    property.readOnly = true;
+    property['x-expression'] = param.expression;
+  }
 
   return property;
 }
@@ -195,6 +220,27 @@ export function fromJsonSchema(schema) {
       } else if (prop.format === 'file') {
         param.type = 'file';
         param.uiType = 'file';
+      } else if (prop.format === 'range') {
+        param.type = 'range';
+        param.uiType = 'range';
+      } else if (prop.type === 'array' && prop.items?.type === 'number') {
+        param.type = 'vector';
+        param.uiType = 'vector';
+        if (prop.maxItems !== undefined) {
+          param.elementCount = prop.maxItems;
+        }
+        if (prop.items.minimum !== undefined) {
+          param.minimum = prop.items.minimum;
+        }
+        if (prop.items.maximum !== undefined) {
+          param.maximum = prop.items.maximum;
+        }
+        if (prop.items.multipleOf !== undefined) {
+          param.step = prop.items.multipleOf;
+        }
+      } else if (prop.type === 'array') {
+        param.type = 'list';
+        param.uiType = 'list';
       } else if (prop.type === 'integer') {
         param.type = 'integer';
       } else if (prop.type === 'number') {
@@ -245,6 +291,11 @@ export function fromJsonSchema(schema) {
       if (prop['x-accepted-extensions']) {
         param.acceptedExtensions = prop['x-accepted-extensions'];
       }
+      if (prop.readOnly && prop['x-expression']) {
+        param.computed = true;
+        param.expression = prop['x-expression'];
+        param.uiType = 'computed';
+      }
 
       // Determine UI type if not specified
       if (!param.uiType) {
@@ -0,0 +1,260 @@
+/**
+ * Share Links - Embed a whole project in a URL or a .forge bundle
+ *
+ * A v2 share link carries the project's files, deflate-compressed and
+ * base64url-encoded, in the URL fragment (see parseURLHash() in state.js).
+ * The fragment never reaches a server, so opening the link works offline.
+ * Projects too large for a link are exported as a .forge bundle: the same
+ * project as readable JSON.
+ *
+ * @license GPL-3.0-or-later
+ */
+
+import { URL_HASH_VERSION } from './state.js';
+import { SHARE_LINK_LIMITS } from './validation-constants.js';
+import {
+  validateSharedProject,
+  getValidationErrorMessage,
+} from './validation-schemas.js';
+
+/** `type` field of a .forge project bundle */
+export const FORGE_BUNDLE_TYPE = 'openscad-forge-project';
+
+/**
+ * Collect the files of the loaded project for sharing
+ * @param {Object} state - App state (uploadedFile, projectFiles, mainFilePath)
+ * @returns {{v: number, name: string, main: string, files: Object<string, string>}}
+ */
+export function buildSharedProject(state) {
+  const { uploadedFile, projectFiles, mainFilePath } = state;
+  const main = mainFilePath || uploadedFile.name;
+  const files =
+    projectFiles && projectFiles.size > 0
+      ? Object.fromEntries(projectFiles)
+      : { [main]: uploadedFile.content };
+  // The main file may have been edited since it was extracted
+  files[main] = uploadedFile.content;
+
+  return { v: URL_HASH_VERSION, name: uploadedFile.name, main, files };
+}
+
+/**
+ * Check a decoded project and turn its files into a Map
+ * @param {Object} data - Parsed project
+ * @returns {{name: string, main: string, files: Map<string, string>, parameters: Object}}
+ * @throws {Error} When the project is malformed
+ */
+function readSharedProject(data) {
+  if (!validateSharedProject(data)) {
+    throw new Error(
+      `This shared project is damaged or unsupported (${getValidationErrorMessage(validateSharedProject.errors)})`
+    );
+  }
+  if (!Object.hasOwn(data.files, data.main)) {
+    throw new Error(
+      `This shared project is missing its main file, ${data.main}`
+    );
+  }
+  const size = Object.values(data.files).reduce(
+    (total, content) => total + content.length,
+    0
+  );
+  if (size > SHARE_LINK_LIMITS.MAX_PROJECT_SIZE) {
+    throw new Error('This shared project is too large to open');
+  }
+
+  return {
+    name: data.name,
+    main: data.main,
+    files: new Map(Object.entries(data.files)),
+    parameters: data.params || {},
+  };
+}
+
+/**
+ * Encode bytes as base64url (no padding)
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function toBase64Url(bytes) {
+  let binary = '';
+  // Chunked so String.fromCharCode() stays under the argument limit
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary)
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+/**
+ * Decode base64url (with or without padding)
+ * @param {string} text
+ * @returns {Uint8Array}
+ * @throws {Error} When the text is not base64url
+ */
+function fromBase64Url(text) {
+  if (!/^[A-Za-z0-9_-]*$/.test(text)) {
+    throw new Error('This share link is damaged (unexpected characters)');
+  }
+  let binary;
+  try {
+    binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  } catch {
+    throw new Error('This share link is damaged (it may have been cut off)');
+  }
+  return Uint8Array.from(binary, (c) => c.charCodeAt(0));
+}
+
+/**
+ * Compress a project for a share link
+ * @param {Object} project - From buildSharedProject()
+ * @returns {Promise<string>} Value for the `project` field of the URL hash
+ */
+export async function encodeSharedProject(project) {
+  const json = new TextEncoder().encode(JSON.stringify(project));
+  const stream = new Response(json).body.pipeThrough(
+    new CompressionStream('deflate-raw')
+  );
+  const compressed = new Uint8Array(await new Response(stream).arrayBuffer());
+  return toBase64Url(compressed);
+}
+
+/**
+ * Decompress and validate the project from a share link
+ * Stops reading past SHARE_LINK_LIMITS.MAX_PROJECT_SIZE, so a small link
+ * cannot expand into an unbounded amount of memory.
+ * @param {string} encoded - `project` field of the URL hash
+ * @returns {Promise<{name: string, main: string, files: Map<string, string>, parameters: Object}>}
+ * @throws {Error} When the link is damaged, too large or invalid
+ */
+export async function decodeSharedProject(encoded) {
+  const reader = new Response(fromBase64Url(encoded)).body
+    .pipeThrough(new DecompressionStream('deflate-raw'))
+    .getReader();
+  const chunks = [];
+  let size = 0;
+
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      size += value.byteLength;
+      if (size > SHARE_LINK_LIMITS.MAX_PROJECT_SIZE) {
+        await reader.cancel();
+        throw new Error('This shared project is too large to open');
+      }
+      chunks.push(value);
+    }
+  } catch (error) {
+    if (error.message.startsWith('This shared project')) throw error;
+    throw new Error('This share link is damaged (could not decompress it)');
+  }
+
+  const bytes = new Uint8Array(size);
+  let offset = 0;
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset);
+    offset += chunk.byteLength;
+  }
+
+  let data;
+  try {
+    data = JSON.parse(new TextDecoder().decode(bytes));
+  } catch {
+    throw new Error('This share link is damaged (not a project)');
+  }
+  return readSharedProject(data);
+}
+
+/**
+ * Judge whether a share link is practical to paste
+ * @param {string} url - Full share link
+ * @returns {{length: number, level: 'ok'|'long'|'too-long', message: string|null}}
+ */
+export function getShareLinkStatus(url) {
+  const { length } = url;
+  if (length > SHARE_LINK_LIMITS.MAX_URL_LENGTH) {
+    return {
+      length,
+      level: 'too-long',
+      message: `This project makes a ${length.toLocaleString()}-character link, too long to share reliably. Export a .forge project file instead.`,
+    };
+  }
+  if (length > SHARE_LINK_LIMITS.RECOMMENDED_URL_LENGTH) {
+    return {
+      length,
+      level: 'long',
+      message: `This link is ${length.toLocaleString()} characters long. Some apps and email clients cut off links over ${SHARE_LINK_LIMITS.RECOMMENDED_URL_LENGTH.toLocaleString()} characters.`,
+    };
+  }
+  return { length, level: 'ok', message: null };
+}
+
+/**
+ * Build a .forge bundle for a project too large for a link
+ * @param {Object} project - From buildSharedProject()
+ * @param {Object} [parameters={}] - Parameter values to open with
+ * @returns {string} JSON text
+ */
+export function createForgeBundle(project, parameters = {}) {
+  return JSON.stringify(
+    {
+      type: FORGE_BUNDLE_TYPE,
+      ...project,
+      params: parameters,
+      exported: Date.now(),
+    },
+    null,
+    2
+  );
+}
+
+/**
+ * Read a .forge bundle
+ * @param {string} text - File contents
+ * @returns {{name: string, main: string, files: Map<string, string>, parameters: Object}}
+ * @throws {Error} When the file is not a valid bundle
+ */
+export function readForgeBundle(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('This .forge file is damaged (not valid JSON)');
+  }
+  if (data?.type !== FORGE_BUNDLE_TYPE) {
+    throw new Error('This .forge file is not a project bundle');
+  }
+  return readSharedProject(data);
+}
+
+/**
+ * Text of the prompt shown before opening a project that carries its code
+ * @param {{name: string}} project - From decodeSharedProject() or readForgeBundle()
+ * @param {'link'|'file'} from - Whether it came from a share link or a .forge file
+ * @returns {string}
+ */
+export function getSharedProjectConsentMessage(project, from) {
+  const what = from === 'file' ? 'This .forge file' : 'This link';
+  return (
+    `${what} opens ${project.name} with its OpenSCAD code included.\n\n` +
+    'The code comes from whoever shared it, not from this app, ' +
+    'and will run in your browser to build the preview.\n\n' +
+    'Only continue if you trust where you got it. Open it?'
+  );
+}
+
+/**
+ * File name for a project's .forge bundle
+ * @param {string} name - Project name (e.g. "My Bracket.scad")
+ * @returns {string} e.g. "my_bracket.forge"
+ */
+export function forgeBundleFileName(name) {
+  const base = name
+    .replace(/\.(scad|zip|forge)$/i, '')
+    .replace(/[^a-z0-9_-]/gi, '_')
+    .toLowerCase();
+  return `${base}.forge`;
+}
@@ -494,19 +494,60 @@ export class StateManager {
 }
 
 /**
- * Serialize parameters to URL hash
+ * Current URL hash format
+ * v1: #v=1&params=<json>
+ * v2: #v=2&params=<json>&project=<compressed project> (project optional;
+ *     see share-link.js)
+ */
+export const URL_HASH_VERSION = 2;
+
+/**
+ * Split a URL hash into its fields, upgrading older formats
+ * Links made before the version field existed are read as v1. Parameters
+ * are encoded the same way in v1 and v2, so only the project field is new.
+ * @param {string} hash - URL hash, with or without the leading #
+ * @returns {{version: number, params: string|null, project: string|null}}
+ *   Raw (still encoded) field values
+ */
+export function parseURLHash(hash) {
+  const fields = new URLSearchParams((hash || '').replace(/^#/, ''));
+  const version = parseInt(fields.get('v'), 10) || 1;
+
+  if (version > URL_HASH_VERSION) {
+    console.warn(
+      `[URL Params] Link format v${version} is newer than this app (v${URL_HASH_VERSION}); reading what it can`
+    );
+  }
+
+  return {
+    version,
+    params: fields.get('params'),
+    // Projects were added in v2
+    project: version >= 2 ? fields.get('project') : null,
+  };
+}
+
+/**
+ * Serialize parameters (and optionally an embedded project) to a URL hash
  * @param {Object} params - Parameters object
+ * @param {string|null} [project=null] - From encodeSharedProject()
  * @returns {string} URL hash string
  */
-function serializeURLParams(params) {
-  if (!params || Object.keys(params).length === 0) {
+function serializeURLParams(params, project = null) {
+  const hasParams = params && Object.keys(params).length > 0;
+  if (!hasParams && !project) {
     return '';
   }
 
   try {
-    const json = JSON.stringify(params);
-    const encoded = encodeURIComponent(json);
-    return `#v=1&params=${encoded}`;
+    let hash = `#v=${URL_HASH_VERSION}`;
+    if (hasParams) {
+      hash += `&params=${encodeURIComponent(JSON.stringify(params))}`;
+    }
+    if (project) {
+      hash += `&project=${project}`;
+    }
+    return hash;
   } catch (error) {
     console.error('Failed to serialize URL params:', error);
     return '';
@@ -518,18 +559,12 @@ function serializeURLParams(params) {
  * @returns {Object|null} Parameters object or null if invalid
  */
 async function deserializeURLParams() {
-  const hash = window.location.hash;
-  if (!hash || !hash.includes('params=')) {
+  const { params: json } = parseURLHash(window.location.hash);
+  if (!json) {
     return null;
   }
 
   try {
-    // Extract params value from hash
-    const match = hash.match(/params=([^&]*)/);
-    if (!match) return null;
-
-    const encoded = match[1];
-    const json = decodeURIComponent(encoded);
     const params = JSON.parse(json);
 
     // Validate params with Ajv
@@ -552,13 +587,88 @@ async function deserializeURLParams() {
 /**
  * Get shareable URL for current parameters
  * @param {Object} params - Parameters object
+ * @param {Object} [options]
+ * @param {string|null} [options.project=null] - Compressed project from
+ *   encodeSharedProject(), so the link opens the model as well
  * @returns {string} Full URL with parameters
  */
-export function getShareableURL(params) {
-  const hash = serializeURLParams(params);
+export function getShareableURL(params, options = {}) {
+  const hash = serializeURLParams(params, options.project || null);
   return `${window.location.origin}${window.location.pathname}${hash}`;
 }
 
+/**
+ * Check parameter values from outside the app (URL, embedding page) against
+ * the model's schema
+ * Unknown, computed and out-of-list values are dropped; numbers are clamped
+ * to their range.
+ * @param {Object} extracted - From extractParameters()
+ * @param {Object} urlParams - Parameter values to check
+ * @returns {{sanitized: Object, adjustments: Object}} Usable values, and why
+ *   each other value was dropped or changed
+ */
+export function sanitizeUrlParams(extracted, urlParams) {
+  const sanitized = {};
+  const adjustments = {};
+
+  for (const [key, value] of Object.entries(urlParams || {})) {
+    const schema = extracted?.parameters?.[key];
+    if (!schema) {
+      adjustments[key] = { reason: 'unknown-param', value };
+      continue;
+    }
+
+    // Computed parameters are derived from other values
+    if (schema.computed) {
+      adjustments[key] = { reason: 'computed', value };
+      continue;
+    }
+
+    // Enum validation
+    if (Array.isArray(schema.enum)) {
+      if (!schema.enum.includes(value)) {
+        adjustments[key] = { reason: 'enum', value, allowed: schema.enum };
+        continue;
+      }
+      sanitized[key] = value;
+      continue;
+    }
+
+    // Numeric validation/clamping
+    if (typeof value === 'number') {
+      let nextValue = value;
+      if (schema.minimum !== undefined && nextValue < schema.minimum) {
+        adjustments[key] = {
+          reason: 'min',
+          value,
+          minimum: schema.minimum,
+          maximum: schema.maximum,
+        };
+        nextValue = schema.minimum;
+      }
+      if (schema.maximum !== undefined && nextValue > schema.maximum) {
+        adjustments[key] = {
+          reason: 'max',
+          value,
+          minimum: schema.minimum,
+          maximum: schema.maximum,
+        };
+        nextValue = schema.maximum;
+      }
+      if (schema.type === 'integer') {
+        nextValue = Math.round(nextValue);
+      }
+      sanitized[key] = nextValue;
+      continue;
+    }
+
+    // Booleans and strings (non-enum) pass through
+    sanitized[key] = value;
+  }
+
+  return { sanitized, adjustments };
+}
+
 /**
  * Check if localStorage is available and working
  * @returns {boolean} True if localStorage is available
@@ -585,6 +695,7 @@ const initialState = {
   lastRenderTime: null,
   stl: null,
   stlStats: null,
+  stlColorGroups: null, // Triangle ranges per color() region in stl
   expandedGroups: [],
   error: null,
   // Comparison mode
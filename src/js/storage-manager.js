@@ -18,6 +18,7 @@ import {
   clearAllSavedProjects,
   getSavedProjectsSummary,
 } from './saved-projects-manager.js';
+import { getRenderCacheSummary, clearRenderCache } from './render-cache.js';
 
 const FIRST_VISIT_KEY = 'openscad-forge-first-visit-seen';
 const STORAGE_PREFS_KEY = 'openscad-forge-storage-prefs';
@@ -382,6 +383,29 @@ export async function requestPersistentStorage() {
   }
 }
 
+// ============================================================================
+// Render Cache
+// ============================================================================
+
+/**
+ * Get cached render usage for the storage panel
+ * @returns {Promise<{count: number, bytes: number, formatted: string}>}
+ */
+export async function getRenderCacheInfo() {
+  const { count, bytes } = await getRenderCacheSummary();
+  return { count, bytes, formatted: formatBytes(bytes) };
+}
+
+/**
+ * Delete all cached render results, keeping everything else
+ * @returns {Promise<boolean>}
+ */
+export async function clearRenderCacheOnly() {
+  const cleared = await clearRenderCache();
+  console.log('[StorageManager] Render cache cleared:', cleared);
+  return cleared;
+}
+
 // ============================================================================
 // Smart Cache Clear (v2)
 // ============================================================================
@@ -431,6 +455,11 @@ export async function clearAppCachesOnly() {
     }
   }
 
+  // Cached render results (IndexedDB)
+  if (await clearRenderCache()) {
+    cacheCleared = true;
+  }
+
   console.log('[StorageManager] App caches cleared:', cacheCleared);
   return cacheCleared;
 }
@@ -534,6 +563,9 @@ export async function getDetailedStorageInfo() {
     savedDesignsSize: 0,
     savedDesignsFormatted: 'Unknown',
     savedDesignsCount: 0,
+    renderCacheSize: 0,
+    renderCacheFormatted: 'Unknown',
+    renderCacheCount: 0,
     foldersCount: 0,
     totalSize: 0,
     totalFormatted: 'Unknown',
@@ -555,6 +587,12 @@ export async function getDetailedStorageInfo() {
     );
   }
 
+  // Get cached renders summary
+  const renderCache = await getRenderCacheSummary();
+  info.renderCacheCount = renderCache.count;
+  info.renderCacheSize = renderCache.bytes;
+  info.renderCacheFormatted = formatBytes(renderCache.bytes);
+
   // Get folders count
   try {
     const folders = await listFolders();
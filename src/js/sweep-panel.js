@@ -0,0 +1,477 @@
+/**
+ * Sweep Panel
+ * Builds a parameter sweep in the Render Queue dialog: pick parameters,
+ * give each a range or a set of options, choose every combination or a
+ * Latin-hypercube sample, and queue the jobs. The latest sweep's results
+ * are shown in a sortable table and can be downloaded as one ZIP. The
+ * combinatorics and packaging live in parameter-sweep.js.
+ * @license GPL-3.0-or-later
+ */
+
+import {
+  SWEEP_MAX_JOBS,
+  buildSweepJobs,
+  buildSweepRows,
+  countCombinations,
+  createSweepZip,
+  getSweepableParameters,
+  sortSweepRows,
+} from './parameter-sweep.js';
+import { downloadFile } from './download.js';
+
+/** Results-table columns after the swept parameters */
+const RESULT_COLUMNS = [
+  { key: 'state', label: 'Status' },
+  { key: 'volume', label: 'Volume (mm³)' },
+  { key: 'sizeX', label: 'X (mm)' },
+  { key: 'sizeY', label: 'Y (mm)' },
+  { key: 'sizeZ', label: 'Z (mm)' },
+  { key: 'renderTime', label: 'Render time (s)' },
+];
+
+/** Format a number for the table */
+function formatNumber(value, decimals = 2) {
+  return value === null || value === undefined
+    ? '—'
+    : String(Number(value.toFixed(decimals)));
+}
+
+/**
+ * Initialize the sweep panel
+ * @param {Object} options - Configuration options
+ * @param {Object} options.renderQueue - RenderQueue the jobs are added to
+ * @param {Function} options.getSchema - Returns the current parameter schema (or null)
+ * @param {Function} options.getParameters - Returns the current parameter values
+ * @param {Function} [options.getModelName] - Returns the model file name
+ * @param {Function} [options.getOutputFormat] - Returns the selected output format
+ * @param {Function} [options.prepareQueue] - Sets the queue's project; returns
+ *   false when there is no model to render
+ * @param {Function} [options.announce] - Announce a message to screen readers
+ * @returns {Object|null} Controller API, or null if the panel is missing
+ */
+export function initSweepPanel(options = {}) {
+  const panel = document.getElementById('sweepPanel');
+  const parameterSelect = document.getElementById('sweepParameterSelect');
+  const addAxisBtn = document.getElementById('sweepAddAxisBtn');
+  const axesEl = document.getElementById('sweepAxes');
+  const modeSelect = document.getElementById('sweepMode');
+  const samplesField = document.getElementById('sweepSamplesField');
+  const samplesInput = document.getElementById('sweepSamples');
+  const summaryEl = document.getElementById('sweepSummary');
+  const queueBtn = document.getElementById('sweepQueueBtn');
+  const resultsEl = document.getElementById('sweepResults');
+  const tableEl = document.getElementById('sweepResultsTable');
+  const downloadBtn = document.getElementById('sweepDownloadBtn');
+
+  const { renderQueue } = options;
+  if (
+    !panel ||
+    !parameterSelect ||
+    !axesEl ||
+    !modeSelect ||
+    !summaryEl ||
+    !queueBtn ||
+    !tableEl ||
+    !renderQueue
+  ) {
+    console.warn('[Sweep] Required elements not found');
+    return null;
+  }
+
+  const getSchema = options.getSchema || (() => null);
+  const getParameters = options.getParameters || (() => ({}));
+  const getModelName = options.getModelName || (() => 'model');
+  const getOutputFormat = options.getOutputFormat || (() => 'stl');
+  const prepareQueue = options.prepareQueue || (() => true);
+  const announce = options.announce || (() => {});
+
+  let sweepable = [];
+  let axes = []; // {param, row}
+  let sweep = null; // Latest queued sweep
+  let sweepCount = 0;
+  let sort = { key: 'index', direction: 'ascending' };
+
+  function setSummary(message, announceIt = false) {
+    summaryEl.textContent = message;
+    if (announceIt) announce(message);
+  }
+
+  /**
+   * Fill the parameter picker with the parameters not yet swept
+   */
+  function renderParameterOptions() {
+    const used = new Set(axes.map(({ param }) => param.name));
+    parameterSelect.replaceChildren();
+    for (const param of sweepable) {
+      if (used.has(param.name)) continue;
+      const option = document.createElement('option');
+      option.value = param.name;
+      option.textContent =
+        param.kind === 'range'
+          ? `${param.name} (${param.minimum} to ${param.maximum})`
+          : `${param.name} (${param.options.length} options)`;
+      parameterSelect.appendChild(option);
+    }
+    const empty = parameterSelect.options.length === 0;
+    parameterSelect.disabled = empty;
+    if (addAxisBtn) addAxisBtn.disabled = empty;
+  }
+
+  /**
+   * Create a labelled number input for a range axis
+   */
+  function numberField(id, label, value, step) {
+    const wrapper = document.createElement('span');
+    wrapper.className = 'sweep-axis-field';
+    const labelEl = document.createElement('label');
+    labelEl.htmlFor = id;
+    labelEl.textContent = label;
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.id = id;
+    input.value = String(value);
+    input.step = 'any';
+    input.inputMode = step % 1 === 0 ? 'numeric' : 'decimal';
+    wrapper.append(labelEl, input);
+    return wrapper;
+  }
+
+  /**
+   * Add a row of controls for one swept parameter
+   * @param {Object} param - From getSweepableParameters()
+   */
+  function addAxis(param) {
+    const row = document.createElement('fieldset');
+    row.className = 'sweep-axis';
+    const legend = document.createElement('legend');
+    legend.textContent = param.name;
+    row.appendChild(legend);
+    const idBase = `sweepAxis-${param.name}`;
+
+    if (param.kind === 'range') {
+      row.append(
+        numberField(`${idBase}-min`, 'Start', param.minimum, param.step),
+        numberField(`${idBase}-max`, 'End', param.maximum, param.step),
+        numberField(`${idBase}-step`, 'Step', param.step, param.step)
+      );
+    } else {
+      param.options.forEach((value, i) => {
+        const label = document.createElement('label');
+        label.className = 'sweep-axis-option';
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.checked = true;
+        input.dataset.optionIndex = String(i);
+        label.append(input, ` ${value}`);
+        row.appendChild(label);
+      });
+    }
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'btn btn-sm btn-outline';
+    remove.textContent = 'Remove';
+    remove.setAttribute('aria-label', `Stop sweeping ${param.name}`);
+    remove.addEventListener('click', () => {
+      axes = axes.filter((axis) => axis.row !== row);
+      row.remove();
+      renderParameterOptions();
+      updateSummary();
+      parameterSelect.focus();
+    });
+    row.appendChild(remove);
+    row.addEventListener('input', () => updateSummary());
+    row.addEventListener('change', () => updateSummary());
+
+    axesEl.appendChild(row);
+    axes.push({ param, row });
+    renderParameterOptions();
+    updateSummary();
+  }
+
+  /**
+   * Read the axes from their controls
+   * @returns {Array<Object>} Axes for buildSweepJobs()
+   */
+  function readAxes() {
+    return axes.map(({ param, row }) => {
+      if (param.kind === 'options') {
+        const values = [
+          ...row.querySelectorAll('input[type="checkbox"]:checked'),
+        ].map((input) => param.options[Number(input.dataset.optionIndex)]);
+        return { name: param.name, values };
+      }
+      const [min, max, step] = [
+        ...row.querySelectorAll('input[type="number"]'),
+      ].map((input) => parseFloat(input.value));
+      return { name: param.name, min, max, step };
+    });
+  }
+
+  function readSamples() {
+    return parseInt(samplesInput?.value, 10);
+  }
+
+  /**
+   * Show how many jobs the sweep makes, or why it can't be queued
+   * @returns {boolean} Whether the sweep is valid
+   */
+  function updateSummary() {
+    const latin = modeSelect.value === 'latin-hypercube';
+    samplesField?.classList.toggle('hidden', !latin);
+    if (axes.length === 0) {
+      queueBtn.disabled = true;
+      setSummary(
+        sweepable.length === 0
+          ? 'This model has no number or option parameters to sweep.'
+          : 'Add a parameter to sweep.'
+      );
+      return false;
+    }
+    try {
+      const sweepAxes = readAxes();
+      const combinations = countCombinations(sweepAxes);
+      if (latin) {
+        const samples = readSamples();
+        if (!Number.isInteger(samples) || samples < 1) {
+          throw new Error('Enter a whole number of samples');
+        }
+        if (samples > SWEEP_MAX_JOBS) {
+          throw new Error(`A sweep can have at most ${SWEEP_MAX_JOBS} jobs`);
+        }
+        setSummary(
+          `Up to ${Math.min(samples, combinations)} jobs sampled from ${combinations} combinations.`
+        );
+      } else {
+        if (combinations > SWEEP_MAX_JOBS) {
+          throw new Error(
+            `${combinations} combinations; the most is ${SWEEP_MAX_JOBS}. Use fewer values or a Latin-hypercube sample.`
+          );
+        }
+        setSummary(
+          `${combinations} job${combinations === 1 ? '' : 's'} (${sweepAxes
+            .map((axis) => countCombinations([axis]))
+            .join(' × ')}).`
+        );
+      }
+      queueBtn.disabled = false;
+      return true;
+    } catch (error) {
+      queueBtn.disabled = true;
+      setSummary(error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Add the sweep's jobs to the render queue
+   */
+  function queueSweep() {
+    if (!updateSummary()) {
+      announce(summaryEl.textContent);
+      return;
+    }
+    if (!prepareQueue()) {
+      setSummary('Upload a model before queueing a sweep.', true);
+      return;
+    }
+
+    const sweepAxes = readAxes();
+    const mode = modeSelect.value;
+    const parameters = { ...getParameters() };
+    let jobs;
+    try {
+      jobs = buildSweepJobs(sweepAxes, {
+        mode,
+        samples: readSamples(),
+        baseParameters: parameters,
+      });
+    } catch (error) {
+      setSummary(error.message, true);
+      return;
+    }
+
+    const free = renderQueue.maxSweepQueueSize - renderQueue.getJobCount();
+    if (jobs.length > free) {
+      setSummary(
+        `The render queue has room for ${free} more job${free === 1 ? '' : 's'} but this sweep has ${jobs.length}. Clear finished jobs and try again.`,
+        true
+      );
+      return;
+    }
+
+    const id = `sweep-${++sweepCount}`;
+    const format = getOutputFormat();
+    for (const job of jobs) {
+      renderQueue.addJob(job.name, job.parameters, format, {
+        sweep: { id, values: job.values },
+      });
+    }
+    sweep = { id, axes: sweepAxes, mode, parameters, format };
+    sort = { key: 'index', direction: 'ascending' };
+    renderResults();
+    setSummary(
+      `Queued ${jobs.length} sweep job${jobs.length === 1 ? '' : 's'}. Choose Process Queue to render them.`,
+      true
+    );
+  }
+
+  /**
+   * Draw the results table header with sort buttons
+   */
+  function renderHeader() {
+    const columns = [
+      { key: 'index', label: '#' },
+      ...sweep.axes.map((axis) => ({
+        key: `param:${axis.name}`,
+        label: axis.name,
+      })),
+      ...RESULT_COLUMNS,
+    ];
+    const head = document.createElement('thead');
+    const row = document.createElement('tr');
+    for (const column of columns) {
+      const th = document.createElement('th');
+      th.scope = 'col';
+      const active = sort.key === column.key;
+      th.setAttribute('aria-sort', active ? sort.direction : 'none');
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'sweep-sort-btn';
+      button.dataset.sortKey = column.key;
+      button.textContent = column.label;
+      if (active) {
+        button.append(sort.direction === 'ascending' ? ' ▲' : ' ▼');
+      }
+      th.appendChild(button);
+      row.appendChild(th);
+    }
+    head.appendChild(row);
+    return head;
+  }
+
+  /**
+   * Draw the latest sweep's results
+   */
+  function renderResults() {
+    const jobs = sweep ? renderQueue.getSweepJobs(sweep.id) : [];
+    resultsEl?.classList.toggle('hidden', jobs.length === 0);
+    if (jobs.length === 0) {
+      tableEl.replaceChildren();
+      if (downloadBtn) downloadBtn.disabled = true;
+      return;
+    }
+
+    const rows = sortSweepRows(buildSweepRows(jobs), sort.key, sort.direction);
+    const body = document.createElement('tbody');
+    for (const row of rows) {
+      const tr = document.createElement('tr');
+      tr.className = `sweep-row-${row.state}`;
+      const cells = [
+        String(row.index + 1),
+        ...sweep.axes.map((axis) => String(row.values[axis.name])),
+        row.error ? `${row.state}: ${row.error}` : row.state,
+        formatNumber(row.volume),
+        formatNumber(row.sizeX),
+        formatNumber(row.sizeY),
+        formatNumber(row.sizeZ),
+        row.renderTime === null ? '—' : formatNumber(row.renderTime / 1000, 1),
+      ];
+      cells.forEach((text, i) => {
+        const cell = document.createElement(i === 0 ? 'th' : 'td');
+        if (i === 0) cell.scope = 'row';
+        cell.textContent = text;
+        tr.appendChild(cell);
+      });
+      body.appendChild(tr);
+    }
+
+    const caption = document.createElement('caption');
+    caption.textContent = `Sweep results: ${rows.filter((row) => row.state === 'complete').length} of ${rows.length} rendered`;
+    tableEl.replaceChildren(caption, renderHeader(), body);
+    if (downloadBtn) {
+      downloadBtn.disabled = !rows.some((row) => row.state === 'complete');
+    }
+  }
+
+  async function downloadZip() {
+    if (!sweep) return;
+    const rows = buildSweepRows(renderQueue.getSweepJobs(sweep.id));
+    const modelName = getModelName();
+    downloadBtn.disabled = true;
+    try {
+      const data = await createSweepZip(rows, {
+        modelName,
+        format: sweep.format,
+        mode: sweep.mode,
+        axes: sweep.axes,
+        parameters: sweep.parameters,
+      });
+      downloadFile(
+        data,
+        `${modelName.replace(/\.(scad|zip)$/i, '')}-sweep.zip`,
+        'zip'
+      );
+      const rendered = rows.filter((row) => row.state === 'complete').length;
+      setSummary(
+        `Downloaded ${rendered} of ${rows.length} sweep results as a ZIP.`,
+        true
+      );
+    } catch (error) {
+      console.error('[Sweep] ZIP export failed:', error);
+      setSummary(`Download failed: ${error.message}`, true);
+    } finally {
+      downloadBtn.disabled = false;
+    }
+  }
+
+  addAxisBtn?.addEventListener('click', () => {
+    const param = sweepable.find((p) => p.name === parameterSelect.value);
+    if (!param) return;
+    addAxis(param);
+    axes[axes.length - 1].row.querySelector('input')?.focus();
+  });
+  modeSelect.addEventListener('change', () => updateSummary());
+  samplesInput?.addEventListener('input', () => updateSummary());
+  queueBtn.addEventListener('click', queueSweep);
+  downloadBtn?.addEventListener('click', downloadZip);
+  tableEl.addEventListener('click', (event) => {
+    const button = event.target.closest('button[data-sort-key]');
+    if (!button) return;
+    const { sortKey } = button.dataset;
+    sort = {
+      key: sortKey,
+      direction:
+        sort.key === sortKey && sort.direction === 'ascending'
+          ? 'descending'
+          : 'ascending',
+    };
+    renderResults();
+    tableEl.querySelector(`button[data-sort-key="${sortKey}"]`)?.focus();
+    announce(
+      `Sorted by ${button.textContent.replace(/ [▲▼]$/, '')}, ${sort.direction}`
+    );
+  });
+  renderQueue.subscribe((event) => {
+    // Progress messages don't change the table
+    if (sweep && event !== 'progress') renderResults();
+  });
+
+  /** Start over with the current schema's parameters */
+  function refresh() {
+    sweepable = getSweepableParameters(getSchema()?.parameters);
+    axes = [];
+    axesEl.replaceChildren();
+    renderParameterOptions();
+    updateSummary();
+  }
+
+  refresh();
+  renderResults();
+
+  return {
+    refresh,
+    /** Jobs of the latest sweep, in sweep order */
+    getSweepJobs: () => (sweep ? renderQueue.getSweepJobs(sweep.id) : []),
+  };
+}
@@ -0,0 +1,194 @@
+/**
+ * 3MF Writer - Package triangle meshes as a 3MF archive
+ *
+ * The official OpenSCAD WASM build is compiled without lib3mf, so 3MF files
+ * are assembled here from rendered STL data.
+ *
+ * @license GPL-3.0-or-later
+ */
+
+import JSZip from 'jszip';
+
+const CONTENT_TYPES_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+  <Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+  <Default Extension="model" ContentType="application/vnd.ms-package.3dmanufacturing-3dmodel+xml"/>
+</Types>
+`;
+
+const RELS_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Target="/3D/3dmodel.model" Id="rel0" Type="http://schemas.microsoft.com/3dmanufacturing/2013/01/3dmodel"/>
+</Relationships>
+`;
+
+/**
+ * Escape text for use in an XML attribute
+ * @param {string} value - Raw text
+ * @returns {string}
+ */
+function escapeXmlAttr(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Format a coordinate without float noise (e.g. 0.30000001192092896)
+ * @param {number} value - Coordinate
+ * @returns {string}
+ */
+function formatCoordinate(value) {
+  return String(Number(value.toPrecision(7)));
+}
+
+/**
+ * Read triangle vertex positions from binary or ASCII STL data
+ * @param {ArrayBuffer|Uint8Array} data - STL file contents
+ * @returns {Float32Array} Nine values (three x/y/z vertices) per triangle
+ */
+export function parseStl(data) {
+  const bytes =
+    data instanceof Uint8Array
+      ? data
+      : new Uint8Array(data instanceof ArrayBuffer ? data : data.buffer);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  // Binary STL: 80-byte header, uint32 count, 50 bytes per triangle
+  if (bytes.byteLength >= 84) {
+    const count = view.getUint32(80, true);
+    if (84 + count * 50 === bytes.byteLength) {
+      const positions = new Float32Array(count * 9);
+      for (let i = 0; i < count; i++) {
+        const offset = 84 + i * 50 + 12; // skip the normal
+        for (let j = 0; j < 9; j++) {
+          positions[i * 9 + j] = view.getFloat32(offset + j * 4, true);
+        }
+      }
+      return positions;
+    }
+  }
+
+  const text = new TextDecoder().decode(bytes);
+  const values = [];
+  const vertexPattern = /vertex\s+(\S+)\s+(\S+)\s+(\S+)/g;
+  let match;
+  while ((match = vertexPattern.exec(text)) !== null) {
+    values.push(
+      parseFloat(match[1]),
+      parseFloat(match[2]),
+      parseFloat(match[3])
+    );
+  }
+  // Drop a trailing partial facet from truncated files
+  return new Float32Array(values.slice(0, values.length - (values.length % 9)));
+}
+
+/**
+ * Merge shared vertices of a triangle soup into an indexed mesh
+ * @param {Float32Array|number[]} positions - Nine values per triangle
+ * @returns {{vertices: number[], triangles: number[]}} Flat x/y/z list and
+ *   flat v1/v2/v3 index list
+ */
+export function indexMesh(positions) {
+  const vertices = [];
+  const triangles = [];
+  const lookup = new Map();
+
+  for (let i = 0; i < positions.length; i += 3) {
+    const x = positions[i];
+    const y = positions[i + 1];
+    const z = positions[i + 2];
+    const key = `${x},${y},${z}`;
+    let index = lookup.get(key);
+    if (index === undefined) {
+      index = vertices.length / 3;
+      lookup.set(key, index);
+      vertices.push(x, y, z);
+    }
+    triangles.push(index);
+  }
+
+  return { vertices, triangles };
+}
+
+/**
+ * Build the 3D/3dmodel.model XML document
+ * @param {Array<{name?: string, positions: Float32Array|number[], color?: string}>} objects
+ * @returns {string} Model XML
+ */
+export function buildModelXml(objects) {
+  const colored = objects.some((object) => object.color);
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<model unit="millimeter" xml:lang="en-US" xmlns="http://schemas.microsoft.com/3dmanufacturing/core/2015/02">',
+    '  <resources>',
+  ];
+
+  // Object IDs start after the material group (id 1) when colors are used
+  const firstObjectId = colored ? 2 : 1;
+
+  if (colored) {
+    lines.push('    <basematerials id="1">');
+    objects.forEach((object, i) => {
+      const color = (object.color || '#CCCCCC').toUpperCase();
+      lines.push(
+        `      <base name="${escapeXmlAttr(object.name || `Part ${i + 1}`)}" displaycolor="${escapeXmlAttr(color)}"/>`
+      );
+    });
+    lines.push('    </basematerials>');
+  }
+
+  objects.forEach((object, i) => {
+    const { vertices, triangles } = indexMesh(object.positions);
+    const id = firstObjectId + i;
+    const material = colored ? ` pid="1" pindex="${i}"` : '';
+    lines.push(
+      `    <object id="${id}" type="model" name="${escapeXmlAttr(object.name || `Part ${i + 1}`)}"${material}>`,
+      '      <mesh>',
+      '        <vertices>'
+    );
+    for (let v = 0; v < vertices.length; v += 3) {
+      lines.push(
+        `          <vertex x="${formatCoordinate(vertices[v])}" y="${formatCoordinate(vertices[v + 1])}" z="${formatCoordinate(vertices[v + 2])}"/>`
+      );
+    }
+    lines.push('        </vertices>', '        <triangles>');
+    for (let t = 0; t < triangles.length; t += 3) {
+      lines.push(
+        `          <triangle v1="${triangles[t]}" v2="${triangles[t + 1]}" v3="${triangles[t + 2]}"/>`
+      );
+    }
+    lines.push('        </triangles>', '      </mesh>', '    </object>');
+  });
+
+  lines.push('  </resources>', '  <build>');
+  objects.forEach((_object, i) => {
+    lines.push(`    <item objectid="${firstObjectId + i}"/>`);
+  });
+  lines.push('  </build>', '</model>', '');
+
+  return lines.join('\n');
+}
+
+/**
+ * Package meshes as a 3MF archive
+ * @param {Array<{name?: string, positions: Float32Array|number[], color?: string}>} objects
+ *   Meshes as triangle soups (nine values per triangle); color is #RRGGBB or #RRGGBBAA
+ * @returns {Promise<Uint8Array>} 3MF file contents
+ */
+export async function createThreeMF(objects) {
+  const zip = new JSZip();
+  zip.file('[Content_Types].xml', CONTENT_TYPES_XML, { createFolders: false });
+  zip.file('_rels/.rels', RELS_XML, { createFolders: false });
+  zip.file('3D/3dmodel.model', buildModelXml(objects), {
+    createFolders: false,
+  });
+  return zip.generateAsync({
+    type: 'uint8array',
+    compression: 'DEFLATE',
+    compressionOptions: { level: 6 },
+  });
+}
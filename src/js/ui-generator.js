@@ -4,6 +4,24 @@
  */
 
 import { formatFileSize } from './download.js';
+import { isFileParameterValue } from './parameter-files.js';
+import {
+  RASTER_IMAGE_EXTENSIONS,
+  getImageOutputFormats,
+  isAcceptedUpload,
+  isRasterImageFile,
+} from './image-preprocess.js';
+import { openImagePreprocessDialog } from './image-preprocess-dialog.js';
+import {
+  formatScadValue,
+  isScadRange,
+  parseScadLiteral,
+} from './scad-value-utils.js';
+import { evaluateAssignments } from './scad-expression.js';
+import {
+  isDependencySatisfied,
+  getDependencyParameters,
+} from './dependency-conditions.js';
 
 /**
  * Format a parameter name for display (replaces underscores with spaces)
@@ -76,6 +94,15 @@ let limitsUnlocked = false;
 // Store parameter metadata for search
 let parameterMetadata = {};
 
+// Ordered top-level assignments used to evaluate computed parameters
+let parameterAssignments = [];
+
+// Computed (derived, read-only) parameter definitions by name
+let computedParameters = {};
+
+// @depends conditions by dependent parameter name
+let parameterDependencies = {};
+
 /**
  * Set whether parameter limits are unlocked
  * @param {boolean} unlocked - Whether limits should be unlocked
@@ -118,9 +145,9 @@ export function setLimitsUnlocked(unlocked) {
       }
     }
 
-    // Update number inputs
-    const numberInput = control.querySelector('input[type="number"]');
-    if (numberInput) {
+    // Update number inputs (vector controls have one per element)
+    const numberInputs = control.querySelectorAll('input[type="number"]');
+    numberInputs.forEach((numberInput) => {
       if (unlocked) {
         numberInput.removeAttribute('min');
         numberInput.removeAttribute('max');
@@ -130,7 +157,7 @@ export function setLimitsUnlocked(unlocked) {
         if (limits.max !== undefined) numberInput.max = limits.max;
         control.classList.remove('limits-unlocked');
       }
-    }
+    });
   });
 }
 
@@ -237,7 +264,8 @@ export function focusParameter(paramName, options = {}) {
   // If hidden by dependency, focus the dependency controller instead.
   const isHiddenByDependency = control.getAttribute('aria-hidden') === 'true';
   if (isHiddenByDependency) {
-    const dependsOn = control.dataset.depends;
+    // Conditions may read several parameters; point at the first one
+    const dependsOn = control.dataset.depends?.split(' ')[0];
     if (dependsOn) {
       const dep = findParamControl(dependsOn, null);
       if (dep) {
@@ -283,6 +311,17 @@ export function setParameterValue(paramName, value) {
   const control = findParamControl(paramName, null);
   if (!control) return false;
 
+  // Computed parameters are derived from others and cannot be set
+  if (computedParameters[paramName]) return false;
+
+  // Vector controls hold one input per element
+  const vectorInputs = control.querySelectorAll('.vector-element-input');
+  if (vectorInputs.length > 0 && Array.isArray(value)) {
+    setVectorInputValues(vectorInputs, value);
+    vectorInputs[0].dispatchEvent(new Event('change', { bubbles: true }));
+    return true;
+  }
+
   const input = control.querySelector('input, select, textarea');
   if (!input) return false;
 
@@ -321,8 +360,12 @@ export function resetParameter(paramName, onChange) {
   if (!control) return defaultValue;
 
   // Update the input element
+  const vectorInputs = control.querySelectorAll('.vector-element-input');
   const input = control.querySelector('input, select');
-  if (input) {
+  if (vectorInputs.length > 0 && Array.isArray(defaultValue)) {
+    setVectorInputValues(vectorInputs, defaultValue);
+    vectorInputs[0].dispatchEvent(new Event('change', { bubbles: true }));
+  } else if (input) {
     if (input.type === 'checkbox') {
       input.checked = defaultValue.toLowerCase() === 'yes';
       input.dispatchEvent(new Event('change', { bubbles: true }));
@@ -347,28 +390,25 @@ export function resetParameter(paramName, onChange) {
 }
 
 /**
- * Check if a dependency condition is met
- * @param {Object} dependency - Dependency object with parameter, operator, value
- * @param {Object} currentParams - Current parameter values
- * @returns {boolean} True if dependency is met (parameter should be visible)
+ * Show or hide a dependent parameter control
+ * @param {HTMLElement} control - The parameter control container
+ * @param {boolean} visible - Whether the control should be shown
  */
-function checkDependency(dependency, currentParams) {
-  if (!dependency) return true;
-
-  const actualValue = String(currentParams[dependency.parameter] ?? '');
-  const expectedValue = dependency.value;
-
-  if (dependency.operator === '==') {
-    return actualValue === expectedValue;
-  } else if (dependency.operator === '!=') {
-    return actualValue !== expectedValue;
-  }
-
-  return true;
+function setDependentVisibility(control, visible) {
+  control.style.display = visible ? '' : 'none';
+  control.setAttribute('aria-hidden', visible ? 'false' : 'true');
+
+  // Keep hidden inputs out of the tab order
+  const inputs = control.querySelectorAll('input, select, textarea');
+  inputs.forEach((input) => {
+    if (visible) input.removeAttribute('tabindex');
+    else input.setAttribute('tabindex', '-1');
+  });
 }
 
 /**
  * Update visibility of dependent parameters
+ * Re-evaluates every @depends condition that reads the changed parameter.
  * @param {string} changedParam - Name of the parameter that changed
  * @param {*} newValue - New value of the changed parameter
  */
@@ -376,48 +416,75 @@ export function updateDependentParameters(changedParam, newValue) {
   // Update stored values
   currentParameterValues[changedParam] = newValue;
 
-  // Find all parameters that depend on changedParam
   const allControls = document.querySelectorAll('.param-control[data-depends]');
 
   allControls.forEach((control) => {
-    const dependsOn = control.dataset.depends;
-
-    if (dependsOn === changedParam) {
-      const operator = control.dataset.dependsOperator;
-      const expectedValue = control.dataset.dependsValue;
-      const actualValue = String(newValue);
-
-      let shouldShow = false;
-      if (operator === '==') {
-        shouldShow = actualValue === expectedValue;
-      } else if (operator === '!=') {
-        shouldShow = actualValue !== expectedValue;
-      }
+    const paramName = control.dataset.paramName;
+    const dependency = parameterDependencies[paramName];
+    if (!getDependencyParameters(dependency).includes(changedParam)) return;
 
-      const paramName = control.dataset.paramName;
+    const wasVisible = control.getAttribute('aria-hidden') !== 'true';
+    const shouldShow = isDependencySatisfied(
+      dependency,
+      currentParameterValues
+    );
 
-      if (shouldShow) {
-        control.style.display = '';
-        control.setAttribute('aria-hidden', 'false');
+    setDependentVisibility(control, shouldShow);
 
-        // Re-enable inputs for accessibility
-        const inputs = control.querySelectorAll('input, select, textarea');
-        inputs.forEach((input) => input.removeAttribute('tabindex'));
+    // Announce to screen readers only when visibility actually changes
+    if (shouldShow !== wasVisible) {
+      announceChange(
+        `${formatParamName(paramName)} is now ${shouldShow ? 'visible' : 'hidden'}`
+      );
+    }
+  });
+}
 
-        // Announce to screen readers
-        announceChange(`${formatParamName(paramName)} is now visible`);
-      } else {
-        control.style.display = 'none';
-        control.setAttribute('aria-hidden', 'true');
+/**
+ * Format an evaluated computed value for display
+ * Numbers are rounded to avoid floating point noise (e.g. 0.30000000000000004).
+ * @param {*} value - Evaluated value
+ * @returns {string} Display text
+ */
+function formatComputedValue(value) {
+  const round = (v) => {
+    if (typeof v === 'number') return Number(v.toFixed(6));
+    if (Array.isArray(v)) return v.map(round);
+    return v;
+  };
+  return formatScadValue(round(value));
+}
 
-        // Remove from tab order when hidden
-        const inputs = control.querySelectorAll('input, select, textarea');
-        inputs.forEach((input) => input.setAttribute('tabindex', '-1'));
+/**
+ * Re-evaluate computed parameters against the current values and update
+ * their read-only displays
+ * @returns {Object} Evaluated values of computed parameters by name
+ */
+export function updateComputedParameters() {
+  const names = Object.keys(computedParameters);
+  if (names.length === 0) return {};
 
-        announceChange(`${formatParamName(paramName)} is now hidden`);
-      }
+  const scope = evaluateAssignments(
+    parameterAssignments,
+    currentParameterValues
+  );
+
+  const computedValues = {};
+  for (const name of names) {
+    const param = computedParameters[name];
+    const value = scope[name];
+    computedValues[name] = value;
+
+    const output = document.querySelector(
+      `.param-control--computed[data-param-name="${name}"] .computed-value`
+    );
+    if (output) {
+      const text = formatComputedValue(value);
+      output.value = param.unit ? `${text} ${param.unit}` : text;
     }
-  });
+  }
+
+  return computedValues;
 }
 
 /**
@@ -465,19 +532,20 @@ function announceChange(message) {
 function applyDependency(container, param, currentParams) {
   if (!param.dependency) return;
 
+  parameterDependencies[param.name] = param.dependency;
+
   container.dataset.paramName = param.name;
-  container.dataset.depends = param.dependency.parameter;
-  container.dataset.dependsOperator = param.dependency.operator;
-  container.dataset.dependsValue = param.dependency.value;
+  // Space-separated list of the parameters the condition reads
+  container.dataset.depends = getDependencyParameters(param.dependency).join(
+    ' '
+  );
+  if (param.dependency.expression) {
+    container.dataset.dependsCondition = param.dependency.expression;
+  }
 
   // Check if dependency is met and set initial visibility
-  if (!checkDependency(param.dependency, currentParams)) {
-    container.style.display = 'none';
-    container.setAttribute('aria-hidden', 'true');
-
-    // Remove from tab order when hidden
-    const inputs = container.querySelectorAll('input, select, textarea');
-    inputs.forEach((input) => input.setAttribute('tabindex', '-1'));
+  if (!isDependencySatisfied(param.dependency, currentParams)) {
+    setDependentVisibility(container, false);
   }
 }
 
@@ -1052,6 +1120,261 @@ function createNumberInput(param, onChange) {
   return container;
 }
 
+/**
+ * Axis labels used for vector elements (falls back to 1-based indices)
+ */
+const VECTOR_AXIS_LABELS = ['X', 'Y', 'Z', 'W'];
+
+/**
+ * Write values into the per-element inputs of a vector control
+ * @param {NodeList|Array<HTMLInputElement>} inputs - Element inputs
+ * @param {Array<number>} values - Vector values
+ */
+function setVectorInputValues(inputs, values) {
+  inputs.forEach((input, index) => {
+    if (values[index] !== undefined) {
+      input.value = values[index];
+    }
+  });
+}
+
+/**
+ * Create a vector control with one number field per element
+ * A shared [min:max] or [min:step:max] hint applies to every element.
+ * @param {Object} param - Parameter definition (type 'vector')
+ * @param {Function} onChange - Change handler
+ * @returns {HTMLElement} Control element
+ */
+function createVectorControl(param, onChange) {
+  const container = document.createElement('div');
+  container.className = 'param-control param-control--vector';
+  container.dataset.paramName = param.name;
+
+  // Store original limits for unlock functionality
+  if (param.minimum !== undefined || param.maximum !== undefined) {
+    originalParameterLimits[param.name] = {
+      min: param.minimum,
+      max: param.maximum,
+      step: param.step,
+    };
+  }
+
+  // Label container with help tooltip and reset button
+  const labelContainer = createLabelContainer(param, {
+    includeResetButton: true,
+    onChange,
+  });
+  container.appendChild(labelContainer);
+
+  const values = Array.isArray(param.default) ? param.default : [];
+  const elementCount = param.elementCount || values.length;
+
+  const group = document.createElement('div');
+  group.className = 'vector-input-group';
+  group.setAttribute('role', 'group');
+  group.setAttribute(
+    'aria-label',
+    `${formatParamName(param.name)}${param.unit ? ' in ' + param.unit : ''}`
+  );
+
+  const inputs = [];
+  for (let index = 0; index < elementCount; index++) {
+    const axis =
+      elementCount <= VECTOR_AXIS_LABELS.length
+        ? VECTOR_AXIS_LABELS[index]
+        : String(index + 1);
+
+    const field = document.createElement('div');
+    field.className = 'vector-element';
+
+    const axisLabel = document.createElement('span');
+    axisLabel.className = 'vector-element-label';
+    axisLabel.textContent = axis;
+    axisLabel.setAttribute('aria-hidden', 'true'); // Already in aria-label
+
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.className = 'vector-element-input';
+    // First element carries the shared id so the label and focus helpers work
+    input.id =
+      index === 0 ? `param-${param.name}` : `param-${param.name}-${index}`;
+    input.dataset.index = String(index);
+    input.value = values[index] ?? 0;
+    input.setAttribute(
+      'aria-label',
+      `${formatParamName(param.name)} ${axis}${param.unit ? ' in ' + param.unit : ''}`
+    );
+
+    // Only apply limits if not unlocked
+    if (!limitsUnlocked) {
+      if (param.minimum !== undefined) input.min = param.minimum;
+      if (param.maximum !== undefined) input.max = param.maximum;
+    }
+    input.step = param.step !== undefined ? param.step : 'any';
+
+    field.appendChild(axisLabel);
+    field.appendChild(input);
+    group.appendChild(field);
+    inputs.push(input);
+  }
+
+  const handleElementChange = () => {
+    const vector = inputs.map((input) => {
+      const value = parseFloat(input.value);
+      return isNaN(value) ? 0 : value;
+    });
+
+    // Check if any element is out of original range
+    const limits = originalParameterLimits[param.name];
+    const outOfRange =
+      limits &&
+      vector.some(
+        (value) =>
+          (limits.min !== undefined && value < limits.min) ||
+          (limits.max !== undefined && value > limits.max)
+      );
+    container.classList.toggle('out-of-range', !!outOfRange);
+
+    // Update reset button state
+    updateResetButtonState(param.name, vector);
+
+    onChange(param.name, vector);
+  };
+
+  inputs.forEach((input) => {
+    input.addEventListener('change', handleElementChange);
+  });
+
+  container.appendChild(group);
+
+  // Show original default value hint (COGA: reduce memory load)
+  const originalDefault = defaultParameterValues[param.name];
+  if (Array.isArray(originalDefault)) {
+    const defaultText = `${formatScadValue(originalDefault)}${param.unit ? ' ' + param.unit : ''}`;
+    const defaultHint = document.createElement('span');
+    defaultHint.className = 'param-default-value';
+    defaultHint.textContent = defaultText;
+    defaultHint.setAttribute('title', `Default: ${defaultText}`);
+    container.appendChild(defaultHint);
+  }
+
+  // Apply limits-unlocked class if needed
+  if (
+    limitsUnlocked &&
+    (param.minimum !== undefined || param.maximum !== undefined)
+  ) {
+    container.classList.add('limits-unlocked');
+  }
+
+  return container;
+}
+
+/**
+ * Create a text control that edits an OpenSCAD list or range literal
+ * Invalid input is flagged and not passed to onChange.
+ * @param {Object} param - Parameter definition (type 'list' or 'range')
+ * @param {Function} onChange - Change handler
+ * @returns {HTMLElement} Control element
+ */
+function createLiteralInput(param, onChange) {
+  const container = document.createElement('div');
+  container.className = 'param-control param-control--literal';
+  container.dataset.paramName = param.name;
+
+  // Label container with help tooltip
+  const labelContainer = createLabelContainer(param);
+  container.appendChild(labelContainer);
+
+  const isRange = param.type === 'range';
+  const errorId = `param-${param.name}-error`;
+
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.id = `param-${param.name}`;
+  input.className = 'literal-input';
+  input.spellcheck = false;
+  input.value = formatScadValue(param.default);
+  input.setAttribute(
+    'aria-label',
+    isRange
+      ? `Enter ${formatParamName(param.name)} as a range, for example [0:2:10]`
+      : `Enter ${formatParamName(param.name)} as a list, for example [1, 2, 3]`
+  );
+
+  const error = document.createElement('div');
+  error.id = errorId;
+  error.className = 'param-input-error';
+  error.setAttribute('role', 'alert');
+  error.hidden = true;
+
+  input.addEventListener('change', (e) => {
+    const literal = parseScadLiteral(e.target.value);
+    const valid =
+      literal &&
+      (isRange ? isScadRange(literal.value) : Array.isArray(literal.value));
+
+    if (!valid) {
+      input.setAttribute('aria-invalid', 'true');
+      input.setAttribute('aria-describedby', errorId);
+      error.textContent = isRange
+        ? 'Enter a range like [0:10] or [0:2:10]'
+        : 'Enter a list like [1, 2, 3] or ["a", "b"]';
+      error.hidden = false;
+      return;
+    }
+
+    input.removeAttribute('aria-invalid');
+    input.removeAttribute('aria-describedby');
+    error.hidden = true;
+    error.textContent = '';
+    onChange(param.name, literal.value);
+  });
+
+  container.appendChild(input);
+  container.appendChild(error);
+
+  return container;
+}
+
+/**
+ * Create a read-only display for a computed parameter
+ * Shows the live evaluated value and the source expression.
+ * @param {Object} param - Parameter definition (computed)
+ * @returns {HTMLElement} Control element
+ */
+function createComputedDisplay(param) {
+  const container = document.createElement('div');
+  container.className = 'param-control param-control--computed';
+  container.dataset.paramName = param.name;
+
+  // Label container with help tooltip
+  const labelContainer = createLabelContainer(param);
+  container.appendChild(labelContainer);
+
+  const expressionId = `param-${param.name}-expression`;
+  const text = formatComputedValue(param.default);
+
+  // Read-only input stays in the tab order so keyboard and screen reader
+  // users can reach the value
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.id = `param-${param.name}`;
+  input.className = 'computed-value';
+  input.readOnly = true;
+  input.value = param.unit ? `${text} ${param.unit}` : text;
+  input.setAttribute('aria-describedby', expressionId);
+
+  const expression = document.createElement('div');
+  expression.id = expressionId;
+  expression.className = 'computed-expression';
+  expression.textContent = `Calculated from: ${param.expression}`;
+
+  container.appendChild(input);
+  container.appendChild(expression);
+
+  return container;
+}
+
 /**
  * Create a select dropdown control
  * @param {Object} param - Parameter definition
@@ -1284,9 +1607,23 @@ function createFileControl(param, onChange) {
     `Upload file for ${formatParamName(param.name)}`
   );
 
+  // Photos can be prepared as PNG, DAT or SVG, whichever the parameter takes
+  const imageFormats = getImageOutputFormats(param.acceptedExtensions);
+
   // Set accepted file types if specified
   if (param.acceptedExtensions && param.acceptedExtensions.length > 0) {
-    fileInput.accept = param.acceptedExtensions
+    const extensions = new Set(param.acceptedExtensions);
+    // Let photos be picked for conversion, unless the hint already names
+    // photo formats (e.g. [file:png,jpg])
+    const namesPhotos = param.acceptedExtensions.some(
+      (ext) =>
+        ext.toLowerCase() !== 'png' &&
+        RASTER_IMAGE_EXTENSIONS.includes(ext.toLowerCase())
+    );
+    if (imageFormats.length > 0 && !namesPhotos) {
+      RASTER_IMAGE_EXTENSIONS.forEach((ext) => extensions.add(ext));
+    }
+    fileInput.accept = Array.from(extensions)
       .map((ext) => `.${ext}`)
       .join(',');
   }
@@ -1302,7 +1639,10 @@ function createFileControl(param, onChange) {
 
   const fileInfo = document.createElement('div');
   fileInfo.className = 'file-info';
-  fileInfo.textContent = param.default || 'No file selected';
+  const restored = isFileParameterValue(param.default) ? param.default : null;
+  fileInfo.textContent = restored
+    ? `${restored.name} (${formatFileSize(restored.size)})`
+    : param.default || 'No file selected';
   fileInfo.setAttribute('role', 'status');
   fileInfo.setAttribute('aria-live', 'polite');
 
@@ -1315,7 +1655,45 @@ function createFileControl(param, onChange) {
     'aria-label',
     `Clear file for ${formatParamName(param.name)}`
   );
-  clearButton.style.display = 'none';
+  clearButton.style.display = restored ? 'inline-block' : 'none';
+
+  const adjustButton = document.createElement('button');
+  adjustButton.type = 'button';
+  adjustButton.className = 'file-adjust-button';
+  adjustButton.textContent = 'Adjust image';
+  adjustButton.setAttribute(
+    'aria-label',
+    `Crop, resize or convert the image for ${formatParamName(param.name)}`
+  );
+  adjustButton.style.display = 'none';
+
+  // Photo as uploaded, so adjustments always start from the original
+  let originalImage = null;
+
+  const showUpload = (upload) => {
+    fileInfo.textContent = `${upload.name} (${formatFileSize(upload.size)})`;
+    fileInfo.title = upload.name;
+    fileInfo.className = 'file-info';
+    clearButton.style.display = 'inline-block';
+    adjustButton.style.display = originalImage ? 'inline-block' : 'none';
+    onChange(param.name, upload);
+  };
+
+  const prepareImage = async (allowOriginal) => {
+    const prepared = await openImagePreprocessDialog(originalImage, {
+      label: formatParamName(param.name),
+      formats: imageFormats,
+      allowOriginal,
+    });
+    if (prepared) showUpload(prepared);
+    return prepared;
+  };
+
+  adjustButton.addEventListener('click', () => {
+    prepareImage(
+      isAcceptedUpload(originalImage.name, param.acceptedExtensions)
+    );
+  });
 
   // Button triggers file input
   fileButton.addEventListener('click', () => {
@@ -1329,19 +1707,34 @@ function createFileControl(param, onChange) {
       try {
         // Read file as base64
         const reader = new FileReader();
-        reader.onload = (evt) => {
-          const dataUrl = evt.target.result;
-          fileInfo.textContent = `${file.name} (${formatFileSize(file.size)})`;
-          fileInfo.title = file.name;
-          clearButton.style.display = 'inline-block';
-
-          // Pass file data to onChange
-          onChange(param.name, {
+        reader.onload = async (evt) => {
+          const upload = {
             name: file.name,
             size: file.size,
             type: file.type,
-            data: dataUrl,
-          });
+            data: evt.target.result,
+          };
+          originalImage =
+            imageFormats.length > 0 && isRasterImageFile(file.name, file.type)
+              ? upload
+              : null;
+
+          // A photo the model cannot read as is (e.g. a JPG for surface())
+          // goes straight to preparation
+          if (
+            originalImage &&
+            !isAcceptedUpload(file.name, param.acceptedExtensions)
+          ) {
+            const prepared = await prepareImage(false);
+            if (!prepared) {
+              originalImage = null;
+              fileInput.value = '';
+            }
+            return;
+          }
+
+          // Pass file data to onChange
+          showUpload(upload);
         };
         reader.onerror = () => {
           fileInfo.textContent = 'Error reading file';
@@ -1362,11 +1755,14 @@ function createFileControl(param, onChange) {
     fileInfo.textContent = 'No file selected';
     fileInfo.className = 'file-info';
     clearButton.style.display = 'none';
+    adjustButton.style.display = 'none';
+    originalImage = null;
     onChange(param.name, null);
   });
 
   fileContainer.appendChild(fileButton);
   fileContainer.appendChild(fileInfo);
+  fileContainer.appendChild(adjustButton);
   fileContainer.appendChild(clearButton);
   fileContainer.appendChild(fileInput);
 
@@ -1399,6 +1795,17 @@ export function renderParameterUI(
   // Reset stored limits and metadata when re-rendering
   originalParameterLimits = {};
   parameterMetadata = {};
+  computedParameters = {};
+  parameterDependencies = {};
+
+  // Schemas converted from JSON Schema carry no assignment list; fall back
+  // to the computed parameters' own expressions
+  parameterAssignments =
+    extractedParams.assignments ||
+    Object.values(parameters)
+      .filter((param) => param.computed)
+      .sort((a, b) => a.order - b.order)
+      .map((param) => ({ name: param.name, expression: param.expression }));
 
   // Group parameters by group
   const paramsByGroup = {};
@@ -1406,6 +1813,21 @@ export function renderParameterUI(
     if (!paramsByGroup[param.group]) {
       paramsByGroup[param.group] = [];
     }
+
+    // Computed parameters are display-only: they are not user values and
+    // are never sent to the renderer
+    if (param.computed) {
+      paramsByGroup[param.group].push({ ...param });
+      computedParameters[param.name] = param;
+      parameterMetadata[param.name] = {
+        label: formatParamName(param.name),
+        description: param.description || '',
+        group: param.group,
+        type: param.type,
+        uiType: param.uiType,
+      };
+      return;
+    }
     // Use initialValues if provided, otherwise use default
     const effectiveDefault =
       initialValues && initialValues[param.name] !== undefined
@@ -1470,6 +1892,7 @@ export function renderParameterUI(
         currentParameterValues[name] = value;
         // Update dependent parameters visibility
         updateDependentParameters(name, value);
+        updateComputedParameters();
         onChange(currentValues);
       };
 
@@ -1494,6 +1917,19 @@ export function renderParameterUI(
           control = createFileControl(param, handleChange);
           break;
 
+        case 'vector':
+          control = createVectorControl(param, handleChange);
+          break;
+
+        case 'list':
+        case 'range':
+          control = createLiteralInput(param, handleChange);
+          break;
+
+        case 'computed':
+          control = createComputedDisplay(param);
+          break;
+
         case 'input':
         default:
           if (param.type === 'integer' || param.type === 'number') {
@@ -1513,6 +1949,9 @@ export function renderParameterUI(
     container.appendChild(details);
   });
 
+  // Show computed values for the effective (possibly non-default) inputs
+  updateComputedParameters();
+
   // Initialize parameter search after rendering
   initParameterSearch();
 
@@ -0,0 +1,209 @@
+/**
+ * User Libraries - OpenSCAD libraries uploaded as ZIP files
+ *
+ * An in-house library is added once and kept in IndexedDB. It is mounted at
+ * /libraries/<id> like the built-in bundles, so a model reaches it with
+ * include <id/file.scad>. The id is the ZIP's top folder, or its file name
+ * when the files are at the root of the archive.
+ *
+ * @license GPL-3.0-or-later
+ */
+
+import { extractZipFiles, validateZipFile } from './zip-handler.js';
+import {
+  computeIntegrity,
+  computeLibraryVersion,
+} from './library-integrity.js';
+
+const DB_NAME = 'openscad-forge-libraries';
+const DB_VERSION = 1;
+const LIBRARIES_STORE = 'libraries'; // { id, name, version, files, integrity, ... }
+
+/** Allowed library ids (they become include path prefixes) */
+const LIBRARY_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+let db = null;
+let initPromise = null;
+
+/**
+ * Library id for an uploaded archive
+ * GitHub archives name their top folder "<repo>-main" or "<repo>-master";
+ * that suffix is dropped so includes keep the repository name.
+ * @param {string} zipName - Uploaded file name
+ * @param {string|null} topFolder - Folder shared by every file, if any
+ * @returns {string}
+ */
+export function getUserLibraryId(zipName, topFolder = null) {
+  const base = topFolder || String(zipName || '').replace(/\.zip$/i, '');
+  return base
+    .replace(/-(main|master)$/i, '')
+    .replace(/[^A-Za-z0-9_-]/g, '_')
+    .replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Folder that every path in the archive starts with
+ * @param {string[]} paths - File paths from the archive
+ * @returns {string|null}
+ */
+export function getCommonTopFolder(paths) {
+  if (paths.length === 0) return null;
+  const first = paths[0].split('/')[0];
+  const shared = paths.every(
+    (path) => path.includes('/') && path.split('/')[0] === first
+  );
+  return shared ? first : null;
+}
+
+/**
+ * Build a library record from an uploaded ZIP
+ * @param {File} zipFile - Uploaded archive
+ * @param {string[]} reservedIds - Ids the library may not use (built-ins)
+ * @returns {Promise<Object>} { id, name, description, version, files, integrity, addedAt }
+ * @throws {Error} When the archive is invalid or its id is taken
+ */
+export async function createUserLibraryFromZip(zipFile, reservedIds = []) {
+  const validation = validateZipFile(zipFile);
+  if (!validation.valid) {
+    throw new Error(validation.error);
+  }
+
+  const { files: extracted } = await extractZipFiles(zipFile);
+  const topFolder = getCommonTopFolder([...extracted.keys()]);
+  const id = getUserLibraryId(zipFile.name, topFolder);
+
+  if (!LIBRARY_ID_PATTERN.test(id)) {
+    throw new Error(
+      'Could not name the library. Rename the ZIP file to the name used in include <...> statements.'
+    );
+  }
+  if (
+    reservedIds.some((reserved) => reserved.toLowerCase() === id.toLowerCase())
+  ) {
+    throw new Error(
+      `"${id}" is the name of a built-in library. Rename the ZIP file or its top folder.`
+    );
+  }
+
+  const files = {};
+  const integrity = {};
+  for (const [path, content] of extracted) {
+    const relativePath = topFolder ? path.slice(topFolder.length + 1) : path;
+    if (!relativePath) continue;
+    files[relativePath] = content;
+    integrity[relativePath] = await computeIntegrity(content);
+  }
+
+  return {
+    id,
+    name: id,
+    description: `Uploaded from ${zipFile.name}`,
+    version: await computeLibraryVersion(integrity),
+    files,
+    integrity,
+    addedAt: Date.now(),
+  };
+}
+
+/**
+ * Open the user libraries database
+ * @returns {Promise<IDBDatabase|null>} Null when IndexedDB is unavailable
+ */
+async function openDatabase() {
+  if (db) return db;
+  if (initPromise) return initPromise;
+
+  if (typeof indexedDB === 'undefined' || !indexedDB) {
+    return null;
+  }
+
+  initPromise = new Promise((resolve) => {
+    let request;
+    try {
+      request = indexedDB.open(DB_NAME, DB_VERSION);
+    } catch (error) {
+      console.warn('[User Libraries] IndexedDB open failed:', error);
+      resolve(null);
+      return;
+    }
+
+    request.onerror = () => {
+      console.warn('[User Libraries] IndexedDB open failed:', request.error);
+      resolve(null);
+    };
+
+    request.onsuccess = () => {
+      db = request.result;
+
+      // Another tab upgraded or deleted the database
+      db.onversionchange = () => {
+        db.close();
+        db = null;
+      };
+
+      resolve(db);
+    };
+
+    request.onupgradeneeded = (event) => {
+      const database = event.target.result;
+      if (!database.objectStoreNames.contains(LIBRARIES_STORE)) {
+        database.createObjectStore(LIBRARIES_STORE, { keyPath: 'id' });
+      }
+    };
+  }).finally(() => {
+    initPromise = null;
+  });
+
+  return initPromise;
+}
+
+/**
+ * Run one request against the libraries store
+ * @param {IDBTransactionMode} mode
+ * @param {Function} makeRequest - (store) => IDBRequest
+ * @returns {Promise<*>}
+ */
+async function withStore(mode, makeRequest) {
+  const database = await openDatabase();
+  if (!database) {
+    throw new Error('Library storage is not available in this browser');
+  }
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(LIBRARIES_STORE, mode);
+    const request = makeRequest(transaction.objectStore(LIBRARIES_STORE));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * List stored user libraries
+ * @returns {Promise<Array<Object>>} Empty when storage is unavailable
+ */
+export async function listUserLibraries() {
+  try {
+    return (await withStore('readonly', (store) => store.getAll())) || [];
+  } catch (error) {
+    console.warn('[User Libraries] Failed to list libraries:', error);
+    return [];
+  }
+}
+
+/**
+ * Store a user library, replacing one with the same id
+ * @param {Object} library - From createUserLibraryFromZip()
+ * @returns {Promise<void>}
+ */
+export async function saveUserLibrary(library) {
+  await withStore('readwrite', (store) => store.put(library));
+}
+
+/**
+ * Delete a stored user library
+ * @param {string} id - Library id
+ * @returns {Promise<void>}
+ */
+export async function deleteUserLibrary(id) {
+  await withStore('readwrite', (store) => store.delete(id));
+}
@@ -7,6 +7,7 @@
 export const FILE_SIZE_LIMITS = {
   SCAD_FILE: 5 * 1024 * 1024, // 5MB for individual .scad files
   ZIP_FILE: 10 * 1024 * 1024, // 10MB for .zip archives
+  FORGE_FILE: 10 * 1024 * 1024, // 10MB for .forge project bundles
 };
 
 // URL param limits
@@ -16,6 +17,14 @@ export const URL_PARAM_LIMITS = {
   MIN_NUMBER_VALUE: -1e6,
 };
 
+// Share links that embed the model (see share-link.js)
+export const SHARE_LINK_LIMITS = {
+  RECOMMENDED_URL_LENGTH: 2000, // Some chat apps and email clients cut longer links
+  MAX_URL_LENGTH: 32000, // Larger projects go in a .forge bundle instead
+  MAX_PROJECT_FILES: 100,
+  MAX_PROJECT_SIZE: 10 * 1024 * 1024, // Decompressed bytes, all files together
+};
+
 // localStorage size recommendations
 export const STORAGE_LIMITS = {
   MAX_DRAFT_SIZE: 5 * 1024 * 1024, // 5MB
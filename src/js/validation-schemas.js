@@ -8,6 +8,7 @@ import {
   FILE_SIZE_LIMITS,
   URL_PARAM_LIMITS,
   STORAGE_LIMITS,
+  SHARE_LINK_LIMITS,
 } from './validation-constants.js';
 import { isValidHexColor } from './color-utils.js';
 
@@ -43,6 +44,12 @@ const fileUploadSchema = {
         size: { type: 'number', maximum: FILE_SIZE_LIMITS.ZIP_FILE },
       },
     },
+    {
+      properties: {
+        name: { type: 'string', pattern: '\\.forge$' },
+        size: { type: 'number', maximum: FILE_SIZE_LIMITS.FORGE_FILE },
+      },
+    },
   ],
 };
 
@@ -56,6 +63,35 @@ const urlParamValueSchema = {
   maxLength: URL_PARAM_LIMITS.MAX_STRING_LENGTH,
 };
 
+/**
+ * Shared project validation schema (v2 share links and .forge bundles)
+ * File paths must be relative and stay inside the project.
+ */
+const sharedProjectSchema = {
+  type: 'object',
+  required: ['v', 'name', 'main', 'files'],
+  properties: {
+    v: { type: 'integer', minimum: 2 },
+    name: { type: 'string', minLength: 1, maxLength: 255 },
+    main: { type: 'string', minLength: 1, maxLength: 500 },
+    files: {
+      type: 'object',
+      minProperties: 1,
+      maxProperties: SHARE_LINK_LIMITS.MAX_PROJECT_FILES,
+      propertyNames: {
+        maxLength: 500,
+        pattern: '^[^/\\\\]',
+        not: { pattern: '(^|/)\\.\\.(/|$)' },
+      },
+      additionalProperties: {
+        type: 'string',
+        maxLength: FILE_SIZE_LIMITS.SCAD_FILE,
+      },
+    },
+    params: { type: 'object', default: {} },
+  },
+};
+
 /**
  * localStorage draft state validation schema
  */
@@ -72,6 +108,22 @@ const draftStateSchema = {
   },
 };
 
+/**
+ * Library versions recorded with a preset or saved project
+ */
+const libraryVersionsSchema = {
+  type: 'array',
+  default: [],
+  items: {
+    type: 'object',
+    required: ['id'],
+    properties: {
+      id: { type: 'string', pattern: '^[a-zA-Z0-9_-]+$' },
+      version: { type: ['string', 'null'] },
+    },
+  },
+};
+
 /**
  * localStorage preset validation schema
  */
@@ -81,6 +133,7 @@ const presetSchema = {
   properties: {
     name: { type: 'string', minLength: 1, maxLength: 100 },
     parameters: { type: 'object' },
+    libraries: libraryVersionsSchema,
     version: { type: 'number', default: 1 },
     timestamp: { type: 'number', default: 0 },
   },
@@ -138,6 +191,8 @@ const savedProjectSchema = {
     // v2 fields
     folderId: { type: ['string', 'null'], default: null },
     overlayFiles: { type: 'object', default: {} },
+    parameterFiles: { type: 'object', default: {} },
+    libraries: libraryVersionsSchema,
     presets: { type: 'array', default: [] },
     notes: {
       type: 'string',
@@ -169,6 +224,7 @@ export const validateSavedProject = ajv.compile(savedProjectSchema);
 export const validateSavedProjectsCollection = ajv.compile(
   savedProjectsCollectionSchema
 );
+export const validateSharedProject = ajv.compile(sharedProjectSchema);
 
 /**
  * Validate URL params object (all values)
@@ -5,6 +5,7 @@
 
 import JSZip from 'jszip';
 import { escapeHtml } from './html-utils.js';
+import { dataUrlToBytes } from './parameter-files.js';
 
 /**
  * Extract files from a ZIP archive
@@ -248,14 +249,28 @@ function normalizePath(path) {
   return result.join('/');
 }
 
+/**
+ * Blank out comments, keeping string literals and line breaks
+ * @param {string} content - OpenSCAD source
+ * @returns {string}
+ */
+function stripComments(content) {
+  return content.replace(
+    /("(?:[^"\\\n]|\\.)*")|\/\/[^\n]*|\/\*[\s\S]*?(?:\*\/|$)/g,
+    (match, string) => string || match.replace(/[^\n]/g, ' ')
+  );
+}
+
 /**
  * Scan a .scad file for include/use statements
+ * Statements inside comments, and names that merely end in "use" or
+ * "include" (e.g. `fuse<3`), are not counted.
  * @param {string} content - File content
  * @returns {string[]} - Array of include/use statements
  */
 export function scanIncludes(content) {
-  const includePattern = /(?:include|use)\s*[<"][^>"]+[>"]/g;
-  const matches = content.match(includePattern) || [];
+  const includePattern = /(?<![\w$.])(?:include|use)\s*[<"][^>"\n]+[>"]/g;
+  const matches = stripComments(content || '').match(includePattern) || [];
   return matches;
 }
 
@@ -288,3 +303,78 @@ export function getZipStats(files) {
     otherFilesList: otherFiles,
   };
 }
+
+/**
+ * Get the path of the parameter set file desktop OpenSCAD keeps beside a
+ * model (e.g. "parts/box.scad" -> "parts/box.json")
+ * @param {string} mainFile - Main .scad file path
+ * @returns {string} - Parameter set file path
+ */
+export function getParameterSetPath(mainFile) {
+  return mainFile.replace(/\.scad$/i, '') + '.json';
+}
+
+/**
+ * Find the OpenSCAD parameter set file for the main file in a project
+ * @param {Map<string, string>} files - Project files
+ * @param {string} mainFile - Main .scad file path
+ * @returns {{path: string, content: string}|null} - The file, or null if absent
+ */
+export function findParameterSetFile(files, mainFile) {
+  if (!files || !mainFile) return null;
+
+  const expected = getParameterSetPath(mainFile);
+  if (files.has(expected)) {
+    return { path: expected, content: files.get(expected) };
+  }
+
+  // Desktop OpenSCAD on Windows/macOS doesn't care about case
+  const expectedLower = expected.toLowerCase();
+  for (const [path, content] of files.entries()) {
+    if (path.toLowerCase() === expectedLower) {
+      return { path, content };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build a project ZIP, writing the parameter set file beside the main file
+ * @param {Map<string, string>} files - Project files
+ * @param {string} mainFile - Main .scad file path
+ * @param {string|null} parameterSetJson - OpenSCAD parameterSets JSON to write
+ *   (null keeps any existing file unchanged)
+ * @param {Map<string, string>|null} [parameterFiles] - [file] parameter uploads,
+ *   path -> data URL (from resolveParameterFiles), written under uploads/
+ * @returns {Promise<Blob>} - ZIP archive
+ */
+export async function createProjectZip(
+  files,
+  mainFile,
+  parameterSetJson = null,
+  parameterFiles = null
+) {
+  const zip = new JSZip();
+  const existing = findParameterSetFile(files, mainFile);
+  const parameterSetPath = existing?.path || getParameterSetPath(mainFile);
+
+  for (const [path, content] of files.entries()) {
+    if (parameterSetJson !== null && path === parameterSetPath) continue;
+    zip.file(path, content);
+  }
+
+  if (parameterSetJson !== null) {
+    zip.file(parameterSetPath, parameterSetJson);
+  }
+
+  for (const [path, dataUrl] of parameterFiles || []) {
+    zip.file(path.replace(/^\/+/, ''), dataUrlToBytes(dataUrl));
+  }
+
+  return zip.generateAsync({
+    type: 'blob',
+    compression: 'DEFLATE',
+    compressionOptions: { level: 6 },
+  });
+}
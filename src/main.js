@@ -13,7 +13,30 @@ import {
   locateParameterKey,
   setParameterValue as _setParameterValue,
 } from './js/ui-generator.js';
-import { stateManager, getShareableURL } from './js/state.js';
+import {
+  stateManager,
+  getShareableURL,
+  parseURLHash,
+  sanitizeUrlParams,
+} from './js/state.js';
+import {
+  buildSharedProject,
+  encodeSharedProject,
+  decodeSharedProject,
+  getShareLinkStatus,
+  createForgeBundle,
+  readForgeBundle,
+  forgeBundleFileName,
+  getSharedProjectConsentMessage,
+} from './js/share-link.js';
+import {
+  getAllowedModelOrigins,
+  parseRemoteModelRequest,
+  getRemoteModelAccess,
+  getRemoteModelConsentMessage,
+  fetchRemoteModel,
+  findPresetByName,
+} from './js/remote-model.js';
 import {
   downloadSTL,
   downloadFile,
@@ -47,15 +70,41 @@ import {
   validateZipFile,
   createFileTree,
   getZipStats,
+  findParameterSetFile,
+  createProjectZip,
 } from './js/zip-handler.js';
+import {
+  isFileParameterValue,
+  resolveParameterFiles,
+} from './js/parameter-files.js';
 import { themeManager, initThemeToggle } from './js/theme-manager.js';
 import { presetManager, extractScadVersion } from './js/preset-manager.js';
 import { ComparisonController } from './js/comparison-controller.js';
 import { ComparisonView } from './js/comparison-view.js';
-import { libraryManager, LIBRARY_DEFINITIONS } from './js/library-manager.js';
+import { libraryManager, detectLibraries } from './js/library-manager.js';
+import { formatLibraryVersion } from './js/library-integrity.js';
+import {
+  createUserLibraryFromZip,
+  deleteUserLibrary,
+  listUserLibraries,
+  saveUserLibrary,
+} from './js/user-libraries.js';
 import { RenderQueue } from './js/render-queue.js';
+import { RenderPool } from './js/render-pool.js';
+import {
+  renderAllParts,
+  createPartsZip,
+  createPartsThreeMF,
+} from './js/part-export.js';
+import {
+  REPORT_VIEWS,
+  createBuildReport,
+  buildReportHtml,
+  buildReportPdf,
+} from './js/build-report.js';
+import { getVersionString } from './js/version.js';
 import { openModal, closeModal, initStaticModals } from './js/modal-manager.js';
-import { translateError } from './js/error-translator.js';
+import { findErrorLocation, translateError } from './js/error-translator.js';
 import {
   getStorageEstimate,
   clearCachedData,
@@ -71,7 +120,10 @@ import {
   getDetailedStorageInfo,
   exportProjectsBackup,
   importProjectsBackup,
+  getRenderCacheInfo,
+  clearRenderCacheOnly,
 } from './js/storage-manager.js';
+import { renderCache } from './js/render-cache.js';
 import {
   showWorkflowProgress,
   hideWorkflowProgress,
@@ -83,6 +135,10 @@ import { startTutorial, closeTutorial } from './js/tutorial-sandbox.js';
 import { initDrawerController } from './js/drawer-controller.js';
 import { initPreviewSettingsDrawer } from './js/preview-settings-drawer.js';
 import { initCameraPanelController } from './js/camera-panel-controller.js';
+import { initMeshAnalysisPanel } from './js/mesh-analysis-panel.js';
+import { initCrossSectionPanel } from './js/cross-section-panel.js';
+import { initMeasurePanel } from './js/measure-panel.js';
+import { initSweepPanel } from './js/sweep-panel.js';
 import { initSequenceDetector } from './js/_seq.js';
 import {
   createGamepadController,
@@ -99,6 +155,8 @@ import {
   saveProject,
   getProject,
   touchProject,
+  saveParameterFileToProject,
+  getProjectParameterFiles,
   updateProject,
   deleteProject,
   getSavedProjectsSummary,
@@ -201,6 +259,9 @@ function showUnsupportedBrowser(missing) {
   `;
 }
 
+/** Pause after the last parameter edit before uploads are saved (ms) */
+const PARAMETER_FILE_SAVE_DELAY_MS = 500;
+
 // Global render controller, preview manager, and auto-preview controller
 let renderController = null;
 let previewManager = null;
@@ -208,6 +269,9 @@ let autoPreviewController = null;
 let comparisonController = null;
 let comparisonView = null;
 let renderQueue = null;
+let renderPool = null;
+// Include/use analysis of the open design (see analyzeOpenDesignIncludes)
+let includeReport = null;
 
 // Screen reader announcer utility
 // Provides a consistent API for announcing messages to assistive technology
@@ -994,61 +1058,20 @@ function showConfirmDialog(
   });
 }
 
-// Sanitize URL parameters against extracted schema
-function sanitizeUrlParams(extracted, urlParams) {
-  const sanitized = {};
-  const adjustments = {};
-
-  for (const [key, value] of Object.entries(urlParams || {})) {
-    const schema = extracted?.parameters?.[key];
-    if (!schema) {
-      adjustments[key] = { reason: 'unknown-param', value };
-      continue;
-    }
-
-    // Enum validation
-    if (Array.isArray(schema.enum)) {
-      if (!schema.enum.includes(value)) {
-        adjustments[key] = { reason: 'enum', value, allowed: schema.enum };
-        continue;
-      }
-      sanitized[key] = value;
-      continue;
-    }
-
-    // Numeric validation/clamping
-    if (typeof value === 'number') {
-      let nextValue = value;
-      if (schema.minimum !== undefined && nextValue < schema.minimum) {
-        adjustments[key] = {
-          reason: 'min',
-          value,
-          minimum: schema.minimum,
-          maximum: schema.maximum,
-        };
-        nextValue = schema.minimum;
-      }
-      if (schema.maximum !== undefined && nextValue > schema.maximum) {
-        adjustments[key] = {
-          reason: 'max',
-          value,
-          minimum: schema.minimum,
-          maximum: schema.maximum,
-        };
-        nextValue = schema.maximum;
-      }
-      if (schema.type === 'integer') {
-        nextValue = Math.round(nextValue);
-      }
-      sanitized[key] = nextValue;
-      continue;
-    }
-
-    // Booleans and strings (non-enum) pass through
-    sanitized[key] = value;
-  }
-
-  return { sanitized, adjustments };
+/**
+ * Ask before running OpenSCAD code that did not come with the app
+ * An in-page dialog rather than confirm(), which an iframe sandboxed without
+ * allow-modals answers with false straight away.
+ * @param {string} message - Plain-text prompt; blank lines separate paragraphs
+ * @returns {Promise<boolean>} True if the user chose to open the model
+ */
+function confirmOutsideCode(message) {
+  return showConfirmDialog(
+    escapeHtml(message).replace(/\n/g, '<br>'),
+    'Open this model?',
+    'Open model',
+    'Cancel'
+  );
 }
 
 /**
@@ -1327,6 +1350,8 @@ async function initApp() {
   let cameraPanelController = null; // Declared here, initialized later
   let autoPreviewEnabled = true;
   let autoPreviewUserEnabled = true;
+  let draftPreviewEnabled =
+    localStorage.getItem('openscad-draft-preview') === 'true';
   let previewQuality = RENDER_QUALITY.PREVIEW;
 
   // CRITICAL: Declare DOM element variables early to avoid Temporal Dead Zone errors
@@ -1363,6 +1388,16 @@ async function initApp() {
     lastPreviewTriangles: null,
   };
   let adaptivePreviewMemo = { key: null, info: null };
+  // Saved design that [file] parameter uploads are kept with (null if unsaved)
+  let currentSavedProjectId = null;
+  // Source code editor; CodeMirror is loaded when Edit Code is first opened
+  const codeEditorControls = document.getElementById('codeEditorControls');
+  const codeEditorDetails = document.getElementById('codeEditorDetails');
+  const codeEditorFileSelect = document.getElementById('codeEditorFile');
+  const codeEditorStatus = document.getElementById('codeEditorStatus');
+  const codeEditorPosition = document.getElementById('codeEditorPosition');
+  let codeEditor = null;
+  let codeEditorLoading = null;
 
   const updateBanner = document.getElementById('updateBanner');
   const updateBannerRefreshBtn = document.getElementById('updateBannerRefresh');
@@ -1688,6 +1723,45 @@ async function initApp() {
     }
   }
 
+  // Register uploaded libraries before any model is opened, so detection
+  // sees them; installed versions of the built-ins load in the background
+  for (const library of await listUserLibraries()) {
+    try {
+      libraryManager.addUserLibrary(library);
+    } catch (error) {
+      console.warn('[Libraries] Skipped uploaded library:', error.message);
+    }
+  }
+  libraryManager.loadInstalledVersions();
+
+  // Added, removed, pinned or versioned libraries change the library list
+  libraryManager.subscribe((action) => {
+    const { uploadedFile, detectedLibraries } = stateManager.getState();
+    if (!uploadedFile) return;
+    if (action === 'add' || action === 'remove') {
+      // Includes may now resolve (or no longer resolve) to this library
+      analyzeOpenDesignIncludes();
+    } else if (action === 'pin' || action === 'versions') {
+      renderLibraryUI(detectedLibraries || [], includeReport?.unresolved);
+    }
+  });
+  libraryManager.subscribe((action) => {
+    if (action === 'pin' || action === 'versions') {
+      updateLibraryPinBanner();
+    }
+  });
+  document
+    .getElementById('libraryPinBannerDismiss')
+    ?.addEventListener('click', () => {
+      // Render with what is installed; the next save records it
+      libraryManager.clearPins();
+      updateStatus('Using the installed library versions');
+      const { uploadedFile, parameters } = stateManager.getState();
+      if (autoPreviewController && uploadedFile) {
+        autoPreviewController.forcePreview(parameters);
+      }
+    });
+
   // Initialize gamepad controller (if supported)
   let gamepadController = null;
   if (isGamepadSupported()) {
@@ -1764,6 +1838,12 @@ async function initApp() {
     }
 
     if (usedEl) usedEl.textContent = displayText;
+
+    const renderCacheEl = document.getElementById('render-cache-used');
+    if (renderCacheEl) {
+      const renderCacheInfo = await getRenderCacheInfo();
+      renderCacheEl.textContent = `Saved renders: ${renderCacheInfo.count} (${renderCacheInfo.formatted})`;
+    }
   }
 
   // Smart Cache Clear Dialog (v2)
@@ -2005,6 +2085,19 @@ async function initApp() {
     clearStorageBtn.addEventListener('click', showSmartCacheClearDialog);
   }
 
+  // Wire up render cache clear button (keeps everything else)
+  const clearRenderCacheBtn = document.getElementById('clearRenderCacheBtn');
+  if (clearRenderCacheBtn) {
+    clearRenderCacheBtn.addEventListener('click', async () => {
+      const cleared = await clearRenderCacheOnly();
+      updateStatus(
+        cleared ? 'Saved renders cleared' : 'Failed to clear saved renders',
+        cleared ? 'success' : 'error'
+      );
+      await updateStorageDisplay();
+    });
+  }
+
   // Wire up export button
   const exportAllProjectsBtn = document.getElementById('exportAllProjectsBtn');
   if (exportAllProjectsBtn) {
@@ -2296,6 +2389,9 @@ async function initApp() {
     // Initialize if not yet done
     if (!renderController) {
       renderController = new RenderController();
+      renderController.setParameterSchema(
+        stateManager.getState().schema?.parameters
+      );
 
       // Set up memory warning callback
       renderController.setMemoryWarningCallback((memoryInfo) => {
@@ -2937,6 +3033,7 @@ async function initApp() {
   const statsArea = document.getElementById('stats');
   const previewContainer = document.getElementById('previewContainer');
   const autoPreviewToggle = document.getElementById('autoPreviewToggle');
+  const draftPreviewToggle = document.getElementById('draftPreviewToggle');
   const previewQualitySelect = document.getElementById('previewQualitySelect');
   const exportQualitySelect = document.getElementById('exportQualitySelect');
   const measurementsToggle = document.getElementById('measurementsToggle');
@@ -2945,6 +3042,28 @@ async function initApp() {
   const dimensionsDisplay = document.getElementById('dimensionsDisplay');
   // Note: outputFormatSelect and formatInfo already declared above
 
+  // Print analysis runs in its own worker on each rendered STL
+  const meshAnalysisPanel = initMeshAnalysisPanel({
+    announce: (message) => stateManager.announceChange(message),
+  });
+
+  // Base name for files exported from the preview panels
+  const getModelName = () =>
+    stateManager.getState().uploadedFile?.name.replace(/\.(scad|zip)$/i, '') ||
+    'model';
+
+  // Section plane for looking inside the preview
+  const crossSectionPanel = initCrossSectionPanel({
+    getPreviewManager: () => previewManager,
+    getModelName,
+  });
+
+  // Point-to-point and feature measurements on the preview
+  const measurePanel = initMeasurePanel({
+    getPreviewManager: () => previewManager,
+    getModelName,
+  });
+
   // Reference overlay controls
   const overlaySourceSelect = document.getElementById('overlaySourceSelect');
   const overlayToggle = document.getElementById('overlayToggle');
@@ -3170,6 +3289,18 @@ async function initApp() {
     });
   }
 
+  if (draftPreviewToggle) {
+    draftPreviewToggle.checked = draftPreviewEnabled;
+    draftPreviewToggle.addEventListener('change', () => {
+      draftPreviewEnabled = draftPreviewToggle.checked;
+      localStorage.setItem(
+        'openscad-draft-preview',
+        draftPreviewEnabled ? 'true' : 'false'
+      );
+      autoPreviewController?.setDraftPreview(draftPreviewEnabled);
+    });
+  }
+
   if (previewQualitySelect) {
     applyPreviewQualityMode();
     previewQualitySelect.addEventListener('change', () => {
@@ -3223,12 +3354,18 @@ async function initApp() {
       if (previewManager) {
         const needsRerender = previewManager.toggleAutoBed(enabled);
         // If model is loaded and setting changed, trigger re-render
-        const currentStl = stateManager.getState()?.stl;
+        const currentState = stateManager.getState();
+        const currentStl = currentState?.stl;
         if (needsRerender && currentStl) {
           // Re-render to apply the new auto-bed setting
           // Preserve camera position since user is just toggling a display setting
-          previewManager.loadSTL(currentStl, { preserveCamera: true });
+          previewManager.loadSTL(currentStl, {
+            preserveCamera: true,
+            colorGroups: currentState.stlColorGroups,
+          });
           updateDimensionsDisplay();
+          crossSectionPanel?.refresh();
+          measurePanel?.refresh();
         }
       }
       console.log(`[App] Auto-bed ${enabled ? 'enabled' : 'disabled'}`);
@@ -3994,6 +4131,7 @@ async function initApp() {
       [PREVIEW_STATE.PENDING]: '⏳ Changes pending...',
       [PREVIEW_STATE.RENDERING]: '⟳ Generating...',
       [PREVIEW_STATE.STALE]: '⚠ Preview outdated',
+      [PREVIEW_STATE.DRAFT]: '◐ Draft preview, rendering...',
       [PREVIEW_STATE.ERROR]: '✗ Preview failed',
     };
     previewStateIndicator.textContent = stateMessages[state] || state;
@@ -4004,6 +4142,7 @@ async function initApp() {
       'preview-stale',
       'preview-rendering',
       'preview-current',
+      'preview-draft',
       'preview-error'
     );
     previewContainer.classList.add(`preview-${state}`);
@@ -4015,6 +4154,22 @@ async function initApp() {
       renderingOverlay.classList.remove('visible');
     }
 
+    // A new mesh (or a draft, which has none) changes the section and
+    // the features that can be measured
+    if (state === PREVIEW_STATE.CURRENT || state === PREVIEW_STATE.DRAFT) {
+      crossSectionPanel?.refresh();
+      measurePanel?.refresh();
+    }
+
+    if (extra.draft && state === PREVIEW_STATE.DRAFT) {
+      const { primitives, subtractors, approximated, skipped } = extra.draft;
+      const notes = [
+        approximated.length ? `approximated: ${approximated.join(', ')}` : '',
+        skipped.length ? `not shown: ${skipped.join(', ')}` : '',
+      ].filter(Boolean);
+      statsArea.innerHTML = `<span class="stats-quality draft">Draft (approximate)</span> ${primitives} solid${primitives === 1 ? '' : 's'}, ${subtractors} subtracted (red)${notes.length ? ` | ${escapeHtml(notes.join('; '))}` : ''}`;
+    }
+
     // Update stats if provided
     if (extra.stats && state === PREVIEW_STATE.CURRENT) {
       let previewPercentText = '';
@@ -4132,6 +4287,8 @@ async function initApp() {
         // Scheduling logic in AutoPreviewController avoids overlapping renders.
         debounceMs: 350,
         maxCacheSize: 10,
+        renderCache,
+        draftPreview: draftPreviewEnabled,
         enabled: autoPreviewEnabled,
         pauseReason: autoPreviewUserEnabled ? null : 'user',
         pausedDebounceMs: 2000,
@@ -4167,6 +4324,7 @@ async function initApp() {
           updatePrimaryActionButton();
           // Update dimensions display
           updateDimensionsDisplay();
+          meshAnalysisPanel?.analyze(stl);
         },
         onProgress: (percent, message, type) => {
           // Simplified status: just show what's happening, no confusing percentages
@@ -4191,7 +4349,16 @@ async function initApp() {
             }
 
             const friendly = translateError(error?.message || String(error));
-            updateStatus(`Preview failed: ${friendly.title}`, 'error');
+            // The OpenSCAD output in the details names the failing line
+            const location =
+              findErrorLocation(error?.details) || friendly.location;
+            updateStatus(
+              location
+                ? `Preview failed: ${friendly.title} (line ${location.line})`
+                : `Preview failed: ${friendly.title}`,
+              'error'
+            );
+            showCodeEditorError(friendly, location);
           }
         },
       }
@@ -4211,6 +4378,26 @@ async function initApp() {
     });
   }
 
+  /**
+   * Apply a change made in the parameter panel of a loaded design
+   * Passed to renderParameterUI() when a design is opened, its uploads are
+   * restored, or its code is edited.
+   * @param {Object} values - All parameter values after the change
+   */
+  function handleParameterValuesChange(values) {
+    // Record state for undo before applying change
+    stateManager.recordParameterState();
+    stateManager.setState({ parameters: values });
+    // Clear preset selection when parameters are manually changed
+    clearPresetSelection();
+    // Trigger auto-preview on parameter change
+    if (autoPreviewController && stateManager.getState().uploadedFile) {
+      autoPreviewController.onParameterChange(values);
+    }
+    // Update button state when parameters change
+    updatePrimaryActionButton();
+  }
+
   /**
    * Update the primary action button based on current state
    * With auto-preview, the button has three states:
@@ -4877,6 +5064,9 @@ async function initApp() {
         );
       }
 
+      analyzeOpenDesignIncludes();
+      refreshCodeEditor();
+
       updateStatus(`Added file: ${fileName}`, 'success');
       console.log(`[ProjectFiles] Added companion file: ${fileName}`);
     } catch (error) {
@@ -4926,6 +5116,9 @@ async function initApp() {
       );
     }
 
+    analyzeOpenDesignIncludes();
+    refreshCodeEditor();
+
     updateStatus(`Removed file: ${path}`, 'success');
     console.log(`[ProjectFiles] Removed file: ${path}`);
   }
@@ -5009,6 +5202,9 @@ async function initApp() {
       );
     }
 
+    analyzeOpenDesignIncludes();
+    refreshCodeEditor();
+
     updateStatus(`Updated file: ${path}`, 'success');
     console.log(`[ProjectFiles] Updated file: ${path}`);
   }
@@ -5030,13 +5226,138 @@ async function initApp() {
     renderProjectFilesList(projectFiles, mainFilePath, requiredFiles);
   }
 
-  // Handle file upload (supports both .scad and .zip files)
+  /**
+   * Open a project from a share link or .forge bundle
+   * The project's code was written by whoever shared it, so it only loads
+   * after the user agrees. Parameter values go through the URL hash, the
+   * same way as a parameter link, so they are validated and clamped like any
+   * other URL parameters.
+   * @param {{name: string, main: string, files: Map<string, string>, parameters: Object}} project
+   * @param {string} source - handleFile() source
+   * @param {'link'|'file'} from - Whether it came from a share link or a .forge file
+   * @returns {Promise<boolean>} Whether the project was opened
+   */
+  async function openSharedProject(project, source, from) {
+    if (
+      !(await confirmOutsideCode(getSharedProjectConsentMessage(project, from)))
+    ) {
+      updateStatus(from === 'file' ? 'File not opened' : 'Link not opened');
+      return false;
+    }
+    if (Object.keys(project.parameters).length > 0) {
+      history.replaceState(null, '', getShareableURL(project.parameters));
+    }
+    const isMultiFile = project.files.size > 1;
+    await handleFile(
+      { name: project.main },
+      project.files.get(project.main),
+      isMultiFile ? project.files : null,
+      isMultiFile ? project.main : null,
+      source,
+      project.name
+    );
+    // Drop the embedded project from the address bar; the hash now only
+    // tracks parameters, as for any other model
+    stateManager.performURLSync();
+    return true;
+  }
+
+  /**
+   * Open a model or project named by ?model= / ?project= (see remote-model.js)
+   * Models from another site only download after the user agrees.
+   * @param {Object} request - From parseRemoteModelRequest()
+   * @returns {Promise<boolean>} Whether the model was opened
+   */
+  async function openRemoteModel(request) {
+    const appOrigin = window.location.origin;
+    const allowedOrigins = getAllowedModelOrigins();
+    const access = getRemoteModelAccess(request.origin, {
+      appOrigin,
+      allowedOrigins,
+    });
+    if (access === 'blocked') {
+      console.warn(
+        `[RemoteModel] ${request.origin} is not in VITE_REMOTE_MODEL_ORIGINS`
+      );
+      updateStatus('Link not opened: models from this site are not allowed');
+      alert(
+        `This link opens a ${request.kind} from ${new URL(request.origin).host}, which this app is not set up to load models from.`
+      );
+      return false;
+    }
+    if (
+      access === 'allowed' &&
+      !(await confirmOutsideCode(getRemoteModelConsentMessage(request)))
+    ) {
+      updateStatus('Link not opened');
+      return false;
+    }
+
+    updateStatus(`Downloading ${request.fileName}...`);
+    const model = await fetchRemoteModel(request, {
+      appOrigin,
+      allowedOrigins,
+    });
+    await handleFile(
+      { name: model.main },
+      model.content,
+      model.files,
+      model.files ? model.main : null,
+      'link',
+      model.name
+    );
+
+    if (request.preset) {
+      applyPresetByName(request.preset, model.parameterSets);
+    }
+    return true;
+  }
+
+  /**
+   * Select a preset of the loaded model by name
+   * @param {string} name - Preset name
+   * @param {string|null} parameterSets - Parameter set file to import first
+   */
+  function applyPresetByName(name, parameterSets = null) {
+    const state = stateManager.getState();
+    if (!state.uploadedFile) return;
+    const modelName = state.uploadedFile.name;
+
+    if (parameterSets) {
+      const result = presetManager.importPreset(
+        parameterSets,
+        modelName,
+        state.schema?.parameters || {}
+      );
+      if (!result.success) {
+        console.warn(
+          `[RemoteModel] Could not read parameter sets: ${result.error}`
+        );
+      }
+    }
+
+    updatePresetDropdown();
+    const preset = findPresetByName(
+      presetManager.getPresetsForModel(modelName),
+      name
+    );
+    if (!preset) {
+      updateStatus(`Preset "${name}" not found for ${modelName}`);
+      srAnnouncer.announce(`Preset ${name} was not found`);
+      return;
+    }
+    const presetSelectEl = document.getElementById('presetSelect');
+    presetSelectEl.value = preset.id;
+    presetSelectEl.dispatchEvent(new Event('change'));
+  }
+
+  // Handle file upload (supports .scad, .zip and .forge files)
   async function handleFile(
     file,
     content = null,
     extractedFiles = null,
     mainFilePathArg = null,
-    source = 'user', // 'user' | 'example' | 'saved' - track upload source
+    source = 'user', // 'user' | 'example' | 'saved' | 'shared' | 'link' - track upload source
     originalFileNameArg = null // Original file name (e.g., ZIP name) for multi-file projects
   ) {
     if (!file && !content) return;
@@ -5079,9 +5400,23 @@ async function initApp() {
 
       const isZip = fileNameLower.endsWith('.zip');
       const isScad = fileNameLower.endsWith('.scad');
+      const isForge = fileNameLower.endsWith('.forge');
 
-      if (!isZip && !isScad) {
-        alert('Please upload a .scad or .zip file');
+      if (!isZip && !isScad && !isForge) {
+        alert('Please upload a .scad, .zip or .forge file');
+        return;
+      }
+
+      // .forge bundles hold a whole project (see share-link.js)
+      if (isForge && !content) {
+        try {
+          const project = readForgeBundle(await file.text());
+          await openSharedProject(project, source, 'file');
+        } catch (error) {
+          console.error('[Share] Failed to open .forge file:', error);
+          updateStatus('Failed to open .forge file');
+          alert(error.message);
+        }
         return;
       }
 
@@ -5183,6 +5518,12 @@ async function initApp() {
         .filter((param) => param.uiType === 'color')
         .map((param) => param.name);
 
+      // Problems such as invalid or circular @depends conditions
+      for (const warning of extracted.warnings || []) {
+        console.warn(`[Parameters] ${warning.parameter}: ${warning.message}`);
+      }
+      renderController?.setParameterSchema(extracted.parameters);
+
       // Analyze file complexity to determine quality tier
       const complexityAnalysis = analyzeComplexity(fileContent, {});
       const adaptiveConfig = getAdaptiveQualityConfig(fileContent, {});
@@ -5205,6 +5546,12 @@ async function initApp() {
       // Store in state (including project files for multi-file support)
       // For ZIP files: fileName = main .scad file, originalFileName = ZIP name
       // For single files: both are the same
+      // A newly opened design is not the saved design until loadSavedProject says so
+      currentSavedProjectId = null;
+      // Saved designs pin their library versions before opening
+      if (source !== 'saved') {
+        libraryManager.clearPins();
+      }
       stateManager.setState({
         uploadedFile: { name: originalFileName, content: fileContent },
         projectFiles: projectFiles || null, // Map of additional files (null for single-file projects)
@@ -5217,10 +5564,34 @@ async function initApp() {
         complexityAnalysis: complexityAnalysis,
         adaptiveQualityConfig: adaptiveConfig,
       });
+      refreshCodeEditor({ reset: true });
 
       // Clear undo/redo history on new file upload
       stateManager.clearHistory();
 
+      // Load desktop OpenSCAD parameter sets (<main>.json beside the main
+      // file) as presets. Saved projects already carry their presets.
+      const parameterSetFile =
+        source !== 'saved'
+          ? findParameterSetFile(projectFiles, mainFilePath)
+          : null;
+      // Added to the "Ready" status below, which would replace it
+      let parameterSetStatus = '';
+      let readyStatusType = 'default';
+      if (parameterSetFile) {
+        const result = presetManager.importPreset(
+          parameterSetFile.content,
+          originalFileName,
+          extracted.parameters
+        );
+        if (result.success) {
+          parameterSetStatus = `. Loaded ${result.imported} preset(s) from ${parameterSetFile.path}`;
+        } else {
+          parameterSetStatus = `. Could not read presets from ${parameterSetFile.path}: ${result.error}`;
+          readyStatusType = 'error';
+        }
+      }
+
       // Show main interface
       welcomeScreen.classList.add('hidden');
       mainInterface.classList.remove('hidden');
@@ -5310,25 +5681,14 @@ async function initApp() {
         updateStatus(`File loaded. ${includeUseWarning.trim()}`);
       }
 
-      // Handle detected libraries
-      const detectedLibraries = extracted.libraries || [];
-      console.log('Detected libraries:', detectedLibraries);
-      stateManager.setState({
-        detectedLibraries,
-      });
-
-      // Auto-enable detected libraries
-      if (detectedLibraries.length > 0) {
-        const autoEnabled = libraryManager.autoEnable(fileContent);
-        if (autoEnabled.length > 0) {
-          console.log('Auto-enabled libraries:', autoEnabled);
-          updateStatus(`Enabled ${autoEnabled.length} required libraries`);
-        }
+      // Detect and enable libraries by following include/use through the
+      // project files (also shows the library UI, even with none detected)
+      const autoEnabled = await analyzeOpenDesignIncludes();
+      if (autoEnabled.length > 0) {
+        console.log('Auto-enabled libraries:', autoEnabled);
+        updateStatus(`Enabled ${autoEnabled.length} required libraries`);
       }
 
-      // Always show library UI (even when no libraries detected)
-      renderLibraryUI(detectedLibraries);
-
       // Render parameter UI
       const parametersContainer = document.getElementById(
         'parametersContainer'
@@ -5336,19 +5696,7 @@ async function initApp() {
       const currentValues = renderParameterUI(
         extracted,
         parametersContainer,
-        (values) => {
-          // Record state for undo before applying change
-          stateManager.recordParameterState();
-          stateManager.setState({ parameters: values });
-          // Clear preset selection when parameters are manually changed
-          clearPresetSelection();
-          // Trigger auto-preview on parameter change
-          if (autoPreviewController) {
-            autoPreviewController.onParameterChange(values);
-          }
-          // Update button state when parameters change
-          updatePrimaryActionButton();
-        }
+        handleParameterValuesChange
       );
 
       // Store default values
@@ -5358,7 +5706,7 @@ async function initApp() {
       });
 
       // Load URL parameters if present (after defaults are set)
-      const urlParams = stateManager.loadFromURL();
+      const urlParams = await stateManager.loadFromURL();
       if (urlParams && Object.keys(urlParams).length > 0) {
         console.log('Loaded parameters from URL:', urlParams);
 
@@ -5371,19 +5719,7 @@ async function initApp() {
         const updatedValues = renderParameterUI(
           extracted,
           parametersContainer,
-          (values) => {
-            // Record state for undo before applying change
-            stateManager.recordParameterState();
-            stateManager.setState({ parameters: values });
-            // Clear preset selection when parameters are manually changed
-            clearPresetSelection();
-            // Trigger auto-preview on parameter change
-            if (autoPreviewController) {
-              autoPreviewController.onParameterChange(values);
-            }
-            // Update button state when parameters change
-            updatePrimaryActionButton();
-          },
+          handleParameterValuesChange,
           sanitized
         );
 
@@ -5402,10 +5738,14 @@ async function initApp() {
         }
 
         updateStatus(
-          `Ready - ${paramCount} parameters loaded (${Object.keys(urlParams).length} from URL)`
+          `Ready - ${paramCount} parameters loaded (${Object.keys(urlParams).length} from URL)${parameterSetStatus}`,
+          readyStatusType
         );
       } else {
-        updateStatus(`Ready - ${paramCount} parameters loaded`);
+        updateStatus(
+          `Ready - ${paramCount} parameters loaded${parameterSetStatus}`,
+          readyStatusType
+        );
       }
 
       // Initialize 3D preview (lazy loads Three.js)
@@ -5622,88 +5962,425 @@ async function initApp() {
     });
   }
 
-  // Text File Editor Modal handlers
-  const textFileEditorModal = document.getElementById('textFileEditorModal');
-  const textFileEditorApply = document.getElementById('textFileEditorApply');
-  const textFileEditorCancel = document.getElementById('textFileEditorCancel');
-  const textFileEditorClose = document.getElementById('textFileEditorClose');
-  const textFileEditorOverlay = document.getElementById(
-    'textFileEditorOverlay'
-  );
+  // Edit Code panel (elements and editor state are declared near the top)
 
-  if (textFileEditorApply) {
-    textFileEditorApply.addEventListener('click', applyTextFileEditorChanges);
+  /**
+   * Files the code editor can open: the main file, then text project files
+   * @returns {string[]}
+   */
+  function getEditableSourceFiles() {
+    const { uploadedFile, projectFiles, mainFilePath } =
+      stateManager.getState();
+    if (!uploadedFile) return [];
+    const mainFile = mainFilePath || uploadedFile.name;
+    const others = Array.from(projectFiles?.keys() || [])
+      .filter(
+        (path) =>
+          path !== mainFile &&
+          /\.(scad|json|txt|csv)$/i.test(path) &&
+          typeof projectFiles.get(path) === 'string'
+      )
+      .sort();
+    return [mainFile, ...others];
   }
 
-  if (textFileEditorCancel && textFileEditorModal) {
-    textFileEditorCancel.addEventListener('click', () =>
-      closeModal(textFileEditorModal)
-    );
+  /**
+   * Current content of an editable file
+   * @param {string} path
+   * @returns {string|null}
+   */
+  function getSourceFileContent(path) {
+    const { uploadedFile, projectFiles, mainFilePath } =
+      stateManager.getState();
+    if (!uploadedFile) return null;
+    if (path === (mainFilePath || uploadedFile.name)) {
+      return uploadedFile.content;
+    }
+    const content = projectFiles?.get(path);
+    return typeof content === 'string' ? content : null;
   }
 
-  if (textFileEditorClose && textFileEditorModal) {
-    textFileEditorClose.addEventListener('click', () =>
-      closeModal(textFileEditorModal)
-    );
+  /**
+   * Show a message below the code editor
+   * @param {string} message - Empty to clear
+   * @param {boolean} [isError=false]
+   */
+  function setCodeEditorStatus(message, isError = false) {
+    if (!codeEditorStatus) return;
+    codeEditorStatus.textContent = message;
+    codeEditorStatus.classList.toggle('is-error', isError);
   }
 
-  if (textFileEditorOverlay && textFileEditorModal) {
-    textFileEditorOverlay.addEventListener('click', () =>
-      closeModal(textFileEditorModal)
-    );
+  /**
+   * Create the code editor on first use
+   * @returns {Promise<Object>} ScadEditor
+   */
+  async function ensureCodeEditor() {
+    if (codeEditor) return codeEditor;
+    if (!codeEditorLoading) {
+      codeEditorLoading = import('./js/scad-editor.js')
+        .then(({ ScadEditor }) => {
+          codeEditor = new ScadEditor(
+            document.getElementById('codeEditorHost'),
+            {
+              onChange: (path, content) => applyEditedSource(path, content),
+              onCursorChange: (line, column) => {
+                if (codeEditorPosition) {
+                  codeEditorPosition.textContent = `Ln ${line}, Col ${column}`;
+                }
+              },
+            }
+          );
+          return codeEditor;
+        })
+        .catch((error) => {
+          codeEditorLoading = null;
+          throw error;
+        });
+    }
+    return codeEditorLoading;
   }
 
-  // Back button - returns to welcome screen
-  if (clearFileBtn) {
-    clearFileBtn.addEventListener('click', async () => {
-      // Confirm before going back - warn about unsaved changes
-      if (
-        confirm(
-          'Go back to the welcome screen?\n\nAny unsaved changes to your current project will be lost.'
-        )
-      ) {
-        // Reset file input
-        fileInput.value = '';
+  /**
+   * Bring the Edit Code panel up to date with the open design: its file list
+   * and, when the shown file changed elsewhere, that file's content
+   * @param {Object} [options]
+   * @param {boolean} [options.reset=false] - Another design was opened; show
+   *   its main file and drop edits not yet applied
+   */
+  function refreshCodeEditor({ reset = false } = {}) {
+    const files = getEditableSourceFiles();
+    codeEditorControls?.classList.toggle('hidden', files.length === 0);
+    if (!codeEditorFileSelect) return;
+
+    const selected =
+      !reset && files.includes(codeEditorFileSelect.value)
+        ? codeEditorFileSelect.value
+        : files[0];
+    codeEditorFileSelect.innerHTML = '';
+    for (const path of files) {
+      const option = document.createElement('option');
+      option.value = path;
+      option.textContent = path === files[0] ? `${path} (main)` : path;
+      codeEditorFileSelect.appendChild(option);
+    }
+    if (!selected) return;
+    codeEditorFileSelect.value = selected;
 
-        // Clear state
-        stateManager.setState({
-          uploadedFile: null,
-          projectFiles: null,
-          mainFilePath: null,
-          schema: null,
-          parameters: {},
-          defaults: {},
-          stl: null,
-          outputFormat: 'stl',
-          stlStats: null,
-          detectedLibraries: [],
-        });
+    if (reset) {
+      setCodeEditorStatus('');
+      codeEditor?.discardChanges();
+    }
+    if (!codeEditor) return;
+    if (reset || codeEditor.path !== selected) {
+      codeEditor.open(selected, getSourceFileContent(selected) ?? '');
+    } else {
+      codeEditor.replaceContent(getSourceFileContent(selected) ?? '');
+    }
+  }
 
-        // Clear history
-        stateManager.clearHistory();
+  /**
+   * Open a file in the code editor at a line
+   * @param {string} path - Editable file
+   * @param {number} line - 1-based line number
+   */
+  async function openCodeEditorAt(path, line) {
+    if (codeEditorDetails) codeEditorDetails.open = true;
+    const editor = await ensureCodeEditor();
+    if (codeEditorFileSelect) codeEditorFileSelect.value = path;
+    if (editor.path !== path) {
+      editor.open(path, getSourceFileContent(path) ?? '');
+    }
+    editor.goToLine(line);
+    editor.setErrorLine(line);
+  }
 
-        // Hide main interface, show welcome screen
-        mainInterface.classList.add('hidden');
-        welcomeScreen.classList.remove('hidden');
-        updateStorageDisplay();
+  /**
+   * Report a failed preview below the code editor, with a link to the line
+   * @param {Object} friendly - From translateError()
+   * @param {{file: string|null, line: number}|null} location - From
+   *   findErrorLocation()
+   */
+  function showCodeEditorError(friendly, location) {
+    if (!codeEditorStatus || !stateManager.getState().uploadedFile) return;
+    if (!location) {
+      setCodeEditorStatus(`Preview failed: ${friendly.title}.`, true);
+      return;
+    }
 
-        // Refresh saved projects list when returning to welcome screen
-        await renderSavedProjectsList();
+    // Paths in the error are relative to the project root; library files
+    // (e.g. BOSL2/std.scad) cannot be edited here
+    const files = getEditableSourceFiles();
+    const path =
+      location.file === null
+        ? files[0]
+        : files.find(
+            (file) =>
+              file === location.file || location.file.endsWith(`/${file}`)
+          );
 
-        // Reset and hide workflow progress
-        resetWorkflowProgress();
-        hideWorkflowProgress();
+    setCodeEditorStatus(
+      `Preview failed: ${friendly.title} at line ${location.line} of ${path || location.file}.`,
+      true
+    );
+    if (!path) return;
+
+    const goToBtn = document.createElement('button');
+    goToBtn.type = 'button';
+    goToBtn.className = 'btn-link';
+    goToBtn.textContent = `Go to line ${location.line}`;
+    goToBtn.addEventListener('click', () =>
+      openCodeEditorAt(path, location.line)
+    );
+    codeEditorStatus.append(' ', goToBtn);
 
-        // Exit focus mode if active
-        const focusModeBtn = document.getElementById('focusModeBtn');
-        if (
-          focusModeBtn &&
-          mainInterface &&
-          mainInterface.classList.contains('focus-mode')
-        ) {
-          mainInterface.classList.remove('focus-mode');
-          focusModeBtn.setAttribute('aria-pressed', 'false');
-        }
+    if (codeEditor?.path === path) {
+      codeEditor.setErrorLine(location.line);
+    }
+  }
+
+  /**
+   * Apply an edit from the code editor
+   * Main file edits re-read the parameters (customized values are kept while
+   * their parameter exists). Every edit re-renders the preview, re-checks the
+   * includes and is saved to the open saved project.
+   * @param {string} path - Edited file
+   * @param {string} content - New content
+   */
+  async function applyEditedSource(path, content) {
+    const state = stateManager.getState();
+    const { uploadedFile, mainFilePath } = state;
+    const previous = getSourceFileContent(path);
+    if (previous === null || previous === content) return;
+    const mainFile = mainFilePath || uploadedFile.name;
+    const isMain = path === mainFile;
+
+    // Edit a copy so prevState, as subscribers see it, keeps the old files
+    const projectFiles = state.projectFiles
+      ? new Map(state.projectFiles)
+      : null;
+    if (projectFiles?.has(path)) projectFiles.set(path, content);
+
+    let parameters = state.parameters;
+    if (isMain) {
+      let extracted;
+      try {
+        extracted = extractParameters(content);
+      } catch (error) {
+        console.warn('[Code Editor] Failed to extract parameters:', error);
+        setCodeEditorStatus(
+          `Parameters could not be read: ${error.message}`,
+          true
+        );
+        return;
+      }
+      for (const warning of extracted.warnings || []) {
+        console.warn(`[Parameters] ${warning.parameter}: ${warning.message}`);
+      }
+
+      // Values the user changed from the old defaults survive the edit
+      const customized = {};
+      for (const [name, value] of Object.entries(state.parameters || {})) {
+        if (
+          extracted.parameters[name] &&
+          JSON.stringify(value) !== JSON.stringify(state.defaults?.[name])
+        ) {
+          customized[name] = value;
+        }
+      }
+      const { sanitized } = sanitizeUrlParams(extracted, customized);
+
+      const parametersContainer = document.getElementById(
+        'parametersContainer'
+      );
+      const defaults = renderParameterUI(
+        extracted,
+        parametersContainer,
+        handleParameterValuesChange
+      );
+      parameters =
+        Object.keys(sanitized).length > 0
+          ? renderParameterUI(
+              extracted,
+              parametersContainer,
+              handleParameterValuesChange,
+              sanitized
+            )
+          : { ...defaults };
+
+      // Undo steps would restore parameters that no longer exist
+      const renamed =
+        Object.keys(state.schema?.parameters || {}).join('\n') !==
+        Object.keys(extracted.parameters).join('\n');
+      if (renamed) {
+        stateManager.clearHistory();
+      }
+
+      stateManager.setState({
+        uploadedFile: { ...uploadedFile, content },
+        projectFiles,
+        schema: extracted,
+        parameters,
+        defaults: { ...defaults },
+      });
+      renderController?.setParameterSchema(extracted.parameters);
+      if (autoPreviewController) {
+        autoPreviewController.setColorParamNames(
+          Object.values(extracted.parameters)
+            .filter((param) => param.uiType === 'color')
+            .map((param) => param.name)
+        );
+        autoPreviewController.setScadContent(content, { preserveCamera: true });
+      }
+    } else {
+      stateManager.setState({ projectFiles });
+      renderProjectFilesList(
+        projectFiles,
+        mainFilePath,
+        detectRequiredCompanionFiles(uploadedFile.content)
+      );
+    }
+
+    analyzeOpenDesignIncludes();
+    if (autoPreviewController) {
+      autoPreviewController.setProjectFiles(projectFiles, mainFilePath);
+      if (autoPreviewEnabled) {
+        autoPreviewController.forcePreview(parameters).catch((error) => {
+          console.error('[Code Editor] Preview failed:', error);
+        });
+      }
+    }
+    updatePrimaryActionButton();
+
+    if (!currentSavedProjectId) {
+      setCodeEditorStatus(
+        `Updated ${path}. Save the project to keep your changes.`
+      );
+      return;
+    }
+    const result = await updateProject({
+      id: currentSavedProjectId,
+      ...(isMain ? { content } : {}),
+      ...(projectFiles
+        ? { projectFiles: Object.fromEntries(projectFiles) }
+        : {}),
+    });
+    if (result.success) {
+      setCodeEditorStatus(`Saved ${path} to the project.`);
+    } else {
+      console.warn('[Code Editor] Failed to save project:', result.error);
+      setCodeEditorStatus(`Could not save ${path}: ${result.error}`, true);
+    }
+  }
+
+  if (codeEditorDetails) {
+    codeEditorDetails.addEventListener('toggle', async () => {
+      if (!codeEditorDetails.open) {
+        codeEditor?.flush();
+        return;
+      }
+      try {
+        await ensureCodeEditor();
+        refreshCodeEditor();
+      } catch (error) {
+        console.error('[Code Editor] Failed to load editor:', error);
+        setCodeEditorStatus('The code editor could not be loaded.', true);
+      }
+    });
+  }
+
+  if (codeEditorFileSelect) {
+    codeEditorFileSelect.addEventListener('change', () => {
+      const path = codeEditorFileSelect.value;
+      codeEditor?.open(path, getSourceFileContent(path) ?? '');
+    });
+  }
+
+  // Text File Editor Modal handlers
+  const textFileEditorModal = document.getElementById('textFileEditorModal');
+  const textFileEditorApply = document.getElementById('textFileEditorApply');
+  const textFileEditorCancel = document.getElementById('textFileEditorCancel');
+  const textFileEditorClose = document.getElementById('textFileEditorClose');
+  const textFileEditorOverlay = document.getElementById(
+    'textFileEditorOverlay'
+  );
+
+  if (textFileEditorApply) {
+    textFileEditorApply.addEventListener('click', applyTextFileEditorChanges);
+  }
+
+  if (textFileEditorCancel && textFileEditorModal) {
+    textFileEditorCancel.addEventListener('click', () =>
+      closeModal(textFileEditorModal)
+    );
+  }
+
+  if (textFileEditorClose && textFileEditorModal) {
+    textFileEditorClose.addEventListener('click', () =>
+      closeModal(textFileEditorModal)
+    );
+  }
+
+  if (textFileEditorOverlay && textFileEditorModal) {
+    textFileEditorOverlay.addEventListener('click', () =>
+      closeModal(textFileEditorModal)
+    );
+  }
+
+  // Back button - returns to welcome screen
+  if (clearFileBtn) {
+    clearFileBtn.addEventListener('click', async () => {
+      // Confirm before going back - warn about unsaved changes
+      if (
+        confirm(
+          'Go back to the welcome screen?\n\nAny unsaved changes to your current project will be lost.'
+        )
+      ) {
+        // Reset file input
+        fileInput.value = '';
+
+        // Clear state
+        stateManager.setState({
+          uploadedFile: null,
+          projectFiles: null,
+          mainFilePath: null,
+          schema: null,
+          parameters: {},
+          defaults: {},
+          stl: null,
+          outputFormat: 'stl',
+          stlStats: null,
+          stlColorGroups: null,
+          detectedLibraries: [],
+        });
+        renderController?.setParameterSchema(null);
+        meshAnalysisPanel?.clear();
+
+        // Clear history
+        stateManager.clearHistory();
+
+        // Hide main interface, show welcome screen
+        mainInterface.classList.add('hidden');
+        welcomeScreen.classList.remove('hidden');
+        updateStorageDisplay();
+
+        // Refresh saved projects list when returning to welcome screen
+        await renderSavedProjectsList();
+
+        // Reset and hide workflow progress
+        resetWorkflowProgress();
+        hideWorkflowProgress();
+
+        // Exit focus mode if active
+        const focusModeBtn = document.getElementById('focusModeBtn');
+        if (
+          focusModeBtn &&
+          mainInterface &&
+          mainInterface.classList.contains('focus-mode')
+        ) {
+          mainInterface.classList.remove('focus-mode');
+          focusModeBtn.setAttribute('aria-pressed', 'false');
+        }
 
         // Close Features Guide modal if open
         const featuresGuideModal =
@@ -5719,6 +6396,8 @@ async function initApp() {
         if (previewManager) {
           previewManager.clear();
         }
+        crossSectionPanel?.reset();
+        measurePanel?.reset();
 
         // Reset status
         updateStatus('Ready');
@@ -6651,6 +7330,9 @@ async function initApp() {
       // Update last loaded timestamp
       await touchProject(projectId);
 
+      // Pin (and enable) the libraries the design was saved with
+      const missingLibraries = libraryManager.setPins(project.libraries || []);
+
       // Load the file (reuse existing handleFile logic)
       // Pass project.name as the 6th arg so uploadedFile.name shows the saved project name
       await handleFile(
@@ -6661,10 +7343,14 @@ async function initApp() {
         'saved',
         project.name // Use the saved project name for display
       );
+      await restoreParameterFiles(projectId);
+      currentSavedProjectId = projectId;
 
       // Announce success
       stateManager.announceChange(`Loaded saved design: ${project.name}`);
-      updateStatus(`Loaded: ${project.name}`);
+      updateStatus(
+        `Loaded: ${project.name}${describeLibraryPinProblems(missingLibraries)}`
+      );
 
       // Re-render list to update "last opened" time
       await renderSavedProjectsList();
@@ -6674,6 +7360,94 @@ async function initApp() {
     }
   }
 
+  /**
+   * Status text for pinned libraries that are missing or at another version
+   * @param {string[]} missing - Pinned library IDs that are not available
+   * @returns {string} Empty when every pin is met
+   */
+  function describeLibraryPinProblems(missing = []) {
+    const problems = [
+      ...missing.map((id) => `${id} is not installed`),
+      ...libraryManager
+        .getPinMismatches()
+        .map(
+          ({ id, pinned, installed }) =>
+            `${id} is ${formatLibraryVersion(installed)}, saved with ${formatLibraryVersion(pinned)}`
+        ),
+    ];
+    return problems.length > 0
+      ? `. Library versions differ: ${problems.join('; ')}`
+      : '';
+  }
+
+  /**
+   * Put a saved design's [file] parameter uploads back into the parameter panel
+   * @param {string} projectId
+   */
+  async function restoreParameterFiles(projectId) {
+    const uploads = await getProjectParameterFiles(projectId);
+    if (Object.keys(uploads).length === 0) return;
+
+    const state = stateManager.getState();
+    const values = { ...state.parameters, ...uploads };
+    stateManager.setState({ parameters: values });
+    renderParameterUI(
+      state.schema,
+      document.getElementById('parametersContainer'),
+      handleParameterValuesChange,
+      values
+    );
+    if (autoPreviewController) {
+      autoPreviewController.onParameterChange(values);
+    }
+  }
+
+  /**
+   * Keep a [file] parameter's upload with the saved design
+   * @param {string} projectId
+   * @param {Object} parameters - Current parameter values
+   * @param {Object} [previous={}] - Values the project already has
+   * @throws {Error} When an upload could not be saved
+   */
+  async function saveParameterFiles(projectId, parameters, previous = {}) {
+    const fileParams = Object.values(
+      stateManager.getState().schema?.parameters || {}
+    ).filter((param) => param.type === 'file');
+    for (const { name } of fileParams) {
+      const value = parameters?.[name];
+      // Unchanged, or never an upload
+      if (value?.data === previous?.[name]?.data) continue;
+      const result = await saveParameterFileToProject(
+        projectId,
+        name,
+        isFileParameterValue(value) ? value : null
+      );
+      if (!result.success) {
+        throw new Error(`Could not save upload for ${name}: ${result.error}`);
+      }
+    }
+  }
+
+  // Saves run one after another, so an older value can't be written last
+  let parameterFileSaveQueue = Promise.resolve();
+
+  /**
+   * Queue saveParameterFiles(), reporting failures in the status bar
+   * @param {string} projectId
+   * @param {Object} parameters - Parameter values to save
+   * @param {Object} [previous={}] - Values the project already has
+   * @returns {Promise<void>} Settles when this save has run
+   */
+  function queueParameterFileSave(projectId, parameters, previous = {}) {
+    parameterFileSaveQueue = parameterFileSaveQueue
+      .then(() => saveParameterFiles(projectId, parameters, previous))
+      .catch((error) => {
+        console.error('[Saved Projects] Upload save failed:', error);
+        updateStatus(error.message, 'error');
+      });
+    return parameterFileSaveQueue;
+  }
+
   /**
    * Show opt-in save prompt after file upload
    * @param {Object} fileData - Current file state
@@ -6776,9 +7550,15 @@ async function initApp() {
         content: uploadedFile.content,
         projectFiles: projectFilesObj,
         notes,
+        libraries: libraryManager.getVersionRecord(),
       });
 
       if (result.success) {
+        currentSavedProjectId = result.id;
+        await queueParameterFileSave(
+          result.id,
+          stateManager.getState().parameters
+        );
         stateManager.announceChange(`Project saved: ${projectName}`);
         updateStatus(`Saved: ${projectName}`);
         await renderSavedProjectsList();
@@ -7047,6 +7827,62 @@ async function initApp() {
   const initUrlParams = new URLSearchParams(window.location.search);
   const exampleParam = initUrlParams.get('example');
 
+  // Models and projects fetched from a URL (?model=... or ?project=...)
+  let remoteModelRequest = null;
+  if (!exampleParam) {
+    try {
+      remoteModelRequest = parseRemoteModelRequest(window.location.search);
+    } catch (error) {
+      console.warn('[DeepLink] Invalid model link:', error.message);
+      updateStatus(error.message);
+    }
+  }
+  if (remoteModelRequest) {
+    console.log(`[DeepLink] Loading model from URL: ${remoteModelRequest.url}`);
+    setTimeout(async () => {
+      try {
+        if (!(await openRemoteModel(remoteModelRequest))) return;
+
+        // Clean up URL to avoid downloading again on refresh
+        for (const key of ['model', 'project', 'preset']) {
+          initUrlParams.delete(key);
+        }
+        const cleanUrl = initUrlParams.toString()
+          ? `${window.location.pathname}?${initUrlParams}`
+          : window.location.pathname;
+        history.replaceState(null, '', cleanUrl + window.location.hash);
+
+        srAnnouncer.announce(
+          `${remoteModelRequest.fileName} loaded from URL link`
+        );
+      } catch (error) {
+        console.error('[DeepLink] Failed to load model:', error);
+        updateStatus(`Failed to load ${remoteModelRequest.fileName}`);
+        alert(error.message);
+      }
+    }, 500);
+  }
+
+  // Share links that embed the model (#v=2&project=...)
+  const sharedProjectField =
+    exampleParam || remoteModelRequest
+      ? null
+      : parseURLHash(window.location.hash).project;
+  if (sharedProjectField) {
+    setTimeout(async () => {
+      try {
+        const project = await decodeSharedProject(sharedProjectField);
+        if (await openSharedProject(project, 'shared', 'link')) {
+          srAnnouncer.announce(`${project.name} opened from a share link`);
+        }
+      } catch (error) {
+        console.error('[Share] Failed to open shared project:', error);
+        updateStatus('Failed to open shared project');
+        alert(error.message);
+      }
+    }, 500);
+  }
+
   if (exampleParam) {
     console.log(`[DeepLink] Loading example from URL: ${exampleParam}`);
 
@@ -8005,6 +8841,41 @@ async function initApp() {
     }
   }
 
+  /**
+   * Render and download the current model as a plain STL
+   * @param {Object} state - Current app state
+   */
+  async function downloadNativeStl(state) {
+    primaryActionBtn.disabled = true;
+    updateStatus('Generating STL...');
+    try {
+      const result = await renderController.renderFull(
+        state.uploadedFile.content,
+        state.parameters,
+        {
+          outputFormat: 'stl',
+          files: state.projectFiles,
+          mainFile: state.mainFilePath,
+          libraries: getEnabledLibrariesForRender(),
+          ...(exportQualityPreset ? { quality: exportQualityPreset } : {}),
+        }
+      );
+      const filename = generateFilename(
+        state.uploadedFile.name,
+        state.parameters,
+        'stl'
+      );
+      downloadFile(result.data || result.stl, filename, 'stl');
+      updateStatus(`Downloaded: ${filename}`);
+      completeWorkflowStep('download');
+    } catch (error) {
+      console.error('[Download] STL export failed:', error);
+      updateStatus(`STL export failed: ${error.message}`, 'error');
+    } finally {
+      primaryActionBtn.disabled = false;
+    }
+  }
+
   // Primary Action Button (transforms between Generate and Download)
   primaryActionBtn.addEventListener('click', async () => {
     const action = primaryActionBtn.dataset.action;
@@ -8020,6 +8891,14 @@ async function initApp() {
         state.parameters
       );
 
+      // Colored previews hold an STL regrouped by color(); the file gets
+      // OpenSCAD's own STL export instead
+      const colorGroups = fullSTL ? fullSTL.colorGroups : state.stlColorGroups;
+      if (outputFormat === 'stl' && colorGroups) {
+        await downloadNativeStl(state);
+        return;
+      }
+
       if (fullSTL && outputFormat === 'stl') {
         // Use cached full quality STL
         const filename = generateFilename(
@@ -8146,9 +9025,15 @@ async function initApp() {
         stl: result.data || result.stl,
         outputFormat: result.format || outputFormat,
         stlStats: result.stats,
+        stlColorGroups: result.colorGroups || null,
         lastRenderTime: duration,
       });
 
+      // Re-run print analysis on the full-quality mesh
+      if ((result.format || outputFormat) === 'stl') {
+        meshAnalysisPanel?.analyze(result.data || result.stl);
+      }
+
       // Store console output for the Console panel (Volkswitch echo() support)
       if (
         result.consoleOutput &&
@@ -8264,12 +9149,40 @@ async function initApp() {
         }
       }
 
-      const shareUrl = getShareableURL(nonDefaultParams);
+      // Embed the model so the link opens without the file (v2 links)
+      let shareUrl = getShareableURL(nonDefaultParams);
+      let linkStatus = getShareLinkStatus(shareUrl);
+      try {
+        const project = buildSharedProject(state);
+        const projectUrl = getShareableURL(nonDefaultParams, {
+          project: await encodeSharedProject(project),
+        });
+        linkStatus = getShareLinkStatus(projectUrl);
+        if (linkStatus.level !== 'too-long') {
+          shareUrl = projectUrl;
+        } else if (
+          confirm(
+            `${linkStatus.message}\n\nDownload the project as a .forge file now? The copied link will only carry the parameter values.`
+          )
+        ) {
+          downloadFile(
+            createForgeBundle(project, state.parameters),
+            forgeBundleFileName(project.name),
+            'forge'
+          );
+        }
+      } catch (error) {
+        console.warn('[Share] Could not embed the model in the link:', error);
+      }
 
       try {
         // Try modern clipboard API
         await navigator.clipboard.writeText(shareUrl);
-        updateStatus('Share link copied to clipboard!');
+        updateStatus(
+          linkStatus.level === 'long'
+            ? `Share link copied. ${linkStatus.message}`
+            : 'Share link copied to clipboard!'
+        );
 
         // Visual feedback
         const textSpan = shareBtn.querySelector('.btn-text');
@@ -8324,8 +9237,18 @@ async function initApp() {
 
   // ========== RENDER QUEUE ==========
 
+  // Extra workers for batch work so the preview keeps renderController to
+  // itself. Size defaults to what the device can take; override with the
+  // 'openscad-render-workers' localStorage key.
+  renderPool = new RenderPool(() => renderController, {
+    size: localStorage.getItem('openscad-render-workers') || undefined,
+    assetBaseUrl: new URL(import.meta.env.BASE_URL, window.location.origin)
+      .toString()
+      .replace(/\/$/, ''),
+  });
+
   // Initialize render queue
-  renderQueue = new RenderQueue(renderController, {
+  renderQueue = new RenderQueue(renderPool, {
     maxQueueSize: 20,
   });
 
@@ -8700,13 +9623,205 @@ async function initApp() {
     true
   );
 
+  // Parameter sweep builder (in the queue dialog)
+  const sweepPanel = initSweepPanel({
+    renderQueue,
+    getSchema: () => stateManager.getState().schema,
+    getParameters: () => stateManager.getState().parameters,
+    getModelName: () => stateManager.getState().uploadedFile?.name || 'model',
+    getOutputFormat: () => outputFormatSelect?.value || 'stl',
+    prepareQueue: () => {
+      const state = stateManager.getState();
+      if (!state.uploadedFile) return false;
+      renderQueue.setProject(
+        state.uploadedFile.content,
+        state.projectFiles,
+        state.mainFilePath,
+        getEnabledLibrariesForRender()
+      );
+      return true;
+    },
+    announce: (message) => stateManager.announceChange(message),
+  });
+
+  stateManager.subscribe((state, prevState) => {
+    if (state.schema !== prevState.schema) {
+      sweepPanel?.refresh();
+    }
+  });
+
+  // Uploads for [file] parameters follow the saved design they were made in.
+  // Quick successive edits are saved once, after they settle.
+  let parameterFileSaveTimeout = null;
+  let unsavedParameterFiles = null; // { projectId, previous } since last save
+  stateManager.subscribe((state, prevState) => {
+    if (
+      !currentSavedProjectId ||
+      state.schema !== prevState.schema ||
+      state.parameters === prevState.parameters
+    ) {
+      return;
+    }
+    if (unsavedParameterFiles?.projectId !== currentSavedProjectId) {
+      unsavedParameterFiles = {
+        projectId: currentSavedProjectId,
+        previous: prevState.parameters,
+      };
+    }
+    clearTimeout(parameterFileSaveTimeout);
+    parameterFileSaveTimeout = setTimeout(() => {
+      const { projectId, previous } = unsavedParameterFiles;
+      unsavedParameterFiles = null;
+      // Another design was opened meanwhile; these values aren't its own
+      if (projectId !== currentSavedProjectId) return;
+      queueParameterFileSave(
+        projectId,
+        stateManager.getState().parameters,
+        previous
+      );
+    }, PARAMETER_FILE_SAVE_DELAY_MS);
+  });
+
+  // Export all parts (models with a @parts selector parameter)
+  const exportAllPartsBtn = document.getElementById('exportAllPartsBtn');
+
+  stateManager.subscribe((state, prevState) => {
+    if (state.schema !== prevState.schema) {
+      exportAllPartsBtn?.classList.toggle(
+        'hidden',
+        !state.schema?.partSelector
+      );
+    }
+  });
+
+  exportAllPartsBtn?.addEventListener('click', async () => {
+    const state = stateManager.getState();
+    const partSelector = state.schema?.partSelector;
+    if (!state.uploadedFile || !partSelector) return;
+
+    if (renderQueue.isQueueProcessing()) {
+      alert('Wait for the render queue to finish first');
+      return;
+    }
+
+    // A 3MF bundle keeps every part (and its colors) in one file; any other
+    // format is zipped with a manifest
+    const outputFormat = outputFormatSelect?.value || 'stl';
+    const asThreeMF = outputFormat === '3mf';
+    const modelName = state.uploadedFile.name;
+
+    renderQueue.setProject(
+      state.uploadedFile.content,
+      state.projectFiles,
+      state.mainFilePath,
+      getEnabledLibrariesForRender()
+    );
+
+    exportAllPartsBtn.disabled = true;
+    try {
+      const results = await renderAllParts(renderQueue, {
+        partSelector,
+        parameters: state.parameters,
+        outputFormat: asThreeMF ? 'off' : outputFormat,
+        onProgress: (index, total, part) => {
+          updateStatus(`Rendering part ${index + 1} of ${total}: ${part}...`);
+        },
+      });
+      const failed = results.filter(({ job }) => job?.state !== 'complete');
+      if (failed.length === results.length) {
+        throw new Error(results[0]?.job?.error || 'No parts rendered');
+      }
+
+      const baseName = modelName.replace(/\.(scad|zip)$/i, '');
+      if (asThreeMF) {
+        const data = await createPartsThreeMF(results);
+        downloadFile(data, `${baseName}-parts.3mf`, '3mf');
+      } else {
+        const data = await createPartsZip(results, {
+          modelName,
+          partParameter: partSelector.parameter,
+          format: outputFormat,
+          parameters: state.parameters,
+        });
+        downloadFile(data, `${baseName}-parts.zip`, 'zip');
+      }
+
+      const message =
+        failed.length > 0
+          ? `Exported ${results.length - failed.length} of ${results.length} parts; failed: ${failed.map(({ part }) => part).join(', ')}`
+          : `Exported all ${results.length} parts`;
+      updateStatus(message, failed.length === 0 ? 'success' : 'error');
+      stateManager.announceChange(message);
+    } catch (error) {
+      console.error('[PartExport] Export failed:', error);
+      updateStatus(`Error: ${error.message}`);
+      alert(`Failed to export parts: ${error.message}`);
+    } finally {
+      exportAllPartsBtn.disabled = false;
+    }
+  });
+
+  // Build report (record of exactly what was built, as HTML or PDF)
+  const handleBuildReport = (format) => {
+    const state = stateManager.getState();
+    if (!state.uploadedFile || !previewManager?.mesh) {
+      alert('Generate a model first so the report has something to show');
+      return;
+    }
+
+    try {
+      const report = createBuildReport({
+        modelName: state.uploadedFile.name,
+        scadVersion: extractScadVersion(state.uploadedFile.content),
+        changedParameters: presetManager.getChangedParameters(
+          state.parameters,
+          state.schema?.parameters || {}
+        ),
+        schemaParameters: state.schema?.parameters || {},
+        dimensions: previewManager.calculateDimensions(),
+        // Render stats only describe the mesh after a full-quality render
+        triangles: state.stl ? (state.stlStats?.triangles ?? null) : null,
+        renderTime: state.stl ? state.lastRenderTime : null,
+        appVersion: getVersionString(),
+        snapshots: previewManager.captureSnapshots(REPORT_VIEWS),
+      });
+
+      const baseName = state.uploadedFile.name.replace(/\.(scad|zip)$/i, '');
+      if (format === 'pdf') {
+        downloadFile(buildReportPdf(report), `${baseName}-build-report.pdf`);
+      } else {
+        downloadFile(
+          new TextEncoder().encode(buildReportHtml(report)),
+          `${baseName}-build-report.html`
+        );
+      }
+
+      const message = `Build report downloaded as ${format.toUpperCase()}`;
+      updateStatus(message, 'success');
+      stateManager.announceChange(message);
+    } catch (error) {
+      console.error('[BuildReport] Report failed:', error);
+      updateStatus(`Error: ${error.message}`);
+      alert(`Failed to create build report: ${error.message}`);
+    }
+  };
+
+  document
+    .querySelectorAll('#buildReportHtmlBtn, #buildReportPdfBtn')
+    .forEach((button) => {
+      button.addEventListener('click', () =>
+        handleBuildReport(button.dataset.reportFormat)
+      );
+    });
+
   // ========== COMPARISON MODE ==========
 
   // Initialize comparison controller
-  // Pass getter function to handle lazy renderController initialization
+  // Variants render on the worker pool, which looks up the lazily created
+  // renderController when needed
   comparisonController = new ComparisonController(
     stateManager,
-    () => renderController,
+    () => renderPool,
     {
       maxVariants: 10,
     }
@@ -9045,7 +10160,7 @@ async function initApp() {
           state.uploadedFile.name,
           finalName,
           state.parameters,
-          { description }
+          { description, libraries: libraryManager.getVersionRecord() }
         );
 
         updateStatus(`Preset "${finalName}" saved`);
@@ -9142,6 +10257,11 @@ async function initApp() {
         <div class="preset-modal-footer">
           <button class="btn btn-secondary" data-action="import">Import Preset</button>
           <button class="btn btn-secondary" data-action="export-all">Export All</button>
+          ${
+            state.projectFiles
+              ? '<button class="btn btn-secondary" data-action="export-project-zip">Export Project ZIP</button>'
+              : ''
+          }
           <button class="btn btn-outline" data-action="close">Close</button>
         </div>
       </div>
@@ -9224,7 +10344,11 @@ async function initApp() {
           showManagePresetsModal();
         }
       } else if (action === 'export') {
-        const json = presetManager.exportPreset(modelName, presetId);
+        const json = presetManager.exportPreset(
+          modelName,
+          presetId,
+          stateManager.getState().schema?.parameters
+        );
         if (json) {
           const preset = presetManager.loadPreset(modelName, presetId);
           const blob = new Blob([json], { type: 'application/json' });
@@ -9237,7 +10361,10 @@ async function initApp() {
           updateStatus(`Exported preset: ${preset.name}`);
         }
       } else if (action === 'export-all') {
-        const json = presetManager.exportAllPresets(modelName);
+        const json = presetManager.exportAllPresets(
+          modelName,
+          stateManager.getState().schema?.parameters
+        );
         if (json) {
           const blob = new Blob([json], { type: 'application/json' });
           const url = URL.createObjectURL(blob);
@@ -9250,6 +10377,8 @@ async function initApp() {
         } else {
           alert('No presets to export');
         }
+      } else if (action === 'export-project-zip') {
+        exportProjectZipWithPresets(modelName);
       } else if (action === 'import') {
         // Create file input for import
         const input = document.createElement('input');
@@ -9303,6 +10432,47 @@ async function initApp() {
     });
   }
 
+  /**
+   * Download the loaded multi-file project as a ZIP with the model's presets
+   * written to <main>.json, so desktop OpenSCAD opens it with the same sets
+   * @param {string} modelName - Preset model name (the uploaded file name)
+   */
+  async function exportProjectZipWithPresets(modelName) {
+    const state = stateManager.getState();
+    if (!state.projectFiles || !state.mainFilePath) {
+      alert('This feature is only available for ZIP projects');
+      return;
+    }
+
+    try {
+      const parameterSetJson = presetManager.exportOpenSCADNativeFormat(
+        modelName,
+        state.schema?.parameters
+      );
+      const blob = await createProjectZip(
+        state.projectFiles,
+        state.mainFilePath,
+        parameterSetJson,
+        resolveParameterFiles(state.parameters).files
+      );
+      downloadFile(
+        blob,
+        modelName.toLowerCase().endsWith('.zip')
+          ? modelName
+          : `${modelName.replace(/\.scad$/i, '')}.zip`,
+        'zip'
+      );
+      updateStatus(
+        parameterSetJson
+          ? 'Exported project ZIP with presets'
+          : 'Exported project ZIP'
+      );
+    } catch (error) {
+      console.error('[Presets] Project ZIP export failed:', error);
+      alert(`Failed to export project ZIP: ${error.message}`);
+    }
+  }
+
   // Preset button handlers
   const savePresetBtn = document.getElementById('savePresetBtn');
   const managePresetsBtn = document.getElementById('managePresetsBtn');
@@ -9311,6 +10481,37 @@ async function initApp() {
   savePresetBtn.addEventListener('click', showSavePresetModal);
   managePresetsBtn.addEventListener('click', showManagePresetsModal);
 
+  // Add an uploaded library (bind once, not in renderLibraryUI)
+  const addLibraryInput = document.getElementById('addLibraryInput');
+  if (addLibraryInput) {
+    addLibraryInput.addEventListener('change', async (e) => {
+      const file = e.target.files?.[0];
+      // Reset input for potential re-selection
+      e.target.value = '';
+      if (!file) return;
+
+      try {
+        const library = await createUserLibraryFromZip(
+          file,
+          Object.keys(libraryManager.getAll()).filter(
+            (id) => !libraryManager.get(id).user
+          )
+        );
+        const replaced = !!libraryManager.get(library.id);
+        await saveUserLibrary(library);
+        libraryManager.addUserLibrary(library, { enable: true });
+        const fileCount = Object.keys(library.files).length;
+        updateStatus(
+          `${replaced ? 'Updated' : 'Added'} library ${library.id} (${fileCount} files). Use it with include <${library.id}/...>`,
+          'success'
+        );
+      } catch (error) {
+        console.error('[Libraries] Failed to add library:', error);
+        updateStatus(`Could not add library: ${error.message}`, 'error');
+      }
+    });
+  }
+
   // Library help button handler (bind once, not in renderLibraryUI)
   const libraryHelpBtn = document.getElementById('libraryHelpBtn');
   if (libraryHelpBtn) {
@@ -9387,6 +10588,11 @@ async function initApp() {
       // Set flag to prevent clearPresetSelection during load
       isLoadingPreset = true;
 
+      // Presets saved with library versions pin (and enable) them
+      const missingLibraries = preset.libraries
+        ? libraryManager.setPins(preset.libraries)
+        : [];
+
       stateManager.setState({ parameters: { ...preset.parameters } });
 
       // Re-render UI with preset parameters (FIX: UI wasn't updating before)
@@ -9434,10 +10640,12 @@ async function initApp() {
         const issueCount =
           compatibility.extraParams.length + compatibility.missingParams.length;
         updateStatus(
-          `Loaded preset: ${preset.name} (${issueCount} parameter differences)`
+          `Loaded preset: ${preset.name} (${issueCount} parameter differences)${describeLibraryPinProblems(missingLibraries)}`
         );
       } else {
-        updateStatus(`Loaded preset: ${preset.name}`);
+        updateStatus(
+          `Loaded preset: ${preset.name}${describeLibraryPinProblems(missingLibraries)}`
+        );
       }
 
       // Keep showing the preset name in dropdown (don't reset)
@@ -10518,8 +11726,30 @@ async function initApp() {
   updateStatus('Ready - Upload a file to begin');
 }
 
+/**
+ * Show or hide the warning above the preview for pinned libraries that are
+ * installed at another version than the open design or preset was saved with
+ */
+function updateLibraryPinBanner() {
+  const banner = document.getElementById('libraryPinBanner');
+  const text = document.getElementById('libraryPinBannerText');
+  if (!banner || !text) return;
+
+  const mismatches = libraryManager.getPinMismatches();
+  banner.classList.toggle('hidden', mismatches.length === 0);
+  if (mismatches.length === 0) return;
+
+  const details = mismatches
+    .map(
+      ({ id, pinned, installed }) =>
+        `${id} ${formatLibraryVersion(pinned)} (installed: ${formatLibraryVersion(installed)})`
+    )
+    .join(', ');
+  text.textContent = `Saved with other library versions: ${details}. Rendering is paused until you accept the installed versions.`;
+}
+
 // Library UI Rendering
-function renderLibraryUI(detectedLibraries) {
+function renderLibraryUI(detectedLibraries, unresolved = []) {
   const libraryControls = document.getElementById('libraryControls');
   const libraryList = document.getElementById('libraryList');
   const libraryBadge = document.getElementById('libraryBadge');
@@ -10559,8 +11789,8 @@ function renderLibraryUI(detectedLibraries) {
   // Clear existing list
   libraryList.innerHTML = '';
 
-  // Get all libraries
-  const allLibraries = Object.values(LIBRARY_DEFINITIONS);
+  // Get all libraries (built-in and uploaded)
+  const allLibraries = Object.values(libraryManager.getAll());
 
   // Render library checkboxes
   allLibraries.forEach((lib) => {
@@ -10605,12 +11835,58 @@ function renderLibraryUI(detectedLibraries) {
     info.appendChild(name);
     info.appendChild(desc);
 
+    if (lib.version) {
+      const version = document.createElement('span');
+      version.className = 'library-version';
+      version.textContent = `Version ${formatLibraryVersion(lib.version)}`;
+      info.appendChild(version);
+    }
+
+    // The open design or preset was saved with another version
+    const pinned = libraryManager.getPinnedVersion(lib.id);
+    if (pinned && lib.version && pinned !== lib.version) {
+      const pinWarning = document.createElement('span');
+      pinWarning.className = 'library-pin-warning';
+      pinWarning.textContent = `Saved with version ${formatLibraryVersion(pinned)}. Renders may differ.`;
+      info.appendChild(pinWarning);
+    }
+
     libraryItem.appendChild(checkbox);
     libraryItem.appendChild(icon);
     libraryItem.appendChild(info);
 
     libraryList.appendChild(libraryItem);
 
+    if (lib.user) {
+      const removeBtn = document.createElement('button');
+      removeBtn.type = 'button';
+      removeBtn.className = 'btn-link library-remove-btn';
+      removeBtn.textContent = 'Remove';
+      removeBtn.setAttribute('aria-label', `Remove library ${lib.name}`);
+      removeBtn.addEventListener('click', async () => {
+        const confirmed = await showConfirmDialog(
+          `Remove the uploaded library ${lib.name}? Designs that include it will no longer render.`,
+          'Remove Library',
+          'Remove',
+          'Cancel'
+        );
+        if (!confirmed) return;
+        try {
+          await deleteUserLibrary(lib.id);
+          libraryManager.removeUserLibrary(lib.id);
+        } catch (error) {
+          console.error('[Libraries] Failed to remove library:', error);
+        }
+        const statusArea = document.getElementById('statusArea');
+        if (statusArea) {
+          statusArea.textContent = libraryManager.get(lib.id)
+            ? `Could not remove ${lib.name}`
+            : `${lib.name} removed`;
+        }
+      });
+      libraryList.appendChild(removeBtn);
+    }
+
     // Add event listener
     checkbox.addEventListener('change', () => {
       if (checkbox.checked) {
@@ -10626,6 +11902,93 @@ function renderLibraryUI(detectedLibraries) {
       }
     });
   });
+
+  renderUnresolvedIncludes(unresolved || []);
+  if (libraryDetails && unresolved?.length > 0) {
+    libraryDetails.open = true;
+  }
+}
+
+/**
+ * List includes of the open design that no project file or library provides
+ * @param {Array<{file: string, include: string, suggestions: Array}>} unresolved
+ */
+function renderUnresolvedIncludes(unresolved) {
+  const container = document.getElementById('libraryUnresolved');
+  if (!container) return;
+
+  container.innerHTML = '';
+  container.classList.toggle('hidden', unresolved.length === 0);
+  if (unresolved.length === 0) return;
+
+  const title = document.createElement('p');
+  title.className = 'library-unresolved-title';
+  title.textContent =
+    unresolved.length === 1
+      ? '1 include was not found:'
+      : `${unresolved.length} includes were not found:`;
+  container.appendChild(title);
+
+  const list = document.createElement('ul');
+  for (const { file, include, suggestions } of unresolved) {
+    const item = document.createElement('li');
+
+    const target = document.createElement('code');
+    target.textContent = include;
+    item.append(target, ` in ${file}`);
+
+    if (suggestions.length > 0) {
+      const hint = document.createElement('span');
+      hint.className = 'library-unresolved-hint';
+      hint.textContent = suggestions
+        .map(({ library, path, include: fix }) =>
+          library
+            ? `${libraryManager.get(library)?.name || library} provides ${path} (include <${fix}>)`
+            : `This project has ${path}`
+        )
+        .join('. ');
+      item.appendChild(hint);
+    }
+    list.appendChild(item);
+  }
+  container.appendChild(list);
+}
+
+/**
+ * Follow the open design's include/use graph through its project files and
+ * libraries: enable the libraries it uses, limit their mounts to the files
+ * it reaches and report includes that resolve nowhere
+ * @returns {Promise<string[]>} Library IDs that were newly enabled
+ */
+async function analyzeOpenDesignIncludes() {
+  const { uploadedFile, projectFiles, mainFilePath } = stateManager.getState();
+  if (!uploadedFile) return [];
+
+  const mainFile = mainFilePath || uploadedFile.name;
+  const files = new Map(projectFiles || []);
+  files.set(mainFile, uploadedFile.content);
+
+  let report = null;
+  try {
+    report = await libraryManager.analyzeProject(mainFile, files);
+  } catch (error) {
+    console.warn('[Libraries] Include analysis failed:', error);
+  }
+  // Another design was opened while this one was analysed
+  if (stateManager.getState().uploadedFile !== uploadedFile) return [];
+
+  includeReport = report;
+  const detectedLibraries =
+    report?.libraries || detectLibraries(uploadedFile.content);
+  console.log('Detected libraries:', detectedLibraries);
+  stateManager.setState({ detectedLibraries });
+
+  const autoEnabled = libraryManager.enableDetected(detectedLibraries);
+  renderLibraryUI(detectedLibraries, report?.unresolved);
+  if (autoPreviewController) {
+    autoPreviewController.setEnabledLibraries(getEnabledLibrariesForRender());
+  }
+  return autoEnabled;
 }
 
 // Update auto-preview to include libraries
@@ -0,0 +1,33 @@
+/**
+ * Mesh Analysis Web Worker
+ * Runs printability checks on rendered STL data off the main thread.
+ * @license GPL-3.0-or-later
+ */
+
+import { parseStl } from '../js/threemf-writer.js';
+import { analyzeMesh } from '../js/mesh-analysis.js';
+
+self.onmessage = (e) => {
+  const { type, payload } = e.data;
+
+  if (type !== 'ANALYZE') return;
+
+  const { requestId, stl, settings } = payload;
+  try {
+    const started = performance.now();
+    const analysis = analyzeMesh(parseStl(stl), settings);
+    self.postMessage({
+      type: 'ANALYSIS_COMPLETE',
+      payload: {
+        requestId,
+        analysis,
+        durationMs: Math.round(performance.now() - started),
+      },
+    });
+  } catch (error) {
+    self.postMessage({
+      type: 'ERROR',
+      payload: { requestId, message: error?.message || String(error) },
+    });
+  }
+};
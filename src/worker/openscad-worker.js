@@ -24,6 +24,28 @@
  */
 
 import { hexToRgb } from '../js/color-utils.js';
+import {
+  colorPartsToStl,
+  colorPartsToThreeMFObjects,
+  parseColoredOff,
+  sourceUsesColor,
+} from '../js/color-parts.js';
+import { createThreeMF } from '../js/threemf-writer.js';
+import {
+  formatLibraryVersion,
+  toLibraryBytes,
+  verifyIntegrity,
+} from '../js/library-integrity.js';
+import {
+  PARAMETER_FILES_DIR,
+  dataUrlToBytes,
+  resolveParameterFiles,
+} from '../js/parameter-files.js';
+import {
+  buildDefineArgs,
+  formatScadValue,
+  isScadRange,
+} from '../js/scad-value-utils.js';
 
 // Official WASM is loaded dynamically in initWASM() from /wasm/openscad-official/
 
@@ -33,7 +55,8 @@ let openscadModule = null;
 let initialized = false;
 let currentRenderTimeout = null;
 let mountedFiles = new Map(); // Track files in virtual filesystem
-let mountedLibraries = new Set(); // Track mounted library IDs
+let mountedUploadSources = new Map(); // Upload path -> data URL it was written from
+let mountedLibraries = new Map(); // Library ID -> { version, all, files: Set }
 let assetBaseUrl = ''; // Base URL for fetching assets (fonts, libraries, etc.)
 let wasmAssetLogShown = false;
 let openscadConsoleOutput = ''; // Accumulated console output from OpenSCAD
@@ -760,12 +783,138 @@ function clearMountedFiles() {
   }
 
   mountedFiles.clear();
+  mountedUploadSources.clear();
   console.log('[Worker FS] Cleared all mounted files');
 }
 
 /**
- * Mount library files from public/libraries/ into virtual filesystem
- * @param {Array<{id: string, path: string}>} libraries - Array of library configurations
+ * Write [file] parameter uploads into the virtual filesystem
+ * Unchanged uploads stay in place; uploads replaced or cleared since the
+ * last render are removed.
+ * @param {Map<string, string>} files - Upload path -> data URL (from resolveParameterFiles)
+ * @returns {Promise<void>}
+ */
+async function mountParameterFiles(files) {
+  const stale = Array.from(mountedFiles.keys()).filter(
+    (filePath) =>
+      filePath.startsWith(`${PARAMETER_FILES_DIR}/`) && !files.has(filePath)
+  );
+  if (files.size === 0 && stale.length === 0) return;
+
+  const module = await ensureOpenSCADModule();
+  if (!module || !module.FS) {
+    throw new Error('OpenSCAD filesystem not available');
+  }
+
+  const FS = module.FS;
+
+  for (const filePath of stale) {
+    try {
+      FS.unlink(filePath);
+    } catch (_error) {
+      // File may already be deleted, ignore
+    }
+    mountedFiles.delete(filePath);
+    mountedUploadSources.delete(filePath);
+    console.log(`[Worker FS] Removed upload: ${filePath}`);
+  }
+
+  for (const [filePath, dataUrl] of files.entries()) {
+    if (mountedUploadSources.get(filePath) === dataUrl) continue;
+
+    // Create /uploads/<parameter>/
+    let dir = '';
+    for (const part of filePath.split('/').slice(1, -1)) {
+      dir += `/${part}`;
+      try {
+        FS.mkdir(dir);
+      } catch (_error) {
+        // Directory may already exist, ignore
+      }
+    }
+
+    let bytes;
+    try {
+      bytes = dataUrlToBytes(dataUrl);
+      FS.writeFile(filePath, bytes);
+    } catch (error) {
+      console.error(`[Worker FS] Failed to mount upload ${filePath}:`, error);
+      throw new Error(`Failed to mount uploaded file: ${filePath}`);
+    }
+    mountedFiles.set(filePath, bytes);
+    mountedUploadSources.set(filePath, dataUrl);
+    console.log(
+      `[Worker FS] Mounted upload: ${filePath} (${bytes.length} bytes)`
+    );
+  }
+}
+
+/**
+ * Read a built-in library's files from public/libraries/<id>/
+ * @param {{id: string, path: string}} lib - Library configuration
+ * @param {Function} [wanted] - (file) => boolean, to fetch only some files
+ * @returns {Promise<{files: Array<[string, Uint8Array]>, integrity: Object|null}|null>}
+ *   Null when the library has no manifest
+ */
+async function fetchLibraryFiles(lib, wanted = () => true) {
+  const manifestUrl = `${assetBaseUrl}${lib.path}/manifest.json`;
+  const response = await fetch(manifestUrl).catch(() => {
+    return null;
+  });
+
+  let manifest = null;
+  if (response && response.ok) {
+    try {
+      manifest = await response.json();
+    } catch (error) {
+      console.warn(
+        `[Worker FS] Invalid manifest for ${lib.id}, skipping:`,
+        error.message
+      );
+    }
+  }
+  if (!manifest || !Array.isArray(manifest.files)) {
+    return null;
+  }
+
+  const files = [];
+  let failedCount = 0;
+  let failedSample = null;
+  for (const file of manifest.files.filter(wanted)) {
+    try {
+      const fileResponse = await fetch(`${assetBaseUrl}${lib.path}/${file}`);
+      if (fileResponse.ok) {
+        files.push([file, new Uint8Array(await fileResponse.arrayBuffer())]);
+      } else {
+        failedCount++;
+        if (!failedSample) failedSample = file;
+      }
+    } catch (error) {
+      console.warn(
+        `[Worker FS] Failed to fetch ${file} from ${lib.id}:`,
+        error.message
+      );
+      failedCount++;
+      if (!failedSample) failedSample = file;
+    }
+  }
+  if (failedCount > 0) {
+    console.warn(
+      `[Worker FS] ${failedCount} files of ${lib.id} could not be fetched (e.g. ${failedSample})`
+    );
+  }
+
+  return { files, integrity: manifest.integrity || null };
+}
+
+/**
+ * Mount library files into the virtual filesystem
+ * Built-in libraries are fetched from public/libraries/; uploaded libraries
+ * arrive with their files. When hashes are available every file is checked
+ * before any is written, and a library with a mismatch is not mounted.
+ * A library with a subset (the files the model reaches through include/use)
+ * only gets those files; later renders add files as the subset grows.
+ * @param {Array<{id: string, path: string, version?: string, subset?: string[], files?: Object, integrity?: Object}>} libraries - Array of library configurations
  * @returns {Promise<void>}
  */
 async function mountLibraries(libraries) {
@@ -811,96 +960,86 @@ async function mountLibraries(libraries) {
 
   for (const lib of libraries) {
     const libRoot = lib.path.startsWith('/') ? lib.path : `/${lib.path}`;
-    if (mountedLibraries.has(lib.id)) {
+    const version = lib.version || null;
+    let mounted = mountedLibraries.get(lib.id) || null;
+    if (mounted) {
       const rootExists = !!FS.analyzePath(libRoot).exists;
-      if (rootExists) {
-        console.log(`[Worker FS] Library ${lib.id} already mounted`);
-        continue;
+      const changed = mounted.version && version && mounted.version !== version;
+      if (!rootExists || changed) {
+        // Stale mount tracked (root missing or another version) - remount
+        mountedLibraries.delete(lib.id);
+        mounted = null;
       }
-      // Stale mount tracked (root missing) - remount
-      mountedLibraries.delete(lib.id);
     }
+    const subset = Array.isArray(lib.subset) ? lib.subset : null;
+    if (
+      mounted &&
+      (mounted.all || (subset && subset.every((f) => mounted.files.has(f))))
+    ) {
+      console.log(`[Worker FS] Library ${lib.id} already mounted`);
+      continue;
+    }
+    const subsetFiles = subset ? new Set(subset) : null;
+    const wanted = (file) =>
+      !mounted?.files.has(file) && (!subsetFiles || subsetFiles.has(file));
 
     try {
       console.log(`[Worker FS] Mounting library: ${lib.id} from ${lib.path}`);
 
-      // Fetch library file list from manifest or directory listing
-      // For now, we'll try to mount the library directory recursively
-      const manifestUrl = `${assetBaseUrl}${lib.path}/manifest.json`;
-      const response = await fetch(manifestUrl).catch(() => {
-        return null;
-      });
+      const source = lib.files
+        ? {
+            files: Object.entries(lib.files)
+              .filter(([file]) => wanted(file))
+              .map(([file, content]) => [file, toLibraryBytes(content)]),
+            integrity: lib.integrity || null,
+          }
+        : await fetchLibraryFiles(lib, wanted);
 
-      let manifest = null;
-      if (response && response.ok) {
-        try {
-          manifest = await response.json();
-        } catch (error) {
-          console.warn(
-            `[Worker FS] Invalid manifest for ${lib.id}, skipping:`,
-            error.message
-          );
-        }
+      if (!source) {
+        console.warn(`[Worker FS] No manifest found for ${lib.id}, skipping`);
+        continue;
       }
 
-      if (manifest && Array.isArray(manifest.files)) {
-        const files = manifest.files || [];
-        let _mountedCount = 0;
-        let _failedCount = 0;
-        let failedSample = null;
-
-        ensureDir(libRoot);
-
-        // Fetch and mount each file
-        for (const file of files) {
-          try {
-            const fileResponse = await fetch(
-              `${assetBaseUrl}${lib.path}/${file}`
-            );
-            if (fileResponse.ok) {
-              const content = await fileResponse.text();
-              const filePath = `${libRoot}/${file}`;
-
-              // Create subdirectories if needed
-              const parts = file.split('/');
-              let currentPath = libRoot;
-              for (let i = 0; i < parts.length - 1; i++) {
-                currentPath += '/' + parts[i];
-                try {
-                  FS.mkdir(currentPath);
-                } catch (error) {
-                  if (error.code !== 'EEXIST') throw error;
-                }
-              }
-
-              FS.writeFile(filePath, content);
-              totalMounted++;
-              _mountedCount++;
-            } else {
-              _failedCount++;
-              if (!failedSample) failedSample = file;
-            }
-          } catch (error) {
-            console.warn(
-              `[Worker FS] Failed to mount ${file} from ${lib.id}:`,
-              error.message
+      if (source.integrity) {
+        for (const [file, bytes] of source.files) {
+          if (!(await verifyIntegrity(bytes, source.integrity[file]))) {
+            throw new Error(
+              `Integrity check failed for ${lib.id}/${file}. The library files do not match their recorded hashes.`
             );
-            _failedCount++;
-            if (!failedSample) failedSample = file;
           }
         }
-
-        mountedLibraries.add(lib.id);
-        console.log(`[Worker FS] Successfully mounted library: ${lib.id}`);
       } else {
-        // No manifest, try to fetch common files
-        console.warn(`[Worker FS] No manifest found for ${lib.id}, skipping`);
+        console.warn(
+          `[Worker FS] ${lib.id} has no integrity hashes; files are not checked`
+        );
+      }
+
+      for (const [file, bytes] of source.files) {
+        const filePath = `${libRoot}/${file}`;
+        ensureDir(filePath.slice(0, filePath.lastIndexOf('/')));
+        FS.writeFile(filePath, bytes);
+        totalMounted++;
       }
+
+      mountedLibraries.set(lib.id, {
+        version: version || mounted?.version || null,
+        all: !subset,
+        files: new Set([
+          ...(mounted?.files || []),
+          ...source.files.map(([file]) => file),
+        ]),
+      });
+      console.log(
+        `[Worker FS] Successfully mounted library: ${lib.id} (${source.files.length} files${subset ? ', referenced subset' : ''})`
+      );
     } catch (error) {
       console.error(`[Worker FS] Failed to mount library ${lib.id}:`, error);
       self.postMessage({
         type: 'WARNING',
-        message: `Failed to mount library: ${lib.id}`,
+        payload: {
+          code: 'LIBRARY_MOUNT_FAILED',
+          message: `Failed to mount library ${lib.id}: ${error.message}`,
+        },
       });
       continue;
     }
@@ -928,62 +1067,6 @@ function clearLibraries() {
 
 // hexToRgb is now imported from color-utils.js
 
-/**
- * Build -D command-line arguments from parameters
- * @param {Object} parameters - Parameter key-value pairs
- * @returns {Array<string>} Array of -D arguments
- */
-function buildDefineArgs(parameters) {
-  if (!parameters || Object.keys(parameters).length === 0) {
-    return [];
-  }
-
-  const args = [];
-
-  for (const [key, value] of Object.entries(parameters)) {
-    // Skip null/undefined values
-    if (value === null || value === undefined) {
-      continue;
-    }
-
-    let formattedValue;
-
-    // Handle different value types
-    if (typeof value === 'string') {
-      // Check if this is a color (hex string)
-      if (/^#?[0-9A-Fa-f]{6}$/.test(value)) {
-        const rgb = hexToRgb(value);
-        formattedValue = `[${rgb[0]},${rgb[1]},${rgb[2]}]`;
-      } else {
-        // Escape quotes and wrap in quotes
-        const escaped = value.replace(/\\/g, '\\\\').replace(/"/g, '\\"');
-        formattedValue = `"${escaped}"`;
-      }
-    } else if (typeof value === 'number') {
-      formattedValue = String(value);
-    } else if (typeof value === 'boolean') {
-      formattedValue = value ? 'true' : 'false';
-    } else if (Array.isArray(value)) {
-      formattedValue = `[${value.join(',')}]`;
-    } else if (typeof value === 'object' && value.data) {
-      // File parameter - use filename
-      const escaped = (value.name || 'uploaded_file')
-        .replace(/\\/g, '\\\\')
-        .replace(/"/g, '\\"');
-      formattedValue = `"${escaped}"`;
-    } else {
-      // Fallback: JSON stringify
-      formattedValue = JSON.stringify(value);
-    }
-
-    // Add -D flag
-    args.push('-D');
-    args.push(`${key}=${formattedValue}`);
-  }
-
-  return args;
-}
-
 /**
  * Convert parameters to OpenSCAD variable assignments
  * @param {Object} parameters - Parameter key-value pairs
@@ -1028,9 +1111,9 @@ function parametersToScad(parameters, paramTypes = {}) {
         return `${key} = ${value};`;
       } else if (typeof value === 'boolean') {
         return `${key} = ${value};`;
-      } else if (Array.isArray(value)) {
-        // Handle arrays (including RGB arrays)
-        return `${key} = [${value.join(', ')}];`;
+      } else if (Array.isArray(value) || isScadRange(value)) {
+        // Handle vectors, lists (including RGB arrays) and ranges
+        return `${key} = ${formatScadValue(value)};`;
       } else {
         return `${key} = ${JSON.stringify(value)};`;
       }
@@ -1077,9 +1160,9 @@ function _applyOverrides(scadContent, parameters) {
       return `"${escaped}"`;
     }
 
-    // Handle arrays
-    if (Array.isArray(value)) {
-      return `[${value.join(', ')}]`;
+    // Handle vectors, lists and ranges
+    if (Array.isArray(value) || isScadRange(value)) {
+      return formatScadValue(value);
     }
 
     // Handle strings
@@ -1691,6 +1774,7 @@ async function render(payload) {
     outputFormat = 'stl',
     libraries,
     mainFile,
+    colorParts = false,
     renderOptions = {},
   } = payload;
 
@@ -1708,6 +1792,24 @@ async function render(payload) {
       payload: { requestId, percent: 10, message: 'Preparing model...' },
     });
 
+    // A design pinned to other library versions must not render with
+    // different library code unnoticed (the pin is cleared to accept them)
+    const pinMismatches = (libraries || []).filter(
+      (lib) => lib.pinned && lib.version && lib.pinned !== lib.version
+    );
+    if (pinMismatches.length > 0) {
+      const error = new Error(
+        `This design was saved with other library versions (${pinMismatches
+          .map(
+            (lib) =>
+              `${lib.id} ${formatLibraryVersion(lib.pinned)}, installed ${formatLibraryVersion(lib.version)}`
+          )
+          .join('; ')}). Choose "Use installed versions" to render anyway.`
+      );
+      error.code = 'LIBRARY_PIN_MISMATCH';
+      throw error;
+    }
+
     // Mount libraries if provided
     if (libraries && libraries.length > 0) {
       self.postMessage({
@@ -1761,7 +1863,13 @@ async function render(payload) {
         },
       });
     }
-    console.log('[Worker] Rendering with parameters:', parameters);
+
+    // [file] parameters hold the upload itself; OpenSCAD gets its path
+    const uploads = resolveParameterFiles(parameters);
+    await mountParameterFiles(uploads.files);
+    const renderParameters = uploads.parameters;
+
+    console.log('[Worker] Rendering with parameters:', renderParameters);
 
     self.postMessage({
       type: 'PROGRESS',
@@ -1779,6 +1887,21 @@ async function render(payload) {
     const format = (outputFormat || 'stl').toLowerCase();
     const formatName = format.toUpperCase();
 
+    // OFF output keeps each face's color() and the WASM build has no lib3mf,
+    // so 3MF exports and previews of colored models render OFF and split it.
+    // Other STL renders keep OpenSCAD's own STL export.
+    const splitByColor =
+      format === '3mf' ||
+      (format === 'stl' &&
+        colorParts &&
+        sourceUsesColor([
+          scadContent,
+          ...Array.from(mountedFiles)
+            .filter(([path]) => /\.scad$/i.test(path))
+            .map(([, content]) => content),
+        ]));
+    const engineFormat = splitByColor ? 'off' : format;
+
     // Track render timing
     let renderStartTime = 0;
     let renderDurationMs = 0;
@@ -1820,10 +1943,10 @@ async function render(payload) {
         }
       }
 
-      const outputData = await renderWithCallMain(
+      const engineOutput = await renderWithCallMain(
         scadContent,
-        parameters,
-        format,
+        renderParameters,
+        engineFormat,
         mainFileToUse,
         renderOptions
       );
@@ -1840,7 +1963,29 @@ async function render(payload) {
         },
       });
 
-      return { data: outputData, format, renderDurationMs };
+      if (!splitByColor) {
+        return { data: engineOutput, format, renderDurationMs };
+      }
+
+      const parts = parseColoredOff(engineOutput);
+      const partTriangles = parts.reduce(
+        (sum, part) => sum + part.positions.length / 9,
+        0
+      );
+      console.log(
+        `[Worker] Split render into ${parts.length} color part(s), ${partTriangles} triangles`
+      );
+      if (format === '3mf') {
+        const data = await createThreeMF(colorPartsToThreeMFObjects(parts));
+        return { data, format, renderDurationMs, partTriangles };
+      }
+      const { stl, colorGroups } = colorPartsToStl(parts);
+      return {
+        data: stl,
+        format,
+        renderDurationMs,
+        colorGroups: parts.some((part) => part.color) ? colorGroups : null,
+      };
     })();
 
     // Race between render and timeout
@@ -1849,6 +1994,8 @@ async function render(payload) {
       data: outputData,
       format: resultFormat,
       renderDurationMs: workerRenderMs,
+      partTriangles,
+      colorGroups = null,
     } = result;
 
     // Clear timeout
@@ -1859,7 +2006,7 @@ async function render(payload) {
 
     // Convert output data to ArrayBuffer
     let outputBuffer;
-    let triangleCount = 0;
+    let triangleCount = partTriangles || 0;
     let isTextFormat = false;
 
     if (outputData instanceof ArrayBuffer) {
@@ -1942,6 +2089,8 @@ async function render(payload) {
             renderMs: workerRenderMs,
             wasmInitMs: wasmInitDurationMs,
           },
+          // Triangle ranges per color() region (colored STL previews only)
+          colorGroups,
           // Include console output for echo() messages - critical for Volkswitch keyguard
           consoleOutput: openscadConsoleOutput || '',
         },
@@ -1976,6 +2125,10 @@ async function render(payload) {
     // override to EMPTY_GEOMETRY so the UI can show dependency guidance.
     let code = translated.code;
     let message = translated.message;
+    if (error?.code === 'LIBRARY_PIN_MISMATCH') {
+      code = error.code;
+      message = error.message;
+    }
     if (
       code === 'INTERNAL_ERROR' &&
       openscadConsoleOutput &&
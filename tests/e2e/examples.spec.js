@@ -57,6 +57,35 @@ test.describe('Example Deep-Links', () => {
   })
 })
 
+test.describe('Model Links', () => {
+  test('loads a model from the same site via ?model=', async ({ page }) => {
+    test.skip(isCI, 'WASM file processing is slow/unreliable in CI')
+
+    await page.goto('/?model=/examples/simple-box/simple_box.scad')
+
+    const mainInterface = page.locator('#mainInterface')
+    await expect(mainInterface).toBeVisible({ timeout: 20000 })
+    await expect(page.locator('#parametersContainer, .param-control')).toBeVisible({ timeout: 10000 })
+
+    // The model link is removed so a refresh doesn't download it again
+    await expect(page).not.toHaveURL(/model=/)
+  })
+
+  test('refuses models from sites that are not allowed', async ({ page }) => {
+    const dialogs = []
+    page.on('dialog', async (dialog) => {
+      dialogs.push(dialog.message())
+      await dialog.dismiss()
+    })
+
+    await page.goto('/?model=https://unlisted.example/box.scad')
+
+    await expect.poll(() => dialogs.length, { timeout: 10000 }).toBe(1)
+    expect(dialogs[0]).toContain('not set up to load models from')
+    await expect(page.locator('#welcomeScreen')).toBeVisible()
+  })
+})
+
 test.describe('Volkswitch Keyguard Example', () => {
   test('loads via deep-link parameter', async ({ page }) => {
     test.skip(isCI, 'WASM file processing is slow/unreliable in CI')
@@ -314,6 +314,20 @@ describe('AutoPreviewController', () => {
       expect(controller.previewCache.has('second')).toBe(true)
     })
 
+    it('keeps color groups with cached results for the preview', async () => {
+      const colorGroups = [{ color: '#ff0000', alpha: 1, start: 0, count: 12 }]
+      const hash = controller.hashParams({ width: 10 })
+      const cacheKey = `${hash}|model`
+      controller.addToCache(cacheKey, { stl: new ArrayBuffer(4), stats: {}, colorGroups })
+
+      await controller.loadCachedPreview(hash, cacheKey, 'model')
+
+      expect(previewManager.loadSTL).toHaveBeenCalledWith(
+        expect.any(ArrayBuffer),
+        expect.objectContaining({ colorGroups })
+      )
+    })
+
     it('returns early when cache entry not found', async () => {
       const hash = 'nonexistent'
       const cacheKey = `${hash}|model`
@@ -391,6 +405,16 @@ describe('AutoPreviewController', () => {
       expect(controller.scadVersion).toBe(initialVersion + 1)
     })
 
+    it('keeps the camera for edits to the same model', () => {
+      controller.initialPreviewDone = true
+
+      controller.setScadContent('edited content', { preserveCamera: true })
+      expect(controller.initialPreviewDone).toBe(true)
+
+      controller.setScadContent('new model')
+      expect(controller.initialPreviewDone).toBe(false)
+    })
+
     it('cancels pending work on new content', () => {
       const cancelSpy = vi.spyOn(controller, 'cancelPending')
       
@@ -539,4 +563,128 @@ describe('AutoPreviewController', () => {
       expect(result).toBeNull()
     })
   })
+
+  describe('Persistent Render Cache', () => {
+    let renderCache
+
+    beforeEach(() => {
+      renderCache = {
+        computeKey: vi.fn(async ({ parameters, qualityKey }) => `${JSON.stringify(parameters)}|${qualityKey}`),
+        get: vi.fn().mockResolvedValue(null),
+        put: vi.fn().mockResolvedValue(true)
+      }
+      controller.renderCache = renderCache
+    })
+
+    it('shows a persisted preview without rendering', async () => {
+      const stored = { stl: new ArrayBuffer(4), stats: { triangles: 3 }, durationMs: 900, timing: {} }
+      renderCache.get.mockResolvedValue(stored)
+      const previewReady = vi.fn()
+      controller.onPreviewReady = previewReady
+
+      await controller.forcePreview({ width: 10 })
+
+      expect(renderController.renderPreview).not.toHaveBeenCalled()
+      expect(previewManager.loadSTL).toHaveBeenCalledWith(stored.stl, expect.any(Object))
+      expect(controller.state).toBe(PREVIEW_STATE.CURRENT)
+      expect(previewReady).toHaveBeenCalledWith(stored.stl, stored.stats, true, 900, expect.objectContaining({ cached: true }))
+    })
+
+    it('stores fresh renders under the key for the rendered inputs', async () => {
+      await controller.forcePreview({ width: 10 })
+
+      expect(renderController.renderPreview).toHaveBeenCalled()
+      expect(renderCache.computeKey).toHaveBeenCalledWith(expect.objectContaining({
+        scadContent: 'cube(10);',
+        parameters: { width: 10 },
+        qualityKey: 'model'
+      }))
+      expect(renderCache.put).toHaveBeenCalledWith(
+        '{"width":10}|model',
+        expect.objectContaining({ stats: { triangles: 12 }, durationMs: expect.any(Number) })
+      )
+    })
+
+    it('cancels the debounced render on a persistent cache hit', async () => {
+      vi.useFakeTimers()
+      renderCache.get.mockResolvedValue({ stl: new ArrayBuffer(4), stats: {}, durationMs: 5 })
+
+      controller.onParameterChange({ width: 20 })
+      await vi.runAllTimersAsync()
+
+      expect(renderController.renderPreview).not.toHaveBeenCalled()
+      expect(controller.state).toBe(PREVIEW_STATE.CURRENT)
+    })
+
+    it('reuses a persisted full render', async () => {
+      renderController.renderFull = vi.fn()
+      renderCache.get.mockResolvedValue({ stl: new ArrayBuffer(8), stats: { triangles: 2 }, consoleOutput: 'ECHO: 1' })
+
+      const result = await controller.renderFull({ width: 10 })
+
+      expect(renderController.renderFull).not.toHaveBeenCalled()
+      expect(result).toMatchObject({ cached: true, consoleOutput: 'ECHO: 1' })
+      expect(controller.getCurrentFullSTL({ width: 10 })).not.toBeNull()
+    })
+  })
+
+  describe('Draft Preview', () => {
+    beforeEach(() => {
+      renderController.renderCsgTree = vi.fn().mockResolvedValue({
+        data: 'difference() { cube(size = [10, 10, 10]); sphere($fn = 8, r = 2); }'
+      })
+      previewManager.loadDraft = vi.fn()
+    })
+
+    it('is off by default', async () => {
+      await controller.forcePreview({ width: 10 })
+
+      expect(controller.draftPreview).toBe(false)
+      expect(renderController.renderCsgTree).not.toHaveBeenCalled()
+    })
+
+    it('shows the draft before the full preview', async () => {
+      const states = []
+      controller.onStateChange = (state, previous, extra) => states.push([state, extra])
+      controller.setDraftPreview(true)
+
+      await controller.forcePreview({ width: 10 })
+
+      expect(renderController.renderCsgTree).toHaveBeenCalledWith('cube(10);', { width: 10 }, expect.any(Object))
+      expect(previewManager.loadDraft).toHaveBeenCalledWith(
+        expect.objectContaining({ bounds: { min: [0, 0, 0], max: [10, 10, 10] } }),
+        { preserveCamera: false }
+      )
+      const order = states.map(([state]) => state)
+      expect(order.indexOf(PREVIEW_STATE.DRAFT)).toBeGreaterThan(-1)
+      expect(order.indexOf(PREVIEW_STATE.DRAFT)).toBeLessThan(order.indexOf(PREVIEW_STATE.CURRENT))
+      const [, extra] = states.find(([state]) => state === PREVIEW_STATE.DRAFT)
+      expect(extra.draft).toMatchObject({ primitives: 1, subtractors: 1 })
+      expect(renderController.renderPreview).toHaveBeenCalled()
+      expect(controller.state).toBe(PREVIEW_STATE.CURRENT)
+    })
+
+    it('falls through to the full preview when the draft fails', async () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {})
+      renderController.renderCsgTree.mockRejectedValue(new Error('Parse error'))
+      controller.setDraftPreview(true)
+
+      await controller.forcePreview({ width: 10 })
+
+      expect(previewManager.loadDraft).not.toHaveBeenCalled()
+      expect(renderController.renderPreview).toHaveBeenCalled()
+      expect(controller.state).toBe(PREVIEW_STATE.CURRENT)
+      warn.mockRestore()
+    })
+
+    it('skips drawing a draft with nothing to show', async () => {
+      renderController.renderCsgTree.mockResolvedValue({ data: 'import(file = "part.stl");' })
+      controller.setDraftPreview(true)
+
+      await controller.forcePreview({ width: 10 })
+
+      expect(previewManager.loadDraft).not.toHaveBeenCalled()
+      expect(renderController.renderPreview).toHaveBeenCalled()
+    })
+  })
 })
@@ -0,0 +1,103 @@
+import { describe, it, expect } from 'vitest'
+import {
+  createBuildReport,
+  getReportSummary,
+  buildReportHtml,
+  buildReportPdf
+} from '../../src/js/build-report.js'
+
+const JPEG = new Uint8Array([
+  0xff, 0xd8,
+  0xff, 0xc0, 0x00, 0x0b, 0x08, 0x00, 0x1e, 0x00, 0x28, 0x01, 0x01, 0x11, 0x00,
+  0xff, 0xd9
+])
+const JPEG_URL = `data:image/jpeg;base64,${btoa(String.fromCharCode(...JPEG))}`
+
+function makeReport(overrides = {}) {
+  return createBuildReport({
+    modelName: 'keyguard.scad',
+    scadVersion: { version: '2.1', raw: 'v2.1' },
+    changedParameters: {
+      hole_size: { current: 12.5, default: 10 },
+      label: { current: 'Sam <left>', default: '' }
+    },
+    schemaParameters: {
+      hole_size: { description: 'Diameter of each hole', unit: 'mm', group: 'Holes' },
+      label: { description: 'Engraved text' }
+    },
+    dimensions: { x: 100, y: 60.5, z: 3, volume: 18150, triangles: 1200 },
+    renderTime: '4.2',
+    appVersion: 'v4.2.0',
+    snapshots: [{ id: 'iso', label: 'Isometric view', dataUrl: JPEG_URL, width: 40, height: 30 }],
+    generatedAt: new Date('2026-01-02T03:04:05Z'),
+    ...overrides
+  })
+}
+
+describe('Build Report', () => {
+  it('collects changed parameters with descriptions and units', () => {
+    const report = makeReport()
+
+    expect(report.parameters).toEqual([
+      { name: 'hole_size', group: 'Holes', value: '12.5', defaultValue: '10', unit: 'mm', description: 'Diameter of each hole' },
+      { name: 'label', group: '', value: 'Sam <left>', defaultValue: '', unit: '', description: 'Engraved text' }
+    ])
+    expect(report).toMatchObject({
+      modelVersion: '2.1',
+      triangles: 1200,
+      renderTime: 4.2,
+      generatedAt: '2026-01-02T03:04:05.000Z'
+    })
+  })
+
+  it('prefers the rendered triangle count and omits missing stats', () => {
+    expect(makeReport({ triangles: 900 }).triangles).toBe(900)
+
+    const terms = getReportSummary(makeReport({ dimensions: null, renderTime: null, scadVersion: null }))
+      .map(([term]) => term)
+    expect(terms).toEqual(['Model', 'Model version', 'Generated', 'App version'])
+  })
+
+  it('builds an accessible, escaped HTML document', () => {
+    const html = buildReportHtml(makeReport())
+
+    expect(html).toContain('<html lang="en">')
+    expect(html).toContain('<title>Build report: keyguard.scad</title>')
+    expect(html).toContain('<caption>2 parameters changed from the model defaults</caption>')
+    expect(html).toContain('<th scope="row">hole_size</th>')
+    expect(html).toContain('<td>12.5 mm</td>')
+    expect(html).toContain('Sam &lt;left&gt;')
+    expect(html).not.toContain('Sam <left>')
+    expect(html).toContain(`src="${JPEG_URL}"`)
+    expect(html).toContain('alt="Isometric view of keyguard.scad"')
+    expect(html).toContain('100 × 60.5 × 3 mm')
+    expect(html).toContain('OpenSCAD Assistive Forge v4.2.0')
+  })
+
+  it('notes when every parameter is at its default', () => {
+    const html = buildReportHtml(makeReport({ changedParameters: {} }))
+    expect(html).toContain('All parameters use the model defaults.')
+    expect(html).not.toContain('<table>')
+  })
+
+  it('builds a PDF with the parameters and snapshots', () => {
+    const pdf = new TextDecoder('latin1').decode(buildReportPdf(makeReport()))
+
+    expect(pdf.startsWith('%PDF-1.4')).toBe(true)
+    expect(pdf).toContain('/Title (Build report: keyguard.scad)')
+    expect(pdf).toContain('(hole_size) Tj')
+    expect(pdf).toContain('(12.5 mm) Tj')
+    expect(pdf).toContain('/Subtype /Image')
+  })
+
+  it('continues long parameter lists on new pages', () => {
+    const changedParameters = {}
+    for (let i = 0; i < 120; i++) {
+      changedParameters[`param_${i}`] = { current: i, default: -1 }
+    }
+    const pdf = new TextDecoder('latin1').decode(buildReportPdf(makeReport({ changedParameters })))
+
+    expect(Number(pdf.match(/\/Count (\d+)/)[1])).toBeGreaterThan(2)
+    expect(pdf).toContain('(param_119) Tj')
+  })
+})
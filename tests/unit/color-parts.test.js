@@ -0,0 +1,113 @@
+import { describe, it, expect } from 'vitest'
+import {
+  DEFAULT_OPENSCAD_COLOR,
+  sourceUsesColor,
+  parseColoredOff,
+  colorPartsToStl,
+  colorPartsToThreeMFObjects
+} from '../../src/js/color-parts.js'
+import { parseStl } from '../../src/js/threemf-writer.js'
+
+// A red triangle, a translucent blue quad and an uncolored triangle, as the
+// WASM build's OFF export writes them
+const COLORED_OFF = `OFF 5 3 0
+0 0 0
+1 0 0
+1 1 0
+0 1 0
+0 0 1
+3 0 1 2 255 0 0
+4 0 1 2 3 0 0 255 127
+3 0 1 4 249 215 44
+`
+
+describe('Color Parts', () => {
+  describe('sourceUsesColor', () => {
+    it('detects color() calls in any source', () => {
+      expect(sourceUsesColor('color("red") cube(1);')).toBe(true)
+      expect(sourceUsesColor(['cube(1);', 'color ([1,0,0]) sphere(1);'])).toBe(true)
+    })
+
+    it('ignores other identifiers and non-text files', () => {
+      expect(sourceUsesColor('box_color = "red"; cube(1);')).toBe(false)
+      expect(sourceUsesColor(['cube(1);', new ArrayBuffer(4), null])).toBe(false)
+    })
+
+    it('decodes files mounted as bytes', () => {
+      const bytes = new TextEncoder().encode('module tag() color("red") cube(1);')
+      expect(sourceUsesColor(['cube(1);', bytes])).toBe(true)
+    })
+  })
+
+  describe('parseColoredOff', () => {
+    it('groups faces by color and treats the default color as uncolored', () => {
+      const parts = parseColoredOff(COLORED_OFF)
+
+      expect(parts.map(({ color, alpha }) => ({ color, alpha }))).toEqual([
+        { color: '#ff0000', alpha: 1 },
+        { color: '#0000ff', alpha: 127 / 255 },
+        { color: null, alpha: 1 }
+      ])
+      expect(parts.map((part) => part.positions.length / 9)).toEqual([1, 2, 1])
+    })
+
+    it('fan-triangulates polygons', () => {
+      const [, quad] = parseColoredOff(COLORED_OFF)
+      expect(Array.from(quad.positions)).toEqual([
+        0, 0, 0, 1, 0, 0, 1, 1, 0,
+        0, 0, 0, 1, 1, 0, 0, 1, 0
+      ])
+    })
+
+    it('reads float colors, split headers and uncolored faces', () => {
+      const off = `OFF
+3 2 0
+0 0 0
+1 0 0
+0 1 0
+3 0 1 2 0.0 1.0 0.0 1.0
+3 0 2 1
+`
+      const parts = parseColoredOff(new TextEncoder().encode(off))
+      expect(parts.map((part) => part.color)).toEqual(['#00ff00', null])
+    })
+
+    it('rejects files that are not OFF', () => {
+      expect(() => parseColoredOff('solid test')).toThrow('Not an OFF file')
+    })
+  })
+
+  describe('colorPartsToStl', () => {
+    it('packs parts into one STL with triangle ranges per color', () => {
+      const parts = parseColoredOff(COLORED_OFF)
+      const { stl, colorGroups } = colorPartsToStl(parts)
+
+      expect(stl.byteLength).toBe(84 + 4 * 50)
+      expect(parseStl(new Uint8Array(stl)).length).toBe(4 * 9)
+      expect(colorGroups.map(({ color, start, count }) => ({ color, start, count }))).toEqual([
+        { color: '#ff0000', start: 0, count: 1 },
+        { color: '#0000ff', start: 1, count: 2 },
+        { color: null, start: 3, count: 1 }
+      ])
+    })
+  })
+
+  describe('colorPartsToThreeMFObjects', () => {
+    it('names and colors one object per part', () => {
+      const objects = colorPartsToThreeMFObjects(parseColoredOff(COLORED_OFF))
+
+      expect(objects.map(({ name, color }) => ({ name, color }))).toEqual([
+        { name: 'Color #ff0000', color: '#ff0000' },
+        { name: 'Color #0000ff', color: '#0000ff7f' },
+        { name: 'Default', color: DEFAULT_OPENSCAD_COLOR }
+      ])
+    })
+
+    it('keeps a model without color() as one plain object', () => {
+      const positions = new Float32Array(9)
+      expect(colorPartsToThreeMFObjects([{ color: null, alpha: 1, positions }])).toEqual([
+        { name: 'Default', positions }
+      ])
+    })
+  })
+})
@@ -66,6 +66,25 @@ describe('ComparisonController', () => {
     expect(controller.getVariant(id2).state).toBe('complete')
   })
 
+  it('renders variants in parallel up to the controller concurrency', async () => {
+    let active = 0
+    let maxActive = 0
+    renderController.concurrency = 2
+    renderController.render.mockImplementation(async () => {
+      maxActive = Math.max(maxActive, ++active)
+      await new Promise((resolve) => setTimeout(resolve, 5))
+      active--
+      return { stl: new ArrayBuffer(2), stats: {} }
+    })
+    controller.maxVariants = 3
+    const ids = [1, 2, 3].map((width) => controller.addVariant(`V${width}`, { width }))
+
+    await controller.renderAllVariants()
+
+    expect(maxActive).toBe(2)
+    expect(ids.map((id) => controller.getVariant(id).state)).toEqual(['complete', 'complete', 'complete'])
+  })
+
   it('exports and imports comparison data', () => {
     controller.addVariant('One', { width: 1 })
     const exported = controller.exportComparison()
@@ -90,6 +109,18 @@ describe('ComparisonController', () => {
     expect(stats.totalTriangles).toBe(5)
   })
 
+  it('lines up the parameters of all variants', () => {
+    controller.addVariant('One', { width: 1, size: [1, 2], label: 'a' })
+    controller.addVariant('Two', { width: 2, size: [1, 2], hole: true })
+
+    expect(controller.getParameterDiff()).toEqual([
+      { name: 'width', values: [1, 2], differs: true },
+      { name: 'size', values: [[1, 2], [1, 2]], differs: false },
+      { name: 'label', values: ['a', undefined], differs: true },
+      { name: 'hole', values: [undefined, true], differs: true }
+    ])
+  })
+
   it('supports subscribing and clearing variants', () => {
     const listener = vi.fn()
     controller.subscribe(listener)
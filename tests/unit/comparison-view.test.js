@@ -2,13 +2,38 @@ import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
 
 vi.mock('../../src/js/preview.js', () => ({
   PreviewManager: class {
-    constructor() {}
+    constructor() {
+      this.mesh = null
+      this.diffGroup = null
+      this.camera = { position: [0, 0, 10], target: [0, 0, 0], up: [0, 0, 1] }
+      this.cameraListeners = new Set()
+    }
     init() {
       return Promise.resolve()
     }
-    loadSTL() {
+    loadSTL(stl, options = {}) {
+      this.mesh = {}
+      this.loadOptions = options
       return Promise.resolve()
     }
+    loadDiffOverlay(diff) {
+      this.diffGroup = {}
+      this.diff = diff
+    }
+    clearDiffOverlay() {
+      this.diffGroup = null
+    }
+    getCameraState() {
+      return this.camera
+    }
+    setCameraState(state) {
+      this.camera = state
+      this.cameraListeners.forEach((listener) => listener(state))
+    }
+    onCameraChange(callback) {
+      this.cameraListeners.add(callback)
+      return () => this.cameraListeners.delete(callback)
+    }
     setColorOverride() {}
     dispose() {}
     updateTheme() {}
@@ -36,7 +61,8 @@ describe('ComparisonView', () => {
       exportComparison: vi.fn(() => ({ variants: [] })),
       removeVariant: vi.fn(),
       clearVariants: vi.fn(),
-      updateVariant: vi.fn()
+      updateVariant: vi.fn(),
+      getParameterDiff: vi.fn(() => [])
     }
 
     view = new ComparisonView(container, comparisonController)
@@ -724,6 +750,197 @@ describe('ComparisonView', () => {
     })
   })
 
+  describe('Camera Lock', () => {
+    const move = (pm, state) => pm.setCameraState(state)
+
+    it('moves every viewport with the one the user moves', async () => {
+      await view.init()
+      await view.addVariantCard({ id: 'v1', name: 'One', state: 'pending' })
+      await view.addVariantCard({ id: 'v2', name: 'Two', state: 'pending' })
+      const state = { position: [5, 5, 5], target: [1, 0, 0], up: [0, 0, 1] }
+
+      move(view.previewManagers.get('v1'), state)
+
+      expect(view.previewManagers.get('v2').camera).toBe(state)
+    })
+
+    it('leaves the other viewports alone when unlocked', async () => {
+      await view.init()
+      await view.addVariantCard({ id: 'v1', name: 'One', state: 'pending' })
+      await view.addVariantCard({ id: 'v2', name: 'Two', state: 'pending' })
+      const lock = document.getElementById('comparison-lock-cameras')
+      lock.checked = false
+      lock.dispatchEvent(new Event('change'))
+
+      move(view.previewManagers.get('v1'), { position: [5, 5, 5], target: [0, 0, 0], up: [0, 0, 1] })
+
+      expect(view.previewManagers.get('v2').camera.position).toEqual([0, 0, 10])
+    })
+
+    it('opens new models at the shared camera', async () => {
+      await view.init()
+      await view.addVariantCard({ id: 'v1', name: 'One', state: 'complete', stl: new ArrayBuffer(84) })
+      const first = view.previewManagers.get('v1')
+      expect(first.loadOptions).toEqual({ preserveCamera: false })
+
+      const state = { position: [3, 3, 3], target: [0, 0, 0], up: [0, 0, 1] }
+      move(first, state)
+      await view.addVariantCard({ id: 'v2', name: 'Two', state: 'complete', stl: new ArrayBuffer(84) })
+
+      const second = view.previewManagers.get('v2')
+      expect(second.loadOptions).toEqual({ preserveCamera: true })
+      expect(second.camera).toEqual(state)
+    })
+
+    it('stops following a removed viewport', async () => {
+      await view.init()
+      comparisonController.getVariantCount = vi.fn(() => 1)
+      await view.addVariantCard({ id: 'v1', name: 'One', state: 'pending' })
+      const pm = view.previewManagers.get('v1')
+
+      view.removeVariantCard('v1')
+
+      expect(pm.cameraListeners.size).toBe(0)
+      expect(view.cameraSubscriptions.size).toBe(0)
+    })
+  })
+
+  describe('Diff Overlay', () => {
+    /**
+     * Binary STL of a 10 x 10 x height box
+     */
+    function boxStl(height) {
+      const v = [
+        [0, 0, 0], [10, 0, 0], [10, 10, 0], [0, 10, 0],
+        [0, 0, height], [10, 0, height], [10, 10, height], [0, 10, height]
+      ]
+      const quads = [[0, 3, 2, 1], [4, 5, 6, 7], [0, 1, 5, 4], [1, 2, 6, 5], [2, 3, 7, 6], [3, 0, 4, 7]]
+      const triangles = quads.flatMap(([a, b, c, d]) => [[a, b, c], [a, c, d]])
+      const buffer = new ArrayBuffer(84 + triangles.length * 50)
+      const dataView = new DataView(buffer)
+      dataView.setUint32(80, triangles.length, true)
+      triangles.forEach((tri, t) => {
+        tri.forEach((i, k) => {
+          v[i].forEach((value, axis) => dataView.setFloat32(84 + t * 50 + 12 + k * 12 + axis * 4, value, true))
+        })
+      })
+      return buffer
+    }
+
+    let variants
+
+    beforeEach(async () => {
+      variants = [
+        { id: 'v1', name: 'Short', state: 'complete', stl: boxStl(10) },
+        { id: 'v2', name: 'Tall', state: 'complete', stl: boxStl(12) },
+        { id: 'v3', name: 'Pending', state: 'pending', stl: null }
+      ]
+      comparisonController.getAllVariants.mockImplementation(() => variants)
+      comparisonController.getVariant.mockImplementation((id) => variants.find((v) => v.id === id) || null)
+      comparisonController.getVariantCount = vi.fn(() => variants.length)
+      await view.init()
+    })
+
+    it('offers the variants and needs two different rendered ones', () => {
+      const a = document.getElementById('comparison-overlay-a')
+      const b = document.getElementById('comparison-overlay-b')
+      const button = document.getElementById('comparison-overlay-btn')
+
+      expect([...a.options].map((option) => option.textContent)).toEqual(['Short', 'Tall', 'Pending (Pending)'])
+      expect([a.value, b.value]).toEqual(['v1', 'v2'])
+      expect(button.disabled).toBe(false)
+
+      b.value = 'v3'
+      b.dispatchEvent(new Event('change'))
+      expect(button.disabled).toBe(true)
+
+      b.value = 'v1'
+      b.dispatchEvent(new Event('change'))
+      expect(button.disabled).toBe(true)
+    })
+
+    it('superimposes the variants and describes the difference', async () => {
+      await view.handleShowOverlay()
+
+      expect(document.getElementById('comparison-overlay-preview').hidden).toBe(false)
+      expect(view.overlayPreview.diff.removedArea).toBeCloseTo(100)
+      expect(document.getElementById('comparison-overlay-status').textContent).toMatch(
+        /^Tall adds \d+(\.\d+)? mm² and removes 100 mm² of surface compared with Short\. The largest difference is 2 mm\.$/
+      )
+      expect(view.getViewports()).toContain(view.overlayPreview)
+    })
+
+    it('clears the overlay when one of its variants re-renders', async () => {
+      await view.handleShowOverlay()
+      variants[1] = { ...variants[1], stl: boxStl(14) }
+
+      view.handleComparisonEvent('update', variants[1])
+
+      expect(view.overlayPreview.diffGroup).toBeNull()
+      expect(document.getElementById('comparison-overlay-preview').hidden).toBe(true)
+      expect(document.getElementById('comparison-overlay-status').textContent).toMatch(/because Tall changed/)
+    })
+
+    it('disposes the overlay viewport with the view', async () => {
+      await view.handleShowOverlay()
+      const dispose = vi.spyOn(view.overlayPreview, 'dispose')
+
+      view.dispose()
+
+      expect(dispose).toHaveBeenCalled()
+      expect(view.overlayPreview).toBeNull()
+    })
+  })
+
+  describe('Parameter Table', () => {
+    beforeEach(async () => {
+      comparisonController.getAllVariants.mockReturnValue([
+        { id: 'v1', name: 'One', state: 'pending' },
+        { id: 'v2', name: 'Two <b>', state: 'pending' }
+      ])
+      comparisonController.getParameterDiff.mockReturnValue([
+        { name: 'width', values: [1, 2], differs: true },
+        { name: 'size', values: [[1, 2], [1, 2]], differs: false },
+        { name: 'label', values: ['a', undefined], differs: true }
+      ])
+      await view.init()
+    })
+
+    const rows = () =>
+      [...document.querySelectorAll('#comparison-parameter-table tbody tr')].map((row) =>
+        [...row.children].map((cell) => cell.textContent)
+      )
+
+    it('shows only the parameters that differ by default', () => {
+      const table = document.getElementById('comparison-parameter-table')
+
+      expect([...table.querySelectorAll('thead th')].map((th) => th.textContent)).toEqual(['Parameter', 'One', 'Two <b>'])
+      expect(table.querySelector('caption').textContent).toBe('2 of 3 parameters differ between variants')
+      expect(rows()).toEqual([
+        ['width (differs)', '1', '2'],
+        ['label (differs)', 'a', '—']
+      ])
+      expect(table.querySelectorAll('tr.comparison-param-differs')).toHaveLength(2)
+    })
+
+    it('shows every parameter when asked', () => {
+      const diffOnly = document.getElementById('comparison-diff-only')
+      diffOnly.checked = false
+      diffOnly.dispatchEvent(new Event('change'))
+
+      expect(rows().map((row) => row[0])).toEqual(['width (differs)', 'size', 'label (differs)'])
+      expect(rows()[1]).toEqual(['size', '[1, 2]', '[1, 2]'])
+    })
+
+    it('says when the variants match', () => {
+      comparisonController.getParameterDiff.mockReturnValue([{ name: 'width', values: [1, 1], differs: false }])
+
+      view.renderParameterTable()
+
+      expect(rows()).toEqual([['All variants use the same parameter values.']])
+    })
+  })
+
   describe('Attach Variant Card Listeners', () => {
     it('handles missing card gracefully', () => {
       expect(() => view.attachVariantCardListeners('nonexistent')).not.toThrow()
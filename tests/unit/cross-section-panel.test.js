@@ -0,0 +1,196 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { initCrossSectionPanel } from '../../src/js/cross-section-panel.js'
+
+vi.mock('../../src/js/download.js', () => ({ downloadFile: vi.fn() }))
+const { downloadFile } = await import('../../src/js/download.js')
+
+function setupDom() {
+  document.body.innerHTML = `
+    <section id="crossSectionPanel">
+      <input type="checkbox" id="crossSectionToggle" />
+      <div id="crossSectionControls" hidden>
+        <select id="crossSectionAxis">
+          <option value="x">X</option>
+          <option value="y">Y</option>
+          <option value="z" selected>Z</option>
+          <option value="custom">Custom</option>
+        </select>
+        <fieldset id="crossSectionNormal" class="hidden">
+          <input type="number" id="crossSectionNormalX" value="1" />
+          <input type="number" id="crossSectionNormalY" value="1" />
+          <input type="number" id="crossSectionNormalZ" value="0" />
+        </fieldset>
+        <label id="crossSectionOffsetLabel" for="crossSectionOffset"></label>
+        <input type="range" id="crossSectionOffset" min="0" max="100" step="0.1" />
+        <input type="number" id="crossSectionOffsetValue" />
+      </div>
+      <p id="crossSectionStatus"></p>
+      <dl id="crossSectionResults">
+        <dd data-field="width"></dd>
+        <dd data-field="height"></dd>
+        <dd data-field="area"></dd>
+        <dd data-field="regions"></dd>
+      </dl>
+      <button id="crossSectionSvgBtn"></button>
+      <button id="crossSectionDxfBtn"></button>
+    </section>
+  `
+}
+
+const SECTION = {
+  axis: 'z',
+  offset: 2.5,
+  extent: 5,
+  normal: [0, 0, 1],
+  level: 2.5,
+  basis: { u: [1, 0, 0], v: [0, 1, 0] },
+  loops: [{ points: [[0, 0], [10, 0], [10, 20], [0, 20]], closed: true, depth: 0, parent: -1 }],
+  measurements: {
+    width: 10, height: 20, min: [0, 0], max: [10, 20],
+    area: 196, perimeter: 68, regions: 1, holes: 1, openChains: 0
+  }
+}
+
+function createFakePreview() {
+  const preview = {
+    mesh: {},
+    section: null,
+    setSection: vi.fn((options) => {
+      if (options.axis === 'custom' && options.customNormal.every((v) => v === 0)) {
+        throw new Error('Custom section axis needs a non-zero direction')
+      }
+      preview.section = options.enabled
+        ? { ...SECTION, axis: options.axis, offset: options.offset ?? 2.5 }
+        : null
+      return preview.section
+    }),
+    getSectionRange: vi.fn(() => ({ min: 0, max: 5 })),
+    describeSection: vi.fn(() => (preview.section ? 'Section at Z 2.5 mm: 10 by 20 mm' : null)),
+    announceCameraAction: vi.fn()
+  }
+  return preview
+}
+
+describe('Cross-Section Panel', () => {
+  let preview
+  let panel
+  const $ = (id) => document.getElementById(id)
+  const change = (el) => el.dispatchEvent(new Event('change'))
+
+  beforeEach(() => {
+    setupDom()
+    preview = createFakePreview()
+    panel = initCrossSectionPanel({
+      getPreviewManager: () => preview,
+      getModelName: () => 'keyguard'
+    })
+  })
+
+  afterEach(() => {
+    document.body.innerHTML = ''
+    vi.clearAllMocks()
+  })
+
+  it('returns null when the panel is missing', () => {
+    document.body.innerHTML = ''
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {})
+    expect(initCrossSectionPanel()).toBeNull()
+    warn.mockRestore()
+  })
+
+  it('starts with the section off and exports disabled', () => {
+    expect($('crossSectionControls').hidden).toBe(true)
+    expect($('crossSectionSvgBtn').disabled).toBe(true)
+    expect($('crossSectionDxfBtn').disabled).toBe(true)
+  })
+
+  it('shows the section, its measurements and announces it', () => {
+    $('crossSectionToggle').checked = true
+    change($('crossSectionToggle'))
+
+    expect(preview.setSection).toHaveBeenCalledWith(expect.objectContaining({ enabled: true, axis: 'z' }))
+    expect($('crossSectionControls').hidden).toBe(false)
+    expect($('crossSectionOffset').max).toBe('5')
+    expect($('crossSectionOffset').value).toBe('2.5')
+    expect(document.querySelector('[data-field="width"]').textContent).toBe('10 mm')
+    expect(document.querySelector('[data-field="area"]').textContent).toBe('196 mm²')
+    expect(document.querySelector('[data-field="regions"]').textContent).toBe('1 (1 hole)')
+    expect($('crossSectionSvgBtn').disabled).toBe(false)
+    expect(preview.announceCameraAction).toHaveBeenCalledWith('Section at Z 2.5 mm: 10 by 20 mm')
+  })
+
+  it('moves the plane with the slider and announces on change only', () => {
+    $('crossSectionToggle').checked = true
+    change($('crossSectionToggle'))
+    preview.announceCameraAction.mockClear()
+
+    $('crossSectionOffset').value = '1.2'
+    $('crossSectionOffset').dispatchEvent(new Event('input'))
+    expect(preview.setSection).toHaveBeenLastCalledWith(expect.objectContaining({ offset: 1.2 }))
+    expect(preview.announceCameraAction).not.toHaveBeenCalled()
+
+    change($('crossSectionOffset'))
+    expect(preview.announceCameraAction).toHaveBeenCalled()
+  })
+
+  it('steps a tenth of the model with Page Up and Page Down', () => {
+    $('crossSectionToggle').checked = true
+    change($('crossSectionToggle'))
+
+    const event = new KeyboardEvent('keydown', { key: 'PageUp', cancelable: true })
+    $('crossSectionOffset').dispatchEvent(event)
+
+    expect(event.defaultPrevented).toBe(true)
+    expect(preview.setSection).toHaveBeenLastCalledWith(expect.objectContaining({ offset: 3 }))
+  })
+
+  it('shows custom direction inputs and flags a zero direction', () => {
+    $('crossSectionToggle').checked = true
+    change($('crossSectionToggle'))
+
+    $('crossSectionAxis').value = 'custom'
+    change($('crossSectionAxis'))
+    expect($('crossSectionNormal').classList.contains('hidden')).toBe(false)
+    expect(preview.setSection).toHaveBeenLastCalledWith(
+      expect.objectContaining({ axis: 'custom', customNormal: [1, 1, 0], offset: null })
+    )
+
+    $('crossSectionNormalX').value = '0'
+    $('crossSectionNormalY').value = '0'
+    change($('crossSectionNormalX'))
+    expect($('crossSectionNormalX').getAttribute('aria-invalid')).toBe('true')
+    expect($('crossSectionStatus').textContent).toMatch(/non-zero/)
+  })
+
+  it('exports the slice as SVG and DXF', () => {
+    $('crossSectionToggle').checked = true
+    change($('crossSectionToggle'))
+
+    $('crossSectionSvgBtn').click()
+    expect(downloadFile).toHaveBeenCalledWith(expect.anything(), 'keyguard-section-z-2_5mm.svg', 'svg')
+    const svg = new TextDecoder().decode(downloadFile.mock.calls[0][0])
+    expect(svg).toContain('<title>keyguard cross-section</title>')
+
+    $('crossSectionDxfBtn').click()
+    expect(downloadFile).toHaveBeenLastCalledWith(expect.anything(), 'keyguard-section-z-2_5mm.dxf', 'dxf')
+  })
+
+  it('asks for a render when no model is loaded', () => {
+    preview.mesh = null
+    $('crossSectionToggle').checked = true
+    change($('crossSectionToggle'))
+
+    expect($('crossSectionStatus').textContent).toBe('Render a model to see its cross-section.')
+  })
+
+  it('turns the section off on reset', () => {
+    $('crossSectionToggle').checked = true
+    change($('crossSectionToggle'))
+
+    panel.reset()
+
+    expect($('crossSectionToggle').checked).toBe(false)
+    expect(preview.setSection).toHaveBeenLastCalledWith(expect.objectContaining({ enabled: false }))
+    expect(document.querySelector('[data-field="width"]').textContent).toBe('--')
+  })
+})
@@ -0,0 +1,187 @@
+import { describe, it, expect } from 'vitest'
+import {
+  getSectionNormal,
+  getSectionBasis,
+  getSectionRange,
+  getSectionAxisLabel,
+  sliceMesh,
+  chainSegments,
+  polygonArea,
+  computeCrossSection,
+  sectionPointTo3D,
+  describeCrossSection,
+  buildSectionSvg,
+  buildSectionDxf,
+} from '../../src/js/cross-section.js'
+
+/**
+ * Triangles of an axis-aligned box, faces pointing out (or in when inverted)
+ */
+function box([x0, y0, z0], [x1, y1, z1], inverted = false) {
+  const v = [
+    [x0, y0, z0], [x1, y0, z0], [x1, y1, z0], [x0, y1, z0],
+    [x0, y0, z1], [x1, y0, z1], [x1, y1, z1], [x0, y1, z1]
+  ]
+  const quads = [[0, 3, 2, 1], [4, 5, 6, 7], [0, 1, 5, 4], [1, 2, 6, 5], [2, 3, 7, 6], [3, 0, 4, 7]]
+  const out = []
+  for (const [a, b, c, d] of quads) {
+    for (const tri of [[a, b, c], [a, c, d]]) {
+      for (const i of inverted ? tri.reverse() : tri) out.push(...v[i])
+    }
+  }
+  return out
+}
+
+// 10 x 20 x 5 block with a 2 x 2 hole through it
+const BLOCK_WITH_HOLE = new Float32Array([
+  ...box([0, 0, 0], [10, 20, 5]),
+  ...box([2, 2, 0], [4, 4, 5], true)
+])
+
+describe('Cross Section', () => {
+  describe('getSectionNormal', () => {
+    it('returns axis directions', () => {
+      expect(getSectionNormal('x')).toEqual([1, 0, 0])
+      expect(getSectionNormal('z')).toEqual([0, 0, 1])
+    })
+
+    it('normalizes custom directions', () => {
+      const [x, y, z] = getSectionNormal('custom', [3, 4, 0])
+      expect(x).toBeCloseTo(0.6)
+      expect(y).toBeCloseTo(0.8)
+      expect(z).toBe(0)
+    })
+
+    it('rejects a zero custom direction', () => {
+      expect(() => getSectionNormal('custom', [0, 0, 0])).toThrow(/non-zero/)
+      expect(() => getSectionNormal('custom')).toThrow(/non-zero/)
+    })
+  })
+
+  it('labels axes', () => {
+    expect(getSectionAxisLabel('y')).toBe('Y')
+    expect(getSectionAxisLabel('custom')).toBe('custom axis')
+  })
+
+  it('builds a right-handed basis as seen from the normal', () => {
+    expect(getSectionBasis([0, 0, 1])).toEqual({ u: [1, 0, 0], v: [0, 1, 0] })
+    const { u, v } = getSectionBasis([1, 0, 0])
+    expect(u.map(Math.round)).toEqual([0, 1, 0])
+    expect(v.map(Math.round)).toEqual([0, 0, 1])
+  })
+
+  it('measures the extent along a direction', () => {
+    expect(getSectionRange(BLOCK_WITH_HOLE, [0, 0, 1])).toEqual({ min: 0, max: 5 })
+    expect(getSectionRange([], [0, 0, 1])).toBeNull()
+  })
+
+  describe('sliceMesh and chainSegments', () => {
+    it('cuts each side face once', () => {
+      const segments = sliceMesh(box([0, 0, 0], [1, 1, 1]), [0, 0, 1], 0.5)
+      // 4 side faces of 2 triangles each
+      expect(segments).toHaveLength(8)
+    })
+
+    it('joins segments into closed loops', () => {
+      const segments = sliceMesh(box([0, 0, 0], [1, 1, 1]), [0, 0, 1], 0.5)
+        .map((segment) => segment.map(([x, y]) => [x, y]))
+      const loops = chainSegments(segments)
+
+      expect(loops).toHaveLength(1)
+      expect(loops[0].closed).toBe(true)
+      expect(Math.abs(polygonArea(loops[0].points))).toBeCloseTo(1)
+    })
+
+    it('keeps open chains from meshes with gaps', () => {
+      const loops = chainSegments([
+        [[1, 0], [2, 0]],
+        [[0, 0], [1, 0]],
+        [[2, 0], [2, 1]]
+      ])
+
+      expect(loops).toHaveLength(1)
+      expect(loops[0].closed).toBe(false)
+      expect(loops[0].points).toEqual([[0, 0], [1, 0], [2, 0], [2, 1]])
+    })
+  })
+
+  describe('computeCrossSection', () => {
+    it('finds regions, holes and the net area', () => {
+      const section = computeCrossSection(BLOCK_WITH_HOLE, [0, 0, 1], 2.5)
+      const m = section.measurements
+
+      expect(m.width).toBeCloseTo(10)
+      expect(m.height).toBeCloseTo(20)
+      expect(m.area).toBeCloseTo(196)
+      expect(m.perimeter).toBeCloseTo(68)
+      expect(m.regions).toBe(1)
+      expect(m.holes).toBe(1)
+      expect(m.openChains).toBe(0)
+
+      const hole = section.loops.find((loop) => loop.depth === 1)
+      expect(section.loops[hole.parent].depth).toBe(0)
+      // Collinear points along flat faces are dropped
+      expect(hole.points).toHaveLength(4)
+    })
+
+    it('cuts along other axes', () => {
+      const section = computeCrossSection(BLOCK_WITH_HOLE, [0, 1, 0], 10)
+      expect(section.measurements.width).toBeCloseTo(10)
+      expect(section.measurements.height).toBeCloseTo(5)
+      expect(section.measurements.holes).toBe(0)
+    })
+
+    it('has no measurements when the plane misses the mesh', () => {
+      const section = computeCrossSection(BLOCK_WITH_HOLE, [0, 0, 1], 50)
+      expect(section.loops).toEqual([])
+      expect(section.measurements).toBeNull()
+    })
+
+    it('maps plane coordinates back to 3D', () => {
+      const section = computeCrossSection(BLOCK_WITH_HOLE, [0, 0, 1], 2.5)
+      expect(sectionPointTo3D(section, [3, 4])).toEqual([3, 4, 2.5])
+    })
+  })
+
+  it('describes sections for screen readers', () => {
+    const section = computeCrossSection(BLOCK_WITH_HOLE, [0, 0, 1], 2.5)
+    expect(describeCrossSection(section, 'Z', 2.5)).toBe(
+      'Section at Z 2.5 mm: 10 by 20 mm, area 196 square mm, 1 region, 1 hole'
+    )
+    expect(describeCrossSection({ measurements: null }, 'X', 0)).toBe(
+      'Section at X 0 mm: plane does not cut the model'
+    )
+  })
+
+  describe('exports', () => {
+    const section = computeCrossSection(BLOCK_WITH_HOLE, [0, 0, 1], 2.5)
+
+    it('writes an SVG in millimeters with holes cut out', () => {
+      const svg = buildSectionSvg(section, { title: 'Lid <v2>' })
+
+      expect(svg).toContain('width="10mm" height="20mm" viewBox="0 0 10 20"')
+      expect(svg).toContain('fill-rule="evenodd"')
+      expect(svg).toContain('<title>Lid &lt;v2&gt;</title>')
+      // Two subpaths: outline and hole
+      expect(svg.match(/M/g)).toHaveLength(2)
+      // Hole at y 2..4 from the bottom is 16..18 from the top
+      expect(svg).toMatch(/2,18/)
+    })
+
+    it('writes a DXF with one closed polyline per loop', () => {
+      const dxf = buildSectionDxf(section)
+      const lines = dxf.trim().split('\n')
+
+      expect(lines.filter((line) => line === 'LWPOLYLINE')).toHaveLength(2)
+      expect(lines.slice(-2)).toEqual(['  0', 'EOF'])
+      const header = dxf.indexOf('$INSUNITS')
+      expect(dxf.slice(header, header + 30)).toContain('4')
+    })
+
+    it('refuses to export an empty section', () => {
+      const empty = computeCrossSection(BLOCK_WITH_HOLE, [0, 0, 1], 50)
+      expect(() => buildSectionSvg(empty)).toThrow()
+      expect(() => buildSectionDxf(empty)).toThrow()
+    })
+  })
+})
@@ -0,0 +1,201 @@
+import { describe, it, expect } from 'vitest'
+import {
+  parseCsgTree,
+  getFragments,
+  triangulatePolygon,
+  buildCsgDraft,
+  DRAFT_MAX_FRAGMENTS,
+} from '../../src/js/csg-draft.js'
+
+const draftOf = (csg) => buildCsgDraft(parseCsgTree(csg))
+
+describe('CSG Draft', () => {
+  describe('parseCsgTree', () => {
+    it('parses named arguments, vectors and children', () => {
+      const tree = parseCsgTree(`
+        group() {
+          multmatrix([[1, 0, 0, 5], [0, 1, 0, 0], [0, 0, 1, 0], [0, 0, 0, 1]]) {
+            cube(size = [1, 2, 3], center = true);
+          }
+        }
+      `)
+
+      expect(tree.name).toBe('root')
+      const [group] = tree.children
+      expect(group.name).toBe('group')
+      const [multmatrix] = group.children
+      expect(multmatrix.positional[0][0]).toEqual([1, 0, 0, 5])
+      const [cube] = multmatrix.children
+      expect(cube.args).toEqual({ size: [1, 2, 3], center: true })
+    })
+
+    it('parses modifiers, strings, undef and special numbers', () => {
+      const tree = parseCsgTree(
+        '%sphere($fn = 0, $fa = 12, r = 2.5e0);\n*import(file = "a \\"b\\".stl", layer = undef);\ncube(size = [inf, -inf, nan]);'
+      )
+
+      const [sphere, importNode, cube] = tree.children
+      expect(sphere.modifier).toBe('%')
+      expect(sphere.args.r).toBe(2.5)
+      expect(importNode.modifier).toBe('*')
+      expect(importNode.args.file).toBe('a "b".stl')
+      expect(importNode.args.layer).toBeNull()
+      expect(cube.args.size[0]).toBe(Infinity)
+      expect(cube.args.size[1]).toBe(-Infinity)
+      expect(cube.args.size[2]).toBeNaN()
+    })
+
+    it('accepts binary input', () => {
+      const bytes = new TextEncoder().encode('cube(size = [1, 1, 1]);')
+      expect(parseCsgTree(bytes).children[0].name).toBe('cube')
+    })
+
+    it('throws on malformed input', () => {
+      expect(() => parseCsgTree('cube(size = 1')).toThrow()
+      expect(() => parseCsgTree('group() {')).toThrow(/end of CSG tree/)
+    })
+  })
+
+  describe('getFragments', () => {
+    it('follows $fn when set', () => {
+      expect(getFragments(10, { $fn: 8 })).toBe(8)
+      expect(getFragments(10, { $fn: 2 })).toBe(3)
+    })
+
+    it('uses $fa and $fs otherwise', () => {
+      expect(getFragments(1, { $fa: 12, $fs: 2 })).toBe(5)
+      expect(getFragments(5, { $fa: 12, $fs: 2 })).toBe(16)
+    })
+
+    it('caps fragments for the draft', () => {
+      expect(getFragments(10, { $fn: 500 })).toBe(DRAFT_MAX_FRAGMENTS)
+    })
+  })
+
+  describe('triangulatePolygon', () => {
+    it('triangulates a concave polygon without leaving the outline', () => {
+      // L shape
+      const points = [[0, 0], [2, 0], [2, 1], [1, 1], [1, 2], [0, 2]]
+      const triangles = triangulatePolygon(points)
+
+      expect(triangles).toHaveLength(4)
+      const area = triangles.reduce((sum, [a, b, c]) => {
+        const [p, q, r] = [points[a], points[b], points[c]]
+        return sum + ((q[0] - p[0]) * (r[1] - p[1]) - (q[1] - p[1]) * (r[0] - p[0])) / 2
+      }, 0)
+      expect(area).toBeCloseTo(3)
+    })
+
+    it('handles clockwise input', () => {
+      const triangles = triangulatePolygon([[0, 0], [0, 1], [1, 1], [1, 0]])
+      expect(triangles).toHaveLength(2)
+    })
+
+    it('returns nothing for degenerate input', () => {
+      expect(triangulatePolygon([[0, 0], [1, 1]])).toEqual([])
+    })
+  })
+
+  describe('buildCsgDraft', () => {
+    it('draws a cube and reports its bounds', () => {
+      const draft = draftOf('cube(size = [10, 20, 30], center = false);')
+
+      expect(draft.solids).toHaveLength(1)
+      expect(draft.solids[0].positions).toHaveLength(12 * 9)
+      expect(draft.bounds).toEqual({ min: [0, 0, 0], max: [10, 20, 30] })
+      expect(draft.stats.primitives).toBe(1)
+    })
+
+    it('applies multmatrix transforms', () => {
+      const draft = draftOf(
+        'multmatrix([[1, 0, 0, 5], [0, 1, 0, 0], [0, 0, 1, -2], [0, 0, 0, 1]]) { cube(size = [1, 1, 1]); }'
+      )
+      expect(draft.bounds).toEqual({ min: [5, 0, -2], max: [6, 1, -1] })
+    })
+
+    it('collects difference() subtractors separately', () => {
+      const draft = draftOf(`
+        difference() {
+          cube(size = [10, 10, 10]);
+          cylinder($fn = 16, h = 20, r1 = 2, r2 = 2, center = true);
+          sphere($fn = 8, r = 1);
+        }
+      `)
+
+      expect(draft.stats.primitives).toBe(1)
+      expect(draft.stats.subtractors).toBe(2)
+      expect(draft.subtractors.length).toBeGreaterThan(0)
+      expect(draft.bounds).toEqual({ min: [0, 0, 0], max: [10, 10, 10] })
+    })
+
+    it('groups solids by color', () => {
+      const draft = draftOf(`
+        color([1, 0, 0, 1]) { cube(size = [1, 1, 1]); }
+        color([1, 0, 0, 1]) { sphere($fn = 8, r = 1); }
+        color([0, 0, 1, 0.5]) { cube(size = [1, 1, 1]); }
+        cube(size = [1, 1, 1]);
+      `)
+
+      const colors = draft.solids.map(({ color, alpha }) => [color, alpha])
+      expect(colors).toHaveLength(3)
+      expect(colors).toContainEqual(['#ff0000', 1])
+      expect(colors).toContainEqual(['#0000ff', 0.5])
+      expect(colors).toContainEqual([null, 1])
+    })
+
+    it('keeps % nodes in the background and drops * nodes', () => {
+      const draft = draftOf(
+        '%cube(size = [100, 100, 100]);\n*sphere(r = 50);\ncube(size = [1, 1, 1]);'
+      )
+
+      expect(draft.background.length).toBe(12 * 9)
+      expect(draft.stats.primitives).toBe(1)
+      expect(draft.bounds.max).toEqual([1, 1, 1])
+    })
+
+    it('extrudes 2D shapes with linear_extrude()', () => {
+      const draft = draftOf(`
+        linear_extrude(height = 5, center = false, scale = [1, 1], $fn = 0) {
+          difference() {
+            square(size = [4, 4], center = true);
+            circle($fn = 12, r = 1);
+          }
+        }
+      `)
+
+      expect(draft.bounds.min[2]).toBe(0)
+      expect(draft.bounds.max[2]).toBe(5)
+      expect(draft.bounds.max[0]).toBeCloseTo(2)
+      expect(draft.stats.subtractors).toBe(1)
+    })
+
+    it('revolves 2D shapes with rotate_extrude()', () => {
+      const draft = draftOf(
+        'rotate_extrude(angle = 360, $fn = 16) { multmatrix([[1, 0, 0, 5], [0, 1, 0, 0], [0, 0, 1, 0], [0, 0, 0, 1]]) { circle($fn = 8, r = 1); } }'
+      )
+
+      expect(draft.bounds.max[0]).toBeCloseTo(6)
+      expect(draft.bounds.min[2]).toBeCloseTo(-1)
+    })
+
+    it('reports approximated and skipped operations', () => {
+      const draft = draftOf(`
+        hull() { cube(size = [1, 1, 1]); sphere(r = 1); }
+        import(file = "part.stl");
+        square(size = [1, 1]);
+      `)
+
+      expect(draft.stats.approximated).toEqual(['hull'])
+      expect(draft.stats.skipped).toEqual(
+        expect.arrayContaining(['import', '2D shapes'])
+      )
+      expect(draft.stats.primitives).toBe(2)
+    })
+
+    it('has no bounds when nothing can be drawn', () => {
+      const draft = draftOf('import(file = "part.stl");')
+      expect(draft.bounds).toBeNull()
+      expect(draft.solids).toEqual([])
+    })
+  })
+})
@@ -0,0 +1,133 @@
+import { describe, it, expect } from 'vitest'
+import {
+  parseCondition,
+  getConditionParameters,
+  evaluateCondition,
+  isDependencySatisfied,
+  findDependencyCycles,
+  omitHiddenParameters
+} from '../../src/js/dependency-conditions.js'
+
+const check = (text, values) => evaluateCondition(parseCondition(text), values)
+
+describe('Dependency Conditions', () => {
+  describe('parseCondition', () => {
+    it('parses single comparisons', () => {
+      expect(parseCondition('mode==advanced')).toEqual({
+        type: 'compare',
+        parameter: 'mode',
+        operator: '==',
+        value: 'advanced'
+      })
+      expect(parseCondition('width >= -5').value).toBe(-5)
+    })
+
+    it('gives && precedence over ||', () => {
+      const ast = parseCondition('a==1 || b==2 && c==3')
+      expect(ast.type).toBe('or')
+      expect(ast.right.type).toBe('and')
+    })
+
+    it('parses negation, grouping and membership', () => {
+      const ast = parseCondition('!(shape in [round, "oval"]) && enabled')
+      expect(ast.left).toEqual({
+        type: 'not',
+        argument: { type: 'in', parameter: 'shape', values: ['round', 'oval'] }
+      })
+      expect(ast.right).toEqual({ type: 'truthy', parameter: 'enabled' })
+    })
+
+    it('rejects malformed conditions', () => {
+      expect(() => parseCondition('')).toThrow()
+      expect(() => parseCondition('a ==')).toThrow()
+      expect(() => parseCondition('(a==1')).toThrow()
+      expect(() => parseCondition('a==1 b==2')).toThrow()
+      expect(() => parseCondition('5 > a')).toThrow()
+    })
+  })
+
+  describe('getConditionParameters', () => {
+    it('lists each referenced parameter once in source order', () => {
+      const ast = parseCondition('b==1 || (a>2 && !b)')
+      expect(getConditionParameters(ast)).toEqual(['b', 'a'])
+    })
+  })
+
+  describe('evaluateCondition', () => {
+    it('compares numbers numerically and text as strings', () => {
+      expect(check('count==3', { count: 3.0 })).toBe(true)
+      expect(check('count==3', { count: '3' })).toBe(true)
+      expect(check('mode==yes', { mode: 'yes' })).toBe(true)
+      expect(check('mode!=yes', { mode: 'no' })).toBe(true)
+      expect(check('flag==true', { flag: true })).toBe(true)
+    })
+
+    it('supports ordering comparisons', () => {
+      const values = { width: 150 }
+      expect(check('width > 100', values)).toBe(true)
+      expect(check('width <= 100', values)).toBe(false)
+      expect(check('width < 200 && width >= 150', values)).toBe(true)
+      expect(check('width > 100', { width: 'wide' })).toBe(false)
+    })
+
+    it('combines clauses with boolean logic', () => {
+      const text = 'has_case==yes && (screen > 200 || mode in [pro, expert])'
+      expect(check(text, { has_case: 'yes', screen: 100, mode: 'pro' })).toBe(true)
+      expect(check(text, { has_case: 'yes', screen: 100, mode: 'basic' })).toBe(false)
+      expect(check(text, { has_case: 'no', screen: 300, mode: 'pro' })).toBe(false)
+    })
+
+    it('treats bare names as on/off switches', () => {
+      expect(check('enabled', { enabled: true })).toBe(true)
+      expect(check('enabled', { enabled: 'no' })).toBe(false)
+      expect(check('enabled', { enabled: 0 })).toBe(false)
+      expect(check('!enabled', { enabled: false })).toBe(true)
+    })
+  })
+
+  describe('isDependencySatisfied', () => {
+    it('accepts the flat single-comparison shape', () => {
+      const dependency = { parameter: 'mode', operator: '==', value: 'advanced' }
+      expect(isDependencySatisfied(dependency, { mode: 'advanced' })).toBe(true)
+      expect(isDependencySatisfied(dependency, { mode: 'simple' })).toBe(false)
+      expect(isDependencySatisfied(null, {})).toBe(true)
+    })
+  })
+
+  describe('findDependencyCycles', () => {
+    it('finds mutual and self references', () => {
+      const dep = (text) => {
+        const condition = parseCondition(text)
+        return { condition, parameters: getConditionParameters(condition) }
+      }
+      const cycles = findDependencyCycles({
+        a: { dependency: dep('b==1') },
+        b: { dependency: dep('a==1') },
+        c: { dependency: dep('c > 0') },
+        d: { dependency: dep('a==1') },
+        e: {}
+      })
+      expect(cycles).toEqual([['a', 'b'], ['c']])
+    })
+  })
+
+  describe('omitHiddenParameters', () => {
+    it('drops values whose dependency is not met', () => {
+      const parameters = {
+        mode: {},
+        detail: { dependency: { condition: parseCondition('mode==advanced') } }
+      }
+      expect(
+        omitHiddenParameters({ mode: 'simple', detail: 5 }, parameters)
+      ).toEqual({ mode: 'simple' })
+      expect(
+        omitHiddenParameters({ mode: 'advanced', detail: 5 }, parameters)
+      ).toEqual({ mode: 'advanced', detail: 5 })
+    })
+
+    it('returns values unchanged without a schema', () => {
+      const values = { a: 1 }
+      expect(omitHiddenParameters(values, null)).toBe(values)
+    })
+  })
+})
@@ -231,11 +231,24 @@ describe('Download Manager', () => {
     })
 
     it('should create and revoke object URL', () => {
+      vi.useFakeTimers()
       const data = new ArrayBuffer(100)
       downloadFile(data, 'test.stl', 'stl')
       
       expect(createObjectURLSpy).toHaveBeenCalled()
+      // Not before the browser has started the download
+      expect(revokeObjectURLSpy).not.toHaveBeenCalled()
+      vi.runAllTimers()
       expect(revokeObjectURLSpy).toHaveBeenCalledWith('blob:mock-url')
+      vi.useRealTimers()
+    })
+
+    it('should download a Blob as it is', () => {
+      const blob = new Blob(['PK'], { type: 'application/zip' })
+      downloadFile(blob, 'project.zip', 'zip')
+
+      expect(createObjectURLSpy).toHaveBeenCalledWith(blob)
+      expect(mockAnchor.download).toBe('project.zip')
     })
 
     it('should handle OBJ format', () => {
@@ -328,11 +341,14 @@ describe('Download Manager', () => {
     })
 
     it('should be backward compatible', () => {
+      vi.useFakeTimers()
       const data = new ArrayBuffer(100)
       downloadSTL(data, 'legacy-model.stl')
+      vi.runAllTimers()
       
       expect(createObjectURLSpy).toHaveBeenCalled()
       expect(revokeObjectURLSpy).toHaveBeenCalled()
+      vi.useRealTimers()
     })
   })
 
@@ -410,6 +426,7 @@ describe('Download Manager', () => {
       
       const filename = generateFilename(modelName, parameters, 'stl')
       downloadFile(data, filename, 'stl')
+      vi.runAllTimers()
       
       expect(filename).toMatch(/^my_model-[a-z0-9]+-20260115\.stl$/)
       expect(mockAnchor.download).toBe(filename)
@@ -0,0 +1,107 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { EmbedBridge, EMBED_REQUESTS, EMBED_EVENTS, getEmbedParentOrigins } from '../../src/js/embed-api.js'
+import { isValidEmbedMessage } from '../../src/js/html-utils.js'
+
+const APP = 'https://forge.example'
+const SHOP = 'https://shop.example'
+
+describe('Embed API', () => {
+  let parent
+  let bridge
+  let handlers
+
+  const request = (data, { origin = SHOP, source = parent } = {}) => bridge.handleMessage({ data, origin, source })
+
+  beforeEach(() => {
+    parent = { postMessage: vi.fn() }
+    handlers = {
+      [EMBED_REQUESTS.GET_PARAMETERS]: vi.fn(async () => ({ parameters: { width: 20 } })),
+      [EMBED_REQUESTS.RENDER]: vi.fn(async () => {
+        throw new Error('The model is still loading. Wait for forge:ready.')
+      })
+    }
+    bridge = new EmbedBridge({ target: parent, allowedOrigins: [APP, SHOP], handlers })
+  })
+
+  afterEach(() => {
+    bridge.dispose()
+  })
+
+  it('always allows the app origin', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {})
+
+    expect(getEmbedParentOrigins(APP, 'https://shop.example/products, nope')).toEqual([APP, SHOP])
+    expect(getEmbedParentOrigins(APP, '')).toEqual([APP])
+    warn.mockRestore()
+  })
+
+  it('validates the sender origin before the message type', () => {
+    const event = { origin: SHOP, data: { type: EMBED_REQUESTS.RENDER } }
+
+    expect(isValidEmbedMessage(event, [SHOP], [EMBED_REQUESTS.RENDER])).toBe(true)
+    expect(isValidEmbedMessage({ ...event, origin: 'https://evil.example' }, [SHOP], [EMBED_REQUESTS.RENDER])).toBe(false)
+    expect(isValidEmbedMessage({ ...event, data: 'forge:render' }, [SHOP], [EMBED_REQUESTS.RENDER])).toBe(false)
+    expect(isValidEmbedMessage({ ...event, data: { type: 'forge:unknown' } }, [SHOP], [EMBED_REQUESTS.RENDER])).toBe(false)
+  })
+
+  it('replies to the sender with the request id', async () => {
+    expect(await request({ type: EMBED_REQUESTS.GET_PARAMETERS, id: 7 })).toBe(true)
+
+    expect(parent.postMessage).toHaveBeenCalledTimes(1)
+    expect(parent.postMessage).toHaveBeenCalledWith(
+      { type: EMBED_EVENTS.PARAMETERS, id: 7, parameters: { width: 20 } },
+      SHOP
+    )
+  })
+
+  it('turns handler failures into error replies', async () => {
+    await request({ type: EMBED_REQUESTS.RENDER })
+
+    expect(parent.postMessage).toHaveBeenCalledWith(
+      {
+        type: EMBED_EVENTS.ERROR,
+        id: null,
+        request: EMBED_REQUESTS.RENDER,
+        message: 'The model is still loading. Wait for forge:ready.'
+      },
+      SHOP
+    )
+  })
+
+  it('ignores other origins, other windows and unknown requests', async () => {
+    expect(await request({ type: EMBED_REQUESTS.GET_PARAMETERS }, { origin: 'https://evil.example' })).toBe(false)
+    expect(await request({ type: EMBED_REQUESTS.GET_PARAMETERS }, { source: {} })).toBe(false)
+    expect(await request({ type: EMBED_REQUESTS.EXPORT })).toBe(false)
+
+    expect(handlers[EMBED_REQUESTS.GET_PARAMETERS]).not.toHaveBeenCalled()
+    expect(parent.postMessage).not.toHaveBeenCalled()
+  })
+
+  it('offers events to each allowed origin, never to any origin', () => {
+    bridge.post(EMBED_EVENTS.READY, { id: null, model: 'box.scad' })
+
+    expect(parent.postMessage.mock.calls.map(([, origin]) => origin)).toEqual([APP, SHOP])
+    expect(parent.postMessage).toHaveBeenCalledWith({ type: EMBED_EVENTS.READY, id: null, model: 'box.scad' }, SHOP)
+  })
+
+  it('stays quiet when not in a frame', () => {
+    bridge.dispose()
+    const postMessage = vi.spyOn(window, 'postMessage')
+    bridge = new EmbedBridge({ target: window, allowedOrigins: [APP], handlers })
+
+    bridge.post(EMBED_EVENTS.READY)
+
+    expect(postMessage).not.toHaveBeenCalled()
+    postMessage.mockRestore()
+  })
+
+  it('listens for window messages until disposed', async () => {
+    const handle = vi.spyOn(bridge, 'handleMessage')
+
+    window.dispatchEvent(new MessageEvent('message', { data: { type: EMBED_REQUESTS.GET_PARAMETERS }, origin: SHOP }))
+    bridge.dispose()
+    window.dispatchEvent(new MessageEvent('message', { data: { type: EMBED_REQUESTS.GET_PARAMETERS }, origin: SHOP }))
+
+    expect(handle).toHaveBeenCalledTimes(1)
+  })
+})
@@ -6,10 +6,38 @@
 import { describe, test, expect } from 'vitest';
 import { 
   translateError, 
-  createFriendlyErrorDisplay 
+  createFriendlyErrorDisplay,
+  findErrorLocation
 } from '../../src/js/error-translator.js';
 
 describe('Error Translator', () => {
+  describe('findErrorLocation', () => {
+    test('should read the file and line from OpenSCAD output', () => {
+      const output = [
+        'WARNING: Ignoring unknown variable "w" in file parts/base.scad, line 3',
+        'ERROR: Parser error in file "/main.scad", line 12: syntax error'
+      ].join('\n');
+
+      expect(findErrorLocation(output)).toEqual({ file: 'main.scad', line: 12 });
+    });
+
+    test('should treat the single-file input as the main file', () => {
+      expect(
+        findErrorLocation('ERROR: Parser error in file "/tmp/input.scad", line 4: syntax error')
+      ).toEqual({ file: null, line: 4 });
+    });
+
+    test('should fall back to a bare line number', () => {
+      expect(findErrorLocation('syntax error at line 42')).toEqual({ file: null, line: 42 });
+      expect(translateError('syntax error at line 42').location).toEqual({ file: null, line: 42 });
+    });
+
+    test('should return null without a line', () => {
+      expect(findErrorLocation('out of memory')).toBeNull();
+      expect(findErrorLocation(undefined)).toBeNull();
+    });
+  });
+
   describe('translateError', () => {
     test('should translate syntax errors', () => {
       const result = translateError('syntax error at line 42');
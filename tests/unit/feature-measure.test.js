@@ -0,0 +1,284 @@
+import { describe, it, expect } from 'vitest'
+import {
+  buildMeasureTopology,
+  getFeatureList,
+  findFeatureAt,
+  fitCircle,
+  measureFeatures,
+  describeFeature,
+  describeDirection,
+  roundMeasureValue,
+  buildMeasurementsCsv,
+} from '../../src/js/feature-measure.js'
+
+/**
+ * Triangles of an axis-aligned box, faces pointing out
+ */
+function box([x0, y0, z0], [x1, y1, z1]) {
+  const v = [
+    [x0, y0, z0], [x1, y0, z0], [x1, y1, z0], [x0, y1, z0],
+    [x0, y0, z1], [x1, y0, z1], [x1, y1, z1], [x0, y1, z1]
+  ]
+  const quads = [[0, 3, 2, 1], [4, 5, 6, 7], [0, 1, 5, 4], [1, 2, 6, 5], [2, 3, 7, 6], [3, 0, 4, 7]]
+  const out = []
+  for (const [a, b, c, d] of quads) {
+    for (const tri of [[a, b, c], [a, c, d]]) {
+      for (const i of tri) out.push(...v[i])
+    }
+  }
+  return out
+}
+
+/**
+ * Triangles of a tube along Z: a round plate with a hole through it
+ */
+function tube(outer, inner, height, segments = 24) {
+  const ring = (r, z) =>
+    Array.from({ length: segments }, (_, i) => {
+      const a = (i / segments) * Math.PI * 2
+      return [r * Math.cos(a), r * Math.sin(a), z]
+    })
+  const [ob, ot, ib, it] = [ring(outer, 0), ring(outer, height), ring(inner, 0), ring(inner, height)]
+  const out = []
+  const quad = (a, b, c, d) => out.push(...a, ...b, ...c, ...a, ...c, ...d)
+  for (let i = 0; i < segments; i++) {
+    const j = (i + 1) % segments
+    quad(ob[i], ob[j], ot[j], ot[i]) // Outer wall
+    quad(ib[j], ib[i], it[i], it[j]) // Inner wall, facing the axis
+    quad(ot[i], ot[j], it[j], it[i]) // Top
+    quad(ob[j], ob[i], ib[i], ib[j]) // Bottom
+  }
+  return new Float32Array(out)
+}
+
+const BOX = new Float32Array(box([0, 0, 0], [10, 20, 5]))
+
+describe('Feature Measure', () => {
+  describe('buildMeasureTopology', () => {
+    it('finds the faces, edges and corners of a box', () => {
+      const topology = buildMeasureTopology(BOX)
+
+      expect(topology.faces).toHaveLength(6)
+      expect(topology.edges).toHaveLength(12)
+      expect(topology.vertices).toHaveLength(8)
+      expect(topology.circles).toHaveLength(0)
+      expect(topology.min).toEqual([0, 0, 0])
+    })
+
+    it('orders features for keyboard stepping', () => {
+      const topology = buildMeasureTopology(BOX)
+
+      expect(topology.faces[0].area).toBe(200)
+      expect(topology.edges[0].length).toBe(20)
+      expect(topology.vertices[0].point[2]).toBe(0)
+      expect(topology.vertices[7].point[2]).toBe(5)
+    })
+
+    it('merges coplanar triangles into one face', () => {
+      const topology = buildMeasureTopology(BOX)
+      const top = topology.faces.find((face) => face.normal[2] > 0.99)
+
+      expect(top.triangles).toHaveLength(2)
+      expect(top.area).toBeCloseTo(200)
+      top.centroid.forEach((v, i) => expect(v).toBeCloseTo([5, 10, 5][i]))
+    })
+
+    it('fits hole and boss diameters from circular edge loops', () => {
+      const topology = buildMeasureTopology(tube(10, 3, 5))
+
+      // Curved walls are not split into edges
+      expect(topology.edges).toHaveLength(0)
+      expect(topology.circles).toHaveLength(4)
+      const holes = topology.circles.filter((circle) => circle.kind === 'hole')
+      const bosses = topology.circles.filter((circle) => circle.kind === 'boss')
+      expect(holes).toHaveLength(2)
+      expect(bosses).toHaveLength(2)
+      for (const hole of holes) expect(hole.diameter).toBeCloseTo(6, 4)
+      for (const boss of bosses) expect(boss.diameter).toBeCloseTo(20, 4)
+    })
+
+    it('handles an empty mesh', () => {
+      const topology = buildMeasureTopology(new Float32Array(0))
+
+      expect(topology.faces).toEqual([])
+      expect(topology.vertices).toEqual([])
+    })
+  })
+
+  describe('getFeatureList', () => {
+    it('returns the features of a type', () => {
+      const topology = buildMeasureTopology(BOX)
+
+      expect(getFeatureList(topology, 'face')).toBe(topology.faces)
+      expect(getFeatureList(topology, 'circle')).toBe(topology.circles)
+      expect(() => getFeatureList(topology, 'blob')).toThrow(/Unknown feature type/)
+    })
+  })
+
+  describe('findFeatureAt', () => {
+    const topology = buildMeasureTopology(BOX)
+    // Triangle 2 is the first half of the top face (z = 5)
+    const topTriangle = 2
+
+    it('picks the face of a triangle', () => {
+      const face = findFeatureAt(topology, 'face', [5, 10, 5], topTriangle)
+
+      expect(face.normal[2]).toBeCloseTo(1)
+    })
+
+    it('picks the nearest corner of a triangle', () => {
+      const vertex = findFeatureAt(topology, 'vertex', [9.5, 0.5, 5], topTriangle)
+
+      expect(vertex.point).toEqual([10, 0, 5])
+    })
+
+    it('picks the nearest edge', () => {
+      const edge = findFeatureAt(topology, 'edge', [5, 0.2, 5], topTriangle)
+
+      expect(edge.length).toBe(10)
+      expect(edge.points.every(([, y, z]) => y === 0 && z === 5)).toBe(true)
+    })
+
+    it('picks the nearest circle', () => {
+      const tubeTopology = buildMeasureTopology(tube(10, 3, 5))
+      const circle = findFeatureAt(tubeTopology, 'circle', [3.1, 0, 5], 0)
+
+      expect(circle.kind).toBe('hole')
+      expect(circle.center[2]).toBeCloseTo(5)
+    })
+  })
+
+  describe('fitCircle', () => {
+    it('fits points on a tilted circle', () => {
+      const points = Array.from({ length: 12 }, (_, i) => {
+        const a = (i / 12) * Math.PI * 2
+        return [1 + 4 * Math.cos(a), 2, 3 + 4 * Math.sin(a)]
+      })
+      const circle = fitCircle(points)
+
+      expect(circle.radius).toBeCloseTo(4)
+      expect(circle.center[0]).toBeCloseTo(1)
+      expect(circle.center[2]).toBeCloseTo(3)
+      expect(Math.abs(circle.normal[1])).toBeCloseTo(1)
+      expect(circle.error).toBeLessThan(1e-9)
+    })
+
+    it('returns null for collinear points', () => {
+      expect(fitCircle([[0, 0, 0], [1, 0, 0], [2, 0, 0]])).toBeNull()
+    })
+  })
+
+  describe('measureFeatures', () => {
+    const topology = buildMeasureTopology(BOX)
+    const faceFacing = (axis, sign) =>
+      topology.faces.find((face) => face.normal[axis] * sign > 0.99)
+    const vertexAt = (point) =>
+      topology.vertices.find((vertex) => vertex.point.every((v, i) => v === point[i]))
+
+    it('measures the distance between two vertices', () => {
+      const m = measureFeatures(vertexAt([0, 0, 0]), vertexAt([10, 20, 5]), topology)
+
+      expect(m.kind).toBe('distance')
+      expect(m.value).toBeCloseTo(Math.hypot(10, 20, 5))
+      expect(m.delta).toEqual([10, 20, 5])
+      expect(m.description).toMatch(/^Distance between vertex and vertex: 22.91 mm/)
+    })
+
+    it('measures between parallel faces', () => {
+      const m = measureFeatures(faceFacing(2, 1), faceFacing(2, -1), topology)
+
+      expect(m.kind).toBe('distance')
+      expect(m.value).toBeCloseTo(5)
+    })
+
+    it('measures the angle between adjacent faces', () => {
+      const m = measureFeatures(faceFacing(2, 1), faceFacing(0, 1), topology)
+
+      expect(m.kind).toBe('angle')
+      expect(m.value).toBeCloseTo(90)
+      expect(m.label).toBe('90°')
+    })
+
+    it('measures a point against a face in either order', () => {
+      const vertex = vertexAt([0, 0, 5])
+      const bottom = faceFacing(2, -1)
+
+      expect(measureFeatures(vertex, bottom, topology).value).toBeCloseTo(5)
+      expect(measureFeatures(bottom, vertex, topology).description).toMatch(
+        /^Perpendicular distance between vertex and face/
+      )
+    })
+
+    it('measures the angle between edges', () => {
+      const [first] = topology.edges.filter((edge) => edge.direction[1] !== 0)
+      const across = topology.edges.find((edge) => edge.direction[0] !== 0)
+
+      expect(measureFeatures(first, across, topology).value).toBeCloseTo(90)
+    })
+
+    it('measures single features', () => {
+      expect(measureFeatures(topology.edges[0], null, topology)).toMatchObject({
+        kind: 'length',
+        value: 20,
+        label: '20 mm',
+      })
+      expect(measureFeatures(topology.faces[0], null, topology).kind).toBe('area')
+      expect(measureFeatures(vertexAt([10, 20, 5]), null, topology)).toMatchObject({
+        kind: 'position',
+        value: null,
+        delta: [10, 20, 5],
+      })
+    })
+
+    it('reports a hole diameter and distances from its center', () => {
+      const tubeTopology = buildMeasureTopology(tube(10, 3, 5))
+      const hole = tubeTopology.circles.find((circle) => circle.kind === 'hole')
+      const m = measureFeatures(hole, null, tubeTopology)
+
+      expect(m.kind).toBe('diameter')
+      expect(m.value).toBeCloseTo(6, 4)
+      expect(m.description).toMatch(/^Hole, diameter 6 mm/)
+      const other = tubeTopology.circles.find(
+        (circle) => circle.kind === 'hole' && circle !== hole
+      )
+      expect(measureFeatures(hole, other, tubeTopology).value).toBeCloseTo(5, 4)
+    })
+  })
+
+  describe('descriptions', () => {
+    it('names axis-aligned directions', () => {
+      expect(describeDirection([0, 0, 1])).toBe('up (+Z)')
+      expect(describeDirection([0, -1, 0])).toBe('front (-Y)')
+      expect(describeDirection([0.7, 0.7, 0])).toBeNull()
+    })
+
+    it('describes faces and vertices', () => {
+      const topology = buildMeasureTopology(BOX)
+
+      expect(describeFeature(topology.faces[0], topology)).toMatch(/^Flat face, 200 square mm, facing (up|down)/)
+      expect(describeFeature(topology.vertices[0], topology)).toBe('Vertex at X 0, Y 0, Z 0 mm')
+    })
+
+    it('rounds to two decimals without negative zero', () => {
+      expect(roundMeasureValue(1.23456)).toBe(1.23)
+      expect(Object.is(roundMeasureValue(-0.001), 0)).toBe(true)
+    })
+  })
+
+  describe('buildMeasurementsCsv', () => {
+    it('writes one row per measurement and quotes text', () => {
+      const topology = buildMeasureTopology(BOX)
+      const m = {
+        ...measureFeatures(topology.vertices[0], topology.vertices[7], topology),
+        model: 'box, large'
+      }
+      const csv = buildMeasurementsCsv([m, { ...measureFeatures(topology.vertices[7], null, topology) }])
+      const lines = csv.trim().split('\r\n')
+
+      expect(lines).toHaveLength(3)
+      expect(lines[0]).toBe('Number,Model,Measurement,Value,Unit,dX,dY,dZ,Features,Description')
+      expect(lines[1]).toMatch(/^1,"box, large",distance,22.91,mm,10,20,5,vertex \+ vertex,"Distance/)
+      expect(lines[2]).toMatch(/^2,,position,,mm,10,20,5,vertex,/)
+    })
+  })
+})
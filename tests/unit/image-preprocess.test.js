@@ -0,0 +1,161 @@
+import { describe, it, expect } from 'vitest'
+import {
+  isRasterImageFile,
+  getImageOutputFormats,
+  isAcceptedUpload,
+  getPreparedFileName,
+  getCropRect,
+  getOutputSize,
+  processImage,
+  imageToDat,
+  traceOutlines,
+  outlinesToSvg,
+  MAX_OUTPUT_SIZE
+} from '../../src/js/image-preprocess.js'
+
+/** Build an RGBA image from rows of gray values */
+function grayImage(rows) {
+  const height = rows.length
+  const width = rows[0].length
+  const data = new Uint8ClampedArray(width * height * 4)
+  rows.flat().forEach((value, i) => {
+    data.set([value, value, value, 255], i * 4)
+  })
+  return { width, height, data }
+}
+
+/** Red channel of each pixel, row by row */
+function pixels(image) {
+  const rows = []
+  for (let y = 0; y < image.height; y++) {
+    const row = []
+    for (let x = 0; x < image.width; x++) row.push(image.data[(y * image.width + x) * 4])
+    rows.push(row)
+  }
+  return rows
+}
+
+describe('Image Preprocessing', () => {
+  describe('file types', () => {
+    it('recognizes raster photos but not SVG or DAT files', () => {
+      expect(isRasterImageFile('photo.JPG', 'image/jpeg')).toBe(true)
+      expect(isRasterImageFile('map.png')).toBe(true)
+      expect(isRasterImageFile('logo.svg', 'image/svg+xml')).toBe(false)
+      expect(isRasterImageFile('heights.dat')).toBe(false)
+    })
+
+    it('offers only the output formats the parameter accepts', () => {
+      expect(getImageOutputFormats()).toEqual(['png', 'dat', 'svg'])
+      expect(getImageOutputFormats(['PNG', 'dat'])).toEqual(['png', 'dat'])
+      expect(getImageOutputFormats(['svg', 'dxf'])).toEqual(['svg'])
+      expect(getImageOutputFormats(['stl'])).toEqual([])
+    })
+
+    it('knows when an upload needs converting first', () => {
+      expect(isAcceptedUpload('photo.jpg', ['png', 'dat'])).toBe(false)
+      expect(isAcceptedUpload('map.PNG', ['png', 'dat'])).toBe(true)
+      expect(isAcceptedUpload('photo.jpg')).toBe(true)
+    })
+
+    it('renames the prepared file for its format', () => {
+      expect(getPreparedFileName('my.photo.jpg', 'dat')).toBe('my.photo.dat')
+      expect(getPreparedFileName('', 'svg')).toBe('image.svg')
+    })
+  })
+
+  describe('geometry', () => {
+    it('crops by percent from each edge', () => {
+      expect(getCropRect(200, 100, { left: 10, top: 20, right: 30, bottom: 0 })).toEqual({
+        x: 20,
+        y: 20,
+        width: 120,
+        height: 80
+      })
+      expect(getCropRect(10, 10, { left: 100, right: 100 })).toEqual({ x: 9, y: 0, width: 1, height: 10 })
+    })
+
+    it('keeps the aspect ratio and the size limit when resizing', () => {
+      expect(getOutputSize(400, 200, 100)).toEqual({ width: 100, height: 50 })
+      expect(getOutputSize(100, 4000, 500)).toEqual({ width: 25, height: MAX_OUTPUT_SIZE })
+      expect(getOutputSize(100, 50, 0)).toEqual({ width: 100, height: 50 })
+    })
+  })
+
+  describe('processImage', () => {
+    const image = grayImage([
+      [0, 100, 200, 250],
+      [0, 100, 200, 250]
+    ])
+
+    it('averages pixels when shrinking', () => {
+      const result = processImage(image, { width: 2 })
+
+      expect(pixels(result)).toEqual([[50, 225]])
+    })
+
+    it('inverts and thresholds', () => {
+      expect(pixels(processImage(image, { width: 4, invert: true }))[0]).toEqual([255, 155, 55, 5])
+      expect(pixels(processImage(image, { width: 4, threshold: 150 }))[0]).toEqual([0, 0, 255, 255])
+    })
+
+    it('converts color to grayscale and shows transparency as white', () => {
+      const color = { width: 2, height: 1, data: new Uint8ClampedArray([255, 0, 0, 255, 0, 0, 0, 0]) }
+
+      expect(Array.from(processImage(color, { width: 2 }).data)).toEqual([76, 76, 76, 255, 255, 255, 255, 255])
+      expect(Array.from(processImage(color, { width: 2, grayscale: false }).data.slice(0, 4))).toEqual([255, 0, 0, 255])
+    })
+
+    it('crops before resizing', () => {
+      const result = processImage(image, { width: 2, crop: { left: 50 } })
+
+      expect(pixels(result)).toEqual([
+        [200, 250],
+        [200, 250]
+      ])
+    })
+  })
+
+  describe('imageToDat', () => {
+    it('writes heights from 0 to 100 with the bottom row first', () => {
+      const dat = imageToDat(grayImage([[255, 255], [0, 51]]))
+
+      expect(dat).toBe('0 20\n100 100\n')
+    })
+  })
+
+  describe('outlines', () => {
+    it('traces a filled square as one clockwise loop', () => {
+      const loops = traceOutlines(grayImage([
+        [255, 255, 255],
+        [255, 0, 255],
+        [255, 255, 255]
+      ]))
+
+      expect(loops).toEqual([[[1, 1], [2, 1], [2, 2], [1, 2]]])
+    })
+
+    it('traces holes in the opposite direction', () => {
+      const loops = traceOutlines(grayImage([
+        [0, 0, 0],
+        [0, 255, 0],
+        [0, 0, 0]
+      ]))
+
+      expect(loops).toHaveLength(2)
+      const area = (loop) =>
+        loop.reduce((sum, [x, y], i) => {
+          const [nx, ny] = loop[(i + 1) % loop.length]
+          return sum + x * ny - nx * y
+        }, 0) / 2
+      expect(loops.map(area).sort((a, b) => a - b)).toEqual([-1, 9])
+    })
+
+    it('writes an SVG with one pixel per millimetre', () => {
+      const svg = outlinesToSvg([[[1, 1], [2, 1], [2, 2], [1, 2]]], 3, 3)
+
+      expect(svg).toContain('width="3mm" height="3mm" viewBox="0 0 3 3"')
+      expect(svg).toContain('d="M1 1L2 1L2 2L1 2Z"')
+      expect(svg).toContain('fill-rule="evenodd"')
+    })
+  })
+})
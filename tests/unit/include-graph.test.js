@@ -0,0 +1,95 @@
+import { describe, it, expect, vi } from 'vitest'
+import { analyzeIncludes, suggestIncludeSources } from '../../src/js/include-graph.js'
+
+describe('Include Graph', () => {
+  const libraryFiles = {
+    BOSL2: ['std.scad', 'shapes3d.scad', 'gears.scad', 'tests/std.scad', 'data/font.svg'],
+    MCAD: null
+  }
+  const libraryContent = {
+    BOSL2: {
+      'std.scad': 'include <shapes3d.scad>',
+      'shapes3d.scad': 'include <missing_internal.scad>\ncube(1);'
+    }
+  }
+  const readLibraryFile = vi.fn(async (id, path) => libraryContent[id]?.[path] ?? null)
+
+  describe('analyzeIncludes', () => {
+    it('follows includes through project files into the files a library needs', async () => {
+      const files = new Map([
+        ['main.scad', 'include <parts/base.scad>\ncube(1);'],
+        ['parts/base.scad', '// include <BOSL2/gears.scad>\ninclude <BOSL2/std.scad>'],
+        ['unused.scad', 'include <MCAD/gears.scad>']
+      ])
+
+      const report = await analyzeIncludes({ mainFile: 'main.scad', files, libraryFiles, readLibraryFile })
+
+      expect(report.libraries).toEqual(['BOSL2'])
+      expect(report.libraryFiles).toEqual({ BOSL2: ['data/font.svg', 'shapes3d.scad', 'std.scad'] })
+      // Gaps inside the library are not reported
+      expect(report.unresolved).toEqual([])
+    })
+
+    it('mounts a whole library when its file list is unknown', async () => {
+      const files = new Map([['main.scad', 'use <MCAD/gears.scad>']])
+
+      const report = await analyzeIncludes({ mainFile: 'main.scad', files, libraryFiles, readLibraryFile })
+
+      expect(report.libraries).toEqual(['MCAD'])
+      expect(report.libraryFiles).toEqual({ MCAD: null })
+    })
+
+    it('resolves project files before libraries', async () => {
+      const files = new Map([
+        ['main.scad', 'include <BOSL2/std.scad>'],
+        ['BOSL2/std.scad', 'cube(1);']
+      ])
+
+      const report = await analyzeIncludes({ mainFile: 'main.scad', files, libraryFiles, readLibraryFile })
+
+      expect(report.libraries).toEqual([])
+    })
+
+    it('reports unresolved includes with the files that provide them', async () => {
+      const files = new Map([
+        ['main.scad', 'include <std.scad>\nuse <nowhere.scad>'],
+        ['lib/nowhere.scad', '']
+      ])
+
+      const report = await analyzeIncludes({ mainFile: 'main.scad', files, libraryFiles, readLibraryFile })
+
+      expect(report.unresolved).toEqual([
+        {
+          file: 'main.scad',
+          include: 'std.scad',
+          suggestions: [{ library: 'BOSL2', path: 'std.scad', include: 'BOSL2/std.scad' }]
+        },
+        {
+          file: 'main.scad',
+          include: 'nowhere.scad',
+          suggestions: [{ library: null, path: 'lib/nowhere.scad', include: 'lib/nowhere.scad' }]
+        }
+      ])
+    })
+
+    it('mounts a whole library when one of its files cannot be read', async () => {
+      const files = new Map([['main.scad', 'include <BOSL2/gears.scad>']])
+
+      const report = await analyzeIncludes({ mainFile: 'main.scad', files, libraryFiles, readLibraryFile })
+
+      expect(report.libraryFiles).toEqual({ BOSL2: null })
+    })
+  })
+
+  describe('suggestIncludeSources', () => {
+    it('prefers the shortest path within a library', () => {
+      expect(suggestIncludeSources('std.scad', new Map(), libraryFiles)).toEqual([
+        { library: 'BOSL2', path: 'std.scad', include: 'BOSL2/std.scad' }
+      ])
+    })
+
+    it('returns nothing when no file has the name', () => {
+      expect(suggestIncludeSources('other.scad', new Map(), libraryFiles)).toEqual([])
+    })
+  })
+})
@@ -0,0 +1,52 @@
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { createHash } from 'crypto'
+import { computeIntegrity, computeLibraryVersion, formatLibraryVersion, sha256, verifyIntegrity } from '../../src/js/library-integrity.js'
+
+describe('Library Integrity', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals()
+  })
+
+  it('computes SHA-256 in JavaScript across block boundaries', () => {
+    for (const length of [0, 3, 55, 56, 63, 64, 65, 1000]) {
+      const bytes = Uint8Array.from({ length }, (_, i) => (i * 31) & 0xff)
+      const expected = createHash('sha256').update(bytes).digest('hex')
+      expect(Buffer.from(sha256(bytes)).toString('hex')).toBe(expected)
+    }
+  })
+
+  it('hashes without crypto.subtle (pages served over plain http)', async () => {
+    const hash = await computeIntegrity('cube(1);')
+    const version = await computeLibraryVersion({ 'a.scad': hash })
+
+    vi.stubGlobal('crypto', {})
+    expect(await computeIntegrity('cube(1);')).toBe(hash)
+    expect(await verifyIntegrity('cube(1);', hash)).toBe(true)
+    expect(await computeLibraryVersion({ 'a.scad': hash })).toBe(version)
+  })
+
+  it('hashes files in Subresource Integrity format', async () => {
+    // Well-known SHA-256 of the empty string
+    expect(await computeIntegrity('')).toBe('sha256-47DEQpj8HBSa+/TImW+5JCeuQeRkm5NMpJWZG3hSuFU=')
+    expect(await computeIntegrity(new TextEncoder().encode('cube(1);'))).toBe(await computeIntegrity('cube(1);'))
+  })
+
+  it('rejects changed files and missing hashes', async () => {
+    const hash = await computeIntegrity('cube(1);')
+
+    expect(await verifyIntegrity('cube(1);', hash)).toBe(true)
+    expect(await verifyIntegrity('cube(2);', hash)).toBe(false)
+    expect(await verifyIntegrity('cube(1);', undefined)).toBe(false)
+  })
+
+  it('derives a version from the file hashes regardless of order', async () => {
+    const a = await computeLibraryVersion({ 'a.scad': 'sha256-A', 'b.scad': 'sha256-B' })
+    const b = await computeLibraryVersion({ 'b.scad': 'sha256-B', 'a.scad': 'sha256-A' })
+    const changed = await computeLibraryVersion({ 'a.scad': 'sha256-A', 'b.scad': 'sha256-C' })
+
+    expect(a).toBe(b)
+    expect(a).not.toBe(changed)
+    expect(formatLibraryVersion('0123456789abcdef')).toBe('0123456')
+    expect(formatLibraryVersion(null)).toBe('unknown')
+  })
+})
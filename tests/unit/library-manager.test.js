@@ -446,6 +446,129 @@ describe('LibraryManager', () => {
     })
   })
 
+  describe('uploaded libraries', () => {
+    const acme = {
+      id: 'acme',
+      name: 'acme',
+      description: 'Uploaded from acme.zip',
+      version: 'abc123def456',
+      files: { 'bolts.scad': 'module bolt() {}' },
+      integrity: { 'bolts.scad': 'sha256-x' }
+    }
+
+    it('detects and mounts uploaded libraries with their files', () => {
+      const manager = new LibraryManager()
+      manager.addUserLibrary(acme)
+
+      expect(manager.autoEnable('include <acme/bolts.scad>')).toEqual(['acme'])
+      expect(detectLibraries('use <acme/bolts.scad>', Object.keys(manager.getAll()))).toEqual(['acme'])
+      expect(manager.getMountPaths()).toEqual([
+        { id: 'acme', path: '/libraries/acme', version: 'abc123def456', files: acme.files, integrity: acme.integrity }
+      ])
+    })
+
+    it('mounts only the files a design reaches once it has been analysed', async () => {
+      const manager = new LibraryManager()
+      manager.addUserLibrary({
+        ...acme,
+        files: { ...acme.files, 'nuts.scad': 'module nut() {}' },
+        integrity: { ...acme.integrity, 'nuts.scad': 'sha256-y' }
+      }, { enable: true })
+
+      const report = await manager.analyzeProject('main.scad', new Map([['main.scad', 'use <acme/bolts.scad>']]))
+
+      expect(report.libraries).toEqual(['acme'])
+      expect(manager.getMountPaths()).toEqual([
+        { id: 'acme', path: '/libraries/acme', version: 'abc123def456', subset: ['bolts.scad'], files: acme.files, integrity: acme.integrity }
+      ])
+    })
+
+    it('keeps the enabled state of a library that registers after loading', () => {
+      new LibraryManager().addUserLibrary(acme, { enable: true })
+
+      const manager = new LibraryManager()
+      manager.enable('MCAD')
+      expect(JSON.parse(localStorage.getItem('openscad-customizer-libraries')).acme.enabled).toBe(true)
+
+      manager.addUserLibrary(acme)
+      expect(manager.isEnabled('acme')).toBe(true)
+    })
+
+    it('refuses built-in names and removes only uploaded libraries', () => {
+      const manager = new LibraryManager()
+      expect(() => manager.addUserLibrary({ ...acme, id: 'MCAD' })).toThrow(/built-in/)
+
+      manager.addUserLibrary(acme)
+      manager.removeUserLibrary('acme')
+      manager.removeUserLibrary('MCAD')
+
+      expect(manager.get('acme')).toBeNull()
+      expect(manager.get('MCAD')).not.toBeNull()
+    })
+  })
+
+  describe('version pins', () => {
+    it('records versions and pins them, enabling pinned libraries', () => {
+      const manager = new LibraryManager()
+      manager.setInstalledVersions({ BOSL2: 'bbbbbbbbbbbb', MCAD: 'mmmmmmmmmmmm' })
+      manager.enable('BOSL2')
+
+      expect(manager.getVersionRecord()).toEqual([{ id: 'BOSL2', version: 'bbbbbbbbbbbb' }])
+
+      const missing = manager.setPins([
+        { id: 'MCAD', version: 'mmmmmmmmmmmm' },
+        { id: 'acme', version: 'abc123def456' }
+      ])
+      expect(missing).toEqual(['acme'])
+      expect(manager.isEnabled('MCAD')).toBe(true)
+      expect(manager.getPinnedVersion('MCAD')).toBe('mmmmmmmmmmmm')
+      expect(manager.getPinMismatches()).toEqual([])
+    })
+
+    it('reports pins that differ from the installed version', () => {
+      const manager = new LibraryManager()
+      manager.setPins([{ id: 'BOSL2', version: 'old000000000' }])
+      expect(manager.getPinMismatches()).toEqual([])
+
+      manager.setInstalledVersions({ BOSL2: 'new000000000' })
+      expect(manager.getPinMismatches()).toEqual([{ id: 'BOSL2', pinned: 'old000000000', installed: 'new000000000' }])
+
+      manager.clearPins()
+      expect(manager.getPinMismatches()).toEqual([])
+    })
+
+    it('passes pins to the worker with the mount paths', () => {
+      const manager = new LibraryManager()
+      manager.setInstalledVersions({ BOSL2: 'new000000000' })
+      manager.setPins([{ id: 'BOSL2', version: 'old000000000' }])
+
+      const [bosl2] = manager.getMountPaths()
+      expect(bosl2).toMatchObject({ id: 'BOSL2', version: 'new000000000', pinned: 'old000000000' })
+
+      manager.clearPins()
+      expect(manager.getMountPaths()[0]).not.toHaveProperty('pinned')
+    })
+
+    it('reads installed versions from the library manifest', async () => {
+      const manager = new LibraryManager()
+      global.fetch = vi.fn().mockResolvedValue({
+        ok: true,
+        json: async () => ({
+          libraries: {
+            MCAD: { available: true, commit: 'c0ffee000000' },
+            BOSL2: { available: false }
+          }
+        })
+      })
+
+      await manager.loadInstalledVersions()
+
+      expect(manager.get('MCAD').version).toBe('c0ffee000000')
+      expect(manager.get('BOSL2').version).toBeUndefined()
+      expect(LIBRARY_DEFINITIONS.MCAD.version).toBeUndefined()
+    })
+  })
+
   describe('LIBRARY_DEFINITIONS', () => {
     it('exports library definitions', () => {
       expect(LIBRARY_DEFINITIONS).toBeDefined()
@@ -0,0 +1,246 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { initMeasurePanel } from '../../src/js/measure-panel.js'
+import { buildMeasureTopology } from '../../src/js/feature-measure.js'
+
+function setupDom() {
+  document.body.innerHTML = `
+    <section id="measurePanel">
+      <input type="checkbox" id="measureModeToggle" />
+      <div id="measureControls" hidden>
+        <select id="measureFeatureType">
+          <option value="face" selected>Faces</option>
+          <option value="edge">Edges</option>
+          <option value="vertex">Corners</option>
+          <option value="circle">Holes</option>
+        </select>
+        <button id="measurePrevBtn"></button>
+        <button id="measureNextBtn"></button>
+        <button id="measureSelectBtn"></button>
+        <button id="measureSingleBtn"></button>
+        <button id="measureClearSelectionBtn"></button>
+      </div>
+      <p id="measureStatus"></p>
+      <ol id="measureList"></ol>
+      <button id="measureExportBtn"></button>
+      <button id="measureClearAllBtn"></button>
+    </section>
+  `
+}
+
+/**
+ * Triangles of a 10 x 20 x 5 box
+ */
+function box() {
+  const v = [
+    [0, 0, 0], [10, 0, 0], [10, 20, 0], [0, 20, 0],
+    [0, 0, 5], [10, 0, 5], [10, 20, 5], [0, 20, 5]
+  ]
+  const quads = [[0, 3, 2, 1], [4, 5, 6, 7], [0, 1, 5, 4], [1, 2, 6, 5], [2, 3, 7, 6], [3, 0, 4, 7]]
+  const out = []
+  for (const [a, b, c, d] of quads) {
+    for (const tri of [[a, b, c], [a, c, d]]) {
+      for (const i of tri) out.push(...v[i])
+    }
+  }
+  return new Float32Array(out)
+}
+
+function createFakePreview() {
+  const topology = buildMeasureTopology(box())
+  const preview = {
+    mesh: {},
+    measureMode: false,
+    measureType: 'face',
+    callbacks: null,
+    setMeasureMode: vi.fn((enabled, callbacks) => {
+      preview.measureMode = enabled
+      preview.callbacks = callbacks
+    }),
+    getMeasureTopology: vi.fn(() => (preview.mesh ? topology : null)),
+    showMeasureAnnotations: vi.fn(),
+    announceCameraAction: vi.fn()
+  }
+  return preview
+}
+
+describe('Measure Panel', () => {
+  let preview
+  let panel
+  const $ = (id) => document.getElementById(id)
+  const change = (el) => el.dispatchEvent(new Event('change'))
+  const click = (id) => $(id).click()
+  const listItems = () => [...$('measureList').querySelectorAll('li span')].map((el) => el.textContent)
+
+  beforeEach(() => {
+    localStorage.clear()
+    setupDom()
+    preview = createFakePreview()
+    panel = initMeasurePanel({
+      getPreviewManager: () => preview,
+      getModelName: () => 'bracket'
+    })
+  })
+
+  afterEach(() => {
+    document.body.innerHTML = ''
+    localStorage.clear()
+  })
+
+  it('returns null when the panel is missing', () => {
+    document.body.innerHTML = ''
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {})
+
+    expect(initMeasurePanel({})).toBeNull()
+    warn.mockRestore()
+  })
+
+  it('turns measurement mode on and reports the features found', () => {
+    $('measureModeToggle').checked = true
+    change($('measureModeToggle'))
+
+    expect(preview.setMeasureMode).toHaveBeenCalledWith(true, expect.any(Object))
+    expect($('measureControls').hidden).toBe(false)
+    expect($('measureStatus').textContent).toMatch(/^Found 6 faces, 12 edges, 8 corners, 0 holes or circles/)
+    expect(preview.announceCameraAction).toHaveBeenCalled()
+  })
+
+  it('steps through features with Next and Previous', () => {
+    $('measureModeToggle').checked = true
+    change($('measureModeToggle'))
+
+    click('measureNextBtn')
+    expect($('measureStatus').textContent).toMatch(/^Face 1 of 6: Flat face, 200 square mm/)
+    click('measurePrevBtn')
+    expect($('measureStatus').textContent).toMatch(/^Face 6 of 6/)
+    expect(preview.showMeasureAnnotations).toHaveBeenLastCalledWith(
+      expect.objectContaining({ current: expect.objectContaining({ type: 'face' }) })
+    )
+  })
+
+  it('measures between two features selected from the keyboard', () => {
+    $('measureModeToggle').checked = true
+    change($('measureModeToggle'))
+
+    // The two largest faces are the top and bottom
+    click('measureNextBtn')
+    click('measureSelectBtn')
+    expect($('measureSingleBtn').disabled).toBe(false)
+    click('measureNextBtn')
+    click('measureSelectBtn')
+
+    expect(listItems()).toEqual(['Distance between face and face: 5 mm (X 0, Y 0, Z 5) (bracket)'])
+    expect($('measureStatus').textContent).toMatch(/^Measured: Distance/)
+    expect(JSON.parse(localStorage.getItem('openscad-customizer-measure-list'))).toHaveLength(1)
+  })
+
+  it('measures a single selected feature', () => {
+    $('measureModeToggle').checked = true
+    change($('measureModeToggle'))
+    $('measureFeatureType').value = 'edge'
+    change($('measureFeatureType'))
+
+    click('measureNextBtn')
+    click('measureSelectBtn')
+    click('measureSingleBtn')
+
+    expect(listItems()).toEqual(['Straight edge, 20 mm long (bracket)'])
+    expect($('measureSingleBtn').disabled).toBe(true)
+  })
+
+  it('selects features picked on the canvas and the current one on Enter', () => {
+    $('measureModeToggle').checked = true
+    change($('measureModeToggle'))
+    const { faces } = preview.getMeasureTopology()
+
+    preview.callbacks.onPick(faces[2])
+    preview.callbacks.onStep(1)
+    preview.callbacks.onSelect()
+
+    // Faces 2 and 3 are the opposite 20 x 5 sides
+    expect(listItems()[0]).toMatch(/^Distance between face and face: 10 mm/)
+  })
+
+  it('explains a pick that misses the model', () => {
+    $('measureModeToggle').checked = true
+    change($('measureModeToggle'))
+
+    preview.callbacks.onPick(null)
+
+    expect($('measureStatus').textContent).toMatch(/^Nothing to measure there/)
+  })
+
+  it('removes measurements and clears the list', () => {
+    $('measureModeToggle').checked = true
+    change($('measureModeToggle'))
+    for (let i = 0; i < 2; i++) {
+      click('measureNextBtn')
+      click('measureSelectBtn')
+      click('measureSingleBtn')
+    }
+    expect(listItems()).toHaveLength(2)
+
+    $('measureList').querySelector('button').click()
+    expect(listItems()).toHaveLength(1)
+
+    click('measureClearAllBtn')
+    expect(listItems()).toEqual([])
+    expect($('measureList').textContent).toMatch(/No measurements yet/)
+    expect($('measureExportBtn').disabled).toBe(true)
+  })
+
+  it('keeps saved measurements across a reload', () => {
+    localStorage.setItem(
+      'openscad-customizer-measure-list',
+      JSON.stringify([{ description: 'Edge length 4 mm', model: 'old', kind: 'length', value: 4, unit: 'mm', delta: null, features: ['edge'] }])
+    )
+    setupDom()
+    initMeasurePanel({ getPreviewManager: () => preview })
+
+    expect(listItems()).toEqual(['Edge length 4 mm (old)'])
+    expect($('measureExportBtn').disabled).toBe(false)
+  })
+
+  it('exports the list as CSV', () => {
+    const createObjectURL = vi.fn(() => 'blob:measurements')
+    const revokeObjectURL = vi.fn()
+    vi.stubGlobal('URL', { createObjectURL, revokeObjectURL })
+    const clickSpy = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {})
+    $('measureModeToggle').checked = true
+    change($('measureModeToggle'))
+    click('measureNextBtn')
+    click('measureSelectBtn')
+    click('measureSingleBtn')
+
+    click('measureExportBtn')
+
+    expect(createObjectURL).toHaveBeenCalledWith(expect.any(Blob))
+    expect(clickSpy).toHaveBeenCalled()
+    expect($('measureStatus').textContent).toBe('Measurements exported as CSV.')
+    clickSpy.mockRestore()
+    vi.unstubAllGlobals()
+  })
+
+  it('starts over on a new model and turns off on reset', () => {
+    $('measureModeToggle').checked = true
+    change($('measureModeToggle'))
+    click('measureNextBtn')
+    click('measureSelectBtn')
+
+    panel.refresh()
+    expect($('measureClearSelectionBtn').disabled).toBe(true)
+
+    panel.reset()
+    expect($('measureModeToggle').checked).toBe(false)
+    expect(preview.setMeasureMode).toHaveBeenLastCalledWith(false, expect.any(Object))
+    expect($('measureControls').hidden).toBe(true)
+  })
+
+  it('asks for a model when none is loaded', () => {
+    preview.mesh = null
+    $('measureModeToggle').checked = true
+    change($('measureModeToggle'))
+
+    expect($('measureStatus').textContent).toBe('Render a model to measure it.')
+    expect($('measureNextBtn').disabled).toBe(true)
+  })
+})
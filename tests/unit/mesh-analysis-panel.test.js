@@ -0,0 +1,124 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { initMeshAnalysisPanel } from '../../src/js/mesh-analysis-panel.js'
+import { analyzeMesh } from '../../src/js/mesh-analysis.js'
+
+const STORAGE_KEY_SETTINGS = 'openscad-customizer-mesh-analysis-settings'
+
+function setupDom() {
+  document.body.innerHTML = `
+    <section id="meshAnalysisPanel">
+      <p id="meshAnalysisStatus"></p>
+      <dl id="meshAnalysisResults">
+        <dd data-field="volume"></dd>
+        <dd data-field="filament"></dd>
+        <dd data-field="surfaceArea"></dd>
+        <dd data-field="watertight"></dd>
+        <dd data-field="manifold"></dd>
+        <dd data-field="overhang"></dd>
+        <dd data-field="thinWalls"></dd>
+      </dl>
+      <input id="analysisDensityInput" />
+      <input id="analysisCostInput" />
+      <input id="analysisOverhangInput" />
+      <input id="analysisWallInput" />
+    </section>
+  `
+}
+
+// Single triangle: open mesh with zero volume
+const TRIANGLE = [0, 0, 0, 1, 0, 0, 0, 1, 0]
+
+function createFakeWorker() {
+  const worker = {
+    messages: [],
+    postMessage: vi.fn((message) => worker.messages.push(message)),
+    terminate: vi.fn(),
+    reply(type, payload) {
+      worker.onmessage({ data: { type, payload } })
+    }
+  }
+  return worker
+}
+
+describe('Mesh Analysis Panel', () => {
+  let worker
+  let announce
+  let panel
+
+  beforeEach(() => {
+    localStorage.clear()
+    setupDom()
+    worker = createFakeWorker()
+    announce = vi.fn()
+    panel = initMeshAnalysisPanel({ announce, createWorker: () => worker })
+  })
+
+  afterEach(() => {
+    localStorage.clear()
+    vi.restoreAllMocks()
+  })
+
+  it('returns null without the panel markup', () => {
+    document.body.innerHTML = ''
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+    expect(initMeshAnalysisPanel()).toBe(null)
+  })
+
+  it('starts empty and does not create a worker until needed', () => {
+    expect(document.getElementById('meshAnalysisStatus').textContent).toContain('Render a model')
+    expect(worker.postMessage).not.toHaveBeenCalled()
+  })
+
+  it('sends STL data with the current settings to the worker', () => {
+    const stl = new ArrayBuffer(84)
+    panel.analyze(stl)
+
+    const [message] = worker.messages
+    expect(message.type).toBe('ANALYZE')
+    expect(message.payload.stl).toBe(stl)
+    expect(message.payload.settings.density).toBe(1.24)
+    expect(document.getElementById('meshAnalysisResults').getAttribute('aria-busy')).toBe('true')
+  })
+
+  it('shows results, flags problems and announces a summary', () => {
+    panel.analyze(new ArrayBuffer(84))
+    const { requestId } = worker.messages[0].payload
+    worker.reply('ANALYSIS_COMPLETE', { requestId, analysis: analyzeMesh(TRIANGLE) })
+
+    const watertight = document.querySelector('[data-field="watertight"]')
+    expect(watertight.textContent).toBe('No (3 open edges)')
+    expect(watertight.classList.contains('analysis-problem')).toBe(true)
+    expect(announce).toHaveBeenCalledWith(expect.stringContaining('Print analysis: Volume 0'))
+    expect(panel.getLastAnalysis().triangleCount).toBe(1)
+  })
+
+  it('ignores results for a superseded mesh', () => {
+    panel.analyze(new ArrayBuffer(84))
+    const stale = worker.messages[0].payload.requestId
+    panel.analyze(new ArrayBuffer(84))
+    worker.reply('ANALYSIS_COMPLETE', { requestId: stale, analysis: analyzeMesh(TRIANGLE) })
+
+    expect(announce).not.toHaveBeenCalled()
+    expect(panel.getLastAnalysis()).toBe(null)
+  })
+
+  it('saves valid settings and re-analyzes the last mesh', () => {
+    panel.analyze(new ArrayBuffer(84))
+    const input = document.getElementById('analysisOverhangInput')
+    input.value = '60'
+    input.dispatchEvent(new Event('change'))
+
+    expect(JSON.parse(localStorage.getItem(STORAGE_KEY_SETTINGS)).overhangAngle).toBe(60)
+    expect(worker.messages).toHaveLength(2)
+    expect(worker.messages[1].payload.settings.overhangAngle).toBe(60)
+  })
+
+  it('rejects out-of-range settings', () => {
+    const input = document.getElementById('analysisDensityInput')
+    input.value = '-1'
+    input.dispatchEvent(new Event('change'))
+
+    expect(input.getAttribute('aria-invalid')).toBe('true')
+    expect(panel.getSettings().density).toBe(1.24)
+  })
+})
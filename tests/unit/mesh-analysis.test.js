@@ -0,0 +1,104 @@
+import { describe, it, expect } from 'vitest'
+import {
+  analyzeMesh,
+  checkTopology,
+  measureOverhangArea,
+  findThinWalls,
+  estimateFilament,
+  summarizeMeshAnalysis
+} from '../../src/js/mesh-analysis.js'
+
+/**
+ * Axis-aligned box as a triangle soup (outward-facing, 12 triangles)
+ */
+function box([x0, y0, z0], [x1, y1, z1]) {
+  const v = [
+    [x0, y0, z0], [x1, y0, z0], [x1, y1, z0], [x0, y1, z0],
+    [x0, y0, z1], [x1, y0, z1], [x1, y1, z1], [x0, y1, z1]
+  ]
+  const faces = [
+    [0, 2, 1], [0, 3, 2], [4, 5, 6], [4, 6, 7],
+    [0, 1, 5], [0, 5, 4], [1, 2, 6], [1, 6, 5],
+    [2, 3, 7], [2, 7, 6], [3, 0, 4], [3, 4, 7]
+  ]
+  return faces.flatMap(face => face.flatMap(i => v[i]))
+}
+
+describe('Mesh Analysis', () => {
+  describe('checkTopology', () => {
+    it('accepts a closed box', () => {
+      const topology = checkTopology(box([0, 0, 0], [10, 10, 10]))
+      expect(topology.watertight).toBe(true)
+      expect(topology.manifold).toBe(true)
+      expect(topology.boundaryEdges).toBe(0)
+    })
+
+    it('reports open edges when a face is missing', () => {
+      const topology = checkTopology(box([0, 0, 0], [10, 10, 10]).slice(9))
+      expect(topology.watertight).toBe(false)
+      expect(topology.boundaryEdges).toBe(3)
+    })
+
+    it('reports flipped faces', () => {
+      const mesh = box([0, 0, 0], [10, 10, 10])
+      // Reverse the winding of the first triangle
+      const [a, b] = [mesh.slice(0, 3), mesh.slice(3, 6)]
+      mesh.splice(0, 6, ...b, ...a)
+      const topology = checkTopology(mesh)
+      expect(topology.watertight).toBe(true)
+      expect(topology.manifold).toBe(false)
+      expect(topology.flippedEdges).toBe(3)
+    })
+  })
+
+  describe('measureOverhangArea', () => {
+    it('ignores faces resting on the bed', () => {
+      expect(measureOverhangArea(box([0, 0, 0], [10, 10, 10]), 45)).toBe(0)
+    })
+
+    it('counts downward faces above the bed', () => {
+      // A floating slab's underside is a 4x4 overhang
+      const mesh = [...box([0, 0, 0], [10, 10, 10]), ...box([0, 0, 20], [4, 4, 22])]
+      expect(measureOverhangArea(mesh, 45)).toBeCloseTo(16)
+    })
+  })
+
+  describe('findThinWalls', () => {
+    it('finds a wall thinner than the minimum', () => {
+      const result = findThinWalls(box([0, 0, 0], [20, 20, 0.5]), 0.8)
+      expect(result.thinnestWall).toBeCloseTo(0.5)
+      expect(result.thinWallArea).toBeCloseTo(800)
+    })
+
+    it('reports none for thick walls', () => {
+      expect(findThinWalls(box([0, 0, 0], [10, 10, 10]), 0.8).thinnestWall).toBe(null)
+    })
+  })
+
+  describe('estimateFilament', () => {
+    it('converts volume to grams and cost', () => {
+      const estimate = estimateFilament(10000, { density: 1.25, costPerKg: 20 })
+      expect(estimate.grams).toBeCloseTo(12.5)
+      expect(estimate.cost).toBeCloseTo(0.25)
+    })
+  })
+
+  describe('analyzeMesh', () => {
+    it('combines every check with the given settings', () => {
+      const analysis = analyzeMesh(box([0, 0, 0], [10, 10, 10]), { density: 1, overhangAngle: 30 })
+      expect(analysis.volume).toBeCloseTo(1000)
+      expect(analysis.surfaceArea).toBeCloseTo(600)
+      expect(analysis.filament.grams).toBeCloseTo(1)
+      expect(analysis.overhangAngle).toBe(30)
+      expect(analysis.watertight).toBe(true)
+    })
+
+    it('summarizes results for screen readers', () => {
+      const summary = summarizeMeshAnalysis(analyzeMesh(box([0, 0, 0], [10, 10, 10])))
+      expect(summary).toContain('Volume 1,000 cubic millimeters')
+      expect(summary).toContain('watertight and manifold')
+      expect(summary).toContain('No overhangs beyond 45 degrees')
+      expect(summary).toContain('No walls thinner than 0.8 millimeters')
+    })
+  })
+})
@@ -0,0 +1,119 @@
+import { describe, it, expect } from 'vitest'
+import { computeMeshMetrics, hausdorffDistance, computeMeshDiff, compareMeshMetrics } from '../../src/js/mesh-metrics.js'
+
+/**
+ * Axis-aligned box as a triangle soup (outward-facing, 12 triangles)
+ */
+function box([x0, y0, z0], [x1, y1, z1]) {
+  const v = [
+    [x0, y0, z0], [x1, y0, z0], [x1, y1, z0], [x0, y1, z0],
+    [x0, y0, z1], [x1, y0, z1], [x1, y1, z1], [x0, y1, z1]
+  ]
+  const faces = [
+    [0, 2, 1], [0, 3, 2], [4, 5, 6], [4, 6, 7],
+    [0, 1, 5], [0, 5, 4], [1, 2, 6], [1, 6, 5],
+    [2, 3, 7], [2, 7, 6], [3, 0, 4], [3, 4, 7]
+  ]
+  return faces.flatMap(face => face.flatMap(i => v[i]))
+}
+
+describe('Mesh Metrics', () => {
+  describe('computeMeshMetrics', () => {
+    it('measures volume, area, bounding box and triangle count', () => {
+      const metrics = computeMeshMetrics(box([0, 0, 0], [10, 20, 30]))
+      expect(metrics.triangleCount).toBe(12)
+      expect(metrics.volume).toBeCloseTo(6000)
+      expect(metrics.surfaceArea).toBeCloseTo(2200)
+      expect(metrics.boundingBox.min).toEqual([0, 0, 0])
+      expect(metrics.boundingBox.size).toEqual([10, 20, 30])
+    })
+
+    it('handles an empty mesh', () => {
+      const metrics = computeMeshMetrics([])
+      expect(metrics.triangleCount).toBe(0)
+      expect(metrics.volume).toBe(0)
+      expect(metrics.boundingBox.size).toEqual([0, 0, 0])
+    })
+  })
+
+  describe('hausdorffDistance', () => {
+    it('is zero for identical meshes', () => {
+      const mesh = box([0, 0, 0], [10, 10, 10])
+      expect(hausdorffDistance(mesh, mesh)).toBeCloseTo(0)
+    })
+
+    it('ignores re-triangulation of the same surface', () => {
+      // Same box with the bottom face split into four triangles around its centre
+      const split = box([0, 0, 0], [10, 10, 10]).slice(18)
+      const c = [5, 5, 0]
+      split.push(
+        0, 0, 0, ...c, 10, 0, 0,
+        10, 0, 0, ...c, 10, 10, 0,
+        10, 10, 0, ...c, 0, 10, 0,
+        0, 10, 0, ...c, 0, 0, 0
+      )
+      expect(hausdorffDistance(box([0, 0, 0], [10, 10, 10]), split)).toBeCloseTo(0)
+    })
+
+    it('reports how far one surface moved', () => {
+      const a = box([0, 0, 0], [10, 10, 10])
+      const b = box([0, 0, 0], [10, 10, 12])
+      expect(hausdorffDistance(a, b)).toBeCloseTo(2)
+    })
+
+    it('is infinite when only one mesh is empty', () => {
+      expect(hausdorffDistance(box([0, 0, 0], [1, 1, 1]), [])).toBe(Infinity)
+      expect(hausdorffDistance([], [])).toBe(0)
+    })
+  })
+
+  describe('computeMeshDiff', () => {
+    it('finds nothing changed between identical meshes', () => {
+      const mesh = box([0, 0, 0], [10, 10, 10])
+      const diff = computeMeshDiff(mesh, mesh)
+      expect(diff.added).toHaveLength(0)
+      expect(diff.removed).toHaveLength(0)
+      expect(diff.keptBefore).toHaveLength(mesh.length)
+      expect(diff.maxDistance).toBeCloseTo(0)
+    })
+
+    it('marks the surface that moved as removed and added', () => {
+      const diff = computeMeshDiff(box([0, 0, 0], [10, 10, 10]), box([0, 0, 0], [10, 10, 12]))
+      // The old top is gone; the new top and the upper 2 mm of the sides (180 mm²)
+      // are new, to within the split resolution along the boundary
+      expect(diff.removedArea).toBeCloseTo(100)
+      expect(diff.addedArea).toBeGreaterThan(170)
+      expect(diff.addedArea).toBeLessThan(190)
+      expect(diff.maxDistance).toBeCloseTo(2)
+      expect(diff.bounds).toEqual({ min: [0, 0, 0], max: [10, 10, 12] })
+      expect(computeMeshMetrics(diff.keptAfter).boundingBox.max[2]).toBeLessThanOrEqual(10 + 12 / 16)
+    })
+
+    it('treats everything as changed when one mesh is empty', () => {
+      const mesh = box([0, 0, 0], [1, 1, 1])
+      const diff = computeMeshDiff([], mesh)
+      expect(diff.added).toHaveLength(mesh.length)
+      expect(diff.addedArea).toBeCloseTo(6)
+      expect(diff.removedArea).toBe(0)
+      expect(diff.maxDistance).toBe(Infinity)
+    })
+  })
+
+  describe('compareMeshMetrics', () => {
+    const expected = computeMeshMetrics(box([0, 0, 0], [10, 10, 10]))
+
+    it('matches within tolerance', () => {
+      const actual = computeMeshMetrics(box([0, 0, 0], [10, 10, 10.001]))
+      expect(compareMeshMetrics(expected, actual, { tolerance: 0.001, hausdorff: 0.001 }).match).toBe(true)
+    })
+
+    it('lists each metric outside tolerance', () => {
+      const actual = computeMeshMetrics(box([0, 0, 0], [10, 10, 11]))
+      const result = compareMeshMetrics(expected, actual, { tolerance: 0.001, hausdorff: 1 })
+      expect(result.match).toBe(false)
+      expect(result.differences.map(d => d.metric)).toEqual([
+        'volume', 'surfaceArea', 'boundingBox.max.z', 'hausdorff'
+      ])
+    })
+  })
+})
@@ -0,0 +1,92 @@
+import { describe, it, expect } from 'vitest'
+import { StringStream } from '@codemirror/language'
+import { openscadStreamParser } from '../../src/js/openscad-language.js'
+
+/**
+ * Tokenize source into [text, token] pairs, skipping whitespace
+ */
+function tokenize(source) {
+  const state = openscadStreamParser.startState()
+  const tokens = []
+  for (const line of source.split('\n')) {
+    const stream = new StringStream(line, 4, 2)
+    while (!stream.eol()) {
+      stream.start = stream.pos
+      const token = openscadStreamParser.token(stream, state)
+      const text = stream.current()
+      if (text.trim()) tokens.push([text, token])
+    }
+  }
+  return tokens
+}
+
+describe('OpenSCAD Language', () => {
+  it('marks keywords, built-ins, special variables and values', () => {
+    expect(tokenize('module box(w = 10) { cube([w, 2.5e1, 1], center = true, $fn = 32); }')).toEqual([
+      ['module', 'keyword'],
+      ['box', 'variable'],
+      ['(', null],
+      ['w', 'variable'],
+      ['=', 'operator'],
+      ['10', 'number'],
+      [')', null],
+      ['{', null],
+      ['cube', 'builtin'],
+      ['(', null],
+      ['[', null],
+      ['w', 'variable'],
+      [',', null],
+      ['2.5e1', 'number'],
+      [',', null],
+      ['1', 'number'],
+      [']', null],
+      [',', null],
+      ['center', 'variable'],
+      ['=', 'operator'],
+      ['true', 'atom'],
+      [',', null],
+      ['$fn', 'variable-2'],
+      ['=', 'operator'],
+      ['32', 'number'],
+      [')', null],
+      [';', null],
+      ['}', null]
+    ])
+  })
+
+  it('marks include paths and strings', () => {
+    expect(tokenize('include <BOSL2/std.scad>\necho("a \\" b");')).toEqual([
+      ['include', 'keyword'],
+      ['<BOSL2/std.scad>', 'string'],
+      ['echo', 'keyword'],
+      ['(', null],
+      ['"a \\" b"', 'string'],
+      [')', null],
+      [';', null]
+    ])
+  })
+
+  it('tells Customizer annotations from comments', () => {
+    const tokens = tokenize('/* [Sizes] */\nwidth = 10; // [0:100]\n// Plain comment\n/* multi\n   line */')
+
+    expect(tokens.filter(([, token]) => token === 'meta').map(([text]) => text)).toEqual(['/* [Sizes] */', '// [0:100]'])
+    expect(tokens.filter(([, token]) => token === 'comment').map(([text]) => text)).toEqual(['// Plain comment', '/* multi', '   line */'])
+  })
+
+  it('marks debug modifiers only at the start of a statement', () => {
+    expect(tokenize('#cube(1); x = a * b;')).toEqual([
+      ['#', 'meta'],
+      ['cube', 'builtin'],
+      ['(', null],
+      ['1', 'number'],
+      [')', null],
+      [';', null],
+      ['x', 'variable'],
+      ['=', 'operator'],
+      ['a', 'variable'],
+      ['*', 'operator'],
+      ['b', 'variable'],
+      [';', null]
+    ])
+  })
+})
@@ -0,0 +1,51 @@
+import { describe, it, expect } from 'vitest'
+import {
+  isFileParameterValue,
+  getParameterFilePath,
+  dataUrlToBytes,
+  resolveParameterFiles
+} from '../../src/js/parameter-files.js'
+
+const logo = {
+  name: 'My Logo.svg',
+  size: 6,
+  type: 'image/svg+xml',
+  data: 'data:image/svg+xml;base64,PHN2Zy8+'
+}
+
+describe('Parameter Files', () => {
+  it('recognizes uploads from the file control', () => {
+    expect(isFileParameterValue(logo)).toBe(true)
+    expect(isFileParameterValue('logo.svg')).toBe(false)
+    expect(isFileParameterValue({ name: 'logo.svg', data: 'not a data url' })).toBe(false)
+    expect(isFileParameterValue([1, 2, 3])).toBe(false)
+    expect(isFileParameterValue(null)).toBe(false)
+  })
+
+  it('gives each parameter its own upload directory and keeps the extension', () => {
+    expect(getParameterFilePath('logo_file', 'My Logo.svg')).toBe('/uploads/logo_file/My_Logo.svg')
+    expect(getParameterFilePath('heightmap', '../../etc/passwd.png')).toBe('/uploads/heightmap/_.._etc_passwd.png')
+    expect(getParameterFilePath('outline', '')).toBe('/uploads/outline/upload')
+  })
+
+  it('decodes base64 and percent-encoded data URLs', () => {
+    expect(new TextDecoder().decode(dataUrlToBytes(logo.data))).toBe('<svg/>')
+    expect(new TextDecoder().decode(dataUrlToBytes('data:text/plain,0%201%0A'))).toBe('0 1\n')
+    expect(Array.from(dataUrlToBytes('data:application/octet-stream;base64,AP8='))).toEqual([0, 255])
+    expect(() => dataUrlToBytes('logo.svg')).toThrow('not a data URL')
+  })
+
+  it('replaces uploads with their paths and lists the files to write', () => {
+    const { parameters, files } = resolveParameterFiles({ logo_file: logo, width: 20, label: 'Hi' })
+
+    expect(parameters).toEqual({ logo_file: '/uploads/logo_file/My_Logo.svg', width: 20, label: 'Hi' })
+    expect(files).toEqual(new Map([['/uploads/logo_file/My_Logo.svg', logo.data]]))
+  })
+
+  it('leaves parameters without uploads unchanged', () => {
+    const { parameters, files } = resolveParameterFiles({ logo_file: 'default.svg' })
+
+    expect(parameters).toEqual({ logo_file: 'default.svg' })
+    expect(files.size).toBe(0)
+  })
+})
@@ -0,0 +1,263 @@
+import { describe, it, expect } from 'vitest'
+import JSZip from 'jszip'
+import {
+  SWEEP_MAX_JOBS,
+  getSweepableParameters,
+  expandAxis,
+  countCombinations,
+  cartesianProduct,
+  latinHypercube,
+  buildSweepJobs,
+  getSweepJobMetrics,
+  buildSweepRows,
+  sortSweepRows,
+  sweepFileName,
+  buildSweepCsv,
+  buildSweepManifest,
+  createSweepZip
+} from '../../src/js/parameter-sweep.js'
+
+/**
+ * Binary STL of an axis-aligned box
+ */
+function boxStl(x, y, z) {
+  const v = [
+    [0, 0, 0], [x, 0, 0], [x, y, 0], [0, y, 0],
+    [0, 0, z], [x, 0, z], [x, y, z], [0, y, z]
+  ]
+  const quads = [[0, 3, 2, 1], [4, 5, 6, 7], [0, 1, 5, 4], [1, 2, 6, 5], [2, 3, 7, 6], [3, 0, 4, 7]]
+  const triangles = quads.flatMap(([a, b, c, d]) => [[a, b, c], [a, c, d]])
+  const buffer = new ArrayBuffer(84 + triangles.length * 50)
+  const view = new DataView(buffer)
+  view.setUint32(80, triangles.length, true)
+  triangles.forEach((tri, t) => {
+    tri.forEach((i, k) => {
+      v[i].forEach((value, axis) => view.setFloat32(84 + t * 50 + 12 + k * 12 + axis * 4, value, true))
+    })
+  })
+  return buffer
+}
+
+function sweepJob(values, options = {}) {
+  const { state = 'complete', size = [10, 10, values.wall ?? 1], renderTime = 1000, outputFormat = 'stl' } = options
+  return {
+    id: `job-${JSON.stringify(values)}`,
+    state,
+    outputFormat,
+    renderTime: state === 'complete' ? renderTime : null,
+    error: state === 'error' ? 'Boom' : null,
+    result: state === 'complete' ? { data: boxStl(...size), stats: {} } : null,
+    sweep: { id: 'sweep-1', values }
+  }
+}
+
+describe('Parameter Sweep', () => {
+  describe('getSweepableParameters', () => {
+    it('offers numbers as ranges and enums and booleans as options', () => {
+      const sweepable = getSweepableParameters({
+        font: { name: 'font', type: 'string', enum: ['A', 'B'], order: 2 },
+        wall: { name: 'wall', type: 'number', default: 2, minimum: 1.2, maximum: 2.4, step: 0.4, order: 1 },
+        count: { name: 'count', type: 'integer', default: 3, order: 3 },
+        label: { name: 'label', type: 'string', default: 'hi', order: 4 },
+        rounded: { name: 'rounded', type: 'boolean', default: true, order: 5 },
+        area: { name: 'area', type: 'number', computed: true, order: 6 }
+      })
+
+      expect(sweepable).toEqual([
+        { name: 'wall', kind: 'range', type: 'number', minimum: 1.2, maximum: 2.4, step: 0.4 },
+        { name: 'font', kind: 'options', options: ['A', 'B'] },
+        { name: 'count', kind: 'range', type: 'integer', minimum: 3, maximum: 3, step: 1 },
+        { name: 'rounded', kind: 'options', options: [true, false] }
+      ])
+    })
+  })
+
+  describe('expandAxis', () => {
+    it('includes both ends of a range without float noise', () => {
+      expect(expandAxis({ name: 'wall', min: 1.2, max: 2.4, step: 0.4 })).toEqual([1.2, 1.6, 2, 2.4])
+      expect(expandAxis({ name: 'n', min: 0, max: 1, step: 0.1 })).toHaveLength(11)
+    })
+
+    it('returns option lists as given', () => {
+      expect(expandAxis({ name: 'font', values: ['A', 'B'] })).toEqual(['A', 'B'])
+    })
+
+    it('rejects bad ranges', () => {
+      expect(() => expandAxis({ name: 'wall', min: 1, max: 2, step: 0 })).toThrow(/step for wall must be greater than 0/)
+      expect(() => expandAxis({ name: 'wall', min: 2, max: 1, step: 1 })).toThrow(/must not be less than the start/)
+      expect(() => expandAxis({ name: 'wall', min: NaN, max: 1, step: 1 })).toThrow(/Enter a start, end and step/)
+      expect(() => expandAxis({ name: 'font', values: [] })).toThrow(/at least one value for font/)
+      expect(() => expandAxis({ name: 'wall', min: 0, max: 1000, step: 1 })).toThrow(/at most 200 jobs/)
+    })
+  })
+
+  describe('cartesianProduct', () => {
+    it('builds every combination with the first axis varying slowest', () => {
+      const axes = [
+        { name: 'wall', min: 1.2, max: 2.4, step: 0.4 },
+        { name: 'font', values: ['A', 'B'] }
+      ]
+
+      expect(countCombinations(axes)).toBe(8)
+      expect(cartesianProduct(axes).slice(0, 3)).toEqual([
+        { wall: 1.2, font: 'A' },
+        { wall: 1.2, font: 'B' },
+        { wall: 1.6, font: 'A' }
+      ])
+    })
+
+    it('refuses sweeps over the job limit', () => {
+      const axes = [
+        { name: 'a', min: 1, max: 20, step: 1 },
+        { name: 'b', min: 1, max: 20, step: 1 }
+      ]
+
+      expect(() => cartesianProduct(axes)).toThrow(`This sweep has 400 combinations; the most is ${SWEEP_MAX_JOBS}`)
+    })
+  })
+
+  describe('latinHypercube', () => {
+    it('uses every stratum of every axis once', () => {
+      const axes = [
+        { name: 'a', min: 0, max: 9, step: 1 },
+        { name: 'b', min: 0, max: 90, step: 10 }
+      ]
+      const samples = latinHypercube(axes, 10)
+
+      expect(samples.map((s) => s.a).sort((x, y) => x - y)).toEqual([0, 1, 2, 3, 4, 5, 6, 7, 8, 9])
+      expect(samples.map((s) => s.b).sort((x, y) => x - y)).toEqual([0, 10, 20, 30, 40, 50, 60, 70, 80, 90])
+    })
+
+    it('spreads samples over options and drops duplicates', () => {
+      const samples = latinHypercube([{ name: 'font', values: ['A', 'B'] }], 4, () => 0.5)
+
+      expect(samples).toEqual([{ font: 'A' }, { font: 'B' }])
+    })
+
+    it('rejects bad sample counts', () => {
+      const axes = [{ name: 'a', min: 0, max: 1, step: 1 }]
+
+      expect(() => latinHypercube(axes, 0)).toThrow('Enter a whole number of samples')
+      expect(() => latinHypercube(axes, 201)).toThrow(/at most 200 jobs/)
+    })
+  })
+
+  describe('buildSweepJobs', () => {
+    it('names jobs after their values and keeps the other parameters', () => {
+      const jobs = buildSweepJobs(
+        [{ name: 'wall', min: 1, max: 2, step: 1 }, { name: 'font', values: ['A'] }],
+        { baseParameters: { wall: 5, height: 10 } }
+      )
+
+      expect(jobs).toEqual([
+        { name: 'wall=1, font=A', values: { wall: 1, font: 'A' }, parameters: { wall: 1, height: 10, font: 'A' } },
+        { name: 'wall=2, font=A', values: { wall: 2, font: 'A' }, parameters: { wall: 2, height: 10, font: 'A' } }
+      ])
+    })
+
+    it('samples in Latin-hypercube mode', () => {
+      const jobs = buildSweepJobs([{ name: 'a', min: 0, max: 99, step: 1 }], {
+        mode: 'latin-hypercube',
+        samples: 5
+      })
+
+      expect(jobs).toHaveLength(5)
+    })
+
+    it('rejects empty, repeated or unknown sweeps', () => {
+      const axis = { name: 'a', values: [1] }
+
+      expect(() => buildSweepJobs([])).toThrow('Add at least one parameter to sweep')
+      expect(() => buildSweepJobs([axis, axis])).toThrow('Each parameter can only be swept once')
+      expect(() => buildSweepJobs([axis], { mode: 'random' })).toThrow('Unknown sweep mode: random')
+    })
+  })
+
+  describe('results', () => {
+    it('measures STL results once', () => {
+      const job = sweepJob({ wall: 2 }, { size: [10, 20, 2] })
+      const metrics = getSweepJobMetrics(job)
+
+      expect(metrics.volume).toBeCloseTo(400)
+      expect(metrics.size).toEqual([10, 20, 2])
+      expect(metrics.triangles).toBe(12)
+      expect(getSweepJobMetrics(job)).toBe(metrics)
+    })
+
+    it('does not measure unfinished or non-STL results', () => {
+      expect(getSweepJobMetrics(sweepJob({ wall: 1 }, { state: 'queued' }))).toBeNull()
+      expect(getSweepJobMetrics(sweepJob({ wall: 1 }, { outputFormat: 'obj' }))).toBeNull()
+    })
+
+    it('sorts rows by metric or value with missing values last', () => {
+      const rows = buildSweepRows([
+        sweepJob({ wall: 3 }),
+        sweepJob({ wall: 1 }, { state: 'error' }),
+        sweepJob({ wall: 2 })
+      ])
+
+      expect(sortSweepRows(rows, 'volume').map((row) => row.index)).toEqual([2, 0, 1])
+      expect(sortSweepRows(rows, 'volume', 'descending').map((row) => row.index)).toEqual([0, 2, 1])
+      expect(sortSweepRows(rows, 'param:wall').map((row) => row.index)).toEqual([1, 2, 0])
+      expect(rows[1]).toMatchObject({ state: 'error', error: 'Boom', volume: null })
+    })
+
+    it('sorts text values naturally', () => {
+      const rows = buildSweepRows([sweepJob({ font: 'B10' }), sweepJob({ font: 'B9' })])
+
+      expect(sortSweepRows(rows, 'param:font').map((row) => row.values.font)).toEqual(['B9', 'B10'])
+    })
+  })
+
+  describe('export', () => {
+    const options = {
+      modelName: 'My Bracket.scad',
+      format: 'stl',
+      mode: 'grid',
+      axes: [{ name: 'wall', min: 1, max: 2, step: 1 }],
+      parameters: { wall: 1.5, height: 10 }
+    }
+
+    it('numbers the files of a sweep', () => {
+      expect(sweepFileName('My Bracket.scad', 6, 'stl')).toBe('my_bracket-sweep-007.stl')
+    })
+
+    it('writes the results table as CSV', () => {
+      const rows = buildSweepRows([sweepJob({ wall: 1 }, { renderTime: 1234 }), sweepJob({ wall: 2 }, { state: 'error' })])
+      const lines = buildSweepCsv(rows, ['wall'], options).trim().split('\r\n')
+
+      expect(lines[0]).toBe('Number,File,wall,Status,Volume (mm3),Size X (mm),Size Y (mm),Size Z (mm),Render time (s),Error')
+      expect(lines[1]).toBe('1,my_bracket-sweep-001.stl,1,complete,100,10,10,1,1.23,')
+      expect(lines[2]).toBe('2,,2,error,,,,,,Boom')
+    })
+
+    it('describes the sweep in a manifest', () => {
+      const rows = buildSweepRows([sweepJob({ wall: 1 }), sweepJob({ wall: 2 }, { state: 'cancelled' })])
+      const manifest = buildSweepManifest(rows, options)
+
+      expect(manifest).toMatchObject({
+        version: 1,
+        model: 'My Bracket.scad',
+        mode: 'grid',
+        parameters: { height: 10 },
+        jobs: [
+          { values: { wall: 1 }, file: 'my_bracket-sweep-001.stl', volume: 100, size: [10, 10, 1] },
+          { values: { wall: 2 }, error: 'Not rendered (cancelled)' }
+        ]
+      })
+    })
+
+    it('zips the rendered files with the manifest and results', async () => {
+      const rows = buildSweepRows([sweepJob({ wall: 1 }), sweepJob({ wall: 2 }, { state: 'error' })])
+      const zip = await JSZip.loadAsync(await createSweepZip(rows, options))
+
+      expect(Object.keys(zip.files).sort()).toEqual(['manifest.json', 'my_bracket-sweep-001.stl', 'results.csv'])
+    })
+
+    it('refuses to zip a sweep with nothing rendered', async () => {
+      const rows = buildSweepRows([sweepJob({ wall: 1 }, { state: 'queued' })])
+
+      await expect(createSweepZip(rows, options)).rejects.toThrow('No sweep jobs have rendered yet')
+    })
+  })
+})
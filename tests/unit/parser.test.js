@@ -584,5 +584,313 @@ describe('Parameter Parser', () => {
       expect(result.parameters.extra.dependency.operator).toBe('==')
       expect(result.parameters.extra.dependency.value).toBe('advanced')
     })
+
+    it('should parse compound @depends conditions', () => {
+      const scad = `
+        has_case = "yes"; // [yes, no]
+        screen_width = 250; // [100:400]
+        // Vent size @depends(has_case==yes && (screen_width > 200 || screen_width == 0))
+        vent_size = 4; // [1:10]
+      `
+      const result = extractParameters(scad)
+      const dependency = result.parameters.vent_size.dependency
+
+      expect(dependency.expression).toBe(
+        'has_case==yes && (screen_width > 200 || screen_width == 0)'
+      )
+      expect(dependency.parameters).toEqual(['has_case', 'screen_width'])
+      expect(dependency.condition.type).toBe('and')
+      expect(dependency.operator).toBeUndefined()
+      expect(result.warnings).toEqual([])
+    })
+
+    it('should keep legacy values that are not plain words', () => {
+      const scad = `
+        size = "x-large"; // [small, x-large]
+        // Extra support @depends(size==x-large)
+        support = true;
+      `
+      const result = extractParameters(scad)
+
+      expect(result.parameters.support.dependency.value).toBe('x-large')
+    })
+
+    it('should warn about and ignore invalid @depends conditions', () => {
+      const scad = `
+        mode = "a"; // [a, b]
+        // Broken @depends(mode == )
+        extra = 1;
+      `
+      const result = extractParameters(scad)
+
+      expect(result.parameters.extra.dependency).toBeUndefined()
+      expect(result.warnings).toHaveLength(1)
+      expect(result.warnings[0].parameter).toBe('extra')
+      expect(result.warnings[0].message).toContain('Invalid @depends')
+    })
+
+    it('should warn about dependencies on unknown parameters', () => {
+      const scad = `
+        // Detail @depends(missing_param==yes)
+        detail = 5; // [1:10]
+      `
+      const result = extractParameters(scad)
+
+      expect(result.parameters.detail.dependency).toBeUndefined()
+      expect(result.warnings[0].message).toContain('missing_param')
+    })
+
+    it('should warn about and break dependency cycles', () => {
+      const scad = `
+        // A @depends(b > 1)
+        a = 2; // [0:5]
+        // B @depends(a > 1)
+        b = 2; // [0:5]
+        // C @depends(a > 1)
+        c = 2; // [0:5]
+      `
+      const result = extractParameters(scad)
+
+      expect(result.parameters.a.dependency).toBeUndefined()
+      expect(result.parameters.b.dependency).toBeUndefined()
+      expect(result.parameters.c.dependency).toBeDefined()
+      expect(result.warnings.map((w) => w.parameter)).toEqual(['a', 'b'])
+      expect(result.warnings[0].message).toContain('a -> b -> a')
+    })
+  })
+
+  describe('Vector, List and Range Parameters', () => {
+    it('should parse numeric vectors with a shared range hint', () => {
+      const scad = `
+        /*[Dimensions]*/
+        size = [40, 20, 10]; // [0:100]
+      `
+      const result = extractParameters(scad)
+      const param = result.parameters.size
+
+      expect(param.type).toBe('vector')
+      expect(param.uiType).toBe('vector')
+      expect(param.default).toEqual([40, 20, 10])
+      expect(param.elementCount).toBe(3)
+      expect(param.minimum).toBe(0)
+      expect(param.maximum).toBe(100)
+      expect(param.step).toBeUndefined()
+    })
+
+    it('should parse vector step and description after the hint', () => {
+      const scad = `
+        offset = [0.5, -1.5]; // [-10:0.5:10] Offset from center
+      `
+      const result = extractParameters(scad)
+      const param = result.parameters.offset
+
+      expect(param.type).toBe('vector')
+      expect(param.minimum).toBe(-10)
+      expect(param.step).toBe(0.5)
+      expect(param.maximum).toBe(10)
+      expect(param.description).toBe('Offset from center')
+    })
+
+    it('should treat vectors longer than four elements as lists', () => {
+      const scad = `
+        heights = [1, 2, 3, 4, 5];
+      `
+      const result = extractParameters(scad)
+
+      expect(result.parameters.heights.type).toBe('list')
+      expect(result.parameters.heights.uiType).toBe('list')
+      expect(result.parameters.heights.default).toEqual([1, 2, 3, 4, 5])
+    })
+
+    it('should parse mixed and nested lists', () => {
+      const scad = `
+        labels = ["A", "B", 3];
+        points = [[0, 0], [10, 0], [5, 8]];
+      `
+      const result = extractParameters(scad)
+
+      expect(result.parameters.labels.type).toBe('list')
+      expect(result.parameters.labels.default).toEqual(['A', 'B', 3])
+      expect(result.parameters.points.type).toBe('list')
+      expect(result.parameters.points.default).toEqual([
+        [0, 0],
+        [10, 0],
+        [5, 8],
+      ])
+    })
+
+    it('should parse range literals', () => {
+      const scad = `
+        steps = [0:2:10];
+        angles = [0:360];
+      `
+      const result = extractParameters(scad)
+
+      expect(result.parameters.steps.type).toBe('range')
+      expect(result.parameters.steps.uiType).toBe('range')
+      expect(result.parameters.steps.default).toEqual({ begin: 0, step: 2, end: 10 })
+      expect(result.parameters.angles.default).toEqual({ begin: 0, step: 1, end: 360 })
+    })
+
+    it('should treat vectors containing expressions as computed', () => {
+      const scad = `
+        width = 40;
+        size = [width, 20, 10];
+      `
+      const result = extractParameters(scad)
+
+      expect(result.parameters.size.computed).toBe(true)
+      expect(result.parameters.size.default).toEqual([40, 20, 10])
+    })
+
+    it('should infer units for vectors from the name', () => {
+      const scad = `
+        box_size = [10, 20, 30]; // [1:100]
+      `
+      const result = extractParameters(scad)
+
+      expect(result.parameters.box_size.unit).toBe('mm')
+    })
+  })
+
+  describe('Expression Defaults', () => {
+    it('should classify expressions that reference parameters as computed', () => {
+      const scad = `
+        thickness = 2; // [1:5]
+        wall = thickness * 2; // Wall thickness
+        d = 20;
+        r = d / 2;
+      `
+      const result = extractParameters(scad)
+      const wall = result.parameters.wall
+
+      expect(wall.computed).toBe(true)
+      expect(wall.uiType).toBe('computed')
+      expect(wall.expression).toBe('thickness * 2')
+      expect(wall.references).toEqual(['thickness'])
+      expect(wall.default).toBe(4)
+      expect(wall.type).toBe('integer')
+      expect(wall.description).toBe('Wall thickness')
+      expect(result.parameters.r.default).toBe(10)
+    })
+
+    it('should evaluate constant expressions as editable values', () => {
+      const scad = `
+        area = 2 * 3;
+        third = 1 / 4;
+        label = str("v", 2);
+      `
+      const result = extractParameters(scad)
+
+      expect(result.parameters.area.computed).toBeUndefined()
+      expect(result.parameters.area.default).toBe(6)
+      expect(result.parameters.area.type).toBe('integer')
+      expect(result.parameters.third.default).toBe(0.25)
+      expect(result.parameters.label.default).toBe('v2')
+    })
+
+    it('should not read a leading number from an expression', () => {
+      const scad = `
+        width = 10;
+        double = 2 * width;
+      `
+      const result = extractParameters(scad)
+
+      expect(result.parameters.double.computed).toBe(true)
+      expect(result.parameters.double.default).toBe(20)
+    })
+
+    it('should resolve references to Hidden variables', () => {
+      const scad = `
+        /*[Size]*/
+        scale = 2;
+        /*[Hidden]*/
+        base = 5;
+        /*[Size]*/
+        total = base * scale;
+      `
+      const result = extractParameters(scad)
+
+      expect(result.parameters.base).toBeUndefined()
+      expect(result.parameters.total.default).toBe(10)
+      expect(result.assignments.map((a) => a.name)).toEqual([
+        'scale',
+        'base',
+        'total',
+      ])
+    })
+
+    it('should keep unknown bare words as unquoted strings', () => {
+      const scad = `
+        shape = round; // [round, square]
+      `
+      const result = extractParameters(scad)
+
+      expect(result.parameters.shape.type).toBe('string')
+      expect(result.parameters.shape.default).toBe('round')
+      expect(result.parameters.shape.uiType).toBe('select')
+    })
+
+    it('should treat aliases of known variables as computed', () => {
+      const scad = `
+        height = 10;
+        lid_height = height;
+      `
+      const result = extractParameters(scad)
+
+      expect(result.parameters.lid_height.computed).toBe(true)
+      expect(result.parameters.lid_height.default).toBe(10)
+    })
+  })
+
+  describe('Part Selector', () => {
+    it('should use every option except "all" for a bare @parts', () => {
+      const scad = `
+        part = "all"; // [all, lid, base, insert] @parts
+      `
+      const result = extractParameters(scad)
+
+      expect(result.partSelector).toEqual({
+        parameter: 'part',
+        parts: ['lid', 'base', 'insert'],
+      })
+      expect(result.parameters.part.description).toBe('')
+    })
+
+    it('should read listed parts from a preceding comment', () => {
+      const scad = `
+        // Piece to print @parts(lid, base)
+        piece = "lid"; // [lid, base, preview]
+      `
+      const result = extractParameters(scad)
+
+      expect(result.partSelector).toEqual({
+        parameter: 'piece',
+        parts: ['lid', 'base'],
+      })
+      expect(result.parameters.piece.description).toBe('Piece to print')
+    })
+
+    it('should warn about unusable @parts annotations', () => {
+      const scad = `
+        part = "lid"; // [lid, base] @parts(lid, handle)
+        other = "a"; // [a, b] @parts
+        width = 10; // @parts
+      `
+      const result = extractParameters(scad)
+
+      expect(result.partSelector).toEqual({ parameter: 'part', parts: ['lid'] })
+      expect(result.warnings.map((w) => [w.parameter, w.type])).toEqual([
+        ['part', 'parts'],
+        ['other', 'parts'],
+        ['width', 'parts'],
+      ])
+    })
+
+    it('should report no selector without @parts', () => {
+      const result = extractParameters('part = "all"; // [all, lid]')
+
+      expect(result.partSelector).toBeNull()
+    })
   })
 })
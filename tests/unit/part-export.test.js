@@ -0,0 +1,133 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import JSZip from 'jszip'
+import { RenderQueue } from '../../src/js/render-queue.js'
+import {
+  partFileName,
+  renderAllParts,
+  buildPartsManifest,
+  createPartsZip,
+  createPartsThreeMF
+} from '../../src/js/part-export.js'
+
+const PART_SELECTOR = { parameter: 'part', parts: ['lid', 'base'] }
+
+// One triangle, red for the lid and uncolored for the base
+function offFor(part) {
+  const color = part === 'lid' ? ' 255 0 0' : ''
+  return new TextEncoder().encode(`OFF 3 1 0\n0 0 0\n1 0 0\n0 1 0\n3 0 1 2${color}\n`).buffer
+}
+
+describe('Part Export', () => {
+  let renderController
+  let queue
+
+  beforeEach(() => {
+    renderController = {
+      render: vi.fn(async (_scad, parameters, options) => ({
+        data: options.outputFormat === 'off' ? offFor(parameters.part) : new ArrayBuffer(84),
+        stats: { triangles: 1 }
+      }))
+    }
+    queue = new RenderQueue(renderController)
+    queue.setProject('part = "all"; // [all, lid, base] @parts')
+  })
+
+  describe('partFileName', () => {
+    it('combines the model and part names', () => {
+      expect(partFileName('My Box.scad', 'Lid (top)', 'stl')).toBe('my_box-lid__top_.stl')
+      expect(partFileName('box.zip', 'base', '3mf')).toBe('box-base.3mf')
+    })
+  })
+
+  describe('renderAllParts', () => {
+    it('queues and renders one job per part', async () => {
+      const onProgress = vi.fn()
+      const results = await renderAllParts(queue, {
+        partSelector: PART_SELECTOR,
+        parameters: { part: 'all', width: 10 },
+        onProgress
+      })
+
+      expect(results.map(({ part, job }) => [part, job.name, job.state])).toEqual([
+        ['lid', 'Part: lid', 'complete'],
+        ['base', 'Part: base', 'complete']
+      ])
+      expect(renderController.render.mock.calls.map((call) => call[1])).toEqual([
+        { part: 'lid', width: 10 },
+        { part: 'base', width: 10 }
+      ])
+      expect(onProgress).toHaveBeenCalledWith(1, 2, 'base')
+    })
+
+    it('keeps rendering after a part fails', async () => {
+      renderController.render.mockRejectedValueOnce(new Error('Lid broke'))
+      vi.spyOn(console, 'warn').mockImplementation(() => {})
+
+      const results = await renderAllParts(queue, {
+        partSelector: PART_SELECTOR,
+        parameters: {}
+      })
+
+      expect(results.map(({ job }) => job.state)).toEqual(['error', 'complete'])
+      expect(results[0].job.error).toBe('Lid broke')
+    })
+
+    it('refuses to overfill the queue', async () => {
+      const small = new RenderQueue(renderController, { maxQueueSize: 1 })
+
+      await expect(
+        renderAllParts(small, { partSelector: PART_SELECTOR, parameters: {} })
+      ).rejects.toThrow('room for 1 more job')
+      expect(small.getJobCount()).toBe(0)
+    })
+  })
+
+  describe('Bundling', () => {
+    it('writes part files and a manifest to a ZIP', async () => {
+      renderController.render.mockRejectedValueOnce(new Error('Lid broke'))
+      vi.spyOn(console, 'warn').mockImplementation(() => {})
+      const results = await renderAllParts(queue, {
+        partSelector: PART_SELECTOR,
+        parameters: { part: 'all', width: 10 }
+      })
+      const options = {
+        modelName: 'box.scad',
+        partParameter: 'part',
+        format: 'stl',
+        parameters: { part: 'all', width: 10 }
+      }
+
+      const zip = await JSZip.loadAsync(await createPartsZip(results, options))
+      const manifest = JSON.parse(await zip.file('manifest.json').async('string'))
+
+      expect(Object.keys(zip.files).sort()).toEqual(['box-base.stl', 'manifest.json'])
+      expect(manifest).toMatchObject({
+        version: 1,
+        model: 'box.scad',
+        partParameter: 'part',
+        format: 'stl',
+        parameters: { width: 10 },
+        parts: [
+          { name: 'lid', error: 'Lid broke' },
+          { name: 'base', file: 'box-base.stl', triangles: 1, size: 84 }
+        ]
+      })
+      expect(buildPartsManifest(results, options).parameters).not.toHaveProperty('part')
+    })
+
+    it('packs parts as named objects in one 3MF', async () => {
+      const results = await renderAllParts(queue, {
+        partSelector: PART_SELECTOR,
+        parameters: {},
+        outputFormat: 'off'
+      })
+
+      const zip = await JSZip.loadAsync(await createPartsThreeMF(results))
+      const xml = await zip.file('3D/3dmodel.model').async('string')
+
+      expect(xml).toContain('name="lid"')
+      expect(xml).toContain('name="base"')
+      expect(xml.match(/<item /g)).toHaveLength(2)
+    })
+  })
+})
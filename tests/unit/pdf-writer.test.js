@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest'
+import {
+  PdfDocument,
+  toPdfText,
+  measureText,
+  wrapText,
+  readJpegSize,
+  dataUrlToBytes
+} from '../../src/js/pdf-writer.js'
+
+// SOI, an APP0 segment, then a baseline SOF0 for a 40 x 30 image
+const JPEG = new Uint8Array([
+  0xff, 0xd8,
+  0xff, 0xe0, 0x00, 0x04, 0x00, 0x00,
+  0xff, 0xc0, 0x00, 0x0b, 0x08, 0x00, 0x1e, 0x00, 0x28, 0x01, 0x01, 0x11, 0x00,
+  0xff, 0xd9
+])
+
+const decode = (bytes) => new TextDecoder('latin1').decode(bytes)
+
+describe('PDF Writer', () => {
+  describe('Text', () => {
+    it('keeps Latin-1 and replaces other characters', () => {
+      expect(toPdfText('10 × 5 mm — café')).toBe('10 × 5 mm - café')
+      expect(toPdfText('日本')).toBe('??')
+    })
+
+    it('measures with Helvetica metrics', () => {
+      expect(measureText('ii', 10)).toBeCloseTo(4.44)
+      expect(measureText('ii', 10, true)).toBeCloseTo(5.56)
+    })
+
+    it('wraps on spaces and splits long words', () => {
+      expect(wrapText('aaa bbb ccc', 10, measureText('aaa bbb', 10))).toEqual(['aaa bbb', 'ccc'])
+      expect(wrapText('abcdef', 10, measureText('abc', 10))).toEqual(['abc', 'def'])
+      expect(wrapText('one\ntwo', 10, 500)).toEqual(['one', 'two'])
+    })
+  })
+
+  describe('Images', () => {
+    it('reads the JPEG frame size', () => {
+      expect(readJpegSize(JPEG)).toEqual({ width: 40, height: 30 })
+      expect(() => readJpegSize(new Uint8Array(16))).toThrow('Not a JPEG image')
+    })
+
+    it('decodes base64 data URLs', () => {
+      const dataUrl = `data:image/jpeg;base64,${btoa(String.fromCharCode(...JPEG))}`
+      expect(dataUrlToBytes(dataUrl)).toEqual(JPEG)
+    })
+  })
+
+  describe('PdfDocument', () => {
+    it('writes a document with a valid cross-reference table', () => {
+      const pdf = new PdfDocument({ title: 'Report (draft)' })
+      pdf.text('Hello (world) \\ test', 50, 60, { bold: true })
+      pdf.addPage()
+      pdf.image(JPEG, 50, 50, 200, 150)
+      const text = decode(pdf.toBytes())
+
+      expect(text.startsWith('%PDF-1.4')).toBe(true)
+      expect(text.trimEnd().endsWith('%%EOF')).toBe(true)
+      expect(text).toContain('/Count 2')
+      expect(text).toContain('/Title (Report \\(draft\\))')
+      expect(text).toContain('/Lang (en)')
+      expect(text).toContain('(Hello \\(world\\) \\\\ test) Tj')
+      expect(text).toContain('/Width 40 /Height 30')
+
+      // Every xref offset points at its object
+      const startxref = Number(text.match(/startxref\n(\d+)/)[1])
+      const entries = text.slice(startxref).match(/\d{10} 00000 n /g)
+      entries.forEach((entry, i) => {
+        const offset = Number(entry.slice(0, 10))
+        expect(text.startsWith(`${i + 1} 0 obj`, offset)).toBe(true)
+      })
+    })
+  })
+})
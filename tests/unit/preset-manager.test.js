@@ -1,5 +1,6 @@
 import { describe, it, expect, beforeEach, vi, afterEach } from 'vitest'
-import { PresetManager, coercePresetValues, extractScadVersion, compareVersions } from '../../src/js/preset-manager.js'
+import { PresetManager, coercePresetValues, extractScadVersion, compareVersions, readParameterSets } from '../../src/js/preset-manager.js'
+import { resolveParameterFiles } from '../../src/js/parameter-files.js'
 
 describe('Preset Manager', () => {
   let presetManager
@@ -270,6 +271,21 @@ describe('Preset Manager', () => {
       expect(parsed.presets[0].created).toBeDefined()
       expect(parsed.presets[0].description).toBe('First preset')
     })
+
+    it('should keep library versions through export and import', () => {
+      const libraries = [{ id: 'BOSL2', version: 'abc123def456' }]
+      const saved = presetManager.savePreset(modelName, 'Pinned', { width: 5 }, {
+        libraries: [...libraries, { id: '../evil' }, null]
+      })
+      expect(saved.libraries).toEqual(libraries)
+      expect(presetManager.loadPreset(modelName, presetId1).libraries).toBeUndefined()
+
+      const exported = presetManager.exportPreset(modelName, saved.id)
+      presetManager.clearPresets(modelName)
+      const result = presetManager.importPreset(exported)
+
+      expect(result.presets[0].libraries).toEqual(libraries)
+    })
   })
 
   describe('Importing Presets', () => {
@@ -762,6 +778,23 @@ describe('Preset Manager', () => {
       expect(preset1.enabled).toBe('true')
     })
 
+    it('should leave out parameters hidden by @depends when given a schema', () => {
+      const paramSchema = {
+        width: { name: 'width' },
+        enabled: { name: 'enabled' },
+        name: {
+          name: 'name',
+          dependency: { parameter: 'enabled', operator: '==', value: 'true' }
+        }
+      }
+      const exported = presetManager.exportOpenSCADNativeFormat(modelName, paramSchema)
+      const parsed = JSON.parse(exported)
+
+      expect(parsed.parameterSets['Preset 1'].name).toBe('test')
+      expect(parsed.parameterSets['Preset 2'].name).toBeUndefined()
+      expect(parsed.parameterSets['Preset 2'].width).toBe('200')
+    })
+
     it('should export single preset to OpenSCAD native format', () => {
       const presets = presetManager.getPresetsForModel(modelName)
       const exported = presetManager.exportPresetOpenSCADNative(modelName, presets[0].id)
@@ -775,6 +808,63 @@ describe('Preset Manager', () => {
       const result = presetManager.exportOpenSCADNativeFormat('non-existent-model')
       expect(result).toBeNull()
     })
+
+    it('should round-trip vectors, lists and ranges', () => {
+      const roundTripModel = 'vector-model.scad'
+      presetManager.savePreset(roundTripModel, 'Vectors', {
+        size: [40, 20, 10],
+        labels: ['A', 'B'],
+        steps: { begin: 0, step: 2, end: 10 }
+      })
+
+      const exported = presetManager.exportOpenSCADNativeFormat(roundTripModel)
+      const parsed = JSON.parse(exported)
+      const set = parsed.parameterSets['Vectors']
+      expect(set.size).toBe('[40, 20, 10]')
+      expect(set.labels).toBe('["A", "B"]')
+      expect(set.steps).toBe('[0:2:10]')
+
+      presetManager.clearPresets(roundTripModel)
+      presetManager.importPreset(exported, roundTripModel, {
+        size: { type: 'vector' },
+        labels: { type: 'list' },
+        steps: { type: 'range' }
+      })
+
+      const imported = presetManager.getPresetsForModel(roundTripModel)[0]
+      expect(imported.parameters.size).toEqual([40, 20, 10])
+      expect(imported.parameters.labels).toEqual(['A', 'B'])
+      expect(imported.parameters.steps).toEqual({ begin: 0, step: 2, end: 10 })
+    })
+
+    it('should round-trip uploads as the path the project ZIP bundles them at', () => {
+      const uploadModel = 'upload-model.scad'
+      const upload = {
+        name: 'my logo.svg',
+        size: 5,
+        type: 'image/svg+xml',
+        data: 'data:image/svg+xml;base64,PHN2Zz4='
+      }
+      presetManager.savePreset(uploadModel, 'Logo', { logo_file: upload, width: 10 })
+
+      const exported = presetManager.exportOpenSCADNativeFormat(uploadModel)
+      const set = JSON.parse(exported).parameterSets['Logo']
+      expect(set.logo_file).toBe('uploads/logo_file/my_logo.svg')
+
+      // Same path createProjectZip writes the upload to, minus the leading slash
+      const [zipPath] = resolveParameterFiles({ logo_file: upload }).files.keys()
+      expect(zipPath.replace(/^\/+/, '')).toBe(set.logo_file)
+
+      presetManager.clearPresets(uploadModel)
+      presetManager.importPreset(exported, uploadModel, {
+        logo_file: { type: 'file' },
+        width: { type: 'number' }
+      })
+
+      const imported = presetManager.getPresetsForModel(uploadModel)[0]
+      expect(imported.parameters.logo_file).toBe('uploads/logo_file/my_logo.svg')
+      expect(imported.parameters.width).toBe(10)
+    })
   })
 
   describe('Changed Parameters Export', () => {
@@ -1333,4 +1423,43 @@ describe('Preset Manager', () => {
       expect(presetManager.valuesEqual(null, 0)).toBe(false)
     })
   })
+
+  describe('readParameterSets', () => {
+    const schema = { width: { type: 'integer' }, label: { type: 'string' } }
+
+    it('reads OpenSCAD native parameter sets with coerced values', () => {
+      const sets = readParameterSets({
+        fileFormatVersion: '1',
+        parameterSets: {
+          Small: { width: '10', label: 'S' },
+          Large: { width: '90', label: 'L' }
+        }
+      }, schema)
+
+      expect(sets).toEqual([
+        { name: 'Small', parameters: { width: 10, label: 'S' } },
+        { name: 'Large', parameters: { width: 90, label: 'L' } }
+      ])
+    })
+
+    it('reads single and collection Forge presets', () => {
+      expect(readParameterSets({
+        type: 'openscad-preset',
+        preset: { name: 'One', parameters: { width: 5 } }
+      }, schema)).toEqual([{ name: 'One', parameters: { width: 5 } }])
+
+      const sets = readParameterSets({
+        type: 'openscad-presets-collection',
+        presets: [
+          { name: 'A', parameters: { width: 1 } },
+          { name: 'B', parameters: { width: 2 } }
+        ]
+      }, schema)
+      expect(sets.map(s => s.name)).toEqual(['A', 'B'])
+    })
+
+    it('throws for unknown formats', () => {
+      expect(() => readParameterSets({ foo: 'bar' })).toThrow(/Invalid preset file format/)
+    })
+  })
 })
@@ -1108,4 +1108,180 @@ describe('PreviewManager', () => {
       })
     })
   })
+
+  describe('Cross-Section', () => {
+    it('starts with the section off', () => {
+      const manager = new PreviewManager(container)
+
+      expect(manager.sectionConfig).toMatchObject({ enabled: false, axis: 'z', offset: null })
+      expect(manager.section).toBeNull()
+      expect(manager.describeSection()).toBeNull()
+    })
+
+    it('keeps the settings until a model loads', () => {
+      const manager = new PreviewManager(container)
+
+      expect(manager.setSection({ enabled: true, axis: 'x', offset: 4 })).toBeNull()
+      expect(manager.sectionConfig).toMatchObject({ enabled: true, axis: 'x', offset: 4 })
+      expect(manager.getSectionRange()).toBeNull()
+    })
+
+    it('rejects a zero custom direction without changing the settings', () => {
+      const manager = new PreviewManager(container)
+
+      expect(() => manager.setSection({ axis: 'custom', customNormal: [0, 0, 0] })).toThrow(/non-zero/)
+      expect(manager.sectionConfig.axis).toBe('z')
+    })
+
+    it('disposes section helpers on clear', () => {
+      const manager = new PreviewManager(container)
+      const dispose = vi.fn()
+      manager.scene = { remove: vi.fn() }
+      manager.renderer = { render: vi.fn() }
+      manager.sectionHelpers = {
+        traverse: (callback) => callback({ geometry: { dispose }, material: { dispose } })
+      }
+      manager.section = { axis: 'z' }
+
+      manager.clear()
+
+      expect(dispose).toHaveBeenCalledTimes(2)
+      expect(manager.sectionHelpers).toBeNull()
+      expect(manager.section).toBeNull()
+    })
+  })
+
+  describe('Feature Measurement', () => {
+    it('starts with measurement mode off', () => {
+      const manager = new PreviewManager(container)
+
+      expect(manager.measureMode).toBe(false)
+      expect(manager.measureType).toBe('face')
+      expect(manager.getMeasureTopology()).toBeNull()
+    })
+
+    it('listens for clicks on the canvas only while measuring', () => {
+      const manager = new PreviewManager(container)
+      const canvas = document.createElement('canvas')
+      const add = vi.spyOn(canvas, 'addEventListener')
+      const remove = vi.spyOn(canvas, 'removeEventListener')
+      manager.renderer = { domElement: canvas }
+
+      manager.setMeasureMode(true, { onPick: vi.fn() })
+      expect(manager.measureMode).toBe(true)
+      expect(add.mock.calls.map(([type]) => type)).toEqual(['pointerdown', 'pointerup'])
+
+      manager.setMeasureMode(false)
+      expect(manager.measureMode).toBe(false)
+      expect(remove.mock.calls.map(([type]) => type)).toEqual(['pointerdown', 'pointerup'])
+    })
+
+    it('steps and selects with the keyboard on the focused canvas', () => {
+      const manager = new PreviewManager(container)
+      const canvas = document.createElement('canvas')
+      canvas.setAttribute('tabindex', '0')
+      container.appendChild(canvas)
+      manager.renderer = { domElement: canvas }
+      const onStep = vi.fn()
+      const onSelect = vi.fn()
+      manager.setupKeyboardControls()
+      manager.setMeasureMode(true, { onStep, onSelect })
+      canvas.focus()
+
+      for (const key of [']', '[', 'Enter']) {
+        canvas.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true }))
+      }
+
+      expect(onStep.mock.calls).toEqual([[1], [-1]])
+      expect(onSelect).toHaveBeenCalledTimes(1)
+      document.removeEventListener('keydown', manager.keyboardHandler)
+    })
+
+    it('builds the feature topology once per mesh', () => {
+      const manager = new PreviewManager(container)
+      manager.mesh = {
+        geometry: {
+          attributes: {
+            position: { array: new Float32Array([0, 0, 0, 1, 0, 0, 0, 1, 0]) }
+          }
+        }
+      }
+
+      const topology = manager.getMeasureTopology()
+
+      expect(topology.faces).toHaveLength(1)
+      expect(manager.getMeasureTopology()).toBe(topology)
+    })
+
+    it('disposes measurement helpers on clear', () => {
+      const manager = new PreviewManager(container)
+      const dispose = vi.fn()
+      manager.scene = { remove: vi.fn() }
+      manager.renderer = { render: vi.fn() }
+      manager.measureHelpers = {
+        traverse: (callback) => callback({ geometry: { dispose }, material: { dispose } })
+      }
+      manager.measureTopology = { faces: [] }
+
+      manager.clear()
+
+      expect(dispose).toHaveBeenCalledTimes(2)
+      expect(manager.measureHelpers).toBeNull()
+      expect(manager.measureTopology).toBeNull()
+    })
+  })
+
+  describe('Comparison', () => {
+    const vector = (values) => ({
+      values: [...values],
+      toArray() { return [...this.values] },
+      fromArray(array) { this.values = [...array] }
+    })
+
+    it('has no camera state before init', () => {
+      const manager = new PreviewManager(container)
+      const callback = vi.fn()
+
+      expect(manager.getCameraState()).toBeNull()
+      manager.onCameraChange(callback)()
+      expect(callback).not.toHaveBeenCalled()
+    })
+
+    it('copies camera placements and reports camera moves', () => {
+      const manager = new PreviewManager(container)
+      const listeners = new Set()
+      manager.camera = { position: vector([1, 2, 3]), up: vector([0, 0, 1]), lookAt: vi.fn() }
+      manager.controls = {
+        target: vector([0, 0, 0]),
+        update: vi.fn(() => listeners.forEach((listener) => listener())),
+        addEventListener: (type, listener) => type === 'change' && listeners.add(listener),
+        removeEventListener: (type, listener) => listeners.delete(listener)
+      }
+      const callback = vi.fn()
+      const stop = manager.onCameraChange(callback)
+
+      manager.setCameraState({ position: [4, 5, 6], target: [1, 1, 1], up: [0, 1, 0] })
+
+      expect(manager.getCameraState()).toEqual({ position: [4, 5, 6], target: [1, 1, 1], up: [0, 1, 0] })
+      expect(callback).toHaveBeenCalledWith({ position: [4, 5, 6], target: [1, 1, 1], up: [0, 1, 0] })
+
+      stop()
+      manager.setCameraState({ position: [0, 0, 9], target: [0, 0, 0] })
+      expect(callback).toHaveBeenCalledTimes(1)
+      expect(manager.getCameraState().up).toEqual([0, 1, 0])
+    })
+
+    it('disposes the diff overlay on clear', () => {
+      const manager = new PreviewManager(container)
+      const dispose = vi.fn()
+      manager.scene = { remove: vi.fn() }
+      manager.renderer = { render: vi.fn() }
+      manager.diffGroup = { children: [{ geometry: { dispose }, material: { dispose } }] }
+
+      manager.clear()
+
+      expect(dispose).toHaveBeenCalledTimes(2)
+      expect(manager.diffGroup).toBeNull()
+    })
+  })
 })
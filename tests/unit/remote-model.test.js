@@ -0,0 +1,200 @@
+import { describe, it, expect, vi } from 'vitest'
+import JSZip from 'jszip'
+import {
+  getAllowedModelOrigins,
+  parseRemoteModelRequest,
+  getRemoteModelAccess,
+  getRemoteModelConsentMessage,
+  fetchRemoteModel,
+  findPresetByName
+} from '../../src/js/remote-model.js'
+
+const APP = 'https://forge.example'
+const DOCS = 'https://docs.example.org'
+
+/**
+ * Stub fetch serving a map of URL -> body (anything else is a 404)
+ */
+function stubFetch(files, { redirects = {} } = {}) {
+  return vi.fn(async (url) => {
+    const finalUrl = redirects[url] || url
+    if (!(finalUrl in files)) {
+      return { ok: false, status: 404, url: finalUrl, headers: new Headers() }
+    }
+    const body = new Blob([files[finalUrl]])
+    return {
+      ok: true,
+      status: 200,
+      url: finalUrl,
+      headers: new Headers({ 'content-length': String(body.size) }),
+      blob: async () => body,
+      text: async () => files[finalUrl]
+    }
+  })
+}
+
+describe('Remote Models', () => {
+  describe('getAllowedModelOrigins', () => {
+    it('reads and normalizes a comma-separated list', () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {})
+
+      expect(getAllowedModelOrigins(' https://docs.example.org/guides/ , not a url,http://localhost:8081')).toEqual([
+        DOCS,
+        'http://localhost:8081'
+      ])
+      expect(getAllowedModelOrigins('')).toEqual([])
+      expect(warn).toHaveBeenCalledTimes(1)
+      warn.mockRestore()
+    })
+  })
+
+  describe('parseRemoteModelRequest', () => {
+    it('returns null without a model or project', () => {
+      expect(parseRemoteModelRequest('?example=simple-box', APP)).toBeNull()
+    })
+
+    it('reads a model link with a preset', () => {
+      const request = parseRemoteModelRequest(
+        `?model=${encodeURIComponent(`${DOCS}/keyguards/My%20Keyguard.scad`)}&preset=iPad%209`,
+        APP
+      )
+
+      expect(request).toEqual({
+        kind: 'model',
+        url: `${DOCS}/keyguards/My%20Keyguard.scad`,
+        origin: DOCS,
+        fileName: 'My Keyguard.scad',
+        preset: 'iPad 9'
+      })
+    })
+
+    it('resolves relative links against the app', () => {
+      const request = parseRemoteModelRequest('?project=/models/box.zip', `${APP}/`)
+
+      expect(request.kind).toBe('project')
+      expect(request.url).toBe(`${APP}/models/box.zip`)
+      expect(request.origin).toBe(APP)
+      expect(request.preset).toBeNull()
+    })
+
+    it('names files without a usable extension', () => {
+      expect(parseRemoteModelRequest(`?model=${DOCS}/download`, APP).fileName).toBe('model.scad')
+      expect(parseRemoteModelRequest(`?project=${DOCS}/`, APP).fileName).toBe('project.zip')
+    })
+
+    it('rejects unusable links', () => {
+      expect(() => parseRemoteModelRequest('?model=a.scad&project=b.zip', APP)).toThrow(/both a model and a project/)
+      expect(() => parseRemoteModelRequest('?model=javascript:alert(1)', APP)).toThrow(/http or https/)
+      expect(() => parseRemoteModelRequest('?model=/x.zip', APP)).toThrow('Use ?project= to open a .zip project')
+    })
+  })
+
+  describe('getRemoteModelAccess', () => {
+    const options = { appOrigin: APP, allowedOrigins: [DOCS] }
+
+    it('allows the app origin and listed origins only', () => {
+      expect(getRemoteModelAccess(APP, options)).toBe('same-origin')
+      expect(getRemoteModelAccess(DOCS, options)).toBe('allowed')
+      expect(getRemoteModelAccess('https://evil.example', options)).toBe('blocked')
+      expect(getRemoteModelAccess('http://docs.example.org', options)).toBe('blocked')
+    })
+
+    it('names the site in the consent prompt', () => {
+      const message = getRemoteModelConsentMessage({ kind: 'model', fileName: 'keyguard.scad', origin: DOCS })
+
+      expect(message).toContain('keyguard.scad from docs.example.org')
+      expect(message).toContain('will run in your browser')
+    })
+  })
+
+  describe('fetchRemoteModel', () => {
+    const options = { appOrigin: APP, allowedOrigins: [DOCS] }
+
+    it('downloads a model and its parameter sets', async () => {
+      const parameterSets = JSON.stringify({ fileFormatVersion: '1', parameterSets: { Small: { width: '10' } } })
+      const fetchFn = stubFetch({
+        [`${DOCS}/box.scad`]: 'width = 20;\ncube(width);',
+        [`${DOCS}/box.json`]: parameterSets
+      })
+      const request = parseRemoteModelRequest(`?model=${DOCS}/box.scad&preset=Small`, APP)
+
+      const model = await fetchRemoteModel(request, { ...options, fetchFn })
+
+      expect(model).toEqual({
+        name: 'box.scad',
+        main: 'box.scad',
+        content: 'width = 20;\ncube(width);',
+        files: null,
+        parameterSets
+      })
+      expect(fetchFn).toHaveBeenCalledWith(`${DOCS}/box.scad`, { credentials: 'omit' })
+    })
+
+    it('opens a model without a parameter set file', async () => {
+      const fetchFn = stubFetch({ [`${DOCS}/box.scad`]: 'cube(1);' })
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {})
+      const request = parseRemoteModelRequest(`?model=${DOCS}/box.scad&preset=Small`, APP)
+
+      const model = await fetchRemoteModel(request, { ...options, fetchFn })
+
+      expect(model.content).toBe('cube(1);')
+      expect(model.parameterSets).toBeNull()
+      warn.mockRestore()
+    })
+
+    it('extracts a project ZIP', async () => {
+      const zip = new JSZip()
+      zip.file('main.scad', 'include <parts/lid.scad>\nlid();')
+      zip.file('parts/lid.scad', 'module lid() cube(1);')
+      const fetchFn = stubFetch({ [`${APP}/box.zip`]: await zip.generateAsync({ type: 'uint8array' }) })
+      const log = vi.spyOn(console, 'log').mockImplementation(() => {})
+      const request = parseRemoteModelRequest('?project=/box.zip', `${APP}/`)
+
+      const model = await fetchRemoteModel(request, { ...options, fetchFn })
+
+      expect(model.name).toBe('box.zip')
+      expect(model.main).toBe('main.scad')
+      expect(model.content).toBe('include <parts/lid.scad>\nlid();')
+      expect([...model.files.keys()].sort()).toEqual(['main.scad', 'parts/lid.scad'])
+      log.mockRestore()
+    })
+
+    it('reports missing files and redirects to other sites', async () => {
+      const request = parseRemoteModelRequest(`?model=${DOCS}/box.scad`, APP)
+
+      await expect(fetchRemoteModel(request, { ...options, fetchFn: stubFetch({}) })).rejects.toThrow(
+        `box.scad was not found at ${DOCS}/box.scad`
+      )
+      const fetchFn = stubFetch(
+        { 'https://evil.example/box.scad': 'cube(1);' },
+        { redirects: { [`${DOCS}/box.scad`]: 'https://evil.example/box.scad' } }
+      )
+      await expect(fetchRemoteModel(request, { ...options, fetchFn })).rejects.toThrow(/redirected to a site that is not allowed/)
+    })
+
+    it('rejects network errors and oversized models', async () => {
+      const request = parseRemoteModelRequest(`?model=${DOCS}/box.scad`, APP)
+      const offline = vi.fn(async () => {
+        throw new TypeError('Failed to fetch')
+      })
+
+      await expect(fetchRemoteModel(request, { ...options, fetchFn: offline })).rejects.toThrow(/Could not download/)
+      const huge = vi.fn(async () => ({
+        ok: true,
+        status: 200,
+        url: `${DOCS}/box.scad`,
+        headers: new Headers({ 'content-length': String(50 * 1024 * 1024) })
+      }))
+      await expect(fetchRemoteModel(request, { ...options, fetchFn: huge })).rejects.toThrow(/larger than the 5MB limit/)
+    })
+  })
+
+  describe('findPresetByName', () => {
+    it('matches names regardless of case and spacing', () => {
+      const presets = [{ id: 'a', name: 'iPad 9' }, { id: 'b', name: 'Large Grid' }]
+
+      expect(findPresetByName(presets, ' ipad 9 ')).toBe(presets[0])
+      expect(findPresetByName(presets, 'missing')).toBeNull()
+    })
+  })
+})
@@ -0,0 +1,107 @@
+import { describe, it, expect } from 'vitest'
+import {
+  computeRenderCacheKey,
+  selectEvictions,
+  estimateRenderSize,
+  getCachedRender,
+  putCachedRender,
+  getRenderCacheSummary,
+  clearRenderCache
+} from '../../src/js/render-cache.js'
+
+const baseInput = {
+  scadContent: 'cube(size);',
+  files: null,
+  mainFile: null,
+  libraries: [{ id: 'BOSL2', path: '/libraries/BOSL2' }],
+  qualityKey: 'model',
+  quality: null,
+  parameters: { size: 10, label: 'A' },
+  outputFormat: 'stl'
+}
+
+describe('Render Cache', () => {
+  describe('computeRenderCacheKey', () => {
+    it('returns a stable SHA-256 hex digest', async () => {
+      const key = await computeRenderCacheKey(baseInput)
+      expect(key).toMatch(/^[0-9a-f]{64}$/)
+      expect(await computeRenderCacheKey({ ...baseInput })).toBe(key)
+    })
+
+    it('ignores parameter and file insertion order', async () => {
+      const files = new Map([['main.scad', 'include <lib.scad>'], ['lib.scad', 'x = 1;']])
+      const reversed = new Map([...files].reverse())
+      const a = await computeRenderCacheKey({ ...baseInput, files })
+      const b = await computeRenderCacheKey({
+        ...baseInput,
+        files: reversed,
+        parameters: { label: 'A', size: 10 }
+      })
+      expect(a).toBe(b)
+    })
+
+    it('changes with anything that affects the geometry', async () => {
+      const key = await computeRenderCacheKey(baseInput)
+      const variants = [
+        { scadContent: 'sphere(size);' },
+        { files: new Map([['lib.scad', 'x = 2;']]) },
+        { mainFile: 'other.scad' },
+        { libraries: [{ id: 'BOSL2', path: '/libraries/BOSL2', version: 'v2.0.716' }] },
+        { qualityKey: 'draft' },
+        { quality: { name: 'draft', minFragments: 8 } },
+        { parameters: { size: 11, label: 'A' } },
+        { outputFormat: '3mf' }
+      ]
+      for (const change of variants) {
+        expect(await computeRenderCacheKey({ ...baseInput, ...change })).not.toBe(key)
+      }
+    })
+
+    it('hashes binary project files', async () => {
+      const a = await computeRenderCacheKey({
+        ...baseInput,
+        files: new Map([['logo.png', new Uint8Array([1, 2, 3])]])
+      })
+      const b = await computeRenderCacheKey({
+        ...baseInput,
+        files: new Map([['logo.png', new Uint8Array([1, 2, 4])]])
+      })
+      expect(a).not.toBe(b)
+    })
+  })
+
+  describe('selectEvictions', () => {
+    const entries = [
+      { key: 'recent', size: 40, lastAccess: 300 },
+      { key: 'oldest', size: 50, lastAccess: 100 },
+      { key: 'middle', size: 30, lastAccess: 200 }
+    ]
+
+    it('evicts least recently used entries until the rest fit', () => {
+      expect(selectEvictions(entries, 75)).toEqual(['oldest'])
+      expect(selectEvictions(entries, 40)).toEqual(['oldest', 'middle'])
+    })
+
+    it('evicts nothing when under budget', () => {
+      expect(selectEvictions(entries, 120)).toEqual([])
+      expect(selectEvictions([], 0)).toEqual([])
+    })
+  })
+
+  describe('estimateRenderSize', () => {
+    it('counts the mesh bytes plus metadata', () => {
+      const size = estimateRenderSize({ stl: new ArrayBuffer(1000), stats: { triangles: 12 } })
+      expect(size).toBeGreaterThan(1000)
+      expect(size).toBeLessThan(1200)
+    })
+  })
+
+  describe('without IndexedDB', () => {
+    it('misses, skips writes and reports an empty cache', async () => {
+      expect(await getCachedRender('abc')).toBeNull()
+      expect(await putCachedRender('abc', { stl: new ArrayBuffer(8) })).toBe(false)
+      expect(await getRenderCacheSummary()).toMatchObject({ count: 0, bytes: 0 })
+      expect(await clearRenderCache()).toBe(false)
+    })
+  })
+})
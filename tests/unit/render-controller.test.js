@@ -132,6 +132,29 @@ describe('RenderController', () => {
     expect(result.stl).toBeDefined()
   })
 
+  it('only asks the worker for color parts when requested', async () => {
+    for (const colorParts of [false, true]) {
+      const controller = new RenderController()
+      controller.worker = { postMessage: vi.fn() }
+      controller.ready = true
+
+      const renderPromise = controller.render(
+        'color("red") cube(1);',
+        {},
+        colorParts ? { colorParts } : {}
+      )
+      await Promise.resolve()
+      controller.handleMessage({
+        type: 'COMPLETE',
+        payload: { requestId: controller.currentRequest.id, data: new ArrayBuffer(1), stats: { triangles: 1 } }
+      })
+      await renderPromise
+
+      const call = controller.worker.postMessage.mock.calls[0][0]
+      expect(call.payload.colorParts).toBe(colorParts)
+    }
+  })
+
   it('cancels the current render request', () => {
     const controller = new RenderController()
     controller.worker = { postMessage: vi.fn() }
@@ -377,6 +400,29 @@ describe('RenderController', () => {
     expect(call.payload.timeoutMs).toBe(RENDER_QUALITY.FULL.timeoutMs)
   })
 
+  it('renderCsgTree requests the CSG export at PREVIEW quality', async () => {
+    const controller = new RenderController()
+    controller.worker = { postMessage: vi.fn() }
+    controller.ready = true
+    
+    const renderPromise = controller.renderCsgTree('cube(1);', {})
+    
+    await Promise.resolve()
+    
+    const requestId = controller.currentRequest.id
+    controller.handleMessage({
+      type: 'COMPLETE',
+      payload: { requestId, data: 'cube(size = [1, 1, 1]);', stats: {} }
+    })
+    
+    const result = await renderPromise
+    
+    const call = controller.worker.postMessage.mock.calls[0][0]
+    expect(call.payload.outputFormat).toBe('csg')
+    expect(call.payload.timeoutMs).toBe(RENDER_QUALITY.PREVIEW.timeoutMs)
+    expect(result.data).toBe('cube(size = [1, 1, 1]);')
+  })
+
   it('throws error when rendering without init', async () => {
     const controller = new RenderController()
     controller.ready = false
@@ -407,6 +453,39 @@ describe('RenderController', () => {
     expect(call.payload.mainFile).toBe('main.scad')
   })
 
+  it('sends project files only when they differ from the mounted ones', async () => {
+    const controller = new RenderController()
+    controller.worker = { postMessage: vi.fn(), terminate: vi.fn() }
+    controller.ready = true
+
+    const renderWith = async (files) => {
+      const renderPromise = controller.render('cube(1);', {}, { files, mainFile: 'main.scad' })
+      await Promise.resolve()
+      const request = controller.currentRequest
+      controller.handleMessage({
+        type: 'COMPLETE',
+        payload: { requestId: request.id, data: new ArrayBuffer(1), stats: {} }
+      })
+      await renderPromise
+      return controller.worker.postMessage.mock.calls
+        .map(([message]) => message)
+        .filter((message) => message.type === 'RENDER')
+        .pop().payload.files
+    }
+
+    const files = new Map([['main.scad', 'cube(1);']])
+    expect(await renderWith(files)).toEqual({ 'main.scad': 'cube(1);' })
+    expect(await renderWith(files)).toBeUndefined()
+
+    files.set('main.scad', 'cube(2);')
+    expect(await renderWith(files)).toEqual({ 'main.scad': 'cube(2);' })
+
+    controller.terminate()
+    controller.worker = { postMessage: vi.fn(), terminate: vi.fn() }
+    controller.ready = true
+    expect(await renderWith(files)).toEqual({ 'main.scad': 'cube(2);' })
+  })
+
   it('passes libraries to render', async () => {
     const controller = new RenderController()
     controller.worker = { postMessage: vi.fn() }
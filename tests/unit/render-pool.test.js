@@ -0,0 +1,151 @@
+import { describe, it, expect, vi } from 'vitest'
+import { RenderPool, getPoolSize, MAX_POOL_SIZE } from '../../src/js/render-pool.js'
+import { HARDWARE_LEVEL } from '../../src/js/render-controller.js'
+
+const hardware = (overrides = {}) => ({
+  level: HARDWARE_LEVEL.HIGH,
+  cores: 8,
+  memoryGB: 16,
+  isMobile: false,
+  ...overrides
+})
+
+// Pool worker stand-in whose renders finish when the test says so
+function createFakeController() {
+  const controller = {
+    pending: [],
+    init: vi.fn().mockResolvedValue(),
+    setParameterSchema: vi.fn(),
+    terminate: vi.fn(),
+    cancel: vi.fn(() => {
+      controller.pending.splice(0).forEach(({ reject }) => reject(new Error('Render cancelled')))
+    }),
+    render: vi.fn(
+      (scad, parameters) =>
+        new Promise((resolve, reject) => {
+          controller.pending.push({ resolve: () => resolve({ data: parameters }), reject })
+        })
+    )
+  }
+  return controller
+}
+
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0))
+
+function createPool(size, primaryOverrides = {}) {
+  const primary = {
+    ready: true,
+    parameterSchema: { width: {} },
+    render: vi.fn().mockResolvedValue({ data: 'primary' }),
+    ...primaryOverrides
+  }
+  const controllers = []
+  const pool = new RenderPool(primary, {
+    size,
+    hardware: hardware(),
+    createController: () => {
+      const controller = createFakeController()
+      controllers.push(controller)
+      return controller
+    }
+  })
+  return { pool, primary, controllers }
+}
+
+describe('RenderPool', () => {
+  describe('getPoolSize', () => {
+    it('leaves a core for the page and a slot for the preview worker', () => {
+      expect(getPoolSize({ hardware: hardware() })).toBe(6)
+      expect(getPoolSize({ hardware: hardware({ cores: 32, memoryGB: 64 }) })).toBe(MAX_POOL_SIZE)
+    })
+
+    it('is limited by memory', () => {
+      expect(getPoolSize({ hardware: hardware({ memoryGB: 4 }) })).toBe(3)
+      expect(getPoolSize({ hardware: hardware({ memoryGB: 4 }), workerMemoryMB: 1024 })).toBe(1)
+    })
+
+    it('uses one worker on low-end and mobile devices', () => {
+      expect(getPoolSize({ hardware: hardware({ level: HARDWARE_LEVEL.LOW }) })).toBe(1)
+      expect(getPoolSize({ hardware: hardware({ isMobile: true }) })).toBe(1)
+    })
+
+    it('clamps the requested size', () => {
+      expect(getPoolSize({ requested: 2, hardware: hardware() })).toBe(2)
+      expect(getPoolSize({ requested: '20', hardware: hardware() })).toBe(6)
+      expect(getPoolSize({ requested: 'abc', hardware: hardware() })).toBe(6)
+    })
+  })
+
+  describe('Scheduling', () => {
+    it('runs renders in parallel up to the pool size', async () => {
+      const { pool, controllers } = createPool(2)
+
+      const renders = [1, 2, 3].map((width) => pool.render('cube(1);', { width }))
+      await flush()
+
+      expect(controllers).toHaveLength(2)
+      expect(controllers.map((c) => c.render.mock.calls.length)).toEqual([1, 1])
+      expect(controllers[0].setParameterSchema).toHaveBeenCalledWith({ width: {} })
+
+      controllers[1].pending.shift().resolve()
+      await flush()
+      expect(controllers[1].render).toHaveBeenCalledTimes(2)
+
+      controllers[0].pending.shift().resolve()
+      controllers[1].pending.shift().resolve()
+      const results = await Promise.all(renders)
+      expect(results.map((r) => r.data.width)).toEqual([1, 2, 3])
+      expect(pool.isBusy()).toBe(false)
+    })
+
+    it('uses the primary controller until it is ready', async () => {
+      const { pool, primary, controllers } = createPool(2, { ready: false })
+
+      await expect(pool.render('cube(1);', {})).resolves.toEqual({ data: 'primary' })
+      expect(primary.render).toHaveBeenCalled()
+      expect(controllers).toHaveLength(0)
+      expect(pool.concurrency).toBe(1)
+    })
+
+    it('falls back to the primary controller when workers fail to start', async () => {
+      const { pool, primary } = createPool(2)
+      pool.createController = () => ({
+        ...createFakeController(),
+        init: vi.fn().mockRejectedValue(new Error('Out of memory'))
+      })
+      vi.spyOn(console, 'warn').mockImplementation(() => {})
+
+      await expect(pool.render('cube(1);', {})).resolves.toEqual({ data: 'primary' })
+      expect(pool.size).toBe(0)
+      expect(pool.concurrency).toBe(1)
+
+      await pool.render('cube(1);', {})
+      expect(primary.render).toHaveBeenCalledTimes(2)
+    })
+
+    it('cancels running and waiting renders', async () => {
+      const { pool, controllers } = createPool(1)
+
+      const running = pool.render('cube(1);', {})
+      const waiting = pool.render('cube(2);', {})
+      await flush()
+      pool.cancel()
+
+      await expect(running).rejects.toThrow('Render cancelled')
+      await expect(waiting).rejects.toThrow('Render cancelled')
+      expect(controllers[0].cancel).toHaveBeenCalled()
+    })
+
+    it('stops idle workers above a smaller size', async () => {
+      const { pool, controllers } = createPool(2)
+      const renders = [pool.render('a', {}), pool.render('b', {})]
+      await flush()
+      controllers.forEach((c) => c.pending.shift().resolve())
+      await Promise.all(renders)
+
+      expect(pool.setSize(1)).toBe(1)
+      expect(pool.workers).toHaveLength(1)
+      expect(controllers[0].terminate).toHaveBeenCalled()
+    })
+  })
+})
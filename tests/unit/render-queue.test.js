@@ -18,6 +18,7 @@ describe('RenderQueue', () => {
       const q = new RenderQueue(renderController)
       
       expect(q.maxQueueSize).toBe(20)
+      expect(q.maxSweepQueueSize).toBe(200)
       expect(q.jobs.size).toBe(0)
       expect(q.isProcessing).toBe(false)
     })
@@ -72,6 +73,19 @@ describe('RenderQueue', () => {
       expect(() => queue.addJob('Job 3', { width: 3 })).toThrow('Maximum 2 jobs allowed in queue')
     })
 
+    it('lets sweep jobs fill the queue up to the sweep limit', () => {
+      const q = new RenderQueue(renderController, { maxQueueSize: 2, maxSweepQueueSize: 3 })
+      const sweep = (wall) => ({ sweep: { id: 'sweep-1', values: { wall } } })
+      q.addJob('Job 1', { width: 1 })
+      q.addJob('wall=1', { wall: 1 }, 'stl', sweep(1))
+      q.addJob('wall=2', { wall: 2 }, 'stl', sweep(2))
+
+      expect(q.isAtMaxCapacity()).toBe(true)
+      expect(() => q.addJob('wall=3', { wall: 3 }, 'stl', sweep(3))).toThrow('Maximum 3 jobs allowed in queue')
+      expect(q.getSweepJobs('sweep-1').map((job) => job.sweep.values)).toEqual([{ wall: 1 }, { wall: 2 }])
+      expect(q.getJob('job-1').sweep).toBeNull()
+    })
+
     it('removes jobs that are not rendering', () => {
       const id = queue.addJob('Job 1', { width: 1 })
       queue.removeJob(id)
@@ -233,6 +247,26 @@ describe('RenderQueue', () => {
       expect(listener).toHaveBeenCalledWith('processing-complete', { completed: 1, failed: 0 })
     })
 
+    it('renders jobs in parallel up to the controller concurrency', async () => {
+      let active = 0
+      let maxActive = 0
+      renderController.concurrency = 2
+      renderController.render.mockImplementation(async () => {
+        maxActive = Math.max(maxActive, ++active)
+        await new Promise((resolve) => setTimeout(resolve, 5))
+        active--
+        return { data: new ArrayBuffer(2), stats: {} }
+      })
+      queue.maxQueueSize = 5
+      const ids = [1, 2, 3].map((width) => queue.addJob(`Job ${width}`, { width }))
+
+      await queue.processQueue()
+
+      expect(maxActive).toBe(2)
+      expect(ids.map((id) => queue.getJob(id).state)).toEqual(['complete', 'complete', 'complete'])
+      expect(queue.renderingJobIds.size).toBe(0)
+    })
+
     it('stops processing when requested', () => {
       const listener = vi.fn()
       queue.subscribe(listener)
@@ -77,6 +77,22 @@ describe('Saved Projects Manager', () => {
       expect(typeof result.id).toBe('string');
     });
 
+    it('should record the library versions a project was saved with', async () => {
+      const libraries = [{ id: 'BOSL2', version: 'abc123def456' }];
+      const result = await saveProject({
+        name: 'Pinned Project',
+        originalName: 'pinned.scad',
+        kind: 'scad',
+        mainFilePath: 'pinned.scad',
+        content: 'include <BOSL2/std.scad>',
+        libraries,
+      });
+
+      expect(result.success).toBe(true);
+      const project = await getProject(result.id);
+      expect(project.libraries).toEqual(libraries);
+    });
+
     it('should validate project size limits', async () => {
       const largeContent = 'x'.repeat(6 * 1024 * 1024); // 6MB (exceeds 5MB limit)
       
@@ -307,6 +323,29 @@ describe('Saved Projects Manager', () => {
   });
 
   describe('updateProject', () => {
+    it('should update the main file content and project files', async () => {
+      const saved = await saveProject({
+        name: 'Edited',
+        originalName: 'box.zip',
+        kind: 'zip',
+        mainFilePath: 'main.scad',
+        content: 'cube(1);',
+        projectFiles: { 'main.scad': 'cube(1);', 'parts.scad': '' },
+        notes: '',
+      });
+
+      const result = await updateProject({
+        id: saved.id,
+        content: 'cube(2);',
+        projectFiles: { 'main.scad': 'cube(2);', 'parts.scad': 'module p() {}' },
+      });
+
+      expect(result.success).toBe(true);
+      const project = await getProject(saved.id);
+      expect(project.content).toBe('cube(2);');
+      expect(project.projectFiles['parts.scad']).toBe('module p() {}');
+    });
+
     it('should update project name', async () => {
       const saved = await saveProject({
         name: 'Original Name',
@@ -0,0 +1,79 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { ScadEditor } from '../../src/js/scad-editor.js'
+
+// jsdom has no layout; CodeMirror measures text ranges
+if (!Range.prototype.getClientRects) {
+  Range.prototype.getClientRects = () => []
+  Range.prototype.getBoundingClientRect = () => new DOMRect()
+}
+
+describe('ScadEditor', () => {
+  let parent
+  let editor
+  let onChange
+
+  beforeEach(() => {
+    vi.useFakeTimers()
+    parent = document.createElement('div')
+    document.body.appendChild(parent)
+    onChange = vi.fn()
+    editor = new ScadEditor(parent, { onChange })
+    editor.open('main.scad', 'cube(1);\nsphere(2);\n')
+  })
+
+  afterEach(() => {
+    editor.destroy()
+    parent.remove()
+    vi.useRealTimers()
+  })
+
+  const type = (text) => {
+    editor.view.dispatch({ changes: { from: 0, insert: text } })
+  }
+
+  it('labels the editable content with the file name', () => {
+    const content = parent.querySelector('.cm-content')
+    expect(content.getAttribute('aria-label')).toBe('Code of main.scad')
+  })
+
+  it('reports changes once typing pauses', () => {
+    type('// a\n')
+    type('// b\n')
+    expect(onChange).not.toHaveBeenCalled()
+
+    vi.advanceTimersByTime(1000)
+
+    expect(onChange).toHaveBeenCalledTimes(1)
+    expect(onChange).toHaveBeenCalledWith('main.scad', '// b\n// a\ncube(1);\nsphere(2);\n')
+  })
+
+  it('reports pending changes before opening another file', () => {
+    type('x = 1;\n')
+    editor.open('parts.scad', 'module part() {}')
+
+    expect(onChange).toHaveBeenCalledWith('main.scad', 'x = 1;\ncube(1);\nsphere(2);\n')
+    expect(editor.getContent()).toBe('module part() {}')
+  })
+
+  it('does not report content replaced from elsewhere or discarded edits', () => {
+    editor.replaceContent('cube(3);')
+    type('y = 2;\n')
+    editor.discardChanges()
+    vi.advanceTimersByTime(1000)
+
+    expect(onChange).not.toHaveBeenCalled()
+    expect(editor.getContent()).toBe('y = 2;\ncube(3);')
+  })
+
+  it('selects a line and marks errors', () => {
+    expect(editor.goToLine(2)).toBe(true)
+    const { main } = editor.view.state.selection
+    expect(editor.view.state.sliceDoc(main.from, main.to)).toBe('sphere(2);')
+    expect(editor.goToLine(0)).toBe(false)
+
+    editor.setErrorLine(2)
+    expect(parent.querySelectorAll('.scad-editor-error-line')).toHaveLength(1)
+    editor.setErrorLine(null)
+    expect(parent.querySelectorAll('.scad-editor-error-line')).toHaveLength(0)
+  })
+})
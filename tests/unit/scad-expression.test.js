@@ -0,0 +1,99 @@
+import { describe, it, expect } from 'vitest'
+import {
+  parseExpression,
+  collectIdentifiers,
+  evaluateExpression,
+  evaluateAssignments,
+  isTruthy
+} from '../../src/js/scad-expression.js'
+
+const evaluate = (text, scope = {}) => evaluateExpression(parseExpression(text), scope)
+
+describe('SCAD Expression Evaluator', () => {
+  describe('parseExpression', () => {
+    it('returns null for unsupported or malformed input', () => {
+      expect(parseExpression('')).toBeNull()
+      expect(parseExpression('(1 + 2')).toBeNull()
+      expect(parseExpression('[for (i = [0:3]) i]')).toBeNull()
+      expect(parseExpression('let (a = 1) a')).toBeNull()
+    })
+
+    it('collects referenced variables but not functions or constants', () => {
+      const ast = parseExpression('max(a, b * 2) + PI * a + v.x')
+      expect(collectIdentifiers(ast)).toEqual(['a', 'b', 'v'])
+    })
+  })
+
+  describe('evaluateExpression', () => {
+    it('follows operator precedence', () => {
+      expect(evaluate('1 + 2 * 3')).toBe(7)
+      expect(evaluate('(1 + 2) * 3')).toBe(9)
+      expect(evaluate('2 ^ 3 ^ 2')).toBe(512)
+      expect(evaluate('-2 ^ 2')).toBe(-4)
+      expect(evaluate('10 % 4')).toBe(2)
+    })
+
+    it('evaluates references from scope', () => {
+      expect(evaluate('thickness * 2', { thickness: 1.5 })).toBe(3)
+      expect(evaluate('d / 2', { d: 20 })).toBe(10)
+      expect(evaluate('missing + 1')).toBeUndefined()
+    })
+
+    it('supports comparisons, logic and ternaries', () => {
+      expect(evaluate('w > 200 && mode == "case"', { w: 250, mode: 'case' })).toBe(true)
+      expect(evaluate('a != 1 || b', { a: 1, b: 0 })).toBe(false)
+      expect(evaluate('on ? 10 : 5', { on: true })).toBe(10)
+      expect(evaluate('!x', { x: [] })).toBe(true)
+    })
+
+    it('applies OpenSCAD vector arithmetic', () => {
+      expect(evaluate('[1, 2, 3] + [1, 1, 1]')).toEqual([2, 3, 4])
+      expect(evaluate('size * 2', { size: [1, 2] })).toEqual([2, 4])
+      expect(evaluate('[1, 2] * [3, 4]')).toBe(11)
+      expect(evaluate('-[1, 2]')).toEqual([-1, -2])
+      expect(evaluate('[1, 2] + [1]')).toBeUndefined()
+    })
+
+    it('supports indexing, member access and ranges', () => {
+      expect(evaluate('size[1]', { size: [4, 5, 6] })).toBe(5)
+      expect(evaluate('size.z', { size: [4, 5, 6] })).toBe(6)
+      expect(evaluate('[0 : n]', { n: 4 })).toEqual({ begin: 0, step: 1, end: 4 })
+    })
+
+    it('calls built-in functions with degree-based trigonometry', () => {
+      expect(evaluate('sin(90)')).toBeCloseTo(1)
+      expect(evaluate('atan2(1, 1)')).toBeCloseTo(45)
+      expect(evaluate('max(3, 7, 5)')).toBe(7)
+      expect(evaluate('min([4, 2, 9])')).toBe(2)
+      expect(evaluate('len("abc")')).toBe(3)
+      expect(evaluate('str("M", 3)')).toBe('M3')
+      expect(evaluate('norm([3, 4])')).toBe(5)
+      expect(evaluate('unknown_fn(1)')).toBeUndefined()
+    })
+  })
+
+  describe('evaluateAssignments', () => {
+    it('evaluates assignments in order with overrides', () => {
+      const assignments = [
+        { name: 'd', expression: '20' },
+        { name: 'r', expression: 'd / 2' },
+        { name: 'area', expression: 'PI * r * r' }
+      ]
+
+      expect(evaluateAssignments(assignments).r).toBe(10)
+      const scope = evaluateAssignments(assignments, { d: 10 })
+      expect(scope.r).toBe(5)
+      expect(scope.area).toBeCloseTo(Math.PI * 25)
+    })
+  })
+
+  describe('isTruthy', () => {
+    it('matches OpenSCAD truthiness', () => {
+      expect(isTruthy(0)).toBe(false)
+      expect(isTruthy('')).toBe(false)
+      expect(isTruthy(undefined)).toBe(false)
+      expect(isTruthy([0])).toBe(true)
+      expect(isTruthy('no')).toBe(true)
+    })
+  })
+})
@@ -0,0 +1,105 @@
+import { describe, it, expect } from 'vitest'
+import {
+  parseScadLiteral,
+  formatScadValue,
+  isScadRange,
+  isNumericVector,
+  buildDefineArgs
+} from '../../src/js/scad-value-utils.js'
+
+describe('SCAD Value Utilities', () => {
+  describe('parseScadLiteral', () => {
+    it('parses scalars', () => {
+      expect(parseScadLiteral('42')).toEqual({ value: 42 })
+      expect(parseScadLiteral('-1.5e2')).toEqual({ value: -150 })
+      expect(parseScadLiteral('"a \\"b\\""')).toEqual({ value: 'a "b"' })
+      expect(parseScadLiteral('true')).toEqual({ value: true })
+      expect(parseScadLiteral('undef')).toEqual({ value: null })
+    })
+
+    it('parses vectors and nested lists', () => {
+      expect(parseScadLiteral('[1, 2, 3]')).toEqual({ value: [1, 2, 3] })
+      expect(parseScadLiteral('[]')).toEqual({ value: [] })
+      expect(parseScadLiteral('[[0, 0], ["x", true]]')).toEqual({
+        value: [[0, 0], ['x', true]]
+      })
+      expect(parseScadLiteral('[1, 2,]')).toEqual({ value: [1, 2] })
+    })
+
+    it('parses ranges', () => {
+      expect(parseScadLiteral('[0:10]')).toEqual({
+        value: { begin: 0, step: 1, end: 10 }
+      })
+      expect(parseScadLiteral('[0 : 0.5 : 2]')).toEqual({
+        value: { begin: 0, step: 0.5, end: 2 }
+      })
+    })
+
+    it('rejects expressions and malformed input', () => {
+      expect(parseScadLiteral('[a, 2]')).toBeNull()
+      expect(parseScadLiteral('[1, 2')).toBeNull()
+      expect(parseScadLiteral('1 + 2')).toBeNull()
+      expect(parseScadLiteral('[0:1:2:3]')).toBeNull()
+      expect(parseScadLiteral('"unterminated')).toBeNull()
+      expect(parseScadLiteral('')).toBeNull()
+    })
+  })
+
+  describe('formatScadValue', () => {
+    it('formats values as OpenSCAD source', () => {
+      expect(formatScadValue(5)).toBe('5')
+      expect(formatScadValue(false)).toBe('false')
+      expect(formatScadValue('say "hi"')).toBe('"say \\"hi\\""')
+      expect(formatScadValue([1, [2, 'x']])).toBe('[1, [2, "x"]]')
+      expect(formatScadValue({ begin: 0, step: 1, end: 5 })).toBe('[0:5]')
+      expect(formatScadValue({ begin: 0, step: 2, end: 6 })).toBe('[0:2:6]')
+      expect(formatScadValue(null)).toBe('undef')
+    })
+
+    it('round-trips through parseScadLiteral', () => {
+      const values = [[40, 20, 10], ['A', 'B'], { begin: 1, step: 2, end: 9 }]
+      for (const value of values) {
+        expect(parseScadLiteral(formatScadValue(value)).value).toEqual(value)
+      }
+    })
+  })
+
+  describe('type guards', () => {
+    it('identifies ranges', () => {
+      expect(isScadRange({ begin: 0, step: 1, end: 1 })).toBe(true)
+      expect(isScadRange([0, 1])).toBe(false)
+      expect(isScadRange(null)).toBe(false)
+    })
+
+    it('identifies numeric vectors up to four elements', () => {
+      expect(isNumericVector([1, 2, 3])).toBe(true)
+      expect(isNumericVector([1, 2, 3, 4, 5])).toBe(false)
+      expect(isNumericVector(['1'])).toBe(false)
+      expect(isNumericVector([])).toBe(false)
+    })
+  })
+
+  describe('buildDefineArgs', () => {
+    it('formats each value type as an OpenSCAD literal', () => {
+      expect(buildDefineArgs({
+        width: 20,
+        enabled: false,
+        label: 'say "hi"',
+        size: [1, 2, 3],
+        tint: '#ff0000',
+        skipped: null
+      })).toEqual([
+        '-D', 'width=20',
+        '-D', 'enabled=false',
+        '-D', 'label="say \\"hi\\""',
+        '-D', 'size=[1, 2, 3]',
+        '-D', 'tint=[255,0,0]'
+      ])
+    })
+
+    it('returns no arguments for empty parameters', () => {
+      expect(buildDefineArgs({})).toEqual([])
+      expect(buildDefineArgs(null)).toEqual([])
+    })
+  })
+})
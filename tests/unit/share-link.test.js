@@ -0,0 +1,136 @@
+import { describe, it, expect } from 'vitest'
+import {
+  FORGE_BUNDLE_TYPE,
+  buildSharedProject,
+  encodeSharedProject,
+  decodeSharedProject,
+  getShareLinkStatus,
+  createForgeBundle,
+  readForgeBundle,
+  forgeBundleFileName,
+  getSharedProjectConsentMessage
+} from '../../src/js/share-link.js'
+import { SHARE_LINK_LIMITS } from '../../src/js/validation-constants.js'
+
+const singleFile = {
+  uploadedFile: { name: 'box.scad', content: 'width = 10;\ncube(width);' },
+  projectFiles: null,
+  mainFilePath: 'box.scad'
+}
+
+const multiFile = {
+  uploadedFile: { name: 'bracket.zip', content: 'include <lib/util.scad>\nbracket();' },
+  projectFiles: new Map([
+    ['main.scad', 'old contents'],
+    ['lib/util.scad', 'module bracket() cube(5);']
+  ]),
+  mainFilePath: 'main.scad'
+}
+
+describe('Share Links', () => {
+  describe('buildSharedProject', () => {
+    it('shares a single file under its own name', () => {
+      expect(buildSharedProject(singleFile)).toEqual({
+        v: 2,
+        name: 'box.scad',
+        main: 'box.scad',
+        files: { 'box.scad': 'width = 10;\ncube(width);' }
+      })
+    })
+
+    it('shares every project file with the current main file', () => {
+      const project = buildSharedProject(multiFile)
+
+      expect(project.name).toBe('bracket.zip')
+      expect(project.main).toBe('main.scad')
+      expect(project.files).toEqual({
+        'main.scad': 'include <lib/util.scad>\nbracket();',
+        'lib/util.scad': 'module bracket() cube(5);'
+      })
+    })
+  })
+
+  describe('encode and decode', () => {
+    it('round-trips a project through URL-safe text', async () => {
+      const encoded = await encodeSharedProject(buildSharedProject(multiFile))
+
+      expect(encoded).toMatch(/^[A-Za-z0-9_-]+$/)
+      const project = await decodeSharedProject(encoded)
+      expect(project.name).toBe('bracket.zip')
+      expect(project.main).toBe('main.scad')
+      expect([...project.files.keys()]).toEqual(['main.scad', 'lib/util.scad'])
+      expect(project.parameters).toEqual({})
+    })
+
+    it('compresses repetitive source', async () => {
+      const source = 'cube([10, 20, 30]);\n'.repeat(200)
+      const encoded = await encodeSharedProject(
+        buildSharedProject({ ...singleFile, uploadedFile: { name: 'box.scad', content: source } })
+      )
+
+      expect(encoded.length).toBeLessThan(source.length / 10)
+    })
+
+    it('rejects damaged links', async () => {
+      await expect(decodeSharedProject('not base64!')).rejects.toThrow('unexpected characters')
+      await expect(decodeSharedProject('AAAA')).rejects.toThrow('could not decompress')
+      await expect(decodeSharedProject('AAAAA')).rejects.toThrow('cut off')
+    })
+
+    it('rejects projects that fail validation', async () => {
+      const encoded = await encodeSharedProject({ v: 2, name: 'x', main: 'a.scad', files: { '../a.scad': '' } })
+      await expect(decodeSharedProject(encoded)).rejects.toThrow('damaged or unsupported')
+
+      const missingMain = await encodeSharedProject({ v: 2, name: 'x', main: 'a.scad', files: { 'b.scad': '' } })
+      await expect(decodeSharedProject(missingMain)).rejects.toThrow('missing its main file, a.scad')
+    })
+
+    it('stops reading projects that expand past the size limit', async () => {
+      const huge = { v: 2, name: 'x', main: 'a.scad', files: { 'a.scad': ' '.repeat(SHARE_LINK_LIMITS.MAX_PROJECT_SIZE + 1) } }
+      const encoded = await encodeSharedProject(huge)
+
+      await expect(decodeSharedProject(encoded)).rejects.toThrow('too large to open')
+    })
+  })
+
+  describe('getShareLinkStatus', () => {
+    it('grades links by length', () => {
+      expect(getShareLinkStatus('x'.repeat(100))).toEqual({ length: 100, level: 'ok', message: null })
+      expect(getShareLinkStatus('x'.repeat(SHARE_LINK_LIMITS.RECOMMENDED_URL_LENGTH + 1)).level).toBe('long')
+      const tooLong = getShareLinkStatus('x'.repeat(SHARE_LINK_LIMITS.MAX_URL_LENGTH + 1))
+      expect(tooLong.level).toBe('too-long')
+      expect(tooLong.message).toMatch(/\.forge project file/)
+    })
+  })
+
+  describe('.forge bundles', () => {
+    it('round-trips a project with its parameters', () => {
+      const text = createForgeBundle(buildSharedProject(multiFile), { width: 12 })
+
+      expect(JSON.parse(text).type).toBe(FORGE_BUNDLE_TYPE)
+      const project = readForgeBundle(text)
+      expect(project.files.get('lib/util.scad')).toBe('module bracket() cube(5);')
+      expect(project.parameters).toEqual({ width: 12 })
+    })
+
+    it('rejects other JSON files', () => {
+      expect(() => readForgeBundle('{')).toThrow('not valid JSON')
+      expect(() => readForgeBundle('{"type":"openscad-preset"}')).toThrow('not a project bundle')
+    })
+
+    it('names bundles after the project', () => {
+      expect(forgeBundleFileName('My Bracket.scad')).toBe('my_bracket.forge')
+      expect(forgeBundleFileName('kit.zip')).toBe('kit.forge')
+    })
+  })
+
+  describe('getSharedProjectConsentMessage', () => {
+    it('names the project and warns that its code will run', () => {
+      const message = getSharedProjectConsentMessage({ name: 'box.scad' }, 'link')
+
+      expect(message).toContain('This link opens box.scad')
+      expect(message).toContain('will run in your browser')
+      expect(getSharedProjectConsentMessage({ name: 'box.scad' }, 'file')).toContain('This .forge file')
+    })
+  })
+})
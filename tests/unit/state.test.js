@@ -1,5 +1,5 @@
 import { describe, it, expect, beforeEach, vi } from 'vitest'
-import { StateManager, ParameterHistory } from '../../src/js/state.js'
+import { StateManager, ParameterHistory, parseURLHash, getShareableURL, sanitizeUrlParams } from '../../src/js/state.js'
 
 describe('State Management', () => {
   let state
@@ -634,6 +634,79 @@ describe('State Management', () => {
       const loaded = await state.loadFromURL()
       expect(loaded).toBeNull()
     })
+
+    it('should still load v1 links', async () => {
+      window.location.hash = `#v=1&params=${encodeURIComponent('{"width":"100"}')}`
+
+      expect(await state.loadFromURL()).toEqual({ width: '100' })
+      expect(state.getState().parameters.width).toBe('100')
+    })
+
+    it('should load parameters from v2 links that embed a project', async () => {
+      window.location.hash = `#v=2&params=${encodeURIComponent('{"width":"80"}')}&project=abc_-`
+
+      expect(await state.loadFromURL()).toEqual({ width: '80' })
+    })
+  })
+
+  describe('URL Hash Format', () => {
+    it('reads links without a version as v1', () => {
+      expect(parseURLHash('#params=%7B%7D')).toEqual({ version: 1, params: '{}', project: null })
+    })
+
+    it('ignores a project field in v1 links', () => {
+      expect(parseURLHash('#v=1&params=%7B%7D&project=abc').project).toBeNull()
+    })
+
+    it('reads the project from v2 links', () => {
+      expect(parseURLHash('#v=2&project=abc_-')).toEqual({ version: 2, params: null, project: 'abc_-' })
+    })
+
+    it('warns about links from a newer version', () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {})
+
+      expect(parseURLHash('#v=9&params=%7B%7D').params).toBe('{}')
+      expect(warn).toHaveBeenCalledWith(expect.stringContaining('v9 is newer'))
+      warn.mockRestore()
+    })
+
+    it('writes v2 links with an optional project', () => {
+      const url = getShareableURL({ width: 10 }, { project: 'abc' })
+
+      expect(url).toMatch(/#v=2&params=%7B%22width%22%3A10%7D&project=abc$/)
+      expect(parseURLHash(new URL(url).hash)).toEqual({ version: 2, params: '{"width":10}', project: 'abc' })
+      expect(getShareableURL({})).not.toContain('#')
+      expect(getShareableURL({}, { project: 'abc' })).toMatch(/#v=2&project=abc$/)
+    })
+  })
+
+  describe('sanitizeUrlParams', () => {
+    const extracted = {
+      parameters: {
+        width: { name: 'width', type: 'integer', minimum: 10, maximum: 100 },
+        shape: { name: 'shape', type: 'string', enum: ['round', 'square'] },
+        area: { name: 'area', type: 'number', computed: true },
+        label: { name: 'label', type: 'string' }
+      }
+    }
+
+    it('keeps valid values and clamps numbers', () => {
+      const { sanitized, adjustments } = sanitizeUrlParams(extracted, { width: 250.4, shape: 'round', label: 'Hi' })
+
+      expect(sanitized).toEqual({ width: 100, shape: 'round', label: 'Hi' })
+      expect(adjustments.width).toEqual({ reason: 'max', value: 250.4, minimum: 10, maximum: 100 })
+    })
+
+    it('drops unknown, computed and unlisted values', () => {
+      const { sanitized, adjustments } = sanitizeUrlParams(extracted, { depth: 5, area: 3, shape: 'oval' })
+
+      expect(sanitized).toEqual({})
+      expect(Object.fromEntries(Object.entries(adjustments).map(([key, value]) => [key, value.reason]))).toEqual({
+        depth: 'unknown-param',
+        area: 'computed',
+        shape: 'enum'
+      })
+    })
   })
 
   describe('performURLSync', () => {
@@ -0,0 +1,202 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { initSweepPanel } from '../../src/js/sweep-panel.js'
+import { RenderQueue } from '../../src/js/render-queue.js'
+
+function setupDom() {
+  document.body.innerHTML = `
+    <details id="sweepPanel" open>
+      <select id="sweepParameterSelect"></select>
+      <button id="sweepAddAxisBtn"></button>
+      <div id="sweepAxes"></div>
+      <select id="sweepMode">
+        <option value="grid" selected>Every combination</option>
+        <option value="latin-hypercube">Latin-hypercube sample</option>
+      </select>
+      <span id="sweepSamplesField" class="hidden">
+        <input type="number" id="sweepSamples" value="3" />
+      </span>
+      <p id="sweepSummary"></p>
+      <button id="sweepQueueBtn"></button>
+      <div id="sweepResults" class="hidden">
+        <table id="sweepResultsTable"></table>
+        <button id="sweepDownloadBtn"></button>
+      </div>
+    </details>
+  `
+}
+
+/**
+ * Binary STL of a 10 x 10 x height box
+ */
+function boxStl(height) {
+  const v = [
+    [0, 0, 0], [10, 0, 0], [10, 10, 0], [0, 10, 0],
+    [0, 0, height], [10, 0, height], [10, 10, height], [0, 10, height]
+  ]
+  const quads = [[0, 3, 2, 1], [4, 5, 6, 7], [0, 1, 5, 4], [1, 2, 6, 5], [2, 3, 7, 6], [3, 0, 4, 7]]
+  const triangles = quads.flatMap(([a, b, c, d]) => [[a, b, c], [a, c, d]])
+  const buffer = new ArrayBuffer(84 + triangles.length * 50)
+  const view = new DataView(buffer)
+  view.setUint32(80, triangles.length, true)
+  triangles.forEach((tri, t) => {
+    tri.forEach((i, k) => {
+      v[i].forEach((value, axis) => view.setFloat32(84 + t * 50 + 12 + k * 12 + axis * 4, value, true))
+    })
+  })
+  return buffer
+}
+
+const SCHEMA = {
+  parameters: {
+    wall: { name: 'wall', type: 'number', default: 2, minimum: 1.2, maximum: 2.4, step: 0.4, order: 0 },
+    font: { name: 'font', type: 'string', default: 'A', enum: ['A', 'B'], order: 1 },
+    label: { name: 'label', type: 'string', default: 'hi', order: 2 }
+  }
+}
+
+describe('Sweep Panel', () => {
+  let queue
+  let announce
+  let prepareQueue
+  let panel
+  const $ = (id) => document.getElementById(id)
+  const addAxis = (name) => {
+    $('sweepParameterSelect').value = name
+    $('sweepAddAxisBtn').click()
+  }
+  const column = (index) =>
+    [...$('sweepResultsTable').querySelectorAll('tbody tr')].map((row) => row.children[index].textContent)
+
+  beforeEach(() => {
+    setupDom()
+    queue = new RenderQueue({
+      render: vi.fn(async (_scad, parameters) => ({ data: boxStl(parameters.wall), stats: {} }))
+    })
+    queue.setProject('cube(1);')
+    announce = vi.fn()
+    prepareQueue = vi.fn(() => true)
+    panel = initSweepPanel({
+      renderQueue: queue,
+      getSchema: () => SCHEMA,
+      getParameters: () => ({ wall: 2, font: 'A', label: 'hi' }),
+      getModelName: () => 'bracket.scad',
+      prepareQueue,
+      announce
+    })
+  })
+
+  afterEach(() => {
+    document.body.innerHTML = ''
+  })
+
+  it('returns null when the panel is missing', () => {
+    document.body.innerHTML = ''
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {})
+
+    expect(initSweepPanel({ renderQueue: queue })).toBeNull()
+    warn.mockRestore()
+  })
+
+  it('lists only number and option parameters', () => {
+    const options = [...$('sweepParameterSelect').options].map((option) => option.value)
+
+    expect(options).toEqual(['wall', 'font'])
+    expect($('sweepQueueBtn').disabled).toBe(true)
+    expect($('sweepSummary').textContent).toBe('Add a parameter to sweep.')
+  })
+
+  it('counts the combinations as axes are added and edited', () => {
+    addAxis('wall')
+    addAxis('font')
+
+    expect($('sweepSummary').textContent).toBe('8 jobs (4 × 2).')
+    expect([...$('sweepParameterSelect').options]).toHaveLength(0)
+    expect($('sweepAddAxisBtn').disabled).toBe(true)
+
+    const step = $('sweepAxis-wall-step')
+    step.value = '0'
+    step.dispatchEvent(new Event('input', { bubbles: true }))
+    expect($('sweepSummary').textContent).toBe('The step for wall must be greater than 0')
+    expect($('sweepQueueBtn').disabled).toBe(true)
+  })
+
+  it('removes an axis', () => {
+    addAxis('wall')
+    addAxis('font')
+
+    $('sweepAxes').querySelector('fieldset button').click()
+
+    expect($('sweepSummary').textContent).toBe('2 jobs (2).')
+    expect([...$('sweepParameterSelect').options].map((option) => option.value)).toEqual(['wall'])
+  })
+
+  it('queues one sweep job per combination', () => {
+    addAxis('wall')
+    addAxis('font')
+    $('sweepAxes').querySelectorAll('input[type="checkbox"]')[1].click()
+
+    $('sweepQueueBtn').click()
+
+    const jobs = queue.getAllJobs()
+    expect(jobs.map((job) => job.name)).toEqual(['wall=1.2, font=A', 'wall=1.6, font=A', 'wall=2, font=A', 'wall=2.4, font=A'])
+    expect(jobs[0].parameters).toEqual({ wall: 1.2, font: 'A', label: 'hi' })
+    expect(jobs[0].sweep.values).toEqual({ wall: 1.2, font: 'A' })
+    expect(announce).toHaveBeenCalledWith('Queued 4 sweep jobs. Choose Process Queue to render them.')
+    expect($('sweepResults').classList.contains('hidden')).toBe(false)
+    expect(column(3)).toEqual(['queued', 'queued', 'queued', 'queued'])
+  })
+
+  it('samples in Latin-hypercube mode', () => {
+    addAxis('wall')
+    $('sweepMode').value = 'latin-hypercube'
+    $('sweepMode').dispatchEvent(new Event('change'))
+
+    expect($('sweepSamplesField').classList.contains('hidden')).toBe(false)
+    expect($('sweepSummary').textContent).toBe('Up to 3 jobs sampled from 4 combinations.')
+    // Sample the middle of each stratum so no two samples collide
+    const random = vi.spyOn(Math, 'random').mockReturnValue(0.5)
+    $('sweepQueueBtn').click()
+    random.mockRestore()
+    expect(queue.getAllJobs().map((job) => job.sweep.values.wall).sort()).toEqual([1.2, 2, 2.4])
+  })
+
+  it('does not queue without a model or past the sweep limit', () => {
+    addAxis('wall')
+    prepareQueue.mockReturnValueOnce(false)
+    $('sweepQueueBtn').click()
+    expect($('sweepSummary').textContent).toBe('Upload a model before queueing a sweep.')
+
+    queue.maxSweepQueueSize = 2
+    $('sweepQueueBtn').click()
+    expect($('sweepSummary').textContent).toMatch(/^The render queue has room for 2 more jobs but this sweep has 4/)
+    expect(queue.getJobCount()).toBe(0)
+  })
+
+  it('fills in and sorts the results table as jobs render', async () => {
+    addAxis('wall')
+    $('sweepQueueBtn').click()
+    await queue.processQueue()
+
+    expect(column(2)).toEqual(['complete', 'complete', 'complete', 'complete'])
+    expect(column(3)).toEqual(['120', '160', '200', '240'])
+    expect(column(6)).toEqual(['1.2', '1.6', '2', '2.4'])
+    expect($('sweepDownloadBtn').disabled).toBe(false)
+
+    // The table is redrawn on each sort, so look the button up each time
+    const volumeButton = () => $('sweepResultsTable').querySelector('button[data-sort-key="volume"]')
+    volumeButton().click()
+    volumeButton().click()
+
+    expect(column(3)).toEqual(['240', '200', '160', '120'])
+    expect(volumeButton().parentElement.getAttribute('aria-sort')).toBe('descending')
+    expect(announce).toHaveBeenLastCalledWith('Sorted by Volume (mm³), descending')
+  })
+
+  it('starts over when the model changes', () => {
+    addAxis('wall')
+    panel.refresh()
+
+    expect($('sweepAxes').children).toHaveLength(0)
+    expect([...$('sweepParameterSelect').options]).toHaveLength(2)
+  })
+})
@@ -0,0 +1,88 @@
+import { describe, it, expect } from 'vitest'
+import JSZip from 'jszip'
+import { parseStl, indexMesh, buildModelXml, createThreeMF } from '../../src/js/threemf-writer.js'
+
+// Two triangles sharing an edge (a unit square in the XY plane)
+const SQUARE = [
+  0, 0, 0, 1, 0, 0, 1, 1, 0,
+  0, 0, 0, 1, 1, 0, 0, 1, 0
+]
+
+function binaryStl(positions) {
+  const count = positions.length / 9
+  const buffer = new ArrayBuffer(84 + count * 50)
+  const view = new DataView(buffer)
+  view.setUint32(80, count, true)
+  for (let i = 0; i < count; i++) {
+    for (let j = 0; j < 9; j++) {
+      view.setFloat32(84 + i * 50 + 12 + j * 4, positions[i * 9 + j], true)
+    }
+  }
+  return new Uint8Array(buffer)
+}
+
+describe('3MF Writer', () => {
+  describe('parseStl', () => {
+    it('reads binary STL', () => {
+      expect(Array.from(parseStl(binaryStl(SQUARE)))).toEqual(SQUARE)
+    })
+
+    it('reads ASCII STL', () => {
+      const ascii = `solid test
+  facet normal 0 0 1
+    outer loop
+      vertex 0 0 0
+      vertex 1 0 0
+      vertex 1 1 0
+    endloop
+  endfacet
+endsolid test`
+      expect(Array.from(parseStl(new TextEncoder().encode(ascii)))).toEqual(SQUARE.slice(0, 9))
+    })
+  })
+
+  describe('indexMesh', () => {
+    it('merges shared vertices', () => {
+      const { vertices, triangles } = indexMesh(SQUARE)
+      expect(vertices).toHaveLength(12)
+      expect(triangles).toEqual([0, 1, 2, 0, 2, 3])
+    })
+  })
+
+  describe('buildModelXml', () => {
+    it('writes one object and build item per mesh', () => {
+      const xml = buildModelXml([{ name: 'Base & lid', positions: SQUARE }])
+      expect(xml).toContain('unit="millimeter"')
+      expect(xml).toContain('name="Base &amp; lid"')
+      expect(xml.match(/<vertex /g)).toHaveLength(4)
+      expect(xml.match(/<triangle /g)).toHaveLength(2)
+      expect(xml).toContain('<item objectid="1"/>')
+      expect(xml).not.toContain('basematerials')
+    })
+
+    it('adds a material group when meshes have colors', () => {
+      const xml = buildModelXml([
+        { name: 'Red', positions: SQUARE, color: '#ff0000' },
+        { name: 'Blue', positions: SQUARE, color: '#0000ff' }
+      ])
+      expect(xml).toContain('<basematerials id="1">')
+      expect(xml).toContain('displaycolor="#FF0000"')
+      expect(xml).toContain('<object id="3" type="model" name="Blue" pid="1" pindex="1">')
+      expect(xml).toContain('<item objectid="2"/>')
+    })
+  })
+
+  describe('createThreeMF', () => {
+    it('packages the model with content types and relationships', async () => {
+      const data = await createThreeMF([{ name: 'square', positions: SQUARE }])
+      const zip = await JSZip.loadAsync(data)
+      expect(Object.keys(zip.files).sort()).toEqual([
+        '3D/3dmodel.model',
+        '[Content_Types].xml',
+        '_rels/.rels'
+      ])
+      const model = await zip.file('3D/3dmodel.model').async('string')
+      expect(model).toContain('name="square"')
+    })
+  })
+})
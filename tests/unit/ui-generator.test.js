@@ -6,8 +6,10 @@ import {
   getAllDefaults, 
   getDefaultValue,
   resetParameter,
-  updateDependentParameters
+  updateDependentParameters,
+  setParameterValue
 } from '../../src/js/ui-generator.js'
+import { extractParameters } from '../../src/js/parser.js'
 
 const buildParams = ({ groups = null, params = [] }) => {
   const resolvedGroups = groups || [{ id: 'General', label: 'General', order: 0 }]
@@ -298,6 +300,30 @@ describe('UI Generator', () => {
       expect(fileInput).toBeTruthy()
       expect(fileInput.accept).toBe('.png,.jpg')
     })
+
+    it('lets photos be chosen for conversion when the hint names only heightmap formats', () => {
+      const schema = buildParams({
+        params: [{ name: 'heightmap', type: 'file', default: '', uiType: 'file', acceptedExtensions: ['png', 'dat'] }]
+      })
+
+      renderParameterUI(schema, container, vi.fn(), {})
+
+      expect(container.querySelector('input[type="file"]').accept).toBe('.png,.dat,.jpg,.jpeg,.gif,.webp,.bmp')
+      expect(container.querySelector('.file-adjust-button').style.display).toBe('none')
+    })
+
+    it('shows an upload restored from a saved design', () => {
+      const schema = buildParams({
+        params: [{ name: 'logo', type: 'file', default: '', uiType: 'file' }]
+      })
+      const upload = { name: 'logo.png', size: 2048, type: 'image/png', data: 'data:image/png;base64,AA==' }
+
+      const values = renderParameterUI(schema, container, vi.fn(), { logo: upload })
+
+      expect(values.logo).toBe(upload)
+      expect(container.querySelector('.file-info').textContent).toContain('logo.png')
+      expect(container.querySelector('.file-clear-button').style.display).toBe('inline-block')
+    })
   })
 
   describe('Groups and Labels', () => {
@@ -720,6 +746,29 @@ describe('UI Generator', () => {
       // Should now be hidden
       expect(optionsControl.style.display).toBe('none')
     })
+
+    it('re-evaluates compound conditions when any referenced parameter changes', () => {
+      const extracted = extractParameters(`
+        has_case = "yes"; // [yes, no]
+        screen_width = 150; // [100:400]
+        // Vents @depends(has_case==yes && screen_width > 200)
+        vent_size = 4; // [1:10]
+      `)
+
+      renderParameterUI(extracted, container, vi.fn(), {})
+
+      const ventControl = container.querySelector('[data-param-name="vent_size"]')
+      expect(ventControl.dataset.depends).toBe('has_case screen_width')
+      expect(ventControl.style.display).toBe('none')
+
+      updateDependentParameters('screen_width', 300)
+      expect(ventControl.style.display).toBe('')
+      expect(ventControl.getAttribute('aria-hidden')).toBe('false')
+
+      updateDependentParameters('has_case', 'no')
+      expect(ventControl.style.display).toBe('none')
+      expect(ventControl.querySelector('input').getAttribute('tabindex')).toBe('-1')
+    })
   })
 
   describe('Unit Display', () => {
@@ -771,4 +820,166 @@ describe('UI Generator', () => {
       expect(valueDisplay.textContent).toBe('45 °')
     })
   })
+
+  describe('Vector and List Parameters', () => {
+    it('renders one number field per vector element with shared limits', () => {
+      const schema = buildParams({
+        params: [
+          {
+            name: 'size',
+            type: 'vector',
+            uiType: 'vector',
+            default: [40, 20, 10],
+            elementCount: 3,
+            minimum: 0,
+            maximum: 100
+          }
+        ]
+      })
+      const onChange = vi.fn()
+
+      renderParameterUI(schema, container, onChange, {})
+
+      const group = container.querySelector('.vector-input-group')
+      const inputs = container.querySelectorAll('.vector-element-input')
+      expect(group.getAttribute('role')).toBe('group')
+      expect(inputs).toHaveLength(3)
+      expect(inputs[0].id).toBe('param-size')
+      expect(inputs[1].getAttribute('aria-label')).toBe('size Y')
+      expect(inputs[2].value).toBe('10')
+      expect(inputs[2].max).toBe('100')
+    })
+
+    it('emits the whole vector when one element changes', () => {
+      const schema = buildParams({
+        params: [
+          { name: 'size', type: 'vector', uiType: 'vector', default: [40, 20, 10] }
+        ]
+      })
+      const onChange = vi.fn()
+
+      renderParameterUI(schema, container, onChange, {})
+
+      const inputs = container.querySelectorAll('.vector-element-input')
+      inputs[1].value = '25'
+      inputs[1].dispatchEvent(new Event('change'))
+
+      expect(onChange).toHaveBeenCalled()
+      expect(onChange.mock.calls[0][0]).toEqual({ size: [40, 25, 10] })
+    })
+
+    it('resets every vector element to its default', () => {
+      const schema = buildParams({
+        params: [
+          { name: 'size', type: 'vector', uiType: 'vector', default: [40, 20, 10] }
+        ]
+      })
+      const onChange = vi.fn()
+
+      renderParameterUI(schema, container, onChange, { size: [1, 2, 3] })
+      resetParameter('size', onChange)
+
+      const values = [...container.querySelectorAll('.vector-element-input')].map(
+        (input) => input.value
+      )
+      expect(values).toEqual(['40', '20', '10'])
+    })
+
+    it('renders lists as an OpenSCAD literal and rejects invalid edits', () => {
+      const schema = buildParams({
+        params: [
+          { name: 'labels', type: 'list', uiType: 'list', default: ['A', 2] }
+        ]
+      })
+      const onChange = vi.fn()
+
+      renderParameterUI(schema, container, onChange, {})
+
+      const input = container.querySelector('#param-labels')
+      expect(input.value).toBe('["A", 2]')
+
+      input.value = '[1, 2'
+      input.dispatchEvent(new Event('change'))
+      expect(onChange).not.toHaveBeenCalled()
+      expect(input.getAttribute('aria-invalid')).toBe('true')
+
+      input.value = '["B", 3]'
+      input.dispatchEvent(new Event('change'))
+      expect(onChange.mock.calls[0][0]).toEqual({ labels: ['B', 3] })
+      expect(input.hasAttribute('aria-invalid')).toBe(false)
+    })
+
+    it('accepts only ranges for range parameters', () => {
+      const schema = buildParams({
+        params: [
+          {
+            name: 'steps',
+            type: 'range',
+            uiType: 'range',
+            default: { begin: 0, step: 2, end: 10 }
+          }
+        ]
+      })
+      const onChange = vi.fn()
+
+      renderParameterUI(schema, container, onChange, {})
+
+      const input = container.querySelector('#param-steps')
+      expect(input.value).toBe('[0:2:10]')
+
+      input.value = '[1, 2]'
+      input.dispatchEvent(new Event('change'))
+      expect(onChange).not.toHaveBeenCalled()
+
+      input.value = '[0:5]'
+      input.dispatchEvent(new Event('change'))
+      expect(onChange.mock.calls[0][0]).toEqual({
+        steps: { begin: 0, step: 1, end: 5 }
+      })
+    })
+  })
+
+  describe('Computed Parameters', () => {
+    const scad = `
+      thickness = 2; // [1:5]
+      wall = thickness * 2;
+    `
+
+    it('renders computed parameters read-only with their expression', () => {
+      const onChange = vi.fn()
+
+      const values = renderParameterUI(extractParameters(scad), container, onChange, {})
+
+      const output = container.querySelector('#param-wall')
+      expect(output.readOnly).toBe(true)
+      expect(output.value).toBe('4')
+      expect(container.querySelector('.computed-expression').textContent).toBe(
+        'Calculated from: thickness * 2'
+      )
+      expect(values).toEqual({ thickness: 2 })
+      expect(getAllDefaults()).not.toHaveProperty('wall')
+    })
+
+    it('updates the live value when a referenced parameter changes', () => {
+      const onChange = vi.fn()
+
+      renderParameterUI(extractParameters(scad), container, onChange, {})
+
+      const slider = container.querySelector('#param-thickness')
+      slider.value = 3
+      slider.dispatchEvent(new Event('input'))
+
+      expect(container.querySelector('#param-wall').value).toBe('6')
+      expect(onChange.mock.calls[0][0]).toEqual({ thickness: 3 })
+    })
+
+    it('evaluates against initial values and refuses direct edits', () => {
+      const onChange = vi.fn()
+
+      renderParameterUI(extractParameters(scad), container, onChange, { thickness: 5 })
+
+      expect(container.querySelector('#param-wall').value).toBe('10')
+      expect(setParameterValue('wall', 1)).toBe(false)
+    })
+  })
 })
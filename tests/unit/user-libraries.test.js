@@ -0,0 +1,56 @@
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import JSZip from 'jszip'
+import { createUserLibraryFromZip, getCommonTopFolder, getUserLibraryId } from '../../src/js/user-libraries.js'
+import { verifyIntegrity } from '../../src/js/library-integrity.js'
+
+async function makeZip(name, entries) {
+  const zip = new JSZip()
+  for (const [path, content] of Object.entries(entries)) {
+    zip.file(path, content)
+  }
+  return new File([await zip.generateAsync({ type: 'blob' })], name, { type: 'application/zip' })
+}
+
+describe('User Libraries', () => {
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  it('names a library after its top folder or the ZIP file', () => {
+    expect(getUserLibraryId('download.zip', 'acme-parts')).toBe('acme-parts')
+    expect(getUserLibraryId('Acme Parts.zip')).toBe('Acme_Parts')
+    expect(getUserLibraryId('BOSL3-master.zip', 'BOSL3-master')).toBe('BOSL3')
+  })
+
+  it('finds a folder shared by every file', () => {
+    expect(getCommonTopFolder(['acme/a.scad', 'acme/sub/b.scad'])).toBe('acme')
+    expect(getCommonTopFolder(['acme/a.scad', 'other/b.scad'])).toBeNull()
+    expect(getCommonTopFolder(['a.scad'])).toBeNull()
+  })
+
+  it('builds a hashed, versioned record with paths below the top folder', async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+    const file = await makeZip('acme-parts-main.zip', {
+      'acme-parts/bolts.scad': 'module bolt() { cylinder(d=3, h=10); }',
+      'acme-parts/util/math.scad': 'function half(x) = x / 2;'
+    })
+
+    const library = await createUserLibraryFromZip(file, ['MCAD', 'BOSL2'])
+
+    expect(library.id).toBe('acme-parts')
+    expect(Object.keys(library.files).sort()).toEqual(['bolts.scad', 'util/math.scad'])
+    expect(library.version).toMatch(/^[0-9a-f]{12}$/)
+    expect(await verifyIntegrity(library.files['bolts.scad'], library.integrity['bolts.scad'])).toBe(true)
+
+    const again = await createUserLibraryFromZip(file, [])
+    expect(again.version).toBe(library.version)
+  })
+
+  it('refuses the name of a built-in library', async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    const file = await makeZip('bosl2.zip', { 'std.scad': 'cube(1);' })
+
+    await expect(createUserLibraryFromZip(file, ['MCAD', 'BOSL2'])).rejects.toThrow(/built-in library/)
+  })
+})
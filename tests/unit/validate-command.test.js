@@ -0,0 +1,48 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs'
+import { join } from 'path'
+import { tmpdir } from 'os'
+import { runTestCases } from '../../cli/commands/validate.js'
+
+describe('Validate Command', () => {
+  let webappPath
+
+  beforeEach(() => {
+    webappPath = mkdtempSync(join(tmpdir(), 'forge-validate-'))
+    mkdirSync(join(webappPath, 'test', 'fixtures'), { recursive: true })
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    rmSync(webappPath, { recursive: true, force: true })
+    vi.restoreAllMocks()
+  })
+
+  function writeFixture(name, data) {
+    writeFileSync(join(webappPath, 'test', 'fixtures', `${name}.json`), JSON.stringify(data))
+  }
+
+  it('passes parameter-only fixtures without a reference render', async () => {
+    writeFixture('small', { name: 'small', params: { width: 10 } })
+
+    const results = await runTestCases(webappPath, [{ name: 'small', params: { width: 10 } }], {})
+
+    expect(results.passed).toBe(1)
+    expect(results.cases[0].reason).toBe('Parameters match golden fixture')
+  })
+
+  it('fails fixtures with golden geometry when nothing was rendered', async () => {
+    writeFixture('small', {
+      name: 'small',
+      params: { width: 10 },
+      geometry: { file: 'small.stl', metrics: { volume: 1000 } },
+    })
+
+    const results = await runTestCases(webappPath, [{ name: 'small', params: { width: 10 } }], {}, null)
+
+    expect(results.passed).toBe(0)
+    expect(results.failed).toBe(1)
+    expect(results.cases[0].status).toBe('failed')
+    expect(results.cases[0].reason).toMatch(/Golden geometry not checked/)
+  })
+})
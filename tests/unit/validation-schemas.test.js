@@ -12,6 +12,7 @@ import {
   validatePreset,
   validatePresetsCollection,
   validateLibraryMap,
+  validateSharedProject,
   getValidationErrorMessage,
 } from '../../src/js/validation-schemas.js';
 import {
@@ -42,6 +43,13 @@ describe('Validation Schemas', () => {
       expect(validateFileUpload(file)).toBe(false);
     });
 
+    it('should validate .forge bundles within their size limit', () => {
+      expect(validateFileUpload({ name: 'bracket.forge', size: 1024 })).toBe(true);
+      expect(
+        validateFileUpload({ name: 'big.forge', size: FILE_SIZE_LIMITS.FORGE_FILE + 1 })
+      ).toBe(false);
+    });
+
     it('should reject file with missing name', () => {
       const file = { size: 1024 };
       expect(validateFileUpload(file)).toBe(false);
@@ -364,6 +372,36 @@ describe('Validation Schemas', () => {
     });
   });
 
+  describe('Shared Project Validation', () => {
+    const project = (files) => ({ v: 2, name: 'Box', main: 'box.scad', files });
+
+    it('should validate a multi-file project', () => {
+      expect(
+        validateSharedProject(project({ 'box.scad': 'cube(1);', 'lib/util.scad': '' }))
+      ).toBe(true);
+    });
+
+    it('should default missing params to an empty object', () => {
+      const data = project({ 'box.scad': 'cube(1);' });
+      expect(validateSharedProject(data)).toBe(true);
+      expect(data.params).toEqual({});
+    });
+
+    it('should reject projects without files', () => {
+      expect(validateSharedProject(project({}))).toBe(false);
+    });
+
+    it('should reject paths that leave the project', () => {
+      expect(validateSharedProject(project({ '../secret.scad': '' }))).toBe(false);
+      expect(validateSharedProject(project({ 'lib/../../x.scad': '' }))).toBe(false);
+      expect(validateSharedProject(project({ '/etc/x.scad': '' }))).toBe(false);
+    });
+
+    it('should reject v1 payloads', () => {
+      expect(validateSharedProject({ ...project({ 'box.scad': '' }), v: 1 })).toBe(false);
+    });
+  });
+
   describe('Error Message Generation', () => {
     it('should generate message for empty errors', () => {
       const message = getValidationErrorMessage([]);
@@ -0,0 +1,85 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs'
+import { join } from 'path'
+import { tmpdir } from 'os'
+import { listReferencedFiles, readLibraryFiles } from '../../cli/lib/wasm-renderer.js'
+import { computeIntegrity } from '../../src/js/library-integrity.js'
+
+describe('WASM Renderer', () => {
+  let projectDir
+
+  beforeEach(() => {
+    projectDir = mkdtempSync(join(tmpdir(), 'forge-wasm-'))
+  })
+
+  afterEach(() => {
+    rmSync(projectDir, { recursive: true, force: true })
+  })
+
+  function writeProjectFile(path, content) {
+    const fullPath = join(projectDir, path)
+    mkdirSync(join(fullPath, '..'), { recursive: true })
+    writeFileSync(fullPath, content)
+  }
+
+  it('lists only the files reached from the main file', () => {
+    writeProjectFile('main.scad', [
+      'include <parts/base.scad>',
+      'use <BOSL2/std.scad>',
+      '// include <old.scad>',
+      'surface(file = "heightmap.dat");',
+      'base();',
+    ].join('\n'))
+    writeProjectFile('parts/base.scad', 'module base() import("../meshes/logo.stl");')
+    writeProjectFile('meshes/logo.stl', 'solid logo\nendsolid logo\n')
+    writeProjectFile('heightmap.dat', '0 1\n1 0\n')
+    writeProjectFile('old.scad', 'cube(1);')
+    writeProjectFile('secrets.txt', 'not part of the model')
+
+    expect(listReferencedFiles(join(projectDir, 'main.scad'))).toEqual([
+      'heightmap.dat',
+      'main.scad',
+      'meshes/logo.stl',
+      'parts/base.scad',
+    ])
+  })
+
+  it('does not follow paths out of the model folder', () => {
+    writeProjectFile('model/main.scad', 'include <../shared.scad>\ninclude </etc/common.scad>\ncube(1);')
+    writeProjectFile('shared.scad', 'cube(2);')
+
+    expect(listReferencedFiles(join(projectDir, 'model', 'main.scad'))).toEqual(['main.scad'])
+  })
+
+  describe('readLibraryFiles', () => {
+    async function writeLibrary(content, recorded = content) {
+      writeProjectFile('MCAD/gears.scad', content)
+      writeProjectFile('MCAD/manifest.json', JSON.stringify({
+        files: ['gears.scad'],
+        integrity: { 'gears.scad': await computeIntegrity(recorded) }
+      }))
+    }
+
+    it('reads the files listed in the manifest after checking their hashes', async () => {
+      await writeLibrary('module gear() cylinder(5);')
+
+      const library = await readLibraryFiles(projectDir, 'MCAD')
+      expect(library.checked).toBe(true)
+      expect(library.files.map(([file]) => file)).toEqual(['gears.scad'])
+      expect(Buffer.from(library.files[0][1]).toString()).toBe('module gear() cylinder(5);')
+    })
+
+    it('rejects files that do not match the manifest', async () => {
+      await writeLibrary('module gear() cylinder(6);', 'module gear() cylinder(5);')
+
+      await expect(readLibraryFiles(projectDir, 'MCAD')).rejects.toThrow('Integrity check failed for MCAD/gears.scad')
+    })
+
+    it('marks libraries without hashes as unchecked and skips missing ones', async () => {
+      writeProjectFile('MCAD/gears.scad', 'module gear() cylinder(5);')
+
+      expect((await readLibraryFiles(projectDir, 'MCAD')).checked).toBe(false)
+      expect(await readLibraryFiles(projectDir, 'BOSL2')).toBeNull()
+    })
+  })
+})
@@ -1,5 +1,5 @@
 import { describe, it, expect, beforeEach, vi } from 'vitest'
-import { validateZipFile, scanIncludes, resolveIncludePath, getZipStats, createFileTree, extractZipFiles } from '../../src/js/zip-handler.js'
+import { validateZipFile, scanIncludes, resolveIncludePath, getZipStats, createFileTree, extractZipFiles, getParameterSetPath, findParameterSetFile, createProjectZip } from '../../src/js/zip-handler.js'
 import JSZip from 'jszip'
 
 describe('ZIP Handler', () => {
@@ -244,6 +244,21 @@ describe('ZIP Handler', () => {
       expect(includes.length).toBeGreaterThanOrEqual(2)
     })
 
+    it('should ignore includes in comments and inside identifiers', () => {
+      const scad = `
+        // include <commented.scad>
+        /* use <block.scad>
+           include <block2.scad> */
+        include <real.scad> // use <trailing.scad>
+        my_include<x.scad>
+        echo("// not a comment"); use <after_string.scad>
+      `
+
+      const includes = scanIncludes(scad)
+
+      expect(includes).toEqual(['include <real.scad>', 'use <after_string.scad>'])
+    })
+
     it('should handle content without includes', () => {
       const scad = `
         cube([10, 10, 10]);
@@ -463,4 +478,71 @@ describe('ZIP Handler', () => {
       expect(stats.otherFiles).toBe(3)
     })
   })
+
+  describe('OpenSCAD Parameter Set Files', () => {
+    const parameterSets = JSON.stringify({
+      parameterSets: { Small: { width: '10' }, Large: { width: '50' } },
+      fileFormatVersion: '1'
+    })
+
+    it('should derive the parameter set path from the main file', () => {
+      expect(getParameterSetPath('box.scad')).toBe('box.json')
+      expect(getParameterSetPath('parts/Lid.SCAD')).toBe('parts/Lid.json')
+    })
+
+    it('should find the parameter set beside the main file', () => {
+      const files = new Map([
+        ['parts/box.scad', 'cube(10);'],
+        ['box.json', '{}'],
+        ['parts/Box.json', parameterSets]
+      ])
+
+      const result = findParameterSetFile(files, 'parts/box.scad')
+
+      expect(result.path).toBe('parts/Box.json')
+      expect(result.content).toBe(parameterSets)
+      expect(findParameterSetFile(new Map([['box.scad', '']]), 'box.scad')).toBeNull()
+    })
+
+    it('should write updated parameter sets into the project ZIP', async () => {
+      const files = new Map([
+        ['main.scad', 'cube(width);'],
+        ['utils/helper.scad', 'module helper() {}'],
+        ['main.json', '{"parameterSets":{},"fileFormatVersion":"1"}']
+      ])
+
+      const blob = await createProjectZip(files, 'main.scad', parameterSets)
+      const result = await extractZipFiles(blob)
+
+      expect(result.mainFile).toBe('main.scad')
+      expect(result.files.size).toBe(3)
+      expect(result.files.get('utils/helper.scad')).toBe('module helper() {}')
+      expect(JSON.parse(result.files.get('main.json')).parameterSets.Large).toEqual({
+        width: '50'
+      })
+    })
+
+    it('should keep an existing parameter set file when none is given', async () => {
+      const files = new Map([
+        ['main.scad', 'cube(width);'],
+        ['main.json', parameterSets]
+      ])
+
+      const blob = await createProjectZip(files, 'main.scad')
+      const result = await extractZipFiles(blob)
+
+      expect(result.files.get('main.json')).toBe(parameterSets)
+    })
+
+    it('should write [file] parameter uploads under uploads/', async () => {
+      const files = new Map([['main.scad', 'import(logo_file);']])
+      const uploads = new Map([['/uploads/logo_file/logo.svg', 'data:image/svg+xml;base64,PHN2Zy8+']])
+
+      const blob = await createProjectZip(files, 'main.scad', null, uploads)
+      const zip = await JSZip.loadAsync(blob)
+
+      expect(await zip.file('uploads/logo_file/logo.svg').async('string')).toBe('<svg/>')
+      expect(await zip.file('main.scad').async('string')).toBe('import(logo_file);')
+    })
+  })
 })
@@ -1,10 +1,13 @@
 import { defineConfig } from 'vite';
-import { readFileSync } from 'fs';
+import { existsSync, readFileSync, writeFileSync } from 'fs';
+import { resolve } from 'path';
+import { fileURLToPath } from 'url';
 
 const SW_CACHE_VERSION_TOKEN = '__SW_CACHE_VERSION__';
 const APP_VERSION_TOKEN = '__APP_VERSION__';
 const BUILD_TIME_TOKEN = '__BUILD_TIME__';
 const COMMIT_SHA_TOKEN = '__COMMIT_SHA__';
+const EMBED_FRAME_ANCESTORS_TOKEN = '__EMBED_FRAME_ANCESTORS__';
 
 /**
  * Get version info for the build
@@ -52,12 +55,54 @@ function injectSwCacheVersion() {
   };
 }
 
+/**
+ * Plugin to list the VITE_EMBED_ORIGINS sites in the frame-ancestors policy
+ * of the embed (public/_headers), so only they may frame it
+ */
+function injectEmbedFrameAncestors() {
+  let headersPath = null;
+  let origins = [];
+
+  return {
+    name: 'inject-embed-frame-ancestors',
+    apply: 'build',
+    configResolved(config) {
+      headersPath = resolve(config.root, config.build.outDir, '_headers');
+      // Same parsing as the embed's message check (parseOriginList)
+      origins = (config.env.VITE_EMBED_ORIGINS || '')
+        .split(',')
+        .map((entry) => entry.trim())
+        .filter(Boolean)
+        .flatMap((entry) => {
+          try {
+            return [new URL(entry).origin];
+          } catch {
+            return [];
+          }
+        })
+        .filter((origin) => origin !== 'null');
+    },
+    writeBundle() {
+      if (!existsSync(headersPath)) return;
+
+      const source = readFileSync(headersPath, 'utf-8');
+      writeFileSync(
+        headersPath,
+        source.replace(
+          ` ${EMBED_FRAME_ANCESTORS_TOKEN}`,
+          origins.map((origin) => ` ${origin}`).join('')
+        )
+      );
+    },
+  };
+}
+
 // Get build info for define replacements
 const buildInfo = getBuildInfo();
 
 export default defineConfig({
   base: '/',
-  plugins: [injectSwCacheVersion()],
+  plugins: [injectSwCacheVersion(), injectEmbedFrameAncestors()],
   define: {
     // Inject version info as global constants
     __APP_VERSION__: JSON.stringify(buildInfo.version),
@@ -69,6 +114,11 @@ export default defineConfig({
     outDir: 'dist',
     sourcemap: true,
     rollupOptions: {
+      // The app, and the embeddable customizer (see src/embed.js)
+      input: {
+        main: fileURLToPath(new URL('./index.html', import.meta.url)),
+        embed: fileURLToPath(new URL('./embed.html', import.meta.url)),
+      },
       output: {
         manualChunks: {
           'three': ['three'],